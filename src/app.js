@@ -20,6 +20,15 @@ const adminRoutes = require('./routes/admin.routes');
 const mapsRoutes = require('./routes/maps');
 const orderRoutes = require('./routes/order.routes');
 const paymentRoutes = require('./routes/payment.routes');
+const ledgerRoutes = require('./routes/ledger.routes');
+const payoutRoutes = require('./routes/payout.routes');
+const refundRoutes = require('./routes/refund.routes');
+const invoiceRoutes = require('./routes/invoice.routes');
+const disputeRoutes = require('./routes/dispute.routes');
+const garmentRoutes = require('./routes/garment.routes');
+const cartRoutes = require('./routes/cart.routes');
+const riderRoutes = require('./routes/rider.routes');
+const deliveryRoutes = require('./routes/delivery.routes');
 // Routes de réservation
 const timeSlotRoutes = require('./routes/timeSlot.routes');
 const appointmentRoutes = require('./routes/appointment.routes');
@@ -67,7 +76,15 @@ const corsOptions = {
 
 // Middleware
 app.use(cors(corsOptions));
-app.use(express.json({ limit: '50mb' }));
+app.use(express.json({
+  limit: '50mb',
+  // Corps brut conservé pour la vérification des signatures des webhooks de paiement
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith(`${config.api.prefix}/payments/webhook`)) {
+      req.rawBody = buf.toString('utf8');
+    }
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 app.use(cookieParser());
 
@@ -146,6 +163,15 @@ app.use(`${config.api.prefix}/subscriptions`, subscriptionRoutes);
 app.use(`${config.api.prefix}/billing`, billingRoutes);
 app.use(`${config.api.prefix}/orders`, orderRoutes);
 app.use(`${config.api.prefix}/payments`, paymentRoutes);
+app.use(`${config.api.prefix}/ledger`, ledgerRoutes);
+app.use(`${config.api.prefix}/payouts`, payoutRoutes);
+app.use(`${config.api.prefix}/refunds`, refundRoutes);
+app.use(`${config.api.prefix}/invoices`, invoiceRoutes);
+app.use(`${config.api.prefix}/disputes`, disputeRoutes);
+app.use(`${config.api.prefix}/garments`, garmentRoutes);
+app.use(`${config.api.prefix}/cart`, cartRoutes);
+app.use(`${config.api.prefix}/riders`, riderRoutes);
+app.use(`${config.api.prefix}/deliveries`, deliveryRoutes);
 app.use(`${config.api.prefix}/admin`, adminRoutes);
 app.use(`${config.api.prefix}/maps`, mapsRoutes);
 // Routes de réservation
@@ -227,6 +253,8 @@ app.use((err, req, res, next) => {
       code: err.code || 'INTERNAL_SERVER_ERROR',
       status: statusCode,
       timestamp: errorDetails.timestamp,
+      // Détails métier explicitement destinés au client (ex: transitions autorisées)
+      ...(err.expose && err.details && { details: err.details }),
       ...(process.env.NODE_ENV === 'development' && {
         stack: err.stack,
         details: err.details
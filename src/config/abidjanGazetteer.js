@@ -0,0 +1,129 @@
+// Répertoire des communes et quartiers du district d'Abidjan, avec des centroïdes approximatifs [longitude, latitude].
+// Sert de repli au géocodage quand Mapbox est indisponible et à l'autocomplétion des quartiers.
+// Les variantes d'écriture courantes (II Plateaux, Zone IV...) sont listées dans aliases.
+
+const COMMUNES = [
+  {
+    name: 'Abobo',
+    center: [-4.0167, 5.4167],
+    quartiers: [
+      { name: 'Abobo Gare', center: [-4.0200, 5.4200] },
+      { name: 'PK 18', center: [-4.0300, 5.4500], aliases: ['PK18'] },
+      { name: 'Avocatier', center: [-4.0450, 5.4300] },
+      { name: 'Anonkoua-Kouté', center: [-4.0550, 5.4350], aliases: ['Anonkoua'] },
+      { name: 'Abobo Baoulé', center: [-3.9950, 5.4300] }
+    ]
+  },
+  {
+    name: 'Adjamé',
+    center: [-4.0228, 5.3667],
+    quartiers: [
+      { name: 'Williamsville', center: [-4.0180, 5.3720] },
+      { name: '220 Logements', center: [-4.0250, 5.3620] },
+      { name: 'Adjamé Liberté', center: [-4.0200, 5.3580] },
+      { name: 'Bracodi', center: [-4.0260, 5.3520] }
+    ]
+  },
+  {
+    name: 'Attécoubé',
+    center: [-4.0450, 5.3400],
+    quartiers: [
+      { name: 'Locodjro', center: [-4.0550, 5.3400] },
+      { name: 'Santé', center: [-4.0400, 5.3350] },
+      { name: 'Agban', center: [-4.0330, 5.3480] }
+    ]
+  },
+  {
+    name: 'Cocody',
+    center: [-3.9700, 5.3600],
+    quartiers: [
+      { name: 'Riviera', center: [-3.9500, 5.3680], aliases: ['Riviera 2', 'Riviera 3', 'Riviera Golf'] },
+      { name: 'Angré', center: [-3.9880, 5.3930] },
+      { name: 'Deux Plateaux', center: [-3.9970, 5.3720], aliases: ['II Plateaux', '2 Plateaux', 'Vallon'] },
+      { name: 'Palmeraie', center: [-3.9300, 5.3720] },
+      { name: 'Blockhauss', center: [-4.0000, 5.3300] },
+      { name: 'Danga', center: [-4.0040, 5.3400] },
+      { name: 'Ambassades', center: [-3.9980, 5.3380] },
+      { name: 'Saint-Jean', center: [-3.9920, 5.3480] },
+      { name: 'Bonoumin', center: [-3.9600, 5.3800] },
+      { name: 'Faya', center: [-3.9150, 5.3800] }
+    ]
+  },
+  {
+    name: 'Koumassi',
+    center: [-3.9480, 5.2970],
+    quartiers: [
+      { name: 'Grand Campement', center: [-3.9300, 5.2950] },
+      { name: 'Sicogi Koumassi', center: [-3.9500, 5.2980], aliases: ['Sicogi'] },
+      { name: 'Koumassi Remblais', center: [-3.9550, 5.3050] }
+    ]
+  },
+  {
+    name: 'Marcory',
+    center: [-3.9830, 5.3030],
+    quartiers: [
+      { name: 'Zone 4', center: [-3.9800, 5.2950], aliases: ['Zone IV'] },
+      { name: 'Biétry', center: [-3.9750, 5.2800] },
+      { name: 'Anoumabo', center: [-3.9650, 5.3000] },
+      { name: 'Marcory Résidentiel', center: [-3.9870, 5.3060] },
+      { name: 'Remblais', center: [-3.9850, 5.3080] }
+    ]
+  },
+  {
+    name: 'Plateau',
+    center: [-4.0170, 5.3230],
+    quartiers: [
+      { name: 'Plateau Centre', center: [-4.0170, 5.3200], aliases: ['Cité administrative'] },
+      { name: 'Indénié', center: [-4.0150, 5.3330] }
+    ]
+  },
+  {
+    name: 'Port-Bouët',
+    center: [-3.9260, 5.2550],
+    quartiers: [
+      { name: 'Vridi', center: [-3.9950, 5.2580] },
+      { name: 'Gonzagueville', center: [-3.8800, 5.2500] },
+      { name: 'Aéroport', center: [-3.9260, 5.2560] },
+      { name: 'Jean Folly', center: [-3.9450, 5.2550] }
+    ]
+  },
+  {
+    name: 'Treichville',
+    center: [-4.0080, 5.2920],
+    quartiers: [
+      { name: 'Arras', center: [-4.0100, 5.2950] },
+      { name: 'Belleville', center: [-4.0030, 5.2880] },
+      { name: 'Zone portuaire', center: [-4.0150, 5.2850] }
+    ]
+  },
+  {
+    name: 'Yopougon',
+    center: [-4.0900, 5.3450],
+    quartiers: [
+      { name: 'Niangon', center: [-4.1100, 5.3320] },
+      { name: 'Selmer', center: [-4.0820, 5.3450] },
+      { name: 'Sideci', center: [-4.0800, 5.3300] },
+      { name: 'Andokoi', center: [-4.0750, 5.3650] },
+      { name: 'Maroc', center: [-4.0730, 5.3380] },
+      { name: 'Toits Rouges', center: [-4.0950, 5.3400] },
+      { name: 'Port-Bouët 2', center: [-4.1000, 5.3550] }
+    ]
+  },
+  {
+    name: 'Bingerville',
+    center: [-3.8900, 5.3550],
+    quartiers: []
+  },
+  {
+    name: 'Anyama',
+    center: [-4.0520, 5.4940],
+    quartiers: []
+  },
+  {
+    name: 'Songon',
+    center: [-4.2550, 5.3080],
+    quartiers: []
+  }
+];
+
+module.exports = { COMMUNES };
@@ -63,6 +63,60 @@ const coverStorage = new CloudinaryStorage({
   },
 });
 
+// Configuration du stockage pour les photos justificatives des litiges
+const disputeStorage = new CloudinaryStorage({
+  cloudinary: cloudinary,
+  params: {
+    folder: 'geopressci/disputes',
+    allowed_formats: ['jpg', 'jpeg', 'png', 'webp'],
+    transformation: [
+      { width: 1600, height: 1600, crop: 'limit', quality: 'auto' },
+      { fetch_format: 'auto' }
+    ],
+    public_id: (req, file) => {
+      const timestamp = Date.now();
+      const userId = req.user?._id || 'unknown';
+      return `dispute_${userId}_${timestamp}_${Math.round(Math.random() * 1E6)}`;
+    },
+  },
+});
+
+// Configuration du stockage pour les photos des vêtements enregistrés à la réception
+const garmentStorage = new CloudinaryStorage({
+  cloudinary: cloudinary,
+  params: {
+    folder: 'geopressci/garments',
+    allowed_formats: ['jpg', 'jpeg', 'png', 'webp'],
+    transformation: [
+      { width: 1000, height: 1000, crop: 'limit', quality: 'auto' },
+      { fetch_format: 'auto' }
+    ],
+    public_id: (req, file) => {
+      const timestamp = Date.now();
+      const orderId = req.params.id || 'unknown';
+      return `garment_${orderId}_${timestamp}`;
+    },
+  },
+});
+
+// Configuration du stockage pour les preuves de remise (photo des vêtements remis, signature du client)
+const handoverStorage = new CloudinaryStorage({
+  cloudinary: cloudinary,
+  params: {
+    folder: 'geopressci/handovers',
+    allowed_formats: ['jpg', 'jpeg', 'png', 'webp'],
+    transformation: [
+      { width: 1600, height: 1600, crop: 'limit', quality: 'auto' },
+      { fetch_format: 'auto' }
+    ],
+    public_id: (req, file) => {
+      const timestamp = Date.now();
+      const targetId = req.params.id || 'unknown';
+      return `handover_${targetId}_${file.fieldname}_${timestamp}`;
+    },
+  },
+});
+
 // Middleware Multer pour différents types d'upload
 const uploadPressing = multer({ 
   storage: pressingStorage,
@@ -106,6 +160,50 @@ const uploadCover = multer({
   }
 });
 
+const uploadDisputeEvidence = multer({
+  storage: disputeStorage,
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB
+    files: 5
+  },
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype.startsWith('image/')) {
+      cb(null, true);
+    } else {
+      cb(new Error('Seules les images sont autorisées'), false);
+    }
+  }
+});
+
+const uploadGarmentPhoto = multer({
+  storage: garmentStorage,
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB
+  },
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype.startsWith('image/')) {
+      cb(null, true);
+    } else {
+      cb(new Error('Seules les images sont autorisées'), false);
+    }
+  }
+});
+
+const uploadHandoverProof = multer({
+  storage: handoverStorage,
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB
+    files: 2
+  },
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype.startsWith('image/')) {
+      cb(null, true);
+    } else {
+      cb(new Error('Seules les images sont autorisées'), false);
+    }
+  }
+});
+
 // Fonction utilitaire pour supprimer une image de Cloudinary
 const deleteImage = async (publicId) => {
   try {
@@ -149,6 +247,9 @@ module.exports = {
   uploadPressing,
   uploadProfile,
   uploadCover,
+  uploadDisputeEvidence,
+  uploadGarmentPhoto,
+  uploadHandoverProof,
   deleteImage,
   extractPublicId,
   optimizeImageUrl,
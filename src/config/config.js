@@ -46,6 +46,17 @@ const config = {
     accessToken: process.env.MAPBOX_ACCESS_TOKEN,
   },
 
+  // Géocodage : cache des réponses Mapbox et repli sur le répertoire des quartiers d'Abidjan
+  geocoding: {
+    cacheTtlDays: parseInt(process.env.GEOCODING_CACHE_TTL_DAYS, 10) || 30,
+    // Adresses introuvables : conservées moins longtemps (nouvelles voies, corrections Mapbox)
+    notFoundTtlHours: parseInt(process.env.GEOCODING_NOT_FOUND_TTL_HOURS, 10) || 6,
+    // Après une panne ou un quota atteint, Mapbox n'est plus appelé pendant ce délai
+    outageCooldownSeconds: parseInt(process.env.GEOCODING_OUTAGE_COOLDOWN_SECONDS, 10) || 120,
+    // Distance maximale au quartier le plus proche pour le géocodage inverse hors ligne
+    gazetteerMaxKm: parseFloat(process.env.GEOCODING_GAZETTEER_MAX_KM) || 5,
+  },
+
   // Google Maps API (deprecated - utiliser Mapbox)
   googleMaps: {
     apiKey: process.env.GOOGLE_MAPS_API_KEY,
@@ -77,6 +88,210 @@ const config = {
     },
   },
 
+  // Configuration des paiements Mobile Money
+  payments: {
+    // 'live' appelle les opérateurs, 'sandbox' utilise l'adaptateur local déterministe
+    mode: process.env.PAYMENT_MODE || (process.env.NODE_ENV === 'production' ? 'live' : 'sandbox'),
+    currency: process.env.PAYMENT_CURRENCY || 'XOF',
+    callbackUrl: process.env.PAYMENT_CALLBACK_URL || `${process.env.API_URL || 'http://localhost:5002'}/api/v1/payments/webhook`,
+    returnUrl: process.env.PAYMENT_RETURN_URL || `${process.env.FRONTEND_URL || 'https://geopressci.com'}/payment/return`,
+    cancelUrl: process.env.PAYMENT_CANCEL_URL || `${process.env.FRONTEND_URL || 'https://geopressci.com'}/payment/cancel`,
+    requestTimeout: parseInt(process.env.PAYMENT_REQUEST_TIMEOUT, 10) || 15000,
+    providers: {
+      orange: {
+        baseUrl: process.env.ORANGE_MONEY_BASE_URL || 'https://api.orange.com',
+        clientId: process.env.ORANGE_MONEY_CLIENT_ID,
+        clientSecret: process.env.ORANGE_MONEY_CLIENT_SECRET,
+        merchantKey: process.env.ORANGE_MONEY_MERCHANT_KEY,
+      },
+      mtn: {
+        baseUrl: process.env.MTN_MOMO_BASE_URL || 'https://proxy.momoapi.mtn.com',
+        collectionSubscriptionKey: process.env.MTN_MOMO_COLLECTION_KEY,
+        disbursementSubscriptionKey: process.env.MTN_MOMO_DISBURSEMENT_KEY,
+        apiUser: process.env.MTN_MOMO_API_USER,
+        apiKey: process.env.MTN_MOMO_API_KEY,
+        targetEnvironment: process.env.MTN_MOMO_TARGET_ENV || 'mtnivorycoast',
+      },
+      moov: {
+        baseUrl: process.env.MOOV_MONEY_BASE_URL,
+        username: process.env.MOOV_MONEY_USERNAME,
+        password: process.env.MOOV_MONEY_PASSWORD,
+        merchantId: process.env.MOOV_MONEY_MERCHANT_ID,
+      },
+      wave: {
+        baseUrl: process.env.WAVE_BASE_URL || 'https://api.wave.com',
+        apiKey: process.env.WAVE_API_KEY,
+      },
+    },
+    webhooks: {
+      // Écart maximal accepté entre l'horodatage signé et la réception (en secondes)
+      toleranceSeconds: parseInt(process.env.PAYMENT_WEBHOOK_TOLERANCE, 10) || 300,
+      // Délai après lequel un événement resté en traitement (arrêt du serveur) peut être rejoué (en minutes)
+      processingTimeoutMinutes: parseInt(process.env.PAYMENT_WEBHOOK_PROCESSING_TIMEOUT, 10) || 10,
+      // Secrets HMAC partagés avec chaque opérateur
+      secrets: {
+        orange: process.env.ORANGE_MONEY_WEBHOOK_SECRET,
+        mtn: process.env.MTN_MOMO_WEBHOOK_SECRET,
+        moov: process.env.MOOV_MONEY_WEBHOOK_SECRET,
+        wave: process.env.WAVE_WEBHOOK_SECRET,
+      },
+      // Secret utilisé pour tous les opérateurs en mode sandbox (obligatoire dans ce mode, cf. server.js)
+      sandboxSecret: process.env.PAYMENT_SANDBOX_WEBHOOK_SECRET,
+    },
+    // Porte-monnaie client
+    wallet: {
+      minTopup: parseInt(process.env.WALLET_MIN_TOPUP, 10) || 500,
+      maxBalance: parseInt(process.env.WALLET_MAX_BALANCE, 10) || 1000000,
+    },
+  },
+
+  // Reversements aux pressings
+  payouts: {
+    // Calcul des reversements (par défaut chaque lundi à 02:00)
+    schedule: process.env.PAYOUT_SCHEDULE || '0 2 * * 1',
+    // Suivi des reversements en cours auprès des opérateurs
+    refreshSchedule: process.env.PAYOUT_REFRESH_SCHEDULE || '0 * * * *',
+    // Délai après la fin d'une commande avant qu'elle soit reversée (réclamations, remboursements)
+    holdDays: parseInt(process.env.PAYOUT_HOLD_DAYS, 10) || 2,
+    // Montant minimal d'un reversement, le solde est reporté sinon
+    minimumAmount: parseInt(process.env.PAYOUT_MINIMUM_AMOUNT, 10) || 1000,
+  },
+
+  // Facturation récurrente des abonnements des pressings
+  subscriptionBilling: {
+    // Relances après un prélèvement refusé, en jours après l'échéance
+    retryScheduleDays: (process.env.SUBSCRIPTION_RETRY_DAYS || '1,3,5')
+      .split(',')
+      .map(Number)
+      .filter(days => days > 0),
+    // Délai de grâce après l'échéance avant la suspension du compte
+    graceDays: parseInt(process.env.SUBSCRIPTION_GRACE_DAYS, 10) || 7,
+  },
+
+  // Factures et avoirs légaux
+  invoicing: {
+    // Mentions de la plateforme, émettrice des factures d'abonnement
+    platform: {
+      legalName: process.env.INVOICE_LEGAL_NAME || 'GeoPressCI',
+      address: process.env.INVOICE_ADDRESS || 'Abidjan, Côte d\'Ivoire',
+      email: process.env.INVOICE_EMAIL || process.env.EMAIL_FROM_ADDRESS || 'no-reply@geopressci.ci',
+      phone: process.env.INVOICE_PHONE || '',
+      // Numéro de compte contribuable (NCC) et registre du commerce (RCCM)
+      taxId: process.env.INVOICE_TAX_ID || '',
+      tradeRegister: process.env.INVOICE_TRADE_REGISTER || '',
+    },
+    // TVA incluse dans le prix des formules d'abonnement (en %)
+    subscriptionVatRate: process.env.SUBSCRIPTION_VAT_RATE !== undefined
+      ? parseFloat(process.env.SUBSCRIPTION_VAT_RATE)
+      : (process.env.VAT_RATE !== undefined ? parseFloat(process.env.VAT_RATE) : 18),
+  },
+
+  // Demandes de remboursement
+  refunds: {
+    // Au-delà de ce montant, seule l'administration peut approuver un remboursement
+    adminApprovalThreshold: parseInt(process.env.REFUND_ADMIN_APPROVAL_THRESHOLD, 10) || 10000,
+  },
+
+  // Litiges (articles abîmés, perdus...)
+  disputes: {
+    // Délai après la fin de la commande pour ouvrir un litige
+    openWindowDays: parseInt(process.env.DISPUTE_OPEN_WINDOW_DAYS, 10) || 14,
+    // Délai de première réponse du pressing, au-delà le litige est transmis à l'administration
+    responseHours: parseInt(process.env.DISPUTE_RESPONSE_HOURS, 10) || 48,
+    // Délai de résolution
+    resolutionHours: parseInt(process.env.DISPUTE_RESOLUTION_HOURS, 10) || 120,
+    // Contrôle des délais
+    slaSchedule: process.env.DISPUTE_SLA_SCHEDULE || '*/30 * * * *',
+  },
+
+  // Devis des articles chiffrés après inspection (robes de mariée, cuir, tapis...)
+  quotes: {
+    // Durée de validité d'un devis émis par le pressing
+    validityHours: parseInt(process.env.QUOTE_VALIDITY_HOURS, 10) || 72,
+    // Expiration des devis sans réponse
+    expirySchedule: process.env.QUOTE_EXPIRY_SCHEDULE || '*/15 * * * *',
+  },
+
+  // Panier persistant côté serveur (commande brouillon partagée entre appareils)
+  cart: {
+    // Suppression du panier après cette durée d'inactivité (index TTL sur expiresAt)
+    ttlDays: parseInt(process.env.CART_TTL_DAYS, 10) || 7,
+    // Délai d'inactivité avant la relance du panier abandonné
+    reminderHours: parseInt(process.env.CART_REMINDER_HOURS, 10) || 24,
+    // Relance des paniers abandonnés
+    reminderSchedule: process.env.CART_REMINDER_SCHEDULE || '0 * * * *',
+  },
+
+  // Courses de collecte et de livraison assurées par les livreurs des pressings
+  deliveries: {
+    // Attribution automatique des nouvelles courses au livreur disponible le moins chargé
+    autoAssign: process.env.DELIVERY_AUTO_ASSIGN !== 'false',
+    // Tentatives infructueuses (client absent...) avant l'échec de la course
+    maxAttempts: parseInt(process.env.DELIVERY_MAX_ATTEMPTS, 10) || 3,
+    // Courses en cours au-delà desquelles un livreur n'est plus proposé automatiquement
+    maxActiveJobsPerRider: parseInt(process.env.RIDER_MAX_ACTIVE_JOBS, 10) || 5,
+    // Positions GPS conservées sur chaque course (trajet servant de preuve)
+    trailSize: parseInt(process.env.RIDER_TRAIL_SIZE, 10) || 500,
+    // Délai minimal entre deux recalculs de l'heure d'arrivée (appels Mapbox)
+    etaRefreshSeconds: parseInt(process.env.DELIVERY_ETA_REFRESH_SECONDS, 10) || 60,
+    // Planification des tournées : capacité par défaut (articles), temps passé à chaque arrêt,
+    // et vitesse moyenne / détour appliqués aux distances à vol d'oiseau quand Mapbox est indisponible
+    roundCapacity: parseInt(process.env.DELIVERY_ROUND_CAPACITY, 10) || 30,
+    roundServiceMinutes: parseInt(process.env.DELIVERY_ROUND_SERVICE_MINUTES, 10) || 5,
+    roundSpeedKmh: parseFloat(process.env.DELIVERY_ROUND_SPEED_KMH) || 20,
+    roundDetourFactor: parseFloat(process.env.DELIVERY_ROUND_DETOUR_FACTOR) || 1.3,
+    // Distances routières Mapbox (pressing -> point de livraison arrondi) conservées entre deux tarifications
+    distanceCacheTtlHours: parseInt(process.env.DELIVERY_DISTANCE_CACHE_TTL_HOURS, 10) || 168,
+    // Aperçu public des frais de livraison : requêtes par adresse IP et par fenêtre
+    pricePreviewRateLimit: {
+      windowMs: 60 * 1000,
+      max: parseInt(process.env.DELIVERY_PRICE_PREVIEW_RATE_LIMIT, 10) || 30,
+    },
+  },
+
+  // Tarification de la livraison par défaut (complétée par deliveryOptions.pricing de chaque pressing)
+  deliveryPricing: {
+    // Tranches de distance (trajet routier) : la première tranche qui contient la distance fixe les frais ;
+    // une tranche sans limite (upToKm: null) couvre toutes les distances au-delà
+    distanceBands: [
+      { upToKm: 3, fee: 1000 },
+      { upToKm: 6, fee: 1500 },
+      { upToKm: 10, fee: 2000 },
+      { upToKm: null, fee: 3000 },
+    ],
+    // Forfait des pressings non géolocalisés (XOF)
+    flatFee: parseInt(process.env.DELIVERY_FLAT_FEE, 10) || 1000,
+    // Supplément des livraisons express (XOF)
+    expressSurcharge: parseInt(process.env.DELIVERY_EXPRESS_SURCHARGE, 10) || 1000,
+    // Majoration aux heures de pointe (heure locale), appliquée aux frais de distance
+    peakHours: [
+      { start: '07:00', end: '09:30', multiplier: 1.25 },
+      { start: '17:00', end: '20:00', multiplier: 1.25 },
+    ],
+    // Majoration du samedi et du dimanche, appliquée aux frais de distance
+    weekendMultiplier: parseFloat(process.env.DELIVERY_WEEKEND_MULTIPLIER) || 1.2,
+    timezone: 'Africa/Abidjan',
+  },
+
+  // Remise des vêtements contre le code à usage unique envoyé au client
+  handover: {
+    // Validité du code de remise
+    codeTtlHours: parseInt(process.env.HANDOVER_CODE_TTL_HOURS, 10) || 24,
+    // Codes erronés acceptés avant qu'un nouveau code soit nécessaire
+    maxCodeAttempts: parseInt(process.env.HANDOVER_MAX_CODE_ATTEMPTS, 10) || 5,
+    // Délai minimal entre deux envois du code au client
+    resendCooldownSeconds: parseInt(process.env.HANDOVER_RESEND_COOLDOWN_SECONDS, 10) || 60,
+  },
+
+  // Frais et commissions appliqués en l'absence de règle active (taux en %)
+  fees: {
+    defaults: {
+      commission: process.env.PLATFORM_COMMISSION_RATE !== undefined ? parseFloat(process.env.PLATFORM_COMMISSION_RATE) : 0,
+      service_fee: process.env.SERVICE_FEE_RATE !== undefined ? parseFloat(process.env.SERVICE_FEE_RATE) : 5,
+      vat: process.env.VAT_RATE !== undefined ? parseFloat(process.env.VAT_RATE) : 18,
+    },
+  },
+
   // Configuration des notifications
   notifications: {
     // Activer/désactiver les notifications
@@ -0,0 +1,217 @@
+/**
+ * Cycle de vie des commandes
+ * Définit les statuts, les transitions autorisées et les acteurs habilités à les déclencher
+ */
+
+// Statuts d'une commande
+const ORDER_STATUS = {
+  DRAFT: 'draft',
+  PENDING: 'pending',
+  CONFIRMED: 'confirmed',
+  PROCESSING: 'processing',
+  READY_FOR_PICKUP: 'ready_for_pickup',
+  OUT_FOR_DELIVERY: 'out_for_delivery',
+  COMPLETED: 'completed',
+  ON_HOLD: 'on_hold',
+  CANCELLED: 'cancelled',
+  REFUNDED: 'refunded'
+};
+
+// Acteurs pouvant déclencher une transition (valeurs de statusHistory.changedBy)
+const ORDER_ACTORS = {
+  SYSTEM: 'system',
+  CUSTOMER: 'customer',
+  PRESSING: 'pressing',
+  ADMIN: 'admin',
+  RIDER: 'rider'
+};
+
+const { SYSTEM, CUSTOMER, PRESSING, ADMIN, RIDER } = ORDER_ACTORS;
+
+// Statuts finaux : aucune transition sortante hormis le remboursement
+const TERMINAL_STATUSES = [
+  ORDER_STATUS.COMPLETED,
+  ORDER_STATUS.CANCELLED,
+  ORDER_STATUS.REFUNDED
+];
+
+// Transitions autorisées : statut source -> statut cible -> acteurs habilités
+const transitions = {
+  [ORDER_STATUS.DRAFT]: {
+    [ORDER_STATUS.PENDING]: [CUSTOMER, SYSTEM],
+    [ORDER_STATUS.CANCELLED]: [CUSTOMER, SYSTEM, ADMIN]
+  },
+  [ORDER_STATUS.PENDING]: {
+    [ORDER_STATUS.CONFIRMED]: [PRESSING, ADMIN, SYSTEM],
+    [ORDER_STATUS.ON_HOLD]: [PRESSING, ADMIN],
+    [ORDER_STATUS.CANCELLED]: [CUSTOMER, PRESSING, ADMIN, SYSTEM]
+  },
+  [ORDER_STATUS.CONFIRMED]: {
+    [ORDER_STATUS.PROCESSING]: [PRESSING, ADMIN, SYSTEM],
+    [ORDER_STATUS.ON_HOLD]: [PRESSING, ADMIN],
+    [ORDER_STATUS.CANCELLED]: [CUSTOMER, PRESSING, ADMIN, SYSTEM]
+  },
+  [ORDER_STATUS.PROCESSING]: {
+    [ORDER_STATUS.READY_FOR_PICKUP]: [PRESSING, ADMIN, SYSTEM],
+    [ORDER_STATUS.OUT_FOR_DELIVERY]: [PRESSING, ADMIN, SYSTEM],
+    [ORDER_STATUS.ON_HOLD]: [PRESSING, ADMIN],
+    [ORDER_STATUS.CANCELLED]: [PRESSING, ADMIN, SYSTEM]
+  },
+  [ORDER_STATUS.READY_FOR_PICKUP]: {
+    // Le livreur prend en charge la commande au pressing
+    [ORDER_STATUS.OUT_FOR_DELIVERY]: [PRESSING, ADMIN, SYSTEM, RIDER],
+    [ORDER_STATUS.COMPLETED]: [PRESSING, ADMIN, SYSTEM],
+    [ORDER_STATUS.ON_HOLD]: [PRESSING, ADMIN]
+  },
+  [ORDER_STATUS.OUT_FOR_DELIVERY]: {
+    [ORDER_STATUS.COMPLETED]: [PRESSING, ADMIN, SYSTEM, RIDER],
+    [ORDER_STATUS.ON_HOLD]: [PRESSING, ADMIN]
+  },
+  [ORDER_STATUS.ON_HOLD]: {
+    // La reprise n'est possible que vers le statut précédant la mise en attente (cf. guards)
+    [ORDER_STATUS.PENDING]: [PRESSING, ADMIN],
+    [ORDER_STATUS.CONFIRMED]: [PRESSING, ADMIN],
+    [ORDER_STATUS.PROCESSING]: [PRESSING, ADMIN],
+    [ORDER_STATUS.READY_FOR_PICKUP]: [PRESSING, ADMIN],
+    [ORDER_STATUS.OUT_FOR_DELIVERY]: [PRESSING, ADMIN],
+    [ORDER_STATUS.CANCELLED]: [PRESSING, ADMIN, SYSTEM]
+  },
+  [ORDER_STATUS.COMPLETED]: {
+    [ORDER_STATUS.REFUNDED]: [ADMIN, SYSTEM]
+  },
+  [ORDER_STATUS.CANCELLED]: {
+    [ORDER_STATUS.REFUNDED]: [ADMIN, SYSTEM]
+  },
+  [ORDER_STATUS.REFUNDED]: {}
+};
+
+/**
+ * Retrouve le statut actif avant la dernière mise en attente
+ * @param {Object} order - Commande
+ * @returns {string|null} - Statut précédant le passage en on_hold
+ */
+const getStatusBeforeHold = (order) => {
+  const history = order.statusHistory || [];
+  for (let i = history.length - 1; i > 0; i--) {
+    if (history[i].status === ORDER_STATUS.ON_HOLD) {
+      return history[i - 1].status;
+    }
+  }
+  return null;
+};
+
+// Un remboursement suppose un paiement effectivement encaissé
+const requireCapturedPayment = (order) => {
+  const paymentStatus = order.payment && order.payment.status;
+  if (!['captured', 'partially_refunded'].includes(paymentStatus)) {
+    return 'Aucun paiement encaissé à rembourser pour cette commande';
+  }
+  return null;
+};
+
+// Une commande sur devis n'est confirmée qu'une fois le devis accepté par le client
+const requireAcceptedQuote = (order) => {
+  if (order.pricingMode !== 'quote') return null;
+  if (!order.quote || order.quote.status !== 'accepted') {
+    return 'Le devis de cette commande doit être accepté par le client';
+  }
+  return null;
+};
+
+// Une commande en livraison n'est terminée qu'avec la preuve de remise au client (code à usage unique)
+// L'administration peut passer outre pour arbitrer un litige.
+const requireDeliveryProof = (order, to, actor) => {
+  if (actor === ADMIN) return null;
+  if (!order.delivery || !order.delivery.proof) {
+    return 'La remise au client doit être confirmée par son code de remise';
+  }
+  return null;
+};
+
+// Conditions supplémentaires évaluées sur la commande, indexées par "source->cible"
+// Chaque garde retourne null si la transition est permise, sinon la raison du refus
+const guards = {
+  [`${ORDER_STATUS.ON_HOLD}->*`]: (order, to) => {
+    if (to === ORDER_STATUS.CANCELLED) return null;
+    const previous = getStatusBeforeHold(order);
+    if (previous && previous !== to) {
+      return `La commande ne peut reprendre qu'au statut précédant la mise en attente (${previous})`;
+    }
+    return null;
+  },
+  [`${ORDER_STATUS.PENDING}->${ORDER_STATUS.CONFIRMED}`]: (order) => requireAcceptedQuote(order),
+  [`${ORDER_STATUS.OUT_FOR_DELIVERY}->${ORDER_STATUS.COMPLETED}`]: requireDeliveryProof,
+  // Une commande en livraison ne peut contourner la remise en passant directement de prête à terminée
+  [`${ORDER_STATUS.READY_FOR_PICKUP}->${ORDER_STATUS.COMPLETED}`]: (order, to, actor) =>
+    (order.serviceType === 'delivery' ? requireDeliveryProof(order, to, actor) : null),
+  [`${ORDER_STATUS.CANCELLED}->${ORDER_STATUS.REFUNDED}`]: (order) => requireCapturedPayment(order),
+  [`${ORDER_STATUS.COMPLETED}->${ORDER_STATUS.REFUNDED}`]: (order) => requireCapturedPayment(order)
+};
+
+/**
+ * Liste les statuts atteignables depuis un statut donné
+ * @param {string} from - Statut source
+ * @param {string} [actor] - Acteur (si fourni, filtre sur ses droits)
+ * @returns {string[]} - Statuts cibles autorisés
+ */
+const getAllowedTransitions = (from, actor) => {
+  const targets = transitions[from] || {};
+  return Object.keys(targets).filter(to => !actor || targets[to].includes(actor));
+};
+
+/**
+ * Vérifie une transition et retourne la raison du refus le cas échéant
+ * @param {Object} order - Commande (doit exposer status, statusHistory et payment)
+ * @param {string} to - Statut cible
+ * @param {string} actor - Acteur déclenchant la transition
+ * @returns {{ allowed: boolean, reason?: string, code?: string }}
+ */
+const checkTransition = (order, to, actor) => {
+  const from = order.status;
+
+  if (!Object.values(ORDER_STATUS).includes(to)) {
+    return { allowed: false, code: 'UNKNOWN_ORDER_STATUS', reason: `Statut de commande inconnu: ${to}` };
+  }
+
+  const targets = transitions[from] || {};
+  if (!targets[to]) {
+    return { allowed: false, code: 'INVALID_ORDER_TRANSITION', reason: `Transition interdite de ${from} vers ${to}` };
+  }
+
+  if (!targets[to].includes(actor)) {
+    return { allowed: false, code: 'ORDER_TRANSITION_FORBIDDEN', reason: `L'acteur ${actor} ne peut pas passer la commande de ${from} à ${to}` };
+  }
+
+  const guard = guards[`${from}->${to}`] || guards[`${from}->*`];
+  const reason = guard ? guard(order, to, actor) : null;
+  if (reason) {
+    return { allowed: false, code: 'ORDER_TRANSITION_GUARD_FAILED', reason };
+  }
+
+  return { allowed: true };
+};
+
+/**
+ * Convertit le rôle d'un utilisateur authentifié en acteur du cycle de vie
+ * @param {string} role - Rôle (client, pressing, admin...)
+ * @returns {string|null} - Acteur, ou null si le rôle n'intervient pas sur les commandes
+ */
+const actorFromRole = (role) => {
+  const normalizedRole = (role || '').toLowerCase();
+  if (normalizedRole === 'client') return CUSTOMER;
+  if (normalizedRole === 'pressing') return PRESSING;
+  if (['admin', 'super_admin'].includes(normalizedRole)) return ADMIN;
+  if (normalizedRole === 'rider') return RIDER;
+  return null;
+};
+
+module.exports = {
+  ORDER_STATUS,
+  ORDER_ACTORS,
+  TERMINAL_STATUSES,
+  transitions,
+  getAllowedTransitions,
+  getStatusBeforeHold,
+  checkTransition,
+  actorFromRole
+};
@@ -9,6 +9,7 @@ const ROLES = {
   ADMIN: 'admin',
   PRESSING: 'pressing',
   CLIENT: 'client',  
+  RIDER: 'rider',
   GUEST: 'guest'
 };
 
@@ -47,7 +48,13 @@ const PERMISSIONS = {
   PROMOTIONS_MANAGE: 'promotions:manage',
   
   // Content
-  CONTENT_MANAGE: 'content:manage'
+  CONTENT_MANAGE: 'content:manage',
+
+  // Livreurs et courses de collecte / livraison
+  RIDERS_MANAGE: 'riders:manage',
+  DELIVERIES_READ: 'deliveries:read',
+  DELIVERIES_ASSIGN: 'deliveries:assign',
+  DELIVERIES_UPDATE: 'deliveries:update'
 };
 
 // Role definitions with their permissions
@@ -69,7 +76,10 @@ const rolePermissions = {
     PERMISSIONS.REPORTS_VIEW,
     PERMISSIONS.NOTIFICATIONS_SEND,
     PERMISSIONS.PROMOTIONS_MANAGE,
-    PERMISSIONS.CONTENT_MANAGE
+    PERMISSIONS.CONTENT_MANAGE,
+    PERMISSIONS.RIDERS_MANAGE,
+    PERMISSIONS.DELIVERIES_READ,
+    PERMISSIONS.DELIVERIES_ASSIGN
   ],
   [ROLES.ADMIN]: [
     PERMISSIONS.USERS_READ,
@@ -80,17 +90,26 @@ const rolePermissions = {
     PERMISSIONS.BILLING_READ,
     PERMISSIONS.REPORTS_VIEW,
     PERMISSIONS.NOTIFICATIONS_SEND,
-    PERMISSIONS.PROMOTIONS_MANAGE
+    PERMISSIONS.PROMOTIONS_MANAGE,
+    PERMISSIONS.DELIVERIES_READ,
+    PERMISSIONS.DELIVERIES_ASSIGN
   ],
   [ROLES.PRESSING]: [
     PERMISSIONS.PRESSINGS_READ,
     PERMISSIONS.PRESSINGS_WRITE,
-    PERMISSIONS.BILLING_READ
+    PERMISSIONS.BILLING_READ,
+    PERMISSIONS.RIDERS_MANAGE,
+    PERMISSIONS.DELIVERIES_READ,
+    PERMISSIONS.DELIVERIES_ASSIGN
   ],
   [ROLES.CLIENT]: [
     PERMISSIONS.USERS_READ,
     PERMISSIONS.USERS_WRITE
   ],
+  [ROLES.RIDER]: [
+    PERMISSIONS.DELIVERIES_READ,
+    PERMISSIONS.DELIVERIES_UPDATE
+  ],
   [ROLES.GUEST]: []
 };
 
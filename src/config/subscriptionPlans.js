@@ -0,0 +1,78 @@
+// Formules proposées au premier démarrage, avant toute modification du catalogue par l'administration.
+// Le catalogue fait ensuite foi (modèle SubscriptionPlan) : ces valeurs ne sont plus relues une fois insérées.
+
+const DEFAULT_PLANS = [
+  {
+    code: 'essai',
+    name: 'Essai gratuit',
+    description: '30 jours pour découvrir la plateforme',
+    price: 0,
+    billingCycle: 'monthly',
+    trialDays: 30,
+    sortOrder: 0,
+    entitlements: {
+      maxServices: 10,
+      maxGalleryPhotos: 5,
+      maxDeliveryZones: 1,
+      staffSeats: 1,
+      maxOrdersPerMonth: 100,
+      promotions: false,
+      advancedStats: false,
+      prioritySupport: false
+    }
+  },
+  {
+    code: 'mensuel',
+    name: 'Standard mensuel',
+    price: 5000,
+    billingCycle: 'monthly',
+    sortOrder: 1,
+    entitlements: {
+      maxServices: 30,
+      maxGalleryPhotos: 20,
+      maxDeliveryZones: 3,
+      staffSeats: 2,
+      maxOrdersPerMonth: 500,
+      promotions: true,
+      advancedStats: false,
+      prioritySupport: false
+    }
+  },
+  {
+    code: 'annuel',
+    name: 'Standard annuel',
+    description: 'Deux mois offerts par rapport au mensuel',
+    price: 50000,
+    billingCycle: 'yearly',
+    sortOrder: 2,
+    entitlements: {
+      maxServices: 30,
+      maxGalleryPhotos: 20,
+      maxDeliveryZones: 3,
+      staffSeats: 2,
+      maxOrdersPerMonth: 500,
+      promotions: true,
+      advancedStats: false,
+      prioritySupport: false
+    }
+  },
+  {
+    code: 'premium',
+    name: 'Premium mensuel',
+    price: 12000,
+    billingCycle: 'monthly',
+    sortOrder: 3,
+    entitlements: {
+      maxServices: null,
+      maxGalleryPhotos: 60,
+      maxDeliveryZones: 10,
+      staffSeats: 5,
+      maxOrdersPerMonth: null,
+      promotions: true,
+      advancedStats: true,
+      prioritySupport: true
+    }
+  }
+];
+
+module.exports = { DEFAULT_PLANS };
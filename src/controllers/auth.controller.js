@@ -6,12 +6,14 @@ const Admin = require('../models/admin.model');
 const User = require('../models/user.model').User;
 const Client = require('../models/client.model');
 const Pressing = require('../models/pressing.model');
+const Rider = require('../models/rider.model');
 const config = require('../config/config');
 const logger = require('../utils/logger');
-const { getGeocode } = require('../services/geocoding.service');
+const geocodingService = require('../services/geocoding.service');
+const gazetteerService = require('../services/gazetteer.service');
 const notificationController = require('./notification.controller');
 const ApiError = require('../utils/ApiError');
-const { catchAsync } = require('../utils/error.utils');
+const { catchAsync, BadRequestError } = require('../utils/error.utils');
 const httpStatus = require('http-status');
 
 // Constantes pour les statuts utilisateur
@@ -26,7 +28,8 @@ const USER_STATUS = {
 const USER_TYPES = {
   CLIENT: 'client',
   PRESSING: 'pressing',
-  ADMIN: 'admin'
+  ADMIN: 'admin',
+  RIDER: 'rider'
 };
 
 // Générer un JWT
@@ -48,6 +51,11 @@ const generateToken = (user) => {
       payload.pressingId = user.pressing;
     }
   }
+
+  // Un livreur agit pour le compte du pressing dont il fait partie de la flotte
+  if (user.role === 'rider') {
+    payload.pressingId = user.pressing;
+  }
   
   // Options du token
   const options = {
@@ -147,7 +155,7 @@ const registerClient = async (req, res, next) => {
     // Obtenir les coordonnées géographiques à partir de l'adresse
     let coordinates = [0, 0]; // Valeurs par défaut
     try {
-      const location = await getGeocode(adresse);
+      const location = await geocodingService.getGeocode(adresse);
       if (location) {
         coordinates = [location.lng, location.lat];
       } else {
@@ -289,47 +297,33 @@ const registerPressing = async (req, res, next) => {
     console.log('✅ Email disponible, poursuite de l\'inscription');
 
     // Gestion des coordonnées géographiques
-    let finalCoordinates = [0, 0];
+    let finalCoordinates = null;
     
     // Priorité aux coordonnées du frontend (géolocalisation forcée)
-    if (coordinates && coordinates.lat && coordinates.lng) {
-      finalCoordinates = [coordinates.lng, coordinates.lat];
+    if (coordinates && coordinates.lat !== undefined && coordinates.lng !== undefined) {
+      finalCoordinates = [Number(coordinates.lng), Number(coordinates.lat)];
       console.log('📍 Coordonnées du frontend utilisées:', finalCoordinates);
     } else {
-      // Fallback: géocodage de l'adresse
+      // Fallback: géocodage de l'adresse (Mapbox, cache ou quartier d'Abidjan cité dans l'adresse)
       try {
-        const location = await getGeocode(adresse);
+        const location = await geocodingService.getGeocode(adresse);
         if (location) {
           finalCoordinates = [location.lng, location.lat];
-          console.log('🌍 Coordonnées géocodées:', finalCoordinates);
+          console.log('🌍 Coordonnées géocodées:', finalCoordinates, location.source);
         }
       } catch (error) {
         logger.error('Erreur lors de la géolocalisation du pressing:', error);
-        // Coordonnées par défaut pour Abidjan si tout échoue
-        finalCoordinates = [-4.0267, 5.3364]; // Cocody par défaut
-        console.log('⚠️ Coordonnées par défaut utilisées:', finalCoordinates);
       }
     }
 
-    // Détecter le quartier basé sur les coordonnées
-    const detectDistrict = (lat, lng) => {
-      // Yopougon
-      if (lat >= 5.32 && lat <= 5.36 && lng >= -4.12 && lng <= -4.08) return 'Yopougon';
-      // Cocody
-      if (lat >= 5.35 && lat <= 5.38 && lng >= -4.02 && lng <= -3.98) return 'Cocody';
-      // Plateau
-      if (lat >= 5.31 && lat <= 5.33 && lng >= -4.04 && lng <= -4.02) return 'Plateau';
-      // Adjamé
-      if (lat >= 5.34 && lat <= 5.36 && lng >= -4.05 && lng <= -4.03) return 'Adjamé';
-      // Treichville
-      if (lat >= 5.28 && lat <= 5.31 && lng >= -4.04 && lng <= -4.01) return 'Treichville';
-      // Marcory
-      if (lat >= 5.28 && lat <= 5.31 && lng >= -4.01 && lng <= -3.98) return 'Marcory';
-      // Défaut
-      return 'Abidjan';
-    };
-    
-    const detectedDistrict = detectDistrict(finalCoordinates[1], finalCoordinates[0]);
+    // Pas de position par défaut : le pressing serait mal placé dans la recherche et les zones de livraison
+    if (!finalCoordinates) {
+      throw new BadRequestError('Adresse du pressing introuvable : précisez-la ou indiquez la position du pressing sur la carte');
+    }
+
+    // Commune la plus proche dans le répertoire des quartiers d'Abidjan
+    const nearestPlace = gazetteerService.nearest(finalCoordinates[1], finalCoordinates[0], config.geocoding.gazetteerMaxKm);
+    const detectedDistrict = nearestPlace ? nearestPlace.district : 'Abidjan';
     console.log('🏘️ Quartier détecté:', detectedDistrict);
     
     // Préparer les données du pressing (discriminator de User)
@@ -506,6 +500,9 @@ const login = async (req, res, next) => {
       // Le modèle Admin est séparé
       user = await Admin.findOne({ email }).select('+password');
       console.log('👤 Admin trouvé:', user ? 'OUI' : 'NON');
+    } else if (userType === 'rider') {
+      // Les comptes livreurs sont créés par leur pressing
+      user = await Rider.findOne({ email }).select('+password');
     } else {
       // Pour les clients et pressings, essayons d'abord avec le modèle Client directement
       console.log('📋 Recherche avec modèle Client...');
@@ -1,4 +1,11 @@
+const mongoose = require('mongoose');
 const Pressing = require('../models/pressing.model');
+const SubscriptionInvoice = require('../models/subscriptionInvoice.model');
+const { Abonnement } = require('../models/abonnement.model');
+const subscriptionBillingService = require('../services/subscriptionBilling.service');
+const subscriptionPlanService = require('../services/subscriptionPlan.service');
+const entitlementService = require('../services/entitlement.service');
+const invoiceService = require('../services/invoice.service');
 const { ErrorResponse, NotFoundError, BadRequestError } = require('../utils/error.utils');
 const notificationController = require('./notification.controller');
 const logger = require('../utils/logger');
@@ -90,18 +97,41 @@ const logger = require('../utils/logger');
  */
 const getBillingHistory = async (req, res, next) => {
   try {
-    const pressing = await Pressing.findById(req.user.id).select('paymentHistory subscriptionPlan nextBillingDate');
-    
-    if (!pressing) {
-      throw new NotFoundError('Pressing non trouvé');
-    }
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), 100);
+
+    const [abonnement, history, paid] = await Promise.all([
+      Abonnement.findOne({ pressing: req.user.id }).select('plan amount devise billingCycle status nextBillingDate'),
+      subscriptionBillingService.listInvoices(req.user.id, { page, limit }),
+      SubscriptionInvoice.aggregate([
+        { $match: { pressing: new mongoose.Types.ObjectId(String(req.user.id)), status: 'paid' } },
+        { $group: { _id: null, totalPaid: { $sum: '$amount' }, count: { $sum: 1 }, lastPaidAt: { $max: '$paidAt' } } }
+      ])
+    ]);
+    const legalInvoices = await invoiceService.legalInvoicesFor(history.invoices.map(invoice => invoice._id));
 
     res.json({
       success: true,
       data: {
-        paymentHistory: pressing.paymentHistory,
-        currentPlan: pressing.subscriptionPlan,
-        nextBillingDate: pressing.nextBillingDate,
+        paymentHistory: history.invoices.map(invoice => ({
+          ...invoice.toObject(),
+          legalInvoice: legalInvoices[invoice._id] || null
+        })),
+        currentPlan: abonnement ? {
+          name: abonnement.plan,
+          price: abonnement.amount,
+          currency: abonnement.devise,
+          interval: abonnement.billingCycle,
+          status: abonnement.status
+        } : null,
+        nextBillingDate: abonnement ? abonnement.nextBillingDate : null,
+        stats: {
+          totalPaid: paid.length ? paid[0].totalPaid : 0,
+          currency: abonnement ? abonnement.devise : 'XOF',
+          invoicesCount: paid.length ? paid[0].count : 0,
+          lastInvoiceDate: paid.length ? paid[0].lastPaidAt : null
+        },
+        pagination: { page: history.page, pages: history.pages, total: history.total }
       },
     });
   } catch (error) {
@@ -511,18 +541,19 @@ const resumeSubscription = async (req, res, next) => {
  *             properties:
  *               newPlan:
  *                 type: string
- *                 enum: [essai, basique, standard, premium, entreprise]
- *                 description: Identifiant du nouveau forfait d'abonnement
+ *                 description: Code de la formule du catalogue (GET /billing/plans)
  *                 example: 'premium'
- *               paymentMethodId:
+ *               when:
  *                 type: string
- *                 description: Identifiant du moyen de paiement à utiliser (requis si changement vers un forfait payant)
- *                 example: 'pm_1JmN4q2eZvKYlo2C0XyX3X2H'
- *               prorationDate:
+ *                 enum: [now, period_end]
+ *                 description: Par défaut immédiat pour une montée en gamme, en fin de période pour une rétrogradation
+ *               provider:
  *                 type: string
- *                 format: date-time
- *                 description: Date à laquelle appliquer la mise à jour (optionnel, par défaut immédiat)
- *                 example: '2023-11-01T00:00:00.000Z'
+ *                 description: Opérateur pour le prélèvement du prorata (par défaut le moyen de paiement de l'abonnement)
+ *                 example: 'orange'
+ *               phoneNumber:
+ *                 type: string
+ *                 example: '+2250700000000'
  *     responses:
  *       200:
  *         description: Forfait d'abonnement changé avec succès
@@ -583,53 +614,89 @@ const resumeSubscription = async (req, res, next) => {
  */
 const changeSubscriptionPlan = async (req, res, next) => {
   try {
-    const { newPlan } = req.body;
-    
+    const { newPlan, when, provider, phoneNumber } = req.body;
+
     if (!newPlan) {
       throw new BadRequestError('Veuillez spécifier un nouveau forfait');
     }
 
-    const pressing = await Pressing.findById(req.user.id);
-    if (!pressing) {
-      throw new NotFoundError('Pressing non trouvé');
-    }
+    const result = await subscriptionPlanService.changePlan(req.user.id, { newPlan, when, provider, phoneNumber });
+    const { abonnement, plan, ...preview } = result.preview;
 
-    // Vérifier si le nouveau forfait est différent de l'actuel
-    if (pressing.subscriptionPlan === newPlan) {
-      throw new BadRequestError('Vous êtes déjà abonné à ce forfait');
-    }
+    const messages = {
+      applied: 'Votre forfait a été mis à jour avec succès',
+      scheduled: `Votre forfait passera à ${plan.name} le ${new Date(preview.effectiveAt).toLocaleDateString('fr-FR')}`,
+      payment_pending: 'Confirmez le paiement du prorata pour activer votre nouveau forfait'
+    };
 
-    // Ici, vous intégreriez normalement avec l'API de paiement pour changer de forfait
-    // Pour l'exemple, nous mettons simplement à jour le forfait
-    const oldPlan = pressing.subscriptionPlan;
-    pressing.subscriptionPlan = newPlan;
-    
-    // Si c'est un changement de forfait payant, mettre à jour la date de prochaine facturation
-    if (newPlan !== 'essai') {
-      const nextBilling = new Date();
-      nextBilling.setMonth(nextBilling.getMonth() + 1);
-      pressing.nextBillingDate = nextBilling;
+    res.json({
+      success: true,
+      message: messages[result.status],
+      data: {
+        status: result.status,
+        oldPlan: preview.currentPlan,
+        newPlan: preview.newPlan,
+        nextBillingDate: preview.nextBillingDate,
+        prorationAmount: preview.amountDue - preview.creditCarried,
+        currency: preview.currency,
+        preview,
+        invoice: result.invoice,
+        transactionReference: result.transactionReference,
+        paymentUrl: result.paymentUrl || null,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /billing/change-plan/preview:
+ *   post:
+ *     summary: Aperçu d'un changement de forfait
+ *     description: Montant exact à régler (ou avoir) avant confirmation, sans rien modifier
+ *     tags: [Facturation]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - newPlan
+ *             properties:
+ *               newPlan:
+ *                 type: string
+ *                 example: 'premium'
+ *               when:
+ *                 type: string
+ *                 enum: [now, period_end]
+ *     responses:
+ *       200:
+ *         description: Aperçu (amountDue, credit, charge, creditCarried, effectiveAt, nextBillingDate)
+ *       400:
+ *         description: Forfait identique, non proposé ou facture en attente
+ *       404:
+ *         description: Forfait inconnu ou aucun abonnement
+ */
+const previewPlanChange = async (req, res, next) => {
+  try {
+    const { newPlan, when } = req.body;
+
+    if (!newPlan) {
+      throw new BadRequestError('Veuillez spécifier un nouveau forfait');
     }
-    
-    await pressing.save();
 
-    // Envoyer une notification de confirmation de changement de forfait
-    await notificationController.sendCustomNotification(
-      pressing,
-      {
-        subject: 'Changement de forfait',
-        message: `Votre forfait a été changé de ${oldPlan} à ${newPlan}.`,
-        type: 'both',
-      }
-    );
+    const { abonnement, plan, ...preview } = await subscriptionPlanService.previewChange(req.user.id, { newPlan, when });
 
     res.json({
       success: true,
-      message: 'Votre forfait a été mis à jour avec succès',
       data: {
-        oldPlan,
-        newPlan: pressing.subscriptionPlan,
-        nextBillingDate: pressing.nextBillingDate,
+        ...preview,
+        plan: { code: plan.code, name: plan.name, price: plan.price, billingCycle: plan.billingCycle, entitlements: plan.entitlements },
       },
     });
   } catch (error) {
@@ -637,6 +704,90 @@ const changeSubscriptionPlan = async (req, res, next) => {
   }
 };
 
+/**
+ * @swagger
+ * /billing/change-plan/scheduled:
+ *   delete:
+ *     summary: Annuler le changement de forfait programmé
+ *     tags: [Facturation]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Changement annulé
+ *       404:
+ *         description: Aucun changement programmé
+ */
+const cancelScheduledPlanChange = async (req, res, next) => {
+  try {
+    const abonnement = await subscriptionPlanService.cancelScheduledChange(req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Le changement de forfait programmé a été annulé',
+      data: {
+        plan: abonnement.plan,
+        nextBillingDate: abonnement.nextBillingDate,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /billing/plans:
+ *   get:
+ *     summary: Forfaits proposés
+ *     description: Catalogue des forfaits avec leur prix, leur cycle de facturation et leurs limites
+ *     tags: [Facturation]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Liste des forfaits
+ */
+const getPlans = async (req, res, next) => {
+  try {
+    const plans = await subscriptionPlanService.listPlans();
+
+    res.json({
+      success: true,
+      count: plans.length,
+      data: plans,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /billing/entitlements:
+ *   get:
+ *     summary: Droits de la formule et usage actuel
+ *     description: Fonctionnalités incluses et, pour chaque limite, le maximum autorisé, l'usage et le reste disponible (null = illimité)
+ *     tags: [Facturation]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Droits et usage du pressing
+ */
+const getEntitlements = async (req, res, next) => {
+  try {
+    const usage = await entitlementService.getUsage(req.user.id);
+
+    res.json({
+      success: true,
+      data: usage,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * @swagger
  * /billing/invoices/{invoiceId}:
@@ -720,6 +871,19 @@ const changeSubscriptionPlan = async (req, res, next) => {
  *                               quantity:
  *                                 type: number
  *                                 example: 1
+ *                         legalInvoice:
+ *                           type: object
+ *                           nullable: true
+ *                           description: Facture légale émise au règlement
+ *                           properties:
+ *                             id:
+ *                               type: string
+ *                             number:
+ *                               type: string
+ *                               example: 'FA-2026-000042'
+ *                             downloadUrl:
+ *                               type: string
+ *                               example: '/api/v1/invoices/652f1c.../pdf'
  *                     pressing:
  *                       type: object
  *                       properties:
@@ -765,36 +929,114 @@ const changeSubscriptionPlan = async (req, res, next) => {
 const getInvoice = async (req, res, next) => {
   try {
     const { invoiceId } = req.params;
-    const pressing = await Pressing.findOne({
-      _id: req.user.id,
-      'paymentHistory._id': invoiceId,
-    });
+    if (!mongoose.Types.ObjectId.isValid(invoiceId)) {
+      throw new NotFoundError('Facture non trouvée');
+    }
 
-    if (!pressing) {
+    const [invoice, pressing] = await Promise.all([
+      SubscriptionInvoice.findOne({ _id: invoiceId, pressing: req.user.id }),
+      Pressing.findById(req.user.id).select('businessName address email phone')
+    ]);
+
+    if (!invoice) {
       throw new NotFoundError('Facture non trouvée');
     }
 
-    const invoice = pressing.paymentHistory.id(invoiceId);
-    
-    // Ici, vous généreriez normalement un PDF de la facture
-    // Pour l'exemple, nous renvoyons simplement les données de la facture
+    const lastAttempt = invoice.attempts[invoice.attempts.length - 1];
+    const legalInvoices = await invoiceService.legalInvoicesFor([invoice._id]);
+
     res.json({
       success: true,
       data: {
         invoice: {
           id: invoice._id,
+          invoiceNumber: invoice.reference,
           amount: invoice.amount,
           currency: invoice.currency,
-          paymentDate: invoice.paymentDate,
-          paymentMethod: invoice.paymentMethod,
           status: invoice.status,
-          // Ajoutez d'autres détails de facturation ici
+          paymentDate: invoice.paidAt,
+          dueDate: invoice.dueDate,
+          graceEndsAt: invoice.graceEndsAt,
+          nextAttemptAt: invoice.nextAttemptAt,
+          periodStart: invoice.periodStart,
+          periodEnd: invoice.periodEnd,
+          paymentMethod: lastAttempt ? lastAttempt.provider : null,
+          attempts: invoice.attempts,
+          items: [{
+            description: `Abonnement ${invoice.plan}`,
+            amount: invoice.amount,
+            quantity: 1
+          }],
+          // Facture légale numérotée, émise au règlement
+          legalInvoice: legalInvoices[invoice._id] || null
         },
-        pressing: {
-          nomCommerce: pressing.nomCommerce,
-          adresse: pressing.adresse,
+        pressing: pressing ? {
+          nomCommerce: pressing.businessName,
+          adresse: pressing.address,
           email: pressing.email,
-        },
+          phone: pressing.phone
+        } : null,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /billing/invoices/{invoiceId}/pay:
+ *   post:
+ *     summary: Régler une facture d'abonnement
+ *     description: Lance un paiement Mobile Money pour une facture impayée (en retard ou compte suspendu). Le compte est réactivé dès la confirmation de l'opérateur.
+ *     tags: [Facturation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: invoiceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               provider:
+ *                 type: string
+ *                 description: Opérateur (par défaut le moyen de paiement de l'abonnement)
+ *                 example: 'orange'
+ *               phoneNumber:
+ *                 type: string
+ *                 example: '+2250700000000'
+ *     responses:
+ *       200:
+ *         description: Paiement lancé (statut de la tentative dans invoice.attempts)
+ *       400:
+ *         description: Facture déjà réglée ou paiement déjà en cours
+ *       404:
+ *         description: Facture non trouvée
+ */
+const payInvoice = async (req, res, next) => {
+  try {
+    const { invoiceId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(invoiceId)) {
+      throw new NotFoundError('Facture non trouvée');
+    }
+
+    const { invoice, transaction, paymentUrl } = await subscriptionBillingService.payInvoice(invoiceId, req.user.id, {
+      provider: req.body.provider,
+      phoneNumber: req.body.phoneNumber
+    });
+
+    res.json({
+      success: true,
+      data: {
+        invoice,
+        transactionReference: transaction ? transaction.reference : null,
+        paymentUrl: paymentUrl || null
       },
     });
   } catch (error) {
@@ -808,5 +1050,10 @@ module.exports = {
   cancelSubscription,
   resumeSubscription,
   changeSubscriptionPlan,
+  previewPlanChange,
+  cancelScheduledPlanChange,
+  getPlans,
+  getEntitlements,
   getInvoice,
+  payInvoice,
 };
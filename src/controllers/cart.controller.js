@@ -0,0 +1,143 @@
+const asyncHandler = require('../middleware/async');
+const cartService = require('../services/cart.service');
+
+/**
+ * Réponse commune aux modifications du panier
+ * Signale le retrait du code promo lorsque le panier ne le permet plus.
+ */
+const sendCart = (res, { cart, promoRemoved }, statusCode = 200) => {
+  res.status(statusCode).json({
+    success: true,
+    data: cart,
+    ...(promoRemoved && { message: `Code promo retiré : ${promoRemoved}` })
+  });
+};
+
+/**
+ * @desc    Panier en cours du client
+ * @route   GET /api/v1/cart
+ * @access  Private (Client)
+ */
+exports.getCart = asyncHandler(async (req, res, next) => {
+  const cart = await cartService.getCart(req.user.id);
+
+  res.status(200).json({
+    success: true,
+    data: cart
+  });
+});
+
+/**
+ * @desc    Ajouter un article au panier
+ * @route   POST /api/v1/cart/items
+ * @access  Private (Client)
+ */
+exports.addItem = asyncHandler(async (req, res, next) => {
+  const { pressingId, serviceId, quantite, instructions, replace } = req.body;
+
+  const result = await cartService.addItem(req.user.id, { pressingId, serviceId, quantite, instructions, replace });
+
+  sendCart(res, result, 201);
+});
+
+/**
+ * @desc    Modifier la quantité ou les instructions d'un article
+ * @route   PATCH /api/v1/cart/items/:itemId
+ * @access  Private (Client)
+ */
+exports.updateItem = asyncHandler(async (req, res, next) => {
+  const { quantite, instructions } = req.body;
+
+  sendCart(res, await cartService.updateItem(req.user.id, req.params.itemId, { quantite, instructions }));
+});
+
+/**
+ * @desc    Retirer un article du panier
+ * @route   DELETE /api/v1/cart/items/:itemId
+ * @access  Private (Client)
+ */
+exports.removeItem = asyncHandler(async (req, res, next) => {
+  sendCart(res, await cartService.removeItem(req.user.id, req.params.itemId));
+});
+
+/**
+ * @desc    Appliquer un code promo
+ * @route   POST /api/v1/cart/promo
+ * @access  Private (Client)
+ */
+exports.applyPromoCode = asyncHandler(async (req, res, next) => {
+  sendCart(res, await cartService.applyPromoCode(req.user.id, req.body.code));
+});
+
+/**
+ * @desc    Retirer le code promo
+ * @route   DELETE /api/v1/cart/promo
+ * @access  Private (Client)
+ */
+exports.removePromoCode = asyncHandler(async (req, res, next) => {
+  sendCart(res, await cartService.removePromoCode(req.user.id));
+});
+
+/**
+ * @desc    Simuler les promotions applicables (sans modifier le panier)
+ * @route   POST /api/v1/cart/promotions/preview
+ * @access  Private (Client)
+ */
+exports.previewPromotions = asyncHandler(async (req, res, next) => {
+  const { code, pressingId, services } = req.body;
+
+  res.status(200).json({
+    success: true,
+    data: await cartService.previewPromotions(req.user.id, { code, pressingId, services })
+  });
+});
+
+/**
+ * @desc    Choisir le créneau de collecte
+ * @route   PUT /api/v1/cart/slot
+ * @access  Private (Client)
+ */
+exports.setTimeSlot = asyncHandler(async (req, res, next) => {
+  const { dateRecuperationSouhaitee } = req.body;
+
+  sendCart(res, await cartService.setTimeSlot(req.user.id, { dateRecuperationSouhaitee }));
+});
+
+/**
+ * @desc    Choisir l'adresse de livraison
+ * @route   PUT /api/v1/cart/address
+ * @access  Private (Client)
+ */
+exports.setDeliveryAddress = asyncHandler(async (req, res, next) => {
+  const { adresseLivraison, deliveryInstructions, deliveryType } = req.body;
+
+  sendCart(res, await cartService.setDeliveryAddress(req.user.id, { adresseLivraison, deliveryInstructions, deliveryType }));
+});
+
+/**
+ * @desc    Vider le panier
+ * @route   DELETE /api/v1/cart
+ * @access  Private (Client)
+ */
+exports.clearCart = asyncHandler(async (req, res, next) => {
+  await cartService.clearCart(req.user.id);
+
+  res.status(200).json({
+    success: true,
+    data: {}
+  });
+});
+
+/**
+ * @desc    Valider le panier (la commande attend ensuite son paiement)
+ * @route   POST /api/v1/cart/checkout
+ * @access  Private (Client)
+ */
+exports.checkout = asyncHandler(async (req, res, next) => {
+  const order = await cartService.checkoutCart(req.user.id);
+
+  res.status(201).json({
+    success: true,
+    data: order
+  });
+});
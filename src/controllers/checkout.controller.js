@@ -0,0 +1,163 @@
+const asyncHandler = require('../middleware/async');
+const checkoutService = require('../services/checkout.service');
+
+/**
+ * @swagger
+ * /orders/checkout:
+ *   post:
+ *     summary: Valider un panier multi-pressings
+ *     description: |
+ *       Le panier est découpé en une commande par pressing, liées par un panier (PAN-...).
+ *       Chaque commande a son créneau, ses frais de livraison et son propre cycle de vie ;
+ *       le paiement est unique (POST /payments/initiate avec groupId), les annulations et
+ *       remboursements se font commande par commande.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - services
+ *             properties:
+ *               services:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - pressingId
+ *                     - serviceId
+ *                   properties:
+ *                     pressingId:
+ *                       type: string
+ *                     serviceId:
+ *                       type: string
+ *                     quantite:
+ *                       type: number
+ *                       example: 2
+ *                     instructions:
+ *                       type: string
+ *               slots:
+ *                 type: array
+ *                 description: Créneau de collecte par pressing
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     pressingId:
+ *                       type: string
+ *                     dateRecuperationSouhaitee:
+ *                       type: string
+ *                       format: date-time
+ *                     instructions:
+ *                       type: string
+ *               adresseLivraison:
+ *                 type: string
+ *                 example: "Cocody, Abidjan, Côte d'Ivoire"
+ *               deliveryLocation:
+ *                 type: object
+ *               deliveryInstructions:
+ *                 type: string
+ *               deliveryType:
+ *                 type: string
+ *                 enum: [standard, express]
+ *                 default: standard
+ *                 description: Livraison express (supplément détaillé dans les frais de chaque commande)
+ *               promoCode:
+ *                 type: string
+ *                 description: Code promo, appliqué à la première commande du panier où il est retenu
+ *     responses:
+ *       201:
+ *         description: Panier validé, une commande par pressing
+ *       400:
+ *         description: Panier vide, ligne sans pressing, code promo non applicable ou adresse hors des zones de livraison
+ *       404:
+ *         description: Pressing non trouvé
+ */
+exports.checkout = asyncHandler(async (req, res, next) => {
+  const { services, slots, adresseLivraison, deliveryLocation, deliveryInstructions, deliveryType, promoCode } = req.body;
+
+  const { group, orders } = await checkoutService.checkoutCart({
+    clientId: req.user.id,
+    services,
+    slots,
+    adresseLivraison,
+    deliveryLocation,
+    deliveryInstructions,
+    deliveryType,
+    promoCode
+  });
+
+  res.status(201).json({
+    success: true,
+    data: checkoutService.summarizeGroup(group, orders)
+  });
+});
+
+/**
+ * @swagger
+ * /orders/groups:
+ *   get:
+ *     summary: Paniers multi-pressings du client
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Récapitulatifs des paniers
+ */
+exports.getOrderGroups = asyncHandler(async (req, res, next) => {
+  const { page, limit } = req.query;
+  const { groups, total } = await checkoutService.listClientGroups(req.user.id, { page, limit });
+
+  res.status(200).json({
+    success: true,
+    count: groups.length,
+    total,
+    data: groups
+  });
+});
+
+/**
+ * @swagger
+ * /orders/groups/{id}:
+ *   get:
+ *     summary: Récapitulatif d'un panier multi-pressings
+ *     description: Statut d'ensemble, paiement commun et état de chaque commande (créneau, livraison, remboursements)
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: ID ou référence du panier
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Récapitulatif du panier
+ *       404:
+ *         description: Panier non trouvé
+ */
+exports.getOrderGroup = asyncHandler(async (req, res, next) => {
+  const { group, orders } = await checkoutService.findClientGroup(req.params.id, req.user.id);
+
+  res.status(200).json({
+    success: true,
+    data: checkoutService.summarizeGroup(group, orders)
+  });
+});
@@ -0,0 +1,279 @@
+const asyncHandler = require('../middleware/async');
+const deliveryService = require('../services/delivery.service');
+const routePlanningService = require('../services/routePlanning.service');
+const runSheetPdfService = require('../services/runSheetPdfService');
+const { BadRequestError } = require('../utils/error.utils');
+
+const currentUser = (req) => ({ id: req.user._id, role: req.user.role });
+
+/**
+ * @swagger
+ * /orders/{id}/delivery-jobs:
+ *   post:
+ *     summary: Programmer une collecte ou une livraison
+ *     description: |
+ *       Crée la course et la propose au livreur choisi, ou au livreur disponible le moins chargé de la flotte
+ *       (DELIVERY_AUTO_ASSIGN). Les courses sont aussi créées automatiquement à la confirmation (collecte)
+ *       et quand la commande est prête (livraison) pour les commandes à domicile.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - type
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [pickup, delivery]
+ *               riderId:
+ *                 type: string
+ *                 description: Livreur de la flotte (attribution automatique si absent)
+ *               scheduledFor:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       201:
+ *         description: Course créée
+ *       400:
+ *         description: Commande en boutique, statut incompatible ou course déjà en cours
+ *       404:
+ *         description: Commande ou livreur non trouvé
+ *   get:
+ *     summary: Courses de collecte et de livraison d'une commande
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Courses avec leur livreur et leurs tentatives
+ */
+exports.createOrderJob = asyncHandler(async (req, res, next) => {
+  const { type, riderId, scheduledFor } = req.body;
+
+  const job = await deliveryService.createJob(req.params.id, currentUser(req), { type, riderId, scheduledFor });
+
+  res.status(201).json({
+    success: true,
+    data: job
+  });
+});
+
+exports.getOrderJobs = asyncHandler(async (req, res, next) => {
+  const jobs = await deliveryService.getOrderJobs(req.params.id, currentUser(req));
+
+  res.status(200).json({
+    success: true,
+    count: jobs.length,
+    data: jobs
+  });
+});
+
+/**
+ * @desc    Courses du livreur, du pressing ou de la plateforme
+ * @route   GET /api/v1/deliveries/jobs
+ * @access  Private (Rider, Pressing, Admin)
+ */
+exports.getJobs = asyncHandler(async (req, res, next) => {
+  const { status, type, rider, page, limit } = req.query;
+
+  const { jobs, total } = await deliveryService.listJobs(currentUser(req), { status, type, rider, page, limit });
+
+  res.status(200).json({
+    success: true,
+    count: jobs.length,
+    total,
+    data: jobs
+  });
+});
+
+/**
+ * @desc    Détail d'une course
+ * @route   GET /api/v1/deliveries/jobs/:id
+ * @access  Private (Rider, Pressing, Admin)
+ */
+exports.getJob = asyncHandler(async (req, res, next) => {
+  const job = await deliveryService.getJob(req.params.id, currentUser(req));
+
+  res.status(200).json({
+    success: true,
+    data: job
+  });
+});
+
+/**
+ * @desc    Attribuer une course à un livreur (automatiquement sans riderId)
+ * @route   POST /api/v1/deliveries/jobs/:id/assign
+ * @access  Private (Pressing, Admin)
+ */
+exports.assignJob = asyncHandler(async (req, res, next) => {
+  const job = await deliveryService.assign(req.params.id, currentUser(req), { riderId: req.body.riderId });
+
+  res.status(200).json({
+    success: true,
+    data: job
+  });
+});
+
+/**
+ * @desc    Accepter une course
+ * @route   POST /api/v1/deliveries/jobs/:id/accept
+ * @access  Private (Rider)
+ */
+exports.acceptJob = asyncHandler(async (req, res, next) => {
+  const job = await deliveryService.accept(req.params.id, currentUser(req));
+
+  res.status(200).json({
+    success: true,
+    data: job
+  });
+});
+
+/**
+ * @desc    Décliner une course
+ * @route   POST /api/v1/deliveries/jobs/:id/decline
+ * @access  Private (Rider)
+ */
+exports.declineJob = asyncHandler(async (req, res, next) => {
+  const job = await deliveryService.decline(req.params.id, currentUser(req), { reason: req.body.reason });
+
+  res.status(200).json({
+    success: true,
+    data: job
+  });
+});
+
+/**
+ * @desc    Déclarer une étape de la course
+ * @route   POST /api/v1/deliveries/jobs/:id/status
+ * @access  Private (Rider)
+ */
+exports.updateJobStatus = asyncHandler(async (req, res, next) => {
+  const { status, notes } = req.body;
+
+  const job = await deliveryService.updateStatus(req.params.id, currentUser(req), { status, notes });
+
+  res.status(200).json({
+    success: true,
+    data: job
+  });
+});
+
+/**
+ * @desc    Signaler un passage infructueux
+ * @route   POST /api/v1/deliveries/jobs/:id/attempts
+ * @access  Private (Rider)
+ */
+exports.recordFailedAttempt = asyncHandler(async (req, res, next) => {
+  const { reason, notes, rescheduledFor } = req.body;
+
+  const job = await deliveryService.recordFailedAttempt(req.params.id, currentUser(req), { reason, notes, rescheduledFor });
+
+  res.status(200).json({
+    success: true,
+    data: job
+  });
+});
+
+/**
+ * @desc    Annuler une course
+ * @route   POST /api/v1/deliveries/jobs/:id/cancel
+ * @access  Private (Pressing, Admin)
+ */
+exports.cancelJob = asyncHandler(async (req, res, next) => {
+  const job = await deliveryService.cancel(req.params.id, currentUser(req), { reason: req.body.reason });
+
+  res.status(200).json({
+    success: true,
+    data: job
+  });
+});
+
+/**
+ * @desc    Planifier une tournée de collectes et livraisons
+ * @route   POST /api/v1/deliveries/rounds
+ * @access  Private (Pressing, Admin)
+ */
+exports.planRound = asyncHandler(async (req, res, next) => {
+  const { from, to, riderId, capacity, startAt, pressing } = req.body;
+
+  const round = await routePlanningService.planRound(currentUser(req), { from, to, riderId, capacity, startAt, pressing });
+
+  res.status(201).json({
+    success: true,
+    data: round
+  });
+});
+
+/**
+ * @desc    Tournées planifiées
+ * @route   GET /api/v1/deliveries/rounds
+ * @access  Private (Rider, Pressing, Admin)
+ */
+exports.getRounds = asyncHandler(async (req, res, next) => {
+  const rounds = await routePlanningService.listRounds(currentUser(req), { date: req.query.date });
+
+  res.status(200).json({
+    success: true,
+    count: rounds.length,
+    data: rounds
+  });
+});
+
+/**
+ * @desc    Détail d'une tournée
+ * @route   GET /api/v1/deliveries/rounds/:id
+ * @access  Private (Rider, Pressing, Admin)
+ */
+exports.getRound = asyncHandler(async (req, res, next) => {
+  const round = await routePlanningService.getRound(req.params.id, currentUser(req));
+
+  res.status(200).json({
+    success: true,
+    data: round
+  });
+});
+
+/**
+ * @desc    Feuille de route d'une tournée (PDF ou CSV)
+ * @route   GET /api/v1/deliveries/rounds/:id/run-sheet
+ * @access  Private (Rider, Pressing, Admin)
+ */
+exports.getRunSheet = asyncHandler(async (req, res, next) => {
+  const format = (req.query.format || 'pdf').toLowerCase();
+  if (!['pdf', 'csv'].includes(format)) {
+    throw new BadRequestError('Format de feuille de route non supporté (pdf ou csv)');
+  }
+
+  const round = await routePlanningService.getRound(req.params.id, currentUser(req));
+  const filename = `tournee-${round.startAt.toISOString().slice(0, 10)}-${round._id.toString().slice(-6)}.${format}`;
+
+  if (format === 'csv') {
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    // BOM pour que les tableurs détectent l'UTF-8
+    return res.status(200).send(`\uFEFF${routePlanningService.generateRunSheetCsv(round)}`);
+  }
+
+  const pdf = await runSheetPdfService.generateRunSheetPDF(round);
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.status(200).send(pdf);
+});
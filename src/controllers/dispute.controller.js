@@ -0,0 +1,491 @@
+const asyncHandler = require('../middleware/async');
+const ErrorResponse = require('../utils/errorResponse');
+const disputeService = require('../services/dispute.service');
+const { uploadDisputeEvidence } = require('../config/cloudinary');
+
+/**
+ * Partie au litige à partir de l'utilisateur connecté
+ * @param {Object} req
+ * @returns {{id: string, role: string}}
+ */
+const currentUser = (req) => ({ id: req.user._id, role: req.user.role });
+
+// Les routes d'administration peuvent être servies sans rôle explicite (mode développement)
+const currentAdmin = (req) => ({ id: req.user._id, role: 'admin' });
+
+/**
+ * Photos téléversées sur Cloudinary par le middleware d'upload
+ * @param {Object} req
+ * @returns {Object[]}
+ */
+const uploadedPhotos = (req) => (req.files || []).map(file => ({
+  url: file.path,
+  publicId: file.filename,
+  caption: req.body.caption
+}));
+
+/**
+ * Articles concernés, envoyés en JSON dans un formulaire multipart
+ * @param {string|Object[]} items
+ * @returns {Object[]|null} - null si le format est invalide
+ */
+const parseItems = (items) => {
+  if (!items) return [];
+  if (Array.isArray(items)) return items;
+  try {
+    const parsed = JSON.parse(items);
+    return Array.isArray(parsed) ? parsed : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Téléverse jusqu'à 5 photos (champ "photos") ; les erreurs d'upload sont renvoyées en 400
+ */
+exports.uploadEvidence = (req, res, next) => {
+  uploadDisputeEvidence.array('photos', 5)(req, res, (err) => {
+    if (err) {
+      return next(new ErrorResponse(err.message || 'Erreur lors de l\'upload des photos', 400));
+    }
+    next();
+  });
+};
+
+const paginate = (page, limit, total) => ({
+  page: parseInt(page),
+  limit: parseInt(limit),
+  pages: Math.ceil(total / limit)
+});
+
+/**
+ * @desc    Ouvrir un litige sur une commande (photos en multipart, champ "photos")
+ * @route   POST /api/v1/disputes
+ * @access  Private (Client)
+ */
+exports.openDispute = asyncHandler(async (req, res, next) => {
+  const { orderId, category, description, claimedAmount } = req.body;
+  const items = parseItems(req.body.items);
+  if (!items) {
+    return next(new ErrorResponse('Format des articles invalide', 400));
+  }
+
+  const dispute = await disputeService.openDispute({
+    orderId,
+    user: currentUser(req),
+    category,
+    description,
+    items,
+    claimedAmount: claimedAmount !== undefined ? Number(claimedAmount) : undefined,
+    evidence: uploadedPhotos(req)
+  });
+
+  res.status(201).json({
+    success: true,
+    data: disputeService.serializeDispute(dispute, req.user)
+  });
+});
+
+/**
+ * @desc    Litiges du client ou du pressing connecté
+ * @route   GET /api/v1/disputes
+ * @access  Private (Client, Pressing)
+ */
+exports.getDisputes = asyncHandler(async (req, res, next) => {
+  const { status, order, page = 1, limit = 20 } = req.query;
+
+  const { disputes, total } = await disputeService.listDisputes(currentUser(req), {
+    status,
+    order,
+    page: parseInt(page),
+    limit: parseInt(limit)
+  });
+
+  res.status(200).json({
+    success: true,
+    count: disputes.length,
+    total,
+    pagination: paginate(page, limit, total),
+    data: disputes
+  });
+});
+
+/**
+ * @desc    Détail d'un litige avec le fil des échanges
+ * @route   GET /api/v1/disputes/:id
+ * @access  Private (Client, Pressing concernés)
+ */
+exports.getDispute = asyncHandler(async (req, res, next) => {
+  const dispute = await disputeService.getDispute(req.params.id, currentUser(req));
+
+  res.status(200).json({
+    success: true,
+    data: disputeService.serializeDispute(dispute, req.user)
+  });
+});
+
+/**
+ * @desc    Ajouter un message au litige (photos en pièces jointes possibles)
+ * @route   POST /api/v1/disputes/:id/messages
+ * @access  Private (Client, Pressing concernés)
+ */
+exports.addMessage = asyncHandler(async (req, res, next) => {
+  const dispute = await disputeService.addMessage(req.params.id, currentUser(req), {
+    body: req.body.body,
+    attachments: uploadedPhotos(req)
+  });
+
+  res.status(201).json({
+    success: true,
+    data: disputeService.serializeDispute(dispute, req.user)
+  });
+});
+
+/**
+ * @desc    Ajouter des photos justificatives
+ * @route   POST /api/v1/disputes/:id/evidence
+ * @access  Private (Client, Pressing concernés)
+ */
+exports.addEvidence = asyncHandler(async (req, res, next) => {
+  const dispute = await disputeService.addEvidence(req.params.id, currentUser(req), uploadedPhotos(req));
+
+  res.status(201).json({
+    success: true,
+    data: disputeService.serializeDispute(dispute, req.user)
+  });
+});
+
+/**
+ * @desc    Demander l'arbitrage de l'administration
+ * @route   POST /api/v1/disputes/:id/escalate
+ * @access  Private (Client, Pressing concernés)
+ */
+exports.escalateDispute = asyncHandler(async (req, res, next) => {
+  const dispute = await disputeService.escalateDispute(req.params.id, currentUser(req), req.body.reason);
+
+  res.status(200).json({
+    success: true,
+    data: disputeService.serializeDispute(dispute, req.user)
+  });
+});
+
+/**
+ * @desc    Résoudre un litige par un remboursement ou un retraitement
+ * @route   POST /api/v1/disputes/:id/resolve
+ * @access  Private (Pressing concerné)
+ */
+exports.resolveDispute = asyncHandler(async (req, res, next) => {
+  const { outcome, amount, notes, destination, recleanDueAt } = req.body;
+  const dispute = await disputeService.resolveDispute(req.params.id, currentUser(req), {
+    outcome,
+    amount,
+    notes,
+    destination,
+    recleanDueAt
+  });
+
+  res.status(200).json({
+    success: true,
+    data: disputeService.serializeDispute(dispute, req.user)
+  });
+});
+
+/**
+ * @desc    Retirer une réclamation
+ * @route   POST /api/v1/disputes/:id/withdraw
+ * @access  Private (Client concerné)
+ */
+exports.withdrawDispute = asyncHandler(async (req, res, next) => {
+  const dispute = await disputeService.withdrawDispute(req.params.id, currentUser(req));
+
+  res.status(200).json({
+    success: true,
+    data: disputeService.serializeDispute(dispute, req.user)
+  });
+});
+
+/**
+ * @swagger
+ * tags:
+ *   name: Admin - Disputes
+ *   description: File de traitement des litiges
+ */
+
+/**
+ * @swagger
+ * /admin/disputes:
+ *   get:
+ *     summary: File des litiges en cours, échéance de résolution la plus proche d'abord
+ *     tags: [Admin - Disputes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [open, in_discussion, escalated, resolved, rejected, withdrawn]
+ *       - in: query
+ *         name: breached
+ *         schema:
+ *           type: boolean
+ *         description: Uniquement les litiges hors délai
+ *       - in: query
+ *         name: assignedTo
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: pressing
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Litiges et nombre de dossiers en cours par statut
+ */
+exports.getDisputeQueue = asyncHandler(async (req, res, next) => {
+  const { status, breached, assignedTo, pressing, page = 1, limit = 20 } = req.query;
+
+  const { disputes, total, counts } = await disputeService.getAdminQueue({
+    status,
+    breached: breached === 'true',
+    assignedTo: assignedTo === 'me' ? req.user._id.toString() : assignedTo,
+    pressing,
+    page: parseInt(page),
+    limit: parseInt(limit)
+  });
+
+  res.status(200).json({
+    success: true,
+    count: disputes.length,
+    total,
+    counts,
+    pagination: paginate(page, limit, total),
+    data: disputes
+  });
+});
+
+/**
+ * @swagger
+ * /admin/disputes/{id}:
+ *   get:
+ *     summary: Détail d'un litige, notes internes comprises
+ *     tags: [Admin - Disputes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Litige
+ *       404:
+ *         description: Litige non trouvé
+ */
+exports.getDisputeForAdmin = asyncHandler(async (req, res, next) => {
+  const dispute = await disputeService.getDispute(req.params.id, currentAdmin(req));
+
+  res.status(200).json({
+    success: true,
+    data: dispute
+  });
+});
+
+/**
+ * @swagger
+ * /admin/disputes/{id}/assign:
+ *   post:
+ *     summary: Prendre en charge un litige
+ *     tags: [Admin - Disputes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               adminId:
+ *                 type: string
+ *                 description: Administrateur en charge (par défaut l'utilisateur connecté)
+ *     responses:
+ *       200:
+ *         description: Litige attribué et transmis à l'administration
+ */
+exports.assignDispute = asyncHandler(async (req, res, next) => {
+  const dispute = await disputeService.assignDispute(req.params.id, req.body.adminId || req.user._id);
+
+  res.status(200).json({
+    success: true,
+    data: dispute
+  });
+});
+
+/**
+ * @swagger
+ * /admin/disputes/{id}/messages:
+ *   post:
+ *     summary: Répondre sur le fil d'un litige ou ajouter une note interne
+ *     tags: [Admin - Disputes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - body
+ *             properties:
+ *               body:
+ *                 type: string
+ *               internal:
+ *                 type: boolean
+ *                 description: Note invisible du client et du pressing
+ *               photos:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *     responses:
+ *       201:
+ *         description: Message ajouté
+ */
+exports.addAdminMessage = asyncHandler(async (req, res, next) => {
+  const dispute = await disputeService.addMessage(req.params.id, currentAdmin(req), {
+    body: req.body.body,
+    attachments: uploadedPhotos(req),
+    internal: req.body.internal === true || req.body.internal === 'true'
+  });
+
+  res.status(201).json({
+    success: true,
+    data: dispute
+  });
+});
+
+/**
+ * @swagger
+ * /admin/disputes/{id}/resolve:
+ *   post:
+ *     summary: Résoudre un litige (remboursement, retraitement ou dédommagement)
+ *     tags: [Admin - Disputes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - outcome
+ *             properties:
+ *               outcome:
+ *                 type: string
+ *                 enum: [refund, reclean, compensation]
+ *               amount:
+ *                 type: number
+ *                 description: |
+ *                   Remboursement partiel (par défaut les articles du litige, ou la commande entière)
+ *                   ou montant du dédommagement crédité sur le porte-monnaie du client
+ *               destination:
+ *                 type: string
+ *                 enum: [original, wallet]
+ *               recleanDueAt:
+ *                 type: string
+ *                 format: date-time
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Litige résolu
+ *       400:
+ *         description: Litige clos ou issue invalide
+ */
+exports.resolveDisputeAsAdmin = asyncHandler(async (req, res, next) => {
+  const { outcome, amount, notes, destination, recleanDueAt } = req.body;
+  const dispute = await disputeService.resolveDispute(req.params.id, currentAdmin(req), {
+    outcome,
+    amount,
+    notes,
+    destination,
+    recleanDueAt
+  });
+
+  res.status(200).json({
+    success: true,
+    data: dispute
+  });
+});
+
+/**
+ * @swagger
+ * /admin/disputes/{id}/reject:
+ *   post:
+ *     summary: Clore un litige sans suite
+ *     tags: [Admin - Disputes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - notes
+ *             properties:
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Litige clos
+ *       400:
+ *         description: Motif manquant ou litige déjà clos
+ */
+exports.rejectDispute = asyncHandler(async (req, res, next) => {
+  const dispute = await disputeService.rejectDispute(req.params.id, currentAdmin(req), req.body.notes);
+
+  res.status(200).json({
+    success: true,
+    data: dispute
+  });
+});
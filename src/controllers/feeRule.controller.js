@@ -0,0 +1,326 @@
+const asyncHandler = require('../middleware/async');
+const ErrorResponse = require('../utils/errorResponse');
+const FeeRule = require('../models/feeRule.model');
+const Pressing = require('../models/pressing.model');
+const feeRuleService = require('../services/feeRule.service');
+
+// Champs modifiables par l'administration
+const EDITABLE_FIELDS = [
+  'name', 'description', 'type', 'calculation', 'value', 'minAmount', 'maxAmount',
+  'conditions', 'appliesTo', 'priority', 'isActive', 'validFrom', 'validUntil'
+];
+
+const pickEditable = (body) => EDITABLE_FIELDS.reduce((fields, key) => {
+  if (body[key] !== undefined) fields[key] = body[key];
+  return fields;
+}, {});
+
+/**
+ * @swagger
+ * tags:
+ *   name: Admin - Fees
+ *   description: Règles de commission, frais de service et TVA
+ */
+
+/**
+ * @swagger
+ * /admin/fee-rules:
+ *   get:
+ *     summary: Lister les règles de frais
+ *     tags: [Admin - Fees]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [commission, service_fee, vat]
+ *       - in: query
+ *         name: pressing
+ *         schema:
+ *           type: string
+ *         description: Règles propres à un pressing
+ *       - in: query
+ *         name: isActive
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Liste des règles
+ *       401:
+ *         description: Non autorisé
+ */
+exports.getFeeRules = asyncHandler(async (req, res, next) => {
+  const { type, pressing, isActive } = req.query;
+  const filter = {};
+
+  if (type) filter.type = type;
+  if (pressing) filter['conditions.pressing'] = pressing;
+  if (isActive !== undefined) filter.isActive = isActive === 'true';
+
+  const rules = await FeeRule.find(filter)
+    .populate('conditions.pressing', 'businessName')
+    .sort({ type: 1, priority: -1, createdAt: -1 });
+
+  res.status(200).json({
+    success: true,
+    count: rules.length,
+    data: rules
+  });
+});
+
+/**
+ * @swagger
+ * /admin/fee-rules/{id}:
+ *   get:
+ *     summary: Détail d'une règle de frais
+ *     tags: [Admin - Fees]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Règle de frais
+ *       404:
+ *         description: Règle non trouvée
+ */
+exports.getFeeRule = asyncHandler(async (req, res, next) => {
+  const rule = await FeeRule.findById(req.params.id).populate('conditions.pressing', 'businessName');
+
+  if (!rule) {
+    return next(new ErrorResponse('Règle de frais non trouvée', 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: rule
+  });
+});
+
+/**
+ * @swagger
+ * /admin/fee-rules:
+ *   post:
+ *     summary: Créer une règle de frais
+ *     description: |
+ *       La règle la plus spécifique s'applique (pressing, puis catégorie de service, puis formule
+ *       d'abonnement), puis la priorité la plus élevée. Les commandes existantes conservent
+ *       les frais calculés à leur création.
+ *     tags: [Admin - Fees]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - type
+ *               - value
+ *             properties:
+ *               name:
+ *                 type: string
+ *               type:
+ *                 type: string
+ *                 enum: [commission, service_fee, vat]
+ *               calculation:
+ *                 type: string
+ *                 enum: [percentage, flat]
+ *                 default: percentage
+ *               value:
+ *                 type: number
+ *                 description: Taux en % ou montant fixe en XOF
+ *               minAmount:
+ *                 type: number
+ *               maxAmount:
+ *                 type: number
+ *               conditions:
+ *                 type: object
+ *                 properties:
+ *                   pressing:
+ *                     type: string
+ *                   plan:
+ *                     type: string
+ *                     enum: [essai, mensuel, annuel]
+ *                   category:
+ *                     type: string
+ *               appliesTo:
+ *                 type: array
+ *                 description: TVA uniquement
+ *                 items:
+ *                   type: string
+ *                   enum: [items, service_fee, delivery]
+ *               priority:
+ *                 type: integer
+ *               validFrom:
+ *                 type: string
+ *                 format: date-time
+ *               validUntil:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       201:
+ *         description: Règle créée
+ *       400:
+ *         description: Données invalides
+ */
+exports.createFeeRule = asyncHandler(async (req, res, next) => {
+  const rule = await FeeRule.create({
+    ...pickEditable(req.body),
+    createdBy: req.user && String(req.user._id || req.user.id)
+  });
+
+  res.status(201).json({
+    success: true,
+    data: rule
+  });
+});
+
+/**
+ * @swagger
+ * /admin/fee-rules/{id}:
+ *   put:
+ *     summary: Modifier une règle de frais (sans effet sur les commandes existantes)
+ *     tags: [Admin - Fees]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Règle mise à jour
+ *       400:
+ *         description: Données invalides
+ *       404:
+ *         description: Règle non trouvée
+ */
+exports.updateFeeRule = asyncHandler(async (req, res, next) => {
+  const rule = await FeeRule.findById(req.params.id);
+
+  if (!rule) {
+    return next(new ErrorResponse('Règle de frais non trouvée', 404));
+  }
+
+  rule.set(pickEditable(req.body));
+  rule.updatedBy = req.user && String(req.user._id || req.user.id);
+  await rule.save();
+
+  res.status(200).json({
+    success: true,
+    data: rule
+  });
+});
+
+/**
+ * @swagger
+ * /admin/fee-rules/{id}:
+ *   delete:
+ *     summary: Désactiver une règle de frais
+ *     description: La règle est conservée car elle reste référencée par les commandes passées.
+ *     tags: [Admin - Fees]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Règle désactivée
+ *       404:
+ *         description: Règle non trouvée
+ */
+exports.deleteFeeRule = asyncHandler(async (req, res, next) => {
+  const rule = await FeeRule.findByIdAndUpdate(
+    req.params.id,
+    { isActive: false, updatedBy: req.user && String(req.user._id || req.user.id) },
+    { new: true }
+  );
+
+  if (!rule) {
+    return next(new ErrorResponse('Règle de frais non trouvée', 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: rule
+  });
+});
+
+/**
+ * @swagger
+ * /admin/fee-rules/preview:
+ *   post:
+ *     summary: Simuler les frais d'une commande avec les règles actives
+ *     tags: [Admin - Fees]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - pressingId
+ *               - items
+ *             properties:
+ *               pressingId:
+ *                 type: string
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     category:
+ *                       type: string
+ *                     amount:
+ *                       type: number
+ *               deliveryFee:
+ *                 type: number
+ *     responses:
+ *       200:
+ *         description: Détail des frais, de la commission et de la TVA
+ *       404:
+ *         description: Pressing non trouvé
+ */
+exports.previewPricing = asyncHandler(async (req, res, next) => {
+  const { pressingId, items, deliveryFee = 0 } = req.body;
+
+  if (!Array.isArray(items) || items.length === 0) {
+    return next(new ErrorResponse('Au moins une ligne est requise', 400));
+  }
+  if (items.some(item => typeof item.amount !== 'number' || item.amount < 0)) {
+    return next(new ErrorResponse('Montant de ligne invalide', 400));
+  }
+
+  const pressing = await Pressing.findById(pressingId).select('subscription.plan');
+  if (!pressing) {
+    return next(new ErrorResponse('Pressing non trouvé', 404));
+  }
+
+  const pricing = await feeRuleService.computeOrderPricing({
+    pressing,
+    items: items.map(({ category, amount }) => ({ category, amount })),
+    deliveryFee: Number(deliveryFee) || 0
+  });
+
+  res.status(200).json({
+    success: true,
+    data: pricing
+  });
+});
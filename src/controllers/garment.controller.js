@@ -0,0 +1,112 @@
+const asyncHandler = require('../middleware/async');
+const ErrorResponse = require('../utils/errorResponse');
+const garmentService = require('../services/garment.service');
+const garmentLabelPdfService = require('../services/garmentLabelPdfService');
+const { uploadGarmentPhoto } = require('../config/cloudinary');
+
+const currentUser = (req) => ({ id: req.user._id, role: req.user.role });
+
+/**
+ * Téléverse la photo du vêtement (champ "photo", facultatif) ; les erreurs d'upload sont renvoyées en 400
+ */
+exports.uploadPhoto = (req, res, next) => {
+  uploadGarmentPhoto.single('photo')(req, res, (err) => {
+    if (err) {
+      return next(new ErrorResponse(err.message || 'Erreur lors de l\'upload de la photo', 400));
+    }
+    next();
+  });
+};
+
+/**
+ * @desc    Enregistrer un vêtement à la réception et lui attribuer une étiquette
+ * @route   POST /api/v1/orders/:id/garments
+ * @access  Private (Pressing de la commande)
+ */
+exports.registerGarment = asyncHandler(async (req, res, next) => {
+  const { item, description, color, brand, intakeNotes } = req.body;
+
+  const garment = await garmentService.registerGarment(req.params.id, currentUser(req), {
+    item,
+    description,
+    color,
+    brand,
+    intakeNotes,
+    photo: req.file ? { url: req.file.path, publicId: req.file.filename } : undefined
+  });
+
+  res.status(201).json({
+    success: true,
+    data: garment
+  });
+});
+
+/**
+ * @desc    Vêtements enregistrés pour une commande
+ * @route   GET /api/v1/orders/:id/garments
+ * @access  Private (Client, Pressing de la commande, Admin)
+ */
+exports.getOrderGarments = asyncHandler(async (req, res, next) => {
+  const { garments } = await garmentService.listOrderGarments(req.params.id, currentUser(req));
+
+  res.status(200).json({
+    success: true,
+    count: garments.length,
+    data: garments
+  });
+});
+
+/**
+ * @desc    Étiquettes à imprimer pour les vêtements d'une commande (PDF)
+ * @route   GET /api/v1/orders/:id/garments/labels
+ * @access  Private (Pressing de la commande, Admin)
+ */
+exports.getOrderLabels = asyncHandler(async (req, res, next) => {
+  const { order, garments } = await garmentService.listOrderGarments(req.params.id, currentUser(req));
+  const tags = req.query.tags ? String(req.query.tags).toUpperCase().split(',') : null;
+  const selected = tags ? garments.filter(garment => tags.includes(garment.tagCode)) : garments;
+
+  if (!selected.length) {
+    return next(new ErrorResponse('Aucun vêtement à étiqueter', 404));
+  }
+
+  const pdf = await garmentLabelPdfService.generateLabelsPDF(selected, order);
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `inline; filename="etiquettes-${order.orderNumber || order._id}.pdf"`);
+  res.status(200).send(pdf);
+});
+
+/**
+ * @desc    Retrouver un vêtement à partir de son étiquette
+ * @route   GET /api/v1/garments/:tagCode
+ * @access  Private (Pressing, Admin)
+ */
+exports.getGarment = asyncHandler(async (req, res, next) => {
+  const garment = await garmentService.findByTag(req.params.tagCode, currentUser(req));
+
+  res.status(200).json({
+    success: true,
+    data: garment
+  });
+});
+
+/**
+ * @desc    Scanner le passage d'un vêtement à une étape de l'atelier
+ * @route   POST /api/v1/garments/:tagCode/scans
+ * @access  Private (Pressing de la commande, Admin)
+ */
+exports.scanGarment = asyncHandler(async (req, res, next) => {
+  const { status, passed, notes } = req.body;
+
+  const garment = await garmentService.recordScan(req.params.tagCode, currentUser(req), {
+    status,
+    passed,
+    notes
+  });
+
+  res.status(200).json({
+    success: true,
+    data: garment
+  });
+});
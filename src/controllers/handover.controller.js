@@ -0,0 +1,177 @@
+const asyncHandler = require('../middleware/async');
+const ErrorResponse = require('../utils/errorResponse');
+const handoverService = require('../services/handover.service');
+const deliveryService = require('../services/delivery.service');
+const { uploadHandoverProof } = require('../config/cloudinary');
+
+const currentUser = (req) => ({ id: req.user._id, role: req.user.role });
+
+/**
+ * Téléverse la photo (champ "photo") et la signature du client (champ "signature"), toutes deux facultatives ;
+ * les erreurs d'upload sont renvoyées en 400
+ */
+exports.uploadProof = (req, res, next) => {
+  uploadHandoverProof.fields([{ name: 'photo', maxCount: 1 }, { name: 'signature', maxCount: 1 }])(req, res, (err) => {
+    if (err) {
+      return next(new ErrorResponse(err.message || 'Erreur lors de l\'upload de la preuve de remise', 400));
+    }
+    next();
+  });
+};
+
+/**
+ * Code, position et images de la remise, envoyés en multipart
+ * @param {Object} req
+ * @returns {Object}
+ */
+const handoverInput = (req) => {
+  const file = (field) => {
+    const uploaded = req.files && req.files[field] && req.files[field][0];
+    return uploaded ? { url: uploaded.path, publicId: uploaded.filename } : undefined;
+  };
+  const { code, latitude, longitude, accuracy, notes } = req.body;
+
+  return { code, latitude, longitude, accuracy, notes, photo: file('photo'), signature: file('signature') };
+};
+
+/**
+ * @swagger
+ * /orders/{id}/handover:
+ *   get:
+ *     summary: Preuves de remise d'une commande
+ *     description: Code vérifié, position, heure, photo et signature de la collecte et de la livraison.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Preuves de remise (le code lui-même n'est jamais renvoyé)
+ *       404:
+ *         description: Commande non trouvée
+ *   post:
+ *     summary: Remettre la commande au client sans livreur
+ *     description: |
+ *       Le pressing saisit le code de remise communiqué par le client ; la commande en livraison est alors terminée.
+ *       Sans preuve de remise, une commande en livraison ne peut pas être terminée (sauf arbitrage de l'administration).
+ *       Pour une course de livraison, la remise est confirmée par le livreur (POST /api/v1/deliveries/jobs/{id}/handover).
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: '482913'
+ *               latitude:
+ *                 type: number
+ *               longitude:
+ *                 type: number
+ *               accuracy:
+ *                 type: number
+ *               notes:
+ *                 type: string
+ *               photo:
+ *                 type: string
+ *                 format: binary
+ *               signature:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       200:
+ *         description: Remise confirmée, commande terminée
+ *       400:
+ *         description: Code incorrect, expiré ou bloqué, ou commande pas en livraison
+ */
+exports.getHandover = asyncHandler(async (req, res, next) => {
+  const proofs = await handoverService.getOrderProofs(req.params.id, currentUser(req));
+
+  res.status(200).json({
+    success: true,
+    count: proofs.length,
+    data: proofs
+  });
+});
+
+exports.completeHandover = asyncHandler(async (req, res, next) => {
+  const { order, proof } = await handoverService.completeOrderHandover(req.params.id, currentUser(req), handoverInput(req));
+
+  res.status(200).json({
+    success: true,
+    data: { order, proof }
+  });
+});
+
+/**
+ * @swagger
+ * /orders/{id}/handover/code:
+ *   post:
+ *     summary: Renvoyer le code de remise au client
+ *     description: |
+ *       Le code est envoyé automatiquement quand le livreur accepte la collecte et quand la commande part en livraison.
+ *       Un nouveau code remplace le précédent (perdu, expiré ou bloqué après trop d'erreurs).
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [pickup, delivery]
+ *                 default: delivery
+ *     responses:
+ *       200:
+ *         description: Code envoyé au client (notification)
+ *       400:
+ *         description: Aucune remise en cours, remise déjà confirmée ou code envoyé il y a moins d'une minute
+ */
+exports.requestCode = asyncHandler(async (req, res, next) => {
+  const result = await handoverService.requestCode(req.params.id, currentUser(req), { type: req.body.type });
+
+  res.status(200).json({
+    success: true,
+    data: result
+  });
+});
+
+/**
+ * @desc    Confirmer la remise chez le client avec son code (collecte récupérée, livraison remise)
+ * @route   POST /api/v1/deliveries/jobs/:id/handover
+ * @access  Private (Rider)
+ */
+exports.confirmJobHandover = asyncHandler(async (req, res, next) => {
+  const job = await deliveryService.handover(req.params.id, currentUser(req), handoverInput(req));
+
+  res.status(200).json({
+    success: true,
+    data: job
+  });
+});
@@ -0,0 +1,109 @@
+const asyncHandler = require('../middleware/async');
+const Invoice = require('../models/invoice.model');
+const invoiceService = require('../services/invoice.service');
+const invoicePdfService = require('../services/invoicePdfService');
+
+/**
+ * Destinataire ou émetteur à partir de l'utilisateur connecté
+ * @param {Object} req
+ * @returns {{id: string, role: string}}
+ */
+const currentUser = (req) => ({ id: req.user._id, role: req.user.role });
+
+/**
+ * @desc    Liste des factures et avoirs (les siens, tous pour un admin)
+ * @route   GET /api/v1/invoices
+ * @access  Private (Client, Pressing, Admin)
+ */
+exports.getInvoices = asyncHandler(async (req, res, next) => {
+  const { documentType, source, order, pressing, year, page = 1, limit = 20 } = req.query;
+
+  const { invoices, total, pages } = await invoiceService.listInvoices(currentUser(req), {
+    documentType,
+    source,
+    order,
+    pressing,
+    year,
+    page: parseInt(page),
+    limit: parseInt(limit)
+  });
+
+  res.status(200).json({
+    success: true,
+    count: invoices.length,
+    total,
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      pages
+    },
+    data: invoices
+  });
+});
+
+/**
+ * @desc    Détail d'une facture ou d'un avoir, avec les avoirs émis sur la facture
+ * @route   GET /api/v1/invoices/:id
+ * @access  Private (Client, Pressing concernés, Admin)
+ */
+exports.getInvoice = asyncHandler(async (req, res, next) => {
+  const invoice = await invoiceService.getInvoice(currentUser(req), req.params.id);
+  const creditNotes = await Invoice.find({ creditedInvoice: invoice._id })
+    .select('number total issuedAt reason')
+    .sort({ issuedAt: 1 });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      ...invoice.toObject(),
+      creditNotes
+    }
+  });
+});
+
+/**
+ * @desc    Télécharger une facture ou un avoir en PDF
+ * @route   GET /api/v1/invoices/:id/pdf
+ * @access  Private (Client, Pressing concernés, Admin)
+ */
+exports.downloadInvoicePdf = asyncHandler(async (req, res, next) => {
+  const invoice = await invoiceService.getInvoice(currentUser(req), req.params.id);
+  const pdf = await invoicePdfService.generateInvoicePDF(invoice);
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${invoice.number}.pdf"`);
+  res.status(200).send(pdf);
+});
+
+/**
+ * @desc    Établir un avoir commercial sur une facture
+ * @route   POST /api/v1/invoices/:id/credit-notes
+ * @access  Private (Pressing émetteur, Admin)
+ */
+exports.createCreditNote = asyncHandler(async (req, res, next) => {
+  const { amount, reason } = req.body;
+  const creditNote = await invoiceService.issueManualCreditNote(currentUser(req), req.params.id, {
+    amount,
+    reason,
+    idempotencyKey: req.get('Idempotency-Key')
+  });
+
+  res.status(201).json({
+    success: true,
+    data: creditNote
+  });
+});
+
+/**
+ * @desc    Émettre (ou retrouver) la facture d'une commande terminée
+ * @route   POST /api/v1/invoices/orders/:orderId
+ * @access  Private (Pressing de la commande, Admin)
+ */
+exports.issueOrderInvoice = asyncHandler(async (req, res, next) => {
+  const invoice = await invoiceService.issueInvoiceForOrder(currentUser(req), req.params.orderId);
+
+  res.status(200).json({
+    success: true,
+    data: invoice
+  });
+});
@@ -0,0 +1,146 @@
+const asyncHandler = require('../middleware/async');
+const ErrorResponse = require('../utils/errorResponse');
+const ledgerService = require('../services/ledger.service');
+const { ACCOUNT_CATEGORIES } = require('../models/ledgerAccount.model');
+
+/**
+ * Code du compte propre à l'utilisateur connecté
+ * @param {Object} user - req.user
+ * @returns {string|null}
+ */
+const ownAccountCode = (user) => {
+  if (user.role === 'pressing') return ledgerService.accountCodes.pressingBalance(user.id);
+  if (user.role === 'client') return ledgerService.accountCodes.clientWallet(user.id);
+  return null;
+};
+
+/**
+ * Lit une période (from/to) depuis la query
+ * @param {Object} query - req.query
+ * @returns {{from?: Date, to?: Date}|null} - null si une date est invalide
+ */
+const parsePeriod = ({ from, to }) => {
+  const period = {
+    from: from ? new Date(from) : undefined,
+    to: to ? new Date(to) : undefined
+  };
+  if ([period.from, period.to].some(date => date && isNaN(date.getTime()))) {
+    return null;
+  }
+  return period;
+};
+
+/**
+ * @desc    Solde du compte de l'utilisateur connecté (solde pressing ou porte-monnaie client)
+ * @route   GET /api/v1/ledger/balance
+ * @access  Private (Client, Pressing)
+ */
+exports.getMyBalance = asyncHandler(async (req, res, next) => {
+  const code = ownAccountCode(req.user);
+  await ledgerService.ensureAccount(code);
+  const { account, debit, credit, balance, currency } = await ledgerService.getAccountBalance(code);
+
+  res.status(200).json({
+    success: true,
+    data: { account: account.code, category: account.category, debit, credit, balance, currency }
+  });
+});
+
+/**
+ * @desc    Relevé du compte de l'utilisateur connecté
+ * @route   GET /api/v1/ledger/statement
+ * @access  Private (Client, Pressing)
+ */
+exports.getMyStatement = asyncHandler(async (req, res, next) => {
+  const period = parsePeriod(req.query);
+  if (!period) {
+    return next(new ErrorResponse('Dates de période invalides', 400));
+  }
+
+  const code = ownAccountCode(req.user);
+  await ledgerService.ensureAccount(code);
+  const statement = await ledgerService.getStatement(code, period);
+
+  res.status(200).json({
+    success: true,
+    data: statement
+  });
+});
+
+/**
+ * @desc    Liste des comptes du grand livre avec leur solde
+ * @route   GET /api/v1/ledger/accounts
+ * @access  Private (Admin)
+ */
+exports.getAccounts = asyncHandler(async (req, res, next) => {
+  const { category } = req.query;
+
+  if (category && !ACCOUNT_CATEGORIES[category]) {
+    return next(new ErrorResponse(`Catégorie de compte inconnue: ${category}`, 400));
+  }
+
+  const accounts = await ledgerService.listAccounts({ category });
+
+  res.status(200).json({
+    success: true,
+    count: accounts.length,
+    data: accounts
+  });
+});
+
+/**
+ * @desc    Solde d'un compte
+ * @route   GET /api/v1/ledger/accounts/:code/balance
+ * @access  Private (Admin)
+ */
+exports.getAccountBalance = asyncHandler(async (req, res, next) => {
+  const at = req.query.at ? new Date(req.query.at) : undefined;
+  if (at && isNaN(at.getTime())) {
+    return next(new ErrorResponse('Date invalide', 400));
+  }
+
+  const { account, debit, credit, balance, currency } = await ledgerService.getAccountBalance(req.params.code, { at });
+
+  res.status(200).json({
+    success: true,
+    data: { account, debit, credit, balance, currency }
+  });
+});
+
+/**
+ * @desc    Relevé d'un compte
+ * @route   GET /api/v1/ledger/accounts/:code/statement
+ * @access  Private (Admin)
+ */
+exports.getAccountStatement = asyncHandler(async (req, res, next) => {
+  const period = parsePeriod(req.query);
+  if (!period) {
+    return next(new ErrorResponse('Dates de période invalides', 400));
+  }
+
+  const statement = await ledgerService.getStatement(req.params.code, period);
+
+  res.status(200).json({
+    success: true,
+    data: statement
+  });
+});
+
+/**
+ * @desc    Balance générale (contrôle débit = crédit)
+ * @route   GET /api/v1/ledger/trial-balance
+ * @access  Private (Admin)
+ */
+exports.getTrialBalance = asyncHandler(async (req, res, next) => {
+  const at = req.query.at ? new Date(req.query.at) : undefined;
+  if (at && isNaN(at.getTime())) {
+    return next(new ErrorResponse('Date invalide', 400));
+  }
+
+  const trialBalance = await ledgerService.getTrialBalance({ at });
+
+  res.status(200).json({
+    success: true,
+    data: trialBalance
+  });
+});
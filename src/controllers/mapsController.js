@@ -1,6 +1,8 @@
 const axios = require('axios');
 const polyline = require('@mapbox/polyline');
 const mapboxService = require('../services/mapbox.service');
+const gazetteerService = require('../services/gazetteer.service');
+const { getGeocode } = require('../services/geocoding.service');
 
 /**
  * @desc    Get directions from Mapbox API (remplace Google Maps)
@@ -260,3 +262,60 @@ exports.reverseGeocode = async (req, res) => {
     });
   }
 };
+
+/**
+ * @desc    Autocomplétion des communes et quartiers d'Abidjan (répertoire hors ligne)
+ * @route   GET /api/v1/maps/districts
+ * @access  Public
+ */
+exports.searchDistricts = (req, res) => {
+  const { q, limit } = req.query;
+
+  if (!q || !String(q).trim()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Le paramètre q est requis'
+    });
+  }
+
+  const results = gazetteerService.searchDistricts(q, Math.min(parseInt(limit, 10) || 10, 50));
+
+  res.status(200).json({
+    success: true,
+    count: results.length,
+    data: results
+  });
+};
+
+/**
+ * @desc    Coordonnées d'une adresse (cache, Mapbox, puis quartier d'Abidjan cité dans l'adresse)
+ * @route   GET /api/v1/maps/geocode
+ * @access  Public
+ */
+exports.geocode = async (req, res, next) => {
+  try {
+    const { address } = req.query;
+
+    if (!address || !String(address).trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Le paramètre address est requis'
+      });
+    }
+
+    const location = await getGeocode(address);
+    if (!location) {
+      return res.status(404).json({
+        success: false,
+        message: 'Adresse introuvable'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: location
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,10 +1,18 @@
 const Order = require('../models/order.model');
+const Garment = require('../models/garment.model');
 const Pressing = require('../models/pressing.model');
 const Client = require('../models/client.model');
 const ClientDirect = require('../models/client-direct.model');
 const { ErrorResponse, NotFoundError, BadRequestError, ForbiddenError } = require('../utils/error.utils');
 const notificationService = require('../services/notification.service');
 const recurringOrderService = require('../services/recurringOrder.service');
+const orderStatusService = require('../services/orderStatus.service');
+const feeRuleService = require('../services/feeRule.service');
+const garmentService = require('../services/garment.service');
+const checkoutService = require('../services/checkout.service');
+const promotionService = require('../services/promotion.service');
+const riderTrackingService = require('../services/riderTracking.service');
+const { actorFromRole } = require('../config/orderStatus');
 const logger = require('../utils/logger');
 
 /**
@@ -12,6 +20,11 @@ const logger = require('../utils/logger');
  * /orders:
  *   post:
  *     summary: Créer une nouvelle commande
+ *     description: |
+ *       Pour une livraison, les frais, le minimum de commande et le délai sont ceux de la zone du pressing
+ *       qui couvre l'adresse (la zone de plus petit ordre si plusieurs se chevauchent), à défaut ceux de la tranche
+ *       de distance. Majorations heure de pointe et week-end (selon le créneau) et supplément express sont détaillés
+ *       dans fees. Une adresse hors de toutes les zones actives du pressing est refusée.
  *     tags: [Orders]
  *     security:
  *       - bearerAuth: []
@@ -48,6 +61,9 @@ const logger = require('../utils/logger');
  *                       example: 'Repasser à basse température'
  *               adresseLivraison:
  *                 type: string
+ *                 description: |
+ *                   Texte libre (géocodé) ou objet JSON avec coordinates { lat, lng }.
+ *                   Une adresse sans position GPS ni coordonnées, introuvable au géocodage, est refusée (400).
  *                 example: "Cocody, Abidjan, Côte d'Ivoire"
  *               dateRecuperationSouhaitee:
  *                 type: string
@@ -56,6 +72,24 @@ const logger = require('../utils/logger');
  *               instructionsSpeciales:
  *                 type: string
  *                 example: 'Sonner deux fois à la porte'
+ *               pricingMode:
+ *                 type: string
+ *                 enum: [catalog, quote]
+ *                 default: catalog
+ *                 description: |
+ *                   'quote' pour les articles chiffrés après inspection (robes de mariée, cuir, tapis...).
+ *                   Les prix sont alors estimés ; le pressing émet un devis que le client accepte avant de payer.
+ *               deliveryType:
+ *                 type: string
+ *                 enum: [standard, express]
+ *                 default: standard
+ *                 description: Livraison express (supplément)
+ *               promoCode:
+ *                 type: string
+ *                 example: BIENVENUE10
+ *                 description: |
+ *                   Code promo, évalué avec les promotions automatiques du pressing (priorité, cumul).
+ *                   La remise est répartie sur les articles ; non applicable aux commandes sur devis.
  *     responses:
  *       201:
  *         description: Commande créée avec succès
@@ -64,7 +98,7 @@ const logger = require('../utils/logger');
  *             schema:
  *               $ref: '#/components/schemas/Commande'
  *       400:
- *         $ref: '#/components/responses/BadRequest'
+ *         description: Données invalides, code promo non applicable, adresse hors des zones de livraison ou minimum de commande de la zone non atteint
  *       401:
  *         $ref: '#/components/responses/UnauthorizedError'
  *       404:
@@ -87,7 +121,13 @@ const createOrder = async (req, res, next) => {
       deliveryInstructions,
       specialInstructions,
       // Géolocalisation de livraison
-      deliveryLocation
+      deliveryLocation,
+      // 'quote' : articles chiffrés par le pressing après inspection
+      pricingMode,
+      // 'express' : livraison prioritaire avec supplément
+      deliveryType,
+      // Code promo saisi par le client
+      promoCode
     } = req.body;
     const clientId = req.user.id;
     
@@ -103,165 +143,78 @@ const createOrder = async (req, res, next) => {
       specialInstructions
     });
 
+    if (pricingMode && !['catalog', 'quote'].includes(pricingMode)) {
+      throw new BadRequestError(`Mode de tarification invalide: ${pricingMode}`);
+    }
+    const onQuote = pricingMode === 'quote';
+    if (onQuote && promoCode) {
+      throw new BadRequestError('Les codes promo ne s\'appliquent pas aux commandes sur devis');
+    }
+
     // Vérifier que le pressing existe
     const pressing = await Pressing.findById(pressingId);
     if (!pressing) {
       throw new NotFoundError(`Pressing non trouvé avec l'ID ${pressingId}`);
     }
 
-    // Vérifier que les services existent et calculer le montant total
-    let montantTotal = 0;
-    const servicesAvecDetails = [];
-
-    for (const item of services) {
-      console.log('🔍 Traitement service item:', {
-        serviceId: item.serviceId,
-        hasDetailedInfo: !!(item.nom || item.description || item.dureeMoyenne),
-        fields: Object.keys(item)
-      });
-      
-      // Chercher d'abord dans les services du pressing
-      const service = pressing.services.find(s => s._id.toString() === item.serviceId);
-      
-      // Utiliser les données détaillées du service si disponibles (depuis PressingDetailPage)
-      const serviceDetails = {
-        // Nom du service (priorité aux données détaillées)
-        name: item.nom || item.name || (service ? service.nom : 'Service'),
-        
-        // Description complète
-        description: item.description || (service ? service.description : 'Service importé depuis une source externe'),
-        
-        // Prix (priorité aux données détaillées)
-        price: item.prix || item.price || (service ? service.prix : 0),
-        
-        // Catégorie
-        category: item.categorie || item.category || (service ? service.categorie : 'Général'),
-        
-        // Durée moyenne en minutes
-        duration: item.dureeMoyenne || item.duration || (service ? service.dureeMoyenne : 0),
-        
-        // Disponibilité
-        available: item.disponible !== undefined ? item.disponible : (service ? service.disponible : true),
-        
-        // Validité en jours
-        validity: item.validite || (service ? service.validite : 30),
-        
-        // Options du service
-        options: item.options || (service ? service.options : []),
-        
-        // Images du service
-        images: item.images || (service ? service.images : []),
-        
-        // Métadonnées temporelles
-        createdAt: item.createdAt || (service ? service.createdAt : null),
-        updatedAt: item.updatedAt || (service ? service.updatedAt : null)
-      };
-      
-      servicesAvecDetails.push({
-        service: service ? service._id : item.serviceId,
-        pressing: pressingId,
-        serviceDetails,
-        quantity: item.quantite || item.quantity || 1,
-        unitPrice: serviceDetails.price,
-        specialInstructions: item.instructions || '',
-        
-        // Informations supplémentaires pour le suivi
-        metadata: {
-          sourceType: service ? 'pressing_service' : 'imported_service',
-          hasDetailedInfo: !!(item.nom || item.description || item.dureeMoyenne),
-          estimatedDuration: (serviceDetails.duration || 0) * (item.quantite || item.quantity || 1)
-        }
-      });
-
-      // Calculer le montant avec le prix le plus récent
-      const finalPrice = serviceDetails.price;
-      const quantity = item.quantite || item.quantity || 1;
-      montantTotal += finalPrice * quantity;
-      
-      console.log('✅ Service traité:', {
-        serviceId: item.serviceId,
-        name: serviceDetails.name,
-        price: finalPrice,
-        quantity,
-        subtotal: finalPrice * quantity
-      });
-    }
-
-    // Traiter l'adresse de livraison avec géolocalisation
-    let deliveryAddressData = null;
-    if (adresseLivraison) {
-      // Essayer de parser l'adresse si c'est un objet JSON
-      let parsedAddress;
-      try {
-        parsedAddress = typeof adresseLivraison === 'string' ? JSON.parse(adresseLivraison) : adresseLivraison;
-      } catch (e) {
-        // Si ce n'est pas du JSON, traiter comme une chaîne simple
-        parsedAddress = { formattedAddress: adresseLivraison };
-      }
+    // Articles au prix du catalogue du pressing, adresse géolocalisée et créneau de collecte
+    const { items: servicesAvecDetails, subtotal: montantTotal } = checkoutService.buildOrderItems(pressing, services);
+    const deliveryAddressData = await checkoutService.locateDeliveryAddress(
+      checkoutService.parseDeliveryAddress(adresseLivraison),
+      deliveryLocation
+    );
+    const timeSlotData = checkoutService.buildTimeSlot(dateRecuperationSouhaitee);
+
+    // Évaluer les règles de frais (commission, frais de service, TVA) et figer le résultat
+    // Frais de livraison détaillés (zone ou distance, heure de pointe, week-end, express)
+    const express = deliveryType === 'express';
+    const {
+      fee: deliveryFee,
+      lines: deliveryLines,
+      zone: deliveryZone,
+      distanceMeters
+    } = await checkoutService.quoteDelivery({
+      pressing,
+      deliveryAddress: deliveryAddressData,
+      deliveryLocation,
+      subtotal: montantTotal,
+      express,
+      at: timeSlotData.preferredDate || undefined
+    });
 
-      deliveryAddressData = {
-        type: 'Point',
-        coordinates: parsedAddress.coordinates ? 
-          [parsedAddress.coordinates.lng || parsedAddress.coordinates[0] || -3.9665738, 
-           parsedAddress.coordinates.lat || parsedAddress.coordinates[1] || 5.3599517] : 
-          [-3.9665738, 5.3599517], // Coordonnées par défaut d'Abidjan
-        street: parsedAddress.street || '',
-        city: parsedAddress.city || 'Abidjan',
-        district: parsedAddress.district || '',
-        postalCode: parsedAddress.postalCode || '00225',
-        country: parsedAddress.country || 'Côte d\'Ivoire',
-        formattedAddress: parsedAddress.formattedAddress || adresseLivraison
-      };
+    // Promotions (code saisi et promotions automatiques du pressing), hors commande sur devis,
+    // évaluées avant la tarification qui porte sur le montant remisé
+    const evaluation = onQuote ? null : await promotionService.evaluateOrder({
+      customer: clientId,
+      pressing: pressing._id,
+      items: servicesAvecDetails
+    }, { code: promoCode });
+    if (evaluation && evaluation.codeRejection) {
+      throw new BadRequestError(evaluation.codeRejection);
     }
 
-    // Traiter la date et heure de collecte
-    const collectionDate = dateRecuperationSouhaitee ? new Date(dateRecuperationSouhaitee) : null;
-    const timeSlotData = {
-      type: collectionDate ? 'specific' : 'asap',
-      preferredDate: collectionDate,
-      startTime: collectionDate,
-      endTime: collectionDate ? new Date(collectionDate.getTime() + 2 * 60 * 60 * 1000) : null, // +2h
-      timezone: 'Africa/Abidjan'
-    };
-
-    // Calculer les frais supplémentaires
-    const deliveryFee = adresseLivraison ? 1000 : 0; // 1000 XOF si livraison
-    const serviceFee = Math.round(montantTotal * 0.05); // 5% de frais de service
-    const taxRate = 0.18; // 18% TVA
-    const taxAmount = Math.round((montantTotal + deliveryFee + serviceFee) * taxRate);
-    
-    // Calculer le montant total final
-    const finalTotal = montantTotal + deliveryFee + serviceFee + taxAmount;
+    const pricing = await feeRuleService.computeOrderPricing({
+      pressing,
+      items: promotionService.toPricingItems(servicesAvecDetails, evaluation),
+      deliveryFee
+    });
+    const taxAmount = pricing.vat;
+    const finalTotal = pricing.total;
     
     console.log('💰 Calcul du montant total:', {
       subtotal: montantTotal,
       deliveryFee,
-      serviceFee,
+      serviceFee: pricing.serviceFee,
       taxAmount,
+      commission: pricing.commission,
       finalTotal
     });
     
     // Préparer les frais supplémentaires
-    const fees = [];
-    if (serviceFee > 0) {
-      fees.push({
-        type: 'service',
-        name: 'Frais de service',
-        amount: serviceFee,
-        description: 'Frais de traitement de la commande (5%)'
-      });
-    }
-    if (deliveryFee > 0) {
-      fees.push({
-        type: 'delivery',
-        name: 'Frais de livraison',
-        amount: deliveryFee,
-        description: 'Frais de livraison à domicile'
-      });
-    }
+    const fees = feeRuleService.toOrderFees(pricing, deliveryLines);
 
-    // Créer et sauvegarder la commande avec les données complètes
-    const order = await Order.create({
+    // Créer la commande avec les données complètes
+    const order = new Order({
       customer: clientId,
       pressing: pressingId,
       items: servicesAvecDetails,
@@ -314,7 +267,9 @@ const createOrder = async (req, res, next) => {
       
       // Informations de livraison
       delivery: {
-        status: 'pending'
+        status: 'pending',
+        ...(deliveryAddressData && { type: express ? 'express' : 'delivery', distanceMeters }),
+        ...(deliveryZone && { zone: deliveryZone })
       },
       
       // Évaluation (vide initialement)
@@ -324,6 +279,11 @@ const createOrder = async (req, res, next) => {
       
       // Frais supplémentaires
       fees: fees,
+      pricing,
+
+      // Sur devis, les prix ci-dessus ne sont qu'une estimation jusqu'à l'acceptation du devis
+      pricingMode: onQuote ? 'quote' : 'catalog',
+      ...(onQuote && { quote: { status: 'awaiting_quote', history: [] } }),
       
       // Instructions spéciales combinées
       specialInstructions: [
@@ -356,6 +316,31 @@ const createOrder = async (req, res, next) => {
       }
     });
 
+    if (evaluation) {
+      promotionService.applyToOrder(order, evaluation);
+      if (order.promotions.length) {
+        order.calculateTotals();
+      }
+    }
+
+    // Utilisation décomptée avec l'enregistrement, rendue si celui-ci échoue
+    await promotionService.redeemPromotions(order);
+    try {
+      await order.save();
+    } catch (error) {
+      await promotionService.releasePromotions(order);
+      throw error;
+    }
+
+    // Commande sur devis : transmise au pressing sans attendre le paiement, qui suivra l'acceptation du devis
+    if (onQuote) {
+      await orderStatusService.transitionOrder(order, 'pending', {
+        actor: 'customer',
+        actorId: clientId,
+        notes: 'Commande sur devis : en attente d\'inspection des articles'
+      });
+    }
+
     // Récupérer les détails complets de la commande pour la notification
     const orderWithDetails = await Order.findById(order._id, null, { strictPopulate: false })
       .populate('customer', 'nom prenom email telephone')
@@ -502,6 +487,9 @@ const getOrders = async (req, res, next) => {
     }
     // Pour l'admin, aucun filtre par ID n'est appliqué, il voit tout.
 
+    // Les paniers en cours de composition ne sont pas des commandes (voir /cart)
+    filter['cart.active'] = { $ne: true };
+
     // 2. Filtrer par statut
     if (status) {
       filter.status = status; // Correction: utiliser 'status' au lieu de 'statut'
@@ -768,8 +756,8 @@ const getOrder = async (req, res, next) => {
  *             properties:
  *               statut:
  *                 type: string
- *                 enum: [en_attente, confirmee, en_cours, terminee, annulee]
- *                 description: Nouveau statut de la commande
+ *                 enum: [en_attente, confirmee, en_cours, prete, livree, annulee, pending, confirmed, processing, ready_for_pickup, out_for_delivery, completed, on_hold, cancelled, refunded]
+ *                 description: Nouveau statut de la commande (doit être une transition autorisée du cycle de vie)
  *               commentaire:
  *                 type: string
  *                 description: Commentaire optionnel pour la mise à jour du statut
@@ -795,9 +783,11 @@ const getOrder = async (req, res, next) => {
  *       401:
  *         $ref: '#/components/responses/UnauthorizedError'
  *       403:
- *         description: Action non autorisée pour cet utilisateur
+ *         description: Action non autorisée pour cet utilisateur ou ce rôle (ORDER_TRANSITION_FORBIDDEN)
  *       404:
  *         description: Commande non trouvée
+ *       409:
+ *         description: Transition de statut interdite (INVALID_ORDER_TRANSITION, ORDER_TRANSITION_GUARD_FAILED)
  *       500:
  *         $ref: '#/components/responses/ServerError'
  */
@@ -828,7 +818,7 @@ const mapFrontendStatusToBackend = (frontendStatus) => {
     'on_hold': 'on_hold'
   };
   
-  return statusMap[frontendStatus] || 'pending';
+  return statusMap[frontendStatus] || null;
 };
 
 const updateOrderStatus = async (req, res, next) => {
@@ -843,6 +833,9 @@ const updateOrderStatus = async (req, res, next) => {
     
     // Mapper le statut frontend vers le statut backend valide
     const newStatus = mapFrontendStatusToBackend(frontendStatus);
+    if (!newStatus) {
+      throw new BadRequestError(`Statut de commande inconnu: ${frontendStatus}`);
+    }
     
     console.log('🔄 Mapping statut:', {
       frontend: frontendStatus,
@@ -888,37 +881,19 @@ const updateOrderStatus = async (req, res, next) => {
       throw new ForbiddenError('Non autorisé à modifier le statut de cette commande');
     }
 
-    const ancienStatut = order.status;
-
-    // Mettre à jour le statut et l'historique
-    order.status = newStatus;
-    order.statusHistory.push({
-      status: newStatus,
-      changedAt: new Date(),
-      changedBy: 'pressing',
-      notes: commentaire || `Statut mis à jour: ${newStatus}`,
+    // La transition est validée par le cycle de vie (config/orderStatus)
+    const { previousStatus } = await orderStatusService.transitionOrder(order, newStatus, {
+      actor: actorFromRole(normalizedRole),
+      actorId: userId,
+      notes: commentaire
     });
 
-    if (newStatus === 'completed' && !order.delivery.actualDeliveryTime) {
-      order.delivery.actualDeliveryTime = new Date();
-    }
-
-    await order.save();
-
-    // Si le statut a changé, envoyer une notification
-    if (ancienStatut !== newStatus) {
-      const orderAvecDetails = await Order.findById(order._id)
-          .populate('customer', 'nom prenom email telephone')
-          .populate('pressing', 'nomCommerce');
-
-      // Envoyer notification si le service existe
-      if (notificationService && notificationService.sendOrderStatusUpdateNotification) {
-        notificationService.sendOrderStatusUpdateNotification(orderAvecDetails, ancienStatut)
-          .catch(error => logger.error('Erreur lors de l\'envoi de la notification de mise à jour de statut:', error));
-      }
-    }
-
-    res.status(200).json({ success: true, data: order });
+    res.status(200).json({
+      success: true,
+      message: `Statut de la commande mis à jour: ${previousStatus} -> ${order.status}`,
+      data: order,
+      availableTransitions: orderStatusService.getAvailableTransitions(order, actorFromRole(normalizedRole))
+    });
   } catch (error) {
     next(error);
   }
@@ -991,19 +966,17 @@ const updateOrderStatus = async (req, res, next) => {
  */
 const cancelOrder = async (req, res, next) => {
   try {
+    const { role, id: userId } = req.user;
+    const normalizedRole = role?.toLowerCase();
     let order;
     
     // Un client ne peut annuler que ses propres commandes
-    if (req.user.role === 'client') {
-      commande = await Commande.findOne({
-        _id: req.params.id,
-        client: req.user.id,
-        statut: { $in: ['en_attente', 'confirmee'] }, // Ne peut annuler que si la commande est en attente ou confirmée
-      });
+    if (normalizedRole === 'client') {
+      order = await Order.findOne({ _id: req.params.id, customer: userId });
     } 
     // Un admin peut annuler n'importe quelle commande
-    else if (req.user.role === 'admin') {
-      commande = await Commande.findById(req.params.id);
+    else if (normalizedRole === 'admin') {
+      order = await Order.findById(req.params.id);
     } else {
       throw new ErrorResponse('Non autorisé', 403);
     }
@@ -1012,56 +985,19 @@ const cancelOrder = async (req, res, next) => {
       throw new NotFoundError(`Commande non trouvée ou ne peut pas être annulée`);
     }
 
-    // Sauvegarder l'ancien statut pour la notification
-    const ancienStatut = order.statut;
-    const commentaire = req.body.commentaire || 'Commande annulée par le client';
+    const commentaire = req.body.raison || req.body.commentaire || 'Commande annulée par le client';
     
-    // Mettre à jour le statut
-    order.statut = 'annulee';
-    order.historiqueStatuts.push({
-      statut: 'annulee',
-      date: new Date(),
-      commentaire: commentaire,
+    // Le cycle de vie refuse l'annulation une fois le traitement commencé pour un client
+    await orderStatusService.transitionOrder(order, 'cancelled', {
+      actor: actorFromRole(normalizedRole),
+      actorId: userId,
+      notes: commentaire,
+      metadata: { reason: commentaire }
     });
 
-    await order.save();
-
-    // Envoyer une notification d'annulation (ne pas attendre la fin de l'envoi)
-    if (ancienStatut !== 'annulee') {
-      const orderAvecDetails = await commande
-        .populate('customer', 'nom prenom email telephone')
-        .populate('pressing', 'nomCommerce')
-        .execPopulate();
-      
-      notificationController.sendCustomNotification(
-        commandeAvecDetails.customer,
-        {
-          subject: `Commande #${commandeAvecDetails.reference} annulée`,
-          message: `Votre commande #${commandeAvecDetails.reference} a été annulée.${commentaire ? `\n\nRaison: ${commentaire}` : ''}`,
-          type: 'both',
-        }
-      ).catch(error => {
-        logger.error('Erreur lors de l\'envoi de la notification d\'annulation:', error);
-      });
-
-      // Notifier également le pressing
-      const pressingUser = await User.findById(commandeAvecDetails.pressing._id);
-      if (pressingUser) {
-        notificationController.sendCustomNotification(
-          pressingUser,
-          {
-            subject: `Commande #${commandeAvecDetails.reference} annulée`,
-            message: `La commande #${commandeAvecDetails.reference} a été annulée par ${commandeAvecDetails.customer.prenom} ${commandeAvecDetails.customer.nom}.${commentaire ? `\n\nRaison: ${commentaire}` : ''}`,
-            type: 'email',
-          }
-        ).catch(error => {
-          logger.error('Erreur lors de l\'envoi de la notification d\'annulation au pressing:', error);
-        });
-      }
-    }
-
     res.json({
       success: true,
+      message: 'Commande annulée avec succès',
       data: order,
     });
   } catch (err) {
@@ -1525,7 +1461,10 @@ const deactivateRecurringOrder = async (req, res, next) => {
  * /orders/{id}/tracking:
  *   get:
  *     summary: Obtenir le suivi temps réel d'une commande
- *     description: Récupère les informations de suivi détaillées d'une commande avec historique des statuts
+ *     description: |
+ *       Récupère les informations de suivi détaillées d'une commande avec historique des statuts et suivi des vêtements étiquetés.
+ *       Pendant une collecte ou une livraison, inclut la dernière position connue du livreur et l'heure d'arrivée recalculée.
+ *       Les positions suivantes sont poussées sur le WebSocket (/ws, message rider_location).
  *     tags: [Orders]
  *     security:
  *       - bearerAuth: []
@@ -1573,6 +1512,18 @@ const deactivateRecurringOrder = async (req, res, next) => {
  *                             type: string
  *                           location:
  *                             type: string
+ *                     garments:
+ *                       type: object
+ *                       description: Vêtements étiquetés, regroupés par article, avec leurs passages (lavage, repassage, contrôle qualité, emballage)
+ *                       properties:
+ *                         total:
+ *                           type: integer
+ *                         byStatus:
+ *                           type: object
+ *                         items:
+ *                           type: array
+ *                           items:
+ *                             type: object
  *                     deliveryInfo:
  *                       type: object
  *                       properties:
@@ -1583,6 +1534,45 @@ const deactivateRecurringOrder = async (req, res, next) => {
  *                           type: string
  *                         deliveryInstructions:
  *                           type: string
+ *                         liveTracking:
+ *                           type: object
+ *                           nullable: true
+ *                           description: Course en cours (null sans livreur en route)
+ *                           properties:
+ *                             jobId:
+ *                               type: string
+ *                             jobType:
+ *                               type: string
+ *                               enum: [pickup, delivery]
+ *                             jobStatus:
+ *                               type: string
+ *                             rider:
+ *                               type: object
+ *                             position:
+ *                               type: object
+ *                               nullable: true
+ *                               properties:
+ *                                 latitude:
+ *                                   type: number
+ *                                 longitude:
+ *                                   type: number
+ *                                 recordedAt:
+ *                                   type: string
+ *                                   format: date-time
+ *                             eta:
+ *                               type: object
+ *                               nullable: true
+ *                               properties:
+ *                                 stop:
+ *                                   type: string
+ *                                   enum: [from, to]
+ *                                 arrivalAt:
+ *                                   type: string
+ *                                   format: date-time
+ *                                 durationSeconds:
+ *                                   type: integer
+ *                                 distanceMeters:
+ *                                   type: integer
  *       401:
  *         $ref: '#/components/responses/UnauthorizedError'
  *       403:
@@ -1595,56 +1585,61 @@ const deactivateRecurringOrder = async (req, res, next) => {
 const getOrderTracking = async (req, res, next) => {
   try {
     const { id } = req.params;
-    const userId = req.user.id;
-    const userRole = req.user.role;
 
     // Récupérer la commande avec les détails nécessaires
-    const order = await Commande.findById(id)
-      .populate('pressing', 'nom adresse telephone')
-      .populate('customer', 'nom prenom telephone')
-      .select('orderNumber statut historiqueStatuts dateCreation dateRecuperationSouhaitee adresseLivraison instructionsSpeciales montantTotal pressing customer');
+    const order = await Order.findById(id)
+      .populate('pressing', 'businessName address phone');
 
     if (!order) {
       throw new NotFoundError('Commande non trouvée');
     }
 
     // Vérifier les permissions
-    if (!hasPermission(order, req.user)) {
+    const pressingId = order.pressing && order.pressing._id ? order.pressing._id : order.pressing;
+    if (!hasPermission({ customer: order.customer, pressing: pressingId }, req.user)) {
       throw new ForbiddenError('Accès non autorisé à cette commande');
     }
 
     // Construire l'historique de suivi
-    const trackingHistory = order.historiqueStatuts.map(entry => ({
-      status: entry.statut,
-      timestamp: entry.date,
-      description: getStatusDescription(entry.statut),
-      location: order.pressing ? order.pressing.nom : 'Pressing',
-      updatedBy: entry.utilisateur || 'Système'
+    const trackingHistory = order.statusHistory.map(entry => ({
+      status: entry.status,
+      timestamp: entry.changedAt,
+      description: getStatusDescription(entry.status),
+      location: order.pressing && order.pressing.businessName ? order.pressing.businessName : 'Pressing',
+      updatedBy: entry.changedBy || 'system'
     }));
 
+    // Suivi des vêtements étiquetés à la réception
+    const garments = await Garment.find({ order: order._id }).sort({ createdAt: 1 });
+
+    // Livreur en route : dernière position et heure d'arrivée recalculée
+    const liveTracking = await riderTrackingService.getLiveTracking(order._id);
+
     // Calculer la date de livraison estimée
     const estimatedCompletion = calculateEstimatedCompletion(order);
-    const estimatedDelivery = calculateEstimatedDelivery(order);
+    const estimatedDelivery = calculateEstimatedDelivery(order, liveTracking);
 
     // Construire la réponse
     const trackingData = {
       orderId: order._id,
-      orderNumber: order.orderNumber || order.reference,
-      currentStatus: order.statut,
+      orderNumber: order.orderNumber,
+      currentStatus: order.status,
       estimatedCompletion,
       trackingHistory: trackingHistory.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp)),
+      garments: garmentService.summarizeGarments(order, garments),
       deliveryInfo: {
         estimatedDelivery,
-        deliveryAddress: order.adresseLivraison,
-        deliveryInstructions: order.instructionsSpeciales || 'Aucune instruction spéciale'
+        deliveryAddress: order.deliveryAddress,
+        deliveryInstructions: (order.delivery && order.delivery.notes) || 'Aucune instruction spéciale',
+        liveTracking
       },
-      pressingInfo: order.pressing ? {
-        name: order.pressing.nom,
-        address: order.pressing.adresse,
-        phone: order.pressing.telephone
+      pressingInfo: order.pressing && order.pressing.businessName ? {
+        name: order.pressing.businessName,
+        address: order.pressing.address,
+        phone: order.pressing.phone
       } : null,
-      orderValue: order.montantTotal,
-      createdAt: order.dateCreation
+      orderValue: order.payment && order.payment.amount ? order.payment.amount.total : undefined,
+      createdAt: order.createdAt
     };
 
     res.status(200).json({
@@ -1660,51 +1655,58 @@ const getOrderTracking = async (req, res, next) => {
 // Fonction utilitaire pour obtenir la description d'un statut
 const getStatusDescription = (status) => {
   const descriptions = {
-    'en_attente': 'Commande reçue et en attente de traitement',
-    'confirmee': 'Commande confirmée par le pressing',
-    'en_cours_collecte': 'Collecte des articles en cours',
-    'collectee': 'Articles collectés avec succès',
-    'en_traitement': 'Articles en cours de traitement',
-    'prete': 'Commande prête pour la livraison',
-    'en_livraison': 'Commande en cours de livraison',
-    'livree': 'Commande livrée avec succès',
-    'terminee': 'Commande terminée',
-    'annulee': 'Commande annulée'
+    'draft': 'Commande en cours de préparation',
+    'pending': 'Commande reçue et en attente de confirmation',
+    'confirmed': 'Commande confirmée par le pressing',
+    'processing': 'Articles en cours de traitement',
+    'ready_for_pickup': 'Commande prête',
+    'out_for_delivery': 'Commande en cours de livraison',
+    'completed': 'Commande terminée',
+    'on_hold': 'Commande en attente (problème à résoudre)',
+    'cancelled': 'Commande annulée',
+    'refunded': 'Commande remboursée'
   };
   return descriptions[status] || 'Statut inconnu';
 };
 
 // Fonction utilitaire pour calculer la date d'achèvement estimée
 const calculateEstimatedCompletion = (order) => {
-  if (order.statut === 'livree' || order.statut === 'terminee') {
-    return order.historiqueStatuts
-      .find(h => h.statut === 'livree' || h.statut === 'terminee')?.date;
+  if (order.status === 'completed') {
+    const entry = order.statusHistory.find(h => h.status === 'completed');
+    return entry ? entry.changedAt : undefined;
   }
 
   // Estimation basée sur le statut actuel et les délais moyens
   const now = new Date();
   const statusDelays = {
-    'en_attente': 2, // 2 heures
-    'confirmee': 4, // 4 heures
-    'en_cours_collecte': 6, // 6 heures
-    'collectee': 24, // 24 heures
-    'en_traitement': 48, // 48 heures
-    'prete': 2, // 2 heures
-    'en_livraison': 4 // 4 heures
+    'draft': 24, // 24 heures
+    'pending': 2, // 2 heures
+    'confirmed': 24, // 24 heures
+    'processing': 48, // 48 heures
+    'on_hold': 48, // 48 heures
+    'ready_for_pickup': 2, // 2 heures
+    'out_for_delivery': 4 // 4 heures
   };
 
-  const delayHours = statusDelays[order.statut] || 24;
+  const delayHours = statusDelays[order.status] || 24;
   return new Date(now.getTime() + delayHours * 60 * 60 * 1000);
 };
 
 // Fonction utilitaire pour calculer la date de livraison estimée
-const calculateEstimatedDelivery = (order) => {
-  if (order.dateRecuperationSouhaitee) {
-    return order.dateRecuperationSouhaitee;
+const calculateEstimatedDelivery = (order, liveTracking) => {
+  // Livreur en route vers le client : heure d'arrivée recalculée depuis sa position
+  if (liveTracking && liveTracking.jobType === 'delivery' && liveTracking.eta && liveTracking.eta.stop === 'to') {
+    return liveTracking.eta.arrivalAt;
+  }
+  if (order.delivery && order.delivery.estimatedDeliveryTime) {
+    return order.delivery.estimatedDeliveryTime;
+  }
+  if (order.timeSlot && order.timeSlot.preferredDate) {
+    return order.timeSlot.preferredDate;
   }
 
   // Si pas de date souhaitée, estimer 72h après création
-  const creationDate = new Date(order.dateCreation);
+  const creationDate = new Date(order.createdAt);
   return new Date(creationDate.getTime() + 72 * 60 * 60 * 1000);
 };
 
@@ -1,86 +1,90 @@
+const mongoose = require('mongoose');
 const asyncHandler = require('../middleware/async');
 const ErrorResponse = require('../utils/errorResponse');
-const Order = require('../models/order.model');
-const Payment = require('../models/payment.model'); // Ce modèle sera à créer
-// const { initiateMobileMoneyPayment, checkPaymentStatus } = require('../services/payment.service'); // Ce service sera à créer
+const Transaction = require('../models/transaction.model');
+const config = require('../config/config');
+const paymentService = require('../services/payment.service');
+const paymentWebhookService = require('../services/paymentWebhook.service');
+const walletService = require('../services/wallet.service');
+const { isSandbox, normalizeProviderName } = require('../services/paymentProviders');
 
 /**
- * @desc    Initier un paiement pour une commande
+ * Vérifie qu'un utilisateur peut consulter ou agir sur une transaction
+ * @param {Object} transaction - Transaction
+ * @param {Object} user - Utilisateur connecté (req.user)
+ * @returns {boolean}
+ */
+const canAccessTransaction = (transaction, user) =>
+  user.role === 'admin' || transaction.user.id.toString() === user.id.toString();
+
+/**
+ * @desc    Initier un paiement pour une commande ou un panier multi-pressings
  * @route   POST /api/v1/payments/initiate
  * @access  Private (Client)
  */
 exports.initiatePayment = asyncHandler(async (req, res, next) => {
-  const { commandeId, paymentMethod, phoneNumber } = req.body;
-  const clientId = req.user.id;
+  const { commandeId, orderId, groupId, paymentMethod, provider, phoneNumber, walletAmount } = req.body;
+  const targetOrderId = orderId || commandeId;
+  const providerName = provider || paymentMethod;
 
-  const commande = await Order.findById(commandeId);
-
-  // Vérifications
-  if (!commande) {
-    return next(new ErrorResponse(`Commande non trouvée avec l'id ${commandeId}`, 404));
-  }
-  if (commande.customer.toString() !== clientId) {
-    return next(new ErrorResponse('Non autorisé à payer cette commande', 403));
+  if ((!targetOrderId && !groupId) || !providerName) {
+    return next(new ErrorResponse('Commande et méthode de paiement requises', 400));
   }
-  if (commande.statutPaiement === 'paye') {
-    return next(new ErrorResponse('Cette commande a déjà été payée', 400));
-  }
-
-  // Logique d'initiation du paiement (simulation)
-  // Dans un cas réel, on appellerait un service de paiement externe (CinetPay, etc.)
-  const transactionId = `TXN_${Date.now()}`;
-  const paymentData = {
-    transactionId,
-    amount: commande.prixTotal,
-    currency: 'XOF',
-    status: 'pending',
-    paymentMethod,
-    commande: commandeId,
-    client: clientId
-  };
 
-  // Simuler l'appel à un service externe
-  console.log(`Initiating payment for order ${commande.reference} via ${paymentMethod}...`);
+  const params = { provider: providerName, phoneNumber, clientId: req.user.id, walletAmount };
+  const { transaction, walletTransaction, paymentUrl } = groupId
+    ? await paymentService.initiateGroupPayment({ ...params, groupId })
+    : await paymentService.initiateOrderPayment({ ...params, orderId: targetOrderId });
 
-  // Créer un enregistrement de paiement dans la DB
-  // const payment = await Payment.create(paymentData);
+  let message = 'Paiement initié. Veuillez confirmer sur votre téléphone.';
+  if (transaction.paymentProvider === 'wallet') {
+    message = 'Commande payée avec votre porte-monnaie.';
+  } else if (paymentUrl) {
+    message = 'Paiement initié. Veuillez finaliser le paiement sur la page de l\'opérateur.';
+  }
 
   res.status(200).json({
     success: true,
-    message: 'Paiement initié. Veuillez confirmer sur votre téléphone.',
-    data: { transactionId, status: 'pending' }
+    message,
+    data: {
+      transactionId: transaction.reference,
+      status: transaction.status,
+      provider: transaction.paymentProvider,
+      amount: transaction.amount,
+      currency: transaction.currency,
+      ...(walletTransaction && {
+        wallet: { transactionId: walletTransaction.reference, amount: walletTransaction.amount }
+      }),
+      paymentUrl,
+      sandbox: isSandbox()
+    }
   });
 });
 
 /**
  * @desc    Vérifier le statut d'un paiement
  * @route   GET /api/v1/payments/:transactionId/status
- * @access  Private (Client)
+ * @access  Private (Client, Admin)
  */
 exports.getPaymentStatus = asyncHandler(async (req, res, next) => {
   const { transactionId } = req.params;
-  const clientId = req.user.id;
-
-  // Dans un cas réel, on vérifierait la transaction dans notre DB
-  // const payment = await Payment.findOne({ transactionId, client: clientId });
-  // if (!payment) {
-  //   return next(new ErrorResponse(`Transaction non trouvée`, 404));
-  // }
-
-  // Simuler la vérification du statut
-  const possibleStatus = ['succeeded', 'failed', 'pending'];
-  const randomStatus = possibleStatus[Math.floor(Math.random() * possibleStatus.length)];
-
-  // Si le paiement a réussi, mettre à jour la commande
-  if (randomStatus === 'succeeded') {
-    // await Order.findByIdAndUpdate(payment.commande, { statutPaiement: 'paye' });
-    // await Payment.findOneAndUpdate({ transactionId }, { status: 'succeeded' });
-    console.log(`Payment ${transactionId} succeeded. Order status updated.`);
+
+  const existing = await paymentService.getPaymentStatus(transactionId, { refresh: false });
+  if (!canAccessTransaction(existing, req.user)) {
+    return next(new ErrorResponse('Transaction non trouvée', 404));
   }
 
+  const transaction = await paymentService.getPaymentStatus(transactionId);
+
   res.status(200).json({
     success: true,
-    data: { transactionId, status: randomStatus }
+    data: {
+      transactionId: transaction.reference,
+      status: transaction.status,
+      providerStatus: transaction.providerStatus,
+      amount: transaction.amount,
+      currency: transaction.currency
+    }
   });
 });
 
@@ -93,20 +97,19 @@ exports.getPaymentHistory = asyncHandler(async (req, res, next) => {
   const { status, page = 1, limit = 10 } = req.query;
   const { id: userId, role } = req.user;
 
-  let filter = {};
+  let filter = { type: { $in: ['service', 'refund'] } };
 
   if (role === 'client') {
-    filter.client = userId;
+    filter['user.id'] = userId;
   }
 
   if (status) {
     filter.status = status;
   }
 
-  const total = await Payment.countDocuments(filter);
-  const payments = await Payment.find(filter)
-    .populate('commande', 'reference montantTotal')
-    .populate('customer', 'nom prenom')
+  const total = await Transaction.countDocuments(filter);
+  const payments = await Transaction.find(filter)
+    .populate('relatedTo', 'orderNumber status payment.amount.total')
     .sort({ createdAt: -1 })
     .skip((page - 1) * limit)
     .limit(parseInt(limit));
@@ -127,121 +130,232 @@ exports.getPaymentHistory = asyncHandler(async (req, res, next) => {
  * @access  Private (Client)
  */
 exports.verifyPayment = asyncHandler(async (req, res, next) => {
-  const { transactionId, provider } = req.body;
-  const clientId = req.user.id;
+  const { transactionId } = req.body;
 
-  if (!transactionId || !provider) {
-    return next(new ErrorResponse('Transaction ID et fournisseur requis', 400));
+  if (!transactionId) {
+    return next(new ErrorResponse('Transaction ID requis', 400));
   }
 
-  // Rechercher le paiement dans la base de données
-  const payment = await Payment.findOne({ 
-    transactionId, 
-    client: clientId,
-    paymentMethod: provider 
-  }).populate('commande');
-
-  if (!payment) {
+  const existing = await paymentService.getPaymentStatus(transactionId, { refresh: false });
+  if (!canAccessTransaction(existing, req.user)) {
     return next(new ErrorResponse('Transaction non trouvée', 404));
   }
 
-  // Simuler la vérification avec le fournisseur Mobile Money
-  // Dans un cas réel, on appellerait l'API du fournisseur
-  const verificationResult = {
-    success: Math.random() > 0.3, // 70% de chance de succès
-    amount: payment.amount,
-    currency: payment.currency,
-    reference: payment.transactionId
+  const transaction = await paymentService.verifyPayment(transactionId);
+  const data = {
+    transactionId: transaction.reference,
+    status: transaction.status,
+    amount: transaction.amount,
+    currency: transaction.currency
   };
 
-  if (verificationResult.success) {
-    // Mettre à jour le statut du paiement
-    payment.status = 'succeeded';
-    payment.paymentProviderDetails = verificationResult;
-    await payment.save();
-
-    // Mettre à jour la commande
-    if (payment.commande) {
-      await Commande.findByIdAndUpdate(payment.commande._id, {
-        statutPaiement: 'paye',
-        datePaiement: new Date()
-      });
-    }
-
-    res.status(200).json({
+  if (transaction.status === 'completed') {
+    return res.status(200).json({
       success: true,
       message: 'Paiement vérifié avec succès',
-      data: {
-        transactionId: payment.transactionId,
-        status: 'succeeded',
-        amount: payment.amount,
-        currency: payment.currency
-      }
+      data
     });
-  } else {
-    payment.status = 'failed';
-    await payment.save();
+  }
 
-    res.status(400).json({
-      success: false,
-      message: 'Vérification du paiement échouée',
-      data: {
-        transactionId: payment.transactionId,
-        status: 'failed'
-      }
+  if (transaction.status === 'pending') {
+    return res.status(202).json({
+      success: true,
+      message: 'Paiement en attente de confirmation',
+      data
     });
   }
+
+  res.status(400).json({
+    success: false,
+    message: 'Vérification du paiement échouée',
+    data: { ...data, reason: transaction.failureReason }
+  });
 });
 
 /**
  * @desc    Webhook pour les notifications des opérateurs Mobile Money
- * @route   POST /api/v1/payments/webhook
- * @access  Public (Webhook)
+ * @route   POST /api/v1/payments/webhook/:provider
+ * @access  Public (Webhook signé)
  */
 exports.handleWebhook = asyncHandler(async (req, res, next) => {
-  const { transactionId, status, amount, currency, provider, signature } = req.body;
+  const provider = req.params.provider || (req.body && req.body.provider);
 
-  // Vérifier la signature du webhook (sécurité)
-  // Dans un cas réel, on vérifierait la signature avec la clé secrète du fournisseur
-  
-  console.log(`Webhook reçu pour transaction ${transactionId}: ${status}`);
+  if (!provider) {
+    return next(new ErrorResponse('Opérateur de paiement requis', 400));
+  }
 
-  // Trouver le paiement correspondant
-  const payment = await Payment.findOne({ transactionId });
-  
-  if (!payment) {
-    console.error(`Transaction non trouvée: ${transactionId}`);
-    return res.status(404).json({
+  const { webhookEvent, duplicate } = await paymentWebhookService.receiveWebhook(provider, {
+    rawBody: req.rawBody,
+    payload: req.body,
+    headers: req.headers,
+    sourceIp: req.ip
+  });
+
+  // Un échec de traitement est signalé à l'opérateur pour qu'il renvoie la notification
+  if (webhookEvent.status === 'failed') {
+    return res.status(500).json({
       success: false,
-      message: 'Transaction non trouvée'
+      message: 'Échec du traitement du webhook',
+      data: { eventId: webhookEvent.eventId }
     });
   }
 
-  // Mettre à jour le statut du paiement
-  payment.status = status;
-  payment.paymentProviderDetails = {
-    webhookReceived: true,
+  res.status(200).json({
+    success: true,
+    message: duplicate ? 'Webhook déjà traité' : 'Webhook traité avec succès',
+    data: { eventId: webhookEvent.eventId, status: webhookEvent.status }
+  });
+});
+
+/**
+ * @swagger
+ * /admin/payments/webhooks:
+ *   get:
+ *     summary: Consulter le journal des webhooks de paiement
+ *     tags: [Admin - Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: provider
+ *         schema:
+ *           type: string
+ *           enum: [orange, mtn, moov, wave]
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [received, processing, processed, failed, rejected]
+ *       - in: query
+ *         name: reference
+ *         schema:
+ *           type: string
+ *         description: Référence interne ou référence opérateur de la transaction
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Liste des événements reçus
+ *       401:
+ *         description: Non autorisé
+ */
+exports.getWebhookEvents = asyncHandler(async (req, res, next) => {
+  const { provider, status, reference, page = 1, limit = 20 } = req.query;
+
+  const { events, total } = await paymentWebhookService.listWebhookEvents({
     provider,
-    amount,
-    currency,
-    timestamp: new Date()
-  };
-  await payment.save();
+    status,
+    reference,
+    page: parseInt(page),
+    limit: parseInt(limit)
+  });
 
-  // Si le paiement est réussi, mettre à jour la commande
-  if (status === 'succeeded' && payment.commande) {
-    await Commande.findByIdAndUpdate(payment.commande, {
-      statutPaiement: 'paye',
-      datePaiement: new Date()
-    });
-    
-    console.log(`Commande ${payment.commande} marquée comme payée`);
+  res.status(200).json({
+    success: true,
+    count: events.length,
+    total,
+    page: parseInt(page),
+    pages: Math.ceil(total / limit),
+    data: events
+  });
+});
+
+/**
+ * @swagger
+ * /admin/payments/webhooks/{id}/replay:
+ *   post:
+ *     summary: Rejouer un webhook de paiement en échec ou resté bloqué en traitement
+ *     tags: [Admin - Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID de l'événement
+ *     responses:
+ *       200:
+ *         description: Événement rejoué (voir data.status pour le résultat)
+ *       400:
+ *         description: Événement non authentifié, déjà traité ou en cours de traitement
+ *       404:
+ *         description: Événement non trouvé
+ */
+exports.replayWebhookEvent = asyncHandler(async (req, res, next) => {
+  const webhookEvent = await paymentWebhookService.replayWebhookEvent(req.params.id, {
+    replayedBy: req.user && String(req.user._id || req.user.id)
+  });
+
+  res.status(200).json({
+    success: webhookEvent.status === 'processed',
+    message: webhookEvent.status === 'processed'
+      ? 'Webhook rejoué avec succès'
+      : `Nouvel échec du traitement: ${webhookEvent.lastError}`,
+    data: webhookEvent
+  });
+});
+
+/**
+ * @desc    Annuler un paiement en attente
+ * @route   POST /api/v1/payments/:transactionId/cancel
+ * @access  Private (Client, Admin)
+ */
+exports.cancelPayment = asyncHandler(async (req, res, next) => {
+  const { transactionId } = req.params;
+
+  const existing = await paymentService.getPaymentStatus(transactionId, { refresh: false });
+  if (!canAccessTransaction(existing, req.user)) {
+    return next(new ErrorResponse('Transaction non trouvée', 404));
+  }
+
+  const transaction = await paymentService.cancelPayment(transactionId);
+
+  res.status(200).json({
+    success: true,
+    message: 'Paiement annulé',
+    data: { transactionId: transaction.reference, status: transaction.status }
+  });
+});
+
+/**
+ * @desc    Rembourser tout ou partie d'un paiement
+ * @route   POST /api/v1/payments/:transactionId/refund
+ * @access  Private (Admin)
+ */
+exports.refundPayment = asyncHandler(async (req, res, next) => {
+  const { transactionId } = req.params;
+  const { amount, reason, destination } = req.body;
+
+  if (destination && !['original', 'wallet'].includes(destination)) {
+    return next(new ErrorResponse('Destination de remboursement invalide (original ou wallet)', 400));
   }
 
-  // Répondre au webhook
+  const refund = await paymentService.refundPayment(transactionId, {
+    amount,
+    reason,
+    processedBy: 'admin',
+    toWallet: destination === 'wallet'
+  });
+
   res.status(200).json({
     success: true,
-    message: 'Webhook traité avec succès'
+    message: refund.status === 'completed' ? 'Remboursement effectué' : 'Remboursement en cours de traitement',
+    data: {
+      transactionId: refund.reference,
+      parentTransaction: transactionId,
+      destination: refund.paymentProvider === 'wallet' ? 'wallet' : 'original',
+      status: refund.status,
+      amount: refund.amount,
+      currency: refund.currency
+    }
   });
 });
 
@@ -300,6 +414,22 @@ exports.getPaymentMethods = asyncHandler(async (req, res, next) => {
       },
       available: true
     },
+    {
+      id: 'wallet',
+      name: 'Porte-monnaie GeoPressCI',
+      type: 'wallet',
+      provider: 'GeoPressCI',
+      logo: '/images/payment/wallet.png',
+      prefixes: [],
+      minAmount: 1,
+      maxAmount: config.payments.wallet.maxBalance,
+      fees: {
+        percentage: 0,
+        minimum: 0,
+        maximum: 0
+      },
+      available: true
+    },
     {
       id: 'wave',
       name: 'Wave',
@@ -338,7 +468,7 @@ exports.getTransactions = asyncHandler(async (req, res, next) => {
 
   // Filtrer par utilisateur si c'est un client
   if (role === 'client') {
-    filter.client = userId;
+    filter['user.id'] = userId;
   }
 
   // Filtres optionnels
@@ -347,7 +477,7 @@ exports.getTransactions = asyncHandler(async (req, res, next) => {
   }
   
   if (provider) {
-    filter.paymentMethod = provider;
+    filter.paymentProvider = provider === 'wallet' ? 'wallet' : normalizeProviderName(provider);
   }
 
   // Filtre par date
@@ -357,23 +487,25 @@ exports.getTransactions = asyncHandler(async (req, res, next) => {
     if (endDate) filter.createdAt.$lte = new Date(endDate);
   }
 
-  const total = await Payment.countDocuments(filter);
-  const transactions = await Payment.find(filter)
-    .populate('commande', 'reference montantTotal')
-    .populate('customer', 'nom prenom email')
+  const total = await Transaction.countDocuments(filter);
+  const transactions = await Transaction.find(filter)
+    .populate('relatedTo', 'orderNumber status payment.amount.total')
     .sort({ createdAt: -1 })
     .skip((page - 1) * limit)
     .limit(parseInt(limit));
 
   // Calculer les statistiques
-  const stats = await Payment.aggregate([
-    { $match: filter },
+  const matchFilter = role === 'client'
+    ? { ...filter, 'user.id': new mongoose.Types.ObjectId(userId) }
+    : filter;
+  const stats = await Transaction.aggregate([
+    { $match: matchFilter },
     {
       $group: {
         _id: null,
         totalAmount: { $sum: '$amount' },
         successfulTransactions: {
-          $sum: { $cond: [{ $eq: ['$status', 'succeeded'] }, 1, 0] }
+          $sum: { $cond: [{ $eq: ['$status', 'completed'] }, 1, 0] }
         },
         failedTransactions: {
           $sum: { $cond: [{ $eq: ['$status', 'failed'] }, 1, 0] }
@@ -414,12 +546,12 @@ exports.getTransactionById = asyncHandler(async (req, res, next) => {
   
   // Si c'est un client, s'assurer qu'il ne peut voir que ses transactions
   if (role === 'client') {
-    filter.client = userId;
+    filter['user.id'] = userId;
   }
 
-  const transaction = await Payment.findOne(filter)
-    .populate('commande', 'reference montantTotal items')
-    .populate('customer', 'nom prenom email telephone');
+  const transaction = await Transaction.findOne(filter)
+    .populate('relatedTo', 'orderNumber status items payment.amount')
+    .populate('parentTransaction', 'reference amount status');
 
   if (!transaction) {
     return next(new ErrorResponse('Transaction non trouvée', 404));
@@ -430,3 +562,91 @@ exports.getTransactionById = asyncHandler(async (req, res, next) => {
     data: transaction
   });
 });
+
+/**
+ * @desc    Solde du porte-monnaie du client connecté
+ * @route   GET /api/v1/payments/wallet
+ * @access  Private (Client)
+ */
+exports.getWallet = asyncHandler(async (req, res, next) => {
+  const wallet = await walletService.getOrCreateWallet(req.user.id);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      balance: wallet.balance,
+      currency: wallet.currency,
+      status: wallet.status,
+      maxBalance: config.payments.wallet.maxBalance,
+      minTopup: config.payments.wallet.minTopup,
+      lastMovementAt: wallet.lastMovementAt
+    }
+  });
+});
+
+/**
+ * @desc    Recharger le porte-monnaie par Mobile Money
+ * @route   POST /api/v1/payments/wallet/topup
+ * @access  Private (Client)
+ */
+exports.topupWallet = asyncHandler(async (req, res, next) => {
+  const { amount, provider, paymentMethod, phoneNumber } = req.body;
+  const providerName = provider || paymentMethod;
+
+  if (!amount || !providerName) {
+    return next(new ErrorResponse('Montant et opérateur requis', 400));
+  }
+
+  const { transaction, paymentUrl } = await paymentService.initiateWalletTopup({
+    clientId: req.user.id,
+    amount,
+    provider: providerName,
+    phoneNumber
+  });
+
+  res.status(200).json({
+    success: true,
+    message: paymentUrl
+      ? 'Recharge initiée. Veuillez finaliser le paiement sur la page de l\'opérateur.'
+      : 'Recharge initiée. Veuillez confirmer sur votre téléphone.',
+    data: {
+      transactionId: transaction.reference,
+      status: transaction.status,
+      provider: transaction.paymentProvider,
+      amount: transaction.amount,
+      currency: transaction.currency,
+      paymentUrl,
+      sandbox: isSandbox()
+    }
+  });
+});
+
+/**
+ * @desc    Historique des mouvements du porte-monnaie
+ * @route   GET /api/v1/payments/wallet/transactions
+ * @access  Private (Client)
+ */
+exports.getWalletTransactions = asyncHandler(async (req, res, next) => {
+  const { status, page = 1, limit = 20 } = req.query;
+
+  const { transactions, total } = await walletService.listTransactions(req.user.id, {
+    status,
+    page: parseInt(page),
+    limit: parseInt(limit)
+  });
+
+  // Sens du mouvement vu du porte-monnaie
+  const data = transactions.map(transaction => ({
+    ...transaction.toJSON(),
+    direction: ['topup', 'refund', 'compensation'].includes(transaction.type) ? 'credit' : 'debit'
+  }));
+
+  res.status(200).json({
+    success: true,
+    count: data.length,
+    total,
+    page: parseInt(page),
+    pages: Math.ceil(total / limit),
+    data
+  });
+});
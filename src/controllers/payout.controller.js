@@ -0,0 +1,197 @@
+const asyncHandler = require('../middleware/async');
+const ErrorResponse = require('../utils/errorResponse');
+const Payout = require('../models/payout.model');
+const Pressing = require('../models/pressing.model');
+const payoutService = require('../services/payout.service');
+const settlementPdfService = require('../services/settlementPdfService');
+
+/**
+ * Charge un reversement en vérifiant que l'utilisateur y a accès
+ * @param {Object} req
+ * @returns {Promise<Object|null>} - null si introuvable ou non autorisé
+ */
+const findAccessiblePayout = async (req) => {
+  const payout = await Payout.findById(req.params.id);
+  if (!payout) return null;
+  if (req.user.role === 'admin') return payout;
+  return payout.pressing.toString() === req.user._id.toString() ? payout : null;
+};
+
+/**
+ * @desc    Liste des reversements (les siens pour un pressing, tous pour un admin)
+ * @route   GET /api/v1/payouts
+ * @access  Private (Pressing, Admin)
+ */
+exports.getPayouts = asyncHandler(async (req, res, next) => {
+  const { status, page = 1, limit = 20 } = req.query;
+  const pressing = req.user.role === 'pressing' ? req.user._id : req.query.pressing;
+
+  const { payouts, total } = await payoutService.listPayouts({
+    pressing,
+    status,
+    page: parseInt(page),
+    limit: parseInt(limit)
+  });
+
+  res.status(200).json({
+    success: true,
+    count: payouts.length,
+    total,
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      pages: Math.ceil(total / limit)
+    },
+    data: payouts
+  });
+});
+
+/**
+ * @desc    Détail d'un reversement avec ses commandes
+ * @route   GET /api/v1/payouts/:id
+ * @access  Private (Pressing propriétaire, Admin)
+ */
+exports.getPayout = asyncHandler(async (req, res, next) => {
+  const payout = await findAccessiblePayout(req);
+  if (!payout) {
+    return next(new ErrorResponse('Reversement non trouvé', 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: payout
+  });
+});
+
+/**
+ * @desc    Relevé d'un reversement (PDF ou CSV)
+ * @route   GET /api/v1/payouts/:id/statement
+ * @access  Private (Pressing propriétaire, Admin)
+ */
+exports.getPayoutStatement = asyncHandler(async (req, res, next) => {
+  const format = (req.query.format || 'pdf').toLowerCase();
+  if (!['pdf', 'csv'].includes(format)) {
+    return next(new ErrorResponse('Format de relevé non supporté (pdf ou csv)', 400));
+  }
+
+  const payout = await findAccessiblePayout(req);
+  if (!payout) {
+    return next(new ErrorResponse('Reversement non trouvé', 404));
+  }
+
+  const filename = `releve-${payout.reference}.${format}`;
+
+  if (format === 'csv') {
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    // BOM pour que les tableurs détectent l'UTF-8
+    return res.status(200).send(`\uFEFF${payoutService.generateStatementCsv(payout)}`);
+  }
+
+  const pressing = await Pressing.findById(payout.pressing).select('businessName');
+  const pdf = await settlementPdfService.generateSettlementStatementPDF(payout, pressing || { _id: payout.pressing });
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.status(200).send(pdf);
+});
+
+/**
+ * @desc    Mettre à jour les coordonnées de reversement du pressing connecté
+ * @route   PUT /api/v1/payouts/settings
+ * @access  Private (Pressing)
+ */
+exports.updatePayoutSettings = asyncHandler(async (req, res, next) => {
+  const { method, provider, phoneNumber, accountName, bankName, accountNumber } = req.body;
+
+  if (!['mobile_money', 'wave', 'bank_transfer'].includes(method)) {
+    return next(new ErrorResponse('Méthode de reversement invalide (mobile_money, wave ou bank_transfer)', 400));
+  }
+  if (method === 'mobile_money' && !provider) {
+    return next(new ErrorResponse('Opérateur Mobile Money requis', 400));
+  }
+  if (method !== 'bank_transfer' && !phoneNumber) {
+    return next(new ErrorResponse('Numéro de téléphone requis', 400));
+  }
+  if (method === 'bank_transfer' && !accountNumber) {
+    return next(new ErrorResponse('Numéro de compte bancaire requis', 400));
+  }
+
+  const pressing = await Pressing.findById(req.user._id);
+  if (!pressing) {
+    return next(new ErrorResponse('Pressing non trouvé', 404));
+  }
+
+  pressing.payoutSettings = {
+    method,
+    provider: method === 'wave' ? 'wave' : provider,
+    phoneNumber,
+    accountName,
+    bankName,
+    accountNumber
+  };
+  await pressing.save({ validateModifiedOnly: true });
+
+  res.status(200).json({
+    success: true,
+    data: pressing.payoutSettings
+  });
+});
+
+/**
+ * @desc    Lancer manuellement le calcul des reversements
+ * @route   POST /api/v1/payouts/run
+ * @access  Private (Admin)
+ */
+exports.runSettlement = asyncHandler(async (req, res, next) => {
+  const summary = await payoutService.runSettlement();
+
+  res.status(200).json({
+    success: true,
+    data: summary
+  });
+});
+
+/**
+ * @desc    Relancer un reversement en échec
+ * @route   POST /api/v1/payouts/:id/retry
+ * @access  Private (Admin)
+ */
+exports.retryPayout = asyncHandler(async (req, res, next) => {
+  const payout = await payoutService.retryPayout(req.params.id);
+
+  res.status(200).json({
+    success: true,
+    data: payout
+  });
+});
+
+/**
+ * @desc    Annuler un reversement (les commandes seront reprises au prochain calcul)
+ * @route   POST /api/v1/payouts/:id/cancel
+ * @access  Private (Admin)
+ */
+exports.cancelPayout = asyncHandler(async (req, res, next) => {
+  const payout = await payoutService.cancelPayout(req.params.id, req.body.reason);
+
+  res.status(200).json({
+    success: true,
+    data: payout
+  });
+});
+
+/**
+ * @desc    Confirmer un virement bancaire effectué hors plateforme
+ * @route   POST /api/v1/payouts/:id/complete
+ * @access  Private (Admin)
+ */
+exports.completePayout = asyncHandler(async (req, res, next) => {
+  const payout = await payoutService.markPayoutCompleted(req.params.id, {
+    bankReference: req.body.bankReference
+  });
+
+  res.status(200).json({
+    success: true,
+    data: payout
+  });
+});
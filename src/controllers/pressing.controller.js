@@ -4,7 +4,10 @@ const Review = require('../models/review.model');
 const Order = require('../models/order.model');
 const DeliveryZone = require('../models/deliveryZone.model');
 const Promotion = require('../models/promotion.model');
-const { ErrorResponse, NotFoundError } = require('../utils/error.utils');
+const deliveryZoneService = require('../services/deliveryZone.service');
+const checkoutService = require('../services/checkout.service');
+const entitlementService = require('../services/entitlement.service');
+const { ErrorResponse, NotFoundError, BadRequestError } = require('../utils/error.utils');
 
 const mongoose = require('mongoose');
 const { 
@@ -1552,6 +1555,10 @@ const getPressingStats = async (req, res, next) => {
       ? ((thisMonthOrders - lastMonthOrders) / lastMonthOrders * 100)
       : (thisMonthOrders > 0 ? 100 : 0);
 
+    // Les tendances (croissance) relèvent des statistiques avancées de la formule
+    const { entitlements } = await entitlementService.resolveEntitlements(pressingId);
+    const advancedStats = Boolean(entitlements.advancedStats);
+
     // Construire la réponse optimisée
     const stats = {
       todayOrders,
@@ -1560,8 +1567,9 @@ const getPressingStats = async (req, res, next) => {
       avgRating: Math.round((pressing.rating || 0) * 10) / 10,
       pendingOrders,
       completedToday,
-      weeklyGrowth: Math.round(weeklyGrowth * 10) / 10,
-      monthlyGrowth: Math.round(monthlyGrowth * 10) / 10,
+      weeklyGrowth: advancedStats ? Math.round(weeklyGrowth * 10) / 10 : null,
+      monthlyGrowth: advancedStats ? Math.round(monthlyGrowth * 10) / 10 : null,
+      advancedStats,
       // Métadonnées de performance
       _performance: {
         optimized: true,
@@ -1667,7 +1675,7 @@ const updatePressingProfile = async (req, res, next) => {
     // Mettre à jour seulement les champs fournis
     const allowedUpdates = [
       'businessName', 'description', 'phone', 'address', 'businessHours',
-      'services', 'deliveryOptions', 'photos'
+      'services', 'deliveryOptions', 'photos', 'legalInfo'
     ];
     
     allowedUpdates.forEach(field => {
@@ -2234,10 +2242,13 @@ const getDeliveryZones = async (req, res, next) => {
 const createDeliveryZone = async (req, res, next) => {
   try {
     const pressingId = req.user._id;
-    const { name, deliveryFee, minOrder, estimatedDeliveryTime, description } = req.body;
+    const { name, deliveryFee, minOrder, estimatedDeliveryTime, description, area, coordinates, sortOrder } = req.body;
     
     console.log('🚚 Création nouvelle zone:', { name, deliveryFee, minOrder });
     
+    // Polygone de la zone : GeoJSON (area) ou liste de points { lat, lng } (coordinates)
+    const polygon = area || coordinates ? deliveryZoneService.toPolygon(area || coordinates) : null;
+    
     // Validation des données requises
     if (!name || !name.trim()) {
       return res.status(400).json({
@@ -2273,14 +2284,20 @@ const createDeliveryZone = async (req, res, next) => {
       });
     }
     
+    // Nombre de zones limité par la formule d'abonnement
+    await entitlementService.assertWithinLimit(pressingId, 'maxDeliveryZones');
+    
     const zone = await DeliveryZone.create({
       pressing: pressingId,
       name: name.trim(),
       deliveryFee: Number(deliveryFee),
       minOrder: Number(minOrder),
       estimatedDeliveryTime: estimatedDeliveryTime || 45,
-      description: description?.trim() || ''
+      description: description?.trim() || '',
+      ...(polygon && { area: polygon.area, coordinates: polygon.coordinates }),
+      ...(sortOrder !== undefined && { sortOrder: Number(sortOrder) })
     });
+    await entitlementService.confirmWithinLimit(pressingId, 'maxDeliveryZones', zone);
     
     console.log('✅ Zone créée:', zone._id);
     
@@ -2309,6 +2326,14 @@ const createDeliveryZone = async (req, res, next) => {
       });
     }
     
+    // Polygone refusé par l'index géospatial (côtés qui se croisent...)
+    if (error.code === 16755) {
+      return res.status(400).json({
+        success: false,
+        message: 'Le tracé de la zone est invalide (ses côtés ne doivent pas se croiser)'
+      });
+    }
+    
     next(error);
   }
 };
@@ -2320,7 +2345,7 @@ const updateDeliveryZone = async (req, res, next) => {
   try {
     const pressingId = req.user._id;
     const zoneId = req.params.id;
-    const { name, deliveryFee, minOrder, estimatedDeliveryTime, description, isActive } = req.body;
+    const { name, deliveryFee, minOrder, estimatedDeliveryTime, description, isActive, area, coordinates, sortOrder } = req.body;
     
     console.log('🚚 Mise à jour zone:', zoneId, req.body);
     
@@ -2361,6 +2386,12 @@ const updateDeliveryZone = async (req, res, next) => {
     if (estimatedDeliveryTime !== undefined) updateData.estimatedDeliveryTime = Number(estimatedDeliveryTime);
     if (description !== undefined) updateData.description = description.trim();
     if (isActive !== undefined) updateData.isActive = Boolean(isActive);
+    if (sortOrder !== undefined) updateData.sortOrder = Number(sortOrder);
+    if (area || coordinates) {
+      const polygon = deliveryZoneService.toPolygon(area || coordinates);
+      updateData.area = polygon.area;
+      updateData.coordinates = polygon.coordinates;
+    }
     
     const updatedZone = await DeliveryZone.findByIdAndUpdate(
       zoneId,
@@ -2393,6 +2424,13 @@ const updateDeliveryZone = async (req, res, next) => {
       });
     }
     
+    if (error.code === 16755) {
+      return res.status(400).json({
+        success: false,
+        message: 'Le tracé de la zone est invalide (ses côtés ne doivent pas se croiser)'
+      });
+    }
+    
     next(error);
   }
 };
@@ -2470,6 +2508,83 @@ const getDeliveryZone = async (req, res, next) => {
   }
 };
 
+// @desc    Zone de livraison d'un pressing qui couvre un point (frais, minimum de commande, délai)
+// @route   GET /api/v1/pressing/:id/delivery-zone?lat=&lng=
+// @access  Public
+const resolveDeliveryZone = async (req, res, next) => {
+  try {
+    const { lat, lng } = req.query;
+    if (lat === undefined || lng === undefined) {
+      throw new BadRequestError('Les paramètres lat et lng sont requis');
+    }
+
+    const zone = await deliveryZoneService.resolveZone(req.params.id, [Number(lng), Number(lat)]);
+    if (!zone) {
+      const hasZones = await deliveryZoneService.hasZones(req.params.id);
+      throw new NotFoundError(hasZones
+        ? 'Ce pressing ne livre pas à cette adresse'
+        : 'Ce pressing n\'a pas défini de zone de livraison');
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...deliveryZoneService.snapshot(zone),
+        description: zone.description,
+        area: zone.area
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Aperçu des frais de livraison d'un pressing pour une adresse, avant la commande
+// @route   GET /api/v1/pressing/:id/delivery-price?lat=&lng=&subtotal=&deliveryType=&at=
+// @access  Public
+const previewDeliveryPrice = async (req, res, next) => {
+  try {
+    const { lat, lng, subtotal, deliveryType, at } = req.query;
+    if (lat === undefined || lng === undefined) {
+      throw new BadRequestError('Les paramètres lat et lng sont requis');
+    }
+    const deliveryAt = at ? new Date(at) : new Date();
+    if (Number.isNaN(deliveryAt.getTime())) {
+      throw new BadRequestError('Date de livraison invalide');
+    }
+
+    const pressing = await Pressing.findById(req.params.id);
+    if (!pressing) {
+      throw new NotFoundError(`Pressing non trouvé avec l'ID ${req.params.id}`);
+    }
+
+    const point = [Number(lng), Number(lat)];
+    const quote = await checkoutService.quoteDelivery({
+      pressing,
+      deliveryAddress: { type: 'Point', coordinates: point },
+      subtotal: Number(subtotal) || 0,
+      express: deliveryType === 'express',
+      at: deliveryAt,
+      enforceMinimum: false
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        fee: quote.fee,
+        currency: 'XOF',
+        lines: quote.lines,
+        zone: quote.zone,
+        distanceMeters: quote.distanceMeters,
+        deliveryType: deliveryType === 'express' ? 'express' : 'standard',
+        at: deliveryAt
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 // ===== GESTION DES PHOTOS =====
 
 /**
@@ -2944,6 +3059,9 @@ const createPressingPromotion = async (req, res, next) => {
     console.log('[DEBUG] createPressingPromotion - User:', req.user.id);
     console.log('[DEBUG] Promotion data:', req.body);
     
+    // Promotions réservées aux formules qui les incluent
+    await entitlementService.assertFeature(req.user.id, 'promotions');
+    
     // Filter promotion data based on type to avoid validation errors
     const { type } = req.body;
     const promotionData = {
@@ -3221,6 +3339,8 @@ module.exports = {
   updateDeliveryZone,
   deleteDeliveryZone,
   getDeliveryZone,
+  resolveDeliveryZone,
+  previewDeliveryPrice,
   getPressingPhotos,
   uploadPressingPhoto,
   updatePressingPhoto,
@@ -1,4 +1,5 @@
 const Pressing = require('../models/pressing.model');
+const entitlementService = require('../services/entitlement.service');
 const { ErrorResponse } = require('../utils/error.utils');
 const { 
   uploadPressing, 
@@ -15,6 +16,13 @@ const {
  * @access  Privé (Pressing)
  */
 const uploadGalleryPhoto = async (req, res, next) => {
+  // Galerie limitée par la formule d'abonnement : vérifié avant l'envoi vers Cloudinary
+  try {
+    await entitlementService.assertWithinLimit(req.user._id, 'maxGalleryPhotos');
+  } catch (error) {
+    return next(error);
+  }
+
   // Utiliser le middleware uploadPressing pour traiter l'upload
   uploadPressing.single('photo')(req, res, async (err) => {
     if (err) {
@@ -68,6 +76,7 @@ const uploadGalleryPhoto = async (req, res, next) => {
 
       // Récupérer la photo ajoutée
       const addedPhoto = pressing.photos[pressing.photos.length - 1];
+      await entitlementService.confirmWithinLimit(pressingId, 'maxGalleryPhotos', addedPhoto);
       
       res.status(201).json({
         success: true,
@@ -1,5 +1,6 @@
 const Pressing = require('../models/pressing.model');
 const Service = require('../models/service.model');
+const entitlementService = require('../services/entitlement.service');
 const { ErrorResponse } = require('../utils/error.utils');
 
 /**
@@ -146,6 +147,9 @@ const createService = async (req, res, next) => {
       });
     }
 
+    // Nombre de services limité par la formule d'abonnement
+    await entitlementService.assertWithinLimit(pressingId, 'maxServices');
+
     // Créer le nouveau service dans la collection Service séparée
     const serviceData = {
       nom: serviceName.trim(),
@@ -165,6 +169,7 @@ const createService = async (req, res, next) => {
 
     console.log('💾 Création du service dans la collection Service...');
     const newService = await Service.create(serviceData);
+    await entitlementService.confirmWithinLimit(pressingId, 'maxServices', newService);
     console.log('✅ Service créé avec succès dans la collection Service');
     console.log('🔍 Service créé:', newService);
 
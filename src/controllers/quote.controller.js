@@ -0,0 +1,195 @@
+const asyncHandler = require('../middleware/async');
+const quoteService = require('../services/quote.service');
+
+const currentUser = (req) => ({ id: req.user._id, role: req.user.role });
+
+/**
+ * @swagger
+ * /orders/{id}/quotes:
+ *   get:
+ *     summary: Devis d'une commande sur devis
+ *     description: Retourne le devis en cours et l'historique des devis successifs
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Statut, devis en cours et historique
+ *       400:
+ *         description: La commande n'est pas soumise à devis
+ *       404:
+ *         description: Commande non trouvée
+ */
+exports.getQuotes = asyncHandler(async (req, res, next) => {
+  const quotes = await quoteService.getQuotes(req.params.id, currentUser(req));
+
+  res.status(200).json({
+    success: true,
+    data: quotes
+  });
+});
+
+/**
+ * @swagger
+ * /orders/{id}/quotes:
+ *   post:
+ *     summary: Émettre un devis après inspection des articles
+ *     description: |
+ *       Les articles non ajustés reprennent leur prix estimé ; une quantité à 0 retire l'article.
+ *       Un nouveau devis remplace le devis en attente. Le devis expire après QUOTE_VALIDITY_HOURS heures.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               lines:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - item
+ *                   properties:
+ *                     item:
+ *                       type: string
+ *                       description: _id de la ligne de commande
+ *                     unitPrice:
+ *                       type: number
+ *                     quantity:
+ *                       type: integer
+ *                     reason:
+ *                       type: string
+ *                       example: 'Robe en soie avec traîne, nettoyage à la main'
+ *               extraLines:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - serviceId
+ *                   properties:
+ *                     serviceId:
+ *                       type: string
+ *                       description: Service du catalogue du pressing
+ *                     unitPrice:
+ *                       type: number
+ *                     quantity:
+ *                       type: integer
+ *                     reason:
+ *                       type: string
+ *               notes:
+ *                 type: string
+ *               validityHours:
+ *                 type: number
+ *     responses:
+ *       201:
+ *         description: Devis émis et transmis au client
+ *       400:
+ *         description: Commande non éligible ou devis déjà accepté
+ */
+exports.issueQuote = asyncHandler(async (req, res, next) => {
+  const { lines, extraLines, notes, validityHours } = req.body;
+
+  const order = await quoteService.issueQuote(req.params.id, currentUser(req), {
+    lines,
+    extraLines,
+    notes,
+    validityHours
+  });
+
+  res.status(201).json({
+    success: true,
+    data: quoteService.currentQuote(order)
+  });
+});
+
+/**
+ * @swagger
+ * /orders/{id}/quotes/accept:
+ *   post:
+ *     summary: Accepter le devis en cours
+ *     description: Met à jour les articles et le montant de la commande ; le paiement peut ensuite être initié.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Devis accepté, commande à jour
+ *       400:
+ *         description: Aucun devis en attente ou devis expiré
+ */
+exports.acceptQuote = asyncHandler(async (req, res, next) => {
+  const order = await quoteService.acceptQuote(req.params.id, currentUser(req));
+
+  res.status(200).json({
+    success: true,
+    data: order
+  });
+});
+
+/**
+ * @swagger
+ * /orders/{id}/quotes/reject:
+ *   post:
+ *     summary: Refuser le devis en cours
+ *     description: Le pressing peut émettre un devis révisé, sauf si le client annule la commande.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *               cancelOrder:
+ *                 type: boolean
+ *                 default: false
+ *     responses:
+ *       200:
+ *         description: Devis refusé
+ *       400:
+ *         description: Aucun devis en attente de réponse
+ */
+exports.rejectQuote = asyncHandler(async (req, res, next) => {
+  const { reason, cancelOrder } = req.body;
+
+  const order = await quoteService.rejectQuote(req.params.id, currentUser(req), {
+    reason,
+    cancelOrder: cancelOrder === true || cancelOrder === 'true'
+  });
+
+  res.status(200).json({
+    success: true,
+    data: order
+  });
+});
@@ -0,0 +1,134 @@
+const asyncHandler = require('../middleware/async');
+const refundService = require('../services/refund.service');
+
+/**
+ * Demandeur ou examinateur d'une demande à partir de l'utilisateur connecté
+ * @param {Object} req
+ * @returns {{id: string, role: string}}
+ */
+const currentUser = (req) => ({ id: req.user._id, role: req.user.role });
+
+/**
+ * @desc    Demander le remboursement de tout ou partie d'une commande
+ * @route   POST /api/v1/refunds
+ * @access  Private (Client, Pressing, Admin)
+ */
+exports.createRefundRequest = asyncHandler(async (req, res, next) => {
+  const { orderId, type = 'full', amount, items, reason, description, photos, destination } = req.body;
+
+  const request = await refundService.createRefundRequest({
+    orderId,
+    user: currentUser(req),
+    type,
+    amount,
+    items,
+    reason,
+    description,
+    photos,
+    destination
+  });
+
+  res.status(201).json({
+    success: true,
+    data: request
+  });
+});
+
+/**
+ * @desc    Liste des demandes de remboursement (les siennes, toutes pour un admin)
+ * @route   GET /api/v1/refunds
+ * @access  Private (Client, Pressing, Admin)
+ */
+exports.getRefundRequests = asyncHandler(async (req, res, next) => {
+  const { status, order, pressing, page = 1, limit = 20 } = req.query;
+
+  const { requests, total } = await refundService.listRefundRequests(currentUser(req), {
+    status,
+    order,
+    pressing,
+    page: parseInt(page),
+    limit: parseInt(limit)
+  });
+
+  res.status(200).json({
+    success: true,
+    count: requests.length,
+    total,
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      pages: Math.ceil(total / limit)
+    },
+    data: requests
+  });
+});
+
+/**
+ * @desc    Détail d'une demande de remboursement
+ * @route   GET /api/v1/refunds/:id
+ * @access  Private (Client, Pressing concernés, Admin)
+ */
+exports.getRefundRequest = asyncHandler(async (req, res, next) => {
+  const request = await refundService.getRefundRequest(req.params.id, currentUser(req));
+
+  res.status(200).json({
+    success: true,
+    data: request
+  });
+});
+
+/**
+ * @desc    Approuver une demande et lancer le remboursement
+ * @route   POST /api/v1/refunds/:id/approve
+ * @access  Private (Pressing sous le seuil d'approbation, Admin)
+ */
+exports.approveRefundRequest = asyncHandler(async (req, res, next) => {
+  const request = await refundService.approveRefundRequest(req.params.id, currentUser(req), req.body.notes);
+
+  res.status(200).json({
+    success: true,
+    data: request
+  });
+});
+
+/**
+ * @desc    Refuser une demande
+ * @route   POST /api/v1/refunds/:id/reject
+ * @access  Private (Pressing sous le seuil d'approbation, Admin)
+ */
+exports.rejectRefundRequest = asyncHandler(async (req, res, next) => {
+  const request = await refundService.rejectRefundRequest(req.params.id, currentUser(req), req.body.notes);
+
+  res.status(200).json({
+    success: true,
+    data: request
+  });
+});
+
+/**
+ * @desc    Annuler une demande en attente
+ * @route   POST /api/v1/refunds/:id/cancel
+ * @access  Private (Demandeur, Admin)
+ */
+exports.cancelRefundRequest = asyncHandler(async (req, res, next) => {
+  const request = await refundService.cancelRefundRequest(req.params.id, currentUser(req));
+
+  res.status(200).json({
+    success: true,
+    data: request
+  });
+});
+
+/**
+ * @desc    Relancer une demande dont le remboursement a échoué
+ * @route   POST /api/v1/refunds/:id/retry
+ * @access  Private (Admin)
+ */
+exports.retryRefundRequest = asyncHandler(async (req, res, next) => {
+  const request = await refundService.retryRefundRequest(req.params.id);
+
+  res.status(200).json({
+    success: true,
+    data: request
+  });
+});
@@ -0,0 +1,81 @@
+const asyncHandler = require('../middleware/async');
+const riderService = require('../services/rider.service');
+
+const currentUser = (req) => ({ id: req.user._id, role: req.user.role });
+
+/**
+ * @desc    Ajouter un livreur à la flotte du pressing
+ * @route   POST /api/v1/riders
+ * @access  Private (Pressing, Admin)
+ */
+exports.createRider = asyncHandler(async (req, res, next) => {
+  const { nom, prenom, email, phone, password, vehicle, pressing } = req.body;
+
+  const rider = await riderService.createRider(currentUser(req), { nom, prenom, email, phone, password, vehicle, pressing });
+
+  res.status(201).json({
+    success: true,
+    data: rider
+  });
+});
+
+/**
+ * @desc    Livreurs de la flotte
+ * @route   GET /api/v1/riders
+ * @access  Private (Pressing, Admin)
+ */
+exports.getRiders = asyncHandler(async (req, res, next) => {
+  const { status, availability, pressing } = req.query;
+
+  const riders = await riderService.listRiders(currentUser(req), { status, availability, pressing });
+
+  res.status(200).json({
+    success: true,
+    count: riders.length,
+    data: riders
+  });
+});
+
+/**
+ * @desc    Détail d'un livreur
+ * @route   GET /api/v1/riders/:id
+ * @access  Private (Pressing, Admin)
+ */
+exports.getRider = asyncHandler(async (req, res, next) => {
+  const rider = await riderService.getRider(req.params.id, currentUser(req));
+
+  res.status(200).json({
+    success: true,
+    data: rider
+  });
+});
+
+/**
+ * @desc    Modifier un livreur (coordonnées, véhicule, statut du compte)
+ * @route   PATCH /api/v1/riders/:id
+ * @access  Private (Pressing, Admin)
+ */
+exports.updateRider = asyncHandler(async (req, res, next) => {
+  const rider = await riderService.updateRider(req.params.id, currentUser(req), req.body);
+
+  res.status(200).json({
+    success: true,
+    data: rider
+  });
+});
+
+/**
+ * @desc    Déclarer sa disponibilité (et sa position)
+ * @route   PUT /api/v1/riders/me/availability
+ * @access  Private (Rider)
+ */
+exports.setAvailability = asyncHandler(async (req, res, next) => {
+  const { availability, location } = req.body;
+
+  const rider = await riderService.setAvailability(currentUser(req), { availability, location });
+
+  res.status(200).json({
+    success: true,
+    data: rider
+  });
+});
@@ -448,7 +448,6 @@ const processPayment = async (req, res, next) => {
       amount: amount / 100, // Convertir en unité standard (XOF)
       currency: 'XOF',
       paymentMethod: paymentMethod || 'carte',
-      invoiceUrl: 'https://example.com/invoice/123', // URL facture
     });
 
     // Envoyer une confirmation de paiement
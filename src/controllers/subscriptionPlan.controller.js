@@ -0,0 +1,238 @@
+const asyncHandler = require('../middleware/async');
+const ErrorResponse = require('../utils/errorResponse');
+const SubscriptionPlan = require('../models/subscriptionPlan.model');
+const { Abonnement } = require('../models/abonnement.model');
+const subscriptionPlanService = require('../services/subscriptionPlan.service');
+
+// Champs modifiables par l'administration (le code reste stable une fois créé)
+const EDITABLE_FIELDS = [
+  'name', 'description', 'price', 'currency', 'billingCycle', 'trialDays',
+  'entitlements', 'sortOrder', 'isPublic', 'isActive'
+];
+
+const pickEditable = (body) => EDITABLE_FIELDS.reduce((fields, key) => {
+  if (body[key] !== undefined) fields[key] = body[key];
+  return fields;
+}, {});
+
+/**
+ * @swagger
+ * tags:
+ *   name: Admin - Plans
+ *   description: Catalogue des formules d'abonnement des pressings
+ */
+
+/**
+ * @swagger
+ * /admin/subscription-plans:
+ *   get:
+ *     summary: Lister les formules d'abonnement, avec le nombre d'abonnés
+ *     tags: [Admin - Plans]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Catalogue complet (formules masquées et désactivées comprises)
+ *       401:
+ *         description: Non autorisé
+ */
+exports.getSubscriptionPlans = asyncHandler(async (req, res, next) => {
+  const [plans, counts] = await Promise.all([
+    subscriptionPlanService.listPlans({ includeHidden: true }),
+    Abonnement.aggregate([{ $group: { _id: '$plan', count: { $sum: 1 } } }])
+  ]);
+  const subscribers = Object.fromEntries(counts.map(entry => [entry._id, entry.count]));
+
+  res.status(200).json({
+    success: true,
+    count: plans.length,
+    data: plans.map(plan => ({ ...plan.toJSON(), subscribers: subscribers[plan.code] || 0 }))
+  });
+});
+
+/**
+ * @swagger
+ * /admin/subscription-plans/{id}:
+ *   get:
+ *     summary: Détail d'une formule d'abonnement
+ *     tags: [Admin - Plans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Formule
+ *       404:
+ *         description: Formule non trouvée
+ */
+exports.getSubscriptionPlan = asyncHandler(async (req, res, next) => {
+  const plan = await SubscriptionPlan.findById(req.params.id);
+
+  if (!plan) {
+    return next(new ErrorResponse('Formule d\'abonnement non trouvée', 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: plan
+  });
+});
+
+/**
+ * @swagger
+ * /admin/subscription-plans:
+ *   post:
+ *     summary: Créer une formule d'abonnement
+ *     tags: [Admin - Plans]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [code, name, price]
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: 'premium'
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               price:
+ *                 type: number
+ *                 example: 12000
+ *               billingCycle:
+ *                 type: string
+ *                 enum: [monthly, quarterly, yearly]
+ *               trialDays:
+ *                 type: integer
+ *               entitlements:
+ *                 type: object
+ *                 description: Limites (null = illimité)
+ *                 properties:
+ *                   maxServices:
+ *                     type: integer
+ *                   maxGalleryPhotos:
+ *                     type: integer
+ *                   maxDeliveryZones:
+ *                     type: integer
+ *                   staffSeats:
+ *                     type: integer
+ *                   maxOrdersPerMonth:
+ *                     type: integer
+ *                   promotions:
+ *                     type: boolean
+ *                   advancedStats:
+ *                     type: boolean
+ *                   prioritySupport:
+ *                     type: boolean
+ *               sortOrder:
+ *                 type: integer
+ *               isPublic:
+ *                 type: boolean
+ *     responses:
+ *       201:
+ *         description: Formule créée
+ *       400:
+ *         description: Données invalides ou code déjà utilisé
+ */
+exports.createSubscriptionPlan = asyncHandler(async (req, res, next) => {
+  const plan = await SubscriptionPlan.create({
+    ...pickEditable(req.body),
+    code: req.body.code,
+    createdBy: req.user && String(req.user._id || req.user.id)
+  });
+
+  res.status(201).json({
+    success: true,
+    data: plan
+  });
+});
+
+/**
+ * @swagger
+ * /admin/subscription-plans/{id}:
+ *   put:
+ *     summary: Modifier une formule d'abonnement
+ *     description: |
+ *       Un nouveau prix s'applique aux abonnés à leur prochain changement de formule ;
+ *       les échéances en cours conservent le prix souscrit.
+ *     tags: [Admin - Plans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Formule mise à jour
+ *       400:
+ *         description: Données invalides
+ *       404:
+ *         description: Formule non trouvée
+ */
+exports.updateSubscriptionPlan = asyncHandler(async (req, res, next) => {
+  const plan = await SubscriptionPlan.findById(req.params.id);
+
+  if (!plan) {
+    return next(new ErrorResponse('Formule d\'abonnement non trouvée', 404));
+  }
+
+  plan.set(pickEditable(req.body));
+  plan.updatedBy = req.user && String(req.user._id || req.user.id);
+  await plan.save();
+
+  res.status(200).json({
+    success: true,
+    data: plan
+  });
+});
+
+/**
+ * @swagger
+ * /admin/subscription-plans/{id}:
+ *   delete:
+ *     summary: Retirer une formule du catalogue
+ *     description: La formule est désactivée et n'est plus proposée ; ses abonnés actuels la conservent.
+ *     tags: [Admin - Plans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Formule désactivée
+ *       404:
+ *         description: Formule non trouvée
+ */
+exports.deleteSubscriptionPlan = asyncHandler(async (req, res, next) => {
+  const plan = await SubscriptionPlan.findByIdAndUpdate(
+    req.params.id,
+    { isActive: false, updatedBy: req.user && String(req.user._id || req.user.id) },
+    { new: true }
+  );
+
+  if (!plan) {
+    return next(new ErrorResponse('Formule d\'abonnement non trouvée', 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: plan
+  });
+});
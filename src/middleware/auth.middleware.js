@@ -4,6 +4,7 @@ const mongoose = require('mongoose');
 const Client = require('../models/client.model');
 const Pressing = require('../models/pressing.model');
 const Admin = require('../models/admin.model');
+const Rider = require('../models/rider.model');
 const config = require('../config/config');
 
 /**
@@ -111,6 +112,25 @@ const protect = async (req, res, next) => {
         }
       }
       
+      // Si pas trouvé dans admins, chercher dans riders (livreurs des pressings)
+      if (!user) {
+        try {
+          user = await Rider.findById(userId).select('-password');
+          if (user) {
+            if (user.status !== 'active') {
+              return res.status(403).json({
+                success: false,
+                message: 'Votre compte livreur est désactivé. Contactez votre pressing.',
+              });
+            }
+            user.type = 'rider';
+            user.modelName = 'Rider';
+          }
+        } catch (error) {
+          console.log('❌ Erreur lors de la recherche Rider:', error.message);
+        }
+      }
+      
       // Plus de fallback vers users - architecture corrigée avec collections séparées
       
       if (!user) {
@@ -1,4 +1,5 @@
 const Pressing = require('../models/pressing.model');
+const entitlementService = require('../services/entitlement.service');
 const { ErrorResponse, ForbiddenError } = require('../utils/error.utils');
 
 /**
@@ -69,7 +70,22 @@ const requireIdentityVerification = async (req, res, next) => {
   }
 };
 
+/**
+ * Middleware pour vérifier qu'une fonctionnalité est incluse dans la formule du pressing
+ * Bloque l'accès avec une erreur UPGRADE_REQUIRED et les formules qui l'incluent
+ * @param {string} feature - promotions, advancedStats ou prioritySupport
+ */
+const requireEntitlement = (feature) => async (req, res, next) => {
+  try {
+    await entitlementService.assertFeature(req.user.id, feature);
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
 module.exports = {
   requireActiveSubscription,
   requireIdentityVerification,
+  requireEntitlement,
 };
@@ -76,6 +76,21 @@ const registerPressingRules = [
     .withMessage('Le code postal est requis')
     .trim()
     .escape(),
+  // Position du pressing sur la carte, à défaut l'adresse est géocodée
+  body('coordinates.lat')
+    .optional()
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Latitude invalide')
+    .toFloat(),
+  body('coordinates.lng')
+    .optional()
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Longitude invalide')
+    .toFloat(),
+  body('coordinates.accuracy')
+    .optional()
+    .isFloat({ min: 0 })
+    .toFloat(),
   body('services')
     .optional({ checkFalsy: true })
     .isArray()
@@ -106,7 +121,7 @@ const loginRules = [
   body('userType')
     .notEmpty()
     .withMessage("Le type d'utilisateur est requis")
-    .isIn(['client', 'pressing', 'admin'])
+    .isIn(['client', 'pressing', 'admin', 'rider'])
     .withMessage("Type d'utilisateur invalide"),
 ];
 
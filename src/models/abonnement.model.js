@@ -43,10 +43,16 @@ const abonnementSchema = new mongoose.Schema({
     required: [true, 'Le pressing est requis'],
     unique: true, // Un seul abonnement actif par pressing
   },
+  // Code de la formule du catalogue (SubscriptionPlan.code)
   plan: {
     type: String,
     required: [true, 'Le plan d\'abonnement est requis'],
-    enum: Object.values(SUBSCRIPTION_TYPES),
+    trim: true,
+    lowercase: true,
+  },
+  planId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SubscriptionPlan',
   },
   type: {
     type: String,
@@ -95,6 +101,11 @@ const abonnementSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'PaymentMethod',
   },
+  // Numéro Mobile Money prélevé (à défaut, le téléphone du pressing)
+  paymentPhoneNumber: {
+    type: String,
+    match: [/^\+?[0-9]{10,15}$/, 'Numéro de téléphone invalide'],
+  },
   transactions: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Transaction'
@@ -127,6 +138,22 @@ const abonnementSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Changement de formule programmé pour la fin de la période (rétrogradation)
+  pendingChange: {
+    plan: String,
+    planId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'SubscriptionPlan'
+    },
+    effectiveAt: Date,
+    requestedAt: Date
+  },
+  // Avoir issu d'un changement de formule, déduit des prochaines factures
+  creditBalance: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
   // Discounts and promotions
   promotion: {
     type: mongoose.Schema.Types.ObjectId,
@@ -315,8 +342,10 @@ abonnementSchema.methods.activate = function(paymentMethod) {
 
 // Indexes for faster queries
 abonnementSchema.index({ user: 1, status: 1 });
-abonnementSchema.index({ 'trialEndDate': 1 }, { expireAfterSeconds: 0 });
-abonnementSchema.index({ 'endDate': 1 }, { expireAfterSeconds: 0 });
+// Échéances à facturer (pas d'index TTL : l'abonnement doit survivre à sa date de fin pendant le délai de grâce)
+abonnementSchema.index({ status: 1, nextBillingDate: 1 });
+abonnementSchema.index({ status: 1, trialEndDate: 1 });
+abonnementSchema.index({ 'pendingChange.effectiveAt': 1 });
 
 // Pre-save hook to handle status changes
 abonnementSchema.pre('save', function(next) {
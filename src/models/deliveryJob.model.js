@@ -0,0 +1,140 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Types de course : collecte chez le client (vers le pressing) ou livraison au client
+const DELIVERY_JOB_TYPES = ['pickup', 'delivery'];
+
+// Cycle de vie d'une course
+const DELIVERY_JOB_STATUSES = [
+  'pending',    // À attribuer
+  'assigned',   // Proposée à un livreur, en attente de son acceptation
+  'accepted',   // Acceptée, le livreur se rend au point de départ
+  'picked_up',  // Vêtements récupérés
+  'in_transit', // En route vers la destination
+  'delivered',  // Remise effectuée
+  'failed',     // Abandonnée après trop de tentatives infructueuses
+  'cancelled'   // Annulée par le pressing ou l'administration
+];
+
+const stopSchema = new Schema({
+  label: String,
+  street: String,
+  city: String,
+  district: String,
+  formattedAddress: String,
+  coordinates: [Number], // [longitude, latitude]
+  phone: String,
+  instructions: String
+}, { _id: false });
+
+// Course de collecte ou de livraison d'une commande, assurée par un livreur du pressing
+const deliveryJobSchema = new Schema({
+  order: {
+    type: Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true,
+    index: true
+  },
+  pressing: {
+    type: Schema.Types.ObjectId,
+    ref: 'Pressing',
+    required: true
+  },
+  customer: {
+    type: Schema.Types.ObjectId,
+    ref: 'Client',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: DELIVERY_JOB_TYPES,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: DELIVERY_JOB_STATUSES,
+    default: 'pending'
+  },
+  rider: {
+    type: Schema.Types.ObjectId,
+    ref: 'Rider',
+    default: null
+  },
+  assignment: {
+    mode: { type: String, enum: ['manual', 'auto'] },
+    assignedAt: Date,
+    assignedBy: {
+      id: String,
+      role: String
+    },
+    acceptedAt: Date
+  },
+  // Livreurs ayant décliné la course (exclus de l'attribution automatique)
+  declinedBy: [{
+    rider: { type: Schema.Types.ObjectId, ref: 'Rider' },
+    reason: String,
+    declinedAt: { type: Date, default: Date.now }
+  }],
+  from: stopSchema,
+  to: stopSchema,
+  scheduledFor: Date,
+  // Passages infructueux (client absent, adresse introuvable...)
+  attempts: [{
+    rider: { type: Schema.Types.ObjectId, ref: 'Rider' },
+    reason: {
+      type: String,
+      enum: ['customer_absent', 'address_not_found', 'customer_refused', 'unreachable', 'other'],
+      required: true
+    },
+    notes: String,
+    attemptedAt: { type: Date, default: Date.now },
+    rescheduledFor: Date
+  }],
+  history: [{
+    status: { type: String, enum: DELIVERY_JOB_STATUSES, required: true },
+    changedAt: { type: Date, default: Date.now },
+    changedBy: {
+      id: String,
+      role: String
+    },
+    notes: String
+  }],
+  // Positions transmises par le livreur pendant la course (les plus récentes, config.deliveries.trailSize)
+  trail: [{
+    coordinates: [Number], // [longitude, latitude]
+    accuracy: Number, // en mètres
+    speed: Number, // en m/s
+    heading: Number, // en degrés
+    recordedAt: { type: Date, default: Date.now }
+  }],
+  lastPosition: {
+    coordinates: [Number], // [longitude, latitude]
+    recordedAt: Date
+  },
+  // Heure d'arrivée recalculée à partir de la dernière position
+  eta: {
+    stop: { type: String, enum: ['from', 'to'] }, // Arrêt visé
+    arrivalAt: Date,
+    durationSeconds: Number,
+    distanceMeters: Number,
+    computedAt: Date
+  },
+  // Remise des vêtements chez le client confirmée par son code
+  proof: {
+    type: Schema.Types.ObjectId,
+    ref: 'DeliveryProof',
+    default: null
+  },
+  completedAt: Date
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+deliveryJobSchema.index({ rider: 1, status: 1 });
+deliveryJobSchema.index({ pressing: 1, status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('DeliveryJob', deliveryJobSchema);
+module.exports.DELIVERY_JOB_TYPES = DELIVERY_JOB_TYPES;
+module.exports.DELIVERY_JOB_STATUSES = DELIVERY_JOB_STATUSES;
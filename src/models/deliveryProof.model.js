@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Remises de vêtements nécessitant une preuve : collecte chez le client ou livraison au client
+const HANDOVER_TYPES = ['pickup', 'delivery'];
+
+const imageSchema = new Schema({
+  url: String,
+  publicId: String
+}, { _id: false });
+
+// Preuve de remise des vêtements entre le client et le livreur (ou le pressing)
+// Le client reçoit un code à usage unique qu'il communique au moment de la remise.
+const deliveryProofSchema = new Schema({
+  order: {
+    type: Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: HANDOVER_TYPES,
+    required: true
+  },
+  job: {
+    type: Schema.Types.ObjectId,
+    ref: 'DeliveryJob',
+    default: null
+  },
+  customer: {
+    type: Schema.Types.ObjectId,
+    ref: 'Client',
+    required: true
+  },
+  pressing: {
+    type: Schema.Types.ObjectId,
+    ref: 'Pressing',
+    required: true
+  },
+  // Code en attente de saisie (seule son empreinte est conservée)
+  code: {
+    hash: { type: String, select: false },
+    expiresAt: Date,
+    sentAt: Date,
+    sendCount: { type: Number, default: 0 },
+    failedAttempts: { type: Number, default: 0 }
+  },
+  verifiedAt: Date,
+  verifiedBy: {
+    id: String,
+    role: String
+  },
+  photo: imageSchema,
+  signature: imageSchema,
+  // Position de l'appareil au moment de la remise
+  location: {
+    type: { type: String, enum: ['Point'] },
+    coordinates: [Number], // [longitude, latitude]
+    accuracy: Number
+  },
+  // Distance entre la position de remise et l'adresse du client
+  distanceFromAddressMeters: Number,
+  notes: String
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+deliveryProofSchema.index({ order: 1, type: 1 }, { unique: true });
+
+module.exports = mongoose.model('DeliveryProof', deliveryProofSchema);
+module.exports.HANDOVER_TYPES = HANDOVER_TYPES;
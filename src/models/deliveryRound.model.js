@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Arrêt d'une tournée, dans l'ordre de passage
+const roundStopSchema = new Schema({
+  sequence: { type: Number, required: true },
+  job: { type: Schema.Types.ObjectId, ref: 'DeliveryJob', required: true },
+  order: { type: Schema.Types.ObjectId, ref: 'Order' },
+  orderNumber: String,
+  type: { type: String, enum: ['pickup', 'delivery'] },
+  customerName: String,
+  phone: String,
+  address: String,
+  instructions: String,
+  coordinates: [Number], // [longitude, latitude]
+  // Créneau convenu avec le client
+  window: {
+    start: Date,
+    end: Date
+  },
+  items: Number,
+  arrivalAt: Date,
+  serviceStartAt: Date,
+  departureAt: Date,
+  waitSeconds: Number,
+  legDistanceMeters: Number,
+  legDurationSeconds: Number,
+  // Articles à bord après l'arrêt
+  loadAfter: Number
+}, { _id: false });
+
+// Tournée de collectes et de livraisons planifiée pour un pressing sur une plage horaire
+const deliveryRoundSchema = new Schema({
+  pressing: {
+    type: Schema.Types.ObjectId,
+    ref: 'Pressing',
+    required: true
+  },
+  rider: {
+    type: Schema.Types.ObjectId,
+    ref: 'Rider',
+    default: null
+  },
+  window: {
+    from: { type: Date, required: true },
+    to: { type: Date, required: true }
+  },
+  startAt: { type: Date, required: true },
+  capacity: { type: Number, required: true },
+  // Départ et retour au pressing
+  depot: {
+    label: String,
+    address: String,
+    coordinates: [Number]
+  },
+  // Origine des distances : matrice Mapbox ou vol d'oiseau corrigé (haversine)
+  source: {
+    type: String,
+    enum: ['mapbox', 'haversine'],
+    required: true
+  },
+  stops: [roundStopSchema],
+  // Courses de la plage horaire qui n'ont pas pu être placées
+  unplanned: [{
+    _id: false,
+    job: { type: Schema.Types.ObjectId, ref: 'DeliveryJob' },
+    orderNumber: String,
+    type: { type: String, enum: ['pickup', 'delivery'] },
+    reason: String
+  }],
+  totals: {
+    distanceMeters: Number,
+    durationSeconds: Number,
+    returnAt: Date
+  },
+  createdBy: {
+    id: String,
+    role: String
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+deliveryRoundSchema.index({ pressing: 1, 'window.from': -1 });
+deliveryRoundSchema.index({ rider: 1, 'window.from': -1 });
+
+module.exports = mongoose.model('DeliveryRound', deliveryRoundSchema);
@@ -31,7 +31,7 @@ const deliveryZoneSchema = new mongoose.Schema(
       min: [0, 'Le montant minimum ne peut pas être négatif']
     },
     
-    // Zone géographique (optionnel pour l'avenir)
+    // Sommets du polygone saisis par le pressing (repris de la zone GeoJSON)
     coordinates: [{
       lat: {
         type: Number,
@@ -45,6 +45,18 @@ const deliveryZoneSchema = new mongoose.Schema(
       }
     }],
     
+    // Polygone GeoJSON de la zone ([longitude, latitude], anneau fermé) : sert à trouver la zone d'une adresse
+    area: {
+      type: {
+        type: String,
+        enum: ['Polygon']
+      },
+      coordinates: {
+        type: [[[Number]]],
+        default: undefined
+      }
+    },
+    
     // Temps de livraison estimé (en minutes)
     estimatedDeliveryTime: {
       type: Number,
@@ -84,6 +96,9 @@ deliveryZoneSchema.index({ pressing: 1, name: 1 }, { unique: true });
 // Index pour les requêtes par pressing
 deliveryZoneSchema.index({ pressing: 1, isActive: 1, sortOrder: 1 });
 
+// Index géospatial pour retrouver la zone qui couvre une adresse
+deliveryZoneSchema.index({ area: '2dsphere' });
+
 // Middleware pour normaliser le nom de la zone
 deliveryZoneSchema.pre('save', function(next) {
   if (this.isModified('name')) {
@@ -102,6 +117,19 @@ deliveryZoneSchema.statics.findByPressing = function(pressingId, activeOnly = tr
   return this.find(query).sort({ sortOrder: 1, name: 1 });
 };
 
+// Zones actives d'un pressing qui couvrent un point [longitude, latitude], la première selon sortOrder
+deliveryZoneSchema.statics.findCovering = function(pressingId, point) {
+  return this.find({
+    pressing: pressingId,
+    isActive: true,
+    area: {
+      $geoIntersects: {
+        $geometry: { type: 'Point', coordinates: point }
+      }
+    }
+  }).sort({ sortOrder: 1, name: 1 });
+};
+
 // Méthode pour vérifier si une zone couvre un montant de commande
 deliveryZoneSchema.methods.canDeliver = function(orderAmount) {
   return this.isActive && orderAmount >= this.minOrder;
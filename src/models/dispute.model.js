@@ -0,0 +1,152 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Statuts d'un litige
+// open : en attente de la première réponse du pressing
+// in_discussion : échanges en cours entre le client et le pressing
+// escalated : examiné par l'administration (à la demande d'une partie ou délai dépassé)
+const DISPUTE_STATUSES = ['open', 'in_discussion', 'escalated', 'resolved', 'rejected', 'withdrawn'];
+const ACTIVE_DISPUTE_STATUSES = ['open', 'in_discussion', 'escalated'];
+const DISPUTE_CATEGORIES = ['damaged', 'lost', 'stained', 'wrong_item', 'incomplete', 'other'];
+// refund : remboursement de la commande, reclean : article retraité gratuitement,
+// compensation : geste commercial crédité sur le porte-monnaie du client
+const DISPUTE_OUTCOMES = ['refund', 'reclean', 'compensation', 'none'];
+
+// Auteur d'un message ou d'une action
+const participantSchema = new Schema({
+  id: String,
+  role: {
+    type: String,
+    enum: ['client', 'pressing', 'admin', 'system'],
+    required: true
+  }
+}, { _id: false });
+
+// Photo justificative (Cloudinary)
+const evidenceSchema = new Schema({
+  url: { type: String, required: true },
+  publicId: String,
+  caption: String,
+  uploadedBy: participantSchema,
+  uploadedAt: { type: Date, default: Date.now }
+});
+
+const messageSchema = new Schema({
+  author: { type: participantSchema, required: true },
+  body: {
+    type: String,
+    required: [true, 'Le message est requis'],
+    maxlength: [2000, 'Le message ne peut pas dépasser 2000 caractères']
+  },
+  attachments: [evidenceSchema],
+  // Note réservée à l'administration, invisible du client et du pressing
+  internal: { type: Boolean, default: false },
+  createdAt: { type: Date, default: Date.now }
+});
+
+const disputeSchema = new Schema({
+  reference: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  order: {
+    type: Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true,
+    index: true
+  },
+  customer: {
+    type: Schema.Types.ObjectId,
+    ref: 'Client',
+    required: true
+  },
+  pressing: {
+    type: Schema.Types.ObjectId,
+    ref: 'Pressing',
+    required: true
+  },
+  openedBy: participantSchema,
+  category: {
+    type: String,
+    enum: DISPUTE_CATEGORIES,
+    required: [true, 'La nature du litige est requise']
+  },
+  // Articles de la commande concernés (_id dans order.items)
+  items: [{
+    item: { type: Schema.Types.ObjectId, required: true },
+    name: String,
+    quantity: { type: Number, min: 1, default: 1 }
+  }],
+  description: {
+    type: String,
+    required: [true, 'La description du litige est requise'],
+    maxlength: [2000, 'La description ne peut pas dépasser 2000 caractères']
+  },
+  // Montant réclamé par le client
+  claimedAmount: {
+    type: Number,
+    min: 0
+  },
+  evidence: [evidenceSchema],
+  messages: [messageSchema],
+  status: {
+    type: String,
+    enum: DISPUTE_STATUSES,
+    default: 'open',
+    index: true
+  },
+  // Administrateur en charge du dossier
+  assignedTo: String,
+  escalatedAt: Date,
+  escalationReason: String,
+  sla: {
+    responseDueAt: Date,
+    resolutionDueAt: Date,
+    firstResponseAt: Date,
+    responseBreachedAt: Date,
+    resolutionBreachedAt: Date
+  },
+  resolution: {
+    outcome: { type: String, enum: DISPUTE_OUTCOMES },
+    amount: { type: Number, min: 0 },
+    notes: String,
+    refundRequest: { type: Schema.Types.ObjectId, ref: 'RefundRequest' },
+    compensationTransaction: { type: Schema.Types.ObjectId, ref: 'Transaction' },
+    recleanDueAt: Date,
+    resolvedBy: participantSchema,
+    resolvedAt: Date
+  },
+  history: [{
+    status: String,
+    changedAt: { type: Date, default: Date.now },
+    actor: String,
+    notes: String
+  }]
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+disputeSchema.index({ customer: 1, createdAt: -1 });
+disputeSchema.index({ pressing: 1, status: 1 });
+disputeSchema.index({ status: 1, 'sla.responseDueAt': 1 });
+disputeSchema.index({ status: 1, 'sla.resolutionDueAt': 1 });
+
+/**
+ * Change le statut du litige et l'inscrit dans l'historique
+ * @param {string} status - Nouveau statut
+ * @param {string} actor - Rôle à l'origine du changement
+ * @param {string} [notes] - Commentaire
+ */
+disputeSchema.methods.setStatus = function(status, actor, notes) {
+  this.status = status;
+  this.history.push({ status, actor, notes, changedAt: new Date() });
+};
+
+module.exports = mongoose.model('Dispute', disputeSchema);
+module.exports.DISPUTE_STATUSES = DISPUTE_STATUSES;
+module.exports.ACTIVE_DISPUTE_STATUSES = ACTIVE_DISPUTE_STATUSES;
+module.exports.DISPUTE_CATEGORIES = DISPUTE_CATEGORIES;
+module.exports.DISPUTE_OUTCOMES = DISPUTE_OUTCOMES;
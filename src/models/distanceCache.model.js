@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Distances routières Mapbox conservées pour éviter de rappeler l'API pour le même trajet
+const distanceCacheSchema = new Schema({
+  // Position du pressing et point de livraison, arrondis à 4 décimales (route:lng,lat>lng,lat)
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  pressing: {
+    type: Schema.Types.ObjectId,
+    ref: 'Pressing'
+  },
+  meters: {
+    type: Number,
+    required: true
+  },
+  hits: {
+    type: Number,
+    default: 0
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Suppression automatique des entrées expirées
+distanceCacheSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('DistanceCache', distanceCacheSchema);
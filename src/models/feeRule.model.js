@@ -0,0 +1,113 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const FEE_RULE_TYPES = {
+  COMMISSION: 'commission',   // Part prélevée par la plateforme sur la part du pressing
+  SERVICE_FEE: 'service_fee', // Frais de service facturés au client
+  VAT: 'vat'                  // TVA facturée au client
+};
+
+// Bases sur lesquelles la TVA peut s'appliquer
+const VAT_BASES = ['items', 'service_fee', 'delivery'];
+
+// Règle de frais gérée par l'administration. La règle la plus spécifique
+// (pressing > catégorie > formule d'abonnement) l'emporte à la création de la commande.
+const feeRuleSchema = new Schema({
+  name: {
+    type: String,
+    required: [true, 'Le nom de la règle est requis'],
+    trim: true
+  },
+  description: String,
+  type: {
+    type: String,
+    required: [true, 'Le type de règle est requis'],
+    enum: Object.values(FEE_RULE_TYPES)
+  },
+  calculation: {
+    type: String,
+    enum: ['percentage', 'flat'],
+    default: 'percentage'
+  },
+  // Taux en % ou montant fixe en XOF
+  value: {
+    type: Number,
+    required: [true, 'La valeur de la règle est requise'],
+    min: [0, 'La valeur ne peut pas être négative']
+  },
+  // Bornes du montant calculé (par application de la règle)
+  minAmount: {
+    type: Number,
+    min: 0
+  },
+  maxAmount: {
+    type: Number,
+    min: 0
+  },
+  // Conditions d'application, une condition absente s'applique à tous
+  conditions: {
+    pressing: {
+      type: Schema.Types.ObjectId,
+      ref: 'Pressing'
+    },
+    plan: String,
+    category: String
+  },
+  // TVA uniquement : éléments soumis à la taxe
+  appliesTo: {
+    type: [{ type: String, enum: VAT_BASES }],
+    default: undefined
+  },
+  // Départage des règles de même spécificité
+  priority: {
+    type: Number,
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  validFrom: Date,
+  validUntil: Date,
+  createdBy: String,
+  updatedBy: String
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+feeRuleSchema.pre('validate', function(next) {
+  if (this.type === FEE_RULE_TYPES.VAT) {
+    if (this.calculation !== 'percentage') {
+      this.invalidate('calculation', 'La TVA est toujours un pourcentage');
+    }
+    if (this.conditions && this.conditions.category) {
+      this.invalidate('conditions.category', 'La TVA ne peut pas dépendre de la catégorie de service');
+    }
+    if (!this.appliesTo || this.appliesTo.length === 0) {
+      this.appliesTo = VAT_BASES;
+    }
+  } else if (this.appliesTo && this.appliesTo.length > 0) {
+    this.invalidate('appliesTo', 'Seule une règle de TVA précise ses bases');
+  }
+
+  if (this.calculation === 'percentage' && this.value > 100) {
+    this.invalidate('value', 'Un pourcentage ne peut pas dépasser 100');
+  }
+  if (this.minAmount !== undefined && this.maxAmount !== undefined && this.minAmount > this.maxAmount) {
+    this.invalidate('maxAmount', 'Le montant maximal doit être supérieur au montant minimal');
+  }
+  if (this.validFrom && this.validUntil && this.validFrom >= this.validUntil) {
+    this.invalidate('validUntil', 'La fin de validité doit être postérieure au début');
+  }
+  next();
+});
+
+// Indexes for faster queries
+feeRuleSchema.index({ type: 1, isActive: 1 });
+feeRuleSchema.index({ 'conditions.pressing': 1 });
+
+module.exports = mongoose.model('FeeRule', feeRuleSchema);
+module.exports.FEE_RULE_TYPES = FEE_RULE_TYPES;
+module.exports.VAT_BASES = VAT_BASES;
@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Étapes de traitement d'un vêtement, dans l'ordre du circuit en atelier
+const GARMENT_STATUSES = ['received', 'washing', 'ironing', 'quality_check', 'packed'];
+
+// Vêtement physique enregistré à la réception, identifié par le code de son étiquette
+const garmentSchema = new Schema({
+  tagCode: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true
+  },
+  order: {
+    type: Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true,
+    index: true
+  },
+  // _id de la ligne correspondante dans order.items
+  orderItem: {
+    type: Schema.Types.ObjectId,
+    required: true
+  },
+  pressing: {
+    type: Schema.Types.ObjectId,
+    ref: 'Pressing',
+    required: true
+  },
+  customer: {
+    type: Schema.Types.ObjectId,
+    ref: 'Client',
+    required: true
+  },
+  description: {
+    type: String,
+    required: [true, 'La description du vêtement est requise'],
+    maxlength: [200, 'La description ne peut pas dépasser 200 caractères']
+  },
+  color: {
+    type: String,
+    maxlength: [50, 'La couleur ne peut pas dépasser 50 caractères']
+  },
+  brand: String,
+  // Défauts constatés à la réception (taches, accrocs...)
+  intakeNotes: {
+    type: String,
+    maxlength: [500, 'Les remarques ne peuvent pas dépasser 500 caractères']
+  },
+  photo: {
+    url: String,
+    publicId: String
+  },
+  status: {
+    type: String,
+    enum: GARMENT_STATUSES,
+    default: 'received'
+  },
+  scans: [{
+    status: { type: String, enum: GARMENT_STATUSES, required: true },
+    scannedAt: { type: Date, default: Date.now },
+    scannedBy: {
+      id: String,
+      role: String
+    },
+    // Contrôle qualité : résultat du contrôle
+    passed: Boolean,
+    notes: String
+  }]
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+garmentSchema.index({ order: 1, orderItem: 1 });
+
+module.exports = mongoose.model('Garment', garmentSchema);
+module.exports.GARMENT_STATUSES = GARMENT_STATUSES;
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Réponses de géocodage Mapbox conservées pour éviter de rappeler l'API pour la même adresse
+const geocodeCacheSchema = new Schema({
+  // Adresse normalisée (forward:...) ou coordonnées arrondies (reverse:...)
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  kind: {
+    type: String,
+    required: true,
+    enum: ['forward', 'reverse']
+  },
+  // Saisie d'origine
+  query: String,
+  // Mapbox n'a rien trouvé : la réponse négative est aussi conservée, moins longtemps
+  found: {
+    type: Boolean,
+    required: true
+  },
+  result: {
+    latitude: Number,
+    longitude: Number,
+    address: String,
+    district: String,
+    quartier: String,
+    confidence: Number,
+    components: Schema.Types.Mixed
+  },
+  hits: {
+    type: Number,
+    default: 0
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Suppression automatique des entrées expirées
+geocodeCacheSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('GeocodeCache', geocodeCacheSchema);
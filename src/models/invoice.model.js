@@ -0,0 +1,212 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const DOCUMENT_TYPES = {
+  INVOICE: 'invoice',
+  CREDIT_NOTE: 'credit_note'
+};
+
+// Origine du document : abonnement (plateforme -> pressing) ou commande (pressing -> client)
+const INVOICE_SOURCES = {
+  SUBSCRIPTION: 'subscription',
+  ORDER: 'order'
+};
+
+// Identité d'une partie, figée à l'émission
+const partySchema = new Schema({
+  kind: {
+    type: String,
+    enum: ['platform', 'pressing', 'client'],
+    required: true
+  },
+  id: Schema.Types.ObjectId,
+  name: {
+    type: String,
+    required: true
+  },
+  address: String,
+  email: String,
+  phone: String,
+  taxId: String,
+  tradeRegister: String
+}, { _id: false });
+
+// Ligne du document, montants HT (une remise ou un crédit est une ligne négative)
+const lineSchema = new Schema({
+  description: {
+    type: String,
+    required: true
+  },
+  quantity: {
+    type: Number,
+    default: 1
+  },
+  unitPrice: {
+    type: Number,
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true
+  }
+}, { _id: false });
+
+// Facture ou avoir légal : numéroté sans trou par émetteur et par année, immuable une fois émis.
+// Une correction passe par un avoir qui référence la facture d'origine.
+const invoiceSchema = new Schema({
+  // Ex: FA-2026-000042, AV-2026-000003
+  number: {
+    type: String,
+    required: true
+  },
+  documentType: {
+    type: String,
+    enum: Object.values(DOCUMENT_TYPES),
+    required: true
+  },
+  // Série de numérotation : platform ou pressing:<id>
+  issuerKey: {
+    type: String,
+    required: true
+  },
+  year: {
+    type: Number,
+    required: true
+  },
+  sequence: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  source: {
+    type: String,
+    enum: Object.values(INVOICE_SOURCES),
+    required: true
+  },
+  // Clé d'idempotence de l'événement à l'origine du document (ex: order:<id>, refund:<référence>)
+  sourceKey: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  issuer: {
+    type: partySchema,
+    required: true
+  },
+  recipient: {
+    type: partySchema,
+    required: true
+  },
+  // Liens vers les documents métier
+  pressing: {
+    type: Schema.Types.ObjectId,
+    ref: 'Pressing',
+    required: true
+  },
+  customer: {
+    type: Schema.Types.ObjectId,
+    ref: 'Client'
+  },
+  order: {
+    type: Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  subscriptionInvoice: {
+    type: Schema.Types.ObjectId,
+    ref: 'SubscriptionInvoice'
+  },
+  // Avoir : facture rectifiée
+  creditedInvoice: {
+    type: Schema.Types.ObjectId,
+    ref: 'Invoice'
+  },
+  creditedInvoiceNumber: String,
+  reason: String,
+  // Référence métier affichée (n° de commande, échéance d'abonnement...)
+  sourceReference: String,
+  periodStart: Date,
+  periodEnd: Date,
+  lines: {
+    type: [lineSchema],
+    validate: {
+      validator: lines => lines.length > 0,
+      message: 'Un document comporte au moins une ligne'
+    }
+  },
+  // Totaux : HT, TVA et TTC
+  totalExclTax: {
+    type: Number,
+    required: true
+  },
+  vatRate: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  vat: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  total: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  currency: {
+    type: String,
+    default: 'XOF',
+    enum: ['XOF', 'USD', 'EUR']
+  },
+  // Règlement constaté à l'émission
+  payment: {
+    status: {
+      type: String,
+      enum: ['paid', 'unpaid', 'partially_paid', 'refunded'],
+      default: 'unpaid'
+    },
+    method: String,
+    reference: String,
+    // Part réglée par un avoir antérieur
+    creditApplied: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    paidAt: Date
+  },
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+const IMMUTABLE_MESSAGE = 'Les factures et avoirs émis ne peuvent pas être modifiés ni supprimés';
+
+invoiceSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error(IMMUTABLE_MESSAGE));
+  }
+  next();
+});
+
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete']
+  .forEach(operation => {
+    invoiceSchema.pre(operation, function(next) {
+      next(new Error(IMMUTABLE_MESSAGE));
+    });
+  });
+
+// Numéro unique dans la série de l'émetteur
+invoiceSchema.index({ issuerKey: 1, number: 1 }, { unique: true });
+invoiceSchema.index({ pressing: 1, issuedAt: -1 });
+invoiceSchema.index({ customer: 1, issuedAt: -1 });
+invoiceSchema.index({ order: 1 });
+invoiceSchema.index({ subscriptionInvoice: 1 });
+invoiceSchema.index({ creditedInvoice: 1 });
+
+module.exports = mongoose.model('Invoice', invoiceSchema);
+module.exports.DOCUMENT_TYPES = DOCUMENT_TYPES;
+module.exports.INVOICE_SOURCES = INVOICE_SOURCES;
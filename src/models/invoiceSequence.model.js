@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Compteur de numérotation des factures et avoirs, par émetteur, type de document et année.
+// Incrémenté dans la même transaction que la création du document : un numéro attribué
+// n'est jamais perdu, la série reste continue.
+const invoiceSequenceSchema = new Schema({
+  // platform ou pressing:<id>
+  issuer: {
+    type: String,
+    required: true
+  },
+  documentType: {
+    type: String,
+    required: true,
+    enum: ['invoice', 'credit_note']
+  },
+  year: {
+    type: Number,
+    required: true
+  },
+  // Dernier numéro attribué
+  value: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, {
+  timestamps: true
+});
+
+invoiceSequenceSchema.index({ issuer: 1, documentType: 1, year: 1 }, { unique: true });
+
+module.exports = mongoose.model('InvoiceSequence', invoiceSequenceSchema);
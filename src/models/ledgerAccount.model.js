@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Catégories de comptes et leur nature comptable
+const ACCOUNT_CATEGORIES = {
+  client_wallet: 'liability',        // Solde dû à un client (porte-monnaie)
+  pressing_balance: 'liability',     // Solde dû à un pressing
+  platform_commission: 'revenue',    // Commissions prélevées sur les commandes
+  platform_subscriptions: 'revenue', // Abonnements des pressings
+  provider_clearing: 'asset',        // Fonds détenus chez un opérateur de paiement
+  vat_collected: 'liability',        // TVA facturée aux clients, à reverser à l'État
+  refunds: 'expense',                // Remboursements supportés par la plateforme
+  compensations: 'expense'           // Gestes commerciaux accordés lors des litiges
+};
+
+const ledgerAccountSchema = new Schema({
+  // Code unique (ex: pressing_balance:<id>, provider_clearing:orange)
+  code: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  category: {
+    type: String,
+    required: true,
+    enum: Object.keys(ACCOUNT_CATEGORIES)
+  },
+  type: {
+    type: String,
+    required: true,
+    enum: ['asset', 'liability', 'revenue', 'expense']
+  },
+  owner: {
+    id: {
+      type: Schema.Types.ObjectId,
+      refPath: 'owner.type'
+    },
+    type: {
+      type: String,
+      enum: ['Client', 'Pressing']
+    }
+  },
+  currency: {
+    type: String,
+    default: 'XOF',
+    enum: ['XOF', 'USD', 'EUR']
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Sens normal du solde : débiteur pour les actifs et charges, créditeur sinon
+ledgerAccountSchema.virtual('normalSide').get(function() {
+  return ['asset', 'expense'].includes(this.type) ? 'debit' : 'credit';
+});
+
+// Indexes for faster queries
+ledgerAccountSchema.index({ category: 1 });
+ledgerAccountSchema.index({ 'owner.id': 1 });
+
+module.exports = mongoose.model('LedgerAccount', ledgerAccountSchema);
+module.exports.ACCOUNT_CATEGORIES = ACCOUNT_CATEGORIES;
@@ -0,0 +1,113 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const ledgerLineSchema = new Schema({
+  account: {
+    type: Schema.Types.ObjectId,
+    ref: 'LedgerAccount',
+    required: true
+  },
+  accountCode: {
+    type: String,
+    required: true
+  },
+  direction: {
+    type: String,
+    required: true,
+    enum: ['debit', 'credit']
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: [0.01, 'Le montant d\'une ligne doit être positif']
+  }
+}, { _id: false });
+
+// Écriture comptable en partie double (immuable : une correction passe par une écriture inverse)
+const ledgerEntrySchema = new Schema({
+  // Clé d'idempotence (ex: order_capture:TXN-20250720-9F2A4C1B)
+  reference: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  type: {
+    type: String,
+    required: true,
+    enum: [
+      'order_capture',
+      'order_refund',
+      'refund',
+      'subscription_charge',
+      'payout',
+      'wallet_topup',
+      'wallet_payment',
+      'dispute_compensation',
+      'adjustment'
+    ]
+  },
+  description: String,
+  currency: {
+    type: String,
+    default: 'XOF',
+    enum: ['XOF', 'USD', 'EUR']
+  },
+  lines: {
+    type: [ledgerLineSchema],
+    validate: {
+      validator: lines => lines.length >= 2,
+      message: 'Une écriture comporte au moins deux lignes'
+    }
+  },
+  postedAt: {
+    type: Date,
+    default: Date.now
+  },
+  relatedTo: {
+    type: Schema.Types.ObjectId,
+    refPath: 'relatedToModel'
+  },
+  relatedToModel: {
+    type: String,
+    enum: ['Order', 'Transaction', 'Payout', 'Pressing', 'Client', 'Dispute', 'OrderGroup']
+  },
+  transaction: {
+    type: Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+  metadata: Schema.Types.Mixed
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Total des débits et des crédits (en centimes pour éviter les erreurs d'arrondi)
+ledgerEntrySchema.virtual('totals').get(function() {
+  return (this.lines || []).reduce((totals, line) => {
+    totals[line.direction] += Math.round(line.amount * 100);
+    return totals;
+  }, { debit: 0, credit: 0 });
+});
+
+ledgerEntrySchema.pre('validate', function(next) {
+  const { debit, credit } = this.totals;
+  if (debit !== credit) {
+    return next(new Error(`Écriture ${this.reference} déséquilibrée: débit ${debit / 100} ≠ crédit ${credit / 100}`));
+  }
+  next();
+});
+
+ledgerEntrySchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Les écritures comptables ne peuvent pas être modifiées'));
+  }
+  next();
+});
+
+// Indexes for faster queries
+ledgerEntrySchema.index({ 'lines.accountCode': 1, postedAt: 1 });
+ledgerEntrySchema.index({ relatedTo: 1, type: 1 });
+ledgerEntrySchema.index({ type: 1, postedAt: -1 });
+
+module.exports = mongoose.model('LedgerEntry', ledgerEntrySchema);
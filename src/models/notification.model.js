@@ -37,7 +37,7 @@ const notificationSchema = new mongoose.Schema(
       },
       type: {
         type: String,
-        enum: ['Client', 'Pressing', 'Admin'],
+        enum: ['Client', 'Pressing', 'Admin', 'Rider'],
         required: [true, 'Le type de destinataire est requis']
       }
     },
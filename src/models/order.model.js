@@ -1,5 +1,17 @@
 const mongoose = require('mongoose');
 const { Schema } = mongoose;
+const { ORDER_STATUS, checkTransition, getAllowedTransitions } = require('../config/orderStatus');
+const { OrderTransitionError } = require('../utils/error.utils');
+
+// Statut des articles à appliquer lorsque la commande atteint un statut donné
+const ITEM_STATUS_BY_ORDER_STATUS = {
+  [ORDER_STATUS.CONFIRMED]: 'confirmed',
+  [ORDER_STATUS.PROCESSING]: 'in_progress',
+  [ORDER_STATUS.READY_FOR_PICKUP]: 'ready',
+  [ORDER_STATUS.OUT_FOR_DELIVERY]: 'ready',
+  [ORDER_STATUS.CANCELLED]: 'cancelled',
+  [ORDER_STATUS.REFUNDED]: 'refunded'
+};
 
 // Schéma pour les articles de la commande
 const orderItemSchema = new Schema({
@@ -34,7 +46,14 @@ const orderItemSchema = new Schema({
     min: [1, 'La quantité doit être d\'au moins 1'],
     default: 1
   },
-  
+
+  // Quantité déjà remboursée (demandes de remboursement par article)
+  refundedQuantity: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+
   // Prix unitaire (peut différer du prix actuel du service)
   unitPrice: {
     type: Number,
@@ -50,6 +69,7 @@ const orderItemSchema = new Schema({
       default: null
     },
     value: { type: Number, default: 0 },
+    amount: { type: Number, default: 0, min: 0 }, // Montant de la remise sur la ligne
     code: String, // Code promo utilisé
     description: String // Description de la remise
   },
@@ -90,7 +110,7 @@ const orderItemSchema = new Schema({
     changedAt: { type: Date, default: Date.now },
     changedBy: { 
       type: String, 
-      enum: ['system', 'customer', 'pressing', 'admin'],
+      enum: ['system', 'customer', 'pressing', 'admin', 'rider'],
       required: true 
     },
     notes: String
@@ -120,6 +140,36 @@ const orderItemSchema = new Schema({
   metadata: Schema.Types.Mixed
 }, { _id: true });
 
+// Promotion appliquée à la commande, remise répartie sur les lignes (items.discount)
+const appliedPromotionSchema = new Schema({
+  promotion: {
+    type: Schema.Types.ObjectId,
+    ref: 'Promotion',
+    required: true
+  },
+  code: String,
+  name: String,
+  type: {
+    type: String,
+    enum: ['percentage', 'fixed_amount', 'buy_x_get_y']
+  },
+  // Appliquée automatiquement, sans code saisi
+  autoApplied: {
+    type: Boolean,
+    default: false
+  },
+  amount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Utilisation décomptée (currentUses et utilisations du client)
+  redeemed: {
+    type: Boolean,
+    default: false
+  }
+}, { _id: false });
+
 // Schéma pour les frais supplémentaires
 const feeSchema = new Schema({
   type: {
@@ -143,6 +193,67 @@ const feeSchema = new Schema({
   description: String
 }, { _id: false });
 
+// Instantané des règles de frais évaluées à la création de la commande
+const pricingSchema = new Schema({
+  evaluatedAt: { type: Date, default: Date.now },
+  currency: { type: String, default: 'XOF' },
+  subtotal: { type: Number, default: 0, min: 0 },
+  serviceFee: { type: Number, default: 0, min: 0 },
+  deliveryFee: { type: Number, default: 0, min: 0 },
+  vat: { type: Number, default: 0, min: 0 },
+  vatRate: { type: Number, default: 0, min: 0 },
+  commission: { type: Number, default: 0, min: 0 },
+  total: { type: Number, default: 0, min: 0 },
+  platformRevenue: { type: Number, default: 0, min: 0 },
+  pressingShare: { type: Number, default: 0 },
+  rules: [{
+    rule: { type: Schema.Types.ObjectId, ref: 'FeeRule' },
+    name: String,
+    type: { type: String, enum: ['commission', 'service_fee', 'vat'] },
+    calculation: { type: String, enum: ['percentage', 'flat'] },
+    value: Number,
+    base: Number,
+    amount: Number,
+    categories: [String]
+  }]
+}, { _id: false });
+
+// Devis émis par le pressing après inspection des articles
+const quoteSchema = new Schema({
+  reference: { type: String, required: true },
+  version: { type: Number, required: true, min: 1 },
+  status: {
+    type: String,
+    enum: ['issued', 'accepted', 'rejected', 'expired', 'superseded'],
+    default: 'issued'
+  },
+  lines: [{
+    // _id de la ligne dans order.items (absent pour un article ajouté à l'inspection)
+    item: Schema.Types.ObjectId,
+    service: { type: Schema.Types.ObjectId, ref: 'Service' },
+    name: { type: String, required: true },
+    category: { type: String, required: true },
+    quantity: { type: Number, required: true, min: 0 },
+    estimatedUnitPrice: { type: Number, default: 0, min: 0 },
+    unitPrice: { type: Number, required: true, min: 0 },
+    // Motif de l'ajustement (matière, taille, état constaté...)
+    adjustmentReason: String
+  }],
+  subtotal: { type: Number, required: true, min: 0 },
+  total: { type: Number, required: true, min: 0 },
+  currency: { type: String, default: 'XOF' },
+  pricing: pricingSchema,
+  notes: String,
+  validUntil: { type: Date, required: true },
+  issuedAt: { type: Date, default: Date.now },
+  issuedBy: {
+    id: String,
+    role: String
+  },
+  respondedAt: Date,
+  rejectionReason: String
+}, { _id: true });
+
 // Schéma principal de la commande
 const orderSchema = new Schema({
   // Numéro de commande unique (format: COMM-YYYYMMDD-XXXXX)
@@ -166,7 +277,22 @@ const orderSchema = new Schema({
     ref: 'Pressing',
     required: [true, 'Le pressing est requis']
   },
+
+  // Panier multi-pressings dont la commande est issue (paiement commun)
+  group: {
+    type: Schema.Types.ObjectId,
+    ref: 'OrderGroup',
+    default: null,
+    index: true
+  },
   
+  // Panier persistant : brouillon en cours de composition, partagé entre les appareils du client
+  cart: {
+    active: { type: Boolean, default: false },
+    lastActivityAt: Date,
+    reminderSentAt: Date
+  },
+
   // Articles de la commande
   items: [orderItemSchema],
   
@@ -326,6 +452,19 @@ const orderSchema = new Schema({
     enum: ['delivery', 'pickup', 'on_site'],
     required: [true, 'Le type de service est requis']
   },
+
+  // Adresse de livraison géolocalisée (commandes en livraison)
+  deliveryAddress: {
+    type: { type: String, enum: ['Point'], default: undefined },
+    coordinates: { type: [Number], default: undefined }, // [longitude, latitude]
+    street: String,
+    city: String,
+    district: String,
+    postalCode: String,
+    country: String,
+    formattedAddress: String,
+    instructions: String
+  },
   
   // Créneau horaire de livraison/retrait
   timeSlot: {
@@ -364,7 +503,7 @@ const orderSchema = new Schema({
     changedAt: { type: Date, default: Date.now },
     changedBy: { 
       type: String, 
-      enum: ['system', 'customer', 'pressing', 'admin'],
+      enum: ['system', 'customer', 'pressing', 'admin', 'rider'],
       required: true 
     },
     notes: String,
@@ -406,20 +545,63 @@ const orderSchema = new Schema({
     }]
   },
   
+  // Reversement au pressing dans lequel la commande a été incluse
+  payout: {
+    type: Schema.Types.ObjectId,
+    ref: 'Payout',
+    default: null
+  },
+  
   // Frais supplémentaires
   fees: [feeSchema],
   
+  // Commission, frais de service et TVA figés à la création
+  pricing: {
+    type: pricingSchema,
+    default: undefined
+  },
+  
+  // Tarification : prix du catalogue, ou devis établi après inspection des articles
+  pricingMode: {
+    type: String,
+    enum: ['catalog', 'quote'],
+    default: 'catalog'
+  },
+
+  // Devis (commandes en pricingMode 'quote')
+  quote: {
+    status: {
+      type: String,
+      enum: ['awaiting_quote', 'quoted', 'accepted', 'rejected', 'expired'],
+      default: undefined
+    },
+    // Historique des devis successifs (le dernier est le devis en cours)
+    history: [quoteSchema]
+  },
+
   // Code promo appliqué
   promoCode: {
     code: String,
-    type: { type: String, enum: ['percentage', 'fixed_amount', 'free_delivery'] },
+    type: { type: String, enum: ['percentage', 'fixed_amount', 'free_delivery', 'buy_x_get_y'] },
     value: Number,
-    description: String
+    description: String,
+    promotion: { type: Schema.Types.ObjectId, ref: 'Promotion' },
+    maximumDiscount: Number // Plafond de la remise (codes en pourcentage)
   },
+
+  // Promotions retenues par le moteur de promotions (code saisi et promotions automatiques)
+  promotions: [appliedPromotionSchema],
   
   // Suivi de livraison (si applicable)
   delivery: {
-    assignedTo: { type: Schema.Types.ObjectId, ref: 'Pressing' },
+    assignedTo: { type: Schema.Types.ObjectId, ref: 'Rider' }, // Livreur de la course de livraison
+    // Livraison standard ou express (supplément), retrait en boutique sinon
+    type: {
+      type: String,
+      enum: ['pickup', 'delivery', 'express']
+    },
+    // Distance du pressing à l'adresse, retenue pour les frais de livraison
+    distanceMeters: Number,
     status: {
       type: String,
       enum: ['pending', 'assigned', 'picked_up', 'in_transit', 'delivered', 'failed'],
@@ -431,6 +613,16 @@ const orderSchema = new Schema({
       type: String,
       description: 'URL de la preuve de livraison (photo, signature, etc.)'
     },
+    // Remise au client confirmée par son code (requise pour terminer une commande en livraison)
+    proof: { type: Schema.Types.ObjectId, ref: 'DeliveryProof' },
+    // Zone de livraison du pressing qui couvre l'adresse, conditions figées à la commande
+    zone: {
+      id: { type: Schema.Types.ObjectId, ref: 'DeliveryZone' },
+      name: String,
+      fee: Number,
+      minOrder: Number,
+      estimatedMinutes: Number // Délai de livraison une fois la commande partie
+    },
     trackingUrl: String,
     notes: String
   },
@@ -478,6 +670,11 @@ orderSchema.index({ 'pressing': 1, 'status': 1, 'createdAt': -1 });
 orderSchema.index({ 'delivery.assignedTo': 1, 'delivery.status': 1 });
 
 orderSchema.index({ 'payment.status': 1 });
+orderSchema.index({ 'quote.status': 1 }, { sparse: true });
+// Un seul panier actif par client
+orderSchema.index({ 'customer': 1, 'cart.active': 1 }, { unique: true, partialFilterExpression: { 'cart.active': true } });
+orderSchema.index({ 'cart.active': 1, 'cart.lastActivityAt': 1 });
+orderSchema.index({ 'pressing': 1, 'status': 1, 'payout': 1 });
 orderSchema.index({ 'timeSlot.preferredDate': 1, 'timeSlot.startTime': 1 });
 
 
@@ -491,23 +688,32 @@ orderSchema.pre('save', async function(next) {
     this.orderNumber = `COMM-${dateStr}-${randomNum}`;
   }
   
-  // Si le statut a changé, l'ajouter à l'historique
+  // Si le statut a changé sans passer par transitionTo, l'ajouter à l'historique
   if (this.isModified('status')) {
     this.statusHistory = this.statusHistory || [];
-    this.statusHistory.push({
-      status: this.status,
-      changedAt: new Date(),
-      changedBy: this.statusHistory.length === 0 ? 'system' : 'customer',
-      notes: 'Statut mis à jour'
-    });
+    const lastEntry = this.statusHistory[this.statusHistory.length - 1];
+    if (!lastEntry || lastEntry.status !== this.status) {
+      this.statusHistory.push({
+        status: this.status,
+        changedAt: new Date(),
+        changedBy: 'system',
+        notes: 'Statut mis à jour'
+      });
+    }
   }
   
   // Définir une date d'expiration pour les commandes en attente (24h)
-  if (this.status === 'pending' && !this.expiresAt) {
+  // sauf pour les commandes sur devis, qui attendent l'inspection des articles
+  if (this.status === 'pending' && !this.expiresAt && this.pricingMode !== 'quote') {
     const expiryDate = new Date();
     expiryDate.setDate(expiryDate.getDate() + 1); // 24 heures d'expiration
     this.expiresAt = expiryDate;
   }
+
+  // Une commande sortie du brouillon et de l'attente n'est plus supprimée par l'index TTL
+  if (this.expiresAt && !['draft', 'pending'].includes(this.status)) {
+    this.expiresAt = undefined;
+  }
   
   next();
 });
@@ -519,8 +725,65 @@ orderSchema.pre('save', async function(next) {
  * @returns {boolean} - True si la commande peut être annulée
  */
 orderSchema.methods.canBeCancelled = function() {
-  const nonCancellableStatuses = ['completed', 'cancelled', 'refunded', 'out_for_delivery'];
-  return !nonCancellableStatuses.includes(this.status);
+  return getAllowedTransitions(this.status).includes(ORDER_STATUS.CANCELLED);
+};
+
+/**
+ * Applique une transition du cycle de vie (cf. config/orderStatus)
+ * Vérifie la transition, l'enregistre dans l'historique et aligne le statut des articles.
+ * Ne sauvegarde pas la commande : les effets de bord sont gérés par orderStatus.service.
+ * @param {string} newStatus - Statut cible
+ * @param {Object} options - Options de la transition
+ * @param {string} options.actor - Acteur (system, customer, pressing, admin)
+ * @param {string} [options.notes] - Commentaire associé
+ * @param {Object} [options.metadata] - Métadonnées associées
+ * @returns {string} - Statut précédent
+ * @throws {OrderTransitionError} - Si la transition est interdite
+ */
+orderSchema.methods.transitionTo = function(newStatus, { actor = 'system', notes, metadata } = {}) {
+  const previousStatus = this.status;
+  const check = checkTransition(this, newStatus, actor);
+
+  if (!check.allowed) {
+    throw new OrderTransitionError(check.reason, {
+      code: check.code,
+      from: previousStatus,
+      to: newStatus,
+      actor,
+      allowedTransitions: getAllowedTransitions(previousStatus, actor)
+    });
+  }
+
+  const changedAt = new Date();
+  this.status = newStatus;
+  this.statusHistory.push({
+    status: newStatus,
+    changedAt,
+    changedBy: actor,
+    notes: notes || `Statut mis à jour: ${previousStatus} -> ${newStatus}`,
+    metadata: { ...(metadata || {}), previousStatus }
+  });
+
+  // Aligner le statut des articles encore actifs
+  let itemStatus = ITEM_STATUS_BY_ORDER_STATUS[newStatus];
+  if (newStatus === ORDER_STATUS.COMPLETED) {
+    itemStatus = previousStatus === ORDER_STATUS.OUT_FOR_DELIVERY ? 'delivered' : 'picked_up';
+  }
+  if (itemStatus) {
+    this.items.forEach(item => {
+      if (item.status !== itemStatus && !['cancelled', 'refunded'].includes(item.status)) {
+        item.status = itemStatus;
+        item.statusHistory.push({
+          status: itemStatus,
+          changedAt,
+          changedBy: actor,
+          notes: `Mis à jour avec la commande (${newStatus})`
+        });
+      }
+    });
+  }
+
+  return previousStatus;
 };
 
 /**
@@ -582,9 +845,12 @@ orderSchema.methods.calculateTotals = function() {
     return sum + itemTotal + optionsTotal;
   }, 0);
   
-  // Calculer les remises
+  // Calculer les remises : réparties ligne à ligne par le moteur de promotions,
+  // à défaut calculées à partir du seul code promo
   let discount = 0;
-  if (this.promoCode) {
+  if (this.promotions && this.promotions.length) {
+    discount = this.items.reduce((sum, item) => sum + ((item.discount && item.discount.amount) || 0), 0);
+  } else if (this.promoCode) {
     if (this.promoCode.type === 'percentage') {
       discount = subtotal * (this.promoCode.value / 100);
     } else if (this.promoCode.type === 'fixed_amount') {
@@ -592,21 +858,27 @@ orderSchema.methods.calculateTotals = function() {
     } else if (this.promoCode.type === 'free_delivery') {
       // La livraison gratuite est gérée dans les frais
     }
+    if (this.promoCode.maximumDiscount) {
+      discount = Math.min(discount, this.promoCode.maximumDiscount);
+    }
   }
   
   // Calculer les frais supplémentaires
   const feesTotal = (this.fees || []).reduce((sum, fee) => sum + fee.amount, 0);
   
+  // TVA figée à la création de la commande
+  const tax = this.pricing ? this.pricing.vat : (this.payment?.amount?.tax || 0);
+  
   // Calculer le total
-  const total = Math.max(0, subtotal - discount + feesTotal);
+  const total = Math.max(0, subtotal - discount + feesTotal + tax);
   
   // Mettre à jour les montants
   this.payment = this.payment || {};
   this.payment.amount = {
     subtotal,
     discount,
-    fees: feesTotal,
-    tax: 0, // À calculer en fonction des taxes applicables
+    delivery: (this.fees || []).filter(fee => fee.type === 'delivery').reduce((sum, fee) => sum + fee.amount, 0),
+    tax,
     tip: this.payment?.amount?.tip || 0,
     total,
     currency: this.payment?.amount?.currency || 'XOF'
@@ -616,68 +888,27 @@ orderSchema.methods.calculateTotals = function() {
 };
 
 // Méthode pour annuler une commande
+// Passe par orderStatus.service pour déclencher les effets de bord (remboursement, créneau, promotions)
 orderSchema.methods.cancel = function(reason, cancelledBy) {
-  if (['completed', 'cancelled', 'refunded'].includes(this.status)) {
-    throw new Error(`Impossible d'annuler une commande avec le statut: ${this.status}`);
-  }
-  
-  this.status = 'cancelled';
-  this.statusHistory.push({
-    status: 'cancelled',
-    changedAt: new Date(),
-    changedBy: cancelledBy || 'system',
-    notes: reason || 'Commande annulée',
-    metadata: { reason }
-  });
-  
-  // Annuler également tous les articles de la commande
-  this.items.forEach(item => {
-    if (!['cancelled', 'refunded'].includes(item.status)) {
-      item.status = 'cancelled';
-      item.statusHistory.push({
-        status: 'cancelled',
-        changedAt: new Date(),
-        changedBy: cancelledBy || 'system',
-        notes: 'Annulé avec la commande'
-      });
-    }
-  });
-  
-  return this.save();
+  // Chargé à la demande : orderStatus.service dépend lui-même de ce modèle
+  return require('../services/orderStatus.service')
+    .transitionOrder(this, ORDER_STATUS.CANCELLED, {
+      actor: cancelledBy || 'system',
+      notes: reason || 'Commande annulée',
+      metadata: { reason }
+    })
+    .then(({ order }) => order);
 };
 
-// Méthode pour demander un remboursement
+// Méthode pour demander un remboursement (statut de paiement mis à jour par les effets de bord)
 orderSchema.methods.requestRefund = function(reason, requestedBy) {
-  if (['cancelled', 'refunded'].includes(this.status)) {
-    throw new Error(`Impossible de demander un remboursement pour une commande avec le statut: ${this.status}`);
-  }
-  
-  this.status = 'refunded';
-  this.statusHistory.push({
-    status: 'refunded',
-    changedAt: new Date(),
-    changedBy: requestedBy || 'customer',
-    notes: reason || 'Demande de remboursement',
-    metadata: { reason }
-  });
-  
-  // Marquer les articles comme remboursés
-  this.items.forEach(item => {
-    if (!['cancelled', 'refunded'].includes(item.status)) {
-      item.status = 'refunded';
-      item.statusHistory.push({
-        status: 'refunded',
-        changedAt: new Date(),
-        changedBy: requestedBy || 'customer',
-        notes: 'Remboursé avec la commande'
-      });
-    }
-  });
-  
-  // Mettre à jour le statut de paiement
-  this.payment.status = 'refunded';
-  
-  return this.save();
+  return require('../services/orderStatus.service')
+    .transitionOrder(this, ORDER_STATUS.REFUNDED, {
+      actor: requestedBy || 'system',
+      notes: reason || 'Demande de remboursement',
+      metadata: { reason }
+    })
+    .then(({ order }) => order);
 };
 
 // Méthode pour mettre à jour le statut d'un article
@@ -702,24 +933,30 @@ orderSchema.methods.updateItemStatus = function(itemId, newStatus, changedBy, no
 };
 
 // Méthode pour mettre à jour le statut global de la commande en fonction des articles
+// Le statut dérivé n'est appliqué que si le cycle de vie l'autorise pour le système
 orderSchema.methods.updateOrderStatus = function() {
   const itemStatuses = this.items.map(item => item.status);
+  let derivedStatus = null;
   
   // Si tous les articles sont annulés, annuler la commande
   if (itemStatuses.every(status => status === 'cancelled')) {
-    this.status = 'cancelled';
+    derivedStatus = ORDER_STATUS.CANCELLED;
   }
   // Si tous les articles sont remboursés, marquer comme remboursé
   else if (itemStatuses.every(status => status === 'refunded')) {
-    this.status = 'refunded';
+    derivedStatus = ORDER_STATUS.REFUNDED;
   }
   // Si tous les articles sont terminés, marquer comme complété
   else if (itemStatuses.every(status => ['delivered', 'picked_up', 'cancelled', 'refunded'].includes(status))) {
-    this.status = 'completed';
+    derivedStatus = ORDER_STATUS.COMPLETED;
   }
   // Si au moins un article est en cours de traitement, mettre à jour en conséquence
   else if (itemStatuses.some(status => ['in_progress', 'ready'].includes(status))) {
-    this.status = 'processing';
+    derivedStatus = ORDER_STATUS.PROCESSING;
+  }
+  
+  if (derivedStatus && derivedStatus !== this.status && checkTransition(this, derivedStatus, 'system').allowed) {
+    this.transitionTo(derivedStatus, { actor: 'system', notes: 'Statut dérivé des articles' });
   }
   
   return this;
@@ -0,0 +1,64 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+/**
+ * Référence du panier (ex: PAN-20250720-9F2A4C)
+ * @returns {string}
+ */
+const generateReference = () => {
+  const dateStr = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+  return `PAN-${dateStr}-${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+};
+
+// Panier multi-pressings : une commande par pressing, réglées par un paiement unique.
+// Le statut, le créneau, les annulations et les remboursements restent propres à chaque commande.
+const orderGroupSchema = new Schema({
+  reference: {
+    type: String,
+    required: true,
+    unique: true,
+    default: generateReference
+  },
+  customer: {
+    type: Schema.Types.ObjectId,
+    ref: 'Client',
+    required: true,
+    index: true
+  },
+  orders: [{
+    type: Schema.Types.ObjectId,
+    ref: 'Order'
+  }],
+  payment: {
+    method: {
+      type: String,
+      enum: ['cash', 'mobile_money', 'wallet'],
+      default: 'cash'
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'captured', 'failed'],
+      default: 'pending'
+    },
+    // Montants des commandes actives au moment de la validation (ou du paiement)
+    amount: {
+      subtotal: { type: Number, default: 0, min: 0 },
+      delivery: { type: Number, default: 0, min: 0 },
+      tax: { type: Number, default: 0, min: 0 },
+      total: { type: Number, default: 0, min: 0 },
+      currency: { type: String, default: 'XOF' }
+    },
+    // Commandes couvertes par le paiement en cours
+    coveredOrders: [{
+      type: Schema.Types.ObjectId,
+      ref: 'Order'
+    }],
+    paymentIntentId: String,
+    paidAt: Date
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('OrderGroup', orderGroupSchema);
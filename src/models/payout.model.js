@@ -1,6 +1,22 @@
 const mongoose = require('mongoose');
 const Schema = mongoose.Schema;
 
+// Détail d'une commande incluse dans un reversement
+const payoutOrderSchema = new Schema({
+  order: {
+    type: Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  orderNumber: String,
+  completedAt: Date,
+  grossAmount: { type: Number, required: true, min: 0 },
+  commission: { type: Number, default: 0, min: 0 },
+  vat: { type: Number, default: 0, min: 0 },
+  refunds: { type: Number, default: 0, min: 0 },
+  netAmount: { type: Number, required: true }
+}, { _id: false });
+
 const payoutSchema = new Schema({
   pressing: {
     type: Schema.Types.ObjectId,
@@ -28,6 +44,11 @@ const payoutSchema = new Schema({
     required: true,
     enum: ['mobile_money', 'bank_transfer', 'wave']
   },
+  // Opérateur utilisé pour le virement (mobile money et Wave)
+  provider: {
+    type: String,
+    enum: ['orange', 'mtn', 'moov', 'wave']
+  },
   paymentDetails: {
     // For mobile money
     phoneNumber: String,
@@ -38,10 +59,33 @@ const payoutSchema = new Schema({
     // For Wave
     waveId: String
   },
+  // Période couverte (commandes terminées jusqu'à periodEnd)
+  periodStart: Date,
+  periodEnd: Date,
+  orders: [payoutOrderSchema],
+  breakdown: {
+    orderCount: { type: Number, default: 0 },
+    grossAmount: { type: Number, default: 0 },
+    commission: { type: Number, default: 0 },
+    vat: { type: Number, default: 0 },
+    refunds: { type: Number, default: 0 },
+    netAmount: { type: Number, default: 0 }
+  },
+  // Paiements des commandes reversées et transaction de retrait du reversement
   transactions: [{
     type: Schema.Types.ObjectId,
     ref: 'Transaction'
   }],
+  withdrawalTransaction: {
+    type: Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+  providerReference: String,
+  providerStatus: String,
+  attempts: {
+    type: Number,
+    default: 0
+  },
   reference: {
     type: String,
     required: true,
@@ -49,6 +93,7 @@ const payoutSchema = new Schema({
   },
   processedAt: Date,
   completedAt: Date,
+  failedAt: Date,
   failureReason: String,
   metadata: {
     type: Map,
@@ -62,6 +107,8 @@ const payoutSchema = new Schema({
 
 // Indexes for faster queries
 payoutSchema.index({ pressing: 1, status: 1 });
+payoutSchema.index({ pressing: 1, createdAt: -1 });
+payoutSchema.index({ 'orders.order': 1 });
 
 
 module.exports = mongoose.model('Payout', payoutSchema);
@@ -119,6 +119,29 @@ const deliveryOptionsSchema = new mongoose.Schema({
   minOrderAmount: {
     type: Number,
     default: 0
+  },
+  // Tarification dynamique propre au pressing ; les règles absentes reprennent celles de la plateforme
+  pricing: {
+    distanceBands: {
+      type: [{
+        _id: false,
+        upToKm: { type: Number, min: 0, default: null }, // null : au-delà de la tranche précédente
+        fee: { type: Number, required: true, min: 0 }
+      }],
+      default: undefined
+    },
+    expressSurcharge: { type: Number, min: 0 },
+    peakHours: {
+      type: [{
+        _id: false,
+        days: [{ type: Number, min: 0, max: 6 }], // 0 = dimanche ; tous les jours si vide
+        start: { type: String, match: /^\d{2}:\d{2}$/, required: true },
+        end: { type: String, match: /^\d{2}:\d{2}$/, required: true },
+        multiplier: { type: Number, min: 1, required: true }
+      }],
+      default: undefined
+    },
+    weekendMultiplier: { type: Number, min: 1 }
   }
 });
 
@@ -260,6 +283,24 @@ const pressingSchema = new mongoose.Schema(
       placeId: String // ID de l'emplacement Google Places
     },
     
+    // Mentions légales reprises sur les factures émises aux clients
+    legalInfo: {
+      legalName: {
+        type: String,
+        trim: true
+      },
+      // Numéro de compte contribuable (NCC)
+      taxId: {
+        type: String,
+        trim: true
+      },
+      // Registre du commerce et du crédit mobilier (RCCM)
+      tradeRegister: {
+        type: String,
+        trim: true
+      }
+    },
+    
     // Horaires d'ouverture
     businessHours: [businessHoursSchema],
     
@@ -340,9 +381,11 @@ const pressingSchema = new mongoose.Schema(
     
     // Abonnement et statut
     subscription: {
+      // Code de la formule du catalogue (SubscriptionPlan.code)
       plan: {
         type: String,
-        enum: Object.values(SUBSCRIPTION_PLANS),
+        trim: true,
+        lowercase: true,
         default: SUBSCRIPTION_PLANS.TRIAL
       },
       status: {
@@ -440,6 +483,25 @@ const pressingSchema = new mongoose.Schema(
       }]
     },
     
+    // Coordonnées de reversement des gains
+    payoutSettings: {
+      method: {
+        type: String,
+        enum: ['mobile_money', 'wave', 'bank_transfer']
+      },
+      provider: {
+        type: String,
+        enum: ['orange', 'mtn', 'moov', 'wave']
+      },
+      phoneNumber: {
+        type: String,
+        match: [/^\+?[0-9]{10,15}$/, 'Numéro de téléphone invalide']
+      },
+      accountName: String,
+      bankName: String,
+      accountNumber: String
+    },
+    
     // Statistiques
     stats: {
       totalOrders: {
@@ -98,6 +98,21 @@ const promotionSchema = new Schema({
   },
   // Maximum discount amount (for percentage discounts)
   maximumDiscount: Number,
+  // Utilisations par client (illimité si absent)
+  maxUsesPerUser: {
+    type: Number,
+    min: 1
+  },
+  // Ordre d'évaluation au panier : la priorité la plus haute est retenue en premier
+  priority: {
+    type: Number,
+    default: 0
+  },
+  // Cumulable avec les autres promotions cumulables ; sinon appliquée seule
+  stackable: {
+    type: Boolean,
+    default: false
+  },
   // Status
   status: {
     type: String,
@@ -129,6 +144,8 @@ const promotionSchema = new Schema({
 // L'index sur le code est maintenant défini dans le schéma
 promotionSchema.index({ validFrom: 1, validUntil: 1 });
 promotionSchema.index({ status: 1 });
+// Promotions automatiques d'un pressing
+promotionSchema.index({ autoApply: 1, status: 1, createdBy: 1 });
 
 // Virtual for checking if promotion is currently active
 promotionSchema.virtual('isActive').get(function() {
@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Utilisations d'une promotion par un client, pour la limite maxUsesPerUser.
+// Incrémenté sous condition (count < limite) : deux validations simultanées ne peuvent pas dépasser la limite.
+const promotionUsageSchema = new Schema({
+  promotion: {
+    type: Schema.Types.ObjectId,
+    ref: 'Promotion',
+    required: true
+  },
+  customer: {
+    type: Schema.Types.ObjectId,
+    ref: 'Client',
+    required: true
+  },
+  count: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, {
+  timestamps: true
+});
+
+promotionUsageSchema.index({ promotion: 1, customer: 1 }, { unique: true });
+
+module.exports = mongoose.model('PromotionUsage', promotionUsageSchema);
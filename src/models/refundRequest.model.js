@@ -0,0 +1,143 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Article d'une commande concerné par un remboursement partiel
+const refundItemSchema = new Schema({
+  // _id de l'article dans order.items
+  item: {
+    type: Schema.Types.ObjectId,
+    required: true
+  },
+  name: String,
+  quantity: {
+    type: Number,
+    required: true,
+    min: [1, 'La quantité doit être d\'au moins 1']
+  },
+  unitPrice: { type: Number, min: 0 },
+  amount: { type: Number, required: true, min: 0 }
+}, { _id: false });
+
+// Demande de remboursement d'une commande, soumise à approbation selon son montant.
+// L'exécution passe par payment.service (opérateur ou porte-monnaie du client).
+const refundRequestSchema = new Schema({
+  reference: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  order: {
+    type: Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true,
+    index: true
+  },
+  customer: {
+    type: Schema.Types.ObjectId,
+    ref: 'Client',
+    required: true
+  },
+  pressing: {
+    type: Schema.Types.ObjectId,
+    ref: 'Pressing',
+    required: true
+  },
+  requestedBy: {
+    id: String,
+    role: {
+      type: String,
+      enum: ['client', 'pressing', 'admin', 'system'],
+      required: true
+    }
+  },
+  // full : solde de la commande, partial : montant libre, items : articles désignés
+  type: {
+    type: String,
+    enum: ['full', 'partial', 'items'],
+    required: true
+  },
+  items: [refundItemSchema],
+  amount: {
+    type: Number,
+    required: true,
+    min: [1, 'Le montant doit être positif']
+  },
+  currency: {
+    type: String,
+    default: 'XOF'
+  },
+  reason: {
+    type: String,
+    required: [true, 'Le motif du remboursement est requis'],
+    maxlength: [200, 'Le motif ne peut pas dépasser 200 caractères']
+  },
+  description: {
+    type: String,
+    maxlength: [1000, 'La description ne peut pas dépasser 1000 caractères']
+  },
+  photos: [String],
+  // original : moyen de paiement d'origine, wallet : porte-monnaie du client
+  destination: {
+    type: String,
+    enum: ['original', 'wallet'],
+    default: 'original'
+  },
+  status: {
+    type: String,
+    enum: ['pending_approval', 'approved', 'rejected', 'processing', 'completed', 'failed', 'cancelled'],
+    default: 'pending_approval',
+    index: true
+  },
+  requiresApproval: {
+    type: Boolean,
+    default: true
+  },
+  // Niveau habilité à approuver la demande
+  approvalLevel: {
+    type: String,
+    enum: ['pressing', 'admin']
+  },
+  reviewedBy: {
+    id: String,
+    role: String
+  },
+  reviewedAt: Date,
+  reviewNotes: String,
+  refundTransactions: [{
+    type: Schema.Types.ObjectId,
+    ref: 'Transaction'
+  }],
+  // Montant effectivement remboursé (les transactions peuvent aboutir séparément)
+  refundedAmount: {
+    type: Number,
+    default: 0
+  },
+  processedAt: Date,
+  failureReason: String,
+  history: [{
+    status: String,
+    changedAt: { type: Date, default: Date.now },
+    actor: String,
+    notes: String
+  }]
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+refundRequestSchema.index({ customer: 1, createdAt: -1 });
+refundRequestSchema.index({ pressing: 1, status: 1 });
+
+/**
+ * Change le statut de la demande et l'inscrit dans l'historique
+ * @param {string} status - Nouveau statut
+ * @param {string} actor - Rôle à l'origine du changement
+ * @param {string} [notes] - Commentaire
+ */
+refundRequestSchema.methods.setStatus = function(status, actor, notes) {
+  this.status = status;
+  this.history.push({ status, actor, notes, changedAt: new Date() });
+};
+
+module.exports = mongoose.model('RefundRequest', refundRequestSchema);
@@ -0,0 +1,124 @@
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const Schema = mongoose.Schema;
+
+// Moyens de transport des livreurs
+const VEHICLE_TYPES = ['moto', 'velo', 'voiture', 'a_pied'];
+
+// Disponibilité déclarée par le livreur (attribution automatique des courses)
+const RIDER_AVAILABILITY = ['offline', 'available', 'busy'];
+
+// Livreur rattaché à la flotte d'un pressing, qui assure les collectes et les livraisons
+const riderSchema = new Schema({
+  nom: {
+    type: String,
+    required: [true, 'Le nom est requis'],
+    trim: true
+  },
+  prenom: {
+    type: String,
+    required: [true, 'Le prénom est requis'],
+    trim: true
+  },
+  email: {
+    type: String,
+    required: [true, 'L\'email est requis'],
+    unique: true,
+    trim: true,
+    lowercase: true,
+    match: [/^\S+@\S+\.\S+$/, 'Veuillez entrer un email valide']
+  },
+  phone: {
+    type: String,
+    required: [true, 'Le numéro de téléphone est requis'],
+    trim: true,
+    match: [/^\+?[0-9]{10,15}$/, 'Numéro de téléphone invalide']
+  },
+  password: {
+    type: String,
+    required: [true, 'Le mot de passe est requis'],
+    minlength: [8, 'Le mot de passe doit contenir au moins 8 caractères'],
+    select: false
+  },
+  role: {
+    type: String,
+    enum: ['rider'],
+    default: 'rider'
+  },
+  // Pressing dont le livreur fait partie de la flotte
+  pressing: {
+    type: Schema.Types.ObjectId,
+    ref: 'Pressing',
+    required: [true, 'Le pressing du livreur est requis'],
+    index: true
+  },
+  vehicle: {
+    type: {
+      type: String,
+      enum: VEHICLE_TYPES,
+      default: 'moto'
+    },
+    plateNumber: {
+      type: String,
+      trim: true,
+      uppercase: true
+    }
+  },
+  availability: {
+    type: String,
+    enum: RIDER_AVAILABILITY,
+    default: 'offline'
+  },
+  // Dernière position connue
+  lastLocation: {
+    type: {
+      type: String,
+      enum: ['Point']
+    },
+    coordinates: [Number], // [longitude, latitude]
+    updatedAt: Date
+  },
+  status: {
+    type: String,
+    enum: ['active', 'inactive', 'suspended'],
+    default: 'active'
+  },
+  lastLogin: Date
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: function(doc, ret) {
+      delete ret.password;
+      return ret;
+    }
+  },
+  toObject: { virtuals: true }
+});
+
+riderSchema.index({ pressing: 1, status: 1, availability: 1 });
+
+riderSchema.virtual('fullName').get(function() {
+  return `${this.prenom} ${this.nom}`;
+});
+
+// Hacher le mot de passe avant de sauvegarder
+riderSchema.pre('save', async function(next) {
+  if (!this.isModified('password')) return next();
+
+  try {
+    const salt = await bcrypt.genSalt(10);
+    this.password = await bcrypt.hash(this.password, salt);
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+riderSchema.methods.comparePassword = async function(candidatePassword) {
+  return await bcrypt.compare(candidatePassword, this.password);
+};
+
+module.exports = mongoose.model('Rider', riderSchema);
+module.exports.VEHICLE_TYPES = VEHICLE_TYPES;
+module.exports.RIDER_AVAILABILITY = RIDER_AVAILABILITY;
@@ -0,0 +1,169 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Statuts d'une facture d'abonnement
+const INVOICE_STATUS = {
+  OPEN: 'open',                 // Échéance en cours de recouvrement (prélèvements et relances)
+  PAID: 'paid',
+  UNCOLLECTIBLE: 'uncollectible', // Délai de grâce écoulé, compte suspendu jusqu'au règlement
+  VOID: 'void'
+};
+
+// Tentative de prélèvement auprès de l'opérateur
+const chargeAttemptSchema = new Schema({
+  transaction: {
+    type: Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+  reference: String,
+  provider: String,
+  // automatic : échéance ou relance planifiée ; manual : paiement lancé par le pressing
+  trigger: {
+    type: String,
+    enum: ['automatic', 'manual'],
+    default: 'automatic'
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'succeeded', 'failed'],
+    default: 'pending'
+  },
+  failureReason: String,
+  attemptedAt: {
+    type: Date,
+    default: Date.now
+  },
+  settledAt: Date
+}, { _id: false });
+
+// Relance envoyée au pressing (e-mail, push et in-app)
+const dunningEventSchema = new Schema({
+  event: {
+    type: String,
+    enum: ['paid', 'payment_failed', 'final_notice', 'suspended'],
+    required: true
+  },
+  sentAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const subscriptionInvoiceSchema = new Schema({
+  reference: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  abonnement: {
+    type: Schema.Types.ObjectId,
+    ref: 'Abonnement',
+    required: true
+  },
+  pressing: {
+    type: Schema.Types.ObjectId,
+    ref: 'Pressing',
+    required: true
+  },
+  // renewal : échéance de l'abonnement ; proration : montée en gamme en cours de période
+  kind: {
+    type: String,
+    enum: ['renewal', 'proration'],
+    default: 'renewal'
+  },
+  plan: String,
+  billingCycle: String,
+  // Montée en gamme : formule appliquée au règlement de la facture
+  planChange: {
+    plan: String,
+    planId: {
+      type: Schema.Types.ObjectId,
+      ref: 'SubscriptionPlan'
+    },
+    fromPlan: String,
+    credit: Number,
+    charge: Number
+  },
+  // Période facturée
+  periodStart: {
+    type: Date,
+    required: true
+  },
+  periodEnd: {
+    type: Date,
+    required: true
+  },
+  // Prix de la période, avoir déduit et montant à régler
+  subtotal: {
+    type: Number,
+    min: 0
+  },
+  creditApplied: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  currency: {
+    type: String,
+    default: 'XOF',
+    enum: ['XOF', 'USD', 'EUR']
+  },
+  status: {
+    type: String,
+    enum: Object.values(INVOICE_STATUS),
+    default: INVOICE_STATUS.OPEN
+  },
+  dueDate: {
+    type: Date,
+    required: true
+  },
+  // Fin du délai de grâce : le compte est suspendu si la facture reste impayée
+  graceEndsAt: {
+    type: Date,
+    required: true
+  },
+  // Prochain prélèvement automatique (null : plus de relance prévue)
+  nextAttemptAt: Date,
+  attempts: [chargeAttemptSchema],
+  dunning: [dunningEventSchema],
+  // Transaction qui a réglé la facture
+  transaction: {
+    type: Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+  paidAt: Date,
+  suspendedAt: Date
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Nombre de prélèvements automatiques refusés (détermine la prochaine relance)
+subscriptionInvoiceSchema.virtual('failedAutomaticAttempts').get(function() {
+  return (this.attempts || []).filter(attempt => attempt.trigger === 'automatic' && attempt.status === 'failed').length;
+});
+
+// Un prélèvement attend la réponse de l'opérateur
+subscriptionInvoiceSchema.virtual('hasPendingAttempt').get(function() {
+  return (this.attempts || []).some(attempt => attempt.status === 'pending');
+});
+
+// Une seule facture d'échéance par période d'un abonnement
+subscriptionInvoiceSchema.index(
+  { abonnement: 1, periodStart: 1 },
+  { unique: true, partialFilterExpression: { kind: 'renewal' } }
+);
+subscriptionInvoiceSchema.index({ pressing: 1, createdAt: -1 });
+subscriptionInvoiceSchema.index({ status: 1, nextAttemptAt: 1 });
+subscriptionInvoiceSchema.index({ status: 1, graceEndsAt: 1 });
+
+const SubscriptionInvoice = mongoose.model('SubscriptionInvoice', subscriptionInvoiceSchema);
+
+module.exports = SubscriptionInvoice;
+module.exports.INVOICE_STATUS = INVOICE_STATUS;
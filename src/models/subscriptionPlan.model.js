@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const BILLING_CYCLES = ['monthly', 'quarterly', 'yearly'];
+
+// Droits et limites d'une formule (null : illimité)
+const entitlementsSchema = new Schema({
+  maxServices: { type: Number, min: 0, default: null },
+  maxGalleryPhotos: { type: Number, min: 0, default: null },
+  maxDeliveryZones: { type: Number, min: 0, default: null },
+  staffSeats: { type: Number, min: 1, default: 1 },
+  maxOrdersPerMonth: { type: Number, min: 0, default: null },
+  promotions: { type: Boolean, default: false },
+  advancedStats: { type: Boolean, default: false },
+  prioritySupport: { type: Boolean, default: false }
+}, { _id: false });
+
+// Formule d'abonnement du catalogue, gérée par l'administration.
+// Les abonnements conservent le prix en vigueur à leur souscription jusqu'au changement de formule.
+const subscriptionPlanSchema = new Schema({
+  // Identifiant stable repris dans Abonnement.plan et Pressing.subscription.plan
+  code: {
+    type: String,
+    required: [true, 'Le code de la formule est requis'],
+    unique: true,
+    trim: true,
+    lowercase: true,
+    match: [/^[a-z0-9_-]+$/, 'Le code ne peut contenir que des lettres, chiffres, - et _']
+  },
+  name: {
+    type: String,
+    required: [true, 'Le nom de la formule est requis'],
+    trim: true
+  },
+  description: String,
+  price: {
+    type: Number,
+    required: [true, 'Le prix de la formule est requis'],
+    min: [0, 'Le prix ne peut pas être négatif']
+  },
+  currency: {
+    type: String,
+    default: 'XOF',
+    enum: ['XOF', 'USD', 'EUR']
+  },
+  billingCycle: {
+    type: String,
+    enum: BILLING_CYCLES,
+    default: 'monthly'
+  },
+  trialDays: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  entitlements: {
+    type: entitlementsSchema,
+    default: () => ({})
+  },
+  // Ordre d'affichage
+  sortOrder: {
+    type: Number,
+    default: 0
+  },
+  // Proposée aux pressings (une formule masquée reste facturée à ses abonnés)
+  isPublic: {
+    type: Boolean,
+    default: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: String,
+  updatedBy: String
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+subscriptionPlanSchema.index({ isActive: 1, isPublic: 1, sortOrder: 1 });
+
+module.exports = mongoose.model('SubscriptionPlan', subscriptionPlanSchema);
+module.exports.BILLING_CYCLES = BILLING_CYCLES;
@@ -17,12 +17,12 @@ const transactionSchema = new Schema({
   type: {
     type: String,
     required: true,
-    enum: ['subscription', 'service', 'refund', 'withdrawal', 'other']
+    enum: ['subscription', 'service', 'refund', 'withdrawal', 'topup', 'compensation', 'other']
   },
   status: {
     type: String,
     required: true,
-    enum: ['pending', 'completed', 'failed', 'refunded', 'disputed'],
+    enum: ['pending', 'completed', 'failed', 'cancelled', 'refunded', 'partially_refunded', 'disputed'],
     default: 'pending'
   },
   amount: {
@@ -35,24 +35,45 @@ const transactionSchema = new Schema({
     default: 'XOF',
     enum: ['XOF', 'USD', 'EUR']
   },
+  // Moyen de paiement enregistré (absent pour un paiement ponctuel par numéro de téléphone)
   paymentMethod: {
     type: Schema.Types.ObjectId,
-    ref: 'PaymentMethod',
-    required: true
+    ref: 'PaymentMethod'
   },
+  phoneNumber: String,
   paymentProvider: {
     type: String,
     required: true,
-    enum: ['orange', 'mtn', 'moov', 'wave', 'visa', 'mastercard', 'cash', 'other']
+    enum: ['orange', 'mtn', 'moov', 'wave', 'wallet', 'visa', 'mastercard', 'cash', 'other']
   },
   reference: {
     type: String,
     required: true,
     unique: true
   },
-  providerReference: {
-    type: String,
-    required: true
+  // Référence attribuée par l'opérateur (connue après l'initiation)
+  providerReference: String,
+  // Statut brut retourné par l'opérateur et dernière réponse reçue
+  providerStatus: String,
+  providerData: Schema.Types.Mixed,
+  // URL de paiement à ouvrir par le client (Wave, Orange Money Web Pay)
+  paymentUrl: String,
+  // Montant déjà remboursé sur cette transaction
+  refundedAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Montant des remboursements en attente de confirmation par l'opérateur
+  refundReservedAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Transaction d'origine (pour les remboursements)
+  parentTransaction: {
+    type: Schema.Types.ObjectId,
+    ref: 'Transaction'
   },
   description: String,
   metadata: {
@@ -65,7 +86,7 @@ const transactionSchema = new Schema({
   },
   relatedToModel: {
     type: String,
-    enum: ['Abonnement', 'Commande', 'Pressing', 'User']
+    enum: ['Abonnement', 'Commande', 'Order', 'Payout', 'Pressing', 'User', 'Wallet', 'Dispute', 'OrderGroup', 'SubscriptionInvoice']
   },
   processedAt: Date,
   failureReason: String
@@ -78,6 +99,11 @@ const transactionSchema = new Schema({
 // Indexes for faster queries
 transactionSchema.index({ user: 1, status: 1 });
 
-transactionSchema.index({ providerReference: 1 }, { unique: true });
+transactionSchema.index({ 'user.id': 1, createdAt: -1 });
+transactionSchema.index({ relatedTo: 1, type: 1 });
+transactionSchema.index(
+  { paymentProvider: 1, providerReference: 1 },
+  { unique: true, partialFilterExpression: { providerReference: { $type: 'string' } } }
+);
 
 module.exports = mongoose.model('Transaction', transactionSchema);
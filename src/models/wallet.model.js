@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Porte-monnaie d'un client. Le solde est tenu ici pour permettre un débit atomique,
+// chaque mouvement est aussi passé au grand livre (compte client_wallet:<id>).
+const walletSchema = new Schema({
+  client: {
+    type: Schema.Types.ObjectId,
+    ref: 'Client',
+    required: true,
+    unique: true
+  },
+  balance: {
+    type: Number,
+    default: 0,
+    min: [0, 'Le solde ne peut pas être négatif']
+  },
+  currency: {
+    type: String,
+    default: 'XOF',
+    enum: ['XOF']
+  },
+  status: {
+    type: String,
+    enum: ['active', 'frozen'],
+    default: 'active'
+  },
+  lastMovementAt: Date
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+module.exports = mongoose.model('Wallet', walletSchema);
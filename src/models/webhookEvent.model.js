@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Journal des notifications reçues des opérateurs de paiement
+const webhookEventSchema = new Schema({
+  provider: {
+    type: String,
+    required: true,
+    enum: ['orange', 'mtn', 'moov', 'wave']
+  },
+  // Identifiant d'événement fourni par l'opérateur (ou empreinte du corps à défaut)
+  eventId: String,
+  // Clé de déduplication, renseignée uniquement pour les notifications authentifiées
+  dedupeKey: String,
+  status: {
+    type: String,
+    required: true,
+    enum: ['received', 'processing', 'processed', 'failed', 'rejected'],
+    default: 'received'
+  },
+  signatureValid: {
+    type: Boolean,
+    default: false
+  },
+  rejectionReason: String,
+  // Contenu conservé pour les seules notifications authentifiées
+  rawBody: String,
+  payload: Schema.Types.Mixed,
+  headers: Schema.Types.Mixed,
+  sourceIp: String,
+  // Informations extraites de la notification
+  reference: String,
+  providerReference: String,
+  providerStatus: String,
+  transaction: {
+    type: Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  lastError: String,
+  processedAt: Date,
+  replays: [{
+    replayedAt: { type: Date, default: Date.now },
+    replayedBy: String,
+    outcome: { type: String, enum: ['processed', 'failed'] },
+    error: String
+  }]
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for faster queries
+webhookEventSchema.index(
+  { dedupeKey: 1 },
+  { unique: true, partialFilterExpression: { dedupeKey: { $type: 'string' } } }
+);
+webhookEventSchema.index({ provider: 1, status: 1, createdAt: -1 });
+webhookEventSchema.index({ transaction: 1 });
+
+module.exports = mongoose.model('WebhookEvent', webhookEventSchema);
@@ -2,6 +2,10 @@ const express = require('express');
 const router = express.Router();
 const adminController = require('../controllers/admin.controller');
 const adminDashboardController = require('../controllers/adminDashboard.controller');
+const paymentController = require('../controllers/payment.controller');
+const feeRuleController = require('../controllers/feeRule.controller');
+const subscriptionPlanController = require('../controllers/subscriptionPlan.controller');
+const disputeController = require('../controllers/dispute.controller');
 const { protect, authorize } = require('../middleware/auth.middleware');
 const { ROLES } = require('../config/roles');
 
@@ -112,4 +116,102 @@ router.patch('/promotions/:id/status',
   adminDashboardController.updatePromotionStatus
 );
 
+// Payment Webhooks
+router.get('/payments/webhooks',
+  authorize([ROLES.ADMIN, ROLES.SUPER_ADMIN]),
+  paymentController.getWebhookEvents
+);
+
+router.post('/payments/webhooks/:id/replay',
+  authorize([ROLES.ADMIN, ROLES.SUPER_ADMIN]),
+  paymentController.replayWebhookEvent
+);
+
+// Fee Rules
+router.post('/fee-rules/preview',
+  authorize([ROLES.ADMIN, ROLES.SUPER_ADMIN]),
+  feeRuleController.previewPricing
+);
+
+router.route('/fee-rules')
+  .get(
+    authorize([ROLES.ADMIN, ROLES.SUPER_ADMIN]),
+    feeRuleController.getFeeRules
+  )
+  .post(
+    authorize([ROLES.ADMIN, ROLES.SUPER_ADMIN]),
+    feeRuleController.createFeeRule
+  );
+
+router.route('/fee-rules/:id')
+  .get(
+    authorize([ROLES.ADMIN, ROLES.SUPER_ADMIN]),
+    feeRuleController.getFeeRule
+  )
+  .put(
+    authorize([ROLES.ADMIN, ROLES.SUPER_ADMIN]),
+    feeRuleController.updateFeeRule
+  )
+  .delete(
+    authorize([ROLES.ADMIN, ROLES.SUPER_ADMIN]),
+    feeRuleController.deleteFeeRule
+  );
+
+// Subscription Plans
+router.route('/subscription-plans')
+  .get(
+    authorize([ROLES.ADMIN, ROLES.SUPER_ADMIN]),
+    subscriptionPlanController.getSubscriptionPlans
+  )
+  .post(
+    authorize([ROLES.ADMIN, ROLES.SUPER_ADMIN]),
+    subscriptionPlanController.createSubscriptionPlan
+  );
+
+router.route('/subscription-plans/:id')
+  .get(
+    authorize([ROLES.ADMIN, ROLES.SUPER_ADMIN]),
+    subscriptionPlanController.getSubscriptionPlan
+  )
+  .put(
+    authorize([ROLES.ADMIN, ROLES.SUPER_ADMIN]),
+    subscriptionPlanController.updateSubscriptionPlan
+  )
+  .delete(
+    authorize([ROLES.ADMIN, ROLES.SUPER_ADMIN]),
+    subscriptionPlanController.deleteSubscriptionPlan
+  );
+
+// Disputes
+router.get('/disputes',
+  authorize([ROLES.ADMIN, ROLES.SUPER_ADMIN]),
+  disputeController.getDisputeQueue
+);
+
+router.get('/disputes/:id',
+  authorize([ROLES.ADMIN, ROLES.SUPER_ADMIN]),
+  disputeController.getDisputeForAdmin
+);
+
+router.post('/disputes/:id/assign',
+  authorize([ROLES.ADMIN, ROLES.SUPER_ADMIN]),
+  disputeController.assignDispute
+);
+
+router.post('/disputes/:id/messages',
+  authorize([ROLES.ADMIN, ROLES.SUPER_ADMIN]),
+  disputeController.uploadEvidence,
+  disputeController.addAdminMessage
+);
+
+router.post('/disputes/:id/resolve',
+  authorize([ROLES.ADMIN, ROLES.SUPER_ADMIN]),
+  disputeController.resolveDisputeAsAdmin
+);
+
+router.post('/disputes/:id/reject',
+  authorize([ROLES.ADMIN, ROLES.SUPER_ADMIN]),
+  disputeController.rejectDispute
+);
+
 module.exports = router;
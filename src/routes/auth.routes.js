@@ -91,6 +91,16 @@ router.post('/register/client', registerClientRules, validate, authController.re
  *                 type: string
  *               codePostal:
  *                 type: string
+ *               coordinates:
+ *                 type: object
+ *                 description: Position du pressing sur la carte ; à défaut l'adresse est géocodée
+ *                 properties:
+ *                   lat:
+ *                     type: number
+ *                   lng:
+ *                     type: number
+ *                   accuracy:
+ *                     type: number
  *               services:
  *                 type: array
  *                 items:
@@ -108,7 +118,7 @@ router.post('/register/client', registerClientRules, validate, authController.re
  *       201:
  *         description: Pressing enregistré avec succès
  *       400:
- *         description: Données invalides
+ *         description: Données invalides, ou adresse introuvable sans position sur la carte
  */
 router.post('/register/pressing', registerPressingRules, validate, authController.registerPressing);
 
@@ -127,11 +137,15 @@ router.post('/register/pressing', registerPressingRules, validate, authControlle
  *             required:
  *               - email
  *               - password
+ *               - userType
  *             properties:
  *               email:
  *                 type: string
  *               password:
  *                 type: string
+ *               userType:
+ *                 type: string
+ *                 enum: [client, pressing, admin, rider]
  *     responses:
  *       200:
  *         description: Connexion réussie
@@ -136,11 +136,19 @@ router.post('/resume-subscription', authorize('pressing'), requireIdentityVerifi
  *             properties:
  *               newPlan:
  *                 type: string
- *                 enum: [essai, mensuel, annuel]
- *                 description: Nouveau forfait d'abonnement
+ *                 description: Code du nouveau forfait (catalogue GET /api/v1/billing/plans)
+ *               when:
+ *                 type: string
+ *                 enum: [now, period_end]
+ *                 description: Par défaut immédiat pour une montée en gamme, en fin de période pour une rétrogradation
+ *               provider:
+ *                 type: string
+ *                 enum: [orange, mtn, moov, wave]
+ *               phoneNumber:
+ *                 type: string
  *     responses:
  *       200:
- *         description: Forfait changé avec succès
+ *         description: Forfait changé, changement programmé ou prorata en attente de paiement
  *       400:
  *         description: Données invalides ou forfait identique
  *       401:
@@ -148,6 +156,86 @@ router.post('/resume-subscription', authorize('pressing'), requireIdentityVerifi
  */
 router.post('/change-plan', authorize('pressing'), requireIdentityVerification, requireActiveSubscription, billingController.changeSubscriptionPlan);
 
+/**
+ * @swagger
+ * /api/v1/billing/change-plan/preview:
+ *   post:
+ *     summary: Aperçu du montant d'un changement de forfait
+ *     tags: [Billing]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - newPlan
+ *             properties:
+ *               newPlan:
+ *                 type: string
+ *               when:
+ *                 type: string
+ *                 enum: [now, period_end]
+ *     responses:
+ *       200:
+ *         description: Montant dû, avoir et date d'effet
+ *       400:
+ *         description: Données invalides ou forfait identique
+ *       401:
+ *         description: Non autorisé
+ */
+router.post('/change-plan/preview', authorize('pressing'), billingController.previewPlanChange);
+
+/**
+ * @swagger
+ * /api/v1/billing/change-plan/scheduled:
+ *   delete:
+ *     summary: Annuler le changement de forfait programmé en fin de période
+ *     tags: [Billing]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Changement annulé
+ *       404:
+ *         description: Aucun changement programmé
+ */
+router.delete('/change-plan/scheduled', authorize('pressing'), billingController.cancelScheduledPlanChange);
+
+/**
+ * @swagger
+ * /api/v1/billing/plans:
+ *   get:
+ *     summary: Catalogue des forfaits proposés
+ *     tags: [Billing]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Forfaits avec prix, cycle et limites
+ *       401:
+ *         description: Non autorisé
+ */
+router.get('/plans', authorize('pressing'), billingController.getPlans);
+
+/**
+ * @swagger
+ * /api/v1/billing/entitlements:
+ *   get:
+ *     summary: Droits de la formule du pressing et usage de chaque limite
+ *     tags: [Billing]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Fonctionnalités incluses, limites et usage actuel
+ *       401:
+ *         description: Non autorisé
+ */
+router.get('/entitlements', authorize('pressing'), billingController.getEntitlements);
+
 /**
  * @swagger
  * /api/v1/billing/invoices/{invoiceId}:
@@ -178,4 +266,42 @@ router.post('/change-plan', authorize('pressing'), requireIdentityVerification,
  */
 router.get('/invoices/:invoiceId', authorize('pressing'), billingController.getInvoice);
 
+/**
+ * @swagger
+ * /api/v1/billing/invoices/{invoiceId}/pay:
+ *   post:
+ *     summary: Régler une facture d'abonnement impayée
+ *     tags: [Billing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: invoiceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID de la facture
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               provider:
+ *                 type: string
+ *                 enum: [orange, mtn, moov, wave]
+ *               phoneNumber:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Paiement lancé
+ *       400:
+ *         description: Facture déjà réglée ou paiement déjà en cours
+ *       404:
+ *         description: Facture non trouvée
+ *       401:
+ *         description: Non autorisé
+ */
+router.post('/invoices/:invoiceId/pay', authorize('pressing'), billingController.payInvoice);
+
 module.exports = router;
@@ -0,0 +1,307 @@
+const express = require('express');
+const router = express.Router();
+const { protect, authorize } = require('../middleware/auth.middleware');
+const cartController = require('../controllers/cart.controller');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Cart
+ *   description: |
+ *     Panier persistant, partagé entre les appareils du client. Le panier est une commande brouillon
+ *     d'un seul pressing, recalculée à chaque modification ; il expire après CART_TTL_DAYS jours d'inactivité.
+ */
+
+// Toutes les routes sont réservées aux clients
+router.use(protect);
+router.use(authorize('client'));
+
+/**
+ * @swagger
+ * /api/v1/cart:
+ *   get:
+ *     summary: Panier en cours
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Panier (null si aucun panier en cours)
+ *   delete:
+ *     summary: Vider le panier
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Panier supprimé
+ *       404:
+ *         description: Aucun panier en cours
+ */
+router.route('/')
+  .get(cartController.getCart)
+  .delete(cartController.clearCart);
+
+/**
+ * @swagger
+ * /api/v1/cart/items:
+ *   post:
+ *     summary: Ajouter un article au panier
+ *     description: |
+ *       Le panier est créé au premier article. Les prix sont ceux du catalogue du pressing.
+ *       Un panier ne concerne qu'un pressing : pour un autre pressing, vider le panier (replace: true)
+ *       ou valider un panier multi-pressings via /orders/checkout.
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - pressingId
+ *               - serviceId
+ *             properties:
+ *               pressingId:
+ *                 type: string
+ *               serviceId:
+ *                 type: string
+ *               quantite:
+ *                 type: integer
+ *                 default: 1
+ *               instructions:
+ *                 type: string
+ *               replace:
+ *                 type: boolean
+ *                 default: false
+ *     responses:
+ *       201:
+ *         description: Panier recalculé
+ *       400:
+ *         description: Quantité invalide, service indisponible ou panier d'un autre pressing
+ *       404:
+ *         description: Pressing ou service non trouvé
+ */
+router.post('/items', cartController.addItem);
+
+/**
+ * @swagger
+ * /api/v1/cart/items/{itemId}:
+ *   patch:
+ *     summary: Modifier un article du panier
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: itemId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               quantite:
+ *                 type: integer
+ *                 description: 0 pour retirer l'article
+ *               instructions:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Panier recalculé (message si le code promo ne s'applique plus)
+ *       404:
+ *         description: Article non trouvé
+ *   delete:
+ *     summary: Retirer un article du panier
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: itemId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Panier recalculé (message si le code promo ne s'applique plus)
+ *       404:
+ *         description: Article non trouvé
+ */
+router.route('/items/:itemId')
+  .patch(cartController.updateItem)
+  .delete(cartController.removeItem);
+
+/**
+ * @swagger
+ * /api/v1/cart/promo:
+ *   post:
+ *     summary: Appliquer un code promo
+ *     description: Le code est revérifié à chaque modification du panier et retiré s'il ne s'applique plus (ou n'est pas cumulable avec une promotion prioritaire).
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: BIENVENUE10
+ *     responses:
+ *       200:
+ *         description: Panier recalculé avec la remise
+ *       400:
+ *         description: Code non applicable (montant minimum, pressing, validité...)
+ *       404:
+ *         description: Code promo invalide
+ *   delete:
+ *     summary: Retirer le code promo
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Panier recalculé
+ */
+router.route('/promo')
+  .post(cartController.applyPromoCode)
+  .delete(cartController.removePromoCode);
+
+/**
+ * @swagger
+ * /api/v1/cart/promotions/preview:
+ *   post:
+ *     summary: Simuler les promotions applicables
+ *     description: |
+ *       Évalue le code saisi et les promotions automatiques du pressing (priorité, cumul, remise par ligne)
+ *       sans modifier le panier ni décompter d'utilisation. Sans lignes transmises, le panier en cours est évalué.
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: BIENVENUE10
+ *               pressingId:
+ *                 type: string
+ *                 description: Requis avec services
+ *               services:
+ *                 type: array
+ *                 description: Lignes à évaluer à la place du panier en cours
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     serviceId:
+ *                       type: string
+ *                     quantite:
+ *                       type: integer
+ *     responses:
+ *       200:
+ *         description: Remise par ligne, promotions retenues et motif du refus du code le cas échéant
+ *       400:
+ *         description: Panier vide
+ *       404:
+ *         description: Aucun panier en cours ou pressing non trouvé
+ */
+router.post('/promotions/preview', cartController.previewPromotions);
+
+/**
+ * @swagger
+ * /api/v1/cart/slot:
+ *   put:
+ *     summary: Choisir le créneau de collecte
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               dateRecuperationSouhaitee:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Début du créneau de 2 heures (au plus tôt si absent)
+ *     responses:
+ *       200:
+ *         description: Panier mis à jour
+ *       400:
+ *         description: Date invalide ou passée
+ */
+router.put('/slot', cartController.setTimeSlot);
+
+/**
+ * @swagger
+ * /api/v1/cart/address:
+ *   put:
+ *     summary: Choisir l'adresse de livraison
+ *     description: Sans adresse, la commande est à retirer en boutique (pas de frais de livraison).
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               adresseLivraison:
+ *                 oneOf:
+ *                   - type: string
+ *                   - type: object
+ *                 description: Texte libre (géocodé) ou objet avec coordinates { lat, lng } ; une adresse introuvable est refusée (400)
+ *                 example: "Cocody, Abidjan, Côte d'Ivoire"
+ *               deliveryInstructions:
+ *                 type: string
+ *               deliveryType:
+ *                 type: string
+ *                 enum: [standard, express]
+ *                 default: standard
+ *     responses:
+ *       200:
+ *         description: Panier recalculé avec le détail des frais de livraison
+ *       400:
+ *         description: Adresse hors des zones de livraison du pressing
+ */
+router.put('/address', cartController.setDeliveryAddress);
+
+/**
+ * @swagger
+ * /api/v1/cart/checkout:
+ *   post:
+ *     summary: Valider le panier
+ *     description: |
+ *       Le panier devient une commande en attente de paiement (POST /payments/initiate avec orderId)
+ *       et n'expire plus. L'utilisation du code promo est décomptée à cette étape.
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       201:
+ *         description: Commande validée
+ *       400:
+ *         description: Panier vide, ou code promo retiré (total à vérifier)
+ *       404:
+ *         description: Aucun panier en cours
+ */
+router.post('/checkout', cartController.checkout);
+
+module.exports = router;
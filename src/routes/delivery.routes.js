@@ -0,0 +1,450 @@
+const express = require('express');
+const router = express.Router();
+const { protect, authorize } = require('../middleware/auth.middleware');
+const deliveryController = require('../controllers/delivery.controller');
+const handoverController = require('../controllers/handover.controller');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Deliveries
+ *   description: |
+ *     Courses de collecte (client -> pressing) et de livraison (pressing -> client) assurées par les livreurs.
+ *     Statuts : pending, assigned, accepted, picked_up, in_transit, delivered, failed, cancelled.
+ */
+
+// Toutes les routes sont protégées
+router.use(protect);
+
+/**
+ * @swagger
+ * /api/v1/deliveries/jobs:
+ *   get:
+ *     summary: Liste des courses
+ *     description: Le livreur voit ses courses, le pressing celles de ses commandes, l'administration toutes.
+ *     tags: [Deliveries]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         description: Statut de la course, ou "active" pour les courses en cours
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [pickup, delivery]
+ *       - in: query
+ *         name: rider
+ *         description: Livreur (pressing, administration)
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Courses
+ */
+router.get('/jobs', authorize('rider', 'pressing', 'admin'), deliveryController.getJobs);
+
+/**
+ * @swagger
+ * /api/v1/deliveries/jobs/{id}:
+ *   get:
+ *     summary: Détail d'une course
+ *     tags: [Deliveries]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Course avec ses arrêts, son historique, ses tentatives et le trajet GPS du livreur
+ *       404:
+ *         description: Course non trouvée
+ */
+router.get('/jobs/:id', authorize('rider', 'pressing', 'admin'), deliveryController.getJob);
+
+/**
+ * @swagger
+ * /api/v1/deliveries/jobs/{id}/assign:
+ *   post:
+ *     summary: Attribuer une course
+ *     description: Sans riderId, la course est proposée au livreur disponible le moins chargé (puis le plus proche).
+ *     tags: [Deliveries]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               riderId:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Course proposée au livreur
+ *       400:
+ *         description: Course déjà acceptée ou aucun livreur disponible
+ */
+router.post('/jobs/:id/assign', authorize('pressing', 'admin'), deliveryController.assignJob);
+
+/**
+ * @swagger
+ * /api/v1/deliveries/jobs/{id}/accept:
+ *   post:
+ *     summary: Accepter une course proposée
+ *     tags: [Deliveries]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Course acceptée, le client est prévenu
+ */
+router.post('/jobs/:id/accept', authorize('rider'), deliveryController.acceptJob);
+
+/**
+ * @swagger
+ * /api/v1/deliveries/jobs/{id}/decline:
+ *   post:
+ *     summary: Décliner une course proposée
+ *     description: La course est proposée à un autre livreur (attribution automatique) ou rendue au pressing.
+ *     tags: [Deliveries]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Course déclinée
+ */
+router.post('/jobs/:id/decline', authorize('rider'), deliveryController.declineJob);
+
+/**
+ * @swagger
+ * /api/v1/deliveries/jobs/{id}/status:
+ *   post:
+ *     summary: Déclarer une étape de la course
+ *     description: |
+ *       accepted -> picked_up -> in_transit -> delivered. Pour une livraison, la prise en charge passe la commande
+ *       en livraison et la remise la termine. La remise chez le client (picked_up d'une collecte, delivered d'une
+ *       livraison) se confirme avec le code de remise via /jobs/{id}/handover.
+ *     tags: [Deliveries]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [picked_up, in_transit, delivered]
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Étape enregistrée, le client est prévenu
+ *       400:
+ *         description: Étape hors séquence
+ */
+router.post('/jobs/:id/status', authorize('rider'), deliveryController.updateJobStatus);
+
+/**
+ * @swagger
+ * /api/v1/deliveries/jobs/{id}/handover:
+ *   post:
+ *     summary: Confirmer la remise chez le client avec son code
+ *     description: |
+ *       Le client communique le code reçu par notification. Le code vérifié est enregistré avec la position
+ *       et l'heure, et au choix une photo et la signature du client ; la collecte passe alors à picked_up,
+ *       la livraison à delivered (la commande est terminée).
+ *     tags: [Deliveries]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: '482913'
+ *               latitude:
+ *                 type: number
+ *               longitude:
+ *                 type: number
+ *               accuracy:
+ *                 type: number
+ *               notes:
+ *                 type: string
+ *               photo:
+ *                 type: string
+ *                 format: binary
+ *               signature:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       200:
+ *         description: Remise confirmée, course mise à jour
+ *       400:
+ *         description: Code incorrect, expiré ou bloqué, ou étape hors séquence
+ */
+router.post('/jobs/:id/handover', authorize('rider'), handoverController.uploadProof, handoverController.confirmJobHandover);
+
+/**
+ * @swagger
+ * /api/v1/deliveries/jobs/{id}/attempts:
+ *   post:
+ *     summary: Signaler un passage infructueux chez le client
+ *     description: Au-delà de DELIVERY_MAX_ATTEMPTS tentatives, la course échoue et le pressing est prévenu.
+ *     tags: [Deliveries]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 enum: [customer_absent, address_not_found, customer_refused, unreachable, other]
+ *               notes:
+ *                 type: string
+ *               rescheduledFor:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       200:
+ *         description: Tentative enregistrée (course reprogrammée ou échouée)
+ */
+router.post('/jobs/:id/attempts', authorize('rider'), deliveryController.recordFailedAttempt);
+
+/**
+ * @swagger
+ * /api/v1/deliveries/jobs/{id}/cancel:
+ *   post:
+ *     summary: Annuler une course non commencée
+ *     tags: [Deliveries]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Course annulée
+ *       400:
+ *         description: Vêtements déjà pris en charge ou course terminée
+ */
+router.post('/jobs/:id/cancel', authorize('pressing', 'admin'), deliveryController.cancelJob);
+
+/**
+ * @swagger
+ * /api/v1/deliveries/rounds:
+ *   post:
+ *     summary: Planifier une tournée
+ *     description: |
+ *       Ordonne les collectes et livraisons non commencées du pressing dont le créneau chevauche la plage horaire,
+ *       en respectant les créneaux des clients et la capacité du véhicule (articles). Les livraisons partent chargées
+ *       du pressing, les collectes remplissent le véhicule. Les temps de trajet viennent de Mapbox, ou des distances
+ *       à vol d'oiseau quand Mapbox est indisponible. Les courses impossibles à placer sont listées avec leur motif.
+ *       Une tournée compte 24 arrêts au plus : les courses au-delà (créneaux les plus larges) sont listées comme
+ *       non planifiées, à reprendre dans une tournée suivante.
+ *       L'attribution des courses au livreur reste faite par /jobs/{id}/assign.
+ *     tags: [Deliveries]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - from
+ *               - to
+ *             properties:
+ *               from:
+ *                 type: string
+ *                 format: date-time
+ *               to:
+ *                 type: string
+ *                 format: date-time
+ *               startAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Départ du pressing (début de la plage par défaut)
+ *               riderId:
+ *                 type: string
+ *                 description: Livreur de la tournée (ses courses et celles à attribuer)
+ *               capacity:
+ *                 type: integer
+ *                 description: Articles transportables (DELIVERY_ROUND_CAPACITY par défaut)
+ *               pressing:
+ *                 type: string
+ *                 description: Pressing (administration uniquement)
+ *     responses:
+ *       201:
+ *         description: Tournée planifiée avec ses arrêts ordonnés et horaires prévus
+ *       400:
+ *         description: Plage horaire invalide ou pressing sans coordonnées
+ *   get:
+ *     summary: Tournées planifiées
+ *     tags: [Deliveries]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: date
+ *         description: Tournées démarrant ce jour-là
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Tournées (sans le détail des arrêts)
+ */
+router.route('/rounds')
+  .post(authorize('pressing', 'admin'), deliveryController.planRound)
+  .get(authorize('rider', 'pressing', 'admin'), deliveryController.getRounds);
+
+/**
+ * @swagger
+ * /api/v1/deliveries/rounds/{id}:
+ *   get:
+ *     summary: Détail d'une tournée
+ *     tags: [Deliveries]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Tournée avec ses arrêts et les courses non planifiées
+ *       404:
+ *         description: Tournée non trouvée
+ */
+router.get('/rounds/:id', authorize('rider', 'pressing', 'admin'), deliveryController.getRound);
+
+/**
+ * @swagger
+ * /api/v1/deliveries/rounds/{id}/run-sheet:
+ *   get:
+ *     summary: Feuille de route imprimable ou exportable
+ *     tags: [Deliveries]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [pdf, csv]
+ *           default: pdf
+ *     responses:
+ *       200:
+ *         description: Feuille de route
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       404:
+ *         description: Tournée non trouvée
+ */
+router.get('/rounds/:id/run-sheet', authorize('rider', 'pressing', 'admin'), deliveryController.getRunSheet);
+
+module.exports = router;
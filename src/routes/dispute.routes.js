@@ -0,0 +1,286 @@
+const express = require('express');
+const router = express.Router();
+const { protect, authorize } = require('../middleware/auth.middleware');
+const disputeController = require('../controllers/dispute.controller');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Disputes
+ *   description: Réclamations sur les commandes (articles abîmés, perdus...) et échanges avec le pressing
+ */
+
+// Toutes les routes sont protégées
+router.use(protect);
+
+/**
+ * @swagger
+ * /api/v1/disputes:
+ *   post:
+ *     summary: Ouvrir un litige sur une commande
+ *     description: |
+ *       Possible pendant le traitement de la commande et jusqu'à DISPUTE_OPEN_WINDOW_DAYS jours après la livraison.
+ *       Sans réponse du pressing sous DISPUTE_RESPONSE_HOURS heures, le litige est transmis à l'administration.
+ *     tags: [Disputes]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - orderId
+ *               - category
+ *               - description
+ *             properties:
+ *               orderId:
+ *                 type: string
+ *               category:
+ *                 type: string
+ *                 enum: [damaged, lost, stained, wrong_item, incomplete, other]
+ *               description:
+ *                 type: string
+ *               items:
+ *                 type: string
+ *                 description: 'Articles concernés en JSON, ex: [{"item": "<id>", "quantity": 1}]'
+ *               claimedAmount:
+ *                 type: number
+ *               photos:
+ *                 type: array
+ *                 maxItems: 5
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *     responses:
+ *       201:
+ *         description: Litige ouvert
+ *       400:
+ *         description: Commande non éligible ou litige déjà en cours
+ *   get:
+ *     summary: Litiges du client ou du pressing connecté
+ *     tags: [Disputes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [open, in_discussion, escalated, resolved, rejected, withdrawn]
+ *       - in: query
+ *         name: order
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Liste paginée des litiges
+ */
+router
+  .route('/')
+  .post(authorize('client'), disputeController.uploadEvidence, disputeController.openDispute)
+  .get(authorize('client', 'pressing'), disputeController.getDisputes);
+
+/**
+ * @swagger
+ * /api/v1/disputes/{id}:
+ *   get:
+ *     summary: Détail d'un litige avec le fil des échanges
+ *     tags: [Disputes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Litige
+ *       404:
+ *         description: Litige non trouvé
+ */
+router.get('/:id', authorize('client', 'pressing'), disputeController.getDispute);
+
+/**
+ * @swagger
+ * /api/v1/disputes/{id}/messages:
+ *   post:
+ *     summary: Ajouter un message au litige
+ *     description: La première réponse du pressing arrête le délai de réponse.
+ *     tags: [Disputes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - body
+ *             properties:
+ *               body:
+ *                 type: string
+ *               photos:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *     responses:
+ *       201:
+ *         description: Message ajouté
+ *       400:
+ *         description: Litige clos
+ */
+router.post('/:id/messages', authorize('client', 'pressing'), disputeController.uploadEvidence, disputeController.addMessage);
+
+/**
+ * @swagger
+ * /api/v1/disputes/{id}/evidence:
+ *   post:
+ *     summary: Ajouter des photos justificatives
+ *     tags: [Disputes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               caption:
+ *                 type: string
+ *               photos:
+ *                 type: array
+ *                 maxItems: 5
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *     responses:
+ *       201:
+ *         description: Photos ajoutées
+ *       400:
+ *         description: Aucune photo ou litige clos
+ */
+router.post('/:id/evidence', authorize('client', 'pressing'), disputeController.uploadEvidence, disputeController.addEvidence);
+
+/**
+ * @swagger
+ * /api/v1/disputes/{id}/escalate:
+ *   post:
+ *     summary: Demander l'arbitrage de l'administration
+ *     tags: [Disputes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Litige transmis à l'administration
+ */
+router.post('/:id/escalate', authorize('client', 'pressing'), disputeController.escalateDispute);
+
+/**
+ * @swagger
+ * /api/v1/disputes/{id}/resolve:
+ *   post:
+ *     summary: Résoudre un litige par un remboursement ou un retraitement (pressing)
+ *     tags: [Disputes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - outcome
+ *             properties:
+ *               outcome:
+ *                 type: string
+ *                 enum: [refund, reclean]
+ *               amount:
+ *                 type: number
+ *                 description: Remboursement partiel (par défaut les articles du litige, ou la commande entière)
+ *               destination:
+ *                 type: string
+ *                 enum: [original, wallet]
+ *               recleanDueAt:
+ *                 type: string
+ *                 format: date-time
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Litige résolu
+ *       403:
+ *         description: Litige examiné par l'administration ou issue réservée à l'administration
+ */
+router.post('/:id/resolve', authorize('pressing'), disputeController.resolveDispute);
+
+/**
+ * @swagger
+ * /api/v1/disputes/{id}/withdraw:
+ *   post:
+ *     summary: Retirer une réclamation
+ *     tags: [Disputes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Réclamation retirée
+ */
+router.post('/:id/withdraw', authorize('client'), disputeController.withdrawDispute);
+
+module.exports = router;
@@ -0,0 +1,165 @@
+const express = require('express');
+const router = express.Router();
+const { protect, authorize } = require('../middleware/auth.middleware');
+const garmentController = require('../controllers/garment.controller');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Garments
+ *   description: Suivi des vêtements à la pièce par étiquette code-barres (réception, lavage, repassage, contrôle qualité, emballage)
+ */
+
+// Toutes les routes sont protégées
+router.use(protect);
+
+/**
+ * @swagger
+ * /api/v1/orders/{id}/garments:
+ *   post:
+ *     summary: Enregistrer un vêtement à la réception
+ *     description: Attribue un code d'étiquette unique (GP-XXXXXXXX) au vêtement, rattaché à une ligne de la commande.
+ *     tags: [Garments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - item
+ *               - description
+ *             properties:
+ *               item:
+ *                 type: string
+ *                 description: _id de la ligne de commande
+ *               description:
+ *                 type: string
+ *               color:
+ *                 type: string
+ *               brand:
+ *                 type: string
+ *               intakeNotes:
+ *                 type: string
+ *                 description: Défauts constatés à la réception
+ *               photo:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       201:
+ *         description: Vêtement enregistré
+ *       400:
+ *         description: Commande pas encore confirmée ou déjà sortie de l'atelier
+ *   get:
+ *     summary: Vêtements enregistrés pour une commande
+ *     tags: [Garments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Liste des vêtements avec leurs passages
+ *
+ * /api/v1/orders/{id}/garments/labels:
+ *   get:
+ *     summary: Étiquettes à imprimer (PDF, une étiquette 62 x 29 mm par page)
+ *     tags: [Garments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: tags
+ *         description: Codes d'étiquette séparés par des virgules (toutes par défaut)
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Étiquettes au format PDF
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ */
+
+/**
+ * @swagger
+ * /api/v1/garments/{tagCode}:
+ *   get:
+ *     summary: Retrouver un vêtement à partir de son étiquette
+ *     tags: [Garments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: tagCode
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Vêtement et historique des passages
+ *       404:
+ *         description: Étiquette inconnue
+ */
+router.get('/:tagCode', authorize('pressing', 'admin'), garmentController.getGarment);
+
+/**
+ * @swagger
+ * /api/v1/garments/{tagCode}/scans:
+ *   post:
+ *     summary: Scanner le passage d'un vêtement à une étape
+ *     description: Un vêtement refusé au contrôle qualité (passed à false) doit repasser le contrôle avant d'être emballé.
+ *     tags: [Garments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: tagCode
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [washing, ironing, quality_check, packed]
+ *               passed:
+ *                 type: boolean
+ *                 description: Résultat du contrôle qualité (true par défaut)
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Passage enregistré
+ *       400:
+ *         description: Étape invalide ou commande sortie de l'atelier
+ */
+router.post('/:tagCode/scans', authorize('pressing', 'admin'), garmentController.scanGarment);
+
+module.exports = router;
@@ -0,0 +1,184 @@
+const express = require('express');
+const router = express.Router();
+const { protect, authorize } = require('../middleware/auth.middleware');
+const invoiceController = require('../controllers/invoice.controller');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Invoices
+ *   description: Factures et avoirs légaux (abonnements et commandes)
+ */
+
+// Toutes les routes sont protégées
+router.use(protect);
+
+/**
+ * @swagger
+ * /api/v1/invoices:
+ *   get:
+ *     summary: Liste des factures et avoirs (reçus ou émis par l'utilisateur connecté, tous pour un administrateur)
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: documentType
+ *         schema:
+ *           type: string
+ *           enum: [invoice, credit_note]
+ *       - in: query
+ *         name: source
+ *         schema:
+ *           type: string
+ *           enum: [subscription, order]
+ *       - in: query
+ *         name: order
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: pressing
+ *         schema:
+ *           type: string
+ *         description: Filtrer par pressing (administrateur uniquement)
+ *       - in: query
+ *         name: year
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Liste paginée des factures et avoirs
+ */
+router.get('/', authorize('client', 'pressing', 'admin'), invoiceController.getInvoices);
+
+/**
+ * @swagger
+ * /api/v1/invoices/orders/{orderId}:
+ *   post:
+ *     summary: Émettre la facture d'une commande terminée (renvoie la facture existante si elle a déjà été émise)
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Facture de la commande
+ *       400:
+ *         description: Commande non terminée
+ *       404:
+ *         description: Commande non trouvée
+ */
+router.post('/orders/:orderId', authorize('pressing', 'admin'), invoiceController.issueOrderInvoice);
+
+/**
+ * @swagger
+ * /api/v1/invoices/{id}:
+ *   get:
+ *     summary: Détail d'une facture ou d'un avoir
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Document, avec les avoirs émis sur la facture
+ *       404:
+ *         description: Facture non trouvée
+ */
+router.get('/:id', authorize('client', 'pressing', 'admin'), invoiceController.getInvoice);
+
+/**
+ * @swagger
+ * /api/v1/invoices/{id}/pdf:
+ *   get:
+ *     summary: Télécharger une facture ou un avoir en PDF
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Document PDF
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       404:
+ *         description: Facture non trouvée
+ */
+router.get('/:id/pdf', authorize('client', 'pressing', 'admin'), invoiceController.downloadInvoicePdf);
+
+/**
+ * @swagger
+ * /api/v1/invoices/{id}/credit-notes:
+ *   post:
+ *     summary: Établir un avoir commercial sur une facture (émetteur de la facture ou administrateur)
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: header
+ *         name: Idempotency-Key
+ *         required: true
+ *         description: Clé unique générée par le client ; une requête rejouée avec la même clé renvoie l'avoir déjà émis
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - amount
+ *               - reason
+ *             properties:
+ *               amount:
+ *                 type: number
+ *                 description: Montant TTC à créditer, au plus le restant non crédité
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Avoir émis
+ *       400:
+ *         description: Clé d'idempotence, montant ou motif invalide
+ *       403:
+ *         description: Seul l'émetteur de la facture peut établir un avoir
+ *       404:
+ *         description: Facture non trouvée
+ */
+router.post('/:id/credit-notes', authorize('pressing', 'admin'), invoiceController.createCreditNote);
+
+module.exports = router;
@@ -0,0 +1,165 @@
+const express = require('express');
+const router = express.Router();
+const { protect, authorize } = require('../middleware/auth.middleware');
+const ledgerController = require('../controllers/ledger.controller');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Ledger
+ *   description: Grand livre en partie double (soldes et relevés)
+ */
+
+// Toutes les routes sont protégées
+router.use(protect);
+
+/**
+ * @swagger
+ * /api/v1/ledger/balance:
+ *   get:
+ *     summary: Solde du compte de l'utilisateur connecté (solde pressing ou porte-monnaie client)
+ *     tags: [Ledger]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Solde du compte
+ *       401:
+ *         description: Non autorisé
+ */
+router.get('/balance', authorize('client', 'pressing'), ledgerController.getMyBalance);
+
+/**
+ * @swagger
+ * /api/v1/ledger/statement:
+ *   get:
+ *     summary: Relevé du compte de l'utilisateur connecté
+ *     tags: [Ledger]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Début de la période (30 jours avant la fin par défaut)
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Fin de la période (maintenant par défaut)
+ *     responses:
+ *       200:
+ *         description: Relevé avec solde d'ouverture, lignes et solde de clôture
+ *       400:
+ *         description: Dates invalides
+ */
+router.get('/statement', authorize('client', 'pressing'), ledgerController.getMyStatement);
+
+/**
+ * @swagger
+ * /api/v1/ledger/accounts:
+ *   get:
+ *     summary: Liste des comptes du grand livre avec leur solde
+ *     tags: [Ledger]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *           enum: [client_wallet, pressing_balance, platform_commission, platform_subscriptions, provider_clearing, vat_collected, refunds]
+ *     responses:
+ *       200:
+ *         description: Comptes et soldes
+ *       403:
+ *         description: Accès réservé aux administrateurs
+ */
+router.get('/accounts', authorize('admin'), ledgerController.getAccounts);
+
+/**
+ * @swagger
+ * /api/v1/ledger/accounts/{code}/balance:
+ *   get:
+ *     summary: Solde d'un compte
+ *     tags: [Ledger]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: code
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Code du compte (ex. pressing_balance:<id>, provider_clearing:orange)
+ *       - in: query
+ *         name: at
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Solde à une date donnée
+ *     responses:
+ *       200:
+ *         description: Solde du compte
+ *       404:
+ *         description: Compte non trouvé
+ */
+router.get('/accounts/:code/balance', authorize('admin'), ledgerController.getAccountBalance);
+
+/**
+ * @swagger
+ * /api/v1/ledger/accounts/{code}/statement:
+ *   get:
+ *     summary: Relevé d'un compte
+ *     tags: [Ledger]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: code
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Relevé du compte
+ *       404:
+ *         description: Compte non trouvé
+ */
+router.get('/accounts/:code/statement', authorize('admin'), ledgerController.getAccountStatement);
+
+/**
+ * @swagger
+ * /api/v1/ledger/trial-balance:
+ *   get:
+ *     summary: Balance générale - vérifie que le total des débits égale le total des crédits
+ *     tags: [Ledger]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: at
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Date d'arrêté
+ *     responses:
+ *       200:
+ *         description: Totaux par compte et indicateur d'équilibre
+ */
+router.get('/trial-balance', authorize('admin'), ledgerController.getTrialBalance);
+
+module.exports = router;
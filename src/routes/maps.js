@@ -1,5 +1,5 @@
 const express = require('express');
-const { getDirections, reverseGeocode } = require('../controllers/mapsController');
+const { getDirections, reverseGeocode, searchDistricts, geocode } = require('../controllers/mapsController');
 
 const router = express.Router();
 
@@ -7,4 +7,57 @@ const router = express.Router();
 router.get('/directions', getDirections);
 router.get('/reverse-geocode', reverseGeocode);
 
+/**
+ * @swagger
+ * /api/v1/maps/districts:
+ *   get:
+ *     summary: Autocomplétion des communes et quartiers d'Abidjan
+ *     description: |
+ *       Répertoire hors ligne (fonctionne même quand Mapbox est indisponible).
+ *       Les coordonnées renvoyées sont le centroïde approximatif du quartier ou de la commune.
+ *     tags: [Maps]
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: 'riv'
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: 'Quartiers et communes correspondants (type, name, commune, latitude, longitude, address)'
+ *       400:
+ *         description: 'Saisie manquante'
+ */
+router.get('/districts', searchDistricts);
+
+/**
+ * @swagger
+ * /api/v1/maps/geocode:
+ *   get:
+ *     summary: Coordonnées d'une adresse
+ *     description: |
+ *       Réponse du cache de géocodage, sinon de Mapbox. Si Mapbox est en panne, au quota ou ne connaît pas l'adresse,
+ *       le quartier ou la commune d'Abidjan cité dans l'adresse est utilisé (source gazetteer, position approximative).
+ *     tags: [Maps]
+ *     parameters:
+ *       - in: query
+ *         name: address
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: 'Rue des Jardins, Deux Plateaux, Cocody'
+ *     responses:
+ *       200:
+ *         description: 'Coordonnées (lat, lng), adresse, commune et source (mapbox, cache ou gazetteer)'
+ *       404:
+ *         description: 'Adresse introuvable'
+ */
+router.get('/geocode', geocode);
+
 module.exports = router;
@@ -1,6 +1,11 @@
 const express = require('express');
 const router = express.Router();
 const orderController = require('../controllers/order.controller');
+const garmentController = require('../controllers/garment.controller');
+const quoteController = require('../controllers/quote.controller');
+const deliveryController = require('../controllers/delivery.controller');
+const checkoutController = require('../controllers/checkout.controller');
+const handoverController = require('../controllers/handover.controller');
 const { protect, authorize } = require('../middleware/auth.middleware');
 
 /**
@@ -15,6 +20,11 @@ const { protect, authorize } = require('../middleware/auth.middleware');
 // Toutes les routes sont protégées
 router.use(protect);
 
+// Paniers multi-pressings (une commande par pressing, paiement commun)
+router.post('/checkout', authorize('client'), checkoutController.checkout);
+router.get('/groups', authorize('client'), checkoutController.getOrderGroups);
+router.get('/groups/:id', authorize('client'), checkoutController.getOrderGroup);
+
 // Routes unifiées pour les commandes
 router.get('/', authorize('client', 'pressing', 'admin'), orderController.getOrders);
 router.get('/:id', authorize('client', 'pressing', 'admin'), orderController.getOrder);
@@ -26,6 +36,26 @@ router.patch('/:id/status', authorize('pressing', 'admin'), orderController.upda
 router.put('/:id/annuler', authorize('client'), orderController.cancelOrder);
 router.post('/:id/noter', authorize('client'), orderController.reviewOrder);
 
+// Devis des commandes chiffrées après inspection
+router.get('/:id/quotes', authorize('client', 'pressing', 'admin'), quoteController.getQuotes);
+router.post('/:id/quotes', authorize('pressing', 'admin'), quoteController.issueQuote);
+router.post('/:id/quotes/accept', authorize('client'), quoteController.acceptQuote);
+router.post('/:id/quotes/reject', authorize('client'), quoteController.rejectQuote);
+
+// Vêtements étiquetés à la réception (voir aussi /garments)
+router.post('/:id/garments', authorize('pressing'), garmentController.uploadPhoto, garmentController.registerGarment);
+router.get('/:id/garments', authorize('client', 'pressing', 'admin'), garmentController.getOrderGarments);
+router.get('/:id/garments/labels', authorize('pressing', 'admin'), garmentController.getOrderLabels);
+
+// Courses de collecte et de livraison (voir aussi /deliveries)
+router.post('/:id/delivery-jobs', authorize('pressing', 'admin'), deliveryController.createOrderJob);
+router.get('/:id/delivery-jobs', authorize('client', 'pressing', 'admin'), deliveryController.getOrderJobs);
+
+// Preuve de remise au client (code à usage unique, photo, signature)
+router.get('/:id/handover', authorize('client', 'pressing', 'admin'), handoverController.getHandover);
+router.post('/:id/handover', authorize('pressing', 'admin'), handoverController.uploadProof, handoverController.completeHandover);
+router.post('/:id/handover/code', authorize('client', 'pressing', 'admin'), handoverController.requestCode);
+
 // Routes pour les commandes récurrentes (clients uniquement)
 router.post('/recurrentes', authorize('client'), orderController.createRecurringOrder);
 router.get('/recurrentes', authorize('client'), orderController.getRecurringOrders);
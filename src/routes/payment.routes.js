@@ -3,9 +3,6 @@ const router = express.Router();
 const { protect, authorize } = require('../middleware/auth.middleware');
 const paymentController = require('../controllers/payment.controller');
 
-// Toutes les routes sont protégées et réservées aux clients ou admins
-router.use(protect);
-
 /**
  * @swagger
  * tags:
@@ -13,14 +10,93 @@ router.use(protect);
  *   description: Gestion des paiements des commandes
  */
 
-// Toutes les routes sont protégées et nécessitent une authentification client
-router.use(protect, authorize('client'));
+// Routes publiques : notifications des opérateurs et catalogue des moyens de paiement
+/**
+ * @swagger
+ * /api/v1/payments/webhook:
+ *   post:
+ *     summary: Webhook pour les notifications des opérateurs Mobile Money (opérateur indiqué dans le corps)
+ *     description: Même vérification de signature que /api/v1/payments/webhook/{provider}.
+ *     tags: [Payments]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - provider
+ *             properties:
+ *               provider:
+ *                 type: string
+ *                 enum: [orange, mtn, moov, wave]
+ *     responses:
+ *       200:
+ *         description: Webhook traité avec succès ou doublon ignoré
+ *       401:
+ *         description: Signature absente, invalide ou expirée
+ *       500:
+ *         description: Échec du traitement, la notification peut être renvoyée
+ */
+router.post('/webhook', paymentController.handleWebhook);
+
+/**
+ * @swagger
+ * /api/v1/payments/webhook/{provider}:
+ *   post:
+ *     summary: Webhook d'un opérateur Mobile Money (format natif de l'opérateur)
+ *     description: |
+ *       Les notifications doivent être signées en HMAC-SHA256 avec le secret de l'opérateur.
+ *       Wave utilise l'en-tête Wave-Signature (t=<timestamp>,v1=<signature>, contenu signé "<timestamp><corps>").
+ *       Les autres opérateurs utilisent X-Webhook-Timestamp et X-Webhook-Signature (contenu signé "<timestamp>.<corps>").
+ *       Chaque événement n'est traité qu'une fois ; un événement en échec est retraité s'il est renvoyé.
+ *     tags: [Payments]
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [orange, mtn, moov, wave]
+ *         description: Opérateur émetteur de la notification
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *     responses:
+ *       200:
+ *         description: Webhook traité avec succès ou doublon ignoré
+ *       400:
+ *         description: Opérateur non supporté
+ *       401:
+ *         description: Signature absente, invalide ou expirée
+ *       500:
+ *         description: Échec du traitement, la notification peut être renvoyée
+ */
+router.post('/webhook/:provider', paymentController.handleWebhook);
+
+/**
+ * @swagger
+ * /api/v1/payments/methods:
+ *   get:
+ *     summary: Récupérer les méthodes de paiement disponibles
+ *     tags: [Payments]
+ *     responses:
+ *       200:
+ *         description: Liste des méthodes de paiement
+ */
+router.get('/methods', paymentController.getPaymentMethods);
+
+// Toutes les routes suivantes sont protégées
+router.use(protect);
 
 /**
  * @swagger
  * /api/v1/payments/initiate:
  *   post:
- *     summary: Initier un paiement pour une commande
+ *     summary: Initier un paiement pour une commande ou un panier multi-pressings
  *     tags: [Payments]
  *     security:
  *       - bearerAuth: []
@@ -31,19 +107,24 @@ router.use(protect, authorize('client'));
  *           schema:
  *             type: object
  *             required:
- *               - commandeId
  *               - paymentMethod
  *             properties:
  *               commandeId:
  *                 type: string
- *                 description: ID de la commande à payer
+ *                 description: ID de la commande à payer (alias orderId)
+ *               groupId:
+ *                 type: string
+ *                 description: ID d'un panier multi-pressings, payé en une fois à la place d'une commande
  *               paymentMethod:
  *                 type: string
- *                 enum: [orangemoney, mtnmomo, moovmoney, wave, card]
- *                 description: Méthode de paiement choisie
+ *                 enum: [orange, mtn, moov, wave, orangemoney, mtnmomo, moovmoney, wallet]
+ *                 description: Opérateur Mobile Money choisi (alias provider), ou wallet pour payer avec le porte-monnaie
  *               phoneNumber:
  *                 type: string
  *                 description: Numéro de téléphone pour les paiements Mobile Money
+ *               walletAmount:
+ *                 type: number
+ *                 description: Part réglée par le porte-monnaie, le reste étant payé via l'opérateur choisi
  *     responses:
  *       200:
  *         description: Paiement initié avec succès, en attente de confirmation
@@ -52,7 +133,81 @@ router.use(protect, authorize('client'));
  *       401:
  *         description: Non autorisé
  */
-router.post('/initiate', paymentController.initiatePayment);
+router.post('/initiate', authorize('client'), paymentController.initiatePayment);
+
+/**
+ * @swagger
+ * /api/v1/payments/wallet:
+ *   get:
+ *     summary: Solde du porte-monnaie du client connecté
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Solde et limites du porte-monnaie
+ */
+router.get('/wallet', authorize('client'), paymentController.getWallet);
+
+/**
+ * @swagger
+ * /api/v1/payments/wallet/topup:
+ *   post:
+ *     summary: Recharger le porte-monnaie par Mobile Money
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - amount
+ *               - provider
+ *             properties:
+ *               amount:
+ *                 type: number
+ *               provider:
+ *                 type: string
+ *                 enum: [orange, mtn, moov, wave]
+ *               phoneNumber:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Recharge initiée, le solde est crédité à la confirmation de l'opérateur
+ *       400:
+ *         description: Montant hors limites
+ */
+router.post('/wallet/topup', authorize('client'), paymentController.topupWallet);
+
+/**
+ * @swagger
+ * /api/v1/payments/wallet/transactions:
+ *   get:
+ *     summary: Historique des mouvements du porte-monnaie (recharges, paiements, remboursements)
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Mouvements avec leur sens (credit ou debit)
+ */
+router.get('/wallet/transactions', authorize('client'), paymentController.getWalletTransactions);
 
 /**
  * @swagger
@@ -77,85 +232,106 @@ router.post('/initiate', paymentController.initiatePayment);
  *       401:
  *         description: Non autorisé
  */
-router.get('/:transactionId/status', paymentController.getPaymentStatus);
+router.get('/:transactionId/status', authorize('client', 'admin'), paymentController.getPaymentStatus);
 
 /**
  * @swagger
- * /api/v1/payments/verify:
+ * /api/v1/payments/{transactionId}/cancel:
  *   post:
- *     summary: Vérifier un paiement Mobile Money
+ *     summary: Annuler un paiement encore en attente
  *     tags: [Payments]
  *     security:
  *       - bearerAuth: []
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - transactionId
- *               - provider
- *             properties:
- *               transactionId:
- *                 type: string
- *                 description: ID de la transaction à vérifier
- *               provider:
- *                 type: string
- *                 enum: [orangemoney, mtnmomo, moovmoney, wave]
- *                 description: Fournisseur Mobile Money
+ *     parameters:
+ *       - in: path
+ *         name: transactionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Référence de la transaction
  *     responses:
  *       200:
- *         description: Paiement vérifié avec succès
+ *         description: Paiement annulé
  *       400:
- *         description: Vérification échouée
+ *         description: Transaction non annulable
  *       404:
  *         description: Transaction non trouvée
  */
-router.post('/verify', protect, authorize('client'), paymentController.verifyPayment);
+router.post('/:transactionId/cancel', authorize('client', 'admin'), paymentController.cancelPayment);
 
 /**
  * @swagger
- * /api/v1/payments/webhook:
+ * /api/v1/payments/{transactionId}/refund:
  *   post:
- *     summary: Webhook pour les notifications des opérateurs Mobile Money
+ *     summary: Rembourser tout ou partie d'un paiement
  *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: transactionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Référence de la transaction à rembourser
  *     requestBody:
- *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
  *             properties:
- *               transactionId:
- *                 type: string
- *               status:
- *                 type: string
  *               amount:
  *                 type: number
- *               currency:
- *                 type: string
- *               provider:
+ *                 description: Montant à rembourser (solde remboursable par défaut)
+ *               reason:
  *                 type: string
- *               signature:
+ *                 description: Motif du remboursement
+ *               destination:
  *                 type: string
+ *                 enum: [original, wallet]
+ *                 default: original
+ *                 description: Rembourser sur le moyen de paiement d'origine ou créditer le porte-monnaie du client
  *     responses:
  *       200:
- *         description: Webhook traité avec succès
+ *         description: Remboursement effectué ou en cours
+ *       400:
+ *         description: Montant invalide ou transaction non remboursable
+ *       502:
+ *         description: Erreur de l'opérateur de paiement
  */
-router.post('/webhook', paymentController.handleWebhook);
+router.post('/:transactionId/refund', authorize('admin'), paymentController.refundPayment);
 
 /**
  * @swagger
- * /api/v1/payments/methods:
- *   get:
- *     summary: Récupérer les méthodes de paiement disponibles
+ * /api/v1/payments/verify:
+ *   post:
+ *     summary: Vérifier un paiement Mobile Money
  *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - transactionId
+ *             properties:
+ *               transactionId:
+ *                 type: string
+ *                 description: Référence de la transaction à vérifier
  *     responses:
  *       200:
- *         description: Liste des méthodes de paiement
+ *         description: Paiement vérifié avec succès
+ *       202:
+ *         description: Paiement toujours en attente de confirmation
+ *       400:
+ *         description: Vérification échouée
+ *       404:
+ *         description: Transaction non trouvée
  */
-router.get('/methods', paymentController.getPaymentMethods);
+router.post('/verify', authorize('client'), paymentController.verifyPayment);
 
 /**
  * @swagger
@@ -170,7 +346,7 @@ router.get('/methods', paymentController.getPaymentMethods);
  *         name: status
  *         schema:
  *           type: string
- *           enum: [pending, success, failed, cancelled]
+ *           enum: [pending, completed, failed, cancelled, refunded, partially_refunded]
  *         description: Filtrer par statut de paiement
  *       - in: query
  *         name: page
@@ -188,7 +364,7 @@ router.get('/methods', paymentController.getPaymentMethods);
  *       401:
  *         description: Non autorisé
  */
-router.get('/', protect, authorize('client', 'admin'), paymentController.getPaymentHistory);
+router.get('/', authorize('client', 'admin'), paymentController.getPaymentHistory);
 
 // Routes pour les transactions (alias pour les paiements avec plus de détails)
 /**
@@ -204,13 +380,13 @@ router.get('/', protect, authorize('client', 'admin'), paymentController.getPaym
  *         name: status
  *         schema:
  *           type: string
- *           enum: [pending, succeeded, failed, canceled]
+ *           enum: [pending, completed, failed, cancelled, refunded, partially_refunded]
  *         description: Filtrer par statut
  *       - in: query
  *         name: provider
  *         schema:
  *           type: string
- *           enum: [orangemoney, mtnmomo, moovmoney, wave]
+ *           enum: [orange, mtn, moov, wave]
  *         description: Filtrer par fournisseur
  *       - in: query
  *         name: startDate
@@ -240,7 +416,7 @@ router.get('/', protect, authorize('client', 'admin'), paymentController.getPaym
  *       401:
  *         description: Non autorisé
  */
-router.get('/transactions', protect, authorize('client', 'admin'), paymentController.getTransactions);
+router.get('/transactions', authorize('client', 'admin'), paymentController.getTransactions);
 
 /**
  * @swagger
@@ -265,6 +441,6 @@ router.get('/transactions', protect, authorize('client', 'admin'), paymentContro
  *       401:
  *         description: Non autorisé
  */
-router.get('/transactions/:id', protect, authorize('client', 'admin'), paymentController.getTransactionById);
+router.get('/transactions/:id', authorize('client', 'admin'), paymentController.getTransactionById);
 
 module.exports = router;
@@ -0,0 +1,248 @@
+const express = require('express');
+const router = express.Router();
+const { protect, authorize } = require('../middleware/auth.middleware');
+const payoutController = require('../controllers/payout.controller');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Payouts
+ *   description: Reversements aux pressings et relevés de règlement
+ */
+
+// Toutes les routes sont protégées
+router.use(protect);
+
+/**
+ * @swagger
+ * /api/v1/payouts:
+ *   get:
+ *     summary: Liste des reversements (ceux du pressing connecté, ou tous pour un administrateur)
+ *     tags: [Payouts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, processing, completed, failed, cancelled]
+ *       - in: query
+ *         name: pressing
+ *         schema:
+ *           type: string
+ *         description: Filtrer par pressing (administrateur uniquement)
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Liste paginée des reversements
+ */
+router.get('/', authorize('pressing', 'admin'), payoutController.getPayouts);
+
+/**
+ * @swagger
+ * /api/v1/payouts/settings:
+ *   put:
+ *     summary: Mettre à jour les coordonnées de reversement du pressing connecté
+ *     tags: [Payouts]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - method
+ *             properties:
+ *               method:
+ *                 type: string
+ *                 enum: [mobile_money, wave, bank_transfer]
+ *               provider:
+ *                 type: string
+ *                 enum: [orange, mtn, moov]
+ *                 description: Requis pour mobile_money
+ *               phoneNumber:
+ *                 type: string
+ *               accountName:
+ *                 type: string
+ *               bankName:
+ *                 type: string
+ *               accountNumber:
+ *                 type: string
+ *                 description: Requis pour bank_transfer
+ *     responses:
+ *       200:
+ *         description: Coordonnées enregistrées
+ *       400:
+ *         description: Coordonnées incomplètes
+ */
+router.put('/settings', authorize('pressing'), payoutController.updatePayoutSettings);
+
+/**
+ * @swagger
+ * /api/v1/payouts/run:
+ *   post:
+ *     summary: Lancer immédiatement le calcul et le virement des reversements
+ *     tags: [Payouts]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Résumé (créés, reportés, en échec)
+ *       403:
+ *         description: Accès réservé aux administrateurs
+ */
+router.post('/run', authorize('admin'), payoutController.runSettlement);
+
+/**
+ * @swagger
+ * /api/v1/payouts/{id}:
+ *   get:
+ *     summary: Détail d'un reversement avec ses commandes
+ *     tags: [Payouts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Reversement
+ *       404:
+ *         description: Reversement non trouvé
+ */
+router.get('/:id', authorize('pressing', 'admin'), payoutController.getPayout);
+
+/**
+ * @swagger
+ * /api/v1/payouts/{id}/statement:
+ *   get:
+ *     summary: Télécharger le relevé de règlement d'un reversement
+ *     tags: [Payouts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [pdf, csv]
+ *           default: pdf
+ *     responses:
+ *       200:
+ *         description: Fichier du relevé
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       404:
+ *         description: Reversement non trouvé
+ */
+router.get('/:id/statement', authorize('pressing', 'admin'), payoutController.getPayoutStatement);
+
+/**
+ * @swagger
+ * /api/v1/payouts/{id}/retry:
+ *   post:
+ *     summary: Relancer un reversement en échec avec les coordonnées actuelles du pressing
+ *     tags: [Payouts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Reversement relancé
+ *       400:
+ *         description: Le reversement n'est pas en échec
+ */
+router.post('/:id/retry', authorize('admin'), payoutController.retryPayout);
+
+/**
+ * @swagger
+ * /api/v1/payouts/{id}/cancel:
+ *   post:
+ *     summary: Annuler un reversement en attente ou en échec
+ *     tags: [Payouts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Reversement annulé, commandes libérées
+ *       400:
+ *         description: Statut incompatible
+ */
+router.post('/:id/cancel', authorize('admin'), payoutController.cancelPayout);
+
+/**
+ * @swagger
+ * /api/v1/payouts/{id}/complete:
+ *   post:
+ *     summary: Confirmer un virement bancaire effectué hors plateforme
+ *     tags: [Payouts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               bankReference:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Reversement effectué
+ *       400:
+ *         description: Seul un virement bancaire en cours peut être confirmé
+ */
+router.post('/:id/complete', authorize('admin'), payoutController.completePayout);
+
+module.exports = router;
@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const multer = require('multer');
+const rateLimit = require('express-rate-limit');
 const path = require('path');
 const fs = require('fs');
 
@@ -33,11 +34,23 @@ const upload = multer({
   }
 });
 const { protect, authorize } = require('../middleware/auth.middleware');
-const { requireActiveSubscription, requireIdentityVerification } = require('../middleware/subscription');
+const { requireActiveSubscription, requireIdentityVerification, requireEntitlement } = require('../middleware/subscription');
 const pressingController = require('../controllers/pressing.controller');
 
 // Import de la fonction createService corrigée avec support bilingue
 const { createService } = require('../controllers/pressing.services.controller');
+const config = require('../config/config');
+
+// Aperçu public des frais de livraison : chaque demande peut interroger Mapbox (trajet routier)
+const deliveryPriceLimiter = rateLimit({
+  ...config.deliveries.pricePreviewRateLimit,
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: (req, res) => res.status(429).json({
+    success: false,
+    error: { message: 'Trop de demandes de frais de livraison, réessayez dans une minute' }
+  })
+});
 
 /**
  * @swagger
@@ -429,12 +442,17 @@ router.post(
  *                       example: 3
  *                     weeklyGrowth:
  *                       type: number
- *                       description: Croissance hebdomadaire en pourcentage
+ *                       nullable: true
+ *                       description: Croissance hebdomadaire en pourcentage (null sans statistiques avancées)
  *                       example: 15.5
  *                     monthlyGrowth:
  *                       type: number
- *                       description: Croissance mensuelle en pourcentage
+ *                       nullable: true
+ *                       description: Croissance mensuelle en pourcentage (null sans statistiques avancées)
  *                       example: 22.3
+ *                     advancedStats:
+ *                       type: boolean
+ *                       description: Statistiques avancées incluses dans la formule d'abonnement
  *       401:
  *         description: Non authentifié
  *       403:
@@ -690,6 +708,96 @@ router.route('/delivery-zones/:id')
 // Route pour récupérer toutes les promotions publiques (doit être avant /:id)
 router.get('/promotions', pressingController.getAllPublicPromotions);
 
+/**
+ * @swagger
+ * /api/v1/pressings/{id}/delivery-zone:
+ *   get:
+ *     summary: Zone de livraison d'un pressing qui couvre une adresse
+ *     description: |
+ *       Frais de livraison, minimum de commande et délai appliqués à une commande livrée à ce point.
+ *       Si plusieurs zones actives se chevauchent, la zone de plus petit ordre (sortOrder) l'emporte.
+ *     tags: [Pressings]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 'ID du pressing'
+ *       - in: query
+ *         name: lat
+ *         required: true
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: lng
+ *         required: true
+ *         schema:
+ *           type: number
+ *     responses:
+ *       200:
+ *         description: 'Zone qui couvre le point (id, name, fee, minOrder, estimatedMinutes, area)'
+ *       400:
+ *         description: 'Coordonnées manquantes ou invalides'
+ *       404:
+ *         description: 'Adresse hors des zones de livraison du pressing'
+ */
+router.get('/:id/delivery-zone', pressingController.resolveDeliveryZone);
+
+/**
+ * @swagger
+ * /api/v1/pressings/{id}/delivery-price:
+ *   get:
+ *     summary: Aperçu des frais de livraison avant la commande
+ *     description: |
+ *       Frais exacts appliqués à la commande, ligne à ligne : zone de livraison ou tranche de distance
+ *       (trajet routier depuis le pressing), majoration heure de pointe, tarif week-end, supplément express,
+ *       livraison offerte au-delà du seuil du pressing. Le minimum de commande de la zone est indiqué dans zone.minOrder.
+ *     tags: [Pressings]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 'ID du pressing'
+ *       - in: query
+ *         name: lat
+ *         required: true
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: lng
+ *         required: true
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: subtotal
+ *         schema:
+ *           type: number
+ *         description: 'Montant des articles (livraison offerte au-delà du seuil du pressing)'
+ *       - in: query
+ *         name: deliveryType
+ *         schema:
+ *           type: string
+ *           enum: [standard, express]
+ *       - in: query
+ *         name: at
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: 'Créneau souhaité (défaut: maintenant)'
+ *     responses:
+ *       200:
+ *         description: 'Frais de livraison (fee), détail (lines), zone et distance'
+ *       400:
+ *         description: 'Coordonnées invalides, adresse hors des zones ou trop éloignée du pressing'
+ *       404:
+ *         description: 'Pressing non trouvé'
+ *       429:
+ *         description: 'Trop de demandes depuis cette adresse IP, réessayer dans une minute'
+ */
+router.get('/:id/delivery-price', deliveryPriceLimiter, pressingController.previewDeliveryPrice);
 router.get('/:id/availability', pressingController.getPressingAvailability);
 router.get('/:id', pressingController.getPressing);
 router.get('/:id/services', pressingController.getPressingServicesByPublicId);
@@ -981,7 +1089,7 @@ router.get('/promotions',
  *       401:
  *         description: Non autorisé
  *       403:
- *         description: Accès refusé
+ *         description: Accès refusé ou promotions non incluses dans la formule (UPGRADE_REQUIRED)
  */
 router.post('/promotions', 
   protect, 
@@ -1067,11 +1175,12 @@ router.get('/promotions/:id',
  *       401:
  *         description: Non autorisé
  *       403:
- *         description: Accès refusé
+ *         description: Accès refusé ou promotions non incluses dans la formule (UPGRADE_REQUIRED)
  */
 router.put('/promotions/:id', 
   protect, 
   authorize('pressing'),
+  requireEntitlement('promotions'),
   pressingController.updatePressingPromotion
 );
 
@@ -1144,11 +1253,12 @@ router.delete('/promotions/:id',
  *       401:
  *         description: Non autorisé
  *       403:
- *         description: Accès refusé
+ *         description: Accès refusé ou promotions non incluses dans la formule (UPGRADE_REQUIRED)
  */
 router.patch('/promotions/:id/status', 
   protect, 
   authorize('pressing'),
+  requireEntitlement('promotions'),
   pressingController.updatePressingPromotionStatus
 );
 
@@ -0,0 +1,251 @@
+const express = require('express');
+const router = express.Router();
+const { protect, authorize } = require('../middleware/auth.middleware');
+const refundController = require('../controllers/refund.controller');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Refunds
+ *   description: Demandes de remboursement des commandes (totales, partielles ou par article)
+ */
+
+// Toutes les routes sont protégées
+router.use(protect);
+
+/**
+ * @swagger
+ * /api/v1/refunds:
+ *   post:
+ *     summary: Demander le remboursement d'une commande payée par mobile money ou porte-monnaie
+ *     description: |
+ *       Au-delà du seuil REFUND_ADMIN_APPROVAL_THRESHOLD, la demande est soumise à l'administration.
+ *       En dessous, la demande d'un client est validée par le pressing et celle d'un pressing est exécutée
+ *       immédiatement. Les demandes d'un administrateur sont toujours exécutées immédiatement.
+ *     tags: [Refunds]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - orderId
+ *               - reason
+ *             properties:
+ *               orderId:
+ *                 type: string
+ *               type:
+ *                 type: string
+ *                 enum: [full, partial, items]
+ *                 default: full
+ *               amount:
+ *                 type: number
+ *                 description: Requis pour un remboursement partiel
+ *               items:
+ *                 type: array
+ *                 description: Requis pour un remboursement par article (frais et TVA inclus au prorata)
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     item:
+ *                       type: string
+ *                       description: ID de l'article dans la commande
+ *                     quantity:
+ *                       type: integer
+ *                       default: 1
+ *               reason:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               photos:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               destination:
+ *                 type: string
+ *                 enum: [original, wallet]
+ *                 default: original
+ *     responses:
+ *       201:
+ *         description: Demande créée (en attente d'approbation ou en cours de remboursement)
+ *       400:
+ *         description: Montant, quantité ou paiement invalide
+ *       403:
+ *         description: Commande d'un autre client ou pressing
+ *   get:
+ *     summary: Liste des demandes de remboursement (les siennes, ou toutes pour un administrateur)
+ *     tags: [Refunds]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending_approval, approved, rejected, processing, completed, failed, cancelled]
+ *       - in: query
+ *         name: order
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: pressing
+ *         schema:
+ *           type: string
+ *         description: Filtrer par pressing (administrateur uniquement)
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Liste paginée des demandes
+ */
+router
+  .route('/')
+  .post(authorize('client', 'pressing', 'admin'), refundController.createRefundRequest)
+  .get(authorize('client', 'pressing', 'admin'), refundController.getRefundRequests);
+
+/**
+ * @swagger
+ * /api/v1/refunds/{id}:
+ *   get:
+ *     summary: Détail d'une demande de remboursement
+ *     tags: [Refunds]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Demande de remboursement
+ *       404:
+ *         description: Demande non trouvée
+ */
+router.get('/:id', authorize('client', 'pressing', 'admin'), refundController.getRefundRequest);
+
+/**
+ * @swagger
+ * /api/v1/refunds/{id}/approve:
+ *   post:
+ *     summary: Approuver une demande et lancer le remboursement
+ *     tags: [Refunds]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Demande approuvée (remboursement en cours, effectué ou en échec)
+ *       400:
+ *         description: La demande n'est plus en attente
+ *       403:
+ *         description: Demande réservée à l'administration
+ */
+router.post('/:id/approve', authorize('pressing', 'admin'), refundController.approveRefundRequest);
+
+/**
+ * @swagger
+ * /api/v1/refunds/{id}/reject:
+ *   post:
+ *     summary: Refuser une demande
+ *     tags: [Refunds]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - notes
+ *             properties:
+ *               notes:
+ *                 type: string
+ *                 description: Motif du refus
+ *     responses:
+ *       200:
+ *         description: Demande refusée
+ *       400:
+ *         description: Motif manquant ou demande plus en attente
+ *       403:
+ *         description: Demande réservée à l'administration
+ */
+router.post('/:id/reject', authorize('pressing', 'admin'), refundController.rejectRefundRequest);
+
+/**
+ * @swagger
+ * /api/v1/refunds/{id}/cancel:
+ *   post:
+ *     summary: Annuler une demande en attente d'approbation
+ *     tags: [Refunds]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Demande annulée
+ *       400:
+ *         description: La demande n'est plus en attente
+ */
+router.post('/:id/cancel', authorize('client', 'pressing', 'admin'), refundController.cancelRefundRequest);
+
+/**
+ * @swagger
+ * /api/v1/refunds/{id}/retry:
+ *   post:
+ *     summary: Relancer une demande dont le remboursement a échoué
+ *     tags: [Refunds]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Remboursement relancé
+ *       400:
+ *         description: La demande n'est pas en échec
+ */
+router.post('/:id/retry', authorize('admin'), refundController.retryRefundRequest);
+
+module.exports = router;
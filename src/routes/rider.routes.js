@@ -0,0 +1,191 @@
+const express = require('express');
+const router = express.Router();
+const { protect, authorize } = require('../middleware/auth.middleware');
+const riderController = require('../controllers/rider.controller');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Riders
+ *   description: Flottes de livreurs des pressings (les livreurs se connectent avec userType "rider")
+ */
+
+// Toutes les routes sont protégées
+router.use(protect);
+
+/**
+ * @swagger
+ * /api/v1/riders/me/availability:
+ *   put:
+ *     summary: Déclarer sa disponibilité
+ *     description: Seuls les livreurs disponibles reçoivent les courses attribuées automatiquement.
+ *     tags: [Riders]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - availability
+ *             properties:
+ *               availability:
+ *                 type: string
+ *                 enum: [offline, available, busy]
+ *               location:
+ *                 type: object
+ *                 properties:
+ *                   latitude:
+ *                     type: number
+ *                   longitude:
+ *                     type: number
+ *     responses:
+ *       200:
+ *         description: Disponibilité mise à jour
+ */
+router.put('/me/availability', authorize('rider'), riderController.setAvailability);
+
+/**
+ * @swagger
+ * /api/v1/riders:
+ *   post:
+ *     summary: Ajouter un livreur à la flotte
+ *     tags: [Riders]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - nom
+ *               - prenom
+ *               - email
+ *               - phone
+ *               - password
+ *             properties:
+ *               nom:
+ *                 type: string
+ *               prenom:
+ *                 type: string
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               phone:
+ *                 type: string
+ *                 example: '+2250700000000'
+ *               password:
+ *                 type: string
+ *                 format: password
+ *                 minLength: 8
+ *               vehicle:
+ *                 type: object
+ *                 properties:
+ *                   type:
+ *                     type: string
+ *                     enum: [moto, velo, voiture, a_pied]
+ *                   plateNumber:
+ *                     type: string
+ *               pressing:
+ *                 type: string
+ *                 description: Pressing de la flotte (administration uniquement)
+ *     responses:
+ *       201:
+ *         description: Livreur créé
+ *       400:
+ *         description: Email déjà utilisé ou données invalides
+ *   get:
+ *     summary: Livreurs de la flotte
+ *     tags: [Riders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, inactive, suspended]
+ *       - in: query
+ *         name: availability
+ *         schema:
+ *           type: string
+ *           enum: [offline, available, busy]
+ *       - in: query
+ *         name: pressing
+ *         description: Administration uniquement
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Livreurs avec leur nombre de courses en cours
+ */
+router.route('/')
+  .post(authorize('pressing', 'admin'), riderController.createRider)
+  .get(authorize('pressing', 'admin'), riderController.getRiders);
+
+/**
+ * @swagger
+ * /api/v1/riders/{id}:
+ *   get:
+ *     summary: Détail d'un livreur
+ *     tags: [Riders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Livreur
+ *       404:
+ *         description: Livreur non trouvé dans la flotte
+ *   patch:
+ *     summary: Modifier un livreur
+ *     description: Un livreur ayant des courses en cours ne peut pas être désactivé.
+ *     tags: [Riders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               nom:
+ *                 type: string
+ *               prenom:
+ *                 type: string
+ *               phone:
+ *                 type: string
+ *               vehicle:
+ *                 type: object
+ *               status:
+ *                 type: string
+ *                 enum: [active, inactive, suspended]
+ *               password:
+ *                 type: string
+ *                 format: password
+ *     responses:
+ *       200:
+ *         description: Livreur mis à jour
+ *       400:
+ *         description: Livreur avec des courses en cours
+ */
+router.route('/:id')
+  .get(authorize('pressing', 'admin'), riderController.getRider)
+  .patch(authorize('pressing', 'admin'), riderController.updateRider);
+
+module.exports = router;
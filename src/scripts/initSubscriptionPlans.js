@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+const config = require('../config/config');
+const subscriptionPlanService = require('../services/subscriptionPlan.service');
+const logger = require('../utils/logger');
+
+// Connexion à la base de données
+const connectDB = async () => {
+  try {
+    await mongoose.connect(config.database.uri, config.database.options);
+    logger.info('Connecté à la base de données avec succès');
+  } catch (error) {
+    logger.error('Erreur de connexion à la base de données:', error);
+    process.exit(1);
+  }
+};
+
+/**
+ * Crée les formules d'abonnement par défaut absentes du catalogue
+ */
+const initSubscriptionPlans = async () => {
+  try {
+    logger.info('Début de l\'initialisation du catalogue des formules...');
+
+    const created = await subscriptionPlanService.ensureDefaultPlans();
+
+    logger.info(`Initialisation du catalogue terminée. ${created} formules créées.`);
+  } catch (error) {
+    logger.error('Erreur lors de l\'initialisation du catalogue des formules:', error);
+  } finally {
+    // Fermer la connexion à la base de données
+    await mongoose.connection.close();
+    logger.info('Connexion à la base de données fermée');
+  }
+};
+
+// Exécuter le script
+(async () => {
+  await connectDB();
+  await initSubscriptionPlans();
+  process.exit(0);
+})();
@@ -1,5 +1,10 @@
 const cron = require('node-cron');
 const subscriptionTasks = require('./subscriptionTasks');
+const payoutService = require('../services/payout.service');
+const disputeService = require('../services/dispute.service');
+const quoteService = require('../services/quote.service');
+const cartService = require('../services/cart.service');
+const config = require('../config/config');
 const logger = require('../utils/logger');
 
 // Connexion à la base de données
@@ -29,6 +34,67 @@ subscriptionTasks.connectDB().then(() => {
     timezone: 'Africa/Abidjan' // Fuseau horaire de la Côte d'Ivoire
   });
   
+  // Calcul et virement des reversements aux pressings
+  cron.schedule(config.payouts.schedule, async () => {
+    logger.info('Démarrage du calcul des reversements');
+    try {
+      await payoutService.runSettlement();
+    } catch (error) {
+      logger.error('Erreur lors du calcul des reversements:', error);
+    }
+  }, {
+    scheduled: true,
+    timezone: 'Africa/Abidjan'
+  });
+
+  // Suivi des virements en cours auprès des opérateurs
+  cron.schedule(config.payouts.refreshSchedule, async () => {
+    try {
+      await payoutService.refreshProcessingPayouts();
+    } catch (error) {
+      logger.error('Erreur lors du suivi des reversements en cours:', error);
+    }
+  }, {
+    scheduled: true,
+    timezone: 'Africa/Abidjan'
+  });
+
+  // Transmission à l'administration des litiges hors délai
+  cron.schedule(config.disputes.slaSchedule, async () => {
+    try {
+      await disputeService.checkSlaBreaches();
+    } catch (error) {
+      logger.error('Erreur lors du contrôle des délais des litiges:', error);
+    }
+  }, {
+    scheduled: true,
+    timezone: 'Africa/Abidjan'
+  });
+
+  // Expiration des devis restés sans réponse
+  cron.schedule(config.quotes.expirySchedule, async () => {
+    try {
+      await quoteService.expireQuotes();
+    } catch (error) {
+      logger.error('Erreur lors de l\'expiration des devis:', error);
+    }
+  }, {
+    scheduled: true,
+    timezone: 'Africa/Abidjan'
+  });
+
+  // Relance des paniers abandonnés
+  cron.schedule(config.cart.reminderSchedule, async () => {
+    try {
+      await cartService.sendAbandonedCartReminders();
+    } catch (error) {
+      logger.error('Erreur lors de la relance des paniers abandonnés:', error);
+    }
+  }, {
+    scheduled: true,
+    timezone: 'Africa/Abidjan'
+  });
+  
   logger.info('Planificateur de tâches démarré avec succès');
   
 }).catch(error => {
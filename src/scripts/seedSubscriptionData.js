@@ -2,6 +2,7 @@ const mongoose = require('mongoose');
 const faker = require('faker/locale/fr');
 const config = require('../config/config');
 const Pressing = require('../models/pressing.model');
+const { DEFAULT_PLANS } = require('../config/subscriptionPlans');
 const logger = require('../utils/logger');
 
 // Connexion à la base de données
@@ -78,7 +79,7 @@ const seedSubscriptionData = async () => {
             );
             
             paymentHistory.push({
-              amount: 5000, // 5000 XOF
+              amount: DEFAULT_PLANS.find(plan => plan.code === subscriptionPlan).price,
               currency: 'XOF',
               paymentDate,
               paymentMethod: faker.random.arrayElement(['carte', 'mobile_money', 'virement']),
@@ -2,6 +2,7 @@ const mongoose = require('mongoose');
 const config = require('../config/config');
 const Pressing = require('../models/pressing.model');
 const notificationController = require('../controllers/notification.controller');
+const subscriptionBillingService = require('../services/subscriptionBilling.service');
 const logger = require('../utils/logger');
 
 // Connexion à la base de données
@@ -17,107 +18,18 @@ const connectDB = async () => {
 
 /**
  * Tâche pour traiter les renouvellements d'abonnement
+ * Facture les échéances, lance les prélèvements et les relances (voir subscriptionBilling.service)
  * Doit être exécutée quotidiennement
  */
 const processSubscriptionRenewals = async () => {
   try {
     logger.info('Début du traitement des renouvellements d\'abonnement...');
-    
-    // Trouver tous les pressings avec un abonnement actif ou en période d'essai
-    const pressings = await Pressing.find({
-      $or: [
-        { subscriptionStatus: 'active' },
-        { subscriptionStatus: 'trialing' }
-      ]
-    });
-    
-    const now = new Date();
-    let renewedCount = 0;
-    let trialEndedCount = 0;
-    let paymentFailedCount = 0;
-    
-    for (const pressing of pressings) {
-      try {
-        // Vérifier si la période d'essai est terminée
-        if (pressing.subscriptionStatus === 'trialing' && pressing.trialEndDate <= now) {
-          // Marquer l'essai comme terminé
-          pressing.subscriptionStatus = 'incomplete';
-          await pressing.save();
-          trialEndedCount++;
-          
-          // Envoyer une notification au pressing
-          await notificationController.sendCustomNotification(
-            pressing,
-            {
-              subject: 'Période d\'essai terminée',
-              message: 'Votre période d\'essai est terminée. Veuillez souscrire à un abonnement pour continuer à utiliser nos services.',
-              type: 'both',
-            }
-          );
-          continue;
-        }
-        
-        // Vérifier si c'est le jour de facturation pour les abonnements actifs
-        if (pressing.subscriptionStatus === 'active' && pressing.nextBillingDate <= now) {
-          // Ici, vous intégreriez normalement avec l'API de paiement pour prélever le montant
-          // Pour l'exemple, nous simulons un paiement réussi
-          const paymentSucceeded = true; // Remplacer par la logique de paiement réelle
-          
-          if (paymentSucceeded) {
-            // Mettre à jour la date de prochaine facturation (1 mois plus tard)
-            const nextBilling = new Date(pressing.nextBillingDate);
-            nextBilling.setMonth(nextBilling.getMonth() + 1);
-            
-            // Enregistrer le paiement dans l'historique
-            pressing.paymentHistory.push({
-              amount: 5000, // 5000 XOF
-              currency: 'XOF',
-              paymentDate: new Date(),
-              paymentMethod: pressing.paymentMethod?.type || 'carte',
-              status: 'paid',
-              invoiceUrl: `https://example.com/invoices/${Date.now()}`,
-            });
-            
-            pressing.nextBillingDate = nextBilling;
-            await pressing.save();
-            renewedCount++;
-            
-            // Envoyer une notification de confirmation de paiement
-            await notificationController.sendCustomNotification(
-              pressing,
-              {
-                subject: 'Paiement de votre abonnement',
-                message: `Le paiement de votre abonnement mensuel de 5000 XOF a été effectué avec succès. Prochaine échéance: ${nextBilling.toLocaleDateString('fr-FR')}`,
-                type: 'email',
-              }
-            );
-          } else {
-            // En cas d'échec de paiement
-            pressing.subscriptionStatus = 'past_due';
-            await pressing.save();
-            paymentFailedCount++;
-            
-            // Envoyer une notification d'échec de paiement
-            await notificationController.sendCustomNotification(
-              pressing,
-              {
-                subject: 'Échec de paiement',
-                message: 'Le paiement de votre abonnement a échoué. Veuillez mettre à jour vos informations de paiement pour éviter toute interruption de service.',
-                type: 'both',
-              }
-            );
-          }
-        }
-      } catch (error) {
-        logger.error(`Erreur lors du traitement du pressing ${pressing._id}:`, error);
-      }
-    }
-    
-    logger.info(`Traitement des renouvellements terminé. ${renewedCount} abonnements renouvelés, ${trialEndedCount} périodes d'essai terminées, ${paymentFailedCount} échecs de paiement.`);
+
+    const stats = await subscriptionBillingService.runBillingCycle();
+
+    logger.info(`Traitement des renouvellements terminé. ${stats.invoiced} échéances facturées, ${stats.retried} relances, ${stats.refreshed} paiements en attente vérifiés, ${stats.trialsExpired + stats.expired} abonnements expirés, ${stats.errors} erreurs.`);
   } catch (error) {
     logger.error('Erreur lors du traitement des renouvellements d\'abonnement:', error);
-  } finally {
-    // Ne pas fermer la connexion ici pour permettre d'autres opérations
   }
 };
 
@@ -176,46 +88,15 @@ const notifyUpcomingTrialEnd = async () => {
 
 /**
  * Tâche pour désactiver les comptes en retard de paiement
+ * Un compte n'est suspendu qu'à la fin du délai de grâce de sa facture impayée (config.subscriptionBilling.graceDays)
  * Doit être exécutée quotidiennement
  */
 const deactivateOverdueAccounts = async () => {
   try {
     logger.info('Début de la désactivation des comptes en retard de paiement...');
-    
-    // Date il y a 7 jours
-    const sevenDaysAgo = new Date();
-    sevenDaysAgo.setDate(sevenDaysAgo.getDate() - 7);
-    
-    // Trouver les comptes en retard de paiement depuis plus de 7 jours
-    const pressings = await Pressing.find({
-      subscriptionStatus: 'past_due',
-      updatedAt: { $lte: sevenDaysAgo },
-      isActive: true
-    });
-    
-    let deactivatedCount = 0;
-    
-    for (const pressing of pressings) {
-      try {
-        // Désactiver le compte
-        pressing.isActive = false;
-        await pressing.save();
-        deactivatedCount++;
-        
-        // Envoyer une notification
-        await notificationController.sendCustomNotification(
-          pressing,
-          {
-            subject: 'Compte désactivé - Paiement en retard',
-            message: 'Votre compte a été désactivé en raison d\'un impayé. Veuillez nous contacter pour régulariser votre situation.',
-            type: 'both',
-          }
-        );
-      } catch (error) {
-        logger.error(`Erreur lors de la désactivation du pressing ${pressing._id}:`, error);
-      }
-    }
-    
+
+    const deactivatedCount = await subscriptionBillingService.suspendOverdueAccounts();
+
     logger.info(`Désactivation des comptes en retard terminée. ${deactivatedCount} comptes désactivés.`);
   } catch (error) {
     logger.error('Erreur lors de la désactivation des comptes en retard de paiement:', error);
@@ -13,6 +13,14 @@ try {
   process.exit(1);
 }
 
+console.log('📝 [DEBUG] Checking payment webhook secret...');
+try {
+  require('./services/paymentProviders').assertWebhookSecret();
+} catch (error) {
+  console.error('❌ [ERROR] Invalid payment configuration:', error.message);
+  process.exit(1);
+}
+
 console.log('📝 [DEBUG] Loading app...');
 try {
   app = require('./app');
@@ -23,6 +23,46 @@ const notificationServiceMock = {
     logger.info(`[Test Mock] sendNotification (type: ${type}, template: ${template}) called for: ${user.email || user.telephone}`);
     return Promise.resolve({ success: true, results: {} });
   }),
+
+  notifyOrderStatusUpdate: jest.fn().mockImplementation((order, previousStatus) => {
+    logger.info(`[Test Mock] notifyOrderStatusUpdate called for order: ${order._id} (${previousStatus} -> ${order.status})`);
+    return Promise.resolve({ success: true, results: {} });
+  }),
+
+  notifyPayoutStatusUpdate: jest.fn().mockImplementation((payout) => {
+    logger.info(`[Test Mock] notifyPayoutStatusUpdate called for payout: ${payout.reference} (${payout.status})`);
+    return Promise.resolve({ success: true });
+  }),
+
+  notifyRefundStatusUpdate: jest.fn().mockImplementation((request) => {
+    logger.info(`[Test Mock] notifyRefundStatusUpdate called for refund request: ${request.reference} (${request.status})`);
+    return Promise.resolve({ success: true, results: {} });
+  }),
+
+  notifyDisputeUpdate: jest.fn().mockImplementation((dispute, { event } = {}) => {
+    logger.info(`[Test Mock] notifyDisputeUpdate called for dispute: ${dispute.reference} (${event})`);
+    return Promise.resolve({ success: true, results: {} });
+  }),
+
+  notifyQuoteUpdate: jest.fn().mockImplementation((order, { event } = {}) => {
+    logger.info(`[Test Mock] notifyQuoteUpdate called for order: ${order.orderNumber} (${event})`);
+    return Promise.resolve({ success: true, results: {} });
+  }),
+
+  notifyCartReminder: jest.fn().mockImplementation((order) => {
+    logger.info(`[Test Mock] notifyCartReminder called for order: ${order._id}`);
+    return Promise.resolve({ success: true });
+  }),
+
+  notifyDeliveryJobUpdate: jest.fn().mockImplementation((job, order, { event } = {}) => {
+    logger.info(`[Test Mock] notifyDeliveryJobUpdate called for job: ${job._id} (${event})`);
+    return Promise.resolve({ success: true, results: {} });
+  }),
+
+  notifyHandoverCode: jest.fn().mockImplementation((order, { type } = {}) => {
+    logger.info(`[Test Mock] notifyHandoverCode called for order: ${order._id} (${type})`);
+    return Promise.resolve({ success: true });
+  }),
 };
 
 module.exports = notificationServiceMock;
@@ -0,0 +1,492 @@
+// Panier persistant côté serveur : le panier du client est une commande brouillon (cart.active)
+// partagée entre ses appareils et recalculée à chaque modification (frais, TVA, code promo).
+// Un panier inactif expire via l'index TTL sur expiresAt ; les paniers abandonnés sont relancés.
+
+const Order = require('../models/order.model');
+const Pressing = require('../models/pressing.model');
+const Promotion = require('../models/promotion.model');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const { BadRequestError, NotFoundError } = require('../utils/error.utils');
+const feeRuleService = require('./feeRule.service');
+const notificationService = require('./notification.service');
+const checkoutService = require('./checkout.service');
+const deliveryZoneService = require('./deliveryZone.service');
+const promotionService = require('./promotion.service');
+
+/**
+ * Panier actif du client
+ * @param {string} clientId - ID du client
+ * @returns {Promise<Object|null>}
+ */
+const findActiveCart = (clientId) => Order.findOne({ customer: clientId, status: 'draft', 'cart.active': true });
+
+/**
+ * Panier actif du client, qui doit exister
+ * @param {string} clientId - ID du client
+ * @returns {Promise<Object>}
+ */
+const requireCart = async (clientId) => {
+  const cart = await findActiveCart(clientId);
+  if (!cart) {
+    throw new NotFoundError('Aucun panier en cours');
+  }
+  return cart;
+};
+
+/**
+ * Service du catalogue du pressing, disponible à la commande
+ * @param {Object} pressing - Pressing (avec son catalogue)
+ * @param {string} serviceId - ID du service
+ * @returns {Object}
+ */
+const findCatalogService = (pressing, serviceId) => {
+  const service = pressing.services.find(s => s._id.toString() === String(serviceId));
+  if (!service) {
+    throw new NotFoundError(`Service non trouvé avec l'ID ${serviceId}`);
+  }
+  if (service.isAvailable === false) {
+    throw new BadRequestError(`Le service ${service.name} n'est pas disponible actuellement`);
+  }
+  return service;
+};
+
+/**
+ * Vérifie la quantité demandée au regard des bornes du service
+ * @param {Object} service - Service du catalogue
+ * @param {number} quantity - Quantité demandée
+ * @returns {number}
+ */
+const assertQuantity = (service, quantity) => {
+  if (!Number.isInteger(quantity) || quantity < 1) {
+    throw new BadRequestError('La quantité doit être un entier supérieur ou égal à 1');
+  }
+  if (service.minOrderQuantity && quantity < service.minOrderQuantity) {
+    throw new BadRequestError(`Quantité minimale pour ${service.name} : ${service.minOrderQuantity}`);
+  }
+  if (service.maxOrderQuantity && quantity > service.maxOrderQuantity) {
+    throw new BadRequestError(`Quantité maximale pour ${service.name} : ${service.maxOrderQuantity}`);
+  }
+  return quantity;
+};
+
+/**
+ * Recalcule le panier : frais de service et de livraison, TVA, promotions et totaux
+ * Prolonge aussi sa durée de vie (dernière activité, expiration TTL).
+ * @param {Object} cart - Panier
+ * @param {Object} [pressing] - Pressing du panier (chargé si absent)
+ * @returns {Promise<string|null>} - Motif du retrait du code promo, le cas échéant
+ */
+const recalculate = async (cart, pressing) => {
+  pressing = pressing || await Pressing.findById(cart.pressing);
+  if (!pressing) {
+    throw new NotFoundError('Pressing du panier non trouvé');
+  }
+
+  // Le minimum de commande de la zone n'est exigé qu'à la validation du panier
+  const delivery = cart.serviceType === 'delivery';
+  cart.delivery = cart.delivery || {};
+  const { fee: deliveryFee, lines: deliveryLines, zone, distanceMeters } = await checkoutService.quoteDelivery({
+    pressing,
+    deliveryAddress: delivery ? cart.deliveryAddress : null,
+    deliveryLocation: cart.deliveryLocation,
+    subtotal: cart.items.reduce((sum, item) => sum + item.unitPrice * item.quantity, 0),
+    express: cart.delivery.type === 'express',
+    at: (cart.timeSlot && cart.timeSlot.preferredDate) || undefined,
+    enforceMinimum: false
+  });
+  cart.delivery.type = delivery ? cart.delivery.type || 'delivery' : 'pickup';
+  cart.delivery.distanceMeters = distanceMeters || undefined;
+  cart.delivery.zone = zone || undefined;
+
+  // Promotions réévaluées à chaque modification : code saisi (montant minimum, validité, cumul...)
+  // et promotions automatiques du pressing, avant la tarification qui porte sur le montant remisé
+  const evaluation = await promotionService.evaluateOrder(cart, { code: cart.promoCode && cart.promoCode.code });
+  promotionService.applyToOrder(cart, evaluation);
+
+  const pricing = await feeRuleService.computeOrderPricing({
+    pressing,
+    items: promotionService.toPricingItems(cart.items, evaluation),
+    deliveryFee
+  });
+  cart.pricing = pricing;
+  cart.fees = feeRuleService.toOrderFees(pricing, deliveryLines);
+  const promoRemoved = evaluation.codeRejection;
+
+  cart.calculateTotals();
+
+  const now = new Date();
+  cart.cart.lastActivityAt = now;
+  cart.cart.reminderSentAt = undefined;
+  cart.expiresAt = new Date(now.getTime() + config.cart.ttlDays * 24 * 60 * 60 * 1000);
+
+  return promoRemoved;
+};
+
+/**
+ * Recalcule et enregistre le panier
+ * @param {Object} cart - Panier
+ * @param {Object} [pressing] - Pressing du panier
+ * @returns {Promise<{cart: Object, promoRemoved: string|null}>}
+ */
+const saveCart = async (cart, pressing) => {
+  const promoRemoved = await recalculate(cart, pressing);
+  await cart.save();
+  return { cart, promoRemoved };
+};
+
+/**
+ * Panier en cours du client
+ * @param {string} clientId - ID du client
+ * @returns {Promise<Object|null>}
+ */
+exports.getCart = (clientId) => findActiveCart(clientId);
+
+/**
+ * Ajoute un article au panier (le panier est créé au premier article)
+ * Un panier ne concerne qu'un pressing : les paniers multi-pressings passent par /orders/checkout.
+ * @param {string} clientId - ID du client
+ * @param {Object} params
+ * @param {string} params.pressingId - Pressing du service
+ * @param {string} params.serviceId - Service du catalogue
+ * @param {number} [params.quantite=1] - Quantité
+ * @param {string} [params.instructions] - Instructions pour l'article
+ * @param {boolean} [params.replace=false] - Vider le panier s'il concerne un autre pressing
+ * @returns {Promise<{cart: Object, promoRemoved: string|null}>}
+ */
+exports.addItem = async (clientId, { pressingId, serviceId, quantite = 1, instructions, replace = false }) => {
+  const pressing = await Pressing.findById(pressingId);
+  if (!pressing) {
+    throw new NotFoundError(`Pressing non trouvé avec l'ID ${pressingId}`);
+  }
+  const service = findCatalogService(pressing, serviceId);
+  const quantity = Number(quantite);
+
+  let cart = await findActiveCart(clientId);
+  if (cart && cart.items.length && cart.pressing.toString() !== pressing._id.toString()) {
+    if (!replace) {
+      throw new BadRequestError('Votre panier contient des articles d\'un autre pressing. Videz-le (replace: true) ou validez un panier multi-pressings via /orders/checkout');
+    }
+    cart.items = [];
+    cart.promoCode = undefined;
+  }
+
+  if (!cart) {
+    cart = new Order({
+      customer: clientId,
+      pressing: pressing._id,
+      status: 'draft',
+      statusHistory: [{
+        status: 'draft',
+        changedAt: new Date(),
+        changedBy: 'customer',
+        notes: 'Panier créé'
+      }],
+      serviceType: 'pickup',
+      timeSlot: checkoutService.buildTimeSlot(),
+      cart: { active: true },
+      payment: {
+        method: 'cash',
+        status: 'pending',
+        amount: { subtotal: 0, total: 0, currency: 'XOF' }
+      }
+    });
+  }
+  cart.pressing = pressing._id;
+
+  const existing = cart.items.find(item =>
+    item.service.toString() === service._id.toString() && (item.specialInstructions || '') === (instructions || '')
+  );
+  if (existing) {
+    existing.quantity = assertQuantity(service, existing.quantity + quantity);
+  } else {
+    assertQuantity(service, quantity);
+    const { items } = checkoutService.buildOrderItems(pressing, [{ serviceId: service._id.toString(), quantite: quantity, instructions }]);
+    cart.items.push(items[0]);
+  }
+
+  try {
+    return await saveCart(cart, pressing);
+  } catch (error) {
+    // Panier créé au même instant depuis un autre appareil : l'article est ajouté à celui-ci
+    if (error.code === 11000 && cart.isNew) {
+      logger.info(`Panier concurrent détecté pour le client ${clientId}, nouvelle tentative`);
+      return exports.addItem(clientId, { pressingId, serviceId, quantite, instructions, replace });
+    }
+    throw error;
+  }
+};
+
+/**
+ * Modifie la quantité ou les instructions d'un article (quantité 0 : article retiré)
+ * @param {string} clientId - ID du client
+ * @param {string} itemId - ID de la ligne du panier
+ * @param {Object} params
+ * @param {number} [params.quantite] - Nouvelle quantité
+ * @param {string} [params.instructions] - Nouvelles instructions
+ * @returns {Promise<{cart: Object, promoRemoved: string|null}>}
+ */
+exports.updateItem = async (clientId, itemId, { quantite, instructions }) => {
+  const cart = await requireCart(clientId);
+  const item = cart.items.id(itemId);
+  if (!item) {
+    throw new NotFoundError('Article non trouvé dans le panier');
+  }
+
+  if (quantite !== undefined && Number(quantite) === 0) {
+    item.deleteOne();
+    return saveCart(cart);
+  }
+
+  const pressing = await Pressing.findById(cart.pressing);
+  if (!pressing) {
+    throw new NotFoundError('Pressing du panier non trouvé');
+  }
+  if (quantite !== undefined) {
+    item.quantity = assertQuantity(findCatalogService(pressing, item.service), Number(quantite));
+  }
+  if (instructions !== undefined) {
+    item.specialInstructions = instructions;
+  }
+
+  return saveCart(cart, pressing);
+};
+
+/**
+ * Retire un article du panier
+ * @param {string} clientId - ID du client
+ * @param {string} itemId - ID de la ligne du panier
+ * @returns {Promise<{cart: Object, promoRemoved: string|null}>}
+ */
+exports.removeItem = async (clientId, itemId) => {
+  const cart = await requireCart(clientId);
+  const item = cart.items.id(itemId);
+  if (!item) {
+    throw new NotFoundError('Article non trouvé dans le panier');
+  }
+  item.deleteOne();
+  return saveCart(cart);
+};
+
+/**
+ * Applique un code promo au panier
+ * @param {string} clientId - ID du client
+ * @param {string} code - Code promo
+ * @returns {Promise<{cart: Object, promoRemoved: string|null}>}
+ */
+exports.applyPromoCode = async (clientId, code) => {
+  if (!code || typeof code !== 'string') {
+    throw new BadRequestError('Le code promo est requis');
+  }
+  const cart = await requireCart(clientId);
+  if (!cart.items.length) {
+    throw new BadRequestError('Le panier est vide');
+  }
+
+  const promotion = await Promotion.findOne({ code: code.trim().toUpperCase() });
+  if (!promotion) {
+    throw new NotFoundError('Code promo invalide');
+  }
+
+  // Le code n'est enregistré que s'il est retenu (éligibilité, cumul avec les promotions automatiques)
+  cart.promoCode = promotionService.toPromoCode(promotion);
+  const reason = await recalculate(cart);
+  if (reason) {
+    throw new BadRequestError(reason);
+  }
+  await cart.save();
+  return { cart, promoRemoved: null };
+};
+
+/**
+ * Retire le code promo du panier
+ * @param {string} clientId - ID du client
+ * @returns {Promise<{cart: Object, promoRemoved: string|null}>}
+ */
+exports.removePromoCode = async (clientId) => {
+  const cart = await requireCart(clientId);
+  cart.promoCode = undefined;
+  return saveCart(cart);
+};
+
+/**
+ * Simule les promotions d'un panier sans rien enregistrer ni décompter
+ * Sans lignes transmises, le panier en cours est évalué avec son code promo.
+ * @param {string} clientId - ID du client
+ * @param {Object} [params]
+ * @param {string} [params.code] - Code promo à essayer
+ * @param {string} [params.pressingId] - Pressing des lignes transmises
+ * @param {Object[]} [params.services] - Lignes à évaluer ({ serviceId, quantite }) à la place du panier en cours
+ * @returns {Promise<Object>} - Remise par ligne, promotions retenues et motif du refus du code
+ */
+exports.previewPromotions = async (clientId, { code, pressingId, services } = {}) => {
+  let order;
+  if (Array.isArray(services) && services.length) {
+    const pressing = await Pressing.findById(pressingId);
+    if (!pressing) {
+      throw new NotFoundError(`Pressing non trouvé avec l'ID ${pressingId}`);
+    }
+    const { items } = checkoutService.buildOrderItems(pressing, services);
+    order = { customer: clientId, pressing: pressing._id, items };
+  } else {
+    order = await requireCart(clientId);
+    if (!order.items.length) {
+      throw new BadRequestError('Le panier est vide');
+    }
+    code = code || (order.promoCode && order.promoCode.code);
+  }
+
+  const evaluation = await promotionService.evaluateOrder(order, { code });
+  const lines = promotionService.toLines(order.items);
+  const subtotal = lines.reduce((sum, line) => sum + line.amount, 0);
+
+  return {
+    code: code ? String(code).trim().toUpperCase() : null,
+    codeAccepted: evaluation.applied.some(entry => entry.fromCode),
+    codeRejection: evaluation.codeRejection,
+    subtotal,
+    discount: evaluation.discount,
+    subtotalAfterDiscount: subtotal - evaluation.discount,
+    promotions: promotionService.toAppliedPromotions(evaluation),
+    items: order.items.map((item, index) => ({
+      service: item.service,
+      name: item.serviceDetails.name,
+      quantity: item.quantity,
+      amount: lines[index].amount,
+      discount: evaluation.lineDiscounts[index]
+    }))
+  };
+};
+
+/**
+ * Choisit le créneau de collecte (au plus tôt si aucune date n'est donnée)
+ * @param {string} clientId - ID du client
+ * @param {Object} params
+ * @param {string|Date} [params.dateRecuperationSouhaitee] - Début du créneau souhaité
+ * @returns {Promise<{cart: Object, promoRemoved: string|null}>}
+ */
+exports.setTimeSlot = async (clientId, { dateRecuperationSouhaitee } = {}) => {
+  if (dateRecuperationSouhaitee) {
+    const date = new Date(dateRecuperationSouhaitee);
+    if (Number.isNaN(date.getTime())) {
+      throw new BadRequestError('Date de collecte invalide');
+    }
+    if (date <= new Date()) {
+      throw new BadRequestError('Le créneau de collecte doit être dans le futur');
+    }
+  }
+
+  const cart = await requireCart(clientId);
+  cart.timeSlot = checkoutService.buildTimeSlot(dateRecuperationSouhaitee);
+  return saveCart(cart);
+};
+
+/**
+ * Choisit l'adresse de livraison (sans adresse : retrait en boutique)
+ * @param {string} clientId - ID du client
+ * @param {Object} params
+ * @param {Object|string} [params.adresseLivraison] - Adresse de livraison
+ * @param {string} [params.deliveryInstructions] - Instructions de livraison
+ * @param {string} [params.deliveryType] - 'express' pour une livraison prioritaire (supplément)
+ * @returns {Promise<{cart: Object, promoRemoved: string|null}>}
+ */
+exports.setDeliveryAddress = async (clientId, { adresseLivraison, deliveryInstructions, deliveryType } = {}) => {
+  const cart = await requireCart(clientId);
+  const address = await checkoutService.locateDeliveryAddress(
+    checkoutService.parseDeliveryAddress(adresseLivraison),
+    cart.deliveryLocation
+  );
+
+  cart.serviceType = address ? 'delivery' : 'pickup';
+  cart.deliveryAddress = address ? { ...address, instructions: deliveryInstructions } : undefined;
+  cart.delivery = cart.delivery || {};
+  cart.delivery.type = address ? (deliveryType === 'express' ? 'express' : 'delivery') : 'pickup';
+
+  return saveCart(cart);
+};
+
+/**
+ * Vide le panier
+ * @param {string} clientId - ID du client
+ * @returns {Promise<void>}
+ */
+exports.clearCart = async (clientId) => {
+  const cart = await requireCart(clientId);
+  await cart.deleteOne();
+};
+
+/**
+ * Valide le panier : la commande brouillon quitte le panier et attend son paiement
+ * (POST /payments/initiate avec orderId). L'utilisation des promotions est décomptée ici.
+ * @param {string} clientId - ID du client
+ * @returns {Promise<Object>} - Commande validée
+ */
+exports.checkoutCart = async (clientId) => {
+  const cart = await requireCart(clientId);
+  if (!cart.items.length) {
+    throw new BadRequestError('Le panier est vide');
+  }
+
+  const promoRemoved = await recalculate(cart);
+  if (promoRemoved) {
+    await cart.save();
+    throw new BadRequestError(`${promoRemoved}. Le code promo a été retiré du panier, vérifiez le nouveau total`);
+  }
+  deliveryZoneService.assertMinimumOrder(cart.delivery && cart.delivery.zone, cart.payment.amount.subtotal);
+
+  try {
+    await promotionService.redeemPromotions(cart);
+  } catch (error) {
+    if (!(error instanceof BadRequestError)) throw error;
+    // Promotion épuisée entre-temps : le panier est réévalué sans elle
+    await saveCart(cart);
+    throw new BadRequestError(`${error.message}. Elle a été retirée du panier, vérifiez le nouveau total`);
+  }
+
+  cart.cart.active = false;
+  cart.expiresAt = undefined;
+  cart.statusHistory.push({
+    status: 'draft',
+    changedAt: new Date(),
+    changedBy: 'customer',
+    notes: 'Panier validé, en attente de paiement'
+  });
+  await cart.save();
+
+  logger.info(`Panier ${cart.orderNumber} validé par le client ${clientId} (${cart.payment.amount.total} ${cart.payment.amount.currency})`);
+  return cart;
+};
+
+/**
+ * Relance les clients dont le panier est inactif depuis config.cart.reminderHours
+ * Une seule relance par période d'inactivité (réarmée à la modification suivante).
+ * @param {Date} [now] - Date de référence
+ * @returns {Promise<number>} - Nombre de relances envoyées
+ */
+exports.sendAbandonedCartReminders = async (now = new Date()) => {
+  const inactiveSince = new Date(now.getTime() - config.cart.reminderHours * 60 * 60 * 1000);
+  const carts = await Order.find({
+    status: 'draft',
+    'cart.active': true,
+    'items.0': { $exists: true },
+    'cart.lastActivityAt': { $lte: inactiveSince },
+    'cart.reminderSentAt': null
+  }).populate('pressing', 'businessName');
+
+  let sent = 0;
+  for (const cart of carts) {
+    try {
+      await notificationService.notifyCartReminder(cart);
+      await Order.updateOne({ _id: cart._id }, { $set: { 'cart.reminderSentAt': now } });
+      sent += 1;
+    } catch (error) {
+      logger.error(`Erreur lors de la relance du panier ${cart._id}: ${error.message}`);
+    }
+  }
+
+  if (sent) {
+    logger.info(`${sent} panier(s) abandonné(s) relancé(s)`);
+  }
+  return sent;
+};
+
@@ -0,0 +1,534 @@
+// Passage de commande : construction des articles, de l'adresse et du créneau à partir du panier,
+// et découpage d'un panier multi-pressings en commandes liées par un groupe (OrderGroup).
+// Chaque commande du groupe suit son propre cycle de vie ; le paiement est unique pour le groupe.
+
+const Order = require('../models/order.model');
+const OrderGroup = require('../models/orderGroup.model');
+const Pressing = require('../models/pressing.model');
+const Client = require('../models/client.model');
+const logger = require('../utils/logger');
+const { BadRequestError, NotFoundError } = require('../utils/error.utils');
+const feeRuleService = require('./feeRule.service');
+const notificationService = require('./notification.service');
+const deliveryZoneService = require('./deliveryZone.service');
+const deliveryPricingService = require('./deliveryPricing.service');
+const promotionService = require('./promotion.service');
+const geocodingService = require('./geocoding.service');
+
+// Commandes d'un groupe qui ne sont plus dues
+const CLOSED_ORDER_STATUSES = ['cancelled', 'refunded'];
+
+/**
+ * Coordonnées transmises par l'application ({ latitude, longitude }, { lat, lng } ou [lng, lat])
+ * @param {Object|number[]} [value]
+ * @returns {number[]|null} - [longitude, latitude], null si absentes ou invalides
+ */
+const toPoint = (value) => {
+  if (!value) return null;
+  const longitude = Number(Array.isArray(value) ? value[0] : value.longitude ?? value.lng);
+  const latitude = Number(Array.isArray(value) ? value[1] : value.latitude ?? value.lat);
+  const valid = [longitude, latitude].every(Number.isFinite)
+    && Math.abs(longitude) <= 180 && Math.abs(latitude) <= 90
+    && !(longitude === 0 && latitude === 0);
+  return valid ? [longitude, latitude] : null;
+};
+
+/**
+ * Point de livraison [longitude, latitude] : position GPS du client, à défaut celle de l'adresse
+ * @param {Object} deliveryAddress - Adresse géolocalisée (locateDeliveryAddress)
+ * @param {Object} [deliveryLocation] - Position GPS ({ latitude, longitude } ou { lat, lng })
+ * @returns {number[]}
+ */
+const deliveryPoint = (deliveryAddress, deliveryLocation) => {
+  const point = toPoint(deliveryLocation) || toPoint(deliveryAddress.coordinates);
+  if (!point) {
+    throw new BadRequestError('Adresse de livraison non géolocalisée : indiquez votre position sur la carte');
+  }
+  return point;
+};
+
+/**
+ * Frais de livraison d'une commande, ligne à ligne (zone ou tranche de distance, heure de pointe, week-end, express)
+ * Une adresse hors de toutes les zones actives d'un pressing qui en a tracé est refusée.
+ * @param {Object} params
+ * @param {Object} params.pressing - Pressing
+ * @param {Object|null} params.deliveryAddress - Adresse géolocalisée (absente pour un retrait en boutique)
+ * @param {Object} [params.deliveryLocation] - Position GPS de livraison
+ * @param {number} params.subtotal - Montant des articles
+ * @param {boolean} [params.express=false] - Livraison express
+ * @param {Date} [params.at] - Heure de la livraison (créneau souhaité)
+ * @param {boolean} [params.enforceMinimum=true] - Vérifier le minimum de commande de la zone
+ * @returns {Promise<Object>} - { fee, lines, zone, distanceMeters } ; lines est destiné à order.fees
+ */
+const quoteDelivery = async ({ pressing, deliveryAddress, deliveryLocation, subtotal, express = false, at, enforceMinimum = true }) => {
+  if (!deliveryAddress) {
+    return { fee: 0, lines: [], zone: null, distanceMeters: null };
+  }
+
+  const point = deliveryPoint(deliveryAddress, deliveryLocation);
+  const zone = await deliveryZoneService.resolveZone(pressing._id, point);
+  if (!zone && await deliveryZoneService.hasZones(pressing._id)) {
+    throw new BadRequestError(`${pressing.businessName || 'Ce pressing'} ne livre pas à cette adresse`);
+  }
+  if (zone && enforceMinimum) {
+    deliveryZoneService.assertMinimumOrder(zone, subtotal);
+  }
+
+  const { fee, lines, distanceMeters } = await deliveryPricingService.priceDelivery({
+    pressing,
+    point,
+    zone,
+    subtotal,
+    express,
+    at: at || new Date()
+  });
+  return { fee, lines, zone: zone ? deliveryZoneService.snapshot(zone) : null, distanceMeters };
+};
+
+/**
+ * Construit les articles d'une commande à partir des lignes du panier
+ * Les prix sont repris du catalogue du pressing, à défaut des données transmises par l'application.
+ * @param {Object} pressing - Pressing (avec son catalogue de services)
+ * @param {Object[]} services - Lignes du panier ({ serviceId, quantite, instructions, ... })
+ * @returns {{items: Object[], subtotal: number}}
+ */
+const buildOrderItems = (pressing, services) => {
+  let subtotal = 0;
+  const items = [];
+
+  for (const item of services) {
+    // Chercher d'abord dans les services du pressing
+    const service = pressing.services.find(s => s._id.toString() === item.serviceId);
+
+    // Utiliser les données détaillées du service si disponibles (depuis PressingDetailPage)
+    const serviceDetails = {
+      name: item.nom || item.name || (service ? service.nom || service.name : 'Service'),
+      description: item.description || (service ? service.description : 'Service importé depuis une source externe'),
+      price: item.prix || item.price || (service ? service.prix || service.price : 0),
+      category: item.categorie || item.category || (service ? service.categorie || service.category : 'Général'),
+      duration: item.dureeMoyenne || item.duration || (service ? service.dureeMoyenne || service.duration : 0),
+      available: item.disponible !== undefined ? item.disponible : (service ? service.disponible ?? service.isAvailable : true),
+      validity: item.validite || (service ? service.validite : 30),
+      options: item.options || (service ? service.options : []),
+      images: item.images || (service ? service.images : []),
+      createdAt: item.createdAt || (service ? service.createdAt : null),
+      updatedAt: item.updatedAt || (service ? service.updatedAt : null)
+    };
+    const quantity = item.quantite || item.quantity || 1;
+
+    items.push({
+      service: service ? service._id : item.serviceId,
+      pressing: pressing._id,
+      serviceDetails,
+      quantity,
+      unitPrice: serviceDetails.price,
+      specialInstructions: item.instructions || '',
+
+      // Informations supplémentaires pour le suivi
+      metadata: {
+        sourceType: service ? 'pressing_service' : 'imported_service',
+        hasDetailedInfo: !!(item.nom || item.description || item.dureeMoyenne),
+        estimatedDuration: (serviceDetails.duration || 0) * quantity
+      }
+    });
+
+    subtotal += serviceDetails.price * quantity;
+  }
+
+  return { items, subtotal };
+};
+
+/**
+ * Adresse de livraison géolocalisée à partir de la saisie du client (objet, JSON ou texte libre)
+ * @param {Object|string} adresseLivraison
+ * @returns {Object|null}
+ */
+const parseDeliveryAddress = (adresseLivraison) => {
+  if (!adresseLivraison) return null;
+
+  let parsedAddress;
+  try {
+    parsedAddress = typeof adresseLivraison === 'string' ? JSON.parse(adresseLivraison) : adresseLivraison;
+  } catch (e) {
+    // Si ce n'est pas du JSON, traiter comme une chaîne simple
+    parsedAddress = { formattedAddress: adresseLivraison };
+  }
+
+  // Seules des coordonnées réellement transmises sont retenues : une adresse en texte libre
+  // est géolocalisée ensuite par locateDeliveryAddress
+  const coordinates = toPoint(parsedAddress.coordinates);
+
+  return {
+    type: coordinates ? 'Point' : undefined,
+    coordinates: coordinates || undefined,
+    street: parsedAddress.street || '',
+    city: parsedAddress.city || 'Abidjan',
+    district: parsedAddress.district || '',
+    postalCode: parsedAddress.postalCode || '00225',
+    country: parsedAddress.country || 'Côte d\'Ivoire',
+    formattedAddress: parsedAddress.formattedAddress || adresseLivraison
+  };
+};
+
+/**
+ * Géolocalise une adresse de livraison sans coordonnées : position GPS du client, à défaut géocodage du texte
+ * Une adresse introuvable est refusée plutôt que tarifée sur un point arbitraire.
+ * @param {Object|null} deliveryAddress - Adresse (parseDeliveryAddress)
+ * @param {Object} [deliveryLocation] - Position GPS ({ latitude, longitude } ou { lat, lng })
+ * @returns {Promise<Object|null>} - Adresse avec ses coordonnées [longitude, latitude]
+ */
+const locateDeliveryAddress = async (deliveryAddress, deliveryLocation) => {
+  if (!deliveryAddress || deliveryAddress.coordinates) return deliveryAddress;
+
+  const gps = toPoint(deliveryLocation);
+  if (gps) {
+    return { ...deliveryAddress, type: 'Point', coordinates: gps };
+  }
+
+  const place = deliveryAddress.formattedAddress
+    ? await geocodingService.getGeocode(deliveryAddress.formattedAddress)
+    : null;
+  if (!place) {
+    throw new BadRequestError('Adresse de livraison introuvable : précisez-la ou indiquez votre position sur la carte');
+  }
+  return {
+    ...deliveryAddress,
+    type: 'Point',
+    coordinates: [place.lng, place.lat],
+    district: deliveryAddress.district || place.district || ''
+  };
+};
+
+/**
+ * Créneau de collecte (2 heures à partir de la date souhaitée, au plus tôt sinon)
+ * @param {string|Date} [dateRecuperationSouhaitee]
+ * @returns {Object}
+ */
+const buildTimeSlot = (dateRecuperationSouhaitee) => {
+  const collectionDate = dateRecuperationSouhaitee ? new Date(dateRecuperationSouhaitee) : null;
+  return {
+    type: collectionDate ? 'specific' : 'asap',
+    preferredDate: collectionDate,
+    startTime: collectionDate,
+    endTime: collectionDate ? new Date(collectionDate.getTime() + 2 * 60 * 60 * 1000) : null,
+    timezone: 'Africa/Abidjan'
+  };
+};
+
+/**
+ * Découpe les lignes d'un panier par pressing
+ * @param {Object[]} services - Lignes du panier, chacune avec son pressingId
+ * @param {Object[]} [slots] - Créneaux par pressing ({ pressingId, dateRecuperationSouhaitee, instructions })
+ * @returns {Array<{pressingId: string, services: Object[], slot: Object}>}
+ */
+const splitCart = (services, slots = []) => {
+  if (!Array.isArray(services) || services.length === 0) {
+    throw new BadRequestError('Le panier est vide');
+  }
+
+  const groups = new Map();
+  services.forEach(line => {
+    if (!line.pressingId) {
+      throw new BadRequestError(`Pressing manquant pour le service ${line.serviceId || line.nom || ''}`.trim());
+    }
+    const key = String(line.pressingId);
+    if (!groups.has(key)) {
+      groups.set(key, {
+        pressingId: key,
+        services: [],
+        slot: slots.find(slot => String(slot.pressingId) === key) || {}
+      });
+    }
+    groups.get(key).services.push(line);
+  });
+
+  return [...groups.values()];
+};
+
+/**
+ * Montants dus pour un groupe : somme des commandes encore actives
+ * @param {Object[]} orders - Commandes du groupe
+ * @returns {Object} - { subtotal, delivery, tax, total, currency }
+ */
+const sumGroupAmounts = (orders) => orders
+  .filter(order => !CLOSED_ORDER_STATUSES.includes(order.status))
+  .reduce((sum, order) => ({
+    subtotal: sum.subtotal + (order.payment.amount.subtotal || 0),
+    delivery: sum.delivery + (order.payment.amount.delivery || 0),
+    tax: sum.tax + (order.payment.amount.tax || 0),
+    total: sum.total + (order.payment.amount.total || 0),
+    currency: order.payment.amount.currency || sum.currency
+  }), { subtotal: 0, delivery: 0, tax: 0, total: 0, currency: 'XOF' });
+
+/**
+ * Statut d'ensemble d'un groupe à partir des statuts de ses commandes
+ * @param {Object[]} orders - Commandes du groupe
+ * @returns {string} - awaiting_payment, in_progress, completed, partially_cancelled ou cancelled
+ */
+const groupStatus = (orders) => {
+  const open = orders.filter(order => !CLOSED_ORDER_STATUSES.includes(order.status));
+  if (open.length === 0) return 'cancelled';
+  if (open.every(order => order.status === 'completed')) {
+    return open.length === orders.length ? 'completed' : 'partially_cancelled';
+  }
+  if (open.every(order => order.status === 'draft')) return 'awaiting_payment';
+  return 'in_progress';
+};
+
+/**
+ * Valide un panier multi-pressings : une commande par pressing, liées par un groupe
+ * Chaque commande a son créneau, ses frais de livraison et ses frais de service.
+ * @param {Object} params
+ * @param {string} params.clientId - ID du client
+ * @param {Object[]} params.services - Lignes du panier ({ pressingId, serviceId, quantite, instructions })
+ * @param {Object[]} [params.slots] - Créneaux par pressing ({ pressingId, dateRecuperationSouhaitee, instructions })
+ * @param {Object|string} [params.adresseLivraison] - Adresse de livraison commune
+ * @param {Object} [params.deliveryLocation] - Position GPS de livraison
+ * @param {string} [params.deliveryInstructions] - Instructions de livraison
+ * @param {string} [params.deliveryType] - 'express' pour une livraison prioritaire (supplément)
+ * @param {string} [params.promoCode] - Code promo, appliqué à la première commande où il est retenu
+ * @returns {Promise<{group: Object, orders: Object[]}>}
+ */
+exports.checkoutCart = async ({ clientId, services, slots, adresseLivraison, deliveryLocation, deliveryInstructions, deliveryType, promoCode }) => {
+  const express = deliveryType === 'express';
+  const parts = splitCart(services, slots);
+
+  const pressings = await Pressing.find({ _id: { $in: parts.map(part => part.pressingId) } });
+  parts.forEach(part => {
+    part.pressing = pressings.find(pressing => pressing._id.toString() === part.pressingId);
+    if (!part.pressing) {
+      throw new NotFoundError(`Pressing non trouvé avec l'ID ${part.pressingId}`);
+    }
+  });
+
+  const deliveryAddress = await locateDeliveryAddress(parseDeliveryAddress(adresseLivraison), deliveryLocation);
+  const group = await OrderGroup.create({ customer: clientId, orders: [] });
+  const orders = [];
+  let pendingCode = promoCode || null;
+  let codeRejection = null;
+  let current;
+
+  try {
+    for (const part of parts) {
+      const { items, subtotal } = buildOrderItems(part.pressing, part.services);
+      const slotDate = part.slot.dateRecuperationSouhaitee;
+      const { fee: deliveryFee, lines: deliveryLines, zone, distanceMeters } = await quoteDelivery({
+        pressing: part.pressing,
+        deliveryAddress,
+        deliveryLocation,
+        subtotal,
+        express,
+        at: slotDate ? new Date(slotDate) : undefined
+      });
+      // Promotions automatiques du pressing, et le code promo tant qu'aucune commande ne l'a retenu,
+      // évaluées avant la tarification qui porte sur le montant remisé
+      const evaluation = await promotionService.evaluateOrder({
+        customer: clientId,
+        pressing: part.pressing._id,
+        items
+      }, { code: pendingCode });
+      const pricing = await feeRuleService.computeOrderPricing({
+        pressing: part.pressing,
+        items: promotionService.toPricingItems(items, evaluation),
+        deliveryFee
+      });
+
+      current = new Order({
+        customer: clientId,
+        pressing: part.pressing._id,
+        group: group._id,
+        items,
+        deliveryAddress,
+        deliveryLocation: deliveryLocation ? {
+          latitude: deliveryLocation.latitude || deliveryLocation.lat,
+          longitude: deliveryLocation.longitude || deliveryLocation.lng,
+          accuracy: deliveryLocation.accuracy || null,
+          timestamp: new Date(),
+          source: deliveryLocation.source || 'user_input'
+        } : null,
+        adresseLivraison,
+        serviceType: adresseLivraison ? 'delivery' : 'pickup',
+        timeSlot: buildTimeSlot(part.slot.dateRecuperationSouhaitee),
+        status: 'draft',
+        statusHistory: [{
+          status: 'draft',
+          changedAt: new Date(),
+          changedBy: 'customer',
+          notes: `Commande créée depuis le panier ${group.reference}`
+        }],
+        payment: {
+          method: 'cash',
+          status: 'pending',
+          amount: {
+            subtotal,
+            total: pricing.total,
+            discount: 0,
+            delivery: deliveryFee,
+            tax: pricing.vat,
+            tip: 0,
+            currency: 'XOF'
+          },
+          refunds: []
+        },
+        delivery: {
+          status: 'pending',
+          ...(deliveryAddress && { type: express ? 'express' : 'delivery', distanceMeters }),
+          ...(zone && { zone })
+        },
+        rating: { photos: [] },
+        fees: feeRuleService.toOrderFees(pricing, deliveryLines),
+        pricing,
+        specialInstructions: [part.slot.instructions, deliveryInstructions].filter(Boolean).join(' | ') || '',
+        metadata: {
+          pressingSnapshot: {
+            id: part.pressing._id,
+            name: part.pressing.businessName || part.pressing.nomCommerce,
+            address: part.pressing.address?.formattedAddress || 'Adresse non disponible',
+            phone: part.pressing.phone || part.pressing.telephone
+          },
+          orderSource: { createdVia: 'web_app', cart: group.reference }
+        }
+      });
+
+      promotionService.applyToOrder(current, evaluation);
+      if (current.promotions.length) {
+        current.calculateTotals();
+      }
+      if (current.promoCode) {
+        pendingCode = null;
+      } else if (pendingCode) {
+        codeRejection = evaluation.codeRejection;
+      }
+
+      await promotionService.redeemPromotions(current);
+      await current.save();
+      orders.push(current);
+      current = null;
+    }
+
+    if (pendingCode) {
+      throw new BadRequestError(codeRejection || 'Code promo invalide');
+    }
+  } catch (error) {
+    // Le panier est validé en entier ou pas du tout, utilisations des promotions comprises
+    await Promise.all([...orders, current].filter(Boolean).map(entry => promotionService.releasePromotions(entry)));
+    await Order.deleteMany({ group: group._id });
+    await OrderGroup.deleteOne({ _id: group._id });
+    throw error;
+  }
+
+  group.orders = orders.map(order => order._id);
+  group.payment.amount = sumGroupAmounts(orders);
+  await group.save();
+
+  logger.info(`Panier ${group.reference} validé: ${orders.length} commande(s), ${group.payment.amount.total} XOF`);
+
+  // Notifications in-app (ne bloquent pas la validation du panier)
+  const customer = await Client.findById(clientId);
+  orders.forEach(order => {
+    const pressing = parts.find(part => part.pressing._id.toString() === order.pressing.toString()).pressing;
+    notificationService.notifyNewOrder(order, customer, pressing)
+      .catch(error => logger.error(`Erreur lors de la notification de la commande ${order._id}:`, error));
+  });
+
+  return { group, orders };
+};
+
+/**
+ * Charge un groupe du client avec ses commandes
+ * @param {string} groupId - ID ou référence du groupe
+ * @param {string} clientId - ID du client
+ * @returns {Promise<{group: Object, orders: Object[]}>}
+ */
+exports.findClientGroup = async (groupId, clientId) => {
+  const query = /^[0-9a-fA-F]{24}$/.test(groupId) ? { _id: groupId } : { reference: groupId };
+  const group = await OrderGroup.findOne({ ...query, customer: clientId });
+  if (!group) {
+    throw new NotFoundError('Panier non trouvé');
+  }
+  const orders = await Order.find({ group: group._id })
+    .populate('pressing', 'businessName phone')
+    .sort({ createdAt: 1 });
+  return { group, orders };
+};
+
+/**
+ * Récapitulatif d'un groupe pour le client
+ * @param {Object} group - Groupe
+ * @param {Object[]} orders - Commandes du groupe
+ * @returns {Object}
+ */
+exports.summarizeGroup = (group, orders) => {
+  const refunded = (order) => (order.payment.refunds || []).reduce((sum, refund) => sum + refund.amount, 0);
+
+  return {
+    _id: group._id,
+    reference: group.reference,
+    status: groupStatus(orders),
+    createdAt: group.createdAt,
+    payment: {
+      status: group.payment.status,
+      method: group.payment.method,
+      reference: group.payment.paymentIntentId,
+      amount: group.payment.amount,
+      due: sumGroupAmounts(orders).total,
+      refunded: orders.reduce((sum, order) => sum + refunded(order), 0)
+    },
+    orders: orders.map(order => ({
+      _id: order._id,
+      orderNumber: order.orderNumber,
+      pressing: order.pressing && order.pressing.businessName
+        ? { _id: order.pressing._id, name: order.pressing.businessName, phone: order.pressing.phone }
+        : order.pressing,
+      status: order.status,
+      timeSlot: order.timeSlot,
+      itemCount: order.items.reduce((sum, item) => sum + item.quantity, 0),
+      deliveryFee: order.payment.amount.delivery,
+      total: order.payment.amount.total,
+      paymentStatus: order.payment.status,
+      refunded: refunded(order)
+    }))
+  };
+};
+
+/**
+ * Paniers du client, du plus récent au plus ancien
+ * @param {string} clientId - ID du client
+ * @param {Object} [options] - { page, limit }
+ * @returns {Promise<{groups: Object[], total: number}>}
+ */
+exports.listClientGroups = async (clientId, { page = 1, limit = 10 } = {}) => {
+  const pageNumber = Math.max(1, parseInt(page, 10) || 1);
+  const pageSize = Math.min(50, Math.max(1, parseInt(limit, 10) || 10));
+
+  const [groups, total] = await Promise.all([
+    OrderGroup.find({ customer: clientId })
+      .sort({ createdAt: -1 })
+      .skip((pageNumber - 1) * pageSize)
+      .limit(pageSize),
+    OrderGroup.countDocuments({ customer: clientId })
+  ]);
+
+  const orders = await Order.find({ group: { $in: groups.map(group => group._id) } })
+    .populate('pressing', 'businessName phone')
+    .sort({ createdAt: 1 });
+
+  return {
+    groups: groups.map(group => exports.summarizeGroup(
+      group,
+      orders.filter(order => order.group.toString() === group._id.toString())
+    )),
+    total
+  };
+};
+
+exports.deliveryPoint = deliveryPoint;
+exports.quoteDelivery = quoteDelivery;
+exports.buildOrderItems = buildOrderItems;
+exports.parseDeliveryAddress = parseDeliveryAddress;
+exports.locateDeliveryAddress = locateDeliveryAddress;
+exports.buildTimeSlot = buildTimeSlot;
+exports.splitCart = splitCart;
+exports.sumGroupAmounts = sumGroupAmounts;
+exports.groupStatus = groupStatus;
+exports.CLOSED_ORDER_STATUSES = CLOSED_ORDER_STATUSES;
@@ -0,0 +1,714 @@
+// Courses de collecte et de livraison : une course par trajet (client -> pressing ou pressing -> client),
+// attribuée manuellement par le pressing ou automatiquement au livreur disponible le moins chargé de sa flotte.
+// Le livreur accepte ou décline, puis fait avancer la course ; les passages infructueux sont reprogrammés
+// jusqu'à config.deliveries.maxAttempts. Le client est notifié à chaque étape.
+
+const DeliveryJob = require('../models/deliveryJob.model');
+const Order = require('../models/order.model');
+const Pressing = require('../models/pressing.model');
+const Rider = require('../models/rider.model');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const { BadRequestError, NotFoundError, ForbiddenError } = require('../utils/error.utils');
+const notificationService = require('./notification.service');
+const orderStatusService = require('./orderStatus.service');
+const handoverService = require('./handover.service');
+const { ORDER_STATUS } = require('../config/orderStatus');
+const { DELIVERY_JOB_TYPES } = DeliveryJob;
+
+// Courses en cours (comptent dans la charge du livreur)
+const ACTIVE_JOB_STATUSES = ['assigned', 'accepted', 'picked_up', 'in_transit'];
+
+// Courses terminées
+const CLOSED_JOB_STATUSES = ['delivered', 'failed', 'cancelled'];
+
+// Étapes que le livreur peut déclarer, à partir de chaque statut
+const RIDER_TRANSITIONS = {
+  accepted: ['picked_up'],
+  picked_up: ['in_transit', 'delivered'],
+  in_transit: ['delivered']
+};
+
+// Étape de la course correspondant à la remise des vêtements par ou au client (preuve de remise requise)
+const HANDOVER_STATUS = {
+  pickup: 'picked_up',
+  delivery: 'delivered'
+};
+
+// Statuts de commande permettant de programmer chaque type de course
+const ORDER_STATUSES_BY_JOB_TYPE = {
+  pickup: [ORDER_STATUS.PENDING, ORDER_STATUS.CONFIRMED],
+  delivery: [ORDER_STATUS.PROCESSING, ORDER_STATUS.READY_FOR_PICKUP]
+};
+
+// Suivi de livraison de la commande (order.delivery.status) selon le statut de la course de livraison
+const ORDER_DELIVERY_STATUS = {
+  pending: 'pending',
+  assigned: 'assigned',
+  accepted: 'assigned',
+  picked_up: 'picked_up',
+  in_transit: 'in_transit',
+  delivered: 'delivered',
+  failed: 'failed',
+  cancelled: 'pending'
+};
+
+/**
+ * Distance à vol d'oiseau entre deux points [longitude, latitude], en km
+ * @param {number[]} a
+ * @param {number[]} b
+ * @returns {number}
+ */
+const distanceKm = (a, b) => {
+  const toRad = deg => (deg * Math.PI) / 180;
+  const dLat = toRad(b[1] - a[1]);
+  const dLng = toRad(b[0] - a[0]);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(a[1])) * Math.cos(toRad(b[1])) * Math.sin(dLng / 2) ** 2;
+  return 6371 * 2 * Math.atan2(Math.sqrt(h), Math.sqrt(1 - h));
+};
+
+/**
+ * Choisit le livreur à qui proposer une course : le moins chargé, puis le plus proche du point de départ
+ * @param {Object[]} riders - Livreurs disponibles de la flotte
+ * @param {Object} options
+ * @param {Map<string, number>} [options.loads] - Nombre de courses en cours par livreur
+ * @param {string[]} [options.exclude] - Livreurs à écarter (ayant décliné la course)
+ * @param {number[]} [options.origin] - Point de départ [longitude, latitude]
+ * @param {number} [options.maxActiveJobs] - Charge maximale
+ * @returns {Object|null}
+ */
+const pickRider = (riders, { loads = new Map(), exclude = [], origin, maxActiveJobs = config.deliveries.maxActiveJobsPerRider } = {}) => {
+  const distance = (rider) => {
+    const coordinates = rider.lastLocation && rider.lastLocation.coordinates;
+    return origin && coordinates && coordinates.length === 2 ? distanceKm(origin, coordinates) : Infinity;
+  };
+
+  const candidates = riders
+    .filter(rider => !exclude.includes(rider._id.toString()))
+    .map(rider => ({ rider, load: loads.get(rider._id.toString()) || 0, distance: distance(rider) }))
+    .filter(candidate => candidate.load < maxActiveJobs)
+    .sort((a, b) => a.load - b.load || a.distance - b.distance);
+
+  return candidates.length ? candidates[0].rider : null;
+};
+
+/**
+ * Étape de la course déclarée par le livreur, refusée si elle ne suit pas le statut actuel
+ * @param {Object} job - Course
+ * @param {string} status - Étape demandée
+ */
+const assertRiderTransition = (job, status) => {
+  const allowed = RIDER_TRANSITIONS[job.status] || [];
+  if (!allowed.includes(status)) {
+    throw new BadRequestError(`Impossible de passer la course de ${job.status} à ${status}`);
+  }
+};
+
+/**
+ * Arrêts d'une course à partir de la commande et du pressing
+ * @param {Object} order - Commande
+ * @param {Object} pressing - Pressing
+ * @param {string} type - pickup ou delivery
+ * @returns {{from: Object, to: Object}}
+ */
+const buildStops = (order, pressing, type) => {
+  const address = order.deliveryAddress || {};
+  if (!address.formattedAddress && !address.street) {
+    throw new BadRequestError('Aucune adresse de collecte ou de livraison pour cette commande');
+  }
+
+  const customerStop = {
+    label: 'Client',
+    street: address.street,
+    city: address.city,
+    district: address.district,
+    formattedAddress: address.formattedAddress,
+    coordinates: address.coordinates,
+    instructions: address.instructions
+  };
+  const pressingAddress = pressing.address || {};
+  const pressingStop = {
+    label: pressing.businessName,
+    street: pressingAddress.street,
+    city: pressingAddress.city,
+    district: pressingAddress.district,
+    formattedAddress: pressingAddress.formattedAddress,
+    coordinates: pressingAddress.coordinates && pressingAddress.coordinates.coordinates,
+    phone: pressing.phone
+  };
+
+  return type === 'pickup'
+    ? { from: customerStop, to: pressingStop }
+    : { from: pressingStop, to: customerStop };
+};
+
+/**
+ * Ajoute une entrée à l'historique de la course
+ */
+const pushHistory = (job, status, user, notes) => {
+  job.status = status;
+  job.history.push({
+    status,
+    changedAt: new Date(),
+    changedBy: { id: user.id ? user.id.toString() : undefined, role: user.role },
+    notes
+  });
+};
+
+/**
+ * Reporte le suivi de la course de livraison sur la commande
+ */
+const syncOrderDelivery = async (job) => {
+  if (job.type !== 'delivery') return;
+  await Order.updateOne({ _id: job.order }, {
+    $set: {
+      'delivery.assignedTo': ['pending', 'cancelled'].includes(job.status) ? null : job.rider,
+      'delivery.status': ORDER_DELIVERY_STATUS[job.status]
+    }
+  });
+};
+
+/**
+ * Notifie une étape de la course (les erreurs de notification n'interrompent pas le traitement)
+ */
+const notifyJob = async (job, event, order) => {
+  try {
+    order = order || await Order.findById(job.order).select('orderNumber customer pressing');
+    await notificationService.notifyDeliveryJobUpdate(job, order, { event });
+  } catch (error) {
+    logger.error(`Erreur lors de la notification de la course ${job._id} (${event}):`, error);
+  }
+};
+
+/**
+ * Fait avancer la commande si la transition est possible (prise en charge, remise au client)
+ */
+const advanceOrder = async (job, status, user) => {
+  if (job.type !== 'delivery') return;
+
+  const order = await Order.findById(job.order);
+  if (!order) return;
+
+  const target = status === 'picked_up' ? ORDER_STATUS.OUT_FOR_DELIVERY : ORDER_STATUS.COMPLETED;
+  const expected = status === 'picked_up' ? ORDER_STATUS.READY_FOR_PICKUP : ORDER_STATUS.OUT_FOR_DELIVERY;
+  if (order.status !== expected) return;
+
+  await orderStatusService.transitionOrder(order, target, {
+    actor: 'rider',
+    actorId: user.id,
+    notes: status === 'picked_up' ? 'Commande prise en charge par le livreur' : 'Commande remise au client par le livreur'
+  });
+};
+
+/**
+ * Charge une course accessible à l'utilisateur
+ * @param {string} jobId - ID de la course
+ * @param {Object} user - Utilisateur ({ id, role })
+ * @returns {Promise<Object>}
+ */
+const findAccessibleJob = async (jobId, user) => {
+  const job = await DeliveryJob.findById(jobId);
+  const owner = {
+    admin: () => true,
+    pressing: () => job.pressing.toString() === user.id.toString(),
+    rider: () => job.rider && job.rider.toString() === user.id.toString(),
+    client: () => job.customer.toString() === user.id.toString()
+  }[user.role];
+  if (!job || !owner || !owner()) {
+    throw new NotFoundError('Course non trouvée');
+  }
+  return job;
+};
+
+/**
+ * Vérifie que l'utilisateur gère les courses du pressing (pressing lui-même ou administration)
+ */
+const assertDispatcher = (job, user) => {
+  if (user.role === 'admin') return;
+  if (user.role !== 'pressing' || job.pressing.toString() !== user.id.toString()) {
+    throw new ForbiddenError('Seul le pressing de la commande peut attribuer ses courses');
+  }
+};
+
+/**
+ * Vérifie que le livreur est celui de la course
+ */
+const assertRider = (job, user) => {
+  if (user.role !== 'rider' || !job.rider || job.rider.toString() !== user.id.toString()) {
+    throw new ForbiddenError('Cette course n\'est pas attribuée à ce livreur');
+  }
+};
+
+/**
+ * Propose la course à un livreur
+ * @param {Object} job - Course (pending)
+ * @param {Object} rider - Livreur
+ * @param {Object} options
+ * @param {string} options.mode - manual ou auto
+ * @param {Object} options.user - Utilisateur à l'origine de l'attribution
+ * @returns {Promise<Object>}
+ */
+const assignJob = async (job, rider, { mode, user }) => {
+  job.rider = rider._id;
+  job.assignment = {
+    mode,
+    assignedAt: new Date(),
+    assignedBy: { id: user.id ? user.id.toString() : undefined, role: user.role }
+  };
+  pushHistory(job, 'assigned', user, `Course proposée à ${rider.prenom} ${rider.nom}`);
+  await job.save();
+  await syncOrderDelivery(job);
+
+  await notifyJob(job, 'offered');
+  logger.info(`Course ${job._id} (${job.type}) proposée au livreur ${rider._id} (${mode})`);
+  return job;
+};
+
+/**
+ * Attribue automatiquement la course au livreur disponible le moins chargé de la flotte du pressing
+ * Sans livreur disponible, la course reste à attribuer et le pressing est prévenu.
+ * @param {Object} job - Course (pending)
+ * @param {Object} [user] - Utilisateur à l'origine de l'attribution (système par défaut)
+ * @returns {Promise<Object|null>} - Livreur retenu
+ */
+const autoAssignJob = async (job, user = { role: 'system' }) => {
+  const riders = await Rider.find({ pressing: job.pressing, status: 'active', availability: 'available' });
+  const loads = await DeliveryJob.aggregate([
+    { $match: { rider: { $in: riders.map(rider => rider._id) }, status: { $in: ACTIVE_JOB_STATUSES } } },
+    { $group: { _id: '$rider', count: { $sum: 1 } } }
+  ]);
+
+  const rider = pickRider(riders, {
+    loads: new Map(loads.map(load => [load._id.toString(), load.count])),
+    exclude: job.declinedBy.map(entry => entry.rider.toString()),
+    origin: job.from && job.from.coordinates
+  });
+
+  if (!rider) {
+    await notifyJob(job, 'unassigned');
+    logger.warn(`Aucun livreur disponible pour la course ${job._id} (pressing ${job.pressing})`);
+    return null;
+  }
+
+  await assignJob(job, rider, { mode: 'auto', user });
+  return rider;
+};
+
+/**
+ * Programme une course pour une commande
+ * @param {Object} order - Commande
+ * @param {string} type - pickup ou delivery
+ * @param {Object} user - Utilisateur ({ id, role }) ou système
+ * @param {Object} [options]
+ * @param {string} [options.riderId] - Livreur choisi (attribution manuelle)
+ * @param {Date} [options.scheduledFor] - Heure de passage prévue
+ * @returns {Promise<Object>} - Course créée
+ */
+const createJobForOrder = async (order, type, user, { riderId, scheduledFor } = {}) => {
+  if (!DELIVERY_JOB_TYPES.includes(type)) {
+    throw new BadRequestError(`Type de course invalide: ${type}`);
+  }
+  if (!ORDER_STATUSES_BY_JOB_TYPE[type].includes(order.status)) {
+    throw new BadRequestError(`Impossible de programmer une ${type === 'pickup' ? 'collecte' : 'livraison'} pour une commande au statut ${order.status}`);
+  }
+
+  const open = await DeliveryJob.findOne({ order: order._id, type, status: { $nin: CLOSED_JOB_STATUSES } });
+  if (open) {
+    throw new BadRequestError(`Une course de ce type est déjà en cours pour cette commande (${open.status})`);
+  }
+
+  const pressing = await Pressing.findById(order.pressing);
+  if (!pressing) {
+    throw new NotFoundError('Pressing de la commande non trouvé');
+  }
+
+  const job = new DeliveryJob({
+    order: order._id,
+    pressing: order.pressing,
+    customer: order.customer,
+    type,
+    ...buildStops(order, pressing, type),
+    scheduledFor: scheduledFor || (type === 'pickup' && order.timeSlot ? order.timeSlot.startTime : undefined)
+  });
+  pushHistory(job, 'pending', user, `Course de ${type === 'pickup' ? 'collecte' : 'livraison'} créée`);
+  await job.save();
+  await syncOrderDelivery(job);
+
+  if (riderId) {
+    const rider = await Rider.findOne({ _id: riderId, pressing: order.pressing, status: 'active' });
+    if (!rider) {
+      throw new NotFoundError('Livreur non trouvé dans la flotte du pressing');
+    }
+    await assignJob(job, rider, { mode: 'manual', user });
+  } else if (config.deliveries.autoAssign) {
+    await autoAssignJob(job, user);
+  }
+
+  return job;
+};
+
+/**
+ * Programme une course pour une commande du pressing
+ * @param {string} orderId - ID de la commande
+ * @param {Object} user - Utilisateur ({ id, role })
+ * @param {Object} params
+ * @param {string} params.type - pickup ou delivery
+ * @param {string} [params.riderId] - Livreur choisi (attribution automatique sinon)
+ * @param {Date} [params.scheduledFor] - Heure de passage prévue
+ * @returns {Promise<Object>}
+ */
+exports.createJob = async (orderId, user, { type, riderId, scheduledFor } = {}) => {
+  const order = await Order.findById(orderId);
+  if (!order || (user.role === 'pressing' && order.pressing.toString() !== user.id.toString())) {
+    throw new NotFoundError('Commande non trouvée');
+  }
+  if (order.serviceType !== 'delivery') {
+    throw new BadRequestError('Cette commande est à déposer et retirer en boutique');
+  }
+  return createJobForOrder(order, type, user, { riderId, scheduledFor });
+};
+
+/**
+ * Programme automatiquement la course correspondant au nouveau statut d'une commande livrée à domicile :
+ * collecte à la confirmation, livraison quand la commande est prête
+ * @param {Object} order - Commande
+ * @returns {Promise<Object|null>}
+ */
+exports.scheduleJobForStatus = async (order) => {
+  if (order.serviceType !== 'delivery') return null;
+
+  const type = { [ORDER_STATUS.CONFIRMED]: 'pickup', [ORDER_STATUS.READY_FOR_PICKUP]: 'delivery' }[order.status];
+  if (!type) return null;
+
+  const existing = await DeliveryJob.exists({ order: order._id, type, status: { $ne: 'cancelled' } });
+  if (existing) return null;
+
+  return createJobForOrder(order, type, { role: 'system' });
+};
+
+/**
+ * Annule les courses non commencées d'une commande annulée
+ * @param {Object} order - Commande
+ * @returns {Promise<number>} - Nombre de courses annulées
+ */
+exports.cancelOrderJobs = async (order) => {
+  const jobs = await DeliveryJob.find({ order: order._id, status: { $in: ['pending', 'assigned', 'accepted'] } });
+  for (const job of jobs) {
+    pushHistory(job, 'cancelled', { role: 'system' }, 'Commande annulée');
+    await job.save();
+    await syncOrderDelivery(job);
+    await notifyJob(job, 'cancelled', order);
+  }
+  return jobs.length;
+};
+
+/**
+ * Courses d'une commande
+ * @param {string} orderId - ID de la commande
+ * @param {Object} user - Utilisateur ({ id, role })
+ * @returns {Promise<Object[]>}
+ */
+exports.getOrderJobs = async (orderId, user) => {
+  const order = await Order.findById(orderId).select('customer pressing');
+  const allowed = order && (
+    user.role === 'admin' ||
+    (user.role === 'client' && order.customer.toString() === user.id.toString()) ||
+    (user.role === 'pressing' && order.pressing.toString() === user.id.toString())
+  );
+  if (!allowed) {
+    throw new NotFoundError('Commande non trouvée');
+  }
+  return DeliveryJob.find({ order: orderId })
+    .select('-trail')
+    .populate('rider', 'nom prenom phone vehicle')
+    .sort({ createdAt: 1 });
+};
+
+/**
+ * Liste des courses : celles du livreur, celles du pressing, ou toutes pour l'administration
+ * @param {Object} user - Utilisateur ({ id, role })
+ * @param {Object} [filters]
+ * @param {string} [filters.status] - Statut (ou "active" pour les courses en cours)
+ * @param {string} [filters.type] - pickup ou delivery
+ * @param {string} [filters.rider] - Livreur (pressing, administration)
+ * @returns {Promise<{jobs: Object[], total: number}>}
+ */
+exports.listJobs = async (user, { status, type, rider, page = 1, limit = 20 } = {}) => {
+  const filter = {};
+  if (user.role === 'rider') filter.rider = user.id;
+  else if (user.role === 'pressing') filter.pressing = user.id;
+  if (rider && user.role !== 'rider') filter.rider = rider;
+  if (status) filter.status = status === 'active' ? { $in: ACTIVE_JOB_STATUSES } : status;
+  if (type) filter.type = type;
+
+  const pageNumber = Math.max(1, parseInt(page, 10) || 1);
+  const pageSize = Math.min(100, Math.max(1, parseInt(limit, 10) || 20));
+
+  const [jobs, total] = await Promise.all([
+    DeliveryJob.find(filter)
+      .select('-trail')
+      .populate('order', 'orderNumber status')
+      .populate('rider', 'nom prenom phone')
+      .sort({ scheduledFor: 1, createdAt: -1 })
+      .skip((pageNumber - 1) * pageSize)
+      .limit(pageSize),
+    DeliveryJob.countDocuments(filter)
+  ]);
+
+  return { jobs, total };
+};
+
+/**
+ * Détail d'une course
+ * @param {string} jobId - ID de la course
+ * @param {Object} user - Utilisateur ({ id, role })
+ * @returns {Promise<Object>}
+ */
+exports.getJob = async (jobId, user) => {
+  const job = await findAccessibleJob(jobId, user);
+  return job.populate([
+    { path: 'order', select: 'orderNumber status items.serviceDetails.name items.quantity' },
+    { path: 'rider', select: 'nom prenom phone vehicle' }
+  ]);
+};
+
+/**
+ * Attribue une course, à un livreur choisi ou automatiquement
+ * Une course déjà proposée peut être réattribuée tant qu'elle n'a pas été acceptée.
+ * @param {string} jobId - ID de la course
+ * @param {Object} user - Utilisateur ({ id, role })
+ * @param {Object} params
+ * @param {string} [params.riderId] - Livreur (attribution automatique si absent)
+ * @returns {Promise<Object>}
+ */
+exports.assign = async (jobId, user, { riderId } = {}) => {
+  const job = await findAccessibleJob(jobId, user);
+  assertDispatcher(job, user);
+  if (!['pending', 'assigned'].includes(job.status)) {
+    throw new BadRequestError(`Impossible d'attribuer une course au statut ${job.status}`);
+  }
+
+  if (job.status === 'assigned') {
+    job.rider = null;
+    pushHistory(job, 'pending', user, 'Course retirée au livreur pour réattribution');
+  }
+
+  if (!riderId) {
+    const rider = await autoAssignJob(job, user);
+    if (!rider) {
+      await job.save();
+      await syncOrderDelivery(job);
+      throw new BadRequestError('Aucun livreur disponible pour cette course');
+    }
+    return job;
+  }
+
+  const rider = await Rider.findOne({ _id: riderId, pressing: job.pressing, status: 'active' });
+  if (!rider) {
+    throw new NotFoundError('Livreur non trouvé dans la flotte du pressing');
+  }
+  return assignJob(job, rider, { mode: 'manual', user });
+};
+
+/**
+ * Le livreur accepte la course qui lui est proposée
+ * @param {string} jobId - ID de la course
+ * @param {Object} user - Livreur ({ id, role })
+ * @returns {Promise<Object>}
+ */
+exports.accept = async (jobId, user) => {
+  const job = await findAccessibleJob(jobId, user);
+  assertRider(job, user);
+  if (job.status !== 'assigned') {
+    throw new BadRequestError('Cette course n\'est pas en attente d\'acceptation');
+  }
+
+  job.assignment.acceptedAt = new Date();
+  pushHistory(job, 'accepted', user);
+  await job.save();
+  await syncOrderDelivery(job);
+
+  // Le client reçoit le code à remettre au livreur avec ses vêtements
+  if (job.type === 'pickup') {
+    try {
+      await handoverService.issuePickupCode(job);
+    } catch (error) {
+      logger.error(`Code de collecte non envoyé pour la course ${job._id}:`, error);
+    }
+  }
+
+  await notifyJob(job, 'accepted');
+  return job;
+};
+
+/**
+ * Le livreur décline la course : elle est proposée à un autre livreur (attribution automatique)
+ * ou rendue au pressing
+ * @param {string} jobId - ID de la course
+ * @param {Object} user - Livreur ({ id, role })
+ * @param {Object} [params]
+ * @param {string} [params.reason] - Motif
+ * @returns {Promise<Object>}
+ */
+exports.decline = async (jobId, user, { reason } = {}) => {
+  const job = await findAccessibleJob(jobId, user);
+  assertRider(job, user);
+  if (job.status !== 'assigned') {
+    throw new BadRequestError('Seule une course en attente d\'acceptation peut être déclinée');
+  }
+
+  job.declinedBy.push({ rider: job.rider, reason, declinedAt: new Date() });
+  job.rider = null;
+  pushHistory(job, 'pending', user, reason ? `Course déclinée : ${reason}` : 'Course déclinée');
+  await job.save();
+  await syncOrderDelivery(job);
+
+  await notifyJob(job, 'declined');
+  if (config.deliveries.autoAssign) {
+    await autoAssignJob(job);
+  }
+  return job;
+};
+
+/**
+ * Enregistre l'étape déclarée par le livreur et fait avancer la commande
+ */
+const applyRiderStatus = async (job, status, user, notes) => {
+  pushHistory(job, status, user, notes);
+  if (status === 'delivered') {
+    job.completedAt = new Date();
+  }
+  await job.save();
+  await syncOrderDelivery(job);
+
+  if (['picked_up', 'delivered'].includes(status)) {
+    try {
+      await advanceOrder(job, status, user);
+    } catch (error) {
+      logger.error(`Commande ${job.order} non mise à jour après l'étape ${status} de la course ${job._id}:`, error);
+    }
+  }
+
+  await notifyJob(job, status);
+  return job;
+};
+
+/**
+ * Le livreur déclare une étape de la course (vêtements récupérés, en route, remis)
+ * La prise en charge et la remise d'une livraison font avancer la commande.
+ * La remise chez le client (collecte récupérée, livraison remise) passe par handover.
+ * @param {string} jobId - ID de la course
+ * @param {Object} user - Livreur ({ id, role })
+ * @param {Object} params
+ * @param {string} params.status - picked_up, in_transit ou delivered
+ * @param {string} [params.notes] - Commentaire
+ * @returns {Promise<Object>}
+ */
+exports.updateStatus = async (jobId, user, { status, notes } = {}) => {
+  const job = await findAccessibleJob(jobId, user);
+  assertRider(job, user);
+  assertRiderTransition(job, status);
+  if (status === HANDOVER_STATUS[job.type] && !job.proof) {
+    throw new BadRequestError('La remise doit être confirmée avec le code de remise du client');
+  }
+
+  return applyRiderStatus(job, status, user, notes);
+};
+
+/**
+ * Le livreur confirme la remise chez le client avec le code de remise (et, au choix, photo et signature) :
+ * vêtements récupérés pour une collecte, remis pour une livraison
+ * @param {string} jobId - ID de la course
+ * @param {Object} user - Livreur ({ id, role })
+ * @param {Object} input - Code, position, photo, signature et commentaire (voir handover.service)
+ * @returns {Promise<Object>}
+ */
+exports.handover = async (jobId, user, input = {}) => {
+  const job = await findAccessibleJob(jobId, user);
+  assertRider(job, user);
+  const status = HANDOVER_STATUS[job.type];
+  assertRiderTransition(job, status);
+
+  const order = await Order.findById(job.order);
+  if (!order) {
+    throw new NotFoundError('Commande de la course non trouvée');
+  }
+
+  const proof = await handoverService.recordHandover(order, job.type, user, { ...input, job });
+  job.proof = proof._id;
+  return applyRiderStatus(job, status, user, input.notes);
+};
+
+/**
+ * Le livreur signale un passage infructueux chez le client
+ * Au-delà de config.deliveries.maxAttempts tentatives, la course échoue et le pressing reprend la main.
+ * @param {string} jobId - ID de la course
+ * @param {Object} user - Livreur ({ id, role })
+ * @param {Object} params
+ * @param {string} params.reason - customer_absent, address_not_found, customer_refused, unreachable ou other
+ * @param {string} [params.notes] - Commentaire
+ * @param {Date} [params.rescheduledFor] - Nouveau passage convenu avec le client
+ * @returns {Promise<Object>}
+ */
+exports.recordFailedAttempt = async (jobId, user, { reason, notes, rescheduledFor } = {}) => {
+  if (!reason) {
+    throw new BadRequestError('Le motif de l\'échec du passage est requis');
+  }
+
+  const job = await findAccessibleJob(jobId, user);
+  assertRider(job, user);
+
+  // Le passage chez le client a lieu avant la prise en charge (collecte) ou après (livraison)
+  const atCustomer = job.type === 'pickup' ? ['accepted'] : ['picked_up', 'in_transit'];
+  if (!atCustomer.includes(job.status)) {
+    throw new BadRequestError('Aucun passage chez le client n\'est en cours pour cette course');
+  }
+
+  const nextAttempt = rescheduledFor ? new Date(rescheduledFor) : undefined;
+  if (nextAttempt && (Number.isNaN(nextAttempt.getTime()) || nextAttempt <= new Date())) {
+    throw new BadRequestError('Le nouveau passage doit être programmé dans le futur');
+  }
+
+  job.attempts.push({ rider: job.rider, reason, notes, attemptedAt: new Date(), rescheduledFor: nextAttempt });
+  const failed = job.attempts.length >= config.deliveries.maxAttempts;
+  if (failed) {
+    pushHistory(job, 'failed', user, `Course abandonnée après ${job.attempts.length} tentatives`);
+  } else if (nextAttempt) {
+    job.scheduledFor = nextAttempt;
+  }
+  await job.save();
+  await syncOrderDelivery(job);
+
+  await notifyJob(job, failed ? 'failed' : 'attempt_failed');
+  return job;
+};
+
+/**
+ * Annule une course non terminée
+ * @param {string} jobId - ID de la course
+ * @param {Object} user - Utilisateur ({ id, role })
+ * @param {Object} [params]
+ * @param {string} [params.reason] - Motif
+ * @returns {Promise<Object>}
+ */
+exports.cancel = async (jobId, user, { reason } = {}) => {
+  const job = await findAccessibleJob(jobId, user);
+  assertDispatcher(job, user);
+  if (CLOSED_JOB_STATUSES.includes(job.status)) {
+    throw new BadRequestError(`La course est déjà terminée (${job.status})`);
+  }
+  if (['picked_up', 'in_transit'].includes(job.status)) {
+    throw new BadRequestError('Les vêtements sont déjà pris en charge par le livreur');
+  }
+
+  pushHistory(job, 'cancelled', user, reason);
+  await job.save();
+  await syncOrderDelivery(job);
+
+  await notifyJob(job, 'cancelled');
+  return job;
+};
+
+exports.pickRider = pickRider;
+exports.assertRiderTransition = assertRiderTransition;
+exports.ACTIVE_JOB_STATUSES = ACTIVE_JOB_STATUSES;
@@ -0,0 +1,257 @@
+// Tarification dynamique de la livraison : frais de zone ou tranche de distance (trajet routier Mapbox,
+// à défaut vol d'oiseau corrigé), majorations aux heures de pointe et le week-end, supplément express,
+// livraison offerte au-delà d'un montant d'achat. Le détail est enregistré ligne à ligne dans order.fees.
+
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const DistanceCache = require('../models/distanceCache.model');
+const mapboxService = require('./mapbox.service');
+const { coalesce } = require('./geocoding.service');
+const { BadRequestError } = require('../utils/error.utils');
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+const formatKm = (meters) => `${(meters / 1000).toFixed(1).replace('.', ',')} km`;
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Règles de tarification d'un pressing, complétées par celles de la plateforme
+ * @param {Object} pressing
+ * @returns {Object} - { distanceBands, expressSurcharge, peakHours, weekendMultiplier, freeDeliveryThreshold, flatFee, timezone }
+ */
+const resolveRules = (pressing) => {
+  const defaults = config.deliveryPricing;
+  const options = (pressing && pressing.deliveryOptions) || {};
+  const own = options.pricing || {};
+  const pick = (value, fallback) => (value === undefined || value === null ? fallback : value);
+
+  return {
+    distanceBands: own.distanceBands && own.distanceBands.length ? own.distanceBands : defaults.distanceBands,
+    expressSurcharge: pick(own.expressSurcharge, defaults.expressSurcharge),
+    peakHours: own.peakHours && own.peakHours.length ? own.peakHours : defaults.peakHours,
+    weekendMultiplier: pick(own.weekendMultiplier, defaults.weekendMultiplier),
+    freeDeliveryThreshold: options.freeDeliveryThreshold || null,
+    flatFee: options.deliveryFee || defaults.flatFee,
+    timezone: defaults.timezone
+  };
+};
+
+/**
+ * Jour de la semaine et minute de la journée, en heure locale
+ * @param {Date} at
+ * @param {string} timezone
+ * @returns {{day: number, minutes: number}}
+ */
+const localTime = (at, timezone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(at);
+  const part = (type) => parts.find(entry => entry.type === type).value;
+
+  return { day: WEEKDAYS[part('weekday')], minutes: Number(part('hour')) * 60 + Number(part('minute')) };
+};
+
+/**
+ * Tranche de distance qui s'applique (null si l'adresse est au-delà de la dernière tranche)
+ * @param {Object[]} bands - Tranches { upToKm, fee }
+ * @param {number} meters
+ * @returns {Object|null}
+ */
+const distanceBand = (bands, meters) => [...bands]
+  .sort((a, b) => (a.upToKm ?? Infinity) - (b.upToKm ?? Infinity))
+  .find(band => band.upToKm === null || band.upToKm === undefined || meters <= band.upToKm * 1000) || null;
+
+/**
+ * Plage d'heure de pointe en cours, la plus chère si plusieurs se chevauchent
+ * @param {Object[]} peakHours - Plages { days, start, end, multiplier }
+ * @param {{day: number, minutes: number}} time
+ * @returns {Object|null}
+ */
+const peakHour = (peakHours, { day, minutes }) => peakHours
+  .filter(peak => !peak.days || !peak.days.length || peak.days.includes(day))
+  .filter(peak => minutes >= toMinutes(peak.start) && minutes < toMinutes(peak.end))
+  .sort((a, b) => b.multiplier - a.multiplier)[0] || null;
+
+/**
+ * Détail des frais de livraison à partir des frais de base
+ * @param {Object} rules - Règles (resolveRules)
+ * @param {Object} params
+ * @param {{amount: number, name: string, description: string}} params.base - Frais de zone ou de distance
+ * @param {number} params.subtotal - Montant des articles
+ * @param {boolean} [params.express=false] - Livraison express
+ * @param {Date} [params.at] - Heure de la livraison
+ * @returns {{fee: number, lines: Object[]}} - Total et lignes pour order.fees
+ */
+const buildQuote = (rules, { base, subtotal, express = false, at = new Date() }) => {
+  const time = localTime(at, rules.timezone);
+  const lines = [{ type: 'delivery', name: base.name, amount: base.amount, description: base.description }];
+
+  const peak = peakHour(rules.peakHours, time);
+  if (peak && peak.multiplier > 1) {
+    lines.push({
+      type: 'delivery',
+      name: 'Majoration heure de pointe',
+      amount: Math.round(base.amount * (peak.multiplier - 1)),
+      description: `x${peak.multiplier} entre ${peak.start} et ${peak.end}`
+    });
+  }
+
+  const weekend = time.day === 0 || time.day === 6;
+  if (weekend && rules.weekendMultiplier > 1) {
+    lines.push({
+      type: 'delivery',
+      name: 'Tarif week-end',
+      amount: Math.round(base.amount * (rules.weekendMultiplier - 1)),
+      description: `x${rules.weekendMultiplier} le samedi et le dimanche`
+    });
+  }
+
+  // Livraison offerte : seul le supplément express reste dû
+  if (rules.freeDeliveryThreshold && subtotal >= rules.freeDeliveryThreshold) {
+    lines.splice(0, lines.length, {
+      type: 'delivery',
+      name: 'Livraison offerte',
+      amount: 0,
+      description: `Dès ${rules.freeDeliveryThreshold} XOF d'achat`
+    });
+  }
+
+  if (express && rules.expressSurcharge > 0) {
+    lines.push({
+      type: 'delivery',
+      name: 'Supplément express',
+      amount: rules.expressSurcharge,
+      description: 'Livraison prioritaire'
+    });
+  }
+
+  return { fee: lines.reduce((sum, line) => sum + line.amount, 0), lines };
+};
+
+/**
+ * Clé de cache d'un trajet : position du pressing et point de livraison arrondis à 4 décimales (une dizaine de mètres)
+ * Un pressing qui déménage ne réutilise donc pas les distances de son ancienne adresse.
+ * @param {Object} origin - { longitude, latitude }
+ * @param {Object} destination - { longitude, latitude }
+ * @returns {string}
+ */
+const routeKey = (origin, destination) => [origin, destination]
+  .map(({ longitude, latitude }) => `${Number(longitude).toFixed(4)},${Number(latitude).toFixed(4)}`)
+  .reduce((from, to) => `route:${from}>${to}`);
+
+const readDistance = async (key) => {
+  try {
+    return await DistanceCache.findOneAndUpdate(
+      { key, expiresAt: { $gt: new Date() } },
+      { $inc: { hits: 1 } },
+      { new: true }
+    ).lean();
+  } catch (error) {
+    logger.warn(`Cache des distances indisponible (${key}): ${error.message}`);
+    return null;
+  }
+};
+
+const writeDistance = async (key, pressingId, meters) => {
+  try {
+    await DistanceCache.updateOne(
+      { key },
+      { $set: { pressing: pressingId, meters, expiresAt: new Date(Date.now() + config.deliveries.distanceCacheTtlHours * 60 * 60 * 1000) } },
+      { upsert: true }
+    );
+  } catch (error) {
+    logger.warn(`Échec de l'enregistrement de la distance ${key}: ${error.message}`);
+  }
+};
+
+/**
+ * Distance du pressing au point de livraison : trajet routier, à défaut vol d'oiseau corrigé du détour moyen
+ * Les trajets Mapbox sont conservés (DistanceCache) et partagés entre les demandes simultanées.
+ * @param {Object} pressing
+ * @param {number[]} point - [longitude, latitude] : position GPS, coordonnées transmises ou adresse géocodée, jamais un point par défaut
+ * @returns {Promise<{meters: number, source: string}|null>} - null si le pressing n'est pas géolocalisé
+ */
+const measureDistance = async (pressing, point) => {
+  const coordinates = pressing.address && pressing.address.coordinates && pressing.address.coordinates.coordinates;
+  if (!coordinates || coordinates.length !== 2) return null;
+
+  const origin = { longitude: coordinates[0], latitude: coordinates[1] };
+  const destination = { longitude: point[0], latitude: point[1] };
+  const key = routeKey(origin, destination);
+
+  return coalesce(key, async () => {
+    const cached = await readDistance(key);
+    if (cached) {
+      return { meters: cached.meters, source: 'cache' };
+    }
+
+    const route = await mapboxService.getDirections(origin, destination, { overview: 'false', steps: false });
+    if (route.success) {
+      await writeDistance(key, pressing._id, route.data.distance);
+      return { meters: route.data.distance, source: 'mapbox' };
+    }
+    return {
+      meters: Math.round(mapboxService.calculateDistance(origin, destination) * config.deliveries.roundDetourFactor),
+      source: 'haversine'
+    };
+  });
+};
+
+/**
+ * Frais de livraison d'une commande, ligne à ligne
+ * @param {Object} params
+ * @param {Object} params.pressing - Pressing
+ * @param {number[]} params.point - Point de livraison [longitude, latitude]
+ * @param {Object} [params.zone] - Zone de livraison qui couvre le point (ses frais remplacent la tranche de distance)
+ * @param {number} params.subtotal - Montant des articles
+ * @param {boolean} [params.express=false] - Livraison express
+ * @param {Date} [params.at] - Heure de la livraison
+ * @returns {Promise<{fee: number, lines: Object[], distanceMeters: number|null, distanceSource: string|null}>}
+ */
+const priceDelivery = async ({ pressing, point, zone, subtotal, express = false, at = new Date() }) => {
+  const rules = resolveRules(pressing);
+  let distance = null;
+  let base;
+
+  if (zone) {
+    base = { amount: zone.deliveryFee, name: `Livraison zone ${zone.name}`, description: 'Frais de la zone de livraison' };
+  } else {
+    distance = await measureDistance(pressing, point);
+    if (distance) {
+      const band = distanceBand(rules.distanceBands, distance.meters);
+      if (!band) {
+        throw new BadRequestError(`L'adresse de livraison est trop éloignée du pressing (${formatKm(distance.meters)})`);
+      }
+      base = {
+        amount: band.fee,
+        name: `Livraison (${formatKm(distance.meters)})`,
+        description: band.upToKm ? `Tranche jusqu'à ${band.upToKm} km` : 'Tranche longue distance'
+      };
+    } else {
+      // Pressing non géolocalisé : forfait
+      base = { amount: rules.flatFee, name: 'Livraison', description: 'Forfait de livraison à domicile' };
+    }
+  }
+
+  return {
+    ...buildQuote(rules, { base, subtotal, express, at }),
+    distanceMeters: distance ? distance.meters : null,
+    distanceSource: distance ? distance.source : null
+  };
+};
+
+exports.resolveRules = resolveRules;
+exports.localTime = localTime;
+exports.distanceBand = distanceBand;
+exports.buildQuote = buildQuote;
+exports.routeKey = routeKey;
+exports.measureDistance = measureDistance;
+exports.priceDelivery = priceDelivery;
@@ -0,0 +1,99 @@
+// Zones de livraison d'un pressing : polygones GeoJSON (index 2dsphere) qui fixent les frais de livraison,
+// le minimum de commande et le délai de livraison d'une adresse.
+// Quand plusieurs zones actives couvrent la même adresse, la zone de plus petit sortOrder l'emporte.
+
+const DeliveryZone = require('../models/deliveryZone.model');
+const { BadRequestError } = require('../utils/error.utils');
+
+/**
+ * Sommet [longitude, latitude] à partir d'un point { lat, lng } ou d'une paire [longitude, latitude]
+ * @param {Object|number[]} vertex
+ * @returns {number[]}
+ */
+const toPosition = (vertex) => {
+  const [lng, lat] = Array.isArray(vertex)
+    ? vertex.map(Number)
+    : [Number(vertex && (vertex.lng ?? vertex.longitude)), Number(vertex && (vertex.lat ?? vertex.latitude))];
+
+  if (!Number.isFinite(lng) || !Number.isFinite(lat) || lng < -180 || lng > 180 || lat < -90 || lat > 90) {
+    throw new BadRequestError('Coordonnées invalides');
+  }
+  return [lng, lat];
+};
+
+const samePosition = (a, b) => a[0] === b[0] && a[1] === b[1];
+
+/**
+ * Polygone GeoJSON d'une zone à partir de la saisie du pressing
+ * Accepte un polygone GeoJSON (seul l'anneau extérieur est retenu) ou une liste de sommets { lat, lng }.
+ * @param {Object|Object[]} input
+ * @returns {{area: Object, coordinates: Object[]}} - Polygone fermé et sommets { lat, lng }
+ */
+exports.toPolygon = (input) => {
+  const vertices = input && input.type === 'Polygon' && Array.isArray(input.coordinates)
+    ? input.coordinates[0]
+    : input;
+  if (!Array.isArray(vertices)) {
+    throw new BadRequestError('La zone doit être un polygone GeoJSON ou une liste de points { lat, lng }');
+  }
+
+  const ring = vertices.map(toPosition)
+    .filter((position, index, positions) => index === 0 || !samePosition(position, positions[index - 1]));
+  if (ring.length > 1 && samePosition(ring[0], ring[ring.length - 1])) {
+    ring.pop();
+  }
+  if (ring.length < 3) {
+    throw new BadRequestError('La zone doit compter au moins 3 points distincts');
+  }
+
+  return {
+    area: { type: 'Polygon', coordinates: [[...ring, ring[0]]] },
+    coordinates: ring.map(([lng, lat]) => ({ lat, lng }))
+  };
+};
+
+/**
+ * Zone active du pressing qui couvre un point
+ * @param {string} pressingId - ID du pressing
+ * @param {number[]} point - [longitude, latitude]
+ * @returns {Promise<Object|null>}
+ */
+exports.resolveZone = async (pressingId, point) => {
+  const [zone] = await DeliveryZone.findCovering(pressingId, toPosition(point)).limit(1);
+  return zone || null;
+};
+
+/**
+ * Indique si le pressing a tracé au moins une zone active (sinon, le forfait de livraison s'applique)
+ * @param {string} pressingId - ID du pressing
+ * @returns {Promise<boolean>}
+ */
+exports.hasZones = async (pressingId) => !!(await DeliveryZone.exists({
+  pressing: pressingId,
+  isActive: true,
+  'area.type': 'Polygon'
+}));
+
+/**
+ * Conditions de la zone reprises sur la commande
+ * @param {Object} zone
+ * @returns {Object}
+ */
+exports.snapshot = (zone) => ({
+  id: zone._id,
+  name: zone.name,
+  fee: zone.deliveryFee,
+  minOrder: zone.minOrder,
+  estimatedMinutes: zone.estimatedDeliveryTime
+});
+
+/**
+ * Vérifie le minimum de commande de la zone
+ * @param {Object} zone - Zone ou conditions reprises sur la commande
+ * @param {number} subtotal - Montant des articles
+ */
+exports.assertMinimumOrder = (zone, subtotal) => {
+  if (zone && zone.minOrder && subtotal < zone.minOrder) {
+    throw new BadRequestError(`Le minimum de commande pour la zone ${zone.name} est de ${zone.minOrder} XOF`);
+  }
+};
@@ -0,0 +1,530 @@
+// Litiges sur les commandes (articles abîmés, perdus, tachés...) : ouverture avec photos,
+// échanges entre le client, le pressing et l'administration, délais de traitement et résolution
+// (remboursement via refund.service, retraitement ou dédommagement sur le porte-monnaie).
+
+const Dispute = require('../models/dispute.model');
+const Order = require('../models/order.model');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const { BadRequestError, NotFoundError, ForbiddenError } = require('../utils/error.utils');
+const { ORDER_STATUS } = require('../config/orderStatus');
+const { ACTIVE_DISPUTE_STATUSES, DISPUTE_CATEGORIES } = Dispute;
+const paymentService = require('./payment.service');
+const refundService = require('./refund.service');
+const notificationService = require('./notification.service');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Statuts de commande pour lesquels une réclamation peut être ouverte
+const DISPUTABLE_ORDER_STATUSES = [
+  ORDER_STATUS.READY_FOR_PICKUP,
+  ORDER_STATUS.OUT_FOR_DELIVERY,
+  ORDER_STATUS.ON_HOLD,
+  ORDER_STATUS.COMPLETED
+];
+
+// Issues qu'un pressing peut proposer lui-même (le dédommagement relève de la plateforme)
+const PRESSING_OUTCOMES = ['refund', 'reclean'];
+
+/**
+ * Prévient les parties sans interrompre le traitement
+ * @param {Object} dispute - Litige
+ * @param {string} event - Événement
+ * @param {string} [actor] - Rôle à l'origine de l'événement
+ */
+const notifyParties = async (dispute, event, actor) => {
+  try {
+    await notificationService.notifyDisputeUpdate(dispute, { event, actor });
+  } catch (error) {
+    logger.error(`Erreur lors de la notification du litige ${dispute.reference}:`, error);
+  }
+};
+
+/**
+ * Vérifie qu'un utilisateur est partie au litige (ou administrateur)
+ * @param {Object} dispute - Litige
+ * @param {Object} user - Utilisateur ({ id, role })
+ * @returns {boolean}
+ */
+const canAccess = (dispute, user) => {
+  if (user.role === 'admin') return true;
+  if (user.role === 'client') return dispute.customer.toString() === user.id.toString();
+  if (user.role === 'pressing') return dispute.pressing.toString() === user.id.toString();
+  return false;
+};
+
+/**
+ * Charge un litige et vérifie l'accès de l'utilisateur
+ * @param {string} id - ID du litige
+ * @param {Object} user - Utilisateur ({ id, role })
+ * @returns {Promise<Object>}
+ */
+const findAccessibleDispute = async (id, user) => {
+  const dispute = await Dispute.findById(id);
+  if (!dispute || !canAccess(dispute, user)) {
+    throw new NotFoundError('Litige non trouvé');
+  }
+  return dispute;
+};
+
+/**
+ * Vérifie qu'un litige est encore en cours de traitement
+ * @param {Object} dispute - Litige
+ */
+const assertActive = (dispute) => {
+  if (!ACTIVE_DISPUTE_STATUSES.includes(dispute.status)) {
+    throw new BadRequestError(`Le litige est clos (statut ${dispute.status})`);
+  }
+};
+
+/**
+ * Transmet un litige à l'administration
+ * @param {Object} dispute - Litige
+ * @param {string} actor - Rôle à l'origine de la transmission
+ * @param {string} reason - Motif
+ */
+const escalate = (dispute, actor, reason) => {
+  dispute.escalatedAt = new Date();
+  dispute.escalationReason = reason;
+  dispute.setStatus('escalated', actor, reason);
+};
+
+/**
+ * Date limite de résolution d'un litige ouvert à une date donnée
+ * @param {Date} openedAt
+ * @returns {{responseDueAt: Date, resolutionDueAt: Date}}
+ */
+const computeSla = (openedAt) => ({
+  responseDueAt: new Date(openedAt.getTime() + config.disputes.responseHours * HOUR),
+  resolutionDueAt: new Date(openedAt.getTime() + config.disputes.resolutionHours * HOUR)
+});
+
+/**
+ * Vérifie qu'une réclamation peut être ouverte sur la commande
+ * @param {Object} order - Commande
+ * @param {Date} [now]
+ */
+const assertDisputable = (order, now = new Date()) => {
+  if (!DISPUTABLE_ORDER_STATUSES.includes(order.status)) {
+    throw new BadRequestError(`Impossible d'ouvrir un litige sur une commande au statut ${order.status}`);
+  }
+
+  if (order.status === ORDER_STATUS.COMPLETED) {
+    const completedAt = (order.delivery && order.delivery.actualDeliveryTime) || order.updatedAt;
+    if (completedAt && now - new Date(completedAt) > config.disputes.openWindowDays * DAY) {
+      throw new BadRequestError(`Le délai de réclamation de ${config.disputes.openWindowDays} jours après la livraison est dépassé`);
+    }
+  }
+};
+
+/**
+ * Ouvre un litige sur une commande (client)
+ * @param {Object} params
+ * @param {string} params.orderId - ID de la commande
+ * @param {Object} params.user - Client ({ id, role })
+ * @param {string} params.category - Nature du litige
+ * @param {string} params.description - Description
+ * @param {Object[]} [params.items] - Articles concernés ({ item, quantity })
+ * @param {number} [params.claimedAmount] - Montant réclamé
+ * @param {Object[]} [params.evidence] - Photos déjà téléversées ({ url, publicId })
+ * @returns {Promise<Object>} - Litige créé
+ */
+exports.openDispute = async ({ orderId, user, category, description, items = [], claimedAmount, evidence = [] }) => {
+  const order = await Order.findById(orderId);
+  if (!order || order.customer.toString() !== user.id.toString()) {
+    throw new NotFoundError('Commande non trouvée');
+  }
+  if (!DISPUTE_CATEGORIES.includes(category)) {
+    throw new BadRequestError(`Nature du litige invalide (${DISPUTE_CATEGORIES.join(', ')})`);
+  }
+  assertDisputable(order);
+
+  const existing = await Dispute.findOne({ order: order._id, status: { $in: ACTIVE_DISPUTE_STATUSES } });
+  if (existing) {
+    throw new BadRequestError(`Un litige est déjà en cours pour cette commande (${existing.reference})`);
+  }
+
+  const lines = items.map(({ item: itemId, quantity = 1 }) => {
+    const item = order.items.id(itemId);
+    if (!item) {
+      throw new NotFoundError(`Article non trouvé dans la commande: ${itemId}`);
+    }
+    const value = parseInt(quantity, 10);
+    if (!(value >= 1) || value > item.quantity) {
+      throw new BadRequestError(`Quantité invalide pour ${item.serviceDetails.name} (maximum ${item.quantity})`);
+    }
+    return { item: item._id, name: item.serviceDetails.name, quantity: value };
+  });
+
+  const author = { id: user.id.toString(), role: user.role };
+  const openedAt = new Date();
+  const dispute = new Dispute({
+    reference: paymentService.generateReference('LIT'),
+    order: order._id,
+    customer: order.customer,
+    pressing: order.pressing,
+    openedBy: author,
+    category,
+    items: lines,
+    description,
+    claimedAmount,
+    evidence: evidence.map(photo => ({ ...photo, uploadedBy: author })),
+    sla: computeSla(openedAt)
+  });
+  dispute.setStatus('open', user.role, description);
+  await dispute.save();
+
+  logger.info(`Litige ${dispute.reference} ouvert sur la commande ${order.orderNumber}`);
+  await notifyParties(dispute, 'opened', user.role);
+  return dispute;
+};
+
+/**
+ * Ajoute un message (et ses pièces jointes) au fil d'un litige
+ * La première réponse du pressing fait passer le litige en discussion.
+ * @param {string} id - ID du litige
+ * @param {Object} user - Auteur ({ id, role })
+ * @param {Object} params
+ * @param {string} params.body - Message
+ * @param {Object[]} [params.attachments] - Photos déjà téléversées ({ url, publicId })
+ * @param {boolean} [params.internal=false] - Note interne (administration uniquement)
+ * @returns {Promise<Object>}
+ */
+exports.addMessage = async (id, user, { body, attachments = [], internal = false }) => {
+  const dispute = await findAccessibleDispute(id, user);
+  assertActive(dispute);
+  if (internal && user.role !== 'admin') {
+    throw new ForbiddenError('Seule l\'administration peut ajouter une note interne');
+  }
+
+  const author = { id: user.id.toString(), role: user.role };
+  dispute.messages.push({
+    author,
+    body,
+    attachments: attachments.map(photo => ({ ...photo, uploadedBy: author })),
+    internal: Boolean(internal)
+  });
+
+  if (user.role === 'pressing' && !dispute.sla.firstResponseAt) {
+    dispute.sla.firstResponseAt = new Date();
+    if (dispute.status === 'open') {
+      dispute.setStatus('in_discussion', 'pressing', 'Première réponse du pressing');
+    }
+  }
+  await dispute.save();
+
+  if (!internal) await notifyParties(dispute, 'message', user.role);
+  return dispute;
+};
+
+/**
+ * Ajoute des photos justificatives au dossier
+ * @param {string} id - ID du litige
+ * @param {Object} user - Utilisateur ({ id, role })
+ * @param {Object[]} photos - Photos déjà téléversées ({ url, publicId, caption })
+ * @returns {Promise<Object>}
+ */
+exports.addEvidence = async (id, user, photos) => {
+  if (!photos.length) {
+    throw new BadRequestError('Aucune photo fournie');
+  }
+
+  const dispute = await findAccessibleDispute(id, user);
+  assertActive(dispute);
+
+  const author = { id: user.id.toString(), role: user.role };
+  photos.forEach(photo => dispute.evidence.push({ ...photo, uploadedBy: author }));
+  await dispute.save();
+  return dispute;
+};
+
+/**
+ * Demande l'arbitrage de l'administration (client ou pressing)
+ * @param {string} id - ID du litige
+ * @param {Object} user - Utilisateur ({ id, role })
+ * @param {string} [reason] - Motif
+ * @returns {Promise<Object>}
+ */
+exports.escalateDispute = async (id, user, reason) => {
+  const dispute = await findAccessibleDispute(id, user);
+  assertActive(dispute);
+  if (dispute.status === 'escalated') {
+    throw new BadRequestError('Le litige est déjà examiné par l\'administration');
+  }
+
+  escalate(dispute, user.role, reason || `Arbitrage demandé par le ${user.role === 'client' ? 'client' : 'pressing'}`);
+  await dispute.save();
+
+  await notifyParties(dispute, 'escalated', user.role);
+  return dispute;
+};
+
+/**
+ * Résout un litige
+ * Le pressing peut rembourser ou retraiter tant que le litige n'est pas entre les mains
+ * de l'administration ; le dédommagement sur porte-monnaie est réservé à l'administration.
+ * @param {string} id - ID du litige
+ * @param {Object} user - Utilisateur ({ id, role })
+ * @param {Object} params
+ * @param {string} params.outcome - refund, reclean ou compensation
+ * @param {number} [params.amount] - Montant (remboursement partiel ou dédommagement)
+ * @param {string} [params.notes] - Commentaire communiqué aux parties
+ * @param {string} [params.destination] - Destination du remboursement (original ou wallet)
+ * @param {Date} [params.recleanDueAt] - Date de restitution de l'article retraité
+ * @returns {Promise<Object>}
+ */
+exports.resolveDispute = async (id, user, { outcome, amount, notes, destination, recleanDueAt }) => {
+  const dispute = await findAccessibleDispute(id, user);
+  assertActive(dispute);
+
+  if (user.role === 'pressing') {
+    if (dispute.status === 'escalated') {
+      throw new ForbiddenError('Ce litige est examiné par l\'administration');
+    }
+    if (!PRESSING_OUTCOMES.includes(outcome)) {
+      throw new ForbiddenError('Le pressing peut uniquement rembourser ou retraiter l\'article');
+    }
+  } else if (user.role !== 'admin') {
+    throw new ForbiddenError('Seuls le pressing et l\'administration peuvent résoudre un litige');
+  }
+
+  const resolution = {
+    outcome,
+    notes,
+    resolvedBy: { id: user.id.toString(), role: user.role },
+    resolvedAt: new Date()
+  };
+
+  if (outcome === 'refund') {
+    const refundRequest = await refundService.createRefundRequest({
+      orderId: dispute.order,
+      user,
+      ...(amount !== undefined || !dispute.items.length
+        ? { type: amount !== undefined ? 'partial' : 'full', amount }
+        : { type: 'items', items: dispute.items.map(line => ({ item: line.item, quantity: line.quantity })) }),
+      reason: `Litige ${dispute.reference}`,
+      description: notes,
+      destination
+    });
+    resolution.refundRequest = refundRequest._id;
+    resolution.amount = refundRequest.amount;
+  } else if (outcome === 'compensation') {
+    const transaction = await paymentService.creditCompensation({
+      clientId: dispute.customer,
+      amount,
+      description: `Dédommagement litige ${dispute.reference}`,
+      relatedTo: dispute._id,
+      relatedToModel: 'Dispute'
+    });
+    resolution.compensationTransaction = transaction._id;
+    resolution.amount = transaction.amount;
+  } else if (outcome === 'reclean') {
+    resolution.recleanDueAt = recleanDueAt ? new Date(recleanDueAt) : undefined;
+  } else {
+    throw new BadRequestError('Issue invalide (refund, reclean ou compensation)');
+  }
+
+  dispute.resolution = resolution;
+  dispute.setStatus('resolved', user.role, notes);
+  await dispute.save();
+
+  logger.info(`Litige ${dispute.reference} résolu (${outcome}) par ${user.role}`);
+  await notifyParties(dispute, 'resolved', user.role);
+  return dispute;
+};
+
+/**
+ * Clôt un litige sans suite (administration)
+ * @param {string} id - ID du litige
+ * @param {Object} user - Administrateur ({ id, role })
+ * @param {string} notes - Motif communiqué aux parties
+ * @returns {Promise<Object>}
+ */
+exports.rejectDispute = async (id, user, notes) => {
+  if (!notes) {
+    throw new BadRequestError('Le motif de la décision est requis');
+  }
+
+  const dispute = await findAccessibleDispute(id, user);
+  assertActive(dispute);
+
+  dispute.resolution = {
+    outcome: 'none',
+    notes,
+    resolvedBy: { id: user.id.toString(), role: user.role },
+    resolvedAt: new Date()
+  };
+  dispute.setStatus('rejected', user.role, notes);
+  await dispute.save();
+
+  await notifyParties(dispute, 'rejected', user.role);
+  return dispute;
+};
+
+/**
+ * Retire un litige (client)
+ * @param {string} id - ID du litige
+ * @param {Object} user - Client ({ id, role })
+ * @returns {Promise<Object>}
+ */
+exports.withdrawDispute = async (id, user) => {
+  const dispute = await findAccessibleDispute(id, user);
+  assertActive(dispute);
+  if (user.role !== 'client') {
+    throw new ForbiddenError('Seul le client peut retirer sa réclamation');
+  }
+
+  dispute.setStatus('withdrawn', 'client', 'Réclamation retirée par le client');
+  await dispute.save();
+
+  await notifyParties(dispute, 'withdrawn', 'client');
+  return dispute;
+};
+
+/**
+ * Attribue un litige à un administrateur
+ * @param {string} id - ID du litige
+ * @param {string} adminId - ID de l'administrateur
+ * @returns {Promise<Object>}
+ */
+exports.assignDispute = async (id, adminId) => {
+  const dispute = await Dispute.findById(id);
+  if (!dispute) {
+    throw new NotFoundError('Litige non trouvé');
+  }
+  assertActive(dispute);
+
+  dispute.assignedTo = adminId.toString();
+  if (dispute.status !== 'escalated') {
+    escalate(dispute, 'admin', 'Pris en charge par l\'administration');
+  }
+  await dispute.save();
+  return dispute;
+};
+
+/**
+ * Transmet à l'administration les litiges dont les délais sont dépassés
+ * @param {Date} [now]
+ * @returns {Promise<{responseBreaches: number, resolutionBreaches: number}>}
+ */
+exports.checkSlaBreaches = async (now = new Date()) => {
+  const summary = { responseBreaches: 0, resolutionBreaches: 0 };
+
+  const unanswered = await Dispute.find({
+    status: 'open',
+    'sla.firstResponseAt': null,
+    'sla.responseBreachedAt': null,
+    'sla.responseDueAt': { $lte: now }
+  });
+  for (const dispute of unanswered) {
+    dispute.sla.responseBreachedAt = now;
+    escalate(dispute, 'system', 'Délai de réponse du pressing dépassé');
+    await dispute.save();
+    summary.responseBreaches += 1;
+    await notifyParties(dispute, 'sla_breached', 'system');
+  }
+
+  const overdue = await Dispute.find({
+    status: { $in: ACTIVE_DISPUTE_STATUSES },
+    'sla.resolutionBreachedAt': null,
+    'sla.resolutionDueAt': { $lte: now }
+  });
+  for (const dispute of overdue) {
+    dispute.sla.resolutionBreachedAt = now;
+    if (dispute.status !== 'escalated') {
+      escalate(dispute, 'system', 'Délai de résolution dépassé');
+    }
+    await dispute.save();
+    summary.resolutionBreaches += 1;
+    await notifyParties(dispute, 'sla_breached', 'system');
+  }
+
+  if (summary.responseBreaches || summary.resolutionBreaches) {
+    logger.info(`Litiges hors délai: ${summary.responseBreaches} sans réponse, ${summary.resolutionBreaches} non résolus`);
+  }
+  return summary;
+};
+
+/**
+ * Liste paginée des litiges d'un client ou d'un pressing
+ * @param {Object} user - Utilisateur ({ id, role })
+ * @param {Object} [filters]
+ * @returns {Promise<{disputes: Object[], total: number}>}
+ */
+exports.listDisputes = async (user, { status, order, page = 1, limit = 20 } = {}) => {
+  const filter = user.role === 'pressing' ? { pressing: user.id } : { customer: user.id };
+  if (status) filter.status = status;
+  if (order) filter.order = order;
+
+  const [disputes, total] = await Promise.all([
+    Dispute.find(filter)
+      .select('-messages')
+      .populate('order', 'orderNumber status')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(parseInt(limit)),
+    Dispute.countDocuments(filter)
+  ]);
+
+  return { disputes, total };
+};
+
+/**
+ * File de traitement de l'administration : litiges en cours, échéance la plus proche d'abord
+ * @param {Object} [filters]
+ * @param {string} [filters.status] - Statut (par défaut tous les litiges en cours)
+ * @param {boolean} [filters.breached] - Uniquement les litiges hors délai
+ * @param {string} [filters.assignedTo] - Administrateur en charge
+ * @param {string} [filters.pressing] - Pressing
+ * @returns {Promise<{disputes: Object[], total: number, counts: Object}>}
+ */
+exports.getAdminQueue = async ({ status, breached, assignedTo, pressing, page = 1, limit = 20 } = {}) => {
+  const filter = { status: status || { $in: ACTIVE_DISPUTE_STATUSES } };
+  if (assignedTo) filter.assignedTo = assignedTo;
+  if (pressing) filter.pressing = pressing;
+  if (breached) {
+    filter.$or = [
+      { 'sla.responseBreachedAt': { $ne: null } },
+      { 'sla.resolutionBreachedAt': { $ne: null } }
+    ];
+  }
+
+  const [disputes, total, byStatus] = await Promise.all([
+    Dispute.find(filter)
+      .select('-messages')
+      .populate('order', 'orderNumber status payment.amount.total')
+      .populate('customer', 'nom prenom telephone')
+      .populate('pressing', 'businessName')
+      .sort({ 'sla.resolutionDueAt': 1 })
+      .skip((page - 1) * limit)
+      .limit(parseInt(limit)),
+    Dispute.countDocuments(filter),
+    Dispute.aggregate([
+      { $match: { status: { $in: ACTIVE_DISPUTE_STATUSES } } },
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ])
+  ]);
+
+  const counts = byStatus.reduce((acc, { _id, count }) => ({ ...acc, [_id]: count }), {});
+  return { disputes, total, counts };
+};
+
+/**
+ * Représentation d'un litige pour un utilisateur : les notes internes ne sont visibles que de l'administration
+ * @param {Object} dispute - Litige
+ * @param {Object} user - Utilisateur ({ role })
+ * @returns {Object}
+ */
+exports.serializeDispute = (dispute, user) => {
+  const data = dispute.toJSON();
+  if (user.role !== 'admin') {
+    data.messages = (data.messages || []).filter(message => !message.internal);
+    delete data.assignedTo;
+  }
+  return data;
+};
+
+exports.getDispute = findAccessibleDispute;
+exports.computeSla = computeSla;
+exports.assertDisputable = assertDisputable;
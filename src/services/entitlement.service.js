@@ -0,0 +1,227 @@
+// Droits des pressings selon leur formule d'abonnement.
+// Les limites viennent du catalogue (SubscriptionPlan.entitlements) via Abonnement.planId, à défaut via le code
+// de la formule ; un pressing sans abonnement est traité comme en période d'essai.
+// Une limite à null est illimitée ; une fonctionnalité booléenne absente de la formule est refusée.
+
+const SubscriptionPlan = require('../models/subscriptionPlan.model');
+const { Abonnement } = require('../models/abonnement.model');
+const Pressing = require('../models/pressing.model');
+const Service = require('../models/service.model');
+const DeliveryZone = require('../models/deliveryZone.model');
+const Rider = require('../models/rider.model');
+const { DEFAULT_PLANS } = require('../config/subscriptionPlans');
+const { UpgradeRequiredError } = require('../utils/error.utils');
+
+const TRIAL_PLAN = 'essai';
+
+// Limites chiffrées : libellé du message, décompte de l'usage actuel et retrait d'un ajout en trop
+const LIMITS = {
+  maxServices: {
+    label: 'services au catalogue',
+    count: (pressingId) => Service.countDocuments({ pressing: pressingId }),
+    discard: (service) => Service.deleteOne({ _id: service._id })
+  },
+  maxGalleryPhotos: {
+    label: 'photos dans la galerie',
+    count: async (pressingId) => {
+      const pressing = await Pressing.findById(pressingId).select('photos').lean();
+      return pressing && pressing.photos ? pressing.photos.length : 0;
+    },
+    discard: (photo, pressingId) => Pressing.updateOne({ _id: pressingId }, { $pull: { photos: { _id: photo._id } } })
+  },
+  maxDeliveryZones: {
+    label: 'zones de livraison',
+    count: (pressingId) => DeliveryZone.countDocuments({ pressing: pressingId }),
+    discard: (zone) => DeliveryZone.deleteOne({ _id: zone._id })
+  },
+  // Comptes livreurs de la flotte du pressing
+  staffSeats: {
+    label: 'comptes livreurs',
+    count: (pressingId) => Rider.countDocuments({ pressing: pressingId }),
+    discard: (rider) => Rider.deleteOne({ _id: rider._id })
+  }
+};
+
+// Fonctionnalités incluses ou non, et message de refus
+const FEATURES = {
+  promotions: 'Les promotions ne sont pas incluses',
+  advancedStats: 'Les statistiques avancées ne sont pas incluses',
+  prioritySupport: 'Le support prioritaire n\'est pas inclus'
+};
+
+/**
+ * Compare un usage à une limite de la formule
+ * @param {Object} entitlements - Droits de la formule
+ * @param {string} limit - Clé de LIMITS
+ * @param {number} current - Usage actuel
+ * @param {number} [adding=1] - Quantité ajoutée
+ * @returns {Object} - { allowed, limit, current, remaining } (remaining null : illimité)
+ */
+const evaluateLimit = (entitlements, limit, current, adding = 1) => {
+  const max = entitlements[limit];
+  if (max === null || max === undefined) {
+    return { allowed: true, limit: null, current, remaining: null };
+  }
+  return {
+    allowed: current + adding <= max,
+    limit: max,
+    current,
+    remaining: Math.max(max - current, 0)
+  };
+};
+
+/**
+ * Formule d'un pressing et ses droits
+ * @param {string} pressingId
+ * @returns {Promise<Object>} - { plan, planName, entitlements }
+ */
+const resolveEntitlements = async (pressingId) => {
+  const abonnement = await Abonnement.findOne({ pressing: pressingId }).select('plan planId').lean();
+  let code = abonnement && abonnement.plan;
+  if (!code) {
+    const pressing = await Pressing.findById(pressingId).select('subscription.plan').lean();
+    code = (pressing && pressing.subscription && pressing.subscription.plan) || TRIAL_PLAN;
+  }
+
+  const plan = (abonnement && abonnement.planId && await SubscriptionPlan.findById(abonnement.planId).lean())
+    || await SubscriptionPlan.findOne({ code }).lean()
+    || DEFAULT_PLANS.find(definition => definition.code === code)
+    || DEFAULT_PLANS.find(definition => definition.code === TRIAL_PLAN);
+
+  // Les valeurs par défaut du schéma complètent une formule incomplète
+  const entitlements = new SubscriptionPlan({ code: plan.code, entitlements: plan.entitlements }).entitlements.toObject();
+
+  return { plan: plan.code, planName: plan.name, entitlements };
+};
+
+/**
+ * Formules publiques qui lèveraient le blocage
+ * @param {Function} satisfies - (entitlements) => boolean
+ * @returns {Promise<Object[]>} - [{ code, name, price, billingCycle }]
+ */
+const upgradeOptions = async (satisfies) => {
+  const plans = await SubscriptionPlan.find({ isActive: true, isPublic: true, price: { $gt: 0 } })
+    .select('code name price billingCycle entitlements')
+    .sort({ sortOrder: 1, price: 1 })
+    .lean();
+  return plans
+    .filter(plan => satisfies({ ...plan.entitlements }))
+    .map(({ code, name, price, billingCycle }) => ({ code, name, price, billingCycle }));
+};
+
+/**
+ * Erreur de limite atteinte, avec les formules qui la lèveraient
+ * @param {Object} resolved - Résultat de resolveEntitlements
+ * @param {string} limit - Clé de LIMITS
+ * @param {number} used - Usage actuel
+ * @param {number} adding - Quantité ajoutée
+ * @returns {Promise<UpgradeRequiredError>}
+ */
+const limitExceeded = async ({ plan, planName, entitlements }, limit, used, adding) => new UpgradeRequiredError(
+  `Votre formule ${planName} est limitée à ${entitlements[limit]} ${LIMITS[limit].label}. Passez à une formule supérieure pour en ajouter.`,
+  {
+    feature: limit,
+    limit: entitlements[limit],
+    current: used,
+    plan,
+    upgradeOptions: await upgradeOptions(candidate => evaluateLimit(candidate, limit, used, adding).allowed)
+  }
+);
+
+/**
+ * Vérifie qu'un pressing peut ajouter un élément soumis à une limite de sa formule
+ * @param {string} pressingId
+ * @param {string} limit - maxServices, maxGalleryPhotos, maxDeliveryZones ou staffSeats
+ * @param {Object} [options]
+ * @param {number} [options.adding=1] - Quantité ajoutée
+ * @param {number} [options.current] - Usage actuel, s'il est déjà connu de l'appelant
+ * @returns {Promise<Object>} - Résultat de evaluateLimit
+ * @throws {UpgradeRequiredError} - Si la limite serait dépassée
+ */
+const assertWithinLimit = async (pressingId, limit, { adding = 1, current } = {}) => {
+  const resolved = await resolveEntitlements(pressingId);
+  const used = current !== undefined ? current : await LIMITS[limit].count(pressingId);
+  const result = evaluateLimit(resolved.entitlements, limit, used, adding);
+
+  if (!result.allowed) {
+    throw await limitExceeded(resolved, limit, used, adding);
+  }
+  return result;
+};
+
+/**
+ * Recompte l'usage après un ajout et retire l'élément ajouté si la limite est dépassée
+ * Des ajouts simultanés passent tous la vérification préalable : le recomptage, fait une fois l'élément
+ * enregistré, les empêche de dépasser la limite (au pire, tous sont refusés et peuvent être retentés).
+ * @param {string} pressingId
+ * @param {string} limit - maxServices, maxGalleryPhotos, maxDeliveryZones ou staffSeats
+ * @param {Object} added - Élément ajouté ({ _id })
+ * @returns {Promise<void>}
+ * @throws {UpgradeRequiredError} - Si la limite est dépassée (l'élément a été retiré)
+ */
+const confirmWithinLimit = async (pressingId, limit, added) => {
+  const resolved = await resolveEntitlements(pressingId);
+  const used = await LIMITS[limit].count(pressingId);
+  if (evaluateLimit(resolved.entitlements, limit, used, 0).allowed) return;
+
+  await LIMITS[limit].discard(added, pressingId);
+  throw await limitExceeded(resolved, limit, used - 1, 1);
+};
+
+/**
+ * Vérifie qu'une fonctionnalité est incluse dans la formule d'un pressing
+ * @param {string} pressingId
+ * @param {string} feature - promotions, advancedStats ou prioritySupport
+ * @returns {Promise<void>}
+ * @throws {UpgradeRequiredError} - Si la fonctionnalité n'est pas incluse
+ */
+const assertFeature = async (pressingId, feature) => {
+  const { plan, planName, entitlements } = await resolveEntitlements(pressingId);
+
+  if (!entitlements[feature]) {
+    throw new UpgradeRequiredError(
+      `${FEATURES[feature]} dans votre formule ${planName}. Passez à une formule supérieure pour en bénéficier.`,
+      {
+        feature,
+        plan,
+        upgradeOptions: await upgradeOptions(entitlements => Boolean(entitlements[feature]))
+      }
+    );
+  }
+};
+
+/**
+ * Droits d'un pressing et usage actuel de chaque limite
+ * @param {string} pressingId
+ * @returns {Promise<Object>} - { plan, planName, features, limits }
+ */
+const getUsage = async (pressingId) => {
+  const { plan, planName, entitlements } = await resolveEntitlements(pressingId);
+
+  const limits = {};
+  await Promise.all(Object.entries(LIMITS).map(async ([limit, { count }]) => {
+    limits[limit] = evaluateLimit(entitlements, limit, await count(pressingId), 0);
+  }));
+
+  const features = Object.keys(FEATURES).reduce((included, feature) => {
+    included[feature] = Boolean(entitlements[feature]);
+    return included;
+  }, {});
+
+  return {
+    plan,
+    planName,
+    features,
+    limits: {
+      ...limits,
+      maxOrdersPerMonth: { limit: entitlements.maxOrdersPerMonth }
+    }
+  };
+};
+
+exports.evaluateLimit = evaluateLimit;
+exports.resolveEntitlements = resolveEntitlements;
+exports.assertWithinLimit = assertWithinLimit;
+exports.confirmWithinLimit = confirmWithinLimit;
+exports.assertFeature = assertFeature;
+exports.getUsage = getUsage;
@@ -0,0 +1,232 @@
+// Moteur de règles de frais : commission de la plateforme, frais de service et TVA.
+// Les règles sont évaluées à la création de la commande et le résultat est figé
+// sur la commande (order.pricing) pour que les modifications ultérieures ne réécrivent pas l'historique.
+
+const FeeRule = require('../models/feeRule.model');
+const { FEE_RULE_TYPES, VAT_BASES } = require('../models/feeRule.model');
+const config = require('../config/config');
+
+// Poids de chaque condition dans la spécificité d'une règle
+const SPECIFICITY = { pressing: 4, category: 2, plan: 1 };
+
+const NAMES = {
+  commission: 'Commission plateforme',
+  service_fee: 'Frais de service',
+  vat: 'TVA'
+};
+
+/**
+ * Règle par défaut issue de la configuration, utilisée quand aucune règle ne correspond
+ * @param {string} type
+ * @returns {Object}
+ */
+const defaultRule = (type) => ({
+  _id: null,
+  name: `${NAMES[type]} (par défaut)`,
+  type,
+  calculation: 'percentage',
+  value: config.fees.defaults[type] || 0,
+  conditions: {},
+  ...(type === FEE_RULE_TYPES.VAT && { appliesTo: VAT_BASES })
+});
+
+const normalize = (value) => (value ? String(value).trim().toLowerCase() : value);
+
+/**
+ * Vérifie qu'une règle s'applique au contexte
+ * @param {Object} rule
+ * @param {Object} context - {pressing, plan, category}
+ * @returns {boolean}
+ */
+const matches = (rule, { pressing, plan, category }) => {
+  const conditions = rule.conditions || {};
+  if (conditions.pressing && String(conditions.pressing) !== String(pressing)) return false;
+  if (conditions.plan && conditions.plan !== plan) return false;
+  if (conditions.category && normalize(conditions.category) !== normalize(category)) return false;
+  return true;
+};
+
+const specificity = (rule) => Object.keys(SPECIFICITY)
+  .reduce((score, key) => score + (rule.conditions && rule.conditions[key] ? SPECIFICITY[key] : 0), 0);
+
+/**
+ * Choisit la règle la plus spécifique d'un type pour un contexte
+ * @param {Object[]} rules - Règles actives
+ * @param {string} type - Type de règle
+ * @param {Object} context - {pressing, plan, category}
+ * @returns {Object} - Règle retenue (règle par défaut à défaut)
+ */
+const selectRule = (rules, type, context) => {
+  const candidates = rules
+    .filter(rule => rule.type === type && matches(rule, context))
+    .sort((a, b) => (specificity(b) - specificity(a))
+      || ((b.priority || 0) - (a.priority || 0))
+      || (new Date(b.createdAt || 0) - new Date(a.createdAt || 0)));
+
+  return candidates[0] || defaultRule(type);
+};
+
+/**
+ * Montant produit par une règle sur une base (arrondi au franc)
+ * @param {Object} rule
+ * @param {number} base
+ * @returns {number}
+ */
+const computeAmount = (rule, base) => {
+  if (base <= 0) return 0;
+
+  let amount = rule.calculation === 'flat' ? rule.value : base * rule.value / 100;
+  if (rule.minAmount !== undefined && rule.minAmount !== null) amount = Math.max(amount, rule.minAmount);
+  if (rule.maxAmount !== undefined && rule.maxAmount !== null) amount = Math.min(amount, rule.maxAmount);
+
+  return Math.round(amount);
+};
+
+/**
+ * Trace d'une règle appliquée, conservée dans l'instantané de la commande
+ */
+const toAppliedRule = (rule, base, amount, categories) => ({
+  rule: rule._id,
+  name: rule.name,
+  type: rule.type,
+  calculation: rule.calculation,
+  value: rule.value,
+  base,
+  amount,
+  ...(categories && { categories })
+});
+
+/**
+ * Calcule la tarification d'une commande à partir d'un jeu de règles
+ * @param {Object[]} rules - Règles actives
+ * @param {Object} params
+ * @param {string} params.pressing - ID du pressing
+ * @param {string} [params.plan] - Formule d'abonnement du pressing
+ * @param {Array<{category: string, amount: number}>} params.items - Lignes (montant total par ligne)
+ * @param {number} [params.deliveryFee=0] - Frais de livraison
+ * @returns {Object} - Instantané de tarification
+ */
+const buildPricing = (rules, { pressing, plan, items, deliveryFee = 0 }) => {
+  const applied = [];
+  const subtotal = items.reduce((sum, item) => sum + item.amount, 0);
+
+  // Commission et frais de service : une règle par catégorie, appliquée aux lignes concernées
+  const applyToItems = (type) => {
+    const groups = new Map();
+    items.forEach(item => {
+      const rule = selectRule(rules, type, { pressing, plan, category: item.category });
+      const key = String(rule._id);
+      const group = groups.get(key) || { rule, base: 0, categories: new Set() };
+      group.base += item.amount;
+      group.categories.add(item.category);
+      groups.set(key, group);
+    });
+
+    let total = 0;
+    groups.forEach(({ rule, base, categories }) => {
+      const amount = computeAmount(rule, base);
+      if (amount > 0) {
+        applied.push(toAppliedRule(rule, base, amount, [...categories].filter(Boolean)));
+        total += amount;
+      }
+    });
+    return total;
+  };
+
+  const serviceFee = applyToItems(FEE_RULE_TYPES.SERVICE_FEE);
+  const commission = Math.min(applyToItems(FEE_RULE_TYPES.COMMISSION), subtotal);
+
+  const vatRule = selectRule(rules, FEE_RULE_TYPES.VAT, { pressing, plan });
+  const vatBases = { items: subtotal, service_fee: serviceFee, delivery: deliveryFee };
+  const vatBase = (vatRule.appliesTo || VAT_BASES).reduce((sum, key) => sum + (vatBases[key] || 0), 0);
+  const vat = computeAmount(vatRule, vatBase);
+  if (vat > 0) {
+    applied.push(toAppliedRule(vatRule, vatBase, vat));
+  }
+
+  return {
+    evaluatedAt: new Date(),
+    currency: 'XOF',
+    subtotal,
+    serviceFee,
+    deliveryFee,
+    vat,
+    vatRate: vatRule.value,
+    commission,
+    total: subtotal + serviceFee + deliveryFee + vat,
+    // Frais de service et commission reviennent à la plateforme, la TVA est reversée à l'État
+    platformRevenue: serviceFee + commission,
+    pressingShare: subtotal + deliveryFee - commission,
+    rules: applied
+  };
+};
+
+/**
+ * Règles actives à une date pour un pressing
+ * @param {string} pressingId
+ * @param {Date} [at]
+ * @returns {Promise<Object[]>}
+ */
+const loadActiveRules = (pressingId, at = new Date()) => FeeRule.find({
+  isActive: true,
+  $and: [
+    { $or: [{ validFrom: null }, { validFrom: { $lte: at } }] },
+    { $or: [{ validUntil: null }, { validUntil: { $gt: at } }] },
+    { $or: [{ 'conditions.pressing': null }, { 'conditions.pressing': pressingId }] }
+  ]
+}).lean();
+
+/**
+ * Évalue les règles de frais pour une commande
+ * @param {Object} params
+ * @param {Object} params.pressing - Pressing (document ou {_id, subscription})
+ * @param {Array<{category: string, amount: number}>} params.items - Lignes de la commande
+ * @param {number} [params.deliveryFee=0] - Frais de livraison
+ * @param {Date} [params.at] - Date d'évaluation
+ * @returns {Promise<Object>} - Instantané à enregistrer dans order.pricing
+ */
+exports.computeOrderPricing = async ({ pressing, items, deliveryFee = 0, at = new Date() }) => {
+  const rules = await loadActiveRules(pressing._id, at);
+
+  return buildPricing(rules, {
+    pressing: pressing._id,
+    plan: pressing.subscription && pressing.subscription.plan,
+    items,
+    deliveryFee
+  });
+};
+
+/**
+ * Frais à afficher au client, dérivés de l'instantané de tarification
+ * @param {Object} pricing - Instantané calculé par computeOrderPricing
+ * @param {Object[]} [deliveryLines] - Détail des frais de livraison (distance, majorations, express)
+ * @returns {Object[]} - Entrées pour order.fees
+ */
+exports.toOrderFees = (pricing, deliveryLines) => {
+  const fees = [];
+  if (pricing.serviceFee > 0) {
+    const rates = pricing.rules
+      .filter(rule => rule.type === FEE_RULE_TYPES.SERVICE_FEE)
+      .map(rule => (rule.calculation === 'percentage' ? `${rule.value}%` : `${rule.value} XOF`));
+    fees.push({
+      type: 'service',
+      name: 'Frais de service',
+      amount: pricing.serviceFee,
+      description: `Frais de traitement de la commande (${rates.join(', ')})`
+    });
+  }
+  if (deliveryLines && deliveryLines.length) {
+    fees.push(...deliveryLines);
+  } else if (pricing.deliveryFee > 0) {
+    fees.push({
+      type: 'delivery',
+      name: 'Frais de livraison',
+      amount: pricing.deliveryFee,
+      description: 'Frais de livraison à domicile'
+    });
+  }
+  return fees;
+};
+
+exports.buildPricing = buildPricing;
+exports.selectRule = selectRule;
@@ -0,0 +1,226 @@
+// Suivi des vêtements à la pièce : enregistrement à la réception avec un code d'étiquette unique,
+// puis passages scannés à chaque étape de l'atelier (lavage, repassage, contrôle qualité, emballage).
+
+const crypto = require('crypto');
+const Garment = require('../models/garment.model');
+const Order = require('../models/order.model');
+const logger = require('../utils/logger');
+const { BadRequestError, NotFoundError, ForbiddenError } = require('../utils/error.utils');
+const { ORDER_STATUS } = require('../config/orderStatus');
+const { GARMENT_STATUSES } = Garment;
+
+// Caractères des codes d'étiquette (sans 0/O ni 1/I, confondus à la lecture)
+const TAG_ALPHABET = '23456789ABCDEFGHJKLMNPQRSTUVWXYZ';
+const TAG_LENGTH = 8;
+
+// Statuts de commande pendant lesquels les vêtements sont à l'atelier
+const INTAKE_ORDER_STATUSES = [ORDER_STATUS.CONFIRMED, ORDER_STATUS.PROCESSING];
+const SCAN_ORDER_STATUSES = [
+  ORDER_STATUS.CONFIRMED,
+  ORDER_STATUS.PROCESSING,
+  ORDER_STATUS.READY_FOR_PICKUP,
+  ORDER_STATUS.ON_HOLD
+];
+
+/**
+ * Génère un code d'étiquette (ex: GP-7K3MXQ2A)
+ * @returns {string}
+ */
+const generateTagCode = () => {
+  const bytes = crypto.randomBytes(TAG_LENGTH);
+  const code = [...bytes].map(byte => TAG_ALPHABET[byte % TAG_ALPHABET.length]).join('');
+  return `GP-${code}`;
+};
+
+/**
+ * Vérifie qu'un pressing traite la commande
+ * @param {Object} order - Commande
+ * @param {Object} user - Utilisateur ({ id, role })
+ */
+const assertPressingOwner = (order, user) => {
+  if (user.role === 'admin') return;
+  if (user.role !== 'pressing' || order.pressing.toString() !== user.id.toString()) {
+    throw new ForbiddenError('Seul le pressing de la commande peut gérer ses vêtements');
+  }
+};
+
+/**
+ * Charge une commande accessible à l'utilisateur
+ * @param {string} orderId - ID de la commande
+ * @param {Object} user - Utilisateur ({ id, role })
+ * @returns {Promise<Object>}
+ */
+const findAccessibleOrder = async (orderId, user) => {
+  const order = await Order.findById(orderId);
+  const allowed = order && (
+    user.role === 'admin' ||
+    (user.role === 'client' && order.customer.toString() === user.id.toString()) ||
+    (user.role === 'pressing' && order.pressing.toString() === user.id.toString())
+  );
+  if (!allowed) {
+    throw new NotFoundError('Commande non trouvée');
+  }
+  return order;
+};
+
+/**
+ * Enregistre un vêtement à la réception et lui attribue un code d'étiquette
+ * @param {string} orderId - ID de la commande
+ * @param {Object} user - Pressing ({ id, role })
+ * @param {Object} params
+ * @param {string} params.item - _id de la ligne de commande
+ * @param {string} params.description - Description (ex: chemise blanche manches longues)
+ * @param {string} [params.color] - Couleur
+ * @param {string} [params.brand] - Marque
+ * @param {string} [params.intakeNotes] - Défauts constatés à la réception
+ * @param {Object} [params.photo] - Photo déjà téléversée ({ url, publicId })
+ * @returns {Promise<Object>} - Vêtement enregistré
+ */
+exports.registerGarment = async (orderId, user, { item: itemId, description, color, brand, intakeNotes, photo }) => {
+  const order = await findAccessibleOrder(orderId, user);
+  assertPressingOwner(order, user);
+
+  if (!INTAKE_ORDER_STATUSES.includes(order.status)) {
+    throw new BadRequestError(`Impossible d'enregistrer un vêtement sur une commande au statut ${order.status}`);
+  }
+
+  const item = itemId && order.items.id(itemId);
+  if (!item) {
+    throw new NotFoundError(`Article non trouvé dans la commande: ${itemId}`);
+  }
+
+  const scannedBy = { id: user.id.toString(), role: user.role };
+
+  // Le code est aléatoire : une collision sur l'index unique est simplement retentée
+  for (let attempt = 1; ; attempt += 1) {
+    try {
+      const garment = await Garment.create({
+        tagCode: generateTagCode(),
+        order: order._id,
+        orderItem: item._id,
+        pressing: order.pressing,
+        customer: order.customer,
+        description,
+        color,
+        brand,
+        intakeNotes,
+        photo,
+        status: 'received',
+        scans: [{ status: 'received', scannedBy, notes: intakeNotes }]
+      });
+      logger.info(`Vêtement ${garment.tagCode} enregistré pour la commande ${order.orderNumber}`);
+      return garment;
+    } catch (error) {
+      if (error.code !== 11000 || attempt >= 3) throw error;
+    }
+  }
+};
+
+/**
+ * Vêtements d'une commande
+ * @param {string} orderId - ID de la commande
+ * @param {Object} user - Utilisateur ({ id, role })
+ * @returns {Promise<{order: Object, garments: Object[]}>}
+ */
+exports.listOrderGarments = async (orderId, user) => {
+  const order = await findAccessibleOrder(orderId, user);
+  const garments = await Garment.find({ order: order._id }).sort({ createdAt: 1 });
+  return { order, garments };
+};
+
+/**
+ * Retrouve un vêtement à partir du code lu sur son étiquette
+ * @param {string} tagCode - Code de l'étiquette
+ * @param {Object} user - Pressing ou administrateur ({ id, role })
+ * @returns {Promise<Object>}
+ */
+exports.findByTag = async (tagCode, user) => {
+  const garment = await Garment.findOne({ tagCode: String(tagCode).toUpperCase() });
+  const allowed = garment && (user.role === 'admin' || garment.pressing.toString() === user.id.toString());
+  if (!allowed) {
+    throw new NotFoundError(`Étiquette inconnue: ${tagCode}`);
+  }
+  return garment;
+};
+
+/**
+ * Enregistre le passage d'un vêtement à une étape de l'atelier
+ * @param {string} tagCode - Code de l'étiquette
+ * @param {Object} user - Pressing ({ id, role })
+ * @param {Object} params
+ * @param {string} params.status - washing, ironing, quality_check ou packed
+ * @param {boolean} [params.passed] - Résultat du contrôle qualité
+ * @param {string} [params.notes] - Commentaire
+ * @returns {Promise<Object>} - Vêtement à jour
+ */
+exports.recordScan = async (tagCode, user, { status, passed, notes }) => {
+  if (!GARMENT_STATUSES.includes(status) || status === 'received') {
+    throw new BadRequestError(`Étape invalide (${GARMENT_STATUSES.filter(s => s !== 'received').join(', ')})`);
+  }
+
+  const garment = await exports.findByTag(tagCode, user);
+  const order = await Order.findById(garment.order).select('status orderNumber');
+  if (!order) {
+    throw new NotFoundError('Commande non trouvée');
+  }
+  if (!SCAN_ORDER_STATUSES.includes(order.status)) {
+    throw new BadRequestError(`La commande ${order.orderNumber} n'est plus en atelier (statut ${order.status})`);
+  }
+
+  // Un vêtement refusé au contrôle qualité ne peut pas être emballé
+  const lastQc = [...garment.scans].reverse().find(scan => scan.status === 'quality_check');
+  if (status === 'packed' && lastQc && lastQc.passed === false && garment.status === 'quality_check') {
+    throw new BadRequestError('Ce vêtement a été refusé au contrôle qualité et doit être retraité');
+  }
+
+  garment.status = status;
+  garment.scans.push({
+    status,
+    scannedBy: { id: user.id.toString(), role: user.role },
+    ...(status === 'quality_check' && { passed: passed !== false }),
+    notes
+  });
+  await garment.save();
+  return garment;
+};
+
+/**
+ * Vue de suivi des vêtements d'une commande, regroupés par ligne de commande
+ * @param {Object} order - Commande
+ * @param {Object[]} garments - Vêtements de la commande
+ * @returns {{total: number, byStatus: Object, items: Object[]}}
+ */
+exports.summarizeGarments = (order, garments) => {
+  const byStatus = GARMENT_STATUSES.reduce((counts, status) => ({ ...counts, [status]: 0 }), {});
+  garments.forEach(garment => { byStatus[garment.status] += 1; });
+
+  const items = order.items.map(item => {
+    const itemGarments = garments.filter(garment => garment.orderItem.toString() === item._id.toString());
+    return {
+      item: item._id,
+      name: item.serviceDetails && item.serviceDetails.name,
+      quantity: item.quantity,
+      registered: itemGarments.length,
+      garments: itemGarments.map(garment => {
+        const lastScan = garment.scans[garment.scans.length - 1];
+        return {
+          tagCode: garment.tagCode,
+          description: garment.description,
+          color: garment.color,
+          photo: garment.photo && garment.photo.url,
+          status: garment.status,
+          updatedAt: lastScan ? lastScan.scannedAt : garment.updatedAt,
+          history: garment.scans.map(scan => ({
+            status: scan.status,
+            timestamp: scan.scannedAt,
+            ...(scan.passed !== undefined && { passed: scan.passed })
+          }))
+        };
+      })
+    };
+  });
+
+  return { total: garments.length, byStatus, items };
+};
+
+exports.generateTagCode = generateTagCode;
@@ -0,0 +1,73 @@
+const PDFDocument = require('pdfkit');
+const code128 = require('../utils/code128');
+
+// Étiquette 62 x 29 mm (rouleaux des imprimantes thermiques courantes), en points
+const LABEL_SIZE = [176, 82];
+const MARGIN = 6;
+
+class GarmentLabelPdfService {
+  /**
+   * Génère les étiquettes à imprimer, une par page
+   * @param {Object[]} garments - Vêtements à étiqueter
+   * @param {Object} order - Commande (numéro, articles)
+   * @returns {Promise<Buffer>} - Contenu du PDF
+   */
+  async generateLabelsPDF(garments, order) {
+    return new Promise((resolve, reject) => {
+      try {
+        const doc = new PDFDocument({ size: LABEL_SIZE, margin: MARGIN, autoFirstPage: false });
+        const chunks = [];
+
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+
+        garments.forEach(garment => {
+          doc.addPage();
+          this.addLabel(doc, garment, order);
+        });
+
+        doc.end();
+      } catch (error) {
+        reject(error);
+      }
+    });
+  }
+
+  addLabel(doc, garment, order) {
+    const width = LABEL_SIZE[0] - MARGIN * 2;
+    const item = order.items.id ? order.items.id(garment.orderItem) : null;
+
+    doc.fontSize(7)
+       .fillColor('#000000')
+       .text(`GeoPressCI · ${order.orderNumber || order._id}`, MARGIN, MARGIN, { width, lineBreak: false });
+
+    this.drawBarcode(doc, garment.tagCode, MARGIN, MARGIN + 11, width, 34);
+
+    doc.fontSize(9)
+       .text(garment.tagCode, MARGIN, MARGIN + 47, { width, align: 'center', lineBreak: false });
+
+    const details = [item && item.serviceDetails && item.serviceDetails.name, garment.description, garment.color]
+      .filter(Boolean)
+      .join(' · ');
+    doc.fontSize(6)
+       .text(details, MARGIN, MARGIN + 59, { width, height: 14, ellipsis: true });
+  }
+
+  /**
+   * Dessine un code-barres Code 128 centré dans la zone donnée
+   */
+  drawBarcode(doc, text, x, y, width, height) {
+    const { bars, modules } = code128.toBars(text);
+    // Zone de silence de 10 modules de part et d'autre
+    const moduleWidth = width / (modules + 20);
+    const offset = x + 10 * moduleWidth;
+
+    bars.forEach(bar => {
+      doc.rect(offset + bar.x * moduleWidth, y, bar.width * moduleWidth, height);
+    });
+    doc.fill('#000000');
+  }
+}
+
+module.exports = new GarmentLabelPdfService();
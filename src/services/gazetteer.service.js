@@ -0,0 +1,123 @@
+// Répertoire hors ligne des communes et quartiers d'Abidjan : autocomplétion des quartiers,
+// et géocodage approximatif (centroïde du quartier ou de la commune) quand Mapbox ne répond pas.
+
+const { COMMUNES } = require('../config/abidjanGazetteer');
+const mapboxService = require('./mapbox.service');
+
+/**
+ * Texte comparable : minuscules, sans accents ni ponctuation
+ * @param {string} text
+ * @returns {string}
+ */
+const normalize = (text) => String(text || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim();
+
+// Entrées à plat : communes puis quartiers, avec leurs écritures normalisées
+const ENTRIES = COMMUNES.flatMap(commune => [
+  { type: 'commune', name: commune.name, commune: commune.name, center: commune.center, aliases: [] },
+  ...commune.quartiers.map(quartier => ({
+    type: 'quartier',
+    name: quartier.name,
+    commune: commune.name,
+    center: quartier.center,
+    aliases: quartier.aliases || []
+  }))
+]).map(entry => ({ ...entry, keys: [entry.name, ...entry.aliases].map(normalize) }));
+
+/**
+ * Lieu du répertoire au format des réponses de géocodage
+ * @param {Object} entry
+ * @param {number} confidence
+ * @returns {Object}
+ */
+const toPlace = (entry, confidence) => ({
+  latitude: entry.center[1],
+  longitude: entry.center[0],
+  address: entry.type === 'quartier'
+    ? `${entry.name}, ${entry.commune}, Abidjan, Côte d'Ivoire`
+    : `${entry.name}, Abidjan, Côte d'Ivoire`,
+  district: entry.commune,
+  quartier: entry.type === 'quartier' ? entry.name : null,
+  confidence,
+  source: 'gazetteer'
+});
+
+/**
+ * Quartiers et communes dont le nom commence par la saisie (ou la contient)
+ * @param {string} query - Saisie du client
+ * @param {number} [limit=10]
+ * @returns {Object[]}
+ */
+exports.searchDistricts = (query, limit = 10) => {
+  const text = normalize(query);
+  if (!text) return [];
+
+  return ENTRIES
+    .map(entry => {
+      const prefix = entry.keys.some(key => key.startsWith(text) || key.split(' ').some(word => word.startsWith(text)));
+      const rank = prefix ? 0 : entry.keys.some(key => key.includes(text)) ? 1 : null;
+      return rank === null ? null : { entry, rank };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.rank - b.rank || (a.entry.type === 'commune' ? -1 : 1) - (b.entry.type === 'commune' ? -1 : 1)
+      || a.entry.name.localeCompare(b.entry.name, 'fr'))
+    .slice(0, limit)
+    .map(({ entry }) => ({
+      type: entry.type,
+      name: entry.name,
+      commune: entry.commune,
+      ...toPlace(entry, entry.type === 'quartier' ? 0.5 : 0.3)
+    }));
+};
+
+/**
+ * Quartier ou commune cité dans une adresse en texte libre
+ * Un quartier l'emporte sur une commune, surtout si sa commune est aussi citée.
+ * @param {string} address
+ * @returns {Object|null} - Lieu approximatif (centroïde), ou null si aucun nom connu
+ */
+exports.matchAddress = (address) => {
+  const text = ` ${normalize(address)} `;
+  const cites = (key) => text.includes(` ${key} `);
+
+  let best = null;
+  ENTRIES.forEach(entry => {
+    const key = entry.keys.filter(cites).sort((a, b) => b.length - a.length)[0];
+    if (!key) return;
+
+    const score = (entry.type === 'quartier' ? 2 : 1)
+      + (entry.type === 'quartier' && cites(normalize(entry.commune)) ? 1 : 0)
+      + key.length / 100;
+    if (!best || score > best.score) {
+      best = { entry, score };
+    }
+  });
+
+  return best ? toPlace(best.entry, best.entry.type === 'quartier' ? 0.5 : 0.3) : null;
+};
+
+/**
+ * Quartier (à défaut commune) le plus proche d'un point
+ * @param {number} latitude
+ * @param {number} longitude
+ * @param {number} [maxKm=5] - Au-delà, le point est considéré hors d'Abidjan
+ * @returns {Object|null}
+ */
+exports.nearest = (latitude, longitude, maxKm = 5) => {
+  const point = { latitude, longitude };
+  const closest = ENTRIES
+    .map(entry => ({
+      entry,
+      meters: mapboxService.calculateDistance(point, { latitude: entry.center[1], longitude: entry.center[0] })
+    }))
+    .sort((a, b) => a.meters - b.meters)[0];
+
+  if (!closest || closest.meters > maxKm * 1000) return null;
+  return { ...toPlace(closest.entry, 0.3), latitude, longitude };
+};
+
+exports.normalize = normalize;
@@ -1,62 +1,175 @@
-const axios = require('axios');
+// Géocodage des adresses via Mapbox, avec un cache persistant (collection GeocodeCache, expiration TTL),
+// une seule requête Mapbox pour des recherches identiques simultanées, et un repli sur le répertoire
+// des quartiers d'Abidjan quand Mapbox est en panne, au quota ou ne connaît pas l'adresse.
+
 const config = require('../config/config');
+const logger = require('../utils/logger');
+const GeocodeCache = require('../models/geocodeCache.model');
 const mapboxService = require('./mapbox.service');
+const gazetteerService = require('./gazetteer.service');
+
+// Recherches en cours, partagées par les appels simultanés sur la même clé
+const inflight = new Map();
+
+// Mapbox n'est plus appelé avant cette date après une panne ou un quota atteint
+let mapboxUnavailableUntil = 0;
+
+/**
+ * Clé de cache d'une adresse : texte normalisé (casse, accents, ponctuation, espaces)
+ * @param {string} address
+ * @returns {string}
+ */
+const forwardKey = (address) => `forward:${gazetteerService.normalize(address)}`;
+
+/**
+ * Clé de cache de coordonnées, arrondies à 4 décimales (une dizaine de mètres)
+ * @param {number} lat
+ * @param {number} lng
+ * @returns {string}
+ */
+const reverseKey = (lat, lng) => `reverse:${Number(lat).toFixed(4)},${Number(lng).toFixed(4)}`;
+
+/**
+ * Partage une même recherche entre les appels simultanés
+ * @param {string} key
+ * @param {Function} lookup - Recherche asynchrone
+ * @returns {Promise<*>}
+ */
+const coalesce = (key, lookup) => {
+  if (!inflight.has(key)) {
+    inflight.set(key, Promise.resolve()
+      .then(lookup)
+      .finally(() => inflight.delete(key)));
+  }
+  return inflight.get(key);
+};
+
+const readCache = async (key) => {
+  try {
+    return await GeocodeCache.findOneAndUpdate(
+      { key, expiresAt: { $gt: new Date() } },
+      { $inc: { hits: 1 } },
+      { new: true }
+    ).lean();
+  } catch (error) {
+    logger.warn(`Cache de géocodage indisponible (${key}): ${error.message}`);
+    return null;
+  }
+};
+
+const writeCache = async (key, { kind, query, result }) => {
+  const ttl = result
+    ? config.geocoding.cacheTtlDays * 24 * 60 * 60 * 1000
+    : config.geocoding.notFoundTtlHours * 60 * 60 * 1000;
+  try {
+    await GeocodeCache.updateOne(
+      { key },
+      { $set: { kind, query, found: !!result, result: result || undefined, expiresAt: new Date(Date.now() + ttl) } },
+      { upsert: true }
+    );
+  } catch (error) {
+    logger.warn(`Échec de l'enregistrement du géocodage ${key}: ${error.message}`);
+  }
+};
+
+/**
+ * Recherche avec cache : réponse conservée, sinon Mapbox, sinon répertoire hors ligne
+ * @param {string} key - Clé de cache
+ * @param {Object} params
+ * @param {string} params.kind - forward ou reverse
+ * @param {string} params.query - Saisie d'origine
+ * @param {Function} params.live - Appel Mapbox, renvoie { success, data, notFound, status }
+ * @param {Function} params.toResult - Réponse Mapbox vers résultat conservé
+ * @param {Function} params.fallback - Résultat du répertoire (ou null)
+ * @returns {Promise<Object|null>}
+ */
+const lookup = (key, { kind, query, live, toResult, fallback }) => coalesce(key, async () => {
+  const cached = await readCache(key);
+  if (cached) {
+    return cached.found ? { ...cached.result, source: 'cache' } : fallback();
+  }
+
+  if (Date.now() < mapboxUnavailableUntil) {
+    return fallback();
+  }
+
+  const response = await live();
+  if (response.success && response.data) {
+    const result = toResult(response.data);
+    await writeCache(key, { kind, query, result });
+    return { ...result, source: 'mapbox' };
+  }
+  if (response.notFound) {
+    await writeCache(key, { kind, query, result: null });
+    return fallback();
+  }
+
+  // Panne, quota atteint ou token absent : répertoire hors ligne jusqu'à la fin du délai
+  mapboxUnavailableUntil = Date.now() + config.geocoding.outageCooldownSeconds * 1000;
+  logger.warn(`Mapbox indisponible${response.status ? ` (HTTP ${response.status})` : ''}: ${response.error}. Repli sur le répertoire des quartiers`);
+  return fallback();
+});
 
 /**
- * Convertit une adresse en coordonnées géographiques (géocodage) - Utilise Mapbox
+ * Convertit une adresse en coordonnées géographiques (géocodage)
  * @param {string} address - Adresse à géocoder
- * @returns {Promise<{lat: number, lng: number} | null>} Coordonnées géographiques ou null en cas d'erreur
+ * @returns {Promise<{lat: number, lng: number, address: string, district: string, source: string} | null>}
+ *   Coordonnées (source : mapbox, cache ou gazetteer pour un centroïde de quartier), ou null si l'adresse est inconnue
  */
 const getGeocode = async (address) => {
-  try {
-    console.log('🗺️ Géocodage Mapbox pour:', address);
-    
-    // Utiliser le service Mapbox au lieu de Google Maps
-    const result = await mapboxService.geocodeAddress(address, {
+  if (!gazetteerService.normalize(address)) return null;
+
+  const place = await lookup(forwardKey(address), {
+    kind: 'forward',
+    query: address,
+    live: () => mapboxService.geocodeAddress(address, {
       country: 'ci', // Côte d'Ivoire
       proximity: '-4.01,5.36', // Abidjan
       language: 'fr'
-    });
-
-    if (result.success && result.data) {
-      const { latitude, longitude } = result.data;
-      console.log('✅ Géocodage Mapbox réussi:', { lat: latitude, lng: longitude });
-      return { lat: latitude, lng: longitude };
-    } else {
-      console.error('❌ Erreur géocodage Mapbox:', result.error);
-      return null;
-    }
-  } catch (error) {
-    console.error('❌ Erreur lors du géocodage Mapbox:', error.message);
+    }),
+    toResult: (data) => ({
+      latitude: data.latitude,
+      longitude: data.longitude,
+      address: data.address,
+      district: data.components && (data.components.district || data.components.place),
+      confidence: data.confidence,
+      components: data.components
+    }),
+    fallback: () => gazetteerService.matchAddress(address)
+  });
+
+  if (!place) {
+    logger.warn(`Adresse introuvable: ${address}`);
     return null;
   }
+  return { lat: place.latitude, lng: place.longitude, address: place.address, district: place.district, source: place.source };
 };
 
 /**
- * Convertit des coordonnées en adresse (géocodage inverse) - Utilise Mapbox
+ * Convertit des coordonnées en adresse (géocodage inverse)
  * @param {number} lat - Latitude
  * @param {number} lng - Longitude
- * @returns {Promise<string | null>} Adresse ou null en cas d'erreur
+ * @returns {Promise<string | null>} Adresse (quartier le plus proche hors ligne) ou null
  */
 const getReverseGeocode = async (lat, lng) => {
-  try {
-    console.log('🗺️ Géocodage inverse Mapbox pour:', { lat, lng });
-    
-    const result = await mapboxService.reverseGeocode(lat, lng, {
-      language: 'fr'
-    });
-
-    if (result.success && result.data) {
-      console.log('✅ Géocodage inverse Mapbox réussi:', result.data.address);
-      return result.data.address;
-    } else {
-      console.error('❌ Erreur géocodage inverse Mapbox:', result.error);
-      return null;
-    }
-  } catch (error) {
-    console.error('❌ Erreur lors du géocodage inverse Mapbox:', error.message);
-    return null;
-  }
+  if (!Number.isFinite(Number(lat)) || !Number.isFinite(Number(lng))) return null;
+
+  const place = await lookup(reverseKey(lat, lng), {
+    kind: 'reverse',
+    query: `${lat},${lng}`,
+    live: () => mapboxService.reverseGeocode(lat, lng, { language: 'fr' }),
+    toResult: (data) => ({
+      latitude: Number(lat),
+      longitude: Number(lng),
+      address: data.address,
+      district: data.components && (data.components.district || data.components.place),
+      quartier: data.components && data.components.neighborhood,
+      components: data.components
+    }),
+    fallback: () => gazetteerService.nearest(Number(lat), Number(lng), config.geocoding.gazetteerMaxKm)
+  });
+
+  return place ? place.address : null;
 };
 
 /**
@@ -88,4 +201,7 @@ module.exports = {
   getGeocode,
   getReverseGeocode,
   calculateDistance,
+  forwardKey,
+  reverseKey,
+  coalesce,
 };
@@ -0,0 +1,312 @@
+// Preuve de remise des vêtements : le client reçoit un code à usage unique (collecte acceptée par le livreur,
+// commande partie en livraison) qu'il communique au livreur ou au pressing au moment de la remise.
+// Le code vérifié est enregistré avec la position de l'appareil, l'heure et, au choix, une photo et la signature
+// du client. Une commande en livraison ne peut être terminée sans cette preuve (cf. config/orderStatus).
+
+const crypto = require('crypto');
+const DeliveryProof = require('../models/deliveryProof.model');
+const DeliveryJob = require('../models/deliveryJob.model');
+const Order = require('../models/order.model');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const { BadRequestError, NotFoundError } = require('../utils/error.utils');
+const notificationService = require('./notification.service');
+const orderStatusService = require('./orderStatus.service');
+const mapboxService = require('./mapbox.service');
+const { parsePosition } = require('./riderTracking.service');
+const { ORDER_STATUS, actorFromRole } = require('../config/orderStatus');
+const { HANDOVER_TYPES } = DeliveryProof;
+
+/**
+ * Génère un code de remise à 6 chiffres
+ * @returns {string}
+ */
+const generateCode = () => crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+
+/**
+ * Empreinte du code, propre à chaque preuve
+ * @param {string} proofId - ID de la preuve
+ * @param {string} code - Code en clair
+ * @returns {string}
+ */
+const hashCode = (proofId, code) => crypto
+  .createHash('sha256')
+  .update(`${proofId}:${String(code).trim()}`)
+  .digest('hex');
+
+/**
+ * Vérifie le code saisi au moment de la remise
+ * @param {Object} proof - Preuve (avec code.hash)
+ * @param {string} code - Code saisi
+ * @param {Date} [now]
+ * @returns {{code: string, reason: string}|null} - null si le code est valide
+ */
+const checkCode = (proof, code, now = new Date()) => {
+  const pending = proof.code || {};
+  if (!pending.hash) {
+    return { code: 'HANDOVER_CODE_MISSING', reason: 'Aucun code de remise en attente : demandez un nouveau code' };
+  }
+  if (!pending.expiresAt || new Date(pending.expiresAt) <= now) {
+    return { code: 'HANDOVER_CODE_EXPIRED', reason: 'Le code de remise a expiré : demandez un nouveau code' };
+  }
+  if ((pending.failedAttempts || 0) >= config.handover.maxCodeAttempts) {
+    return { code: 'HANDOVER_CODE_LOCKED', reason: 'Trop de codes erronés : demandez un nouveau code' };
+  }
+  if (!code) {
+    return { code: 'HANDOVER_CODE_REQUIRED', reason: 'Le code de remise communiqué par le client est requis' };
+  }
+
+  const expected = Buffer.from(pending.hash, 'hex');
+  const received = Buffer.from(hashCode(proof._id, code), 'hex');
+  if (!crypto.timingSafeEqual(expected, received)) {
+    return { code: 'HANDOVER_CODE_INVALID', reason: 'Code de remise incorrect' };
+  }
+  return null;
+};
+
+/**
+ * Vérifie que l'utilisateur peut consulter la commande ou demander son code
+ */
+const assertOrderAccess = (order, user) => {
+  const allowed = order && (
+    user.role === 'admin' ||
+    (user.role === 'client' && order.customer.toString() === user.id.toString()) ||
+    (user.role === 'pressing' && order.pressing.toString() === user.id.toString())
+  );
+  if (!allowed) {
+    throw new NotFoundError('Commande non trouvée');
+  }
+};
+
+/**
+ * Envoie un nouveau code de remise au client (le code précédent n'est plus valable)
+ * @param {Object} order - Commande
+ * @param {string} type - pickup ou delivery
+ * @param {Object} [options]
+ * @param {Object} [options.job] - Course concernée
+ * @returns {Promise<Object|null>} - Preuve en attente, ou null si la remise est déjà confirmée
+ */
+const issueCode = async (order, type, { job } = {}) => {
+  let proof = await DeliveryProof.findOne({ order: order._id, type }).select('+code.hash');
+  if (proof && proof.verifiedAt) return null;
+  if (!proof) {
+    proof = new DeliveryProof({ order: order._id, type, customer: order.customer, pressing: order.pressing });
+  }
+
+  const code = generateCode();
+  const now = new Date();
+  if (job) proof.job = job._id;
+  proof.code = {
+    hash: hashCode(proof._id, code),
+    expiresAt: new Date(now.getTime() + config.handover.codeTtlHours * 60 * 60 * 1000),
+    sentAt: now,
+    sendCount: ((proof.code && proof.code.sendCount) || 0) + 1,
+    failedAttempts: 0
+  };
+  await proof.save();
+
+  try {
+    await notificationService.notifyHandoverCode(order, { type, code, expiresAt: proof.code.expiresAt });
+  } catch (error) {
+    logger.error(`Erreur lors de l'envoi du code de remise (commande ${order._id}, ${type}):`, error);
+  }
+  return proof;
+};
+
+/**
+ * Vérifie le code et enregistre la preuve de remise
+ * Pour une livraison, la preuve est reportée sur la commande, ce qui permet de la terminer.
+ * @param {Object} order - Document Order
+ * @param {string} type - pickup ou delivery
+ * @param {Object} user - Livreur, pressing ou administration ({ id, role })
+ * @param {Object} input
+ * @param {string} input.code - Code communiqué par le client
+ * @param {number} [input.latitude] - Position de l'appareil
+ * @param {number} [input.longitude]
+ * @param {number} [input.accuracy] - Précision en mètres
+ * @param {Object} [input.photo] - Photo téléversée ({ url, publicId })
+ * @param {Object} [input.signature] - Signature du client téléversée ({ url, publicId })
+ * @param {string} [input.notes] - Commentaire
+ * @param {Object} [input.job] - Course concernée
+ * @returns {Promise<Object>} - Preuve enregistrée
+ */
+const recordHandover = async (order, type, user, { code, latitude, longitude, accuracy, photo, signature, notes, job } = {}) => {
+  const proof = await DeliveryProof.findOne({ order: order._id, type }).select('+code.hash');
+  if (!proof) {
+    throw new BadRequestError('Aucun code de remise n\'a été envoyé au client pour cette commande');
+  }
+  if (proof.verifiedAt) {
+    throw new BadRequestError('La remise est déjà confirmée');
+  }
+
+  const failure = checkCode(proof, code);
+  if (failure) {
+    if (failure.code === 'HANDOVER_CODE_INVALID') {
+      // Incrément atomique et borné : des saisies simultanées ne dépassent pas le nombre d'essais
+      const counted = await DeliveryProof.findOneAndUpdate(
+        {
+          _id: proof._id,
+          verifiedAt: null,
+          'code.hash': proof.code.hash,
+          'code.failedAttempts': { $not: { $gte: config.handover.maxCodeAttempts } }
+        },
+        { $inc: { 'code.failedAttempts': 1 } },
+        { new: true }
+      );
+      if (!counted) {
+        throw new BadRequestError('Trop de codes erronés : demandez un nouveau code');
+      }
+      const remaining = Math.max(0, config.handover.maxCodeAttempts - counted.code.failedAttempts);
+      throw new BadRequestError(`${failure.reason} (${remaining} essai(s) restant(s))`);
+    }
+    throw new BadRequestError(failure.reason);
+  }
+
+  // La position est facultative (GPS indisponible) mais doit être valide si elle est fournie
+  if (latitude !== undefined || longitude !== undefined) {
+    const point = parsePosition({ latitude, longitude, accuracy });
+    proof.location = { type: 'Point', coordinates: point.coordinates, accuracy: point.accuracy };
+
+    const address = order.deliveryAddress && order.deliveryAddress.coordinates;
+    if (address && address.length === 2) {
+      proof.distanceFromAddressMeters = Math.round(mapboxService.calculateDistance(
+        { longitude: point.coordinates[0], latitude: point.coordinates[1] },
+        { longitude: address[0], latitude: address[1] }
+      ));
+    }
+  }
+
+  proof.verifiedAt = new Date();
+  proof.verifiedBy = { id: user.id ? user.id.toString() : undefined, role: user.role };
+  if (job) proof.job = job._id;
+  if (photo) proof.photo = photo;
+  if (signature) proof.signature = signature;
+  proof.notes = notes;
+  proof.code.hash = undefined;
+  await proof.save();
+
+  if (type === 'delivery') {
+    const updates = {
+      'delivery.proof': proof._id,
+      'delivery.actualDeliveryTime': proof.verifiedAt
+    };
+    const image = photo || signature;
+    if (image) updates['delivery.deliveryProof'] = image.url;
+
+    await Order.updateOne({ _id: order._id }, { $set: updates });
+    order.set(updates);
+  }
+
+  logger.info(`Remise confirmée (commande ${order._id}, ${type}) par ${user.role} ${user.id}`);
+  return proof;
+};
+
+/**
+ * Envoie le code de livraison quand la commande part en livraison (effet de bord de transition)
+ * @param {Object} order - Commande
+ * @returns {Promise<Object|null>}
+ */
+exports.issueDeliveryCode = async (order) => {
+  const job = await DeliveryJob.findOne({ order: order._id, type: 'delivery', status: { $in: ['picked_up', 'in_transit'] } });
+  return issueCode(order, 'delivery', { job });
+};
+
+/**
+ * Envoie le code de collecte quand le livreur accepte la course
+ * @param {Object} job - Course de collecte
+ * @returns {Promise<Object|null>}
+ */
+exports.issuePickupCode = async (job) => {
+  const order = await Order.findById(job.order).select('orderNumber customer pressing');
+  if (!order) return null;
+  return issueCode(order, 'pickup', { job });
+};
+
+/**
+ * Renvoie le code de remise au client (code perdu, expiré ou bloqué)
+ * @param {string} orderId - ID de la commande
+ * @param {Object} user - Client, pressing ou administration ({ id, role })
+ * @param {Object} [params]
+ * @param {string} [params.type] - pickup ou delivery (par défaut)
+ * @returns {Promise<{type: string, sentAt: Date, expiresAt: Date}>}
+ */
+exports.requestCode = async (orderId, user, { type = 'delivery' } = {}) => {
+  if (!HANDOVER_TYPES.includes(type)) {
+    throw new BadRequestError(`Type de remise invalide. Valeurs possibles : ${HANDOVER_TYPES.join(', ')}`);
+  }
+
+  const order = await Order.findById(orderId).select('orderNumber customer pressing status');
+  assertOrderAccess(order, user);
+
+  let job = null;
+  if (type === 'delivery') {
+    job = await DeliveryJob.findOne({ order: order._id, type: 'delivery', status: { $in: ['picked_up', 'in_transit'] } });
+    if (order.status !== ORDER_STATUS.OUT_FOR_DELIVERY && !job) {
+      throw new BadRequestError('La commande n\'est pas en cours de livraison');
+    }
+  } else {
+    job = await DeliveryJob.findOne({ order: order._id, type: 'pickup', status: 'accepted' });
+    if (!job) {
+      throw new BadRequestError('Aucune collecte n\'est en cours pour cette commande');
+    }
+  }
+
+  const existing = await DeliveryProof.findOne({ order: order._id, type });
+  if (existing && existing.verifiedAt) {
+    throw new BadRequestError('La remise est déjà confirmée');
+  }
+  const sentAt = existing && existing.code && existing.code.sentAt;
+  if (sentAt && Date.now() - sentAt.getTime() < config.handover.resendCooldownSeconds * 1000) {
+    throw new BadRequestError('Un code vient d\'être envoyé, veuillez patienter avant d\'en demander un nouveau');
+  }
+
+  const proof = await issueCode(order, type, { job });
+  return { type, sentAt: proof.code.sentAt, expiresAt: proof.code.expiresAt };
+};
+
+/**
+ * Le pressing (ou l'administration) remet lui-même la commande au client et la termine
+ * @param {string} orderId - ID de la commande
+ * @param {Object} user - Pressing ou administration ({ id, role })
+ * @param {Object} input - Voir recordHandover
+ * @returns {Promise<{order: Object, proof: Object}>}
+ */
+exports.completeOrderHandover = async (orderId, user, input = {}) => {
+  const order = await Order.findById(orderId);
+  if (!order || (user.role === 'pressing' && order.pressing.toString() !== user.id.toString())) {
+    throw new NotFoundError('Commande non trouvée');
+  }
+  if (order.status !== ORDER_STATUS.OUT_FOR_DELIVERY) {
+    throw new BadRequestError('La commande n\'est pas en cours de livraison');
+  }
+
+  const riding = await DeliveryJob.exists({ order: order._id, type: 'delivery', status: { $in: ['picked_up', 'in_transit'] } });
+  if (riding) {
+    throw new BadRequestError('La remise est confirmée par le livreur de la course en cours');
+  }
+
+  const proof = await recordHandover(order, 'delivery', user, input);
+  await orderStatusService.transitionOrder(order, ORDER_STATUS.COMPLETED, {
+    actor: actorFromRole(user.role),
+    actorId: user.id,
+    notes: 'Commande remise au client (code de remise vérifié)'
+  });
+
+  return { order, proof };
+};
+
+/**
+ * Preuves de remise d'une commande (collecte et livraison)
+ * @param {string} orderId - ID de la commande
+ * @param {Object} user - Client, pressing ou administration ({ id, role })
+ * @returns {Promise<Object[]>}
+ */
+exports.getOrderProofs = async (orderId, user) => {
+  const order = await Order.findById(orderId).select('customer pressing');
+  assertOrderAccess(order, user);
+  return DeliveryProof.find({ order: orderId }).sort({ createdAt: 1 });
+};
+
+exports.recordHandover = recordHandover;
+exports.checkCode = checkCode;
+exports.hashCode = hashCode;
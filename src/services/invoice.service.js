@@ -0,0 +1,608 @@
+// Factures et avoirs légaux.
+// Deux émetteurs : la plateforme facture les abonnements aux pressings, chaque pressing facture ses commandes
+// à ses clients. La numérotation est continue par émetteur, type de document et année : le compteur est
+// incrémenté dans la même transaction que la création du document, un échec ne laisse donc pas de trou.
+// Un document émis n'est plus modifié ; un remboursement ou un avoir commercial donne lieu à un avoir
+// qui référence la facture d'origine.
+
+const mongoose = require('mongoose');
+const Invoice = require('../models/invoice.model');
+const { DOCUMENT_TYPES, INVOICE_SOURCES } = require('../models/invoice.model');
+const InvoiceSequence = require('../models/invoiceSequence.model');
+const SubscriptionPlan = require('../models/subscriptionPlan.model');
+const Pressing = require('../models/pressing.model');
+const Order = require('../models/order.model');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const { BadRequestError, ForbiddenError, NotFoundError } = require('../utils/error.utils');
+const { ORDER_STATUS } = require('../config/orderStatus');
+
+const NUMBER_PREFIXES = {
+  [DOCUMENT_TYPES.INVOICE]: 'FA',
+  [DOCUMENT_TYPES.CREDIT_NOTE]: 'AV'
+};
+
+const PLATFORM_ISSUER = 'platform';
+
+const PRESSING_FIELDS = 'businessName legalInfo address email phone businessPhone';
+
+const formatDate = (date) => new Date(date).toLocaleDateString('fr-FR', { timeZone: 'Africa/Abidjan' });
+
+/**
+ * Numéro d'un document
+ * @param {string} documentType - invoice ou credit_note
+ * @param {number} year
+ * @param {number} sequence
+ * @returns {string} - Ex: FA-2026-000042
+ */
+const formatNumber = (documentType, year, sequence) =>
+  `${NUMBER_PREFIXES[documentType]}-${year}-${String(sequence).padStart(6, '0')}`;
+
+/**
+ * Part de TVA incluse dans un montant TTC
+ * @param {number} total - Montant TTC
+ * @param {number} vatRate - Taux en %
+ * @returns {Object} - { totalExclTax, vat }
+ */
+const splitVat = (total, vatRate) => {
+  const vat = vatRate > 0 ? Math.round(total * vatRate / (100 + vatRate)) : 0;
+  return { totalExclTax: total - vat, vat };
+};
+
+const formatAddress = (address) => {
+  if (!address) return undefined;
+  return address.formattedAddress
+    || [address.street, address.district, address.city, address.country].filter(Boolean).join(', ');
+};
+
+/**
+ * Mentions de la plateforme
+ * @returns {Object}
+ */
+const platformParty = () => {
+  const { platform } = config.invoicing;
+  return {
+    kind: 'platform',
+    name: platform.legalName,
+    address: platform.address,
+    email: platform.email,
+    phone: platform.phone,
+    taxId: platform.taxId,
+    tradeRegister: platform.tradeRegister
+  };
+};
+
+/**
+ * Mentions d'un pressing (raison sociale à défaut du nom commercial)
+ * @param {Object} pressing
+ * @returns {Object}
+ */
+const pressingParty = (pressing) => {
+  const legalInfo = pressing.legalInfo || {};
+  return {
+    kind: 'pressing',
+    id: pressing._id,
+    name: legalInfo.legalName || pressing.businessName,
+    address: formatAddress(pressing.address),
+    email: pressing.email,
+    phone: pressing.businessPhone || pressing.phone,
+    taxId: legalInfo.taxId,
+    tradeRegister: legalInfo.tradeRegister
+  };
+};
+
+/**
+ * Série de numérotation d'un émetteur
+ * @param {Object} issuer - Partie émettrice
+ * @returns {string}
+ */
+const issuerKeyOf = (issuer) => (issuer.kind === 'platform' ? PLATFORM_ISSUER : `pressing:${issuer.id}`);
+
+/**
+ * Réserve le numéro suivant de la série (dans la transaction de l'appelant)
+ * @param {string} issuer
+ * @param {string} documentType
+ * @param {number} year
+ * @param {Object} session - Session MongoDB
+ * @returns {Promise<number>}
+ */
+const nextSequence = async (issuer, documentType, year, session) => {
+  const counter = await InvoiceSequence.findOneAndUpdate(
+    { issuer, documentType, year },
+    { $inc: { value: 1 } },
+    { upsert: true, new: true, session }
+  );
+  return counter.value;
+};
+
+/**
+ * Émet un document numéroté (idempotent sur sourceKey)
+ * @param {Object} data - Contenu du document (sans numéro)
+ * @param {Function} [complete] - (session) => contenu complémentaire lu dans la transaction, null si rien à émettre
+ * @returns {Promise<Object|null>} - Document émis, ou celui déjà émis pour la même sourceKey
+ */
+const issueDocument = async (data, complete = null) => {
+  const existing = await Invoice.findOne({ sourceKey: data.sourceKey });
+  if (existing) return existing;
+
+  const issuerKey = issuerKeyOf(data.issuer);
+  const session = await mongoose.startSession();
+  try {
+    let document = null;
+    await session.withTransaction(async () => {
+      const issuedAt = new Date();
+      const year = issuedAt.getUTCFullYear();
+      // Le compteur de la série est écrit en premier : deux émissions concurrentes du même émetteur
+      // entrent en conflit et la seconde est rejouée après la première, sur des données à jour
+      const sequence = await nextSequence(issuerKey, data.documentType, year, session);
+      const content = complete ? await complete(session) : {};
+      if (!content) {
+        document = null;
+        await session.abortTransaction();
+        return;
+      }
+      [document] = await Invoice.create([{
+        ...data,
+        ...content,
+        issuerKey,
+        year,
+        sequence,
+        number: formatNumber(data.documentType, year, sequence),
+        issuedAt
+      }], { session });
+    });
+
+    if (document) {
+      logger.info(`${data.documentType === DOCUMENT_TYPES.CREDIT_NOTE ? 'Avoir' : 'Facture'} ${document.number} émis (${data.sourceKey})`);
+    }
+    return document;
+  } catch (error) {
+    // Émission concurrente du même document : la transaction perdante est annulée, numéro compris
+    if (error.code === 11000 && error.keyPattern && error.keyPattern.sourceKey) {
+      return Invoice.findOne({ sourceKey: data.sourceKey });
+    }
+    throw error;
+  } finally {
+    session.endSession();
+  }
+};
+
+/**
+ * Montant déjà crédité sur une facture
+ * @param {Object} invoice
+ * @param {Object} [session] - Session MongoDB
+ * @returns {Promise<number>}
+ */
+const creditedAmount = async (invoice, session = null) => {
+  const [result] = await Invoice.aggregate([
+    { $match: { creditedInvoice: invoice._id } },
+    { $group: { _id: null, total: { $sum: '$total' } } }
+  ]).session(session);
+  return result ? result.total : 0;
+};
+
+/**
+ * Émet un avoir sur une facture, plafonné au montant restant à créditer
+ * Le restant est lu dans la transaction d'émission : deux avoirs simultanés ne peuvent pas le dépasser.
+ * @param {Object} invoice - Facture d'origine
+ * @param {Object} params
+ * @param {number} params.amount - Montant TTC à créditer
+ * @param {string} params.reason - Motif
+ * @param {string} params.sourceKey - Clé d'idempotence de l'événement
+ * @param {boolean} [params.exact=false] - Refuser un montant supérieur au restant au lieu de le plafonner
+ * @returns {Promise<Object|null>} - Avoir, null si la facture est déjà entièrement créditée
+ */
+const issueCreditNote = async (invoice, { amount, reason, sourceKey, exact = false }) => {
+  if (invoice.documentType !== DOCUMENT_TYPES.INVOICE) {
+    throw new BadRequestError('Un avoir ne peut porter que sur une facture');
+  }
+
+  const requested = Math.round(amount);
+  if (!(requested > 0)) {
+    return null;
+  }
+
+  return issueDocument({
+    documentType: DOCUMENT_TYPES.CREDIT_NOTE,
+    source: invoice.source,
+    sourceKey,
+    issuer: invoice.issuer,
+    recipient: invoice.recipient,
+    pressing: invoice.pressing,
+    customer: invoice.customer,
+    order: invoice.order,
+    subscriptionInvoice: invoice.subscriptionInvoice,
+    creditedInvoice: invoice._id,
+    creditedInvoiceNumber: invoice.number,
+    reason,
+    sourceReference: invoice.sourceReference,
+    vatRate: invoice.vatRate,
+    currency: invoice.currency,
+    payment: { status: 'refunded' }
+  }, async (session) => {
+    const remaining = invoice.total - await creditedAmount(invoice, session);
+    if (exact && requested > remaining) {
+      throw new BadRequestError(`Montant de l'avoir supérieur au restant à créditer (${remaining} ${invoice.currency})`);
+    }
+    const total = Math.min(requested, remaining);
+    if (!(total > 0)) {
+      return null;
+    }
+
+    // TVA au prorata de celle de la facture d'origine
+    const vat = invoice.total > 0 ? Math.round(invoice.vat * total / invoice.total) : 0;
+    return {
+      lines: [{
+        description: `Avoir sur la facture ${invoice.number}${reason ? ` : ${reason}` : ''}`,
+        quantity: 1,
+        unitPrice: total - vat,
+        amount: total - vat
+      }],
+      totalExclTax: total - vat,
+      vat,
+      total
+    };
+  });
+};
+
+/**
+ * Lignes d'une échéance d'abonnement (montants TTC)
+ * @param {Object} subscriptionInvoice
+ * @param {string} planName
+ * @returns {Object[]}
+ */
+const subscriptionLines = (subscriptionInvoice, planName) => {
+  const period = `du ${formatDate(subscriptionInvoice.periodStart)} au ${formatDate(subscriptionInvoice.periodEnd)}`;
+  const subtotal = subscriptionInvoice.subtotal !== undefined
+    ? subscriptionInvoice.subtotal
+    : subscriptionInvoice.amount + (subscriptionInvoice.creditApplied || 0);
+  const change = subscriptionInvoice.planChange || {};
+
+  // Montée en gamme : nouvelle formule au prorata, moins le temps restant de l'ancienne
+  if (subscriptionInvoice.kind === 'proration' && change.charge - change.credit === subtotal) {
+    return [
+      { description: `Formule ${planName} au prorata, jusqu'au ${formatDate(subscriptionInvoice.periodEnd)}`, amount: change.charge },
+      { description: `Crédit de la formule ${change.fromPlan} non consommée`, amount: -change.credit }
+    ].filter(line => line.amount !== 0);
+  }
+
+  return [{ description: `Abonnement ${planName} ${period}`, amount: subtotal }];
+};
+
+/**
+ * Facture de la plateforme au pressing pour une échéance d'abonnement réglée
+ * @param {Object} subscriptionInvoice - Facture d'abonnement au statut paid
+ * @param {Object|null} [transaction] - Transaction de règlement (null : couverte par un avoir)
+ * @returns {Promise<Object|null>} - Facture, null pour une échéance gratuite
+ */
+const issueSubscriptionInvoice = async (subscriptionInvoice, transaction = null) => {
+  const [pressing, plan] = await Promise.all([
+    Pressing.findById(subscriptionInvoice.pressing).select(PRESSING_FIELDS).lean(),
+    SubscriptionPlan.findOne({ code: subscriptionInvoice.plan }).select('name').lean()
+  ]);
+  if (!pressing) {
+    throw new NotFoundError(`Pressing ${subscriptionInvoice.pressing} introuvable`);
+  }
+
+  const vatRate = config.invoicing.subscriptionVatRate;
+  const lines = subscriptionLines(subscriptionInvoice, plan ? plan.name : subscriptionInvoice.plan);
+  const total = lines.reduce((sum, line) => sum + line.amount, 0);
+  if (total <= 0) {
+    return null;
+  }
+
+  // Prix des formules TTC : lignes converties en HT, l'arrondi est porté par la TVA
+  const linesExclTax = lines.map(line => {
+    const amount = line.amount - splitVat(line.amount, vatRate).vat;
+    return { description: line.description, quantity: 1, unitPrice: amount, amount };
+  });
+  const totalExclTax = linesExclTax.reduce((sum, line) => sum + line.amount, 0);
+
+  return issueDocument({
+    documentType: DOCUMENT_TYPES.INVOICE,
+    source: INVOICE_SOURCES.SUBSCRIPTION,
+    sourceKey: `subscription:${subscriptionInvoice._id}`,
+    issuer: platformParty(),
+    recipient: pressingParty(pressing),
+    pressing: pressing._id,
+    subscriptionInvoice: subscriptionInvoice._id,
+    sourceReference: subscriptionInvoice.reference,
+    periodStart: subscriptionInvoice.periodStart,
+    periodEnd: subscriptionInvoice.periodEnd,
+    lines: linesExclTax,
+    totalExclTax,
+    vatRate,
+    vat: total - totalExclTax,
+    total,
+    currency: subscriptionInvoice.currency,
+    payment: {
+      status: 'paid',
+      method: transaction ? transaction.paymentProvider : 'avoir',
+      reference: transaction ? transaction.reference : undefined,
+      creditApplied: subscriptionInvoice.creditApplied || 0,
+      paidAt: subscriptionInvoice.paidAt
+    }
+  });
+};
+
+/**
+ * Lignes d'une commande, hors TVA
+ * @param {Object} order
+ * @returns {Object[]}
+ */
+const orderLines = (order) => {
+  const lines = order.items.map(item => {
+    const optionsTotal = (item.options || []).reduce((sum, option) => sum + (option.additionalCost || 0), 0);
+    const options = (item.options || []).map(option => option.name).join(', ');
+    return {
+      description: `${item.serviceDetails.name}${options ? ` (${options})` : ''}`,
+      quantity: item.quantity,
+      unitPrice: item.unitPrice,
+      amount: item.unitPrice * item.quantity + optionsTotal
+    };
+  });
+
+  (order.fees || []).forEach(fee => {
+    lines.push({ description: fee.name, quantity: 1, unitPrice: fee.amount, amount: fee.amount });
+  });
+
+  const discount = order.payment.amount.discount || 0;
+  if (discount > 0) {
+    lines.push({ description: 'Remise', quantity: 1, unitPrice: -discount, amount: -discount });
+  }
+  return lines;
+};
+
+const ORDER_PAYMENT_STATUS = {
+  captured: 'paid',
+  refunded: 'refunded',
+  partially_refunded: 'partially_paid'
+};
+
+/**
+ * Facture du pressing au client pour une commande terminée, suivie des avoirs de ses remboursements
+ * @param {Object|string} orderOrId - Commande ou son ID
+ * @returns {Promise<Object>} - Facture
+ */
+const issueOrderInvoice = async (orderOrId) => {
+  const order = await Order.findById(orderOrId._id || orderOrId)
+    .populate('customer', 'nom prenom email phone')
+    .populate('pressing', PRESSING_FIELDS);
+  if (!order) {
+    throw new NotFoundError('Commande non trouvée');
+  }
+
+  const lines = orderLines(order);
+  const total = order.payment.amount.total;
+  const vat = Math.min(order.payment.amount.tax || 0, total);
+  // Total plafonné à zéro ou arrondi : l'écart avec les lignes est porté par une ligne d'ajustement
+  const gap = total - vat - lines.reduce((sum, line) => sum + line.amount, 0);
+  if (gap !== 0) {
+    lines.push({ description: 'Ajustement', quantity: 1, unitPrice: gap, amount: gap });
+  }
+
+  const customer = order.customer || {};
+  const address = (order.delivery && (order.delivery.deliveryAddress || order.delivery.pickupAddress)) || null;
+
+  const invoice = await issueDocument({
+    documentType: DOCUMENT_TYPES.INVOICE,
+    source: INVOICE_SOURCES.ORDER,
+    sourceKey: `order:${order._id}`,
+    issuer: pressingParty(order.pressing),
+    recipient: {
+      kind: 'client',
+      id: customer._id,
+      name: [customer.prenom, customer.nom].filter(Boolean).join(' ') || 'Client',
+      address: address && address.street ? [address.street, address.city].filter(Boolean).join(', ') : undefined,
+      email: customer.email,
+      phone: customer.phone
+    },
+    pressing: order.pressing._id,
+    customer: customer._id,
+    order: order._id,
+    sourceReference: order.orderNumber,
+    lines,
+    totalExclTax: total - vat,
+    vatRate: (order.pricing && order.pricing.vatRate) || 0,
+    vat,
+    total,
+    currency: order.payment.amount.currency,
+    payment: {
+      status: ORDER_PAYMENT_STATUS[order.payment.status] || 'unpaid',
+      method: order.payment.method,
+      reference: order.payment.paymentIntentId,
+      paidAt: order.payment.status === 'pending' ? undefined : order.updatedAt
+    }
+  });
+
+  await syncOrderCreditNotes(order);
+  return invoice;
+};
+
+/**
+ * Émet un avoir pour chaque remboursement de la commande qui n'en a pas encore (sans effet avant la facture)
+ * @param {Object} order - Commande
+ * @returns {Promise<Object[]>} - Avoirs émis ou déjà existants
+ */
+const syncOrderCreditNotes = async (order) => {
+  const invoice = await Invoice.findOne({ sourceKey: `order:${order._id}` });
+  if (!invoice) return [];
+
+  const creditNotes = [];
+  for (const refund of (order.payment && order.payment.refunds) || []) {
+    const creditNote = await issueCreditNote(invoice, {
+      amount: refund.amount,
+      reason: refund.reason || 'Remboursement',
+      sourceKey: `order_refund:${order._id}:${refund.reference || refund._id}`
+    });
+    if (creditNote) creditNotes.push(creditNote);
+  }
+  return creditNotes;
+};
+
+/**
+ * Avoir de la plateforme pour le temps non consommé d'une formule abandonnée en cours de période
+ * @param {Object} abonnement - Abonnement après le changement
+ * @param {number} amount - Avoir accordé (TTC)
+ * @param {string} reason
+ * @returns {Promise<Object|null>} - Avoir, null si aucune facture d'abonnement n'a été émise
+ */
+const issueSubscriptionCreditNote = async (abonnement, amount, reason) => {
+  const invoice = await Invoice.findOne({
+    pressing: abonnement.pressing,
+    source: INVOICE_SOURCES.SUBSCRIPTION,
+    documentType: DOCUMENT_TYPES.INVOICE
+  }).sort({ issuedAt: -1 });
+  if (!invoice) return null;
+
+  return issueCreditNote(invoice, {
+    amount,
+    reason,
+    sourceKey: `plan_change:${abonnement._id}:${new Date(abonnement.updatedAt).getTime()}`
+  });
+};
+
+/**
+ * Filtre des documents visibles par un utilisateur
+ * Un pressing voit les factures qu'il émet (commandes) et celles qu'il reçoit (abonnement).
+ * @param {Object} user - { id, role }
+ * @returns {Object}
+ */
+const visibilityFilter = (user) => {
+  if (user.role === 'client') return { customer: user.id };
+  if (user.role === 'pressing') return { pressing: user.id };
+  return {};
+};
+
+/**
+ * Liste paginée des factures et avoirs visibles par un utilisateur
+ * @param {Object} user - { id, role }
+ * @param {Object} [filters] - { documentType, source, order, pressing (admin), year, page, limit }
+ * @returns {Promise<Object>} - { invoices, total, page, pages }
+ */
+const listInvoices = async (user, { documentType, source, order, pressing, year, page = 1, limit = 20 } = {}) => {
+  const filter = visibilityFilter(user);
+  if (!filter.pressing && !filter.customer && pressing) filter.pressing = pressing;
+  if (documentType) filter.documentType = documentType;
+  if (source) filter.source = source;
+  if (order) filter.order = order;
+  if (year) filter.year = Number(year);
+
+  const [invoices, total] = await Promise.all([
+    Invoice.find(filter).sort({ issuedAt: -1 }).skip((page - 1) * limit).limit(limit),
+    Invoice.countDocuments(filter)
+  ]);
+  return { invoices, total, page, pages: Math.ceil(total / limit) };
+};
+
+/**
+ * Document visible par un utilisateur
+ * @param {Object} user - { id, role }
+ * @param {string} id
+ * @returns {Promise<Object>}
+ */
+const getInvoice = async (user, id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new NotFoundError('Facture non trouvée');
+  }
+  const invoice = await Invoice.findOne({ _id: id, ...visibilityFilter(user) });
+  if (!invoice) {
+    throw new NotFoundError('Facture non trouvée');
+  }
+  return invoice;
+};
+
+/**
+ * Références des factures légales émises pour des échéances d'abonnement
+ * @param {string[]} subscriptionInvoiceIds
+ * @returns {Promise<Object>} - { [échéance]: { id, number, downloadUrl } }
+ */
+const legalInvoicesFor = async (subscriptionInvoiceIds) => {
+  const invoices = await Invoice.find({
+    subscriptionInvoice: { $in: subscriptionInvoiceIds },
+    documentType: DOCUMENT_TYPES.INVOICE
+  }).select('number subscriptionInvoice');
+
+  return invoices.reduce((refs, invoice) => {
+    refs[invoice.subscriptionInvoice] = {
+      id: invoice._id,
+      number: invoice.number,
+      downloadUrl: `${config.api.prefix}/invoices/${invoice._id}/pdf`
+    };
+    return refs;
+  }, {});
+};
+
+/**
+ * Avoir commercial émis à la main par l'émetteur de la facture (pressing pour ses commandes, admin)
+ * La clé d'idempotence du client rend la requête rejouable sans émettre un second avoir.
+ * @param {Object} user - { id, role }
+ * @param {string} invoiceId
+ * @param {Object} params - { amount, reason, idempotencyKey }
+ * @returns {Promise<Object>} - Avoir
+ */
+const issueManualCreditNote = async (user, invoiceId, { amount, reason, idempotencyKey }) => {
+  const invoice = await getInvoice(user, invoiceId);
+  if (user.role === 'pressing' && invoice.issuerKey !== `pressing:${user.id}`) {
+    throw new ForbiddenError('Seul l\'émetteur de la facture peut établir un avoir');
+  }
+  if (!idempotencyKey || !/^[\w-]{8,100}$/.test(String(idempotencyKey))) {
+    throw new BadRequestError('En-tête Idempotency-Key requis (8 à 100 caractères alphanumériques)');
+  }
+
+  // Requête rejouée : l'avoir déjà émis est renvoyé tel quel
+  const sourceKey = `manual:${invoice._id}:${idempotencyKey}`;
+  const existing = await Invoice.findOne({ sourceKey });
+  if (existing) return existing;
+
+  if (!(Math.round(Number(amount)) > 0)) {
+    throw new BadRequestError('Montant de l\'avoir invalide');
+  }
+  if (!reason || !String(reason).trim()) {
+    throw new BadRequestError('Le motif de l\'avoir est requis');
+  }
+
+  return issueCreditNote(invoice, {
+    amount: Number(amount),
+    reason: String(reason).trim(),
+    sourceKey,
+    exact: true
+  });
+};
+
+/**
+ * Facture d'une commande terminée avant la mise en place de la facturation (idempotent)
+ * @param {Object} user - { id, role }
+ * @param {string} orderId
+ * @returns {Promise<Object>} - Facture
+ */
+const issueInvoiceForOrder = async (user, orderId) => {
+  if (!mongoose.Types.ObjectId.isValid(orderId)) {
+    throw new NotFoundError('Commande non trouvée');
+  }
+  const order = await Order.findById(orderId).select('pressing status');
+  if (!order || (user.role === 'pressing' && String(order.pressing) !== String(user.id))) {
+    throw new NotFoundError('Commande non trouvée');
+  }
+  if (order.status !== ORDER_STATUS.COMPLETED) {
+    throw new BadRequestError('Seule une commande terminée peut être facturée');
+  }
+  return issueOrderInvoice(order._id);
+};
+
+exports.formatNumber = formatNumber;
+exports.splitVat = splitVat;
+exports.subscriptionLines = subscriptionLines;
+exports.orderLines = orderLines;
+exports.issueDocument = issueDocument;
+exports.issueCreditNote = issueCreditNote;
+exports.issueSubscriptionInvoice = issueSubscriptionInvoice;
+exports.issueOrderInvoice = issueOrderInvoice;
+exports.syncOrderCreditNotes = syncOrderCreditNotes;
+exports.issueSubscriptionCreditNote = issueSubscriptionCreditNote;
+exports.creditedAmount = creditedAmount;
+exports.listInvoices = listInvoices;
+exports.getInvoice = getInvoice;
+exports.legalInvoicesFor = legalInvoicesFor;
+exports.issueManualCreditNote = issueManualCreditNote;
+exports.issueInvoiceForOrder = issueInvoiceForOrder;
@@ -0,0 +1,246 @@
+const PDFDocument = require('pdfkit');
+
+class InvoicePdfService {
+  /**
+   * Génère le PDF d'une facture ou d'un avoir
+   * @param {Object} invoice - Document émis (modèle Invoice)
+   * @returns {Promise<Buffer>} - Contenu du PDF
+   */
+  async generateInvoicePDF(invoice) {
+    return new Promise((resolve, reject) => {
+      try {
+        const doc = new PDFDocument({ margin: 50 });
+        const chunks = [];
+
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+
+        this.addHeader(doc, invoice);
+        const partiesEnd = this.addParties(doc, invoice);
+        const tableEnd = this.addLinesTable(doc, invoice, partiesEnd);
+        this.addTotals(doc, invoice, tableEnd);
+        this.addFooter(doc, invoice);
+
+        doc.end();
+      } catch (error) {
+        reject(error);
+      }
+    });
+  }
+
+  isCreditNote(invoice) {
+    return invoice.documentType === 'credit_note';
+  }
+
+  formatAmount(amount, currency = 'XOF') {
+    const unit = currency === 'XOF' ? 'FCFA' : currency;
+    return `${Number(amount || 0).toLocaleString('fr-FR')} ${unit}`;
+  }
+
+  formatDate(date) {
+    return date ? new Date(date).toLocaleDateString('fr-FR') : '-';
+  }
+
+  addHeader(doc, invoice) {
+    doc.fontSize(24)
+       .fillColor('#2563eb')
+       .text('GeoPressCI', 50, 50)
+       .fontSize(18)
+       .fillColor('#374151')
+       .text(this.isCreditNote(invoice) ? 'AVOIR' : 'FACTURE', 50, 80);
+
+    doc.fontSize(12)
+       .fillColor('#6b7280')
+       .text(`N° ${invoice.number}`, 350, 55, { width: 200, align: 'right' })
+       .text(`Date: ${this.formatDate(invoice.issuedAt)}`, 350, 72, { width: 200, align: 'right' });
+
+    if (invoice.sourceReference) {
+      const label = invoice.source === 'order' ? 'Commande' : 'Échéance';
+      doc.text(`${label}: ${invoice.sourceReference}`, 350, 89, { width: 200, align: 'right' });
+    }
+    if (this.isCreditNote(invoice) && invoice.creditedInvoiceNumber) {
+      doc.fillColor('#b91c1c')
+         .text(`Sur facture n° ${invoice.creditedInvoiceNumber}`, 350, 106, { width: 200, align: 'right' });
+    }
+
+    doc.moveTo(50, 130)
+       .lineTo(550, 130)
+       .stroke('#e5e7eb');
+  }
+
+  addParty(doc, title, party, x) {
+    const lines = [
+      party.address,
+      party.phone && `Tél: ${party.phone}`,
+      party.email,
+      party.taxId && `NCC: ${party.taxId}`,
+      party.tradeRegister && `RCCM: ${party.tradeRegister}`
+    ].filter(Boolean);
+
+    doc.fontSize(10)
+       .fillColor('#6b7280')
+       .text(title, x, 145)
+       .fontSize(12)
+       .fillColor('#111827')
+       .text(party.name, x, 160, { width: 230 });
+
+    let currentY = doc.y + 2;
+    lines.forEach(line => {
+      doc.fontSize(10)
+         .fillColor('#374151')
+         .text(line, x, currentY, { width: 230 });
+      currentY = doc.y + 1;
+    });
+    return currentY;
+  }
+
+  addParties(doc, invoice) {
+    const issuerEnd = this.addParty(doc, 'Émetteur', invoice.issuer, 50);
+    const recipientEnd = this.addParty(doc, 'Destinataire', invoice.recipient, 320);
+    const partiesEnd = Math.max(issuerEnd, recipientEnd, 230);
+
+    if (invoice.periodStart && invoice.periodEnd) {
+      doc.fontSize(10)
+         .fillColor('#6b7280')
+         .text(`Période: du ${this.formatDate(invoice.periodStart)} au ${this.formatDate(invoice.periodEnd)}`, 50, partiesEnd + 5);
+      return partiesEnd + 20;
+    }
+    return partiesEnd;
+  }
+
+  addLinesTable(doc, invoice, startY) {
+    let currentY = startY + 15;
+
+    const writeHeader = () => {
+      doc.fontSize(10)
+         .fillColor('#6b7280')
+         .text('Désignation', 50, currentY)
+         .text('Qté', 320, currentY, { width: 40, align: 'right' })
+         .text('PU HT', 370, currentY, { width: 80, align: 'right' })
+         .text('Montant HT', 460, currentY, { width: 90, align: 'right' });
+
+      currentY += 18;
+      doc.moveTo(50, currentY)
+         .lineTo(550, currentY)
+         .stroke('#e5e7eb');
+      currentY += 8;
+    };
+
+    writeHeader();
+
+    invoice.lines.forEach(line => {
+      doc.fontSize(10)
+         .fillColor('#374151')
+         .text(line.description, 50, currentY, { width: 260 });
+      const rowEnd = doc.y;
+
+      doc.text(String(line.quantity), 320, currentY, { width: 40, align: 'right' })
+         .text(Number(line.unitPrice).toLocaleString('fr-FR'), 370, currentY, { width: 80, align: 'right' })
+         .text(Number(line.amount).toLocaleString('fr-FR'), 460, currentY, { width: 90, align: 'right' });
+
+      currentY = Math.max(rowEnd, currentY + 14) + 4;
+
+      // Nouvelle page si nécessaire
+      if (currentY > 680) {
+        doc.addPage();
+        currentY = 50;
+        writeHeader();
+      }
+    });
+
+    doc.moveTo(50, currentY)
+       .lineTo(550, currentY)
+       .stroke('#e5e7eb');
+    return currentY + 10;
+  }
+
+  addTotals(doc, invoice, startY) {
+    let currentY = startY;
+    if (currentY > 640) {
+      doc.addPage();
+      currentY = 50;
+    }
+
+    const rows = [
+      ['Total HT', this.formatAmount(invoice.totalExclTax, invoice.currency)],
+      [`TVA${invoice.vatRate ? ` (${invoice.vatRate}%)` : ''}`, this.formatAmount(invoice.vat, invoice.currency)],
+      [this.isCreditNote(invoice) ? 'Total TTC crédité' : 'Total TTC', this.formatAmount(invoice.total, invoice.currency)]
+    ];
+
+    rows.forEach(([label, value], index) => {
+      const isTotal = index === rows.length - 1;
+      doc.fontSize(isTotal ? 13 : 11)
+         .fillColor(isTotal ? '#111827' : '#374151')
+         .text(label, 300, currentY)
+         .text(value, 400, currentY, { width: 150, align: 'right' });
+      currentY += isTotal ? 22 : 18;
+    });
+
+    if (this.isCreditNote(invoice)) {
+      if (invoice.reason) {
+        doc.fontSize(10)
+           .fillColor('#6b7280')
+           .text(`Motif: ${invoice.reason}`, 50, currentY + 5, { width: 500 });
+      }
+      return;
+    }
+
+    const payment = invoice.payment || {};
+    const details = [`Règlement: ${this.getPaymentStatusLabel(payment.status)}`];
+    if (payment.creditApplied > 0) {
+      details.push(`dont ${this.formatAmount(payment.creditApplied, invoice.currency)} réglés par avoir`);
+    }
+    if (payment.method) details.push(`moyen: ${this.getPaymentMethodLabel(payment.method)}`);
+    if (payment.reference) details.push(`réf. ${payment.reference}`);
+    if (payment.paidAt) details.push(`le ${this.formatDate(payment.paidAt)}`);
+
+    doc.fontSize(10)
+       .fillColor('#6b7280')
+       .text(details.join(', '), 50, currentY + 5, { width: 500 });
+  }
+
+  addFooter(doc, invoice) {
+    const pageHeight = doc.page.height;
+    const issuer = invoice.issuer;
+    const mentions = [
+      issuer.name,
+      issuer.taxId && `NCC ${issuer.taxId}`,
+      issuer.tradeRegister && `RCCM ${issuer.tradeRegister}`
+    ].filter(Boolean).join(' - ');
+
+    doc.fontSize(8)
+       .fillColor('#9ca3af')
+       .text(mentions, 50, pageHeight - 50)
+       .text(`Généré le ${new Date().toLocaleString('fr-FR')}`, 50, pageHeight - 35)
+       .text('Document émis via GeoPressCI. Toute rectification fait l\'objet d\'un avoir.', 50, pageHeight - 20);
+  }
+
+  getPaymentStatusLabel(status) {
+    const labels = {
+      paid: 'payée',
+      unpaid: 'à régler',
+      partially_paid: 'partiellement remboursée',
+      refunded: 'remboursée'
+    };
+    return labels[status] || status;
+  }
+
+  getPaymentMethodLabel(method) {
+    const labels = {
+      cash: 'espèces',
+      mobile_money: 'Mobile Money',
+      wallet: 'porte-monnaie',
+      credit_card: 'carte bancaire',
+      bank_transfer: 'virement',
+      avoir: 'avoir',
+      orange: 'Orange Money',
+      mtn: 'MTN Mobile Money',
+      moov: 'Moov Money',
+      wave: 'Wave'
+    };
+    return labels[method] || method;
+  }
+}
+
+module.exports = new InvoicePdfService();
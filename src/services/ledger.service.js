@@ -0,0 +1,524 @@
+// Grand livre en partie double : chaque mouvement d'argent de la place de marché
+// (encaissement, remboursement, abonnement, reversement) passe par une écriture équilibrée.
+// Les soldes sont toujours recalculés à partir des lignes d'écriture.
+
+const LedgerAccount = require('../models/ledgerAccount.model');
+const LedgerEntry = require('../models/ledgerEntry.model');
+const { ACCOUNT_CATEGORIES } = require('../models/ledgerAccount.model');
+const logger = require('../utils/logger');
+const { NotFoundError } = require('../utils/error.utils');
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Codes des comptes
+const accountCodes = {
+  clientWallet: (clientId) => `client_wallet:${clientId}`,
+  pressingBalance: (pressingId) => `pressing_balance:${pressingId}`,
+  platformCommission: () => 'platform_commission',
+  platformSubscriptions: () => 'platform_subscriptions',
+  providerClearing: (provider) => `provider_clearing:${provider}`,
+  vatCollected: () => 'vat_collected',
+  refunds: () => 'refunds',
+  compensations: () => 'compensations'
+};
+
+const ACCOUNT_NAMES = {
+  client_wallet: 'Porte-monnaie client',
+  pressing_balance: 'Solde pressing',
+  platform_commission: 'Commissions plateforme',
+  platform_subscriptions: 'Abonnements pressings',
+  provider_clearing: 'Compte de passage opérateur',
+  vat_collected: 'TVA collectée',
+  refunds: 'Remboursements',
+  compensations: 'Dédommagements litiges'
+};
+
+/**
+ * Retourne un compte à partir de son code, en le créant au besoin
+ * @param {string} code - Code du compte (ex: pressing_balance:<id>)
+ * @param {string} [currency='XOF']
+ * @returns {Promise<Object>}
+ */
+const ensureAccount = async (code, currency = 'XOF') => {
+  const [category, ownerId] = code.split(':');
+  const type = ACCOUNT_CATEGORIES[category];
+  if (!type) {
+    throw new Error(`Catégorie de compte inconnue: ${category}`);
+  }
+
+  const owner = {
+    client_wallet: { id: ownerId, type: 'Client' },
+    pressing_balance: { id: ownerId, type: 'Pressing' }
+  }[category];
+
+  return LedgerAccount.findOneAndUpdate(
+    { code },
+    {
+      $setOnInsert: {
+        code,
+        category,
+        type,
+        name: ownerId ? `${ACCOUNT_NAMES[category]} ${ownerId}` : ACCOUNT_NAMES[category],
+        currency,
+        ...(owner && { owner })
+      }
+    },
+    { upsert: true, new: true }
+  );
+};
+
+/**
+ * Passe une écriture équilibrée (idempotent sur la référence)
+ * @param {Object} params
+ * @param {string} params.reference - Clé d'idempotence
+ * @param {string} params.type - Type d'écriture
+ * @param {Array<{code: string, direction: string, amount: number}>} params.lines - Lignes
+ * @param {string} [params.description]
+ * @param {string} [params.currency='XOF']
+ * @param {string} [params.relatedTo]
+ * @param {string} [params.relatedToModel]
+ * @param {string} [params.transaction]
+ * @param {Object} [params.metadata]
+ * @returns {Promise<Object>} - Écriture créée ou existante
+ */
+const postEntry = async ({ reference, type, lines, description, currency = 'XOF', relatedTo, relatedToModel, transaction, metadata }) => {
+  const existing = await LedgerEntry.findOne({ reference });
+  if (existing) {
+    return existing;
+  }
+
+  const resolvedLines = [];
+  for (const line of lines.filter(line => round(line.amount) > 0)) {
+    const account = await ensureAccount(line.code, currency);
+    resolvedLines.push({
+      account: account._id,
+      accountCode: account.code,
+      direction: line.direction,
+      amount: round(line.amount)
+    });
+  }
+
+  try {
+    const entry = await LedgerEntry.create({
+      reference,
+      type,
+      description,
+      currency,
+      lines: resolvedLines,
+      relatedTo,
+      relatedToModel,
+      transaction,
+      metadata
+    });
+    logger.info(`Écriture ${reference} passée (${type})`);
+    return entry;
+  } catch (error) {
+    // Écriture passée en parallèle par un autre traitement
+    if (error.code === 11000) {
+      return LedgerEntry.findOne({ reference });
+    }
+    throw error;
+  }
+};
+
+/**
+ * Répartition d'une commande entre le pressing, la plateforme et la TVA
+ * @param {Object} order - Commande
+ * @returns {{total: number, commission: number, vat: number, pressingShare: number}}
+ */
+const getOrderSplit = (order) => {
+  const total = round(order.payment.amount.total);
+
+  // Instantané des règles de frais figé à la création de la commande
+  if (order.pricing) {
+    const commission = Math.min(round(order.pricing.platformRevenue), total);
+    const vat = Math.min(round(order.pricing.vat), round(total - commission));
+    return { total, commission, vat, pressingShare: round(total - commission - vat) };
+  }
+
+  // Commandes antérieures : les frais de service constituent la commission de la plateforme
+  const serviceFees = (order.fees || [])
+    .filter(fee => fee.type === 'service')
+    .reduce((sum, fee) => sum + fee.amount, 0);
+  const commission = Math.min(round(serviceFees), total);
+
+  return { total, commission, vat: 0, pressingShare: round(total - commission) };
+};
+
+/**
+ * Compte d'où proviennent (ou vers lequel retournent) les fonds d'une transaction
+ * @param {Object} transaction
+ * @returns {string}
+ */
+const fundingAccountCode = (transaction) => (transaction.paymentProvider === 'wallet'
+  ? accountCodes.clientWallet(transaction.user.id)
+  : accountCodes.providerClearing(transaction.paymentProvider));
+
+/**
+ * Encaissement d'une commande : les fonds (opérateur et/ou porte-monnaie) sont dus au pressing et à la plateforme
+ * @param {Object} order - Commande
+ * @param {Object|Object[]} transactions - Transaction(s) de paiement réussie(s), la première sert de référence
+ * @returns {Promise<Object>}
+ */
+exports.recordOrderCapture = async (order, transactions) => {
+  const funding = [].concat(transactions);
+  const [primary] = funding;
+  const { commission, vat, pressingShare } = getOrderSplit(order);
+  const amount = round(funding.reduce((sum, transaction) => sum + transaction.amount, 0));
+  const walletOnly = funding.every(transaction => transaction.paymentProvider === 'wallet');
+
+  return postEntry({
+    reference: `order_capture:${primary.reference}`,
+    type: walletOnly ? 'wallet_payment' : 'order_capture',
+    description: `Paiement de la commande ${order.orderNumber}`,
+    currency: primary.currency,
+    relatedTo: order._id,
+    relatedToModel: 'Order',
+    transaction: primary._id,
+    lines: [
+      ...funding.map(transaction => ({
+        code: fundingAccountCode(transaction),
+        direction: 'debit',
+        amount: round(transaction.amount)
+      })),
+      { code: accountCodes.pressingBalance(order.pressing), direction: 'credit', amount: round(amount - commission - vat) },
+      { code: accountCodes.platformCommission(), direction: 'credit', amount: commission },
+      { code: accountCodes.vatCollected(), direction: 'credit', amount: vat }
+    ],
+    metadata: { commission, vat, pressingShare }
+  });
+};
+
+/**
+ * Encaissement d'un panier multi-pressings : un paiement unique réparti entre les commandes du panier
+ * @param {Object} group - Panier (OrderGroup)
+ * @param {Object[]} orders - Commandes couvertes par le paiement
+ * @param {Object|Object[]} transactions - Transaction(s) de paiement réussie(s), la première sert de référence
+ * @returns {Promise<Object>}
+ */
+exports.recordGroupCapture = async (group, orders, transactions) => {
+  const funding = [].concat(transactions);
+  const [primary] = funding;
+  const splits = orders.map(order => ({ order, ...getOrderSplit(order) }));
+  const commission = round(splits.reduce((sum, split) => sum + split.commission, 0));
+  const vat = round(splits.reduce((sum, split) => sum + split.vat, 0));
+  const walletOnly = funding.every(transaction => transaction.paymentProvider === 'wallet');
+
+  return postEntry({
+    reference: `order_capture:${primary.reference}`,
+    type: walletOnly ? 'wallet_payment' : 'order_capture',
+    description: `Paiement du panier ${group.reference} (${orders.map(order => order.orderNumber).join(', ')})`,
+    currency: primary.currency,
+    relatedTo: group._id,
+    relatedToModel: 'OrderGroup',
+    transaction: primary._id,
+    lines: [
+      ...funding.map(transaction => ({
+        code: fundingAccountCode(transaction),
+        direction: 'debit',
+        amount: round(transaction.amount)
+      })),
+      ...splits.map(split => ({
+        code: accountCodes.pressingBalance(split.order.pressing),
+        direction: 'credit',
+        amount: split.pressingShare
+      })),
+      { code: accountCodes.platformCommission(), direction: 'credit', amount: commission },
+      { code: accountCodes.vatCollected(), direction: 'credit', amount: vat }
+    ],
+    metadata: { commission, vat, orders: orders.map(order => order.orderNumber) }
+  });
+};
+
+/**
+ * Remboursement confirmé par l'opérateur. Pour une commande, le pressing supporte sa quote-part,
+ * la TVA est régularisée et la plateforme supporte le reste (commission).
+ * @param {Object} refundTransaction - Transaction de remboursement réussie
+ * @param {Object} [options]
+ * @param {Object} [options.order] - Commande remboursée
+ * @returns {Promise<Object>}
+ */
+exports.recordRefund = async (refundTransaction, { order } = {}) => {
+  const amount = round(refundTransaction.amount);
+  const lines = [
+    { code: fundingAccountCode(refundTransaction), direction: 'credit', amount }
+  ];
+
+  if (order) {
+    const { total, vat, pressingShare } = getOrderSplit(order);
+    const pressingPart = total > 0 ? round(amount * pressingShare / total) : 0;
+    // La TVA correspondante est annulée au prorata
+    const vatPart = total > 0 ? round(amount * vat / total) : 0;
+    lines.push(
+      { code: accountCodes.pressingBalance(order.pressing), direction: 'debit', amount: pressingPart },
+      { code: accountCodes.vatCollected(), direction: 'debit', amount: vatPart },
+      { code: accountCodes.refunds(), direction: 'debit', amount: round(amount - pressingPart - vatPart) }
+    );
+  } else {
+    lines.push({ code: accountCodes.refunds(), direction: 'debit', amount });
+  }
+
+  return postEntry({
+    reference: `refund:${refundTransaction.reference}`,
+    type: order ? 'order_refund' : 'refund',
+    description: order ? `Remboursement de la commande ${order.orderNumber}` : refundTransaction.description,
+    currency: refundTransaction.currency,
+    relatedTo: order ? order._id : refundTransaction._id,
+    relatedToModel: order ? 'Order' : 'Transaction',
+    transaction: refundTransaction._id,
+    lines
+  });
+};
+
+/**
+ * Recharge du porte-monnaie d'un client via un opérateur
+ * @param {Object} transaction - Transaction de recharge réussie
+ * @returns {Promise<Object>}
+ */
+exports.recordWalletTopup = async (transaction) => {
+  const amount = round(transaction.amount);
+
+  return postEntry({
+    reference: `wallet_topup:${transaction.reference}`,
+    type: 'wallet_topup',
+    description: 'Recharge du porte-monnaie',
+    currency: transaction.currency,
+    relatedTo: transaction.user.id,
+    relatedToModel: 'Client',
+    transaction: transaction._id,
+    lines: [
+      { code: accountCodes.providerClearing(transaction.paymentProvider), direction: 'debit', amount },
+      { code: accountCodes.clientWallet(transaction.user.id), direction: 'credit', amount }
+    ]
+  });
+};
+
+/**
+ * Dédommagement accordé à un client à l'issue d'un litige, crédité sur son porte-monnaie
+ * @param {Object} transaction - Transaction de dédommagement
+ * @returns {Promise<Object>}
+ */
+exports.recordDisputeCompensation = async (transaction) => {
+  const amount = round(transaction.amount);
+
+  return postEntry({
+    reference: `dispute_compensation:${transaction.reference}`,
+    type: 'dispute_compensation',
+    description: transaction.description || 'Dédommagement litige',
+    currency: transaction.currency,
+    relatedTo: transaction.relatedTo,
+    relatedToModel: 'Dispute',
+    transaction: transaction._id,
+    lines: [
+      { code: accountCodes.compensations(), direction: 'debit', amount },
+      { code: accountCodes.clientWallet(transaction.user.id), direction: 'credit', amount }
+    ]
+  });
+};
+
+/**
+ * Prélèvement d'un abonnement pressing
+ * @param {Object} transaction - Transaction d'abonnement réussie
+ * @returns {Promise<Object>}
+ */
+exports.recordSubscriptionCharge = async (transaction) => {
+  const amount = round(transaction.amount);
+
+  return postEntry({
+    reference: `subscription_charge:${transaction.reference}`,
+    type: 'subscription_charge',
+    description: transaction.description || 'Abonnement pressing',
+    currency: transaction.currency,
+    relatedTo: transaction.user.id,
+    relatedToModel: 'Pressing',
+    transaction: transaction._id,
+    lines: [
+      { code: accountCodes.providerClearing(transaction.paymentProvider), direction: 'debit', amount },
+      { code: accountCodes.platformSubscriptions(), direction: 'credit', amount }
+    ]
+  });
+};
+
+/**
+ * Reversement effectué à un pressing
+ * @param {Object} payout - Reversement terminé
+ * @returns {Promise<Object>}
+ */
+exports.recordPayout = async (payout) => {
+  const amount = round(payout.amount);
+
+  return postEntry({
+    reference: `payout:${payout.reference}`,
+    type: 'payout',
+    description: `Reversement ${payout.reference}`,
+    currency: payout.currency,
+    relatedTo: payout._id,
+    relatedToModel: 'Payout',
+    lines: [
+      { code: accountCodes.pressingBalance(payout.pressing), direction: 'debit', amount },
+      { code: accountCodes.providerClearing(payout.provider || payout.paymentMethod), direction: 'credit', amount }
+    ]
+  });
+};
+
+/**
+ * Totaux débit/crédit par compte
+ * @param {Object} [match] - Filtre sur les écritures
+ * @param {string} [accountCode] - Restreindre à un compte
+ * @returns {Promise<Map<string, {debit: number, credit: number}>>}
+ */
+const sumByAccount = async (match = {}, accountCode) => {
+  const lineMatch = accountCode ? { 'lines.accountCode': accountCode } : {};
+  const rows = await LedgerEntry.aggregate([
+    { $match: { ...match, ...lineMatch } },
+    { $unwind: '$lines' },
+    { $match: lineMatch },
+    {
+      $group: {
+        _id: '$lines.accountCode',
+        debit: { $sum: { $cond: [{ $eq: ['$lines.direction', 'debit'] }, '$lines.amount', 0] } },
+        credit: { $sum: { $cond: [{ $eq: ['$lines.direction', 'credit'] }, '$lines.amount', 0] } }
+      }
+    }
+  ]);
+
+  return new Map(rows.map(row => [row._id, { debit: round(row.debit), credit: round(row.credit) }]));
+};
+
+/**
+ * Solde dans le sens normal du compte
+ */
+const signedBalance = (account, { debit, credit }) =>
+  round(account.normalSide === 'debit' ? debit - credit : credit - debit);
+
+/**
+ * Récupère un compte par son code
+ * @param {string} code
+ * @returns {Promise<Object>}
+ */
+exports.getAccount = async (code) => {
+  const account = await LedgerAccount.findOne({ code });
+  if (!account) {
+    throw new NotFoundError(`Compte non trouvé: ${code}`);
+  }
+  return account;
+};
+
+/**
+ * Solde d'un compte
+ * @param {string} code - Code du compte
+ * @param {Object} [options]
+ * @param {Date} [options.at] - Solde à une date donnée
+ * @returns {Promise<{account: Object, debit: number, credit: number, balance: number}>}
+ */
+exports.getAccountBalance = async (code, { at } = {}) => {
+  const account = await exports.getAccount(code);
+  const totals = (await sumByAccount(at ? { postedAt: { $lte: at } } : {}, code)).get(code) || { debit: 0, credit: 0 };
+
+  return { account, ...totals, balance: signedBalance(account, totals), currency: account.currency };
+};
+
+/**
+ * Relevé d'un compte sur une période, avec solde d'ouverture et solde courant
+ * @param {string} code - Code du compte
+ * @param {Object} [options]
+ * @param {Date} [options.from] - Début (30 jours par défaut)
+ * @param {Date} [options.to] - Fin (maintenant par défaut)
+ * @returns {Promise<Object>}
+ */
+exports.getStatement = async (code, { from, to } = {}) => {
+  const account = await exports.getAccount(code);
+  const end = to || new Date();
+  const start = from || new Date(end.getTime() - 30 * 24 * 60 * 60 * 1000);
+
+  const openingTotals = (await sumByAccount({ postedAt: { $lt: start } }, code)).get(code) || { debit: 0, credit: 0 };
+  const openingBalance = signedBalance(account, openingTotals);
+
+  const entries = await LedgerEntry.find({
+    'lines.accountCode': code,
+    postedAt: { $gte: start, $lte: end }
+  }).sort({ postedAt: 1, _id: 1 });
+
+  let balance = openingBalance;
+  const lines = [];
+  for (const entry of entries) {
+    for (const line of entry.lines.filter(line => line.accountCode === code)) {
+      balance = round(balance + (line.direction === account.normalSide ? line.amount : -line.amount));
+      lines.push({
+        entryId: entry._id,
+        reference: entry.reference,
+        type: entry.type,
+        description: entry.description,
+        postedAt: entry.postedAt,
+        direction: line.direction,
+        amount: line.amount,
+        balance,
+        relatedTo: entry.relatedTo,
+        relatedToModel: entry.relatedToModel
+      });
+    }
+  }
+
+  return {
+    account,
+    period: { from: start, to: end },
+    openingBalance,
+    closingBalance: balance,
+    currency: account.currency,
+    lines
+  };
+};
+
+/**
+ * Liste des comptes avec leur solde
+ * @param {Object} [filters]
+ * @param {string} [filters.category]
+ * @returns {Promise<Object[]>}
+ */
+exports.listAccounts = async ({ category } = {}) => {
+  const accounts = await LedgerAccount.find(category ? { category } : {}).sort({ category: 1, code: 1 });
+  const totals = await sumByAccount();
+
+  return accounts.map(account => {
+    const accountTotals = totals.get(account.code) || { debit: 0, credit: 0 };
+    return { ...account.toJSON(), ...accountTotals, balance: signedBalance(account, accountTotals) };
+  });
+};
+
+/**
+ * Balance générale : le total des débits doit égaler le total des crédits
+ * @param {Object} [options]
+ * @param {Date} [options.at] - Date d'arrêté
+ * @returns {Promise<Object>}
+ */
+exports.getTrialBalance = async ({ at } = {}) => {
+  const totals = await sumByAccount(at ? { postedAt: { $lte: at } } : {});
+  const accounts = await LedgerAccount.find({ code: { $in: [...totals.keys()] } });
+
+  const rows = accounts.map(account => {
+    const accountTotals = totals.get(account.code);
+    return {
+      code: account.code,
+      category: account.category,
+      type: account.type,
+      ...accountTotals,
+      balance: signedBalance(account, accountTotals)
+    };
+  });
+
+  // Sommes en centimes pour une comparaison exacte
+  const debitCents = rows.reduce((sum, row) => sum + Math.round(row.debit * 100), 0);
+  const creditCents = rows.reduce((sum, row) => sum + Math.round(row.credit * 100), 0);
+
+  return {
+    at: at || new Date(),
+    totalDebit: debitCents / 100,
+    totalCredit: creditCents / 100,
+    balanced: debitCents === creditCents,
+    accounts: rows
+  };
+};
+
+exports.ensureAccount = ensureAccount;
+exports.accountCodes = accountCodes;
+exports.getOrderSplit = getOrderSplit;
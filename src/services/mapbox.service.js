@@ -71,6 +71,7 @@ class MapboxService {
       } else {
         return {
           success: false,
+          notFound: true,
           error: 'Aucun résultat trouvé pour cette adresse'
         };
       }
@@ -78,6 +79,7 @@ class MapboxService {
       console.error('Erreur géocodage Mapbox:', error.message);
       return {
         success: false,
+        status: error.response?.status, // 429 : quota atteint
         error: error.message
       };
     }
@@ -131,6 +133,7 @@ class MapboxService {
       } else {
         return {
           success: false,
+          notFound: true,
           error: 'Aucune adresse trouvée pour ces coordonnées'
         };
       }
@@ -138,6 +141,7 @@ class MapboxService {
       console.error('Erreur géocodage inverse Mapbox:', error.message);
       return {
         success: false,
+        status: error.response?.status, // 429 : quota atteint
         error: error.message
       };
     }
@@ -210,6 +214,59 @@ class MapboxService {
     }
   }
 
+  /**
+   * Matrice des distances et durées entre plusieurs points (25 points maximum)
+   * @param {Array<object>} points - Points {latitude, longitude}
+   * @param {object} options - Options de routage
+   * @returns {Promise<object>} Distances (mètres) et durées (secondes), indexées [origine][destination]
+   */
+  async getMatrix(points, options = {}) {
+    try {
+      if (!this.accessToken) {
+        throw new Error('Token Mapbox non configuré');
+      }
+      if (points.length < 2 || points.length > 25) {
+        throw new Error('La matrice Mapbox accepte de 2 à 25 points');
+      }
+
+      const { profile = 'driving' } = options;
+      const coordinates = points.map(point => `${point.longitude},${point.latitude}`).join(';');
+      const url = `${this.baseUrl}/directions-matrix/v1/mapbox/${profile}/${coordinates}`;
+
+      const response = await axios.get(url, {
+        params: {
+          access_token: this.accessToken,
+          annotations: 'distance,duration'
+        },
+        timeout: 15000
+      });
+
+      const { distances, durations } = response.data;
+      // Une paire sans itinéraire est renvoyée à null par Mapbox
+      const complete = matrix => Array.isArray(matrix) && matrix.every(row => row.every(value => value !== null));
+      if (response.data.code !== 'Ok' || !complete(distances) || !complete(durations)) {
+        return {
+          success: false,
+          error: 'Matrice incomplète'
+        };
+      }
+
+      return {
+        success: true,
+        data: {
+          distances: distances.map(row => row.map(Math.round)),
+          durations: durations.map(row => row.map(Math.round))
+        }
+      };
+    } catch (error) {
+      console.error('Erreur matrice Mapbox:', error.message);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
   /**
    * Calcul de distance à vol d'oiseau entre deux points
    * @param {object} point1 - Premier point {latitude, longitude}
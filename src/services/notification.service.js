@@ -1,6 +1,11 @@
 const Notification = require('../models/notification.model');
 const config = require('../config/config');
 const logger = require('../utils/logger');
+const emailService = require('./email.service');
+
+// Chargé à la demande : web-push n'est nécessaire qu'à l'envoi des notifications push
+const sendPush = async (userId, payload, options) =>
+  require('./pushNotification.service').sendPushToUser(userId, payload, options);
 
 // Templates pour les notifications in-app
 const notificationTemplates = {
@@ -119,6 +124,148 @@ const notificationTemplates = {
   }),
 
   // Notification personnalisée
+  // Évolution d'un reversement au pressing
+  payoutStatusUpdate: (pressing, payout) => ({
+    title: payout.status === 'completed' ? '💰 Reversement effectué' : '⚠️ Reversement en échec',
+    message: payout.status === 'completed'
+      ? `Votre reversement ${payout.reference} de ${payout.amount} ${payout.currency} a été effectué.`
+      : `Votre reversement ${payout.reference} de ${payout.amount} ${payout.currency} n'a pas pu être effectué. Vérifiez vos coordonnées de reversement.`,
+    type: 'payment',
+    subtype: `payout_${payout.status}`,
+    priority: payout.status === 'completed' ? 3 : 4,
+    data: { payoutId: payout._id, reference: payout.reference },
+    actions: [{
+      type: 'navigate',
+      label: 'Voir le relevé',
+      target: `/pressing/payouts/${payout._id}`
+    }]
+  }),
+
+  refundStatusUpdate: (user, request) => ({
+    title: refundStatusTitles[request.status] || '💸 Demande de remboursement',
+    message: `La demande de remboursement ${request.reference} de ${request.amount} ${request.currency} ${refundStatusLabels[request.status] || request.status}.` +
+      (request.status === 'rejected' && request.reviewNotes ? ` Motif : ${request.reviewNotes}` : '') +
+      (request.status === 'failed' && request.failureReason ? ` Motif : ${request.failureReason}` : ''),
+    type: 'payment',
+    subtype: `refund_${request.status}`,
+    priority: ['pending_approval', 'failed'].includes(request.status) ? 4 : 3,
+    relatedTo: {
+      order: request.order && (request.order._id || request.order)
+    },
+    data: { refundRequestId: request._id, reference: request.reference, amount: request.amount, status: request.status },
+    actions: [{
+      type: 'navigate',
+      label: 'Voir la demande',
+      target: `/refunds/${request._id}`
+    }]
+  }),
+
+  disputeUpdate: (user, { dispute, event }) => ({
+    title: disputeEventTitles[event] || '⚖️ Litige',
+    message: `Litige ${dispute.reference} : ${disputeEventMessages[event] || 'mise à jour du dossier'}.` +
+      (['resolved', 'rejected'].includes(event) && dispute.resolution && dispute.resolution.notes ? ` ${dispute.resolution.notes}` : ''),
+    type: 'order',
+    subtype: `dispute_${event}`,
+    priority: ['opened', 'escalated', 'sla_breached'].includes(event) ? 5 : 4,
+    relatedTo: {
+      order: dispute.order && (dispute.order._id || dispute.order)
+    },
+    data: { disputeId: dispute._id, reference: dispute.reference, status: dispute.status, event },
+    actions: [{
+      type: 'navigate',
+      label: 'Voir le litige',
+      target: `/disputes/${dispute._id}`
+    }]
+  }),
+
+  quoteUpdate: (user, { order, quote, event }) => ({
+    title: quoteEventTitles[event] || '🧾 Devis',
+    message: `Devis ${quote.reference} pour la commande ${order.orderNumber} (${quote.total} ${quote.currency}) : ${quoteEventMessages[event] || 'mise à jour'}.` +
+      (event === 'rejected' && quote.rejectionReason ? ` Motif : ${quote.rejectionReason}` : ''),
+    type: 'order',
+    subtype: `quote_${event}`,
+    priority: ['issued', 'expired'].includes(event) ? 4 : 3,
+    relatedTo: {
+      order: order._id
+    },
+    data: { orderId: order._id, reference: quote.reference, total: quote.total, validUntil: quote.validUntil, event },
+    actions: [{
+      type: 'navigate',
+      label: 'Voir le devis',
+      target: `/orders/${order._id}/quotes`
+    }]
+  }),
+
+  cartReminder: (user, { order }) => {
+    const count = order.items.reduce((sum, item) => sum + item.quantity, 0);
+    const pressingName = order.pressing && order.pressing.businessName ? ` chez ${order.pressing.businessName}` : '';
+    return {
+      title: '🛒 Votre panier vous attend',
+      message: `Vous avez ${count} article(s)${pressingName} dans votre panier (${order.payment.amount.total} ${order.payment.amount.currency}). Finalisez votre commande avant qu'il n'expire.`,
+      type: 'order',
+      subtype: 'cart_reminder',
+      priority: 2,
+      relatedTo: {
+        order: order._id
+      },
+      data: { orderId: order._id, total: order.payment.amount.total, expiresAt: order.expiresAt },
+      actions: [{
+        type: 'navigate',
+        label: 'Voir mon panier',
+        target: '/cart'
+      }]
+    };
+  },
+
+  deliveryJobUpdate: (user, { job, order, event }) => ({
+    title: deliveryJobEventTitles[event] || '🛵 Course',
+    message: `${job.type === 'pickup' ? 'Collecte' : 'Livraison'} de la commande ${order.orderNumber} : ${deliveryJobEventMessages[event] || 'mise à jour'}.`,
+    type: 'delivery',
+    subtype: `delivery_job_${event}`,
+    priority: ['offered', 'attempt_failed', 'failed', 'unassigned'].includes(event) ? 4 : 3,
+    relatedTo: {
+      order: order._id
+    },
+    data: { orderId: order._id, jobId: job._id, jobType: job.type, status: job.status, event },
+    actions: [{
+      type: 'navigate',
+      label: 'Suivre la commande',
+      target: `/orders/${order._id}/tracking`
+    }]
+  }),
+
+  handoverCode: (user, { order, type, code, expiresAt }) => ({
+    title: '🔐 Code de remise',
+    message: `Code de remise pour la ${type === 'pickup' ? 'collecte' : 'livraison'} de la commande ${order.orderNumber} : ${code}. Ne le communiquez qu'au moment de remettre ou de recevoir vos vêtements.`,
+    type: 'delivery',
+    subtype: 'handover_code',
+    priority: 5,
+    relatedTo: {
+      order: order._id
+    },
+    data: { orderId: order._id, type, code, expiresAt },
+    actions: [{
+      type: 'navigate',
+      label: 'Suivre la commande',
+      target: `/orders/${order._id}/tracking`
+    }],
+    expiresAt
+  }),
+
+  subscriptionBilling: (pressing, { invoice, event }) => ({
+    title: subscriptionBillingTitles[event] || '🧾 Abonnement',
+    message: subscriptionBillingMessage(invoice, event),
+    type: 'subscription',
+    subtype: `subscription_${event}`,
+    priority: event === 'paid' ? 3 : 5,
+    data: { invoiceId: invoice._id, reference: invoice.reference, amount: invoice.amount, status: invoice.status, event },
+    actions: [{
+      type: 'navigate',
+      label: event === 'paid' ? 'Voir la facture' : 'Régler la facture',
+      target: `/pressing/billing/invoices/${invoice._id}`
+    }]
+  }),
+
   custom: (user, { subject, message, type = 'system', priority = 3, actions = [] }) => ({
     title: subject,
     message,
@@ -128,6 +275,126 @@ const notificationTemplates = {
   })
 };
 
+// Titres et libellés des notifications de remboursement
+const refundStatusTitles = {
+  pending_approval: '🕒 Demande de remboursement',
+  approved: '✅ Remboursement approuvé',
+  rejected: '❌ Remboursement refusé',
+  processing: '💸 Remboursement en cours',
+  completed: '💸 Remboursement effectué',
+  failed: '⚠️ Remboursement en échec',
+  cancelled: '🚫 Demande de remboursement annulée'
+};
+
+const refundStatusLabels = {
+  pending_approval: 'est en attente de validation',
+  approved: 'a été approuvée',
+  rejected: 'a été refusée',
+  processing: 'est en cours de traitement',
+  completed: 'a été effectuée',
+  failed: 'n\'a pas pu aboutir',
+  cancelled: 'a été annulée'
+};
+
+// Titres et messages des notifications de litige, par événement
+const disputeEventTitles = {
+  opened: '⚖️ Nouveau litige',
+  message: '💬 Nouveau message sur un litige',
+  escalated: '📣 Litige transmis à l\'administration',
+  sla_breached: '⏰ Délai de traitement dépassé',
+  resolved: '✅ Litige résolu',
+  rejected: '❌ Litige clos sans suite',
+  withdrawn: '🚫 Litige retiré'
+};
+
+const disputeEventMessages = {
+  opened: 'une réclamation a été ouverte sur la commande',
+  message: 'un nouveau message a été ajouté au dossier',
+  escalated: 'le dossier est désormais examiné par notre équipe',
+  sla_breached: 'le délai de traitement est dépassé, le dossier est suivi par notre équipe',
+  resolved: 'une solution a été retenue',
+  rejected: 'la réclamation n\'a pas été retenue',
+  withdrawn: 'la réclamation a été retirée par le client'
+};
+
+// Titres et messages des notifications de devis, par événement
+const quoteEventTitles = {
+  issued: '🧾 Devis disponible',
+  accepted: '✅ Devis accepté',
+  rejected: '❌ Devis refusé',
+  expired: '⏰ Devis expiré'
+};
+
+const quoteEventMessages = {
+  issued: 'vos articles ont été inspectés, le devis attend votre réponse',
+  accepted: 'le client a accepté le devis',
+  rejected: 'le client a refusé le devis',
+  expired: 'le devis a expiré sans réponse'
+};
+
+// Titres et messages des notifications de course (collecte ou livraison), par événement
+const deliveryJobEventTitles = {
+  assigned: '🛵 Livreur attribué',
+  offered: '📦 Nouvelle course',
+  accepted: '🛵 Livreur en route',
+  declined: '↩️ Course déclinée',
+  unassigned: '⚠️ Course sans livreur',
+  picked_up: '📦 Vêtements récupérés',
+  in_transit: '🛵 En route',
+  delivered: '✅ Course terminée',
+  attempt_failed: '⏰ Passage infructueux',
+  failed: '❌ Course abandonnée',
+  cancelled: '🚫 Course annulée'
+};
+
+const deliveryJobEventMessages = {
+  assigned: 'un livreur a été attribué',
+  offered: 'une course vous a été proposée, acceptez-la ou déclinez-la',
+  accepted: 'le livreur a accepté la course et se rend au point de départ',
+  declined: 'le livreur a décliné la course',
+  unassigned: 'aucun livreur disponible, la course est à attribuer',
+  picked_up: 'les vêtements ont été récupérés par le livreur',
+  in_transit: 'le livreur est en route',
+  delivered: 'la remise a été effectuée',
+  attempt_failed: 'le livreur n\'a pas pu effectuer la remise, un nouveau passage sera programmé',
+  failed: 'la course a été abandonnée après plusieurs tentatives',
+  cancelled: 'la course a été annulée'
+};
+
+// Titres des relances d'abonnement, par étape
+const subscriptionBillingTitles = {
+  paid: '✅ Abonnement renouvelé',
+  payment_failed: '⚠️ Échec du paiement de l\'abonnement',
+  final_notice: '⏰ Dernier rappel avant suspension',
+  suspended: '🚫 Compte suspendu pour impayé'
+};
+
+const formatBillingDate = (date) => new Date(date).toLocaleDateString('fr-FR', { timeZone: 'Africa/Abidjan' });
+
+/**
+ * Message d'une relance d'abonnement
+ * @param {Object} invoice - Facture d'abonnement
+ * @param {string} event - paid, payment_failed, final_notice ou suspended
+ * @returns {string}
+ */
+const subscriptionBillingMessage = (invoice, event) => {
+  const amount = `${invoice.amount} ${invoice.currency}`;
+  switch (event) {
+    case 'paid':
+      return `Le paiement de ${amount} (facture ${invoice.reference}) a été reçu. Votre abonnement est actif jusqu'au ${formatBillingDate(invoice.periodEnd)}.`;
+    case 'payment_failed':
+      return `Le prélèvement de ${amount} (facture ${invoice.reference}) a échoué.` +
+        (invoice.nextAttemptAt ? ` Nouvelle tentative le ${formatBillingDate(invoice.nextAttemptAt)}.` : '') +
+        ` Réglez la facture avant le ${formatBillingDate(invoice.graceEndsAt)} pour éviter la suspension de votre compte.`;
+    case 'final_notice':
+      return `Aucune nouvelle tentative de prélèvement n'est prévue pour la facture ${invoice.reference} (${amount}). Votre compte sera suspendu le ${formatBillingDate(invoice.graceEndsAt)} si elle n'est pas réglée.`;
+    case 'suspended':
+      return `La facture ${invoice.reference} (${amount}) est restée impayée à la fin du délai de grâce. Votre compte est suspendu : réglez la facture pour le réactiver.`;
+    default:
+      return `Facture ${invoice.reference} (${amount}) : mise à jour.`;
+  }
+};
+
 // Fonction utilitaire pour obtenir le libellé d'un statut
 function getStatusLabel(status) {
   const statusLabels = {
@@ -142,13 +409,33 @@ function getStatusLabel(status) {
     pending: 'En attente',
     confirmed: 'Confirmée',
     in_progress: 'En cours',
+    processing: 'En cours de traitement',
     ready: 'Prête',
+    ready_for_pickup: 'Prête à être récupérée',
+    out_for_delivery: 'En cours de livraison',
     delivered: 'Livrée',
-    cancelled: 'Annulée'
+    completed: 'Terminée',
+    on_hold: 'En attente (problème à résoudre)',
+    cancelled: 'Annulée',
+    refunded: 'Remboursée'
   };
   return statusLabels[status] || status;
 }
 
+/**
+ * Détermine le type de destinataire attendu par le modèle Notification
+ * @param {Object} recipient - Utilisateur destinataire
+ * @returns {string} - Client, Pressing ou Admin
+ */
+const resolveRecipientType = (recipient) => {
+  const modelName = recipient.modelName || (recipient.constructor && recipient.constructor.modelName) || recipient.role;
+  const normalized = (modelName || '').toLowerCase();
+  if (normalized === 'pressing') return 'Pressing';
+  if (normalized === 'admin' || normalized === 'super_admin') return 'Admin';
+  if (normalized === 'rider') return 'Rider';
+  return 'Client';
+};
+
 /**
  * Créer une notification in-app
  * @param {Object} recipient - Utilisateur destinataire
@@ -158,7 +445,10 @@ function getStatusLabel(status) {
 const createInAppNotification = async (recipient, notificationData) => {
   try {
     const notification = new Notification({
-      recipient: recipient._id,
+      recipient: {
+        id: recipient._id,
+        type: resolveRecipientType(recipient)
+      },
       title: notificationData.title,
       message: notificationData.message,
       type: notificationData.type || 'system',
@@ -302,6 +592,295 @@ const notifyNewOrder = async (order, customer, pressing) => {
   }
 };
 
+/**
+ * Notifier un changement de statut de commande (client et, si besoin, pressing)
+ * @param {Object} order - Commande mise à jour
+ * @param {string} previousStatus - Statut précédent
+ * @param {Object} [options] - Options
+ * @param {string} [options.actor] - Acteur ayant déclenché le changement
+ * @returns {Promise<Object>} - Résultats des notifications
+ */
+const notifyOrderStatusUpdate = async (order, previousStatus, { actor } = {}) => {
+  try {
+    const results = {};
+    const customerId = order.customer && (order.customer._id || order.customer);
+    const pressingId = order.pressing && (order.pressing._id || order.pressing);
+
+    if (customerId) {
+      results.customer = await createInAppNotification(
+        { _id: customerId, modelName: 'Client' },
+        notificationTemplates.orderStatusUpdate(order.customer, order, previousStatus)
+      );
+    }
+
+    // Le pressing est prévenu des changements qu'il n'a pas lui-même déclenchés
+    if (pressingId && actor !== 'pressing') {
+      results.pressing = await createInAppNotification(
+        { _id: pressingId, modelName: 'Pressing' },
+        {
+          ...notificationTemplates.orderStatusUpdate(order.pressing, order, previousStatus),
+          actions: [{
+            type: 'view_order',
+            label: 'Voir la commande',
+            target: `/pressing/orders/${order._id}`
+          }]
+        }
+      );
+    }
+
+    return { success: true, results };
+  } catch (error) {
+    logger.error(`Erreur lors de la notification du changement de statut de la commande ${order._id}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Notifier un pressing de l'issue d'un reversement
+ * @param {Object} payout - Reversement terminé ou en échec
+ * @returns {Promise<Object>} - Notification créée
+ */
+const notifyPayoutStatusUpdate = async (payout) => {
+  const pressingId = payout.pressing && (payout.pressing._id || payout.pressing);
+  return createInAppNotification(
+    { _id: pressingId, modelName: 'Pressing' },
+    notificationTemplates.payoutStatusUpdate(payout.pressing, payout)
+  );
+};
+
+/**
+ * Notifier le client et le pressing de l'évolution d'une demande de remboursement
+ * @param {Object} request - Demande de remboursement
+ * @param {Object} [options] - Options
+ * @param {string} [options.actor] - Rôle ayant déclenché le changement
+ * @returns {Promise<Object>} - Résultats des notifications
+ */
+const notifyRefundStatusUpdate = async (request, { actor } = {}) => {
+  const results = {};
+  const customerId = request.customer && (request.customer._id || request.customer);
+  const pressingId = request.pressing && (request.pressing._id || request.pressing);
+
+  if (customerId) {
+    results.customer = await createInAppNotification(
+      { _id: customerId, modelName: 'Client' },
+      notificationTemplates.refundStatusUpdate(request.customer, request)
+    );
+  }
+
+  // Le pressing est prévenu des changements qu'il n'a pas lui-même déclenchés
+  if (pressingId && actor !== 'pressing') {
+    results.pressing = await createInAppNotification(
+      { _id: pressingId, modelName: 'Pressing' },
+      {
+        ...notificationTemplates.refundStatusUpdate(request.pressing, request),
+        actions: [{
+          type: 'navigate',
+          label: 'Voir la demande',
+          target: `/pressing/refunds/${request._id}`
+        }]
+      }
+    );
+  }
+
+  return { success: true, results };
+};
+
+/**
+ * Notifier le client et le pressing d'un événement sur un litige
+ * @param {Object} dispute - Litige
+ * @param {Object} options - Options
+ * @param {string} options.event - opened, message, escalated, sla_breached, resolved, rejected ou withdrawn
+ * @param {string} [options.actor] - Rôle à l'origine de l'événement (non notifié)
+ * @returns {Promise<Object>} - Résultats des notifications
+ */
+const notifyDisputeUpdate = async (dispute, { event, actor } = {}) => {
+  const results = {};
+  const customerId = dispute.customer && (dispute.customer._id || dispute.customer);
+  const pressingId = dispute.pressing && (dispute.pressing._id || dispute.pressing);
+
+  if (customerId && actor !== 'client') {
+    results.customer = await createInAppNotification(
+      { _id: customerId, modelName: 'Client' },
+      notificationTemplates.disputeUpdate(dispute.customer, { dispute, event })
+    );
+  }
+
+  if (pressingId && actor !== 'pressing') {
+    results.pressing = await createInAppNotification(
+      { _id: pressingId, modelName: 'Pressing' },
+      {
+        ...notificationTemplates.disputeUpdate(dispute.pressing, { dispute, event }),
+        actions: [{
+          type: 'navigate',
+          label: 'Voir le litige',
+          target: `/pressing/disputes/${dispute._id}`
+        }]
+      }
+    );
+  }
+
+  return { success: true, results };
+};
+
+/**
+ * Notifier le client et le pressing d'un événement sur le devis d'une commande
+ * @param {Object} order - Commande sur devis
+ * @param {Object} options - Options
+ * @param {string} options.event - issued, accepted, rejected ou expired
+ * @param {string} [options.actor] - Rôle à l'origine de l'événement (non notifié)
+ * @returns {Promise<Object>} - Résultats des notifications
+ */
+const notifyQuoteUpdate = async (order, { event, actor } = {}) => {
+  const results = {};
+  const history = (order.quote && order.quote.history) || [];
+  const quote = history[history.length - 1];
+  if (!quote) return { success: false, results };
+
+  const customerId = order.customer && (order.customer._id || order.customer);
+  const pressingId = order.pressing && (order.pressing._id || order.pressing);
+
+  if (customerId && actor !== 'client') {
+    results.customer = await createInAppNotification(
+      { _id: customerId, modelName: 'Client' },
+      notificationTemplates.quoteUpdate(order.customer, { order, quote, event })
+    );
+  }
+
+  if (pressingId && actor !== 'pressing') {
+    results.pressing = await createInAppNotification(
+      { _id: pressingId, modelName: 'Pressing' },
+      {
+        ...notificationTemplates.quoteUpdate(order.pressing, { order, quote, event }),
+        actions: [{
+          type: 'navigate',
+          label: 'Voir la commande',
+          target: `/pressing/orders/${order._id}`
+        }]
+      }
+    );
+  }
+
+  return { success: true, results };
+};
+
+/**
+ * Relancer le client dont le panier est resté inactif
+ * @param {Object} order - Panier (commande brouillon, pressing peuplé de préférence)
+ * @returns {Promise<Object>} - Résultat de la notification
+ */
+const notifyCartReminder = async (order) => {
+  const customerId = order.customer && (order.customer._id || order.customer);
+  if (!customerId) return { success: false };
+
+  const result = await createInAppNotification(
+    { _id: customerId, modelName: 'Client' },
+    notificationTemplates.cartReminder(order.customer, { order })
+  );
+
+  return { success: true, result };
+};
+
+// Destinataires des notifications de course, par événement
+const DELIVERY_JOB_AUDIENCES = {
+  offered: ['rider'],
+  declined: ['pressing'],
+  unassigned: ['pressing'],
+  failed: ['customer', 'pressing'],
+  cancelled: ['customer', 'rider']
+};
+
+/**
+ * Notifier le client, le livreur ou le pressing d'une étape d'une course
+ * @param {Object} job - Course
+ * @param {Object} order - Commande de la course
+ * @param {Object} options - Options
+ * @param {string} options.event - Étape (assigned, accepted, picked_up, delivered, attempt_failed...)
+ * @returns {Promise<Object>} - Résultats des notifications
+ */
+const notifyDeliveryJobUpdate = async (job, order, { event } = {}) => {
+  const results = {};
+  const audience = DELIVERY_JOB_AUDIENCES[event] || ['customer'];
+  const payload = notificationTemplates.deliveryJobUpdate(null, { job, order, event });
+
+  if (audience.includes('customer') && job.customer) {
+    results.customer = await createInAppNotification({ _id: job.customer, modelName: 'Client' }, payload);
+  }
+
+  if (audience.includes('rider') && job.rider) {
+    results.rider = await createInAppNotification(
+      { _id: job.rider._id || job.rider, modelName: 'Rider' },
+      { ...payload, actions: [{ type: 'navigate', label: 'Voir la course', target: `/rider/jobs/${job._id}` }] }
+    );
+  }
+
+  if (audience.includes('pressing') && job.pressing) {
+    results.pressing = await createInAppNotification(
+      { _id: job.pressing._id || job.pressing, modelName: 'Pressing' },
+      { ...payload, actions: [{ type: 'navigate', label: 'Gérer les courses', target: `/pressing/deliveries/${job._id}` }] }
+    );
+  }
+
+  return { success: true, results };
+};
+
+/**
+ * Envoyer au client le code à usage unique de remise de ses vêtements
+ * @param {Object} order - Commande
+ * @param {Object} options - Options
+ * @param {string} options.type - pickup ou delivery
+ * @param {string} options.code - Code en clair (non conservé)
+ * @param {Date} options.expiresAt - Fin de validité du code
+ * @returns {Promise<Object>} - Résultat de la notification
+ */
+const notifyHandoverCode = async (order, { type, code, expiresAt } = {}) => {
+  const customerId = order.customer && (order.customer._id || order.customer);
+  if (!customerId) return { success: false };
+
+  const result = await createInAppNotification(
+    { _id: customerId, modelName: 'Client' },
+    notificationTemplates.handoverCode(null, { order, type, code, expiresAt })
+  );
+
+  return { success: true, result };
+};
+
+/**
+ * Relancer un pressing à une étape du recouvrement de son abonnement (in-app, push et e-mail)
+ * Un canal en échec n'empêche pas les autres d'être servis.
+ * @param {Object} invoice - Facture d'abonnement
+ * @param {Object} options - Options
+ * @param {string} options.event - paid, payment_failed, final_notice ou suspended
+ * @param {Object} options.pressing - Pressing destinataire (e-mail requis pour le canal e-mail)
+ * @returns {Promise<Object>} - Résultats par canal
+ */
+const notifySubscriptionBilling = async (invoice, { event, pressing }) => {
+  const payload = notificationTemplates.subscriptionBilling(pressing, { invoice, event });
+
+  const [inApp, push, email] = await Promise.allSettled([
+    createInAppNotification({ _id: pressing._id, modelName: 'Pressing' }, payload),
+    sendPush(pressing._id, {
+      title: payload.title,
+      body: payload.message,
+      icon: '/icons/icon-192x192.png',
+      badge: '/icons/badge-72x72.png',
+      tag: `subscription-invoice-${invoice._id}`,
+      data: { type: payload.subtype, invoiceId: invoice._id, url: payload.actions[0].target }
+    }, { urgency: event === 'paid' ? 'normal' : 'high' }),
+    pressing.email
+      ? emailService.sendEmail({ to: pressing.email, subject: payload.title, text: payload.message })
+      : Promise.reject(new Error('Adresse e-mail manquante'))
+  ]);
+
+  const results = { inApp, push, email };
+  Object.entries(results)
+    .filter(([, result]) => result.status === 'rejected')
+    .forEach(([channel, result]) => logger.warn(
+      `Relance ${event} de la facture ${invoice.reference} non envoyée (${channel}): ${result.reason && result.reason.message}`
+    ));
+
+  return { success: Object.values(results).some(result => result.status === 'fulfilled'), results };
+};
+
 /**
  * Obtenir les notifications d'un utilisateur
  * @param {string} userId - ID de l'utilisateur
@@ -372,6 +951,15 @@ module.exports = {
   sendNotification,
   notifyNewOrder,
   notifyPressingNewOrder,
+  notifyOrderStatusUpdate,
+  notifyRefundStatusUpdate,
+  notifyDisputeUpdate,
+  notifyQuoteUpdate,
+  notifyCartReminder,
+  notifyDeliveryJobUpdate,
+  notifyHandoverCode,
+  notifyPayoutStatusUpdate,
+  notifySubscriptionBilling,
   getUserNotifications,
   markNotificationAsRead,
   getStatusLabel
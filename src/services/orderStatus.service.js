@@ -0,0 +1,255 @@
+const TimeSlot = require('../models/timeSlot.model');
+const notificationService = require('./notification.service');
+const invoiceService = require('./invoice.service');
+const promotionService = require('./promotion.service');
+const logger = require('../utils/logger');
+const { ORDER_STATUS, getAllowedTransitions } = require('../config/orderStatus');
+
+/**
+ * Service d'orchestration du cycle de vie des commandes
+ * Applique les transitions définies dans config/orderStatus et exécute leurs effets de bord
+ */
+
+// Correspondance acteur -> modèle (pour les historiques des créneaux)
+const ACTOR_MODELS = {
+  customer: 'ClientDirect',
+  pressing: 'Pressing',
+  admin: 'Admin',
+  rider: 'Rider'
+};
+
+// processedBy des remboursements n'accepte pas 'customer'
+const refundProcessor = (actor) => (['admin', 'pressing'].includes(actor) ? actor : 'system');
+
+/**
+ * Montant encore remboursable sur le paiement de la commande
+ * @param {Object} order - Commande
+ * @returns {number} - Montant restant
+ */
+const getRefundableAmount = (order) => {
+  const total = (order.payment && order.payment.amount && order.payment.amount.total) || 0;
+  const refunded = ((order.payment && order.payment.refunds) || []).reduce((sum, r) => sum + r.amount, 0);
+  return Math.max(0, total - refunded);
+};
+
+/**
+ * Indique si le paiement encaissé de la commande doit être restitué via payment.service
+ * (mobile money ou porte-monnaie) plutôt que simplement enregistré
+ * @param {Object} order - Commande
+ * @returns {boolean}
+ */
+const isSettledByProvider = (order) => Boolean(order.payment) &&
+  ['mobile_money', 'wallet'].includes(order.payment.method) &&
+  Boolean(order.payment.paymentIntentId) &&
+  ['captured', 'partially_refunded'].includes(order.payment.status);
+
+/**
+ * Enregistre le remboursement du solde encaissé hors plateforme (espèces, virement...)
+ */
+const refundCapturedPayment = (order, { actor, notes }) => {
+  if (!['captured', 'partially_refunded'].includes(order.payment.status)) return;
+  if (isSettledByProvider(order)) return;
+
+  const amount = getRefundableAmount(order);
+  if (amount > 0) {
+    order.payment.refunds.push({
+      amount,
+      reason: notes || `Remboursement suite au passage au statut ${order.status}`,
+      processedAt: new Date(),
+      processedBy: refundProcessor(actor),
+      metadata: { trigger: 'order_status', status: order.status }
+    });
+  }
+  order.payment.status = 'refunded';
+};
+
+/**
+ * Restitue le solde d'un paiement électronique via une demande de remboursement approuvée d'office
+ */
+const refundThroughProvider = async (order, { actor, actorId, notes }) => {
+  if (!isSettledByProvider(order)) return;
+  // Chargé à la demande : refund.service dépend de payment.service, qui dépend de ce module
+  await require('./refund.service').refundOrderBalance(order, { actor, actorId, reason: notes });
+};
+
+/**
+ * Horodate la fin de la commande
+ */
+const stampCompletion = (order) => {
+  order.delivery = order.delivery || {};
+  if (!order.delivery.actualDeliveryTime) {
+    order.delivery.actualDeliveryTime = new Date();
+  }
+  if (order.delivery.status && order.delivery.status !== 'delivered') {
+    order.delivery.status = 'delivered';
+  }
+};
+
+/**
+ * Heure de livraison estimée d'après le délai de la zone de livraison, au départ de la commande
+ */
+const estimateZoneDelivery = (order) => {
+  const zone = order.delivery && order.delivery.zone;
+  if (!zone || !zone.estimatedMinutes || order.delivery.estimatedDeliveryTime) return;
+  order.delivery.estimatedDeliveryTime = new Date(Date.now() + zone.estimatedMinutes * 60 * 1000);
+};
+
+/**
+ * Marque le rendez-vous associé comme annulé
+ */
+const cancelAppointment = (order) => {
+  if (order.appointment && order.appointment.appointmentId) {
+    order.appointment.appointmentStatus = 'cancelled';
+  }
+};
+
+/**
+ * Libère la place réservée dans le créneau associé à la commande
+ */
+const releaseTimeSlot = async (order, { actor, actorId }) => {
+  const slotId = order.appointment && order.appointment.timeSlot;
+  if (!slotId) return;
+
+  const slot = await TimeSlot.findById(slotId);
+  if (!slot) return;
+
+  const booking = slot.appointments.find(apt => apt.order && apt.order.toString() === order._id.toString());
+  if (!booking || booking.status === 'cancelled') return;
+
+  await slot.cancelBooking(order._id, actorId || order.customer, ACTOR_MODELS[actor] || 'Admin');
+};
+
+/**
+ * Notifie les parties prenantes du changement de statut
+ */
+const notifyStatusChange = async (order, { actor, previousStatus }) => {
+  await notificationService.notifyOrderStatusUpdate(order, previousStatus, { actor });
+};
+
+/**
+ * Programme la course de collecte (confirmation) ou de livraison (commande prête) des commandes à domicile
+ */
+const scheduleDeliveryJob = async (order) => {
+  // Chargé à la demande : delivery.service dépend de ce module
+  await require('./delivery.service').scheduleJobForStatus(order);
+};
+
+/**
+ * Annule les courses non commencées de la commande
+ */
+const cancelDeliveryJobs = async (order) => {
+  await require('./delivery.service').cancelOrderJobs(order);
+};
+
+/**
+ * Envoie au client le code à communiquer lors de la remise de sa commande
+ */
+const issueHandoverCode = async (order) => {
+  // Chargé à la demande : handover.service dépend de ce module
+  await require('./handover.service').issueDeliveryCode(order);
+};
+
+/**
+ * Émet la facture du pressing au client pour la commande terminée
+ */
+const issueOrderInvoice = async (order) => {
+  await invoiceService.issueOrderInvoice(order);
+};
+
+/**
+ * Émet les avoirs des remboursements enregistrés sur une commande déjà facturée
+ */
+const creditOrderRefunds = async (order) => {
+  await invoiceService.syncOrderCreditNotes(order);
+};
+
+/**
+ * Rend l'utilisation des promotions de la commande annulée (limite par client, nombre maximal)
+ */
+const releasePromotions = async (order) => {
+  await promotionService.releasePromotions(order);
+};
+
+// Effets de bord par statut cible
+// beforeSave : modifications de la commande persistées avec la transition
+// afterSave : actions externes exécutées une fois la transition enregistrée
+const sideEffects = {
+  [ORDER_STATUS.CONFIRMED]: {
+    afterSave: [scheduleDeliveryJob]
+  },
+  [ORDER_STATUS.READY_FOR_PICKUP]: {
+    afterSave: [scheduleDeliveryJob]
+  },
+  [ORDER_STATUS.OUT_FOR_DELIVERY]: {
+    beforeSave: [estimateZoneDelivery],
+    afterSave: [issueHandoverCode]
+  },
+  [ORDER_STATUS.COMPLETED]: {
+    beforeSave: [stampCompletion],
+    afterSave: [issueOrderInvoice]
+  },
+  [ORDER_STATUS.CANCELLED]: {
+    beforeSave: [refundCapturedPayment, cancelAppointment],
+    afterSave: [releaseTimeSlot, refundThroughProvider, cancelDeliveryJobs, releasePromotions]
+  },
+  [ORDER_STATUS.REFUNDED]: {
+    beforeSave: [refundCapturedPayment],
+    afterSave: [refundThroughProvider, creditOrderRefunds]
+  }
+};
+
+// Effets exécutés après chaque transition
+const commonAfterSave = [notifyStatusChange];
+
+/**
+ * Fait passer une commande à un nouveau statut
+ * @param {Object} order - Document Order
+ * @param {string} newStatus - Statut cible
+ * @param {Object} options - Options de la transition
+ * @param {string} options.actor - Acteur (system, customer, pressing, admin)
+ * @param {string} [options.actorId] - ID de l'utilisateur à l'origine du changement
+ * @param {string} [options.notes] - Commentaire enregistré dans l'historique
+ * @param {Object} [options.metadata] - Métadonnées enregistrées dans l'historique
+ * @returns {Promise<Object>} - Commande mise à jour et statut précédent
+ * @throws {OrderTransitionError} - Si la transition est interdite
+ */
+const transitionOrder = async (order, newStatus, { actor = 'system', actorId, notes, metadata } = {}) => {
+  const previousStatus = order.transitionTo(newStatus, {
+    actor,
+    notes,
+    metadata: { ...(metadata || {}), ...(actorId && { actorId: actorId.toString() }) }
+  });
+
+  const context = { actor, actorId, notes, previousStatus };
+  const effects = sideEffects[newStatus] || {};
+
+  (effects.beforeSave || []).forEach(effect => effect(order, context));
+  await order.save();
+
+  // Les effets externes ne doivent pas annuler une transition déjà enregistrée
+  for (const effect of [...(effects.afterSave || []), ...commonAfterSave]) {
+    try {
+      await effect(order, context);
+    } catch (error) {
+      logger.error(`Erreur lors de l'effet de bord ${effect.name} (commande ${order._id}, ${previousStatus} -> ${newStatus}):`, error);
+    }
+  }
+
+  logger.info(`Commande ${order._id}: ${previousStatus} -> ${newStatus} (${actor})`);
+  return { order, previousStatus };
+};
+
+/**
+ * Liste les transitions possibles pour une commande et un acteur
+ * @param {Object} order - Commande
+ * @param {string} actor - Acteur
+ * @returns {string[]} - Statuts cibles
+ */
+const getAvailableTransitions = (order, actor) => getAllowedTransitions(order.status, actor);
+
+module.exports = {
+  transitionOrder,
+  getAvailableTransitions,
+  getRefundableAmount,
+  isSettledByProvider
+};
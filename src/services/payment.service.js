@@ -1,43 +1,899 @@
-// Ce fichier est destiné à contenir la logique de communication avec les API de paiement externes (ex: CinetPay, Stripe).
-// Pour l'instant, il contient des fonctions de simulation.
+// Logique de paiement indépendante de l'opérateur : persistance des transactions,
+// synchronisation du statut de paiement des commandes, porte-monnaie client et remboursements.
+// Les appels aux opérateurs (Orange, MTN, Moov, Wave) passent par les adaptateurs de ./paymentProviders.
+
+const crypto = require('crypto');
+const Transaction = require('../models/transaction.model');
+const Order = require('../models/order.model');
+const OrderGroup = require('../models/orderGroup.model');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const { BadRequestError, NotFoundError } = require('../utils/error.utils');
+const { getProvider, normalizeProviderName, PAYMENT_STATUS } = require('./paymentProviders');
+const orderStatusService = require('./orderStatus.service');
+const ledgerService = require('./ledger.service');
+const walletService = require('./wallet.service');
+const invoiceService = require('./invoice.service');
+const { sumGroupAmounts } = require('./checkout.service');
+
+// Statut normalisé de l'opérateur -> statut de Transaction
+const TRANSACTION_STATUS_BY_PAYMENT_STATUS = {
+  [PAYMENT_STATUS.PENDING]: 'pending',
+  [PAYMENT_STATUS.SUCCEEDED]: 'completed',
+  [PAYMENT_STATUS.FAILED]: 'failed',
+  [PAYMENT_STATUS.CANCELLED]: 'cancelled'
+};
+
+// Statut de Transaction -> Order.payment.status
+const ORDER_PAYMENT_STATUS_BY_TRANSACTION_STATUS = {
+  pending: 'pending',
+  completed: 'captured',
+  failed: 'failed',
+  cancelled: 'failed',
+  refunded: 'refunded',
+  partially_refunded: 'partially_refunded'
+};
 
 /**
- * Simule l'initiation d'un paiement Mobile Money.
- * @param {string} transactionId - L'ID de notre transaction interne.
- * @param {number} amount - Le montant à payer.
- * @param {string} phoneNumber - Le numéro de téléphone du client.
- * @returns {Promise<object>} - Une promesse qui résout avec les détails de la transaction du fournisseur.
+ * Génère une référence interne unique (ex: TXN-20250720-9F2A4C1B)
+ * @param {string} prefix - Préfixe de la référence
+ * @returns {string}
  */
-exports.initiateMobileMoneyPayment = async (transactionId, amount, phoneNumber) => {
-  console.log(`[PaymentService] Appel de l'API externe pour initier le paiement de ${amount} XOF pour la transaction ${transactionId} sur le numéro ${phoneNumber}`);
-  
-  // Simulation d'un appel API
-  await new Promise(resolve => setTimeout(resolve, 1500)); 
+const generateReference = (prefix = 'TXN') => {
+  const dateStr = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+  return `${prefix}-${dateStr}-${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
+};
 
-  const responseFromProvider = {
-    providerTransactionId: `PP_${Date.now()}`,
-    status: 'pending',
-    message: 'Transaction initiated. Waiting for user validation.'
+/**
+ * Retrouve une transaction par sa référence interne
+ * @param {string} reference - Référence interne ou ID MongoDB
+ * @returns {Promise<Object>}
+ */
+const findTransaction = async (reference) => {
+  const query = /^[0-9a-fA-F]{24}$/.test(reference) ? { _id: reference } : { reference };
+  const transaction = await Transaction.findOne(query);
+  if (!transaction) {
+    throw new NotFoundError(`Transaction non trouvée: ${reference}`);
+  }
+  return transaction;
+};
+
+/**
+ * Passe l'écriture comptable d'une transaction sans interrompre le traitement du paiement
+ * @param {Function} post - Fonction de ledgerService à appeler
+ * @param {...*} args - Arguments
+ */
+const postToLedger = async (post, ...args) => {
+  try {
+    await post(...args);
+  } catch (error) {
+    logger.error(`Échec de l'écriture comptable (${post.name || 'ledger'}):`, error);
+  }
+};
+
+/**
+ * Restitue au client une part porte-monnaie réservée et non utilisée
+ * @param {string} reference - Référence de la transaction porte-monnaie
+ * @param {string} reason - Motif
+ */
+const releaseWalletHold = async (reference, reason) => {
+  const walletTransaction = await Transaction.findOneAndUpdate(
+    { reference, paymentProvider: 'wallet', status: 'pending' },
+    { $set: { status: 'cancelled', failureReason: reason, processedAt: new Date() } },
+    { new: true }
+  );
+  if (!walletTransaction) return;
+
+  await walletService.credit(walletTransaction.user.id, walletTransaction.amount);
+  logger.info(`Part porte-monnaie ${reference} restituée: ${reason}`);
+};
+
+/**
+ * Solde la part porte-monnaie d'un paiement fractionné : confirmée avec le paiement
+ * opérateur, restituée au client si celui-ci n'aboutit pas
+ * @param {Object} transaction - Transaction opérateur
+ * @returns {Promise<Object|null>} - Transaction porte-monnaie confirmée
+ */
+const settleWalletShare = async (transaction) => {
+  const walletReference = transaction.metadata && transaction.metadata.get('walletTransaction');
+  if (!walletReference) return null;
+
+  if (transaction.status === 'completed') {
+    return Transaction.findOneAndUpdate(
+      { reference: walletReference, paymentProvider: 'wallet', status: 'pending' },
+      { $set: { status: 'completed', processedAt: new Date() } },
+      { new: true }
+    );
+  }
+  if (['failed', 'cancelled'].includes(transaction.status)) {
+    await releaseWalletHold(walletReference, `Paiement ${transaction.reference} non abouti`);
+  }
+  return null;
+};
+
+/**
+ * Reporte l'état d'une transaction de paiement sur le paiement d'une commande
+ * @param {Object} order - Commande
+ * @param {Object} transaction - Transaction de paiement
+ * @param {Object} [details] - Informations complémentaires pour payment.paymentDetails
+ */
+const applyTransactionToOrder = async (order, transaction, details = {}) => {
+  order.payment.status = ORDER_PAYMENT_STATUS_BY_TRANSACTION_STATUS[transaction.status] || order.payment.status;
+  order.payment.paymentIntentId = transaction.reference;
+  order.payment.paymentDetails = {
+    ...(order.payment.paymentDetails || {}),
+    provider: transaction.paymentProvider,
+    providerReference: transaction.providerReference,
+    transactionId: transaction._id,
+    providerStatus: transaction.providerStatus,
+    ...details
   };
+  order.markModified('payment.paymentDetails');
+  await order.save();
+};
+
+/**
+ * Paiement encaissé : la commande passe en attente de traitement puis confirmée
+ * @param {Object} order - Commande
+ * @param {Object} transaction - Transaction de paiement réussie
+ */
+const advanceCapturedOrder = async (order, transaction) => {
+  if (order.status === 'draft') {
+    await orderStatusService.transitionOrder(order, 'pending', {
+      actor: 'system',
+      notes: `Paiement ${transaction.reference} reçu`
+    });
+  }
+  if (order.status === 'pending') {
+    await orderStatusService.transitionOrder(order, 'confirmed', {
+      actor: 'system',
+      notes: `Paiement ${transaction.reference} confirmé par ${transaction.paymentProvider}`,
+      metadata: { transaction: transaction.reference }
+    });
+  }
+};
+
+/**
+ * Répercute l'état d'une transaction de paiement sur la commande associée
+ * @param {Object} transaction - Transaction de type service liée à une commande
+ */
+const syncOrderPayment = async (transaction) => {
+  if (transaction.relatedToModel === 'OrderGroup') {
+    return syncGroupPayment(transaction);
+  }
+  if (transaction.relatedToModel !== 'Order' || !transaction.relatedTo) return;
+
+  const walletShare = await settleWalletShare(transaction);
+
+  const order = await Order.findById(transaction.relatedTo);
+  if (!order) return;
+
+  // Une transaction échouée ne doit pas écraser un paiement déjà encaissé par une autre transaction
+  if (['failed', 'cancelled'].includes(transaction.status) &&
+      order.payment.paymentIntentId && order.payment.paymentIntentId !== transaction.reference) {
+    return;
+  }
+
+  await applyTransactionToOrder(order, transaction);
+
+  if (transaction.status === 'completed') {
+    await postToLedger(ledgerService.recordOrderCapture, order, walletShare ? [transaction, walletShare] : transaction);
+  }
+
+  // Paiement encaissé : la commande passe en attente de traitement
+  if (order.payment.status === 'captured') {
+    await advanceCapturedOrder(order, transaction);
+  }
+};
+
+/**
+ * Répercute le paiement d'un panier multi-pressings sur chacune de ses commandes
+ * Une commande annulée pendant le paiement est remboursée de sa part dès l'encaissement.
+ * @param {Object} transaction - Transaction de type service liée à un OrderGroup
+ */
+const syncGroupPayment = async (transaction) => {
+  const walletShare = await settleWalletShare(transaction);
+
+  const group = await OrderGroup.findById(transaction.relatedTo);
+  if (!group) return;
+
+  if (['failed', 'cancelled'].includes(transaction.status) &&
+      group.payment.paymentIntentId && group.payment.paymentIntentId !== transaction.reference) {
+    return;
+  }
+
+  group.payment.status = transaction.status === 'completed' ? 'captured'
+    : (['failed', 'cancelled'].includes(transaction.status) ? 'failed' : 'pending');
+  group.payment.paymentIntentId = transaction.reference;
+  if (transaction.status === 'completed') group.payment.paidAt = new Date();
+  await group.save();
+
+  const orders = await Order.find({ _id: { $in: group.payment.coveredOrders } });
+  for (const order of orders) {
+    order.payment.method = group.payment.method;
+    await applyTransactionToOrder(order, transaction, {
+      group: group.reference,
+      groupShare: order.payment.amount.total
+    });
+  }
+
+  if (transaction.status !== 'completed') return;
+
+  await postToLedger(ledgerService.recordGroupCapture, group, orders, walletShare ? [transaction, walletShare] : transaction);
+
+  for (const order of orders) {
+    try {
+      if (['cancelled', 'refunded'].includes(order.status)) {
+        // Chargé à la demande : refund.service dépend lui-même de ce module
+        await require('./refund.service').refundOrderBalance(order, {
+          actor: 'system',
+          reason: `Commande annulée avant l'encaissement du panier ${group.reference}`
+        });
+      } else {
+        await advanceCapturedOrder(order, transaction);
+      }
+    } catch (error) {
+      logger.error(`Erreur lors du traitement de la commande ${order.orderNumber} du panier ${group.reference}:`, error);
+    }
+  }
+};
+
+/**
+ * Libère le montant réservé sur la transaction d'origine par un remboursement sorti de l'attente
+ * @param {Object} refundTransaction - Transaction de type refund
+ */
+const releaseRefundReservation = (refundTransaction) => Transaction.updateOne(
+  { _id: refundTransaction.parentTransaction, refundReservedAmount: { $gte: refundTransaction.amount } },
+  { $inc: { refundReservedAmount: -refundTransaction.amount } }
+);
+
+/**
+ * Enregistre un remboursement confirmé sur la transaction d'origine et la commande
+ * @param {Object} refundTransaction - Transaction de type refund au statut completed
+ */
+const applyCompletedRefund = async (refundTransaction) => {
+  // Incrément atomique : deux confirmations simultanées sont toutes deux comptées
+  const original = await Transaction.findOneAndUpdate(
+    { _id: refundTransaction.parentTransaction },
+    { $inc: { refundedAmount: refundTransaction.amount } },
+    { new: true }
+  );
+  if (!original) return;
+  await releaseRefundReservation(refundTransaction);
+
+  if (original.refundedAmount >= original.amount) {
+    await Transaction.updateOne({ _id: original._id }, { $set: { status: 'refunded' } });
+  } else {
+    await Transaction.updateOne({ _id: original._id, status: { $ne: 'refunded' } }, { $set: { status: 'partially_refunded' } });
+  }
+
+  // Paiement d'un panier : la commande remboursée est indiquée par la demande de remboursement
+  const metadata = refundTransaction.metadata || new Map();
+  const orderId = original.relatedToModel === 'Order' ? original.relatedTo : metadata.get('order');
+  const order = orderId ? await Order.findById(orderId) : null;
+
+  if (refundTransaction.paymentProvider === 'wallet') {
+    await walletService.credit(refundTransaction.user.id, refundTransaction.amount);
+  }
+
+  await postToLedger(ledgerService.recordRefund, refundTransaction, { order });
+
+  if (!order) return;
+
+  order.payment.refunds.push({
+    amount: refundTransaction.amount,
+    reason: metadata.get('reason') || refundTransaction.description,
+    processedAt: new Date(),
+    processedBy: metadata.get('processedBy') || 'system',
+    reference: refundTransaction.reference,
+    metadata: {
+      provider: refundTransaction.paymentProvider,
+      providerReference: refundTransaction.providerReference,
+      ...(metadata.get('refundRequest') && { refundRequest: metadata.get('refundRequest') })
+    }
+  });
+  // Une commande peut être réglée par plusieurs transactions : le statut dépend du total remboursé
+  const refunded = order.payment.refunds.reduce((sum, refund) => sum + refund.amount, 0);
+  order.payment.status = refunded >= order.payment.amount.total ? 'refunded' : 'partially_refunded';
+  await order.save();
+
+  // Commande déjà facturée : le remboursement donne lieu à un avoir
+  try {
+    await invoiceService.syncOrderCreditNotes(order);
+  } catch (error) {
+    logger.error(`Échec de l'émission de l'avoir du remboursement ${refundTransaction.reference}:`, error);
+  }
+};
+
+/**
+ * Applique un statut retourné par l'opérateur à une transaction (idempotent)
+ * La sortie de l'attente est réclamée par une mise à jour conditionnelle : quand un webhook et une
+ * vérification arrivent ensemble, un seul appel crédite le porte-monnaie ou met à jour la commande.
+ * @param {Object} transaction - Transaction
+ * @param {Object} result - Résultat normalisé de l'adaptateur ({ status, providerStatus, raw, amount })
+ * @returns {Promise<Object>} - Transaction mise à jour (relue si un autre appel l'a déjà traitée)
+ */
+const applyProviderResult = async (transaction, result) => {
+  // Seule une transaction en attente peut changer d'état
+  if (transaction.status !== 'pending') {
+    return transaction;
+  }
+
+  let newStatus = TRANSACTION_STATUS_BY_PAYMENT_STATUS[result.status] || 'pending';
+
+  // Un montant confirmé différent du montant attendu est mis de côté pour vérification
+  if (newStatus === 'completed' && result.amount !== undefined && Number(result.amount) !== transaction.amount) {
+    newStatus = 'disputed';
+    transaction.failureReason = `Montant confirmé (${result.amount}) différent du montant attendu (${transaction.amount})`;
+  }
+
+  transaction.providerStatus = result.providerStatus;
+  transaction.providerData = result.raw;
+
+  if (newStatus === 'pending') {
+    await transaction.save();
+    return transaction;
+  }
+
+  const claimed = await Transaction.findOneAndUpdate(
+    { _id: transaction._id, status: 'pending' },
+    { $set: { status: newStatus, processedAt: new Date() } },
+    { new: true }
+  );
+  if (!claimed) {
+    return (await Transaction.findById(transaction._id)) || transaction;
+  }
+
+  transaction.status = newStatus;
+  transaction.processedAt = claimed.processedAt;
+  if (['failed', 'cancelled'].includes(newStatus) && !transaction.failureReason) {
+    transaction.failureReason = `Statut opérateur: ${result.providerStatus || newStatus}`;
+  }
+  await transaction.save();
+
+  logger.info(`Transaction ${transaction.reference} (${transaction.paymentProvider}) -> ${newStatus}`);
+
+  if (transaction.type === 'refund') {
+    if (newStatus === 'completed') {
+      await applyCompletedRefund(transaction);
+    } else if (['failed', 'cancelled'].includes(newStatus)) {
+      await releaseRefundReservation(transaction);
+    }
+    // Chargé à la demande : refund.service dépend lui-même de ce module
+    await require('./refund.service').syncRefundRequest(transaction);
+  } else if (transaction.type === 'service') {
+    await syncOrderPayment(transaction);
+  } else if (transaction.type === 'topup' && newStatus === 'completed') {
+    await walletService.credit(transaction.user.id, transaction.amount);
+    await postToLedger(ledgerService.recordWalletTopup, transaction);
+  } else if (transaction.type === 'subscription') {
+    if (newStatus === 'completed') {
+      await postToLedger(ledgerService.recordSubscriptionCharge, transaction);
+    }
+    // Chargé à la demande : subscriptionBilling.service dépend lui-même de ce module
+    await require('./subscriptionBilling.service').syncSubscriptionCharge(transaction);
+  } else if (transaction.type === 'withdrawal') {
+    // Chargé à la demande : payout.service dépend lui-même de ce module
+    await require('./payout.service').syncPayoutFromWithdrawal(transaction);
+  }
+
+  return transaction;
+};
+
+/**
+ * Initie un paiement auprès d'un opérateur et persiste la transaction
+ * @param {Object} params
+ * @param {number} params.amount - Montant
+ * @param {string} params.provider - Opérateur (orange, mtn, moov, wave ou alias)
+ * @param {string} [params.phoneNumber] - Numéro du payeur
+ * @param {Object} params.user - Payeur ({ id, type: Client|Pressing|Admin })
+ * @param {string} params.type - Type de transaction (service, subscription...)
+ * @param {string} [params.relatedTo] - Document lié
+ * @param {string} [params.relatedToModel] - Modèle du document lié
+ * @param {string} [params.description] - Libellé
+ * @param {Object} [params.metadata] - Métadonnées (valeurs converties en chaînes)
+ * @returns {Promise<{transaction: Object, paymentUrl?: string}>}
+ */
+exports.initiatePayment = async ({
+  amount,
+  currency = config.payments.currency,
+  provider,
+  phoneNumber,
+  user,
+  type,
+  relatedTo,
+  relatedToModel,
+  description,
+  metadata = {}
+}) => {
+  if (!amount || amount <= 0) {
+    throw new BadRequestError('Le montant du paiement doit être positif');
+  }
+
+  const providerName = normalizeProviderName(provider);
+  const adapter = getProvider(providerName);
+
+  let transaction = await Transaction.create({
+    user,
+    type,
+    status: 'pending',
+    amount,
+    currency,
+    paymentProvider: providerName,
+    phoneNumber,
+    reference: generateReference('TXN'),
+    description,
+    relatedTo,
+    relatedToModel,
+    metadata: Object.fromEntries(Object.entries(metadata).map(([key, value]) => [key, String(value)]))
+  });
+
+  try {
+    const result = await adapter.initiatePayment({
+      reference: transaction.reference,
+      amount,
+      currency,
+      phoneNumber,
+      description
+    });
 
-  console.log(`[PaymentService] Réponse de l'API externe:`, responseFromProvider);
-  return responseFromProvider;
+    transaction.providerReference = result.providerReference;
+    transaction.paymentUrl = result.paymentUrl;
+    transaction = await applyProviderResult(transaction, result);
+  } catch (error) {
+    transaction.status = 'failed';
+    transaction.failureReason = error.message;
+    transaction.processedAt = new Date();
+    await transaction.save();
+    logger.error(`Échec de l'initiation du paiement ${transaction.reference}:`, error);
+    throw error;
+  }
+
+  return { transaction, paymentUrl: transaction.paymentUrl };
 };
 
 /**
- * Simule la vérification du statut d'un paiement.
- * @param {string} transactionId - L'ID de notre transaction interne.
- * @returns {Promise<string>} - Une promesse qui résout avec le statut du paiement ('succeeded', 'failed', 'pending').
+ * Initie un paiement client, réglé par Mobile Money, par le porte-monnaie, ou fractionné entre les deux
+ * La part porte-monnaie est réservée puis confirmée (ou restituée) avec le paiement opérateur.
+ * @param {Object} params
+ * @param {Object} params.paymentParams - Paramètres communs des transactions (payeur, document lié, libellé...)
+ * @param {number} params.total - Montant à régler
+ * @param {number} params.walletShare - Part réglée par le porte-monnaie
+ * @param {string} params.customer - ID du client
+ * @param {Object} params.metadata - Métadonnées des transactions
+ * @returns {Promise<{transaction: Object, walletTransaction?: Object, paymentUrl?: string}>}
  */
-exports.checkPaymentStatus = async (transactionId) => {
-    console.log(`[PaymentService] Vérification du statut pour la transaction ${transactionId}`);
+const chargeClient = async ({ paymentParams, total, walletShare, customer, metadata }) => {
+  if (walletShare === 0) {
+    return exports.initiatePayment({ ...paymentParams, amount: total, metadata });
+  }
+
+  // Réservation de la part porte-monnaie
+  await walletService.debit(customer, walletShare);
+  let walletTransaction;
+  try {
+    walletTransaction = await Transaction.create({
+      ...paymentParams,
+      status: 'pending',
+      amount: walletShare,
+      paymentProvider: 'wallet',
+      reference: generateReference('WAL'),
+      description: `${paymentParams.description} (porte-monnaie)`,
+      metadata
+    });
+  } catch (error) {
+    await walletService.credit(customer, walletShare);
+    throw error;
+  }
 
-    // Simulation d'un appel API
-    await new Promise(resolve => setTimeout(resolve, 1000));
+  if (walletShare === total) {
+    walletTransaction = await applyProviderResult(walletTransaction, {
+      status: PAYMENT_STATUS.SUCCEEDED,
+      providerStatus: 'WALLET_DEBITED',
+      raw: { wallet: true }
+    });
+    return { transaction: walletTransaction };
+  }
 
-    const possibleStatus = ['succeeded', 'failed', 'pending'];
-    const status = possibleStatus[Math.floor(Math.random() * possibleStatus.length)];
+  try {
+    const result = await exports.initiatePayment({
+      ...paymentParams,
+      amount: total - walletShare,
+      metadata: { ...metadata, walletTransaction: walletTransaction.reference }
+    });
+    return { ...result, walletTransaction };
+  } catch (error) {
+    await releaseWalletHold(walletTransaction.reference, error.message);
+    throw error;
+  }
+};
 
-    console.log(`[PaymentService] Statut obtenu de l'API externe: ${status}`);
-    return status;
+/**
+ * Part du montant réglée par le porte-monnaie
+ * @param {string} provider - Opérateur, ou 'wallet'
+ * @param {number} walletAmount - Part demandée
+ * @param {number} total - Montant à régler
+ * @param {string} currency - Devise
+ * @returns {number}
+ */
+const resolveWalletShare = (provider, walletAmount, total, currency) => {
+  const walletShare = provider === 'wallet' ? total : Math.round(Number(walletAmount) || 0);
+  if (walletShare < 0 || walletShare > total) {
+    throw new BadRequestError(`Part porte-monnaie invalide (maximum ${total} ${currency})`);
+  }
+  return walletShare;
 };
+
+/**
+ * Initie le paiement d'une commande : Mobile Money, porte-monnaie, ou les deux
+ * @param {Object} params
+ * @param {string} params.orderId - ID de la commande
+ * @param {string} params.provider - Opérateur, ou 'wallet' pour payer intégralement par porte-monnaie
+ * @param {string} [params.phoneNumber] - Numéro du payeur
+ * @param {string} params.clientId - ID du client payeur
+ * @param {number} [params.walletAmount=0] - Part réglée par le porte-monnaie
+ * @returns {Promise<{transaction: Object, walletTransaction?: Object, paymentUrl?: string}>}
+ */
+exports.initiateOrderPayment = async ({ orderId, provider, phoneNumber, clientId, walletAmount = 0 }) => {
+  const order = await Order.findById(orderId);
+
+  if (!order) {
+    throw new NotFoundError(`Commande non trouvée avec l'id ${orderId}`);
+  }
+  if (order.customer.toString() !== clientId.toString()) {
+    throw new NotFoundError(`Commande non trouvée avec l'id ${orderId}`);
+  }
+  if (order.group) {
+    throw new BadRequestError('Cette commande fait partie d\'un panier multi-pressings : le paiement se fait pour l\'ensemble du panier');
+  }
+  if (order.cart && order.cart.active) {
+    throw new BadRequestError('Le panier doit être validé (POST /cart/checkout) avant le paiement');
+  }
+  if (['captured', 'authorized', 'refunded', 'partially_refunded'].includes(order.payment.status)) {
+    throw new BadRequestError('Cette commande a déjà été payée');
+  }
+  if (['cancelled', 'refunded', 'completed'].includes(order.status)) {
+    throw new BadRequestError(`Impossible de payer une commande au statut ${order.status}`);
+  }
+  if (order.pricingMode === 'quote' && order.quote.status !== 'accepted') {
+    throw new BadRequestError('Le devis de cette commande doit être accepté avant le paiement');
+  }
+
+  const pending = await Transaction.findOne({ relatedTo: order._id, type: 'service', status: 'pending' });
+  if (pending) {
+    throw new BadRequestError(`Un paiement est déjà en attente pour cette commande (${pending.reference})`);
+  }
+
+  const total = order.payment.amount.total;
+  const walletShare = resolveWalletShare(provider, walletAmount, total, order.payment.amount.currency);
+
+  order.payment.method = walletShare === total ? 'wallet' : 'mobile_money';
+  if (walletShare > 0) {
+    order.payment.paymentDetails = { ...(order.payment.paymentDetails || {}), walletAmount: walletShare };
+    order.markModified('payment.paymentDetails');
+  }
+  await order.save();
+
+  return chargeClient({
+    paymentParams: {
+      currency: order.payment.amount.currency,
+      provider,
+      phoneNumber,
+      user: { id: order.customer, type: 'Client' },
+      type: 'service',
+      relatedTo: order._id,
+      relatedToModel: 'Order',
+      description: `Commande ${order.orderNumber}`
+    },
+    total,
+    walletShare,
+    customer: order.customer,
+    metadata: { orderNumber: order.orderNumber }
+  });
+};
+
+/**
+ * Initie le paiement unique d'un panier multi-pressings (commandes non annulées)
+ * @param {Object} params
+ * @param {string} params.groupId - ID du panier (OrderGroup)
+ * @param {string} params.provider - Opérateur, ou 'wallet'
+ * @param {string} [params.phoneNumber] - Numéro du payeur
+ * @param {string} params.clientId - ID du client payeur
+ * @param {number} [params.walletAmount=0] - Part réglée par le porte-monnaie
+ * @returns {Promise<{transaction: Object, walletTransaction?: Object, paymentUrl?: string}>}
+ */
+exports.initiateGroupPayment = async ({ groupId, provider, phoneNumber, clientId, walletAmount = 0 }) => {
+  const group = await OrderGroup.findById(groupId);
+  if (!group || group.customer.toString() !== clientId.toString()) {
+    throw new NotFoundError(`Panier non trouvé avec l'id ${groupId}`);
+  }
+  if (group.payment.status === 'captured') {
+    throw new BadRequestError('Ce panier a déjà été payé');
+  }
+
+  const pending = await Transaction.findOne({ relatedTo: group._id, type: 'service', status: 'pending' });
+  if (pending) {
+    throw new BadRequestError(`Un paiement est déjà en attente pour ce panier (${pending.reference})`);
+  }
+
+  // Les commandes annulées avant le paiement ne sont pas facturées
+  const orders = await Order.find({ group: group._id, status: 'draft' });
+  if (orders.length === 0) {
+    throw new BadRequestError('Aucune commande à payer dans ce panier');
+  }
+
+  const amount = sumGroupAmounts(orders);
+  const walletShare = resolveWalletShare(provider, walletAmount, amount.total, amount.currency);
+
+  group.payment.method = walletShare === amount.total ? 'wallet' : 'mobile_money';
+  group.payment.status = 'pending';
+  group.payment.amount = amount;
+  group.payment.coveredOrders = orders.map(order => order._id);
+  await group.save();
+
+  return chargeClient({
+    paymentParams: {
+      currency: amount.currency,
+      provider,
+      phoneNumber,
+      user: { id: group.customer, type: 'Client' },
+      type: 'service',
+      relatedTo: group._id,
+      relatedToModel: 'OrderGroup',
+      description: `Panier ${group.reference}`
+    },
+    total: amount.total,
+    walletShare,
+    customer: group.customer,
+    metadata: { group: group.reference, orders: orders.map(order => order.orderNumber).join(',') }
+  });
+};
+
+/**
+ * Initie la recharge du porte-monnaie d'un client par Mobile Money
+ * @param {Object} params
+ * @param {string} params.clientId - ID du client
+ * @param {number} params.amount - Montant de la recharge
+ * @param {string} params.provider - Opérateur
+ * @param {string} [params.phoneNumber] - Numéro du payeur
+ * @returns {Promise<{transaction: Object, paymentUrl?: string}>}
+ */
+exports.initiateWalletTopup = async ({ clientId, amount, provider, phoneNumber }) => {
+  const { minTopup, maxBalance } = config.payments.wallet;
+  const topupAmount = Math.round(Number(amount));
+
+  if (!(topupAmount >= minTopup)) {
+    throw new BadRequestError(`Montant minimal de recharge: ${minTopup} XOF`);
+  }
+
+  const wallet = await walletService.getOrCreateWallet(clientId);
+  if (wallet.status !== 'active') {
+    throw new BadRequestError('Porte-monnaie bloqué');
+  }
+  if (wallet.balance + topupAmount > maxBalance) {
+    throw new BadRequestError(`Le solde du porte-monnaie ne peut pas dépasser ${maxBalance} XOF`);
+  }
+
+  return exports.initiatePayment({
+    amount: topupAmount,
+    currency: wallet.currency,
+    provider,
+    phoneNumber,
+    user: { id: clientId, type: 'Client' },
+    type: 'topup',
+    relatedTo: wallet._id,
+    relatedToModel: 'Wallet',
+    description: 'Recharge du porte-monnaie'
+  });
+};
+
+/**
+ * Crédite un dédommagement sur le porte-monnaie d'un client (geste commercial supporté par la plateforme)
+ * @param {Object} params
+ * @param {string} params.clientId - ID du client
+ * @param {number} params.amount - Montant
+ * @param {string} params.description - Libellé
+ * @param {string} params.relatedTo - Document à l'origine du dédommagement
+ * @param {string} params.relatedToModel - Modèle du document (ex: Dispute)
+ * @returns {Promise<Object>} - Transaction de dédommagement
+ */
+exports.creditCompensation = async ({ clientId, amount, description, relatedTo, relatedToModel }) => {
+  const compensationAmount = Math.round(Number(amount));
+  if (!(compensationAmount > 0)) {
+    throw new BadRequestError('Le montant du dédommagement doit être positif');
+  }
+
+  const transaction = await Transaction.create({
+    user: { id: clientId, type: 'Client' },
+    type: 'compensation',
+    status: 'completed',
+    amount: compensationAmount,
+    currency: config.payments.currency,
+    paymentProvider: 'wallet',
+    reference: generateReference('CMP'),
+    providerStatus: 'WALLET_CREDITED',
+    description,
+    relatedTo,
+    relatedToModel,
+    processedAt: new Date()
+  });
+
+  await walletService.credit(clientId, compensationAmount);
+  await postToLedger(ledgerService.recordDisputeCompensation, transaction);
+
+  logger.info(`Dédommagement ${transaction.reference} de ${compensationAmount} ${transaction.currency} crédité au client ${clientId}`);
+  return transaction;
+};
+
+/**
+ * Récupère une transaction et, si elle est en attente, interroge l'opérateur
+ * @param {string} reference - Référence interne de la transaction
+ * @param {Object} [options]
+ * @param {boolean} [options.refresh=true] - Interroger l'opérateur si la transaction est en attente
+ * @returns {Promise<Object>} - Transaction à jour
+ */
+exports.getPaymentStatus = async (reference, { refresh = true } = {}) => {
+  const transaction = await findTransaction(reference);
+
+  if (refresh && transaction.status === 'pending' && transaction.providerReference) {
+    const result = await getProvider(transaction.paymentProvider).getPaymentStatus(transaction);
+    return applyProviderResult(transaction, result);
+  }
+
+  return transaction;
+};
+
+/**
+ * Vérifie un paiement auprès de l'opérateur (rafraîchissement forcé)
+ * @param {string} reference - Référence interne de la transaction
+ * @returns {Promise<Object>} - Transaction à jour
+ */
+exports.verifyPayment = async (reference) => exports.getPaymentStatus(reference, { refresh: true });
+
+/**
+ * Traite une notification d'opérateur
+ * @param {string} providerName - Opérateur émetteur
+ * @param {Object} payload - Corps de la notification
+ * @returns {Promise<{transaction: Object, event: Object}>}
+ */
+exports.handleWebhook = async (providerName, payload) => {
+  const adapter = getProvider(providerName);
+  const event = adapter.parseWebhook(payload || {});
+
+  const conditions = [];
+  if (event.providerReference) {
+    conditions.push({ paymentProvider: adapter.name, providerReference: event.providerReference });
+  }
+  if (event.reference) {
+    conditions.push({ reference: event.reference });
+  }
+  if (conditions.length === 0) {
+    throw new BadRequestError('Notification sans référence de transaction');
+  }
+
+  const transaction = await Transaction.findOne({ $or: conditions });
+  if (!transaction) {
+    throw new NotFoundError('Transaction non trouvée pour cette notification');
+  }
+
+  return { transaction: await applyProviderResult(transaction, event), event };
+};
+
+/**
+ * Annule un paiement encore en attente
+ * @param {string} reference - Référence interne de la transaction
+ * @returns {Promise<Object>} - Transaction annulée
+ */
+exports.cancelPayment = async (reference) => {
+  const transaction = await findTransaction(reference);
+
+  if (transaction.status !== 'pending') {
+    throw new BadRequestError(`Impossible d'annuler une transaction au statut ${transaction.status}`);
+  }
+  if (transaction.paymentProvider === 'wallet') {
+    throw new BadRequestError('La part porte-monnaie est restituée en annulant le paiement Mobile Money associé');
+  }
+
+  const result = transaction.providerReference
+    ? await getProvider(transaction.paymentProvider).cancelPayment(transaction)
+    : { status: PAYMENT_STATUS.CANCELLED, raw: { local: true } };
+
+  const cancelled = await applyProviderResult(transaction, { ...result, status: PAYMENT_STATUS.CANCELLED, providerStatus: 'CANCELLED' });
+  // Réglée par l'opérateur entre la vérification et l'annulation
+  if (cancelled.status !== 'cancelled') {
+    throw new BadRequestError(`Impossible d'annuler une transaction au statut ${cancelled.status}`);
+  }
+  return cancelled;
+};
+
+/**
+ * Rembourse tout ou partie d'un paiement réussi, via l'opérateur ou sur le porte-monnaie du client
+ * @param {string} reference - Référence interne de la transaction d'origine
+ * @param {Object} [options]
+ * @param {number} [options.amount] - Montant (solde remboursable par défaut)
+ * @param {string} [options.reason] - Motif
+ * @param {string} [options.processedBy='system'] - system, admin ou pressing
+ * @param {boolean} [options.toWallet=false] - Créditer le porte-monnaie plutôt que le moyen de paiement d'origine
+ * @param {Object} [options.metadata] - Métadonnées supplémentaires (ex: demande de remboursement)
+ * @returns {Promise<Object>} - Transaction de remboursement
+ */
+exports.refundPayment = async (reference, { amount, reason, processedBy = 'system', toWallet = false, metadata = {} } = {}) => {
+  const transaction = await findTransaction(reference);
+
+  if (transaction.type === 'topup') {
+    throw new BadRequestError('Une recharge de porte-monnaie ne peut pas être remboursée');
+  }
+  if (!['completed', 'partially_refunded'].includes(transaction.status)) {
+    throw new BadRequestError(`Impossible de rembourser une transaction au statut ${transaction.status}`);
+  }
+
+  // Les remboursements encore en attente chez l'opérateur réduisent le montant remboursable
+  const refundable = transaction.amount - (transaction.refundedAmount || 0) - (transaction.refundReservedAmount || 0);
+  const refundAmount = amount !== undefined ? Number(amount) : refundable;
+
+  if (!(refundAmount > 0) || refundAmount > refundable) {
+    throw new BadRequestError(`Montant de remboursement invalide (maximum ${Math.max(0, refundable)} ${transaction.currency})`);
+  }
+
+  // Un paiement par porte-monnaie est toujours remboursé sur le porte-monnaie
+  const creditWallet = toWallet || transaction.paymentProvider === 'wallet';
+  if (creditWallet && transaction.user.type !== 'Client') {
+    throw new BadRequestError('Seul un client peut être remboursé sur son porte-monnaie');
+  }
+  const adapter = creditWallet ? null : getProvider(transaction.paymentProvider);
+  if (adapter && !adapter.supportsPartialRefund() && refundAmount !== transaction.amount) {
+    throw new BadRequestError(`${transaction.paymentProvider} ne permet que le remboursement intégral`);
+  }
+
+  // Réservation atomique : deux remboursements simultanés ne dépassent pas le montant encaissé
+  const reserved = await Transaction.findOneAndUpdate(
+    {
+      _id: transaction._id,
+      status: { $in: ['completed', 'partially_refunded'] },
+      $expr: {
+        $lte: [
+          { $add: [{ $ifNull: ['$refundedAmount', 0] }, { $ifNull: ['$refundReservedAmount', 0] }, refundAmount] },
+          '$amount'
+        ]
+      }
+    },
+    { $inc: { refundReservedAmount: refundAmount } },
+    { new: true }
+  );
+  if (!reserved) {
+    throw new BadRequestError(`Montant de remboursement invalide : un autre remboursement est en cours sur ${transaction.reference}`);
+  }
+
+  const refundReference = generateReference('RFD');
+  let result;
+
+  try {
+    result = creditWallet
+      ? { status: PAYMENT_STATUS.SUCCEEDED, providerStatus: 'WALLET_CREDITED', raw: { wallet: true } }
+      : await adapter.refundPayment(transaction, { amount: refundAmount, reference: refundReference, reason });
+  } catch (error) {
+    await releaseRefundReservation({ parentTransaction: transaction._id, amount: refundAmount });
+    throw error;
+  }
+
+  const refundTransaction = await Transaction.create({
+    user: transaction.user,
+    type: 'refund',
+    status: 'pending',
+    amount: refundAmount,
+    currency: transaction.currency,
+    paymentProvider: creditWallet ? 'wallet' : transaction.paymentProvider,
+    phoneNumber: creditWallet ? undefined : transaction.phoneNumber,
+    reference: refundReference,
+    providerReference: result.providerReference,
+    parentTransaction: transaction._id,
+    description: reason || `Remboursement de ${transaction.reference}`,
+    relatedTo: transaction.relatedTo,
+    relatedToModel: transaction.relatedToModel,
+    metadata: { ...metadata, reason: reason || '', processedBy }
+  });
+
+  return applyProviderResult(refundTransaction, result);
+};
+
+exports.generateReference = generateReference;
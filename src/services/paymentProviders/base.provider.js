@@ -0,0 +1,258 @@
+/**
+ * Adaptateur de base pour les opérateurs de paiement
+ * Chaque opérateur (Orange, MTN, Moov, Wave) implémente ce contrat
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const config = require('../../config/config');
+
+// Statuts normalisés retournés par tous les adaptateurs
+const PAYMENT_STATUS = {
+  PENDING: 'pending',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+};
+
+/**
+ * Calcule une signature HMAC-SHA256 hexadécimale
+ * @param {string} secret - Secret partagé
+ * @param {string} content - Contenu signé
+ * @returns {string}
+ */
+const computeSignature = (secret, content) =>
+  crypto.createHmac('sha256', secret).update(content, 'utf8').digest('hex');
+
+/**
+ * Compare deux signatures hexadécimales en temps constant
+ * @param {string} expected - Signature attendue
+ * @param {string} received - Signature reçue
+ * @returns {boolean}
+ */
+const safeCompare = (expected, received) => {
+  const a = Buffer.from(String(expected || ''), 'utf8');
+  const b = Buffer.from(String(received || ''), 'utf8');
+  return a.length > 0 && a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+class PaymentProviderError extends Error {
+  constructor(provider, message, details) {
+    super(`[${provider}] ${message}`);
+    this.name = 'PaymentProviderError';
+    this.provider = provider;
+    this.statusCode = 502;
+    this.code = 'PAYMENT_PROVIDER_ERROR';
+    this.details = details;
+  }
+}
+
+class PaymentProvider {
+  /**
+   * @param {string} name - Identifiant de l'opérateur (valeur de Transaction.paymentProvider)
+   * @param {Object} options - Configuration spécifique à l'opérateur
+   */
+  constructor(name, options = {}) {
+    this.name = name;
+    this.options = options;
+    this.http = axios.create({
+      baseURL: options.baseUrl,
+      timeout: config.payments.requestTimeout
+    });
+  }
+
+  /**
+   * Table de correspondance statut opérateur -> statut normalisé
+   * @returns {Object}
+   */
+  get statusMap() {
+    return {};
+  }
+
+  /**
+   * Convertit un statut opérateur en statut normalisé
+   * @param {string} providerStatus - Statut brut de l'opérateur
+   * @returns {string} - Statut normalisé (PAYMENT_STATUS)
+   */
+  mapStatus(providerStatus) {
+    if (!providerStatus) return PAYMENT_STATUS.PENDING;
+    return this.statusMap[String(providerStatus).toUpperCase()] || PAYMENT_STATUS.PENDING;
+  }
+
+  /**
+   * Vérifie que les identifiants nécessaires sont configurés
+   * @param {string[]} keys - Clés de configuration obligatoires
+   */
+  assertConfigured(keys) {
+    const missing = keys.filter(key => !this.options[key]);
+    if (missing.length > 0) {
+      throw new PaymentProviderError(this.name, `Configuration manquante: ${missing.join(', ')}`);
+    }
+  }
+
+  /**
+   * Enveloppe les erreurs HTTP de l'opérateur
+   * @param {Error} error - Erreur axios
+   * @param {string} action - Action en cours
+   */
+  wrapError(error, action) {
+    if (error instanceof PaymentProviderError) return error;
+    const details = error.response ? { status: error.response.status, data: error.response.data } : undefined;
+    return new PaymentProviderError(this.name, `Échec de l'opération ${action}: ${error.message}`, details);
+  }
+
+  /**
+   * Initie un paiement
+   * @param {Object} params
+   * @param {string} params.reference - Référence interne de la transaction
+   * @param {number} params.amount - Montant
+   * @param {string} params.currency - Devise
+   * @param {string} [params.phoneNumber] - Numéro du payeur
+   * @param {string} [params.description] - Libellé du paiement
+   * @returns {Promise<{providerReference: string, status: string, providerStatus?: string, paymentUrl?: string, raw: Object}>}
+   */
+  async initiatePayment(params) {
+    throw new PaymentProviderError(this.name, 'initiatePayment non supporté');
+  }
+
+  /**
+   * Récupère le statut d'un paiement auprès de l'opérateur
+   * @param {Object} transaction - Transaction interne (reference, providerReference, amount...)
+   * @returns {Promise<{status: string, providerStatus: string, raw: Object}>}
+   */
+  async getPaymentStatus(transaction) {
+    throw new PaymentProviderError(this.name, 'getPaymentStatus non supporté');
+  }
+
+  /**
+   * Annule un paiement encore en attente
+   * @param {Object} transaction - Transaction interne
+   * @returns {Promise<{status: string, raw: Object}>}
+   */
+  async cancelPayment(transaction) {
+    // Par défaut, l'opérateur laisse expirer la demande : l'annulation est purement locale
+    return { status: PAYMENT_STATUS.CANCELLED, raw: { local: true } };
+  }
+
+  /**
+   * Rembourse tout ou partie d'un paiement réussi
+   * @param {Object} transaction - Transaction d'origine
+   * @param {Object} params
+   * @param {number} params.amount - Montant à rembourser
+   * @param {string} params.reference - Référence interne du remboursement
+   * @param {string} [params.reason] - Motif
+   * @returns {Promise<{providerReference: string, status: string, raw: Object}>}
+   */
+  async refundPayment(transaction, params) {
+    throw new PaymentProviderError(this.name, 'refundPayment non supporté');
+  }
+
+  /**
+   * Envoie des fonds vers le compte d'un bénéficiaire (reversement)
+   * @param {Object} params
+   * @param {string} params.reference - Référence interne du reversement
+   * @param {number} params.amount - Montant
+   * @param {string} params.currency - Devise
+   * @param {string} params.phoneNumber - Numéro du bénéficiaire
+   * @param {string} [params.recipientName] - Nom du bénéficiaire
+   * @returns {Promise<{providerReference: string, status: string, providerStatus?: string, raw: Object}>}
+   */
+  async initiatePayout(params) {
+    throw new PaymentProviderError(this.name, 'initiatePayout non supporté');
+  }
+
+  /**
+   * Récupère le statut d'un reversement
+   * @param {Object} transaction - Transaction de retrait (providerReference)
+   * @returns {Promise<{status: string, providerStatus: string, raw: Object}>}
+   */
+  async getPayoutStatus(transaction) {
+    throw new PaymentProviderError(this.name, 'getPayoutStatus non supporté');
+  }
+
+  /**
+   * Indique si l'opérateur accepte les remboursements partiels
+   * @returns {boolean}
+   */
+  supportsPartialRefund() {
+    return true;
+  }
+
+  /**
+   * Extrait l'horodatage et les signatures d'une notification
+   * Format générique : en-têtes X-Webhook-Timestamp (secondes) et X-Webhook-Signature,
+   * signature = HMAC-SHA256(secret, `${timestamp}.${corps brut}`)
+   * @param {Object} headers - En-têtes HTTP (noms en minuscules)
+   * @returns {{timestamp: number, signatures: string[], signedContent: function(string): string}}
+   */
+  extractSignature(headers) {
+    return {
+      timestamp: parseInt(headers['x-webhook-timestamp'], 10),
+      signatures: headers['x-webhook-signature'] ? [String(headers['x-webhook-signature'])] : [],
+      signedContent: (timestamp, rawBody) => `${timestamp}.${rawBody}`
+    };
+  }
+
+  /**
+   * Vérifie la signature HMAC et la fraîcheur d'une notification
+   * @param {Object} params
+   * @param {string} params.rawBody - Corps brut de la requête
+   * @param {Object} params.headers - En-têtes HTTP
+   * @param {string} params.secret - Secret partagé avec l'opérateur
+   * @param {number} params.toleranceSeconds - Écart maximal accepté
+   * @param {number} [params.now] - Horodatage courant (ms)
+   * @returns {{valid: boolean, reason?: string, timestamp?: number}}
+   */
+  verifyWebhookSignature({ rawBody, headers, secret, toleranceSeconds, now = Date.now() }) {
+    if (!secret) {
+      return { valid: false, reason: 'Secret de webhook non configuré' };
+    }
+    if (typeof rawBody !== 'string') {
+      return { valid: false, reason: 'Corps brut de la requête indisponible' };
+    }
+
+    const { timestamp, signatures, signedContent } = this.extractSignature(headers || {});
+
+    if (!Number.isFinite(timestamp)) {
+      return { valid: false, reason: 'Horodatage de signature manquant' };
+    }
+    if (Math.abs(now / 1000 - timestamp) > toleranceSeconds) {
+      return { valid: false, reason: 'Horodatage hors de la tolérance', timestamp };
+    }
+    if (signatures.length === 0) {
+      return { valid: false, reason: 'Signature manquante', timestamp };
+    }
+
+    const expected = computeSignature(secret, signedContent(timestamp, rawBody));
+    if (!signatures.some(signature => safeCompare(expected, signature))) {
+      return { valid: false, reason: 'Signature invalide', timestamp };
+    }
+
+    return { valid: true, timestamp };
+  }
+
+  /**
+   * Extrait les informations utiles d'une notification (webhook) de l'opérateur
+   * @param {Object} payload - Corps de la requête
+   * @returns {{eventId?: string, reference?: string, providerReference?: string, status: string, providerStatus: string, amount?: number, raw: Object}}
+   */
+  parseWebhook(payload) {
+    const providerStatus = payload.status;
+    return {
+      eventId: payload.eventId || payload.id,
+      reference: payload.reference || payload.transactionId,
+      providerReference: payload.providerReference,
+      providerStatus,
+      status: this.mapStatus(providerStatus),
+      amount: payload.amount !== undefined ? Number(payload.amount) : undefined,
+      raw: payload
+    };
+  }
+}
+
+module.exports = {
+  PaymentProvider,
+  PaymentProviderError,
+  PAYMENT_STATUS,
+  computeSignature
+};
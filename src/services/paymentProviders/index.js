@@ -0,0 +1,105 @@
+/**
+ * Registre des adaptateurs de paiement
+ * Résout un opérateur (orange, mtn, moov, wave) vers son adaptateur, ou vers la sandbox hors production
+ */
+
+const config = require('../../config/config');
+const { BadRequestError } = require('../../utils/error.utils');
+const { PaymentProviderError, PAYMENT_STATUS, computeSignature } = require('./base.provider');
+const OrangeMoneyProvider = require('./orange.provider');
+const MtnMomoProvider = require('./mtn.provider');
+const MoovMoneyProvider = require('./moov.provider');
+const WaveProvider = require('./wave.provider');
+const SandboxProvider = require('./sandbox.provider');
+
+const PROVIDERS = {
+  orange: OrangeMoneyProvider,
+  mtn: MtnMomoProvider,
+  moov: MoovMoneyProvider,
+  wave: WaveProvider
+};
+
+// Identifiants historiques utilisés par le frontend (cf. GET /payments/methods)
+const PROVIDER_ALIASES = {
+  orangemoney: 'orange',
+  orange_money: 'orange',
+  mtnmomo: 'mtn',
+  momo: 'mtn',
+  mtn_money: 'mtn',
+  moovmoney: 'moov',
+  moov_money: 'moov',
+  flooz: 'moov'
+};
+
+const instances = new Map();
+// Paiements simulés partagés entre les adaptateurs sandbox
+const sandboxStore = new Map();
+
+/**
+ * Normalise un identifiant d'opérateur
+ * @param {string} name - Identifiant reçu (orange, orangemoney, mtnmomo...)
+ * @returns {string} - Valeur de Transaction.paymentProvider
+ */
+const normalizeProviderName = (name) => {
+  const key = String(name || '').toLowerCase().trim();
+  const normalized = PROVIDER_ALIASES[key] || key;
+  if (!PROVIDERS[normalized]) {
+    throw new BadRequestError(`Opérateur de paiement non supporté: ${name}`);
+  }
+  return normalized;
+};
+
+/**
+ * Indique si les paiements passent par la sandbox locale
+ * @returns {boolean}
+ */
+const isSandbox = () => config.payments.mode !== 'live';
+
+/**
+ * Retourne l'adaptateur d'un opérateur
+ * @param {string} name - Identifiant de l'opérateur
+ * @returns {PaymentProvider}
+ */
+const getProvider = (name) => {
+  const providerName = normalizeProviderName(name);
+  const key = `${isSandbox() ? 'sandbox' : 'live'}:${providerName}`;
+
+  if (!instances.has(key)) {
+    const Provider = PROVIDERS[providerName];
+    instances.set(key, isSandbox() ? new SandboxProvider(providerName, sandboxStore) : new Provider());
+  }
+
+  return instances.get(key);
+};
+
+/**
+ * Retourne le secret HMAC des notifications d'un opérateur
+ * @param {string} name - Identifiant de l'opérateur
+ * @returns {string|undefined}
+ */
+const getWebhookSecret = (name) => {
+  const { webhooks } = config.payments;
+  return isSandbox() ? webhooks.sandboxSecret : webhooks.secrets[normalizeProviderName(name)];
+};
+
+/**
+ * Vérifie au démarrage que le secret des notifications sandbox est configuré
+ * @throws {Error} - En mode sandbox sans PAYMENT_SANDBOX_WEBHOOK_SECRET
+ */
+const assertWebhookSecret = () => {
+  if (isSandbox() && !config.payments.webhooks.sandboxSecret) {
+    throw new Error('PAYMENT_SANDBOX_WEBHOOK_SECRET doit être défini en mode de paiement sandbox');
+  }
+};
+
+module.exports = {
+  getProvider,
+  getWebhookSecret,
+  assertWebhookSecret,
+  normalizeProviderName,
+  isSandbox,
+  PROVIDER_NAMES: Object.keys(PROVIDERS),
+  PAYMENT_STATUS,
+  PaymentProviderError,
+  computeSignature
+};
@@ -0,0 +1,124 @@
+/**
+ * Adaptateur Moov Money (Flooz) Côte d'Ivoire
+ */
+
+const config = require('../../config/config');
+const { PaymentProvider, PaymentProviderError, PAYMENT_STATUS } = require('./base.provider');
+
+class MoovMoneyProvider extends PaymentProvider {
+  constructor(options = config.payments.providers.moov) {
+    super('moov', options);
+  }
+
+  get statusMap() {
+    return {
+      // Codes de statut numériques de l'API marchand Moov
+      '0': PAYMENT_STATUS.SUCCEEDED,
+      '-1': PAYMENT_STATUS.PENDING,
+      '1': PAYMENT_STATUS.FAILED,
+      SUCCESS: PAYMENT_STATUS.SUCCEEDED,
+      PENDING: PAYMENT_STATUS.PENDING,
+      FAILED: PAYMENT_STATUS.FAILED,
+      CANCELLED: PAYMENT_STATUS.CANCELLED
+    };
+  }
+
+  requestConfig() {
+    this.assertConfigured(['baseUrl', 'username', 'password', 'merchantId']);
+    return {
+      auth: { username: this.options.username, password: this.options.password },
+      headers: { Accept: 'application/json' }
+    };
+  }
+
+  async initiatePayment({ reference, amount, phoneNumber, description }) {
+    if (!phoneNumber) {
+      throw new PaymentProviderError(this.name, 'Numéro de téléphone requis');
+    }
+
+    try {
+      const response = await this.http.post('/api/v1/merchant/payments', {
+        merchantId: this.options.merchantId,
+        msisdn: String(phoneNumber).replace(/\D/g, ''),
+        amount: Math.round(amount),
+        externalReference: reference,
+        description: description || 'Paiement GeoPressCI',
+        callbackUrl: `${config.payments.callbackUrl}/moov`
+      }, this.requestConfig());
+
+      return {
+        providerReference: response.data.transactionId,
+        status: this.mapStatus(response.data.status),
+        providerStatus: String(response.data.status),
+        raw: response.data
+      };
+    } catch (error) {
+      throw this.wrapError(error, 'initiatePayment');
+    }
+  }
+
+  async getPaymentStatus(transaction) {
+    try {
+      const response = await this.http.get(
+        `/api/v1/merchant/payments/${transaction.providerReference}`,
+        this.requestConfig()
+      );
+
+      return {
+        status: this.mapStatus(response.data.status),
+        providerStatus: String(response.data.status),
+        raw: response.data
+      };
+    } catch (error) {
+      throw this.wrapError(error, 'getPaymentStatus');
+    }
+  }
+
+  async cancelPayment(transaction) {
+    try {
+      const response = await this.http.post(
+        `/api/v1/merchant/payments/${transaction.providerReference}/cancel`,
+        {},
+        this.requestConfig()
+      );
+
+      return { status: PAYMENT_STATUS.CANCELLED, raw: response.data };
+    } catch (error) {
+      throw this.wrapError(error, 'cancelPayment');
+    }
+  }
+
+  async refundPayment(transaction, { amount, reference, reason }) {
+    try {
+      const response = await this.http.post('/api/v1/merchant/refunds', {
+        merchantId: this.options.merchantId,
+        originalTransactionId: transaction.providerReference,
+        amount: Math.round(amount),
+        externalReference: reference,
+        reason: reason || 'Remboursement GeoPressCI'
+      }, this.requestConfig());
+
+      return {
+        providerReference: response.data.transactionId,
+        status: this.mapStatus(response.data.status),
+        raw: response.data
+      };
+    } catch (error) {
+      throw this.wrapError(error, 'refundPayment');
+    }
+  }
+
+  parseWebhook(payload) {
+    return {
+      eventId: payload.eventId || (payload.transactionId && `${payload.transactionId}:${payload.status}`),
+      reference: payload.externalReference,
+      providerReference: payload.transactionId,
+      providerStatus: String(payload.status),
+      status: this.mapStatus(payload.status),
+      amount: payload.amount !== undefined ? Number(payload.amount) : undefined,
+      raw: payload
+    };
+  }
+}
+
+module.exports = MoovMoneyProvider;
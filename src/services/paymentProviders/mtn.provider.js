@@ -0,0 +1,222 @@
+/**
+ * Adaptateur MTN Mobile Money (API MoMo Collection / Disbursement)
+ */
+
+const crypto = require('crypto');
+const config = require('../../config/config');
+const { PaymentProvider, PaymentProviderError, PAYMENT_STATUS } = require('./base.provider');
+
+class MtnMomoProvider extends PaymentProvider {
+  constructor(options = config.payments.providers.mtn) {
+    super('mtn', options);
+    this.tokens = {};
+  }
+
+  get statusMap() {
+    return {
+      PENDING: PAYMENT_STATUS.PENDING,
+      SUCCESSFUL: PAYMENT_STATUS.SUCCEEDED,
+      FAILED: PAYMENT_STATUS.FAILED,
+      REJECTED: PAYMENT_STATUS.FAILED,
+      TIMEOUT: PAYMENT_STATUS.FAILED,
+      EXPIRED: PAYMENT_STATUS.FAILED
+    };
+  }
+
+  /**
+   * Obtient un jeton pour le produit MoMo demandé (collection ou disbursement)
+   * @param {string} product - 'collection' ou 'disbursement'
+   */
+  async getAccessToken(product) {
+    const subscriptionKey = this.subscriptionKey(product);
+    this.assertConfigured(['apiUser', 'apiKey']);
+
+    const cached = this.tokens[product];
+    if (cached && Date.now() < cached.expiresAt) {
+      return cached.token;
+    }
+
+    const credentials = Buffer.from(`${this.options.apiUser}:${this.options.apiKey}`).toString('base64');
+    const response = await this.http.post(`/${product}/token/`, null, {
+      headers: {
+        Authorization: `Basic ${credentials}`,
+        'Ocp-Apim-Subscription-Key': subscriptionKey
+      }
+    });
+
+    this.tokens[product] = {
+      token: response.data.access_token,
+      expiresAt: Date.now() + ((response.data.expires_in || 3600) - 60) * 1000
+    };
+    return response.data.access_token;
+  }
+
+  subscriptionKey(product) {
+    const key = product === 'disbursement'
+      ? this.options.disbursementSubscriptionKey
+      : this.options.collectionSubscriptionKey;
+    if (!key) {
+      throw new PaymentProviderError(this.name, `Clé d'abonnement ${product} non configurée`);
+    }
+    return key;
+  }
+
+  async headers(product, extra = {}) {
+    return {
+      Authorization: `Bearer ${await this.getAccessToken(product)}`,
+      'Ocp-Apim-Subscription-Key': this.subscriptionKey(product),
+      'X-Target-Environment': this.options.targetEnvironment,
+      ...extra
+    };
+  }
+
+  /**
+   * Normalise un numéro ivoirien au format MSISDN (225XXXXXXXXXX)
+   */
+  toMsisdn(phoneNumber) {
+    const digits = String(phoneNumber || '').replace(/\D/g, '');
+    return digits.startsWith('225') ? digits : `225${digits}`;
+  }
+
+  async initiatePayment({ reference, amount, currency, phoneNumber, description }) {
+    if (!phoneNumber) {
+      throw new PaymentProviderError(this.name, 'Numéro de téléphone requis');
+    }
+
+    // L'identifiant de la demande est choisi par le marchand (UUID v4)
+    const referenceId = crypto.randomUUID();
+
+    try {
+      await this.http.post('/collection/v1_0/requesttopay', {
+        amount: String(Math.round(amount)),
+        currency,
+        externalId: reference,
+        payer: { partyIdType: 'MSISDN', partyId: this.toMsisdn(phoneNumber) },
+        payerMessage: description || 'Paiement GeoPressCI',
+        payeeNote: reference
+      }, {
+        headers: await this.headers('collection', {
+          'X-Reference-Id': referenceId,
+          'X-Callback-Url': `${config.payments.callbackUrl}/mtn`
+        })
+      });
+
+      return {
+        providerReference: referenceId,
+        status: PAYMENT_STATUS.PENDING,
+        providerStatus: 'PENDING',
+        raw: { referenceId }
+      };
+    } catch (error) {
+      throw this.wrapError(error, 'initiatePayment');
+    }
+  }
+
+  async getPaymentStatus(transaction) {
+    try {
+      const response = await this.http.get(
+        `/collection/v1_0/requesttopay/${transaction.providerReference}`,
+        { headers: await this.headers('collection') }
+      );
+
+      return {
+        status: this.mapStatus(response.data.status),
+        providerStatus: response.data.status,
+        raw: response.data
+      };
+    } catch (error) {
+      throw this.wrapError(error, 'getPaymentStatus');
+    }
+  }
+
+  async refundPayment(transaction, { amount, reference, reason }) {
+    const referenceId = crypto.randomUUID();
+
+    try {
+      await this.http.post('/disbursement/v1_0/refund', {
+        amount: String(Math.round(amount)),
+        currency: transaction.currency,
+        externalId: reference,
+        payerMessage: reason || 'Remboursement GeoPressCI',
+        payeeNote: reference,
+        referenceIdToRefund: transaction.providerReference
+      }, {
+        headers: await this.headers('disbursement', { 'X-Reference-Id': referenceId })
+      });
+
+      // Le remboursement est asynchrone : son statut est confirmé par callback
+      return {
+        providerReference: referenceId,
+        status: PAYMENT_STATUS.PENDING,
+        raw: { referenceId }
+      };
+    } catch (error) {
+      throw this.wrapError(error, 'refundPayment');
+    }
+  }
+
+  async initiatePayout({ reference, amount, currency, phoneNumber, recipientName }) {
+    if (!phoneNumber) {
+      throw new PaymentProviderError(this.name, 'Numéro de téléphone du bénéficiaire requis');
+    }
+
+    const referenceId = crypto.randomUUID();
+
+    try {
+      await this.http.post('/disbursement/v1_0/transfer', {
+        amount: String(Math.round(amount)),
+        currency,
+        externalId: reference,
+        payee: { partyIdType: 'MSISDN', partyId: this.toMsisdn(phoneNumber) },
+        payerMessage: `Reversement GeoPressCI ${reference}`,
+        payeeNote: recipientName || reference
+      }, {
+        headers: await this.headers('disbursement', {
+          'X-Reference-Id': referenceId,
+          'X-Callback-Url': `${config.payments.callbackUrl}/mtn`
+        })
+      });
+
+      return {
+        providerReference: referenceId,
+        status: PAYMENT_STATUS.PENDING,
+        providerStatus: 'PENDING',
+        raw: { referenceId }
+      };
+    } catch (error) {
+      throw this.wrapError(error, 'initiatePayout');
+    }
+  }
+
+  async getPayoutStatus(transaction) {
+    try {
+      const response = await this.http.get(
+        `/disbursement/v1_0/transfer/${transaction.providerReference}`,
+        { headers: await this.headers('disbursement') }
+      );
+
+      return {
+        status: this.mapStatus(response.data.status),
+        providerStatus: response.data.status,
+        raw: response.data
+      };
+    } catch (error) {
+      throw this.wrapError(error, 'getPayoutStatus');
+    }
+  }
+
+  parseWebhook(payload) {
+    // Callback MoMo : corps identique à GET requesttopay ({ externalId, status, amount, financialTransactionId... })
+    return {
+      eventId: payload.financialTransactionId || (payload.referenceId && `${payload.referenceId}:${payload.status}`),
+      reference: payload.externalId,
+      providerReference: payload.referenceId,
+      providerStatus: payload.status,
+      status: this.mapStatus(payload.status),
+      amount: payload.amount !== undefined ? Number(payload.amount) : undefined,
+      raw: payload
+    };
+  }
+}
+
+module.exports = MtnMomoProvider;
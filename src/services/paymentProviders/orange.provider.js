@@ -0,0 +1,144 @@
+/**
+ * Adaptateur Orange Money (API Web Payment Côte d'Ivoire)
+ */
+
+const config = require('../../config/config');
+const { PaymentProvider, PaymentProviderError, PAYMENT_STATUS } = require('./base.provider');
+
+class OrangeMoneyProvider extends PaymentProvider {
+  constructor(options = config.payments.providers.orange) {
+    super('orange', options);
+    this.accessToken = null;
+    this.tokenExpiresAt = 0;
+  }
+
+  get statusMap() {
+    return {
+      INITIATED: PAYMENT_STATUS.PENDING,
+      PENDING: PAYMENT_STATUS.PENDING,
+      SUCCESS: PAYMENT_STATUS.SUCCEEDED,
+      SUCCESSFULL: PAYMENT_STATUS.SUCCEEDED,
+      FAILED: PAYMENT_STATUS.FAILED,
+      EXPIRED: PAYMENT_STATUS.FAILED,
+      CANCELLED: PAYMENT_STATUS.CANCELLED
+    };
+  }
+
+  /**
+   * Obtient (et met en cache) un jeton OAuth
+   */
+  async getAccessToken() {
+    this.assertConfigured(['clientId', 'clientSecret']);
+
+    if (this.accessToken && Date.now() < this.tokenExpiresAt) {
+      return this.accessToken;
+    }
+
+    const credentials = Buffer.from(`${this.options.clientId}:${this.options.clientSecret}`).toString('base64');
+    const response = await this.http.post('/oauth/v3/token', 'grant_type=client_credentials', {
+      headers: {
+        Authorization: `Basic ${credentials}`,
+        'Content-Type': 'application/x-www-form-urlencoded'
+      }
+    });
+
+    this.accessToken = response.data.access_token;
+    // Marge de 60 secondes avant l'expiration annoncée
+    this.tokenExpiresAt = Date.now() + ((response.data.expires_in || 3600) - 60) * 1000;
+    return this.accessToken;
+  }
+
+  async authHeaders() {
+    const token = await this.getAccessToken();
+    return { Authorization: `Bearer ${token}`, Accept: 'application/json' };
+  }
+
+  async initiatePayment({ reference, amount, currency, description }) {
+    this.assertConfigured(['merchantKey']);
+
+    try {
+      const response = await this.http.post('/orange-money-webpay/ci/v1/webpayment', {
+        merchant_key: this.options.merchantKey,
+        currency: currency === 'XOF' ? 'XOF' : currency,
+        order_id: reference,
+        amount: Math.round(amount),
+        return_url: config.payments.returnUrl,
+        cancel_url: config.payments.cancelUrl,
+        notif_url: `${config.payments.callbackUrl}/orange`,
+        lang: 'fr',
+        reference: description || reference
+      }, { headers: await this.authHeaders() });
+
+      return {
+        providerReference: response.data.pay_token,
+        status: PAYMENT_STATUS.PENDING,
+        providerStatus: 'INITIATED',
+        paymentUrl: response.data.payment_url,
+        raw: response.data
+      };
+    } catch (error) {
+      throw this.wrapError(error, 'initiatePayment');
+    }
+  }
+
+  async getPaymentStatus(transaction) {
+    try {
+      const response = await this.http.post('/orange-money-webpay/ci/v1/transactionstatus', {
+        order_id: transaction.reference,
+        amount: Math.round(transaction.amount),
+        pay_token: transaction.providerReference
+      }, { headers: await this.authHeaders() });
+
+      return {
+        status: this.mapStatus(response.data.status),
+        providerStatus: response.data.status,
+        raw: response.data
+      };
+    } catch (error) {
+      throw this.wrapError(error, 'getPaymentStatus');
+    }
+  }
+
+  async refundPayment(transaction, { amount, reference, reason }) {
+    this.assertConfigured(['merchantKey']);
+
+    if (!transaction.phoneNumber) {
+      throw new PaymentProviderError(this.name, 'Numéro du payeur inconnu, remboursement impossible');
+    }
+
+    try {
+      // Le remboursement Orange Money est un transfert marchand vers le numéro du payeur
+      const response = await this.http.post('/orange-money-webpay/ci/v1/refund', {
+        merchant_key: this.options.merchantKey,
+        order_id: reference,
+        original_pay_token: transaction.providerReference,
+        subscriber_msisdn: transaction.phoneNumber,
+        amount: Math.round(amount),
+        reason: reason || 'Remboursement GeoPressCI'
+      }, { headers: await this.authHeaders() });
+
+      return {
+        providerReference: response.data.txnid || response.data.refund_token || reference,
+        status: this.mapStatus(response.data.status || 'SUCCESS'),
+        raw: response.data
+      };
+    } catch (error) {
+      throw this.wrapError(error, 'refundPayment');
+    }
+  }
+
+  parseWebhook(payload) {
+    // Notification Orange : { status, notif_token, txnid, order_id?, pay_token? }
+    return {
+      eventId: payload.notif_token || payload.txnid,
+      reference: payload.order_id,
+      providerReference: payload.pay_token,
+      providerStatus: payload.status,
+      status: this.mapStatus(payload.status),
+      amount: payload.amount !== undefined ? Number(payload.amount) : undefined,
+      raw: payload
+    };
+  }
+}
+
+module.exports = OrangeMoneyProvider;
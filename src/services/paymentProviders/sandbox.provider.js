@@ -0,0 +1,116 @@
+/**
+ * Adaptateur sandbox local et déterministe (développement et tests)
+ *
+ * Le résultat dépend uniquement des 4 derniers chiffres du numéro du payeur :
+ *   - ...0000 : paiement refusé
+ *   - ...1111 : paiement qui reste en attente
+ *   - ...2222 : paiement annulé par le payeur
+ *   - autres  : paiement réussi dès la première vérification de statut
+ */
+
+const { PaymentProvider, PaymentProviderError, PAYMENT_STATUS } = require('./base.provider');
+
+const OUTCOMES_BY_SUFFIX = {
+  '0000': PAYMENT_STATUS.FAILED,
+  '1111': PAYMENT_STATUS.PENDING,
+  '2222': PAYMENT_STATUS.CANCELLED
+};
+
+class SandboxProvider extends PaymentProvider {
+  /**
+   * @param {string} name - Opérateur simulé (orange, mtn, moov, wave)
+   * @param {Map} [store] - Stockage partagé des paiements simulés
+   */
+  constructor(name = 'sandbox', store = new Map()) {
+    super(name, {});
+    this.store = store;
+  }
+
+  get statusMap() {
+    return {
+      PENDING: PAYMENT_STATUS.PENDING,
+      SUCCEEDED: PAYMENT_STATUS.SUCCEEDED,
+      FAILED: PAYMENT_STATUS.FAILED,
+      CANCELLED: PAYMENT_STATUS.CANCELLED
+    };
+  }
+
+  outcomeFor(phoneNumber) {
+    const digits = String(phoneNumber || '').replace(/\D/g, '');
+    return OUTCOMES_BY_SUFFIX[digits.slice(-4)] || PAYMENT_STATUS.SUCCEEDED;
+  }
+
+  async initiatePayment({ reference, amount, phoneNumber }) {
+    const providerReference = `SBX-${this.name.toUpperCase()}-${reference}`;
+    this.store.set(providerReference, {
+      reference,
+      amount,
+      refunded: 0,
+      status: PAYMENT_STATUS.PENDING,
+      outcome: this.outcomeFor(phoneNumber)
+    });
+
+    return {
+      providerReference,
+      status: PAYMENT_STATUS.PENDING,
+      providerStatus: 'PENDING',
+      raw: { sandbox: true, providerReference }
+    };
+  }
+
+  async getPaymentStatus(transaction) {
+    const payment = this.store.get(transaction.providerReference);
+    if (!payment) {
+      // Paiement initié avant un redémarrage : on rejoue le résultat attendu
+      const outcome = this.outcomeFor(transaction.phoneNumber);
+      return { status: outcome, providerStatus: outcome.toUpperCase(), raw: { sandbox: true } };
+    }
+
+    if (payment.status === PAYMENT_STATUS.PENDING) {
+      payment.status = payment.outcome;
+    }
+
+    return {
+      status: payment.status,
+      providerStatus: payment.status.toUpperCase(),
+      raw: { sandbox: true, ...payment }
+    };
+  }
+
+  async cancelPayment(transaction) {
+    const payment = this.store.get(transaction.providerReference);
+    if (payment && payment.status === PAYMENT_STATUS.SUCCEEDED) {
+      throw new PaymentProviderError(this.name, 'Paiement déjà réussi, annulation impossible');
+    }
+    if (payment) payment.status = PAYMENT_STATUS.CANCELLED;
+
+    return { status: PAYMENT_STATUS.CANCELLED, raw: { sandbox: true } };
+  }
+
+  async initiatePayout({ reference, amount, phoneNumber }) {
+    // Même résultat déterministe que pour un paiement, confirmé à la première vérification
+    return this.initiatePayment({ reference, amount, phoneNumber });
+  }
+
+  async getPayoutStatus(transaction) {
+    return this.getPaymentStatus(transaction);
+  }
+
+  async refundPayment(transaction, { amount, reference }) {
+    const payment = this.store.get(transaction.providerReference);
+    if (payment) {
+      if (payment.refunded + amount > payment.amount) {
+        throw new PaymentProviderError(this.name, 'Montant du remboursement supérieur au montant payé');
+      }
+      payment.refunded += amount;
+    }
+
+    return {
+      providerReference: `SBX-REFUND-${reference}`,
+      status: PAYMENT_STATUS.SUCCEEDED,
+      raw: { sandbox: true, amount }
+    };
+  }
+}
+
+module.exports = SandboxProvider;
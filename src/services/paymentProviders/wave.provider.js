@@ -0,0 +1,185 @@
+/**
+ * Adaptateur Wave (API Checkout)
+ */
+
+const config = require('../../config/config');
+const { PaymentProvider, PAYMENT_STATUS } = require('./base.provider');
+
+class WaveProvider extends PaymentProvider {
+  constructor(options = config.payments.providers.wave) {
+    super('wave', options);
+  }
+
+  get statusMap() {
+    return {
+      // payment_status d'une session de checkout
+      PROCESSING: PAYMENT_STATUS.PENDING,
+      SUCCEEDED: PAYMENT_STATUS.SUCCEEDED,
+      CANCELLED: PAYMENT_STATUS.CANCELLED,
+      // checkout_status
+      OPEN: PAYMENT_STATUS.PENDING,
+      // statut d'un payout
+      FAILED: PAYMENT_STATUS.FAILED,
+      REVERSED: PAYMENT_STATUS.FAILED,
+      COMPLETE: PAYMENT_STATUS.SUCCEEDED,
+      EXPIRED: PAYMENT_STATUS.FAILED
+    };
+  }
+
+  requestConfig() {
+    this.assertConfigured(['apiKey']);
+    return { headers: { Authorization: `Bearer ${this.options.apiKey}` } };
+  }
+
+  /**
+   * Le statut d'une session se lit d'abord sur payment_status, puis sur checkout_status
+   */
+  statusFromSession(session) {
+    if (session.checkout_status === 'expired' && session.payment_status !== 'succeeded') {
+      return { status: PAYMENT_STATUS.FAILED, providerStatus: 'expired' };
+    }
+    const providerStatus = session.payment_status || session.checkout_status;
+    return { status: this.mapStatus(providerStatus), providerStatus };
+  }
+
+  async initiatePayment({ reference, amount, currency }) {
+    try {
+      const response = await this.http.post('/v1/checkout/sessions', {
+        amount: String(Math.round(amount)),
+        currency,
+        client_reference: reference,
+        success_url: config.payments.returnUrl,
+        error_url: config.payments.cancelUrl
+      }, this.requestConfig());
+
+      return {
+        providerReference: response.data.id,
+        paymentUrl: response.data.wave_launch_url,
+        ...this.statusFromSession(response.data),
+        raw: response.data
+      };
+    } catch (error) {
+      throw this.wrapError(error, 'initiatePayment');
+    }
+  }
+
+  async getPaymentStatus(transaction) {
+    try {
+      const response = await this.http.get(
+        `/v1/checkout/sessions/${transaction.providerReference}`,
+        this.requestConfig()
+      );
+
+      return { ...this.statusFromSession(response.data), raw: response.data };
+    } catch (error) {
+      throw this.wrapError(error, 'getPaymentStatus');
+    }
+  }
+
+  async cancelPayment(transaction) {
+    try {
+      const response = await this.http.post(
+        `/v1/checkout/sessions/${transaction.providerReference}/expire`,
+        null,
+        this.requestConfig()
+      );
+
+      return { status: PAYMENT_STATUS.CANCELLED, raw: response.data || {} };
+    } catch (error) {
+      throw this.wrapError(error, 'cancelPayment');
+    }
+  }
+
+  async refundPayment(transaction, { reference }) {
+    // Wave ne rembourse que l'intégralité d'une session de checkout
+    try {
+      const response = await this.http.post(
+        `/v1/checkout/sessions/${transaction.providerReference}/refund`,
+        null,
+        this.requestConfig()
+      );
+
+      return {
+        providerReference: `${transaction.providerReference}:refund:${reference}`,
+        status: PAYMENT_STATUS.SUCCEEDED,
+        raw: response.data || {}
+      };
+    } catch (error) {
+      throw this.wrapError(error, 'refundPayment');
+    }
+  }
+
+  async initiatePayout({ reference, amount, currency, phoneNumber, recipientName }) {
+    try {
+      const response = await this.http.post('/v1/payout', {
+        currency,
+        receive_amount: String(Math.round(amount)),
+        mobile: phoneNumber,
+        name: recipientName,
+        client_reference: reference
+      }, {
+        headers: { ...this.requestConfig().headers, 'idempotency-key': reference }
+      });
+
+      return {
+        providerReference: response.data.id,
+        status: this.mapStatus(response.data.status),
+        providerStatus: response.data.status,
+        raw: response.data
+      };
+    } catch (error) {
+      throw this.wrapError(error, 'initiatePayout');
+    }
+  }
+
+  async getPayoutStatus(transaction) {
+    try {
+      const response = await this.http.get(`/v1/payout/${transaction.providerReference}`, this.requestConfig());
+
+      return {
+        status: this.mapStatus(response.data.status),
+        providerStatus: response.data.status,
+        raw: response.data
+      };
+    } catch (error) {
+      throw this.wrapError(error, 'getPayoutStatus');
+    }
+  }
+
+  /**
+   * Wave ne rembourse que la totalité du paiement
+   */
+  supportsPartialRefund() {
+    return false;
+  }
+
+  /**
+   * En-tête Wave-Signature : "t=<timestamp>,v1=<signature>[,v1=<signature>]"
+   * signature = HMAC-SHA256(secret, `${timestamp}${corps brut}`)
+   */
+  extractSignature(headers) {
+    const parts = String(headers['wave-signature'] || '').split(',').map(part => part.trim().split('='));
+    const timestamp = parts.find(([key]) => key === 't');
+
+    return {
+      timestamp: timestamp ? parseInt(timestamp[1], 10) : NaN,
+      signatures: parts.filter(([key]) => key === 'v1').map(([, value]) => value),
+      signedContent: (ts, rawBody) => `${ts}${rawBody}`
+    };
+  }
+
+  parseWebhook(payload) {
+    // Événement Wave : { id, type: 'checkout.session.completed', data: { id, client_reference, payment_status, ... } }
+    const session = payload.data || {};
+    return {
+      eventId: payload.id,
+      reference: session.client_reference,
+      providerReference: session.id,
+      ...this.statusFromSession(session),
+      amount: session.amount !== undefined ? Number(session.amount) : undefined,
+      raw: payload
+    };
+  }
+}
+
+module.exports = WaveProvider;
@@ -0,0 +1,231 @@
+// Réception des notifications des opérateurs de paiement :
+// vérification de signature, déduplication, journalisation et rejeu.
+
+const crypto = require('crypto');
+const WebhookEvent = require('../models/webhookEvent.model');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const { BadRequestError, NotFoundError, UnauthorizedError } = require('../utils/error.utils');
+const { getProvider, getWebhookSecret, normalizeProviderName } = require('./paymentProviders');
+const paymentService = require('./payment.service');
+
+// En-têtes conservés dans le journal (les autres peuvent contenir des données sensibles)
+const LOGGED_HEADERS = [
+  'content-type',
+  'user-agent',
+  'x-webhook-timestamp',
+  'x-webhook-signature',
+  'wave-signature',
+  'x-forwarded-for'
+];
+
+const pickHeaders = (headers = {}) =>
+  LOGGED_HEADERS.reduce((picked, name) => {
+    if (headers[name] !== undefined) picked[name] = headers[name];
+    return picked;
+  }, {});
+
+/**
+ * Filtre des événements pouvant être repris : en échec, jamais traités, ou restés
+ * en traitement au-delà du délai configuré (serveur arrêté en cours de traitement)
+ * @returns {Object} - Filtre MongoDB sur le statut
+ */
+const retryableFilter = () => {
+  const staleBefore = new Date(Date.now() - config.payments.webhooks.processingTimeoutMinutes * 60 * 1000);
+  return {
+    $or: [
+      { status: { $in: ['failed', 'received'] } },
+      { status: 'processing', updatedAt: { $lt: staleBefore } }
+    ]
+  };
+};
+
+/**
+ * Traite un événement authentifié et enregistre le résultat
+ * @param {Object} webhookEvent - Événement au statut processing
+ * @returns {Promise<Object>} - Événement mis à jour
+ */
+const processEvent = async (webhookEvent) => {
+  webhookEvent.attempts += 1;
+
+  try {
+    const { transaction } = await paymentService.handleWebhook(webhookEvent.provider, webhookEvent.payload);
+    webhookEvent.status = 'processed';
+    webhookEvent.transaction = transaction._id;
+    webhookEvent.processedAt = new Date();
+    webhookEvent.lastError = undefined;
+  } catch (error) {
+    webhookEvent.status = 'failed';
+    webhookEvent.lastError = error.message;
+    logger.error(`Échec du traitement du webhook ${webhookEvent.provider}/${webhookEvent.eventId}: ${error.message}`);
+  }
+
+  await webhookEvent.save();
+  return webhookEvent;
+};
+
+/**
+ * Réserve un événement pour traitement, ou signale un doublon
+ * @param {Object} data - Champs de l'événement
+ * @returns {Promise<{webhookEvent: Object, duplicate: boolean}>}
+ */
+const claimEvent = async (data) => {
+  try {
+    const webhookEvent = await WebhookEvent.create({ ...data, status: 'processing' });
+    return { webhookEvent, duplicate: false };
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+
+  // Déjà reçu : seul un événement en échec (ou bloqué en traitement) est retraité lorsque l'opérateur le renvoie
+  const retried = await WebhookEvent.findOneAndUpdate(
+    { dedupeKey: data.dedupeKey, ...retryableFilter() },
+    { $set: { status: 'processing' } },
+    { new: true }
+  );
+  if (retried) {
+    return { webhookEvent: retried, duplicate: false };
+  }
+
+  const existing = await WebhookEvent.findOne({ dedupeKey: data.dedupeKey });
+  return { webhookEvent: existing, duplicate: true };
+};
+
+/**
+ * Reçoit une notification d'opérateur
+ * @param {string} providerName - Opérateur émetteur
+ * @param {Object} request
+ * @param {string} request.rawBody - Corps brut (utilisé pour la signature)
+ * @param {Object} request.payload - Corps décodé
+ * @param {Object} request.headers - En-têtes HTTP
+ * @param {string} [request.sourceIp] - Adresse IP de l'émetteur
+ * @returns {Promise<{webhookEvent: Object, duplicate: boolean}>}
+ */
+exports.receiveWebhook = async (providerName, { rawBody, payload, headers, sourceIp }) => {
+  const provider = normalizeProviderName(providerName);
+  const adapter = getProvider(provider);
+
+  const verification = adapter.verifyWebhookSignature({
+    rawBody,
+    headers,
+    secret: getWebhookSecret(provider),
+    toleranceSeconds: config.payments.webhooks.toleranceSeconds
+  });
+
+  if (!verification.valid) {
+    // Notification non authentifiée : seules ses métadonnées sont journalisées, jamais son contenu
+    await WebhookEvent.create({
+      provider,
+      eventId: typeof rawBody === 'string' ? crypto.createHash('sha256').update(rawBody).digest('hex') : undefined,
+      status: 'rejected',
+      signatureValid: false,
+      rejectionReason: verification.reason,
+      headers: pickHeaders(headers),
+      sourceIp
+    });
+    logger.warn(`Webhook ${provider} rejeté (${sourceIp}): ${verification.reason}`);
+    throw new UnauthorizedError(`Notification rejetée: ${verification.reason}`);
+  }
+
+  let parsed = {};
+  try {
+    parsed = adapter.parseWebhook(payload || {});
+  } catch (error) {
+    logger.warn(`Webhook ${provider} illisible: ${error.message}`);
+  }
+
+  // Sans identifiant d'événement, deux livraisons identiques ont la même empreinte
+  const eventId = parsed.eventId || crypto.createHash('sha256').update(rawBody).digest('hex');
+
+  const { webhookEvent, duplicate } = await claimEvent({
+    provider,
+    eventId,
+    dedupeKey: `${provider}:${eventId}`,
+    signatureValid: true,
+    rawBody,
+    payload,
+    headers: pickHeaders(headers),
+    sourceIp,
+    reference: parsed.reference,
+    providerReference: parsed.providerReference,
+    providerStatus: parsed.providerStatus
+  });
+
+  if (duplicate) {
+    logger.info(`Webhook ${provider}/${eventId} déjà reçu (${webhookEvent.status}), ignoré`);
+    return { webhookEvent, duplicate: true };
+  }
+
+  return { webhookEvent: await processEvent(webhookEvent), duplicate: false };
+};
+
+/**
+ * Rejoue un événement authentifié dont le traitement a échoué ou n'a pas abouti
+ * @param {string} id - ID de l'événement
+ * @param {Object} [options]
+ * @param {string} [options.replayedBy] - ID de l'administrateur
+ * @returns {Promise<Object>} - Événement mis à jour
+ */
+exports.replayWebhookEvent = async (id, { replayedBy } = {}) => {
+  const existing = await WebhookEvent.findById(id);
+
+  if (!existing) {
+    throw new NotFoundError(`Événement de webhook non trouvé: ${id}`);
+  }
+  if (!existing.signatureValid) {
+    throw new BadRequestError('Une notification non authentifiée ne peut pas être rejouée');
+  }
+
+  const webhookEvent = await WebhookEvent.findOneAndUpdate(
+    { _id: id, ...retryableFilter() },
+    { $set: { status: 'processing' } },
+    { new: true }
+  );
+
+  if (!webhookEvent) {
+    if (existing.status === 'processing') {
+      throw new BadRequestError('Cet événement est en cours de traitement, réessayez plus tard');
+    }
+    throw new BadRequestError(`Impossible de rejouer un événement au statut ${existing.status}`);
+  }
+
+  await processEvent(webhookEvent);
+
+  webhookEvent.replays.push({
+    replayedBy,
+    outcome: webhookEvent.status === 'processed' ? 'processed' : 'failed',
+    error: webhookEvent.status === 'processed' ? undefined : webhookEvent.lastError
+  });
+  await webhookEvent.save();
+
+  logger.info(`Webhook ${webhookEvent.provider}/${webhookEvent.eventId} rejoué: ${webhookEvent.status}`);
+  return webhookEvent;
+};
+
+/**
+ * Liste les événements reçus
+ * @param {Object} [filters]
+ * @param {string} [filters.provider] - Opérateur
+ * @param {string} [filters.status] - Statut de traitement
+ * @param {string} [filters.reference] - Référence de transaction
+ * @param {number} [filters.page=1]
+ * @param {number} [filters.limit=20]
+ * @returns {Promise<{events: Object[], total: number}>}
+ */
+exports.listWebhookEvents = async ({ provider, status, reference, page = 1, limit = 20 } = {}) => {
+  const filter = {};
+  if (provider) filter.provider = normalizeProviderName(provider);
+  if (status) filter.status = status;
+  if (reference) filter.$or = [{ reference }, { providerReference: reference }];
+
+  const [events, total] = await Promise.all([
+    WebhookEvent.find(filter)
+      .select('-rawBody')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(parseInt(limit)),
+    WebhookEvent.countDocuments(filter)
+  ]);
+
+  return { events, total };
+};
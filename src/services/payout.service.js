@@ -0,0 +1,554 @@
+// Moteur de reversement : agrège périodiquement les commandes terminées et payées de chaque pressing,
+// déduit la commission, la TVA et les remboursements, crée les Payout et effectue le virement
+// via l'adaptateur de l'opérateur.
+
+const mongoose = require('mongoose');
+const Payout = require('../models/payout.model');
+const Order = require('../models/order.model');
+const Pressing = require('../models/pressing.model');
+const Transaction = require('../models/transaction.model');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const { BadRequestError, NotFoundError } = require('../utils/error.utils');
+const { getProvider, PAYMENT_STATUS } = require('./paymentProviders');
+const { generateReference } = require('./payment.service');
+const ledgerService = require('./ledger.service');
+const notificationService = require('./notification.service');
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Filtre des commandes pouvant être reversées
+ * @param {Date} cutoff - Date de fin au plus tard
+ * @param {string} [pressingId] - Restreindre à un pressing
+ * @returns {Object}
+ */
+const settleableOrdersFilter = (cutoff, pressingId) => ({
+  ...(pressingId && { pressing: pressingId }),
+  status: 'completed',
+  // Les commandes payées en espèces sont encaissées directement par le pressing
+  'payment.method': { $in: ['mobile_money', 'wallet'] },
+  'payment.status': { $in: ['captured', 'partially_refunded'] },
+  payout: null,
+  statusHistory: { $elemMatch: { status: 'completed', changedAt: { $lte: cutoff } } }
+});
+
+/**
+ * Date à laquelle la commande a été terminée
+ * @param {Object} order
+ * @returns {Date}
+ */
+const getCompletedAt = (order) => {
+  const entry = [...(order.statusHistory || [])].reverse().find(item => item.status === 'completed');
+  return entry ? entry.changedAt : order.updatedAt;
+};
+
+/**
+ * Montant revenant au pressing pour une commande (même répartition que le grand livre)
+ * @param {Object} order - Commande terminée
+ * @returns {Object} - Ligne de reversement
+ */
+const computeOrderSettlement = (order) => {
+  const { total, commission, vat, pressingShare } = ledgerService.getOrderSplit(order);
+  const refunded = (order.payment.refunds || []).reduce((sum, refund) => sum + refund.amount, 0);
+  // Le pressing supporte les remboursements au prorata de sa part
+  const refunds = total > 0 ? round(refunded * pressingShare / total) : 0;
+
+  return {
+    order: order._id,
+    orderNumber: order.orderNumber,
+    completedAt: getCompletedAt(order),
+    grossAmount: total,
+    commission,
+    vat,
+    refunds,
+    netAmount: round(pressingShare - refunds)
+  };
+};
+
+/**
+ * Totaux d'un ensemble de lignes de reversement
+ * @param {Object[]} lines
+ * @returns {Object}
+ */
+const summarize = (lines) => lines.reduce((breakdown, line) => ({
+  orderCount: breakdown.orderCount + 1,
+  grossAmount: round(breakdown.grossAmount + line.grossAmount),
+  commission: round(breakdown.commission + line.commission),
+  vat: round(breakdown.vat + (line.vat || 0)),
+  refunds: round(breakdown.refunds + line.refunds),
+  netAmount: round(breakdown.netAmount + line.netAmount)
+}), { orderCount: 0, grossAmount: 0, commission: 0, vat: 0, refunds: 0, netAmount: 0 });
+
+/**
+ * Coordonnées de virement d'un pressing
+ * @param {Object} pressing
+ * @returns {{paymentMethod: string, provider?: string, paymentDetails: Object}}
+ */
+const resolveDestination = (pressing) => {
+  const settings = (pressing.payoutSettings && pressing.payoutSettings.toObject
+    ? pressing.payoutSettings.toObject()
+    : pressing.payoutSettings) || {};
+
+  if (!settings.method) {
+    throw new BadRequestError('Coordonnées de reversement non renseignées');
+  }
+
+  if (settings.method === 'bank_transfer') {
+    if (!settings.accountNumber) {
+      throw new BadRequestError('Numéro de compte bancaire requis pour un virement');
+    }
+    return {
+      paymentMethod: 'bank_transfer',
+      paymentDetails: {
+        accountNumber: settings.accountNumber,
+        accountName: settings.accountName || pressing.businessName,
+        bankName: settings.bankName
+      }
+    };
+  }
+
+  const provider = settings.method === 'wave' ? 'wave' : settings.provider;
+  if (!provider) {
+    throw new BadRequestError('Opérateur Mobile Money requis pour le reversement');
+  }
+  if (!settings.phoneNumber) {
+    throw new BadRequestError('Numéro de téléphone requis pour le reversement');
+  }
+
+  return {
+    paymentMethod: settings.method,
+    provider,
+    paymentDetails: { phoneNumber: settings.phoneNumber }
+  };
+};
+
+/**
+ * Libère les commandes d'un reversement pour qu'elles soient reprises au prochain calcul
+ * @param {string} payoutId
+ */
+const releaseOrders = (payoutId) => Order.updateMany({ payout: payoutId }, { $set: { payout: null } });
+
+/**
+ * Crée le reversement d'un pressing pour ses commandes reversables
+ * @param {string} pressingId - ID du pressing
+ * @param {Object} [options]
+ * @param {Date} [options.periodEnd] - Commandes terminées jusqu'à cette date
+ * @returns {Promise<Object|null>} - Reversement créé, ou null si rien à reverser
+ */
+exports.createPayoutForPressing = async (pressingId, { periodEnd = new Date() } = {}) => {
+  const pressing = await Pressing.findById(pressingId);
+  if (!pressing) {
+    throw new NotFoundError(`Pressing non trouvé: ${pressingId}`);
+  }
+
+  const candidates = await Order.find(settleableOrdersFilter(periodEnd, pressing._id));
+  const expected = summarize(candidates.map(computeOrderSettlement));
+
+  if (expected.netAmount < config.payouts.minimumAmount) {
+    logger.info(`Reversement reporté pour ${pressing._id}: ${expected.netAmount} XOF sous le minimum`);
+    return null;
+  }
+
+  const destination = resolveDestination(pressing);
+
+  // Réservation atomique des commandes : une commande n'appartient qu'à un seul reversement
+  const payoutId = new mongoose.Types.ObjectId();
+  await Order.updateMany(
+    { _id: { $in: candidates.map(order => order._id) }, payout: null },
+    { $set: { payout: payoutId } }
+  );
+
+  try {
+    const orders = await Order.find({ payout: payoutId });
+    const lines = orders.map(computeOrderSettlement);
+    const breakdown = summarize(lines);
+
+    if (orders.length === 0 || breakdown.netAmount < config.payouts.minimumAmount) {
+      await releaseOrders(payoutId);
+      return null;
+    }
+
+    const orderIds = orders.map(order => order._id);
+    const transactions = await Transaction.find({
+      relatedTo: { $in: orderIds },
+      type: 'service',
+      status: { $in: ['completed', 'partially_refunded'] }
+    }).distinct('_id');
+
+    const previous = await Payout.findOne({ pressing: pressing._id, status: { $ne: 'cancelled' } })
+      .sort({ periodEnd: -1 });
+
+    const payout = await Payout.create({
+      _id: payoutId,
+      pressing: pressing._id,
+      amount: breakdown.netAmount,
+      currency: 'XOF',
+      status: 'pending',
+      ...destination,
+      reference: generateReference('PAY'),
+      periodStart: previous && previous.periodEnd
+        ? previous.periodEnd
+        : new Date(Math.min(...lines.map(line => new Date(line.completedAt).getTime()))),
+      periodEnd,
+      orders: lines,
+      breakdown,
+      transactions
+    });
+
+    logger.info(`Reversement ${payout.reference} créé pour ${pressing._id}: ${breakdown.netAmount} XOF (${breakdown.orderCount} commandes)`);
+    return payout;
+  } catch (error) {
+    await releaseOrders(payoutId);
+    throw error;
+  }
+};
+
+/**
+ * Finalise un reversement confirmé
+ * @param {Object} payout
+ * @param {Object} [withdrawal] - Transaction de retrait
+ */
+const completePayout = async (payout, withdrawal) => {
+  if (payout.status === 'completed') return payout;
+
+  payout.status = 'completed';
+  payout.completedAt = new Date();
+  payout.failureReason = undefined;
+  await payout.save();
+
+  if (withdrawal && withdrawal.status !== 'completed') {
+    withdrawal.status = 'completed';
+    withdrawal.processedAt = new Date();
+    await withdrawal.save();
+  }
+
+  try {
+    await ledgerService.recordPayout(payout);
+  } catch (error) {
+    logger.error(`Échec de l'écriture comptable du reversement ${payout.reference}:`, error);
+  }
+
+  notificationService.notifyPayoutStatusUpdate(payout)
+    .catch(error => logger.error(`Échec de la notification du reversement ${payout.reference}:`, error));
+
+  logger.info(`Reversement ${payout.reference} effectué`);
+  return payout;
+};
+
+/**
+ * Passe un reversement en échec (les commandes restent rattachées pour une nouvelle tentative)
+ * @param {Object} payout
+ * @param {Object} [withdrawal] - Transaction de retrait
+ * @param {string} reason - Motif
+ */
+const failPayout = async (payout, withdrawal, reason) => {
+  payout.status = 'failed';
+  payout.failedAt = new Date();
+  payout.failureReason = reason;
+  await payout.save();
+
+  if (withdrawal && withdrawal.status === 'pending') {
+    withdrawal.status = 'failed';
+    withdrawal.failureReason = reason;
+    withdrawal.processedAt = new Date();
+    await withdrawal.save();
+  }
+
+  notificationService.notifyPayoutStatusUpdate(payout)
+    .catch(error => logger.error(`Échec de la notification du reversement ${payout.reference}:`, error));
+
+  logger.warn(`Reversement ${payout.reference} en échec: ${reason}`);
+  return payout;
+};
+
+/**
+ * Répercute le statut d'une transaction de retrait sur son reversement
+ * (appelé après une notification ou une vérification auprès de l'opérateur)
+ * @param {Object} withdrawal - Transaction de retrait
+ * @returns {Promise<Object|null>} - Reversement mis à jour
+ */
+exports.syncPayoutFromWithdrawal = async (withdrawal) => {
+  const payout = await Payout.findOne({ withdrawalTransaction: withdrawal._id });
+  if (!payout || payout.status !== 'processing') return payout;
+
+  payout.providerStatus = withdrawal.providerStatus;
+
+  if (withdrawal.status === 'completed') {
+    return completePayout(payout, withdrawal);
+  }
+  if (['failed', 'cancelled', 'disputed'].includes(withdrawal.status)) {
+    return failPayout(payout, withdrawal, withdrawal.failureReason || `Statut opérateur: ${withdrawal.providerStatus}`);
+  }
+
+  await payout.save();
+  return payout;
+};
+
+/**
+ * Applique le résultat de l'opérateur à la transaction de retrait puis au reversement
+ */
+const applyPayoutResult = async (payout, withdrawal, result) => {
+  withdrawal.providerStatus = result.providerStatus;
+  withdrawal.providerData = result.raw;
+
+  if (result.status === PAYMENT_STATUS.SUCCEEDED) {
+    withdrawal.status = 'completed';
+  } else if ([PAYMENT_STATUS.FAILED, PAYMENT_STATUS.CANCELLED].includes(result.status)) {
+    withdrawal.status = 'failed';
+    withdrawal.failureReason = `Statut opérateur: ${result.providerStatus || result.status}`;
+  }
+  if (withdrawal.status !== 'pending') {
+    withdrawal.processedAt = new Date();
+  }
+  await withdrawal.save();
+
+  return exports.syncPayoutFromWithdrawal(withdrawal);
+};
+
+/**
+ * Lance le virement d'un reversement en attente
+ * @param {Object|string} payoutOrId - Reversement ou ID
+ * @returns {Promise<Object>} - Reversement mis à jour
+ */
+exports.processPayout = async (payoutOrId) => {
+  const payoutId = payoutOrId._id || payoutOrId;
+  const payout = await Payout.findOneAndUpdate(
+    { _id: payoutId, status: 'pending' },
+    { $set: { status: 'processing', processedAt: new Date() }, $inc: { attempts: 1 } },
+    { new: true }
+  );
+
+  if (!payout) {
+    throw new BadRequestError('Seul un reversement en attente peut être traité');
+  }
+
+  // Virement bancaire : effectué hors plateforme puis confirmé par un administrateur
+  if (payout.paymentMethod === 'bank_transfer') {
+    return payout;
+  }
+
+  const pressing = await Pressing.findById(payout.pressing).select('businessName');
+  const withdrawal = await Transaction.create({
+    user: { id: payout.pressing, type: 'Pressing' },
+    type: 'withdrawal',
+    status: 'pending',
+    amount: payout.amount,
+    currency: payout.currency,
+    paymentProvider: payout.provider,
+    phoneNumber: payout.paymentDetails.phoneNumber,
+    reference: `${payout.reference}-${payout.attempts}`,
+    description: `Reversement ${payout.reference}`,
+    relatedTo: payout._id,
+    relatedToModel: 'Payout'
+  });
+
+  payout.withdrawalTransaction = withdrawal._id;
+  payout.transactions.push(withdrawal._id);
+  await payout.save();
+
+  try {
+    const result = await getProvider(payout.provider).initiatePayout({
+      reference: withdrawal.reference,
+      amount: payout.amount,
+      currency: payout.currency,
+      phoneNumber: payout.paymentDetails.phoneNumber,
+      recipientName: pressing && pressing.businessName
+    });
+
+    withdrawal.providerReference = result.providerReference;
+    payout.providerReference = result.providerReference;
+    await payout.save();
+    return await applyPayoutResult(payout, withdrawal, result);
+  } catch (error) {
+    logger.error(`Échec du virement ${payout.reference}:`, error);
+    return failPayout(payout, withdrawal, error.message);
+  }
+};
+
+/**
+ * Vérifie auprès de l'opérateur les reversements en cours
+ * @returns {Promise<number>} - Nombre de reversements vérifiés
+ */
+exports.refreshProcessingPayouts = async () => {
+  const payouts = await Payout.find({
+    status: 'processing',
+    withdrawalTransaction: { $exists: true },
+    provider: { $exists: true }
+  });
+
+  for (const payout of payouts) {
+    try {
+      const withdrawal = await Transaction.findById(payout.withdrawalTransaction);
+      if (!withdrawal || !withdrawal.providerReference) continue;
+
+      const result = await getProvider(payout.provider).getPayoutStatus(withdrawal);
+      await applyPayoutResult(payout, withdrawal, result);
+    } catch (error) {
+      logger.error(`Échec de la vérification du reversement ${payout.reference}:`, error);
+    }
+  }
+
+  return payouts.length;
+};
+
+/**
+ * Calcule et lance les reversements de tous les pressings
+ * @param {Object} [options]
+ * @param {Date} [options.now] - Date de référence
+ * @returns {Promise<{created: number, skipped: number, failed: number, payouts: string[]}>}
+ */
+exports.runSettlement = async ({ now = new Date() } = {}) => {
+  const periodEnd = new Date(now.getTime() - config.payouts.holdDays * 24 * 60 * 60 * 1000);
+  const pressingIds = await Order.distinct('pressing', settleableOrdersFilter(periodEnd));
+  const summary = { created: 0, skipped: 0, failed: 0, payouts: [] };
+
+  for (const pressingId of pressingIds) {
+    try {
+      const payout = await exports.createPayoutForPressing(pressingId, { periodEnd });
+      if (!payout) {
+        summary.skipped += 1;
+        continue;
+      }
+
+      summary.created += 1;
+      summary.payouts.push(payout.reference);
+      const processed = await exports.processPayout(payout);
+      if (processed.status === 'failed') summary.failed += 1;
+    } catch (error) {
+      summary.skipped += 1;
+      logger.warn(`Reversement non créé pour le pressing ${pressingId}: ${error.message}`);
+    }
+  }
+
+  logger.info(`Calcul des reversements terminé: ${summary.created} créés, ${summary.skipped} reportés, ${summary.failed} en échec`);
+  return summary;
+};
+
+/**
+ * Relance un reversement en échec avec les coordonnées actuelles du pressing
+ * @param {string} id - ID du reversement
+ * @returns {Promise<Object>}
+ */
+exports.retryPayout = async (id) => {
+  const payout = await Payout.findById(id);
+  if (!payout) {
+    throw new NotFoundError(`Reversement non trouvé: ${id}`);
+  }
+  if (payout.status !== 'failed') {
+    throw new BadRequestError(`Impossible de relancer un reversement au statut ${payout.status}`);
+  }
+
+  const pressing = await Pressing.findById(payout.pressing);
+  Object.assign(payout, resolveDestination(pressing), { status: 'pending', failureReason: undefined });
+  await payout.save();
+
+  return exports.processPayout(payout);
+};
+
+/**
+ * Annule un reversement non effectué et libère ses commandes
+ * @param {string} id - ID du reversement
+ * @param {string} [reason] - Motif
+ * @returns {Promise<Object>}
+ */
+exports.cancelPayout = async (id, reason) => {
+  const payout = await Payout.findOneAndUpdate(
+    { _id: id, status: { $in: ['pending', 'failed'] } },
+    { $set: { status: 'cancelled', failureReason: reason } },
+    { new: true }
+  );
+
+  if (!payout) {
+    const existing = await Payout.findById(id);
+    if (!existing) throw new NotFoundError(`Reversement non trouvé: ${id}`);
+    throw new BadRequestError(`Impossible d'annuler un reversement au statut ${existing.status}`);
+  }
+
+  await releaseOrders(payout._id);
+  logger.info(`Reversement ${payout.reference} annulé`);
+  return payout;
+};
+
+/**
+ * Confirme manuellement un reversement (virement bancaire effectué hors plateforme)
+ * @param {string} id - ID du reversement
+ * @param {Object} [options]
+ * @param {string} [options.bankReference] - Référence du virement
+ * @returns {Promise<Object>}
+ */
+exports.markPayoutCompleted = async (id, { bankReference } = {}) => {
+  const payout = await Payout.findById(id);
+  if (!payout) {
+    throw new NotFoundError(`Reversement non trouvé: ${id}`);
+  }
+  if (payout.paymentMethod !== 'bank_transfer' || payout.status !== 'processing') {
+    throw new BadRequestError('Seul un virement bancaire en cours peut être confirmé manuellement');
+  }
+
+  if (bankReference) payout.providerReference = bankReference;
+  return completePayout(payout);
+};
+
+/**
+ * Liste paginée des reversements
+ * @param {Object} [filters]
+ * @returns {Promise<{payouts: Object[], total: number}>}
+ */
+exports.listPayouts = async ({ pressing, status, page = 1, limit = 20 } = {}) => {
+  const filter = {};
+  if (pressing) filter.pressing = pressing;
+  if (status) filter.status = status;
+
+  const [payouts, total] = await Promise.all([
+    Payout.find(filter)
+      .select('-orders')
+      .populate('pressing', 'businessName')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(parseInt(limit)),
+    Payout.countDocuments(filter)
+  ]);
+
+  return { payouts, total };
+};
+
+/**
+ * Relevé CSV d'un reversement
+ * @param {Object} payout
+ * @returns {string}
+ */
+exports.generateStatementCsv = (payout) => {
+  const escape = (value) => {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[";\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  const formatDate = (date) => (date ? new Date(date).toISOString().slice(0, 10) : '');
+
+  const rows = [
+    ['Commande', 'Date de fin', 'Montant brut', 'Commission', 'TVA', 'Remboursements', 'Net'],
+    ...payout.orders.map(line => [
+      line.orderNumber,
+      formatDate(line.completedAt),
+      line.grossAmount,
+      line.commission,
+      line.vat,
+      line.refunds,
+      line.netAmount
+    ]),
+    [
+      'TOTAL',
+      '',
+      payout.breakdown.grossAmount,
+      payout.breakdown.commission,
+      payout.breakdown.vat,
+      payout.breakdown.refunds,
+      payout.breakdown.netAmount
+    ]
+  ];
+
+  // Séparateur ; pour une ouverture directe dans un tableur configuré en français
+  return rows.map(row => row.map(escape).join(';')).join('\n');
+};
+
+exports.computeOrderSettlement = computeOrderSettlement;
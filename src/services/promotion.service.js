@@ -0,0 +1,447 @@
+// Moteur de promotions appliqué au passage de commande (panier, commande directe, panier multi-pressings).
+// Candidates : le code saisi par le client et les promotions automatiques (autoApply) du pressing.
+// Résolution : priorité décroissante, puis remise décroissante ; une promotion non cumulable s'applique
+// seule, les promotions cumulables s'enchaînent sur le montant restant de chaque ligne.
+// La remise est répartie ligne à ligne (items.discount) ; l'utilisation n'est décomptée qu'à la validation.
+
+const Order = require('../models/order.model');
+const Promotion = require('../models/promotion.model');
+const PromotionUsage = require('../models/promotionUsage.model');
+const logger = require('../utils/logger');
+const { BadRequestError } = require('../utils/error.utils');
+
+// Types de promotion applicables à une commande
+const ORDER_PROMOTION_TYPES = ['percentage', 'fixed_amount', 'buy_x_get_y'];
+
+const sameId = (a, b) => a != null && b != null && a.toString() === String(b);
+const includesId = (ids, id) => (ids || []).some(item => sameId(item, id));
+const sum = (values) => values.reduce((total, value) => total + value, 0);
+
+/**
+ * Motif pour lequel une promotion ne s'applique pas à une commande
+ * @param {Object} promotion - Promotion
+ * @param {Object} context
+ * @param {string} context.clientId - ID du client
+ * @param {string} context.pressingId - Pressing de la commande
+ * @param {number} context.subtotal - Sous-total des articles
+ * @param {string[]} context.serviceIds - Services de la commande
+ * @param {boolean} context.hasPastOrders - Le client a déjà passé commande
+ * @param {number} [context.customerUses=0] - Utilisations de la promotion par le client
+ * @returns {string|null} - Motif du refus, null si la promotion s'applique
+ */
+const promotionIneligibility = (promotion, { clientId, pressingId, subtotal, serviceIds = [], hasPastOrders = false, customerUses = 0 }) => {
+  if (!ORDER_PROMOTION_TYPES.includes(promotion.type)) {
+    return 'Ce code promo ne s\'applique pas aux commandes';
+  }
+  if (!promotion.isActive) {
+    return 'Ce code promo n\'est plus valide';
+  }
+
+  const target = promotion.target || {};
+  // Une promotion créée par un pressing ne vaut que chez lui et chez les pressings ciblés
+  if (promotion.createdBy && !sameId(promotion.createdBy, pressingId) && !includesId(target.pressings, pressingId)) {
+    return 'Ce code promo n\'est pas valable chez ce pressing';
+  }
+  if (target.type === 'specific_pressings' && !includesId(target.pressings, pressingId)) {
+    return 'Ce code promo n\'est pas valable chez ce pressing';
+  }
+  if (target.type === 'specific_users' && !includesId(target.users, clientId)) {
+    return 'Ce code promo ne vous est pas destiné';
+  }
+  if (target.type === 'new_users' && hasPastOrders) {
+    return 'Ce code promo est réservé à la première commande';
+  }
+  if (target.type === 'existing_users' && !hasPastOrders) {
+    return 'Ce code promo est réservé aux clients ayant déjà commandé';
+  }
+  if (promotion.services && promotion.services.length && !serviceIds.some(id => includesId(promotion.services, id))) {
+    return 'Ce code promo ne s\'applique à aucun article du panier';
+  }
+  if (promotion.minimumOrderAmount && subtotal < promotion.minimumOrderAmount) {
+    return `Montant minimum de commande pour ce code promo : ${promotion.minimumOrderAmount} XOF`;
+  }
+  if (promotion.maxUsesPerUser && customerUses >= promotion.maxUsesPerUser) {
+    return 'Vous avez atteint le nombre d\'utilisations autorisé pour ce code promo';
+  }
+  return null;
+};
+
+/**
+ * Code promo enregistré sur la commande
+ * @param {Object} promotion - Promotion
+ * @returns {Object}
+ */
+const toPromoCode = (promotion) => ({
+  code: promotion.code,
+  type: promotion.type,
+  value: promotion.value,
+  description: promotion.description,
+  promotion: promotion._id,
+  maximumDiscount: promotion.maximumDiscount
+});
+
+/**
+ * Lignes servant de base aux remises (prix des articles et de leurs options)
+ * @param {Object[]} items - Articles de la commande
+ * @returns {Object[]} - { service, quantity, amount }
+ */
+const toLines = (items) => items.map(item => ({
+  service: item.service,
+  quantity: item.quantity,
+  amount: item.unitPrice * item.quantity + sum((item.options || []).map(option => option.additionalCost || 0))
+}));
+
+/**
+ * Lignes à tarifer (feeRuleService.computeOrderPricing), nettes des remises de l'évaluation
+ * Les promotions sont évaluées avant la tarification : frais de service, commission et TVA
+ * portent sur le montant remisé.
+ * @param {Object[]} items - Articles de la commande
+ * @param {Object|null} [evaluation] - Résultat de evaluateOrder
+ * @returns {Array<{category: string, amount: number}>}
+ */
+const toPricingItems = (items, evaluation) => items.map((item, index) => ({
+  category: item.serviceDetails.category,
+  amount: Math.max(0, item.unitPrice * item.quantity - ((evaluation && evaluation.lineDiscounts[index]) || 0))
+}));
+
+/**
+ * Répartit un montant entier au prorata des poids, sans dépasser aucun poids
+ * Le reste d'arrondi est porté par les poids les plus forts.
+ * @param {number} total - Montant à répartir (au plus la somme des poids)
+ * @param {number[]} weights
+ * @returns {number[]}
+ */
+const distribute = (total, weights) => {
+  const weightTotal = sum(weights);
+  if (!(total > 0) || !(weightTotal > 0)) {
+    return weights.map(() => 0);
+  }
+
+  const shares = weights.map(weight => Math.floor(total * weight / weightTotal));
+  let rest = total - sum(shares);
+  const byWeight = weights.map((weight, index) => index).sort((a, b) => weights[b] - weights[a]);
+  for (const index of byWeight) {
+    if (rest <= 0) break;
+    if (shares[index] < weights[index]) {
+      shares[index] += 1;
+      rest -= 1;
+    }
+  }
+  return shares;
+};
+
+/**
+ * Unités offertes d'une promotion « X achetés, Y offerts »
+ * Les unités éligibles sont groupées par X + Y, de la plus chère à la moins chère :
+ * dans chaque groupe complet, les Y moins chères sont offertes.
+ * @param {Object} promotion
+ * @param {Object[]} lines
+ * @param {number[]} bases - Montant éligible de chaque ligne
+ * @returns {number[]}
+ */
+const freeUnitDiscounts = (promotion, lines, bases) => {
+  const units = [];
+  lines.forEach((line, index) => {
+    if (bases[index] <= 0) return;
+    for (let n = 0; n < line.quantity; n++) {
+      units.push({ index, price: bases[index] / line.quantity });
+    }
+  });
+  units.sort((a, b) => b.price - a.price);
+
+  const size = promotion.buyX + promotion.getY;
+  const free = lines.map(() => 0);
+  for (let start = 0; start + size <= units.length; start += size) {
+    units.slice(start + promotion.buyX, start + size).forEach(unit => {
+      free[unit.index] += unit.price;
+    });
+  }
+  return free.map((amount, index) => Math.min(bases[index], Math.round(amount)));
+};
+
+/**
+ * Remise d'une promotion, ligne à ligne, sur le montant restant de chaque ligne
+ * @param {Object} promotion - Promotion
+ * @param {Object[]} lines - Lignes ({ service, quantity, amount })
+ * @returns {number[]} - Remise par ligne (XOF)
+ */
+const computeDiscount = (promotion, lines) => {
+  const restricted = promotion.services && promotion.services.length;
+  const bases = lines.map(line => (!restricted || includesId(promotion.services, line.service) ? Math.max(0, line.amount) : 0));
+
+  let amounts;
+  if (promotion.type === 'percentage') {
+    amounts = bases.map(base => Math.min(base, Math.round(base * promotion.value / 100)));
+  } else if (promotion.type === 'fixed_amount') {
+    amounts = distribute(Math.min(Math.round(promotion.value), sum(bases)), bases);
+  } else if (promotion.type === 'buy_x_get_y') {
+    amounts = freeUnitDiscounts(promotion, lines, bases);
+  } else {
+    amounts = bases.map(() => 0);
+  }
+
+  if (promotion.maximumDiscount && sum(amounts) > promotion.maximumDiscount) {
+    amounts = distribute(Math.round(promotion.maximumDiscount), amounts);
+  }
+  return amounts;
+};
+
+/**
+ * Retient les promotions à appliquer parmi les candidates éligibles
+ * @param {Object[]} candidates - [{ promotion, fromCode }]
+ * @param {Object[]} lines - Lignes de la commande
+ * @returns {Object} - { applied: [{ promotion, fromCode, amounts, amount }], excluded: [{ promotion, fromCode, reason }],
+ *                      lineDiscounts, discount }
+ */
+const resolvePromotions = (candidates, lines) => {
+  const ranked = candidates
+    .map(candidate => ({ ...candidate, gross: sum(computeDiscount(candidate.promotion, lines)) }))
+    .sort((a, b) => (b.promotion.priority || 0) - (a.promotion.priority || 0) || b.gross - a.gross);
+
+  const remaining = lines.map(line => ({ ...line }));
+  const lineDiscounts = lines.map(() => 0);
+  const applied = [];
+  const excluded = [];
+
+  ranked.forEach(({ promotion, fromCode }) => {
+    if (applied.length && !(promotion.stackable && applied[0].promotion.stackable)) {
+      excluded.push({
+        promotion,
+        fromCode,
+        reason: `Ce code promo n'est pas cumulable avec la promotion « ${applied[0].promotion.name} »`
+      });
+      return;
+    }
+
+    const amounts = computeDiscount(promotion, remaining);
+    const amount = sum(amounts);
+    if (!amount) {
+      excluded.push({ promotion, fromCode, reason: 'Ce code promo ne donne droit à aucune remise sur cette commande' });
+      return;
+    }
+
+    amounts.forEach((value, index) => {
+      remaining[index].amount -= value;
+      lineDiscounts[index] += value;
+    });
+    applied.push({ promotion, fromCode, amounts, amount });
+  });
+
+  return { applied, excluded, lineDiscounts, discount: sum(lineDiscounts) };
+};
+
+/**
+ * Évalue les promotions d'une commande : code saisi et promotions automatiques de son pressing
+ * @param {Object} order - Commande ou panier (customer, pressing, items)
+ * @param {Object} [options]
+ * @param {string} [options.code] - Code promo saisi
+ * @returns {Promise<Object>} - resolvePromotions, plus codeRejection (motif du refus du code, le cas échéant)
+ */
+const evaluateOrder = async (order, { code } = {}) => {
+  const normalizedCode = code ? String(code).trim().toUpperCase() : null;
+  const now = new Date();
+
+  const [automatic, codePromotion, hasPastOrders] = await Promise.all([
+    Promotion.find({
+      autoApply: true,
+      status: 'active',
+      type: { $in: ORDER_PROMOTION_TYPES },
+      validFrom: { $lte: now },
+      $and: [
+        { $or: [{ validUntil: null }, { validUntil: { $gte: now } }] },
+        { $or: [{ createdBy: order.pressing }, { 'target.pressings': order.pressing }] }
+      ]
+    }),
+    normalizedCode ? Promotion.findOne({ code: normalizedCode }) : null,
+    Order.exists({ customer: order.customer, status: { $nin: ['draft', 'cancelled'] } })
+  ]);
+
+  const promotions = automatic.filter(promotion => !codePromotion || !sameId(promotion._id, codePromotion._id));
+  if (codePromotion) promotions.unshift(codePromotion);
+
+  const limited = promotions.filter(promotion => promotion.maxUsesPerUser).map(promotion => promotion._id);
+  const usages = limited.length
+    ? await PromotionUsage.find({ customer: order.customer, promotion: { $in: limited } }).lean()
+    : [];
+
+  const lines = toLines(order.items);
+  const context = {
+    clientId: order.customer,
+    pressingId: order.pressing,
+    subtotal: sum(lines.map(line => line.amount)),
+    serviceIds: lines.map(line => line.service),
+    hasPastOrders: !!hasPastOrders
+  };
+  const customerUses = (promotion) => {
+    const usage = usages.find(entry => sameId(entry.promotion, promotion._id));
+    return usage ? usage.count : 0;
+  };
+
+  let codeRejection = normalizedCode && !codePromotion ? 'Code promo invalide' : null;
+  const candidates = [];
+  promotions.forEach(promotion => {
+    const fromCode = promotion === codePromotion;
+    const reason = promotionIneligibility(promotion, { ...context, customerUses: customerUses(promotion) });
+    if (!reason) {
+      candidates.push({ promotion, fromCode });
+    } else if (fromCode) {
+      codeRejection = reason;
+    }
+  });
+
+  const result = resolvePromotions(candidates, lines);
+  const excludedCode = result.excluded.find(entry => entry.fromCode);
+  return { ...result, codeRejection: codeRejection || (excludedCode ? excludedCode.reason : null) };
+};
+
+/**
+ * Promotions retenues, au format enregistré sur la commande
+ * @param {Object} evaluation - Résultat de evaluateOrder
+ * @returns {Object[]}
+ */
+const toAppliedPromotions = (evaluation) => evaluation.applied.map(({ promotion, fromCode, amount }) => ({
+  promotion: promotion._id,
+  code: fromCode ? promotion.code : undefined,
+  name: promotion.name,
+  type: promotion.type,
+  autoApplied: !fromCode,
+  amount
+}));
+
+/**
+ * Reporte l'évaluation sur la commande : remise par ligne, promotions retenues et code promo
+ * Les totaux sont ensuite recalculés par order.calculateTotals().
+ * @param {Object} order - Commande ou panier
+ * @param {Object} evaluation - Résultat de evaluateOrder
+ */
+const applyToOrder = (order, evaluation) => {
+  order.items.forEach((item, index) => {
+    const amount = evaluation.lineDiscounts[index] || 0;
+    const sources = evaluation.applied.filter(entry => entry.amounts[index] > 0);
+    const percentage = sources.length === 1 && sources[0].promotion.type === 'percentage';
+
+    item.discount = amount ? {
+      type: percentage ? 'percentage' : 'fixed',
+      value: percentage ? sources[0].promotion.value : amount,
+      amount,
+      code: sources.filter(entry => entry.fromCode).map(entry => entry.promotion.code)[0],
+      description: sources.map(entry => entry.promotion.name).join(' + ')
+    } : { type: null, value: 0, amount: 0 };
+  });
+
+  order.promotions = toAppliedPromotions(evaluation);
+  const fromCode = evaluation.applied.find(entry => entry.fromCode);
+  order.promoCode = fromCode ? toPromoCode(fromCode.promotion) : undefined;
+};
+
+/**
+ * Rend une utilisation d'une promotion (client et compteur global)
+ * @param {string} promotionId
+ * @param {string} customerId
+ */
+const releaseUsage = (promotionId, customerId) => Promise.all([
+  Promotion.updateOne({ _id: promotionId, currentUses: { $gt: 0 } }, { $inc: { currentUses: -1 } }),
+  PromotionUsage.updateOne({ promotion: promotionId, customer: customerId, count: { $gt: 0 } }, { $inc: { count: -1 } })
+]);
+
+/**
+ * Décompte une utilisation : limite par client puis nombre maximal d'utilisations, chacun sous condition
+ * @param {Object} entry - Promotion appliquée (order.promotions)
+ * @param {string} customerId
+ */
+const redeemOne = async (entry, customerId) => {
+  const promotion = await Promotion.findById(entry.promotion).select('name maxUsesPerUser');
+  if (!promotion) {
+    throw new BadRequestError(`La promotion ${entry.name} n'existe plus`);
+  }
+
+  if (promotion.maxUsesPerUser) {
+    try {
+      await PromotionUsage.findOneAndUpdate(
+        { promotion: promotion._id, customer: customerId, count: { $lt: promotion.maxUsesPerUser } },
+        { $inc: { count: 1 } },
+        { upsert: true }
+      );
+    } catch (error) {
+      // Limite atteinte : le compteur existe déjà mais ne satisfait pas la condition, l'insertion est refusée
+      if (error.code === 11000) {
+        throw new BadRequestError(`Vous avez atteint le nombre d'utilisations autorisé pour la promotion ${promotion.name}`);
+      }
+      throw error;
+    }
+  }
+
+  const counted = await Promotion.findOneAndUpdate(
+    {
+      _id: promotion._id,
+      $or: [{ maxUses: null }, { $expr: { $lt: ['$currentUses', '$maxUses'] } }]
+    },
+    { $inc: { currentUses: 1 } }
+  );
+  if (!counted) {
+    if (promotion.maxUsesPerUser) {
+      await PromotionUsage.updateOne({ promotion: promotion._id, customer: customerId, count: { $gt: 0 } }, { $inc: { count: -1 } });
+    }
+    throw new BadRequestError(`La promotion ${promotion.name} a atteint son nombre maximal d'utilisations`);
+  }
+};
+
+/**
+ * Décompte l'utilisation des promotions retenues sur la commande (à enregistrer ensuite)
+ * Tout ou rien : si une promotion n'est plus disponible, les utilisations déjà décomptées sont rendues.
+ * @param {Object} order - Commande
+ */
+const redeemPromotions = async (order) => {
+  const pending = (order.promotions || []).filter(entry => !entry.redeemed);
+  const redeemed = [];
+  try {
+    for (const entry of pending) {
+      await redeemOne(entry, order.customer);
+      redeemed.push(entry);
+    }
+  } catch (error) {
+    await Promise.all(redeemed.map(entry => releaseUsage(entry.promotion, order.customer)));
+    throw error;
+  }
+  pending.forEach(entry => {
+    entry.redeemed = true;
+  });
+};
+
+/**
+ * Rend les utilisations décomptées d'une commande (annulation, échec d'enregistrement)
+ * Une commande enregistrée est marquée de façon atomique : un second appel est sans effet.
+ * @param {Object} order - Commande
+ */
+const releasePromotions = async (order) => {
+  const redeemed = (order.promotions || []).filter(entry => entry.redeemed);
+  if (!redeemed.length) return;
+
+  if (!order.isNew) {
+    const result = await Order.updateOne(
+      { _id: order._id, 'promotions.redeemed': true },
+      { $set: { 'promotions.$[].redeemed': false } }
+    );
+    if (!result.modifiedCount) return;
+  }
+
+  await Promise.all(redeemed.map(entry => releaseUsage(entry.promotion, order.customer)));
+  redeemed.forEach(entry => {
+    entry.redeemed = false;
+  });
+  logger.info(`Utilisation de ${redeemed.length} promotion(s) rendue pour la commande ${order.orderNumber || order._id}`);
+};
+
+exports.ORDER_PROMOTION_TYPES = ORDER_PROMOTION_TYPES;
+exports.promotionIneligibility = promotionIneligibility;
+exports.toPromoCode = toPromoCode;
+exports.toLines = toLines;
+exports.toPricingItems = toPricingItems;
+exports.distribute = distribute;
+exports.computeDiscount = computeDiscount;
+exports.resolvePromotions = resolvePromotions;
+exports.evaluateOrder = evaluateOrder;
+exports.toAppliedPromotions = toAppliedPromotions;
+exports.applyToOrder = applyToOrder;
+exports.redeemPromotions = redeemPromotions;
+exports.releasePromotions = releasePromotions;
@@ -0,0 +1,358 @@
+// Commandes sur devis : le client réserve une collecte avec des articles estimés, le pressing
+// chiffre les articles après inspection, puis le client accepte ou refuse le devis avant paiement.
+// Les devis successifs sont conservés dans order.quote.history.
+
+const Order = require('../models/order.model');
+const Pressing = require('../models/pressing.model');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const { BadRequestError, NotFoundError, ForbiddenError } = require('../utils/error.utils');
+const feeRuleService = require('./feeRule.service');
+const notificationService = require('./notification.service');
+const orderStatusService = require('./orderStatus.service');
+const { ORDER_STATUS } = require('../config/orderStatus');
+
+// Statuts de la commande pendant lesquels le pressing peut émettre un devis
+const QUOTABLE_ORDER_STATUSES = [ORDER_STATUS.PENDING, ORDER_STATUS.ON_HOLD];
+
+/**
+ * Charge une commande sur devis accessible à l'utilisateur
+ * @param {string} orderId - ID de la commande
+ * @param {Object} user - Utilisateur ({ id, role })
+ * @returns {Promise<Object>}
+ */
+const findQuoteOrder = async (orderId, user) => {
+  const order = await Order.findById(orderId);
+  const allowed = order && (
+    user.role === 'admin' ||
+    (user.role === 'client' && order.customer.toString() === user.id.toString()) ||
+    (user.role === 'pressing' && order.pressing.toString() === user.id.toString())
+  );
+  if (!allowed) {
+    throw new NotFoundError('Commande non trouvée');
+  }
+  if (order.pricingMode !== 'quote') {
+    throw new BadRequestError('Cette commande n\'est pas soumise à devis');
+  }
+  return order;
+};
+
+/**
+ * Devis en cours (le plus récent)
+ * @param {Object} order - Commande
+ * @returns {Object|null}
+ */
+const currentQuote = (order) => {
+  const history = (order.quote && order.quote.history) || [];
+  return history.length ? history[history.length - 1] : null;
+};
+
+/**
+ * Vérifie que le devis en cours attend la réponse du client
+ * @param {Object} order - Commande
+ * @returns {Object} - Devis en cours
+ */
+const assertAwaitingResponse = (order) => {
+  const quote = currentQuote(order);
+  if (!quote || quote.status !== 'issued') {
+    throw new BadRequestError('Aucun devis en attente de réponse pour cette commande');
+  }
+  return quote;
+};
+
+/**
+ * Construit les lignes d'un devis à partir des articles de la commande et des ajustements du pressing
+ * Les articles non ajustés reprennent leur prix estimé ; une quantité à 0 retire l'article.
+ * @param {Object} order - Commande
+ * @param {Object} pressing - Pressing (catalogue des services pour les articles ajoutés)
+ * @param {Object} params
+ * @param {Object[]} [params.lines] - Ajustements ({ item, unitPrice, quantity, reason })
+ * @param {Object[]} [params.extraLines] - Articles ajoutés à l'inspection ({ serviceId, unitPrice, quantity, reason })
+ * @returns {Object[]} - Lignes du devis
+ */
+const buildQuoteLines = (order, pressing, { lines = [], extraLines = [] }) => {
+  const adjustments = new Map();
+  lines.forEach(line => {
+    if (!order.items.id(line.item)) {
+      throw new NotFoundError(`Article non trouvé dans la commande: ${line.item}`);
+    }
+    adjustments.set(line.item.toString(), line);
+  });
+
+  const quoteLines = order.items
+    .filter(item => !['cancelled', 'refunded'].includes(item.status))
+    .map(item => {
+      const adjustment = adjustments.get(item._id.toString()) || {};
+      return {
+        item: item._id,
+        service: item.service,
+        name: item.serviceDetails.name,
+        category: item.serviceDetails.category,
+        quantity: adjustment.quantity !== undefined ? Number(adjustment.quantity) : item.quantity,
+        estimatedUnitPrice: item.unitPrice,
+        unitPrice: adjustment.unitPrice !== undefined ? Number(adjustment.unitPrice) : item.unitPrice,
+        adjustmentReason: adjustment.reason
+      };
+    });
+
+  extraLines.forEach(line => {
+    const service = (pressing.services || []).find(s => s._id.toString() === String(line.serviceId));
+    if (!service) {
+      throw new NotFoundError(`Service non trouvé dans le catalogue du pressing: ${line.serviceId}`);
+    }
+    quoteLines.push({
+      service: service._id,
+      name: service.name,
+      category: service.category,
+      quantity: line.quantity !== undefined ? Number(line.quantity) : 1,
+      estimatedUnitPrice: 0,
+      unitPrice: line.unitPrice !== undefined ? Number(line.unitPrice) : service.price,
+      adjustmentReason: line.reason || 'Article ajouté à l\'inspection'
+    });
+  });
+
+  quoteLines.forEach(line => {
+    if (!Number.isFinite(line.unitPrice) || line.unitPrice < 0) {
+      throw new BadRequestError(`Prix invalide pour ${line.name}`);
+    }
+    if (!Number.isInteger(line.quantity) || line.quantity < 0) {
+      throw new BadRequestError(`Quantité invalide pour ${line.name}`);
+    }
+  });
+  if (!quoteLines.some(line => line.quantity > 0)) {
+    throw new BadRequestError('Le devis doit comporter au moins un article');
+  }
+
+  return quoteLines;
+};
+
+/**
+ * Prévient le client et le pressing d'un événement sur le devis (sans bloquer l'opération)
+ */
+const notifyQuote = async (order, event, actor) => {
+  try {
+    await notificationService.notifyQuoteUpdate(order, { event, actor });
+  } catch (error) {
+    logger.error(`Erreur lors de la notification du devis de la commande ${order._id}:`, error);
+  }
+};
+
+/**
+ * Passe le devis en cours à expiré
+ * @param {Object} order - Commande
+ * @param {Object} quote - Devis en cours
+ */
+const expireQuote = (order, quote) => {
+  quote.status = 'expired';
+  order.quote.status = 'expired';
+};
+
+/**
+ * Émet un devis (ou un devis révisé, qui remplace le précédent)
+ * @param {string} orderId - ID de la commande
+ * @param {Object} user - Pressing ou administrateur ({ id, role })
+ * @param {Object} params
+ * @param {Object[]} [params.lines] - Ajustements des articles de la commande
+ * @param {Object[]} [params.extraLines] - Articles ajoutés à l'inspection
+ * @param {string} [params.notes] - Commentaire pour le client
+ * @param {number} [params.validityHours] - Durée de validité (QUOTE_VALIDITY_HOURS par défaut)
+ * @returns {Promise<Object>} - Commande à jour
+ */
+exports.issueQuote = async (orderId, user, { lines, extraLines, notes, validityHours } = {}) => {
+  const order = await findQuoteOrder(orderId, user);
+  if (user.role === 'client') {
+    throw new ForbiddenError('Seul le pressing peut émettre un devis');
+  }
+  if (!QUOTABLE_ORDER_STATUSES.includes(order.status)) {
+    throw new BadRequestError(`Impossible d'émettre un devis pour une commande au statut ${order.status}`);
+  }
+  if (order.quote.status === 'accepted') {
+    throw new BadRequestError('Le devis de cette commande a déjà été accepté');
+  }
+
+  const hours = validityHours !== undefined ? Number(validityHours) : config.quotes.validityHours;
+  if (!Number.isFinite(hours) || hours <= 0) {
+    throw new BadRequestError('Durée de validité invalide');
+  }
+
+  const pressing = await Pressing.findById(order.pressing);
+  if (!pressing) {
+    throw new NotFoundError('Pressing non trouvé');
+  }
+  const quoteLines = buildQuoteLines(order, pressing, { lines, extraLines });
+  const billed = quoteLines.filter(line => line.quantity > 0);
+  const pricing = await feeRuleService.computeOrderPricing({
+    pressing,
+    items: billed.map(line => ({ category: line.category, amount: line.unitPrice * line.quantity })),
+    deliveryFee: order.payment.amount.delivery || 0
+  });
+
+  const previous = currentQuote(order);
+  if (previous && previous.status === 'issued') {
+    previous.status = 'superseded';
+  }
+
+  const version = order.quote.history.length + 1;
+  const now = new Date();
+  order.quote.history.push({
+    reference: `${order.orderNumber}-D${version}`,
+    version,
+    lines: quoteLines,
+    subtotal: pricing.subtotal,
+    total: pricing.total,
+    currency: pricing.currency,
+    pricing,
+    notes,
+    validUntil: new Date(now.getTime() + hours * 60 * 60 * 1000),
+    issuedAt: now,
+    issuedBy: { id: user.id.toString(), role: user.role }
+  });
+  order.quote.status = 'quoted';
+  await order.save();
+
+  logger.info(`Devis ${currentQuote(order).reference} émis (${pricing.total} ${pricing.currency})`);
+  await notifyQuote(order, 'issued', user.role);
+  return order;
+};
+
+/**
+ * Accepte le devis en cours : les articles, les frais et le montant à payer de la commande sont mis à jour
+ * @param {string} orderId - ID de la commande
+ * @param {Object} user - Client de la commande ({ id, role })
+ * @returns {Promise<Object>} - Commande à jour
+ */
+exports.acceptQuote = async (orderId, user) => {
+  const order = await findQuoteOrder(orderId, user);
+  if (user.role !== 'client') {
+    throw new ForbiddenError('Seul le client peut accepter le devis');
+  }
+  const quote = assertAwaitingResponse(order);
+
+  if (quote.validUntil <= new Date()) {
+    expireQuote(order, quote);
+    await order.save();
+    throw new BadRequestError('Ce devis a expiré, un nouveau devis doit être émis par le pressing');
+  }
+
+  quote.lines.forEach(line => {
+    const item = line.item && order.items.id(line.item);
+    if (item && line.quantity === 0) {
+      item.deleteOne();
+    } else if (item) {
+      item.quantity = line.quantity;
+      item.unitPrice = line.unitPrice;
+    } else if (line.quantity > 0) {
+      order.items.push({
+        service: line.service,
+        pressing: order.pressing,
+        serviceDetails: { name: line.name, price: line.unitPrice, category: line.category },
+        quantity: line.quantity,
+        unitPrice: line.unitPrice,
+        specialInstructions: line.adjustmentReason,
+        metadata: { addedOnInspection: true, quote: quote.reference }
+      });
+    }
+  });
+
+  const pricing = quote.pricing.toObject();
+  order.pricing = pricing;
+  // Les frais de livraison ne changent pas avec le devis : leur détail est conservé
+  order.fees = feeRuleService.toOrderFees(pricing, order.fees.filter(fee => fee.type === 'delivery'));
+  order.payment.amount.subtotal = pricing.subtotal;
+  order.payment.amount.tax = pricing.vat;
+  order.payment.amount.total = quote.total;
+
+  quote.status = 'accepted';
+  quote.respondedAt = new Date();
+  order.quote.status = 'accepted';
+  await order.save();
+
+  logger.info(`Devis ${quote.reference} accepté par le client`);
+  await notifyQuote(order, 'accepted', user.role);
+  return order;
+};
+
+/**
+ * Refuse le devis en cours ; le pressing peut émettre un devis révisé, sauf si le client annule la commande
+ * @param {string} orderId - ID de la commande
+ * @param {Object} user - Client de la commande ({ id, role })
+ * @param {Object} params
+ * @param {string} [params.reason] - Motif du refus
+ * @param {boolean} [params.cancelOrder=false] - Annuler la commande
+ * @returns {Promise<Object>} - Commande à jour
+ */
+exports.rejectQuote = async (orderId, user, { reason, cancelOrder = false } = {}) => {
+  const order = await findQuoteOrder(orderId, user);
+  if (user.role !== 'client') {
+    throw new ForbiddenError('Seul le client peut refuser le devis');
+  }
+  const quote = assertAwaitingResponse(order);
+
+  quote.status = 'rejected';
+  quote.respondedAt = new Date();
+  quote.rejectionReason = reason;
+  order.quote.status = 'rejected';
+  await order.save();
+
+  logger.info(`Devis ${quote.reference} refusé par le client`);
+  await notifyQuote(order, 'rejected', user.role);
+
+  if (cancelOrder) {
+    await orderStatusService.transitionOrder(order, ORDER_STATUS.CANCELLED, {
+      actor: 'customer',
+      actorId: user.id,
+      notes: `Devis ${quote.reference} refusé${reason ? ` : ${reason}` : ''}`
+    });
+  }
+  return order;
+};
+
+/**
+ * Devis d'une commande
+ * @param {string} orderId - ID de la commande
+ * @param {Object} user - Utilisateur ({ id, role })
+ * @returns {Promise<{status: string, current: Object|null, history: Object[]}>}
+ */
+exports.getQuotes = async (orderId, user) => {
+  const order = await findQuoteOrder(orderId, user);
+  return {
+    status: order.quote.status,
+    current: currentQuote(order),
+    history: order.quote.history
+  };
+};
+
+/**
+ * Expire les devis restés sans réponse au-delà de leur date de validité
+ * @param {Date} [now]
+ * @returns {Promise<number>} - Nombre de devis expirés
+ */
+exports.expireQuotes = async (now = new Date()) => {
+  const orders = await Order.find({
+    'quote.status': 'quoted',
+    'quote.history': { $elemMatch: { status: 'issued', validUntil: { $lte: now } } }
+  });
+
+  let expired = 0;
+  for (const order of orders) {
+    const quote = currentQuote(order);
+    if (!quote || quote.status !== 'issued' || quote.validUntil > now) continue;
+
+    try {
+      expireQuote(order, quote);
+      await order.save();
+      expired += 1;
+      await notifyQuote(order, 'expired', 'system');
+    } catch (error) {
+      logger.error(`Erreur lors de l'expiration du devis ${quote.reference}:`, error);
+    }
+  }
+
+  if (expired) {
+    logger.info(`${expired} devis expiré(s)`);
+  }
+  return expired;
+};
+
+exports.buildQuoteLines = buildQuoteLines;
+exports.currentQuote = currentQuote;
@@ -15,6 +15,7 @@ class RealtimeService {
     this.clients = new Map(); // Map<userId, WebSocket>
     this.pressingClients = new Map(); // Map<pressingId, WebSocket>
     this.adminClients = new Set(); // Set<WebSocket>
+    this.riderClients = new Map(); // Map<riderId, WebSocket>
     this.heartbeatInterval = null;
   }
 
@@ -43,7 +44,7 @@ class RealtimeService {
       const token = new URL(info.req.url, 'http://localhost').searchParams.get('token');
       if (!token) return false;
 
-      const decoded = jwt.verify(token, config.JWT_SECRET);
+      const decoded = jwt.verify(token, config.jwt.secret);
       info.req.user = decoded;
       return true;
     } catch (error) {
@@ -96,6 +97,9 @@ class RealtimeService {
       case 'admin':
         this.adminClients.add(ws);
         break;
+      case 'rider':
+        this.riderClients.set(user.id, ws);
+        break;
       case 'client':
       default:
         this.clients.set(user.id, ws);
@@ -123,6 +127,10 @@ class RealtimeService {
         case 'subscribe_order_updates':
           ws.subscribedOrders = message.orderIds || [];
           break;
+
+        case 'rider_location':
+          this.handleRiderLocation(ws, user, message.position);
+          break;
           
         default:
           logger.warn('❓ Type de message WebSocket inconnu:', message.type);
@@ -146,6 +154,9 @@ class RealtimeService {
       case 'admin':
         this.adminClients.delete(ws);
         break;
+      case 'rider':
+        this.riderClients.delete(user.id);
+        break;
       case 'client':
       default:
         this.clients.delete(user.id);
@@ -153,6 +164,38 @@ class RealtimeService {
     }
   }
 
+  /**
+   * Position GPS publiée par un livreur : enregistrée sur ses courses en cours puis diffusée
+   */
+  async handleRiderLocation(ws, user, position) {
+    try {
+      // Chargement différé : le service de suivi diffuse lui-même via ce service
+      const riderTrackingService = require('./riderTracking.service');
+      const { jobs } = await riderTrackingService.recordPosition(user, position);
+      this.sendToClient(ws, { type: 'rider_location_ack', data: { jobs } });
+    } catch (error) {
+      logger.error('❌ Erreur enregistrement position livreur:', error.message);
+      this.sendToClient(ws, { type: 'rider_location_error', data: { message: error.message } });
+    }
+  }
+
+  /**
+   * Diffuser un message aux participants d'une commande : client, pressing,
+   * et administrateurs abonnés à la commande (subscribe_order_updates)
+   * @param {Object} order - Commande ({ _id, customer, pressing })
+   * @param {Object} message - Message à envoyer
+   */
+  notifyOrderParticipants(order, message) {
+    const orderId = order._id.toString();
+    const recipients = [
+      this.clients.get(order.customer.toString()),
+      this.pressingClients.get(order.pressing.toString()),
+      ...[...this.adminClients].filter(ws => (ws.subscribedOrders || []).map(String).includes(orderId))
+    ];
+
+    recipients.filter(Boolean).forEach(ws => this.sendToClient(ws, message));
+  }
+
   /**
    * Envoyer un message à un client spécifique
    */
@@ -395,6 +438,7 @@ class RealtimeService {
       clientConnections: this.clients.size,
       pressingConnections: this.pressingClients.size,
       adminConnections: this.adminClients.size,
+      riderConnections: this.riderClients.size,
       uptime: process.uptime()
     };
   }
@@ -0,0 +1,667 @@
+// Demandes de remboursement : contrôle des montants, circuit d'approbation et exécution.
+// Les fonds sont restitués par payment.service, sur le moyen de paiement d'origine ou sur
+// le porte-monnaie du client ; la demande est soldée à la confirmation des remboursements.
+
+const RefundRequest = require('../models/refundRequest.model');
+const Order = require('../models/order.model');
+const Transaction = require('../models/transaction.model');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const { BadRequestError, NotFoundError, ForbiddenError } = require('../utils/error.utils');
+const { getProvider } = require('./paymentProviders');
+const paymentService = require('./payment.service');
+const notificationService = require('./notification.service');
+const { getRefundableAmount, isSettledByProvider } = require('./orderStatus.service');
+
+// Demandes qui réservent une partie du montant remboursable
+const ACTIVE_STATUSES = ['pending_approval', 'approved', 'processing'];
+
+// Acteur des transitions de commande -> rôle du demandeur
+const ROLES_BY_ACTOR = {
+  customer: 'client',
+  pressing: 'pressing',
+  admin: 'admin',
+  system: 'system'
+};
+
+// processedBy des remboursements n'accepte que system, admin ou pressing
+const refundProcessor = (role) => (['admin', 'pressing'].includes(role) ? role : 'system');
+
+/**
+ * Montant facturé pour une ligne de commande (options comprises)
+ * @param {Object} item - Article de la commande
+ * @returns {number}
+ */
+const lineAmount = (item) => item.unitPrice * item.quantity +
+  (item.options || []).reduce((sum, option) => sum + (option.additionalCost || 0), 0);
+
+/**
+ * Montant remboursé pour une partie d'un article : frais et TVA inclus au prorata, livraison exclue
+ * @param {Object} order - Commande
+ * @param {Object} item - Article de la commande
+ * @param {number} quantity - Quantité remboursée
+ * @returns {number}
+ */
+const computeItemRefundAmount = (order, item, quantity) => {
+  const { subtotal, total, delivery = 0 } = order.payment.amount;
+  if (!subtotal) return 0;
+  const share = lineAmount(item) * quantity / item.quantity;
+  return Math.round((total - delivery) * share / subtotal);
+};
+
+/**
+ * Détermine qui doit approuver une demande
+ * Administration : au-delà du seuil ; pressing : demande d'un client sous le seuil.
+ * Les demandes de l'administration, et celles d'un pressing sous le seuil, sont approuvées d'office.
+ * @param {number} amount - Montant demandé
+ * @param {string} role - Rôle du demandeur
+ * @returns {{requiresApproval: boolean, approvalLevel?: string}}
+ */
+const resolveApproval = (amount, role) => {
+  if (['admin', 'system'].includes(role)) return { requiresApproval: false };
+  if (amount > config.refunds.adminApprovalThreshold) {
+    return { requiresApproval: true, approvalLevel: 'admin' };
+  }
+  if (role === 'pressing') return { requiresApproval: false };
+  return { requiresApproval: true, approvalLevel: 'pressing' };
+};
+
+/**
+ * Calcule le montant et les lignes d'une demande en tenant compte des demandes en cours
+ * @param {Object} order - Commande
+ * @param {Object} params
+ * @param {string} params.type - full, partial ou items
+ * @param {number} [params.amount] - Montant (partial)
+ * @param {Object[]} [params.items] - Articles ({ item, quantity }) (items)
+ * @param {Object[]} [activeRequests] - Demandes non soldées de la commande
+ * @returns {{amount: number, items: Object[]}}
+ */
+const buildRefundLines = (order, { type, amount, items = [] }, activeRequests = []) => {
+  const reserved = activeRequests.reduce((sum, request) => sum + request.amount, 0);
+  const available = Math.max(0, getRefundableAmount(order) - reserved);
+  if (!(available > 0)) {
+    throw new BadRequestError('Aucun montant restant à rembourser sur cette commande');
+  }
+
+  if (type === 'full') {
+    return { amount: available, items: [] };
+  }
+
+  if (type === 'partial') {
+    const value = Math.round(Number(amount));
+    if (!(value > 0) || value > available) {
+      throw new BadRequestError(`Montant de remboursement invalide (maximum ${available} ${order.payment.amount.currency || 'XOF'})`);
+    }
+    return { amount: value, items: [] };
+  }
+
+  if (type === 'items') {
+    if (!Array.isArray(items) || !items.length) {
+      throw new BadRequestError('Au moins un article doit être indiqué');
+    }
+    const itemIds = items.map(line => String(line.item));
+    if (new Set(itemIds).size !== itemIds.length) {
+      throw new BadRequestError('Un article ne peut figurer qu\'une fois dans la demande');
+    }
+
+    const pendingQuantities = activeRequests
+      .flatMap(request => request.items || [])
+      .reduce((quantities, line) => {
+        const key = line.item.toString();
+        quantities[key] = (quantities[key] || 0) + line.quantity;
+        return quantities;
+      }, {});
+
+    const lines = items.map(({ item: itemId, quantity = 1 }) => {
+      const item = order.items.id(itemId);
+      if (!item) {
+        throw new NotFoundError(`Article non trouvé dans la commande: ${itemId}`);
+      }
+
+      const remaining = item.quantity - (item.refundedQuantity || 0) - (pendingQuantities[item._id.toString()] || 0);
+      const value = parseInt(quantity, 10);
+      if (!(value >= 1) || value > remaining) {
+        throw new BadRequestError(`Quantité invalide pour ${item.serviceDetails.name} (maximum ${Math.max(0, remaining)})`);
+      }
+
+      return {
+        item: item._id,
+        name: item.serviceDetails.name,
+        quantity: value,
+        unitPrice: item.unitPrice,
+        amount: computeItemRefundAmount(order, item, value)
+      };
+    });
+
+    // Les arrondis ne doivent pas dépasser le solde remboursable
+    const total = Math.min(available, lines.reduce((sum, line) => sum + line.amount, 0));
+    if (!(total > 0)) {
+      throw new BadRequestError('Le montant des articles indiqués est nul');
+    }
+    return { amount: total, items: lines };
+  }
+
+  throw new BadRequestError('Type de remboursement invalide (full, partial ou items)');
+};
+
+/**
+ * Indique si les demandes en cours d'une commande dépassent ce qui reste à rembourser (montant ou quantités)
+ * @param {Object} order - Commande
+ * @param {Object[]} activeRequests - Demandes non soldées de la commande
+ * @returns {boolean}
+ */
+const isOverbooked = (order, activeRequests) => {
+  const reserved = activeRequests.reduce((sum, request) => sum + request.amount, 0);
+  if (reserved > getRefundableAmount(order)) return true;
+
+  const quantities = activeRequests
+    .flatMap(request => request.items || [])
+    .reduce((reservedQuantities, line) => {
+      const key = line.item.toString();
+      reservedQuantities[key] = (reservedQuantities[key] || 0) + line.quantity;
+      return reservedQuantities;
+    }, {});
+  return Object.entries(quantities).some(([itemId, quantity]) => {
+    const item = order.items.id(itemId);
+    return !item || quantity > item.quantity - (item.refundedQuantity || 0);
+  });
+};
+
+/**
+ * Fait quitter à une demande l'attente d'approbation, une seule fois
+ * Deux examens simultanés (double clic, deux administrateurs) : seul le premier aboutit.
+ * @param {string} id - ID de la demande
+ * @param {string} status - approved, rejected ou cancelled
+ * @param {string} actor - Rôle à l'origine du changement
+ * @param {string} [notes] - Commentaire
+ * @param {Object} [fields] - Champs modifiés avec le statut
+ * @returns {Promise<Object|null>} - Demande à jour, null si elle n'était plus en attente
+ */
+const claimPendingRequest = (id, status, actor, notes, fields = {}) => RefundRequest.findOneAndUpdate(
+  { _id: id, status: 'pending_approval' },
+  {
+    $set: { status, ...fields },
+    $push: { history: { status, actor, notes, changedAt: new Date() } }
+  },
+  { new: true }
+);
+
+/**
+ * Vérifie qu'un utilisateur peut consulter une demande
+ * @param {Object} request - Demande de remboursement
+ * @param {Object} user - Utilisateur ({ id, role })
+ * @returns {boolean}
+ */
+const canAccess = (request, user) => {
+  if (user.role === 'admin') return true;
+  if (user.role === 'client') return request.customer.toString() === user.id.toString();
+  if (user.role === 'pressing') return request.pressing.toString() === user.id.toString();
+  return false;
+};
+
+/**
+ * Vérifie qu'un utilisateur peut approuver ou refuser une demande
+ * @param {Object} request - Demande de remboursement
+ * @param {Object} user - Utilisateur ({ id, role })
+ * @returns {boolean}
+ */
+const canReview = (request, user) => {
+  if (user.role === 'admin') return true;
+  return user.role === 'pressing' && request.approvalLevel === 'pressing' &&
+    request.pressing.toString() === user.id.toString();
+};
+
+/**
+ * Prévient le client et le pressing sans interrompre le traitement
+ * @param {Object} request - Demande de remboursement
+ * @param {string} [actor] - Rôle à l'origine du changement
+ */
+const notifyParties = async (request, actor) => {
+  try {
+    await notificationService.notifyRefundStatusUpdate(request, { actor });
+  } catch (error) {
+    logger.error(`Erreur lors de la notification de la demande de remboursement ${request.reference}:`, error);
+  }
+};
+
+/**
+ * Charge une demande et vérifie l'accès de l'utilisateur
+ * @param {string} id - ID de la demande
+ * @param {Object} user - Utilisateur ({ id, role })
+ * @returns {Promise<Object>}
+ */
+const findAccessibleRequest = async (id, user) => {
+  const request = await RefundRequest.findById(id);
+  if (!request || !canAccess(request, user)) {
+    throw new NotFoundError('Demande de remboursement non trouvée');
+  }
+  return request;
+};
+
+/**
+ * Répercute les articles remboursés sur la commande
+ * @param {Object} request - Demande soldée
+ */
+const applyRefundedItems = async (request) => {
+  if (!request.items.length) return;
+
+  const order = await Order.findById(request.order);
+  if (!order) return;
+
+  request.items.forEach(line => {
+    const item = order.items.id(line.item);
+    if (!item) return;
+    item.refundedQuantity = Math.min(item.quantity, (item.refundedQuantity || 0) + line.quantity);
+    if (item.refundedQuantity >= item.quantity && item.status !== 'refunded') {
+      item.status = 'refunded';
+      item.statusHistory.push({
+        status: 'refunded',
+        changedAt: new Date(),
+        changedBy: 'system',
+        notes: `Remboursement ${request.reference}`
+      });
+    }
+  });
+  await order.save();
+};
+
+/**
+ * Exécute une demande approuvée : répartit le montant sur les paiements de la commande
+ * Le porte-monnaie est débité en dernier (ou en premier si le client l'a demandé) ;
+ * un opérateur qui ne gère pas le remboursement partiel est compensé sur le porte-monnaie.
+ * @param {Object} request - Demande de remboursement
+ * @returns {Promise<Object>} - Demande à jour
+ */
+const executeRefundRequest = async (request) => {
+  const toWallet = request.destination === 'wallet';
+  const processedBy = refundProcessor((request.reviewedBy && request.reviewedBy.role) || request.requestedBy.role);
+
+  // Reprise après échec : seuls les montants non encore remboursés sont traités
+  const previous = await Transaction.find({
+    _id: { $in: request.refundTransactions },
+    status: { $in: ['pending', 'completed'] }
+  });
+  let remaining = request.amount - previous.reduce((sum, transaction) => sum + transaction.amount, 0);
+
+  request.setStatus('processing', 'system');
+  request.failureReason = undefined;
+  await request.save();
+
+  // Une commande issue d'un panier multi-pressings est réglée par le paiement du panier
+  const order = await Order.findById(request.order).select('group');
+  const payments = await Transaction.find({
+    $or: [
+      { relatedTo: request.order, relatedToModel: 'Order' },
+      ...(order && order.group ? [{ relatedTo: order.group, relatedToModel: 'OrderGroup' }] : [])
+    ],
+    type: 'service',
+    status: { $in: ['completed', 'partially_refunded'] }
+  }).sort({ createdAt: 1 });
+  payments.sort((a, b) => {
+    const walletFirst = (a.paymentProvider === 'wallet' ? 0 : 1) - (b.paymentProvider === 'wallet' ? 0 : 1);
+    return toWallet ? walletFirst : -walletFirst;
+  });
+
+  try {
+    for (const payment of payments) {
+      if (remaining <= 0) break;
+      const part = Math.min(remaining, payment.amount - (payment.refundedAmount || 0) - (payment.refundReservedAmount || 0));
+      if (part <= 0) continue;
+
+      const creditWallet = toWallet || (payment.paymentProvider !== 'wallet' &&
+        !getProvider(payment.paymentProvider).supportsPartialRefund() && part !== payment.amount);
+
+      const refundTransaction = await paymentService.refundPayment(payment.reference, {
+        amount: part,
+        reason: `${request.reason} (${request.reference})`,
+        processedBy,
+        toWallet: creditWallet,
+        metadata: { refundRequest: request.reference, order: request.order.toString() }
+      });
+      await RefundRequest.updateOne(
+        { _id: request._id },
+        { $addToSet: { refundTransactions: refundTransaction._id } }
+      );
+      remaining -= part;
+    }
+
+    if (remaining > 0) {
+      throw new BadRequestError(`Paiements insuffisants pour rembourser ${remaining} ${request.currency}`);
+    }
+  } catch (error) {
+    logger.error(`Échec du remboursement ${request.reference}:`, error);
+    const failed = await RefundRequest.findOneAndUpdate(
+      { _id: request._id, status: 'processing' },
+      {
+        $set: { status: 'failed', failureReason: error.message },
+        $push: { history: { status: 'failed', actor: 'system', notes: error.message, changedAt: new Date() } }
+      },
+      { new: true }
+    );
+    if (failed) await notifyParties(failed, 'system');
+    return failed || RefundRequest.findById(request._id);
+  }
+
+  return RefundRequest.findById(request._id);
+};
+
+/**
+ * Crée une demande de remboursement et l'exécute si elle ne requiert pas d'approbation
+ * @param {Object} params
+ * @param {string} params.orderId - ID de la commande
+ * @param {Object} params.user - Demandeur ({ id, role })
+ * @param {string} params.type - full, partial ou items
+ * @param {number} [params.amount] - Montant (partial)
+ * @param {Object[]} [params.items] - Articles ({ item, quantity })
+ * @param {string} params.reason - Motif
+ * @param {string} [params.description] - Précisions
+ * @param {string[]} [params.photos] - Photos justificatives
+ * @param {string} [params.destination='original'] - original ou wallet
+ * @returns {Promise<Object>} - Demande créée
+ */
+exports.createRefundRequest = async ({
+  orderId,
+  user,
+  type,
+  amount,
+  items,
+  reason,
+  description,
+  photos,
+  destination = 'original'
+}) => {
+  const order = await Order.findById(orderId);
+  if (!order) {
+    throw new NotFoundError('Commande non trouvée');
+  }
+
+  if ((user.role === 'client' && order.customer.toString() !== user.id.toString()) ||
+      (user.role === 'pressing' && order.pressing.toString() !== user.id.toString())) {
+    throw new ForbiddenError('Vous n\'êtes pas autorisé à demander le remboursement de cette commande');
+  }
+
+  if (!isSettledByProvider(order)) {
+    throw new BadRequestError('Seuls les paiements électroniques encaissés peuvent être remboursés via la plateforme');
+  }
+  if (!['original', 'wallet'].includes(destination)) {
+    throw new BadRequestError('Destination de remboursement invalide (original ou wallet)');
+  }
+
+  const activeRequests = await RefundRequest.find({ order: order._id, status: { $in: ACTIVE_STATUSES } });
+  const lines = buildRefundLines(order, { type, amount, items }, activeRequests);
+  const approval = resolveApproval(lines.amount, user.role);
+
+  const request = new RefundRequest({
+    reference: paymentService.generateReference('RFQ'),
+    order: order._id,
+    customer: order.customer,
+    pressing: order.pressing,
+    requestedBy: { id: user.id && user.id.toString(), role: user.role },
+    type,
+    items: lines.items,
+    amount: lines.amount,
+    currency: order.payment.amount.currency || 'XOF',
+    reason,
+    description,
+    photos,
+    destination,
+    ...approval
+  });
+  request.setStatus(approval.requiresApproval ? 'pending_approval' : 'approved', user.role, reason);
+  await request.save();
+
+  // Deux demandes simultanées lisent les mêmes réservations : le recomptage, une fois la demande
+  // enregistrée, annule celle qui dépasse le montant remboursable (au pire, les deux sont à refaire)
+  const reserved = await RefundRequest.find({ order: order._id, status: { $in: ACTIVE_STATUSES } });
+  if (isOverbooked(order, reserved)) {
+    const note = 'Montant déjà réservé par une autre demande';
+    await RefundRequest.updateOne(
+      { _id: request._id, status: request.status },
+      {
+        $set: { status: 'cancelled' },
+        $push: { history: { status: 'cancelled', actor: 'system', notes: note, changedAt: new Date() } }
+      }
+    );
+    throw new BadRequestError('Une autre demande de remboursement vient de réserver ce montant, réessayez');
+  }
+
+  logger.info(`Demande de remboursement ${request.reference} (${request.amount} ${request.currency}) créée pour la commande ${order.orderNumber}`);
+
+  if (approval.requiresApproval) {
+    await notifyParties(request, user.role);
+    return request;
+  }
+
+  const executed = await executeRefundRequest(request);
+  if (executed.status === 'processing') await notifyParties(executed, user.role);
+  return executed;
+};
+
+/**
+ * Rembourse le solde encaissé d'une commande annulée ou remboursée
+ * Les demandes encore en attente d'approbation sont remplacées par ce remboursement intégral.
+ * @param {Object} order - Commande
+ * @param {Object} [options]
+ * @param {string} [options.actor='system'] - Acteur de la transition
+ * @param {string} [options.actorId] - ID de l'acteur
+ * @param {string} [options.reason] - Motif
+ * @returns {Promise<Object|null>} - Demande exécutée, null s'il ne reste rien à rembourser
+ */
+exports.refundOrderBalance = async (order, { actor = 'system', actorId, reason } = {}) => {
+  if (!isSettledByProvider(order)) return null;
+
+  const superseded = await RefundRequest.find({ order: order._id, status: 'pending_approval' });
+  for (const pending of superseded) {
+    const cancelled = await claimPendingRequest(
+      pending._id, 'cancelled', 'system', `Remplacée par le remboursement intégral (commande ${order.status})`
+    );
+    if (cancelled) await notifyParties(cancelled, 'system');
+  }
+
+  const activeRequests = await RefundRequest.find({ order: order._id, status: { $in: ACTIVE_STATUSES } });
+  const reserved = activeRequests.reduce((sum, request) => sum + request.amount, 0);
+  const amount = getRefundableAmount(order) - reserved;
+  if (amount <= 0) return null;
+
+  const role = ROLES_BY_ACTOR[actor] || 'system';
+  const request = new RefundRequest({
+    reference: paymentService.generateReference('RFQ'),
+    order: order._id,
+    customer: order.customer._id || order.customer,
+    pressing: order.pressing._id || order.pressing,
+    requestedBy: { id: actorId && actorId.toString(), role },
+    type: 'full',
+    amount,
+    currency: order.payment.amount.currency || 'XOF',
+    reason: (reason || `Commande ${order.status === 'cancelled' ? 'annulée' : 'remboursée'}`).slice(0, 200),
+    requiresApproval: false
+  });
+  request.setStatus('approved', role, request.reason);
+  await request.save();
+
+  return executeRefundRequest(request);
+};
+
+/**
+ * Approuve une demande et lance le remboursement
+ * @param {string} id - ID de la demande
+ * @param {Object} user - Utilisateur ({ id, role })
+ * @param {string} [notes] - Commentaire
+ * @returns {Promise<Object>}
+ */
+exports.approveRefundRequest = async (id, user, notes) => {
+  const request = await findAccessibleRequest(id, user);
+  if (request.status !== 'pending_approval') {
+    throw new BadRequestError(`Impossible d'approuver une demande au statut ${request.status}`);
+  }
+  if (!canReview(request, user)) {
+    throw new ForbiddenError('Cette demande doit être approuvée par l\'administration');
+  }
+
+  const approved = await claimPendingRequest(request._id, 'approved', user.role, notes, {
+    reviewedBy: { id: user.id.toString(), role: user.role },
+    reviewedAt: new Date(),
+    reviewNotes: notes
+  });
+  if (!approved) {
+    throw new BadRequestError('Cette demande vient déjà d\'être examinée');
+  }
+
+  const executed = await executeRefundRequest(approved);
+  if (executed.status === 'processing') await notifyParties(executed, user.role);
+  return executed;
+};
+
+/**
+ * Refuse une demande
+ * @param {string} id - ID de la demande
+ * @param {Object} user - Utilisateur ({ id, role })
+ * @param {string} notes - Motif du refus
+ * @returns {Promise<Object>}
+ */
+exports.rejectRefundRequest = async (id, user, notes) => {
+  if (!notes) {
+    throw new BadRequestError('Le motif du refus est requis');
+  }
+
+  const request = await findAccessibleRequest(id, user);
+  if (request.status !== 'pending_approval') {
+    throw new BadRequestError(`Impossible de refuser une demande au statut ${request.status}`);
+  }
+  if (!canReview(request, user)) {
+    throw new ForbiddenError('Cette demande doit être examinée par l\'administration');
+  }
+
+  const rejected = await claimPendingRequest(request._id, 'rejected', user.role, notes, {
+    reviewedBy: { id: user.id.toString(), role: user.role },
+    reviewedAt: new Date(),
+    reviewNotes: notes
+  });
+  if (!rejected) {
+    throw new BadRequestError('Cette demande vient déjà d\'être examinée');
+  }
+
+  await notifyParties(rejected, user.role);
+  return rejected;
+};
+
+/**
+ * Annule une demande en attente (demandeur ou administration)
+ * @param {string} id - ID de la demande
+ * @param {Object} user - Utilisateur ({ id, role })
+ * @returns {Promise<Object>}
+ */
+exports.cancelRefundRequest = async (id, user) => {
+  const request = await findAccessibleRequest(id, user);
+  if (request.status !== 'pending_approval') {
+    throw new BadRequestError(`Impossible d'annuler une demande au statut ${request.status}`);
+  }
+  if (user.role !== 'admin' && request.requestedBy.role !== user.role) {
+    throw new ForbiddenError('Seul le demandeur peut annuler cette demande');
+  }
+
+  const cancelled = await claimPendingRequest(request._id, 'cancelled', user.role, 'Annulée par le demandeur');
+  if (!cancelled) {
+    throw new BadRequestError('Cette demande vient déjà d\'être examinée');
+  }
+
+  await notifyParties(cancelled, user.role);
+  return cancelled;
+};
+
+/**
+ * Relance l'exécution d'une demande en échec (administration)
+ * @param {string} id - ID de la demande
+ * @returns {Promise<Object>}
+ */
+exports.retryRefundRequest = async (id) => {
+  const request = await RefundRequest.findById(id);
+  if (!request) {
+    throw new NotFoundError('Demande de remboursement non trouvée');
+  }
+  if (request.status !== 'failed') {
+    throw new BadRequestError(`Seule une demande en échec peut être relancée (statut ${request.status})`);
+  }
+
+  return executeRefundRequest(request);
+};
+
+/**
+ * Répercute l'issue d'une transaction de remboursement sur la demande d'origine
+ * @param {Object} refundTransaction - Transaction de type refund terminée
+ */
+exports.syncRefundRequest = async (refundTransaction) => {
+  const reference = refundTransaction.metadata && refundTransaction.metadata.get('refundRequest');
+  if (!reference) return;
+
+  if (refundTransaction.status === 'completed') {
+    const request = await RefundRequest.findOneAndUpdate(
+      { reference },
+      {
+        $inc: { refundedAmount: refundTransaction.amount },
+        $addToSet: { refundTransactions: refundTransaction._id }
+      },
+      { new: true }
+    );
+    if (!request || request.refundedAmount < request.amount) return;
+
+    const completed = await RefundRequest.findOneAndUpdate(
+      { _id: request._id, status: { $in: ['processing', 'failed'] } },
+      {
+        $set: { status: 'completed', processedAt: new Date(), failureReason: null },
+        $push: { history: { status: 'completed', actor: 'system', changedAt: new Date() } }
+      },
+      { new: true }
+    );
+    if (!completed) return;
+
+    await applyRefundedItems(completed);
+    logger.info(`Demande de remboursement ${completed.reference} soldée`);
+    await notifyParties(completed, 'system');
+    return;
+  }
+
+  if (['failed', 'cancelled'].includes(refundTransaction.status)) {
+    const failureReason = refundTransaction.failureReason || `Remboursement ${refundTransaction.reference} non abouti`;
+    const failed = await RefundRequest.findOneAndUpdate(
+      { reference, status: 'processing' },
+      {
+        $set: { status: 'failed', failureReason },
+        $push: { history: { status: 'failed', actor: 'system', notes: failureReason, changedAt: new Date() } }
+      },
+      { new: true }
+    );
+    if (failed) await notifyParties(failed, 'system');
+  }
+};
+
+/**
+ * Liste paginée des demandes visibles par un utilisateur
+ * @param {Object} user - Utilisateur ({ id, role })
+ * @param {Object} [filters]
+ * @returns {Promise<{requests: Object[], total: number}>}
+ */
+exports.listRefundRequests = async (user, { status, order, pressing, page = 1, limit = 20 } = {}) => {
+  const filter = {};
+  if (user.role === 'client') filter.customer = user.id;
+  else if (user.role === 'pressing') filter.pressing = user.id;
+  else if (pressing) filter.pressing = pressing;
+  if (status) filter.status = status;
+  if (order) filter.order = order;
+
+  const [requests, total] = await Promise.all([
+    RefundRequest.find(filter)
+      .populate('order', 'orderNumber status payment.status')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(parseInt(limit)),
+    RefundRequest.countDocuments(filter)
+  ]);
+
+  return { requests, total };
+};
+
+exports.getRefundRequest = findAccessibleRequest;
+exports.buildRefundLines = buildRefundLines;
+exports.resolveApproval = resolveApproval;
+exports.isOverbooked = isOverbooked;
@@ -0,0 +1,153 @@
+// Flottes de livreurs : chaque pressing crée et gère les comptes de ses livreurs,
+// qui se connectent ensuite avec le type d'utilisateur "rider".
+
+const Rider = require('../models/rider.model');
+const DeliveryJob = require('../models/deliveryJob.model');
+const logger = require('../utils/logger');
+const entitlementService = require('./entitlement.service');
+const { BadRequestError, NotFoundError } = require('../utils/error.utils');
+const { RIDER_AVAILABILITY } = Rider;
+
+// Courses qu'un livreur ne peut pas abandonner en cours de route
+const IN_PROGRESS_JOB_STATUSES = ['accepted', 'picked_up', 'in_transit'];
+
+// Champs modifiables par le pressing
+const UPDATABLE_FIELDS = ['nom', 'prenom', 'phone', 'vehicle', 'status', 'password'];
+
+/**
+ * Pressing dont l'utilisateur gère la flotte
+ * @param {Object} user - Utilisateur ({ id, role })
+ * @param {string} [pressingId] - Pressing ciblé (administration)
+ * @returns {string}
+ */
+const fleetOwner = (user, pressingId) => {
+  if (user.role === 'pressing') return user.id.toString();
+  if (!pressingId) {
+    throw new BadRequestError('Le pressing de la flotte est requis');
+  }
+  return pressingId;
+};
+
+/**
+ * Charge un livreur de la flotte du pressing (tous les livreurs pour l'administration)
+ * @param {string} riderId - ID du livreur
+ * @param {Object} user - Utilisateur ({ id, role })
+ * @returns {Promise<Object>}
+ */
+const findFleetRider = async (riderId, user) => {
+  const rider = await Rider.findById(riderId);
+  if (!rider || (user.role === 'pressing' && rider.pressing.toString() !== user.id.toString())) {
+    throw new NotFoundError('Livreur non trouvé');
+  }
+  return rider;
+};
+
+/**
+ * Crée le compte d'un livreur dans la flotte du pressing
+ * @param {Object} user - Utilisateur ({ id, role })
+ * @param {Object} data - nom, prenom, email, phone, password, vehicle (et pressing pour l'administration)
+ * @returns {Promise<Object>}
+ */
+exports.createRider = async (user, { nom, prenom, email, phone, password, vehicle, pressing } = {}) => {
+  const pressingId = fleetOwner(user, pressing);
+
+  if (email && await Rider.exists({ email: email.toLowerCase().trim() })) {
+    throw new BadRequestError('Un livreur avec cet email existe déjà');
+  }
+
+  // Nombre de comptes livreurs limité par la formule d'abonnement
+  await entitlementService.assertWithinLimit(pressingId, 'staffSeats');
+
+  const rider = await Rider.create({ nom, prenom, email, phone, password, vehicle, pressing: pressingId });
+  await entitlementService.confirmWithinLimit(pressingId, 'staffSeats', rider);
+  logger.info(`Livreur ${rider._id} ajouté à la flotte du pressing ${pressingId}`);
+  return rider;
+};
+
+/**
+ * Livreurs de la flotte, avec leur nombre de courses en cours
+ * @param {Object} user - Utilisateur ({ id, role })
+ * @param {Object} [filters] - status, availability, pressing (administration)
+ * @returns {Promise<Object[]>}
+ */
+exports.listRiders = async (user, { status, availability, pressing } = {}) => {
+  const filter = {};
+  if (user.role === 'pressing') filter.pressing = user.id;
+  else if (pressing) filter.pressing = pressing;
+  if (status) filter.status = status;
+  if (availability) filter.availability = availability;
+
+  const riders = await Rider.find(filter).sort({ nom: 1, prenom: 1 });
+  const loads = await DeliveryJob.aggregate([
+    { $match: { rider: { $in: riders.map(rider => rider._id) }, status: { $in: ['assigned', ...IN_PROGRESS_JOB_STATUSES] } } },
+    { $group: { _id: '$rider', count: { $sum: 1 } } }
+  ]);
+  const loadByRider = new Map(loads.map(load => [load._id.toString(), load.count]));
+
+  return riders.map(rider => ({ ...rider.toJSON(), activeJobs: loadByRider.get(rider._id.toString()) || 0 }));
+};
+
+/**
+ * Détail d'un livreur de la flotte
+ * @param {string} riderId - ID du livreur
+ * @param {Object} user - Utilisateur ({ id, role })
+ * @returns {Promise<Object>}
+ */
+exports.getRider = (riderId, user) => findFleetRider(riderId, user);
+
+/**
+ * Met à jour un livreur (coordonnées, véhicule, statut du compte, mot de passe)
+ * Un livreur ne peut être désactivé tant qu'il a des courses en cours.
+ * @param {string} riderId - ID du livreur
+ * @param {Object} user - Utilisateur ({ id, role })
+ * @param {Object} data - Champs à modifier
+ * @returns {Promise<Object>}
+ */
+exports.updateRider = async (riderId, user, data = {}) => {
+  const rider = await findFleetRider(riderId, user);
+
+  if (data.status && data.status !== 'active') {
+    const inProgress = await DeliveryJob.exists({ rider: rider._id, status: { $in: IN_PROGRESS_JOB_STATUSES } });
+    if (inProgress) {
+      throw new BadRequestError('Ce livreur a des courses en cours : terminez-les ou réattribuez-les avant de le désactiver');
+    }
+    rider.availability = 'offline';
+  }
+
+  UPDATABLE_FIELDS
+    .filter(field => data[field] !== undefined)
+    .forEach(field => { rider[field] = data[field]; });
+
+  await rider.save();
+  return rider;
+};
+
+/**
+ * Le livreur se déclare disponible, occupé ou hors ligne (et transmet sa position)
+ * @param {Object} user - Livreur ({ id, role })
+ * @param {Object} params
+ * @param {string} params.availability - offline, available ou busy
+ * @param {Object} [params.location] - { latitude, longitude }
+ * @returns {Promise<Object>}
+ */
+exports.setAvailability = async (user, { availability, location } = {}) => {
+  if (!RIDER_AVAILABILITY.includes(availability)) {
+    throw new BadRequestError(`Disponibilité invalide. Valeurs possibles : ${RIDER_AVAILABILITY.join(', ')}`);
+  }
+
+  const rider = await Rider.findById(user.id);
+  if (!rider) {
+    throw new NotFoundError('Livreur non trouvé');
+  }
+
+  rider.availability = availability;
+  if (location && location.latitude !== undefined && location.longitude !== undefined) {
+    rider.lastLocation = {
+      type: 'Point',
+      coordinates: [Number(location.longitude), Number(location.latitude)],
+      updatedAt: new Date()
+    };
+  }
+  await rider.save();
+  return rider;
+};
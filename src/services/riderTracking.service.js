@@ -0,0 +1,236 @@
+// Suivi en direct des livreurs : les positions GPS publiées sur le canal temps réel sont conservées
+// sur les courses en cours (trajet servant de preuve), diffusées au client et au pressing de la commande,
+// et l'heure d'arrivée est recalculée avec Mapbox au plus toutes les config.deliveries.etaRefreshSeconds.
+
+const DeliveryJob = require('../models/deliveryJob.model');
+const Order = require('../models/order.model');
+const Rider = require('../models/rider.model');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const { BadRequestError } = require('../utils/error.utils');
+const mapboxService = require('./mapbox.service');
+const realtimeService = require('./realtime.service');
+
+// Courses pendant lesquelles le livreur est suivi
+const TRACKED_JOB_STATUSES = ['accepted', 'picked_up', 'in_transit'];
+
+// Profil d'itinéraire Mapbox selon le véhicule du livreur
+const ROUTING_PROFILES = {
+  moto: 'driving',
+  voiture: 'driving',
+  velo: 'cycling',
+  a_pied: 'walking'
+};
+
+/**
+ * Valide une position transmise par le livreur
+ * @param {Object} position
+ * @param {number} position.latitude
+ * @param {number} position.longitude
+ * @param {number} [position.accuracy] - Précision en mètres
+ * @param {number} [position.speed] - Vitesse en m/s
+ * @param {number} [position.heading] - Cap en degrés
+ * @param {string|number} [position.recordedAt] - Horodatage du relevé (maintenant par défaut)
+ * @returns {Object} - Point du trajet
+ */
+const parsePosition = ({ latitude, longitude, accuracy, speed, heading, recordedAt } = {}) => {
+  const lat = Number(latitude);
+  const lng = Number(longitude);
+  if (latitude === undefined || longitude === undefined || !Number.isFinite(lat) || !Number.isFinite(lng) ||
+    Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+    throw new BadRequestError('Position invalide : latitude et longitude requises');
+  }
+
+  const optional = value => (value === undefined || value === null || !Number.isFinite(Number(value)) ? undefined : Number(value));
+  const now = new Date();
+  const date = recordedAt ? new Date(recordedAt) : now;
+
+  return {
+    coordinates: [lng, lat],
+    accuracy: optional(accuracy),
+    speed: optional(speed),
+    heading: optional(heading),
+    // Un relevé daté dans le futur (horloge du téléphone) est ramené à maintenant
+    recordedAt: Number.isNaN(date.getTime()) || date > now ? now : date
+  };
+};
+
+/**
+ * Arrêt vers lequel se dirige le livreur : le point de départ tant que les vêtements ne sont pas récupérés
+ * @param {Object} job - Course
+ * @returns {string} - from ou to
+ */
+const targetStop = (job) => (job.status === 'accepted' ? 'from' : 'to');
+
+/**
+ * Indique si l'heure d'arrivée doit être recalculée (arrêt visé différent ou estimation trop ancienne)
+ * @param {Object} job - Course
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+const shouldRefreshEta = (job, now = new Date()) => {
+  const eta = job.eta || {};
+  if (!eta.computedAt || eta.stop !== targetStop(job)) return true;
+  return now.getTime() - new Date(eta.computedAt).getTime() >= config.deliveries.etaRefreshSeconds * 1000;
+};
+
+/**
+ * Recalcule l'heure d'arrivée à l'arrêt visé depuis la position du livreur
+ * @param {Object} job - Course
+ * @param {Object} point - Position du livreur
+ * @param {Object} rider - Livreur
+ * @returns {Promise<Object|null>} - Estimation, ou null si l'itinéraire n'a pas pu être calculé
+ */
+const computeEta = async (job, point, rider) => {
+  const stop = targetStop(job);
+  const destination = job[stop] && job[stop].coordinates;
+  if (!destination || destination.length !== 2) return null;
+
+  const result = await mapboxService.getDirections(
+    { longitude: point.coordinates[0], latitude: point.coordinates[1] },
+    { longitude: destination[0], latitude: destination[1] },
+    { profile: ROUTING_PROFILES[rider.vehicle && rider.vehicle.type] || 'driving', overview: 'false', steps: false }
+  );
+  if (!result.success) {
+    logger.warn(`Heure d'arrivée non recalculée pour la course ${job._id}: ${result.error}`);
+    return null;
+  }
+
+  const computedAt = new Date();
+  return {
+    stop,
+    arrivalAt: new Date(computedAt.getTime() + result.data.duration * 1000),
+    durationSeconds: result.data.duration,
+    distanceMeters: result.data.distance,
+    computedAt
+  };
+};
+
+/**
+ * Enregistre la position sur une course et la diffuse au client et au pressing de la commande
+ */
+const trackJob = async (job, point, rider) => {
+  const update = {
+    $push: { trail: { $each: [point], $slice: -config.deliveries.trailSize } },
+    $set: { lastPosition: { coordinates: point.coordinates, recordedAt: point.recordedAt } }
+  };
+
+  let eta = job.eta;
+  if (shouldRefreshEta(job)) {
+    const fresh = await computeEta(job, point, rider);
+    if (fresh) {
+      eta = fresh;
+      update.$set.eta = fresh;
+      // L'heure de livraison de la commande suit l'arrivée chez le client
+      if (job.type === 'delivery' && fresh.stop === 'to') {
+        await Order.updateOne({ _id: job.order }, { $set: { 'delivery.estimatedDeliveryTime': fresh.arrivalAt } });
+      }
+    }
+  }
+
+  await DeliveryJob.updateOne({ _id: job._id }, update);
+
+  realtimeService.notifyOrderParticipants(
+    { _id: job.order, customer: job.customer, pressing: job.pressing },
+    {
+      type: 'rider_location',
+      data: {
+        orderId: job.order,
+        jobId: job._id,
+        jobType: job.type,
+        jobStatus: job.status,
+        rider: { id: rider._id, name: rider.fullName, vehicle: rider.vehicle && rider.vehicle.type },
+        position: {
+          latitude: point.coordinates[1],
+          longitude: point.coordinates[0],
+          accuracy: point.accuracy,
+          speed: point.speed,
+          heading: point.heading,
+          recordedAt: point.recordedAt
+        },
+        eta: eta && eta.arrivalAt ? eta : null
+      }
+    }
+  );
+};
+
+/**
+ * Position publiée par un livreur sur le canal temps réel
+ * La position du livreur est toujours mise à jour ; elle n'est conservée et diffusée que pour ses courses en cours.
+ * @param {Object} user - Livreur ({ id, role })
+ * @param {Object} position - Voir parsePosition
+ * @returns {Promise<{jobs: number}>} - Nombre de courses suivies
+ */
+exports.recordPosition = async (user, position) => {
+  if (user.role !== 'rider') {
+    throw new BadRequestError('Seuls les livreurs publient leur position');
+  }
+  const point = parsePosition(position);
+
+  const rider = await Rider.findOneAndUpdate(
+    { _id: user.id, status: 'active' },
+    { $set: { lastLocation: { type: 'Point', coordinates: point.coordinates, updatedAt: point.recordedAt } } },
+    { new: true }
+  );
+  if (!rider) {
+    throw new BadRequestError('Livreur inconnu ou compte inactif');
+  }
+
+  const jobs = await DeliveryJob.find({ rider: rider._id, status: { $in: TRACKED_JOB_STATUSES } })
+    .select('order customer pressing type status from to eta');
+
+  for (const job of jobs) {
+    try {
+      await trackJob(job, point, rider);
+    } catch (error) {
+      logger.error(`Erreur lors du suivi de la course ${job._id}:`, error);
+    }
+  }
+
+  return { jobs: jobs.length };
+};
+
+/**
+ * Suivi en direct d'une commande : livreur de la course en cours, dernière position et heure d'arrivée
+ * @param {string} orderId - ID de la commande
+ * @returns {Promise<Object|null>} - null sans course suivie
+ */
+exports.getLiveTracking = async (orderId) => {
+  const job = await DeliveryJob.findOne({ order: orderId, status: { $in: TRACKED_JOB_STATUSES } })
+    .select('type status rider lastPosition eta')
+    .populate('rider', 'nom prenom phone vehicle')
+    .sort({ createdAt: -1 });
+  if (!job) return null;
+
+  const position = job.lastPosition && job.lastPosition.coordinates && job.lastPosition.coordinates.length === 2
+    ? {
+      latitude: job.lastPosition.coordinates[1],
+      longitude: job.lastPosition.coordinates[0],
+      recordedAt: job.lastPosition.recordedAt
+    }
+    : null;
+
+  return {
+    jobId: job._id,
+    jobType: job.type,
+    jobStatus: job.status,
+    rider: job.rider ? {
+      id: job.rider._id,
+      name: job.rider.fullName,
+      phone: job.rider.phone,
+      vehicle: job.rider.vehicle
+    } : null,
+    position,
+    eta: job.eta && job.eta.arrivalAt ? {
+      stop: job.eta.stop,
+      arrivalAt: job.eta.arrivalAt,
+      durationSeconds: job.eta.durationSeconds,
+      distanceMeters: job.eta.distanceMeters,
+      computedAt: job.eta.computedAt
+    } : null
+  };
+};
+
+exports.parsePosition = parsePosition;
+exports.shouldRefreshEta = shouldRefreshEta;
+exports.TRACKED_JOB_STATUSES = TRACKED_JOB_STATUSES;
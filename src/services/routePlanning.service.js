@@ -0,0 +1,487 @@
+// Planification des tournées de collecte et de livraison d'un pressing : les courses non commencées de la plage
+// horaire sont ordonnées par insertion au moindre coût puis améliorées par 2-opt, en respectant les créneaux
+// des clients et la capacité du véhicule (les livraisons partent chargées du pressing, les collectes remplissent).
+// Les durées viennent de la matrice Mapbox, ou des distances à vol d'oiseau corrigées quand Mapbox est indisponible.
+
+const DeliveryJob = require('../models/deliveryJob.model');
+const DeliveryRound = require('../models/deliveryRound.model');
+const Pressing = require('../models/pressing.model');
+const Rider = require('../models/rider.model');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const { BadRequestError, NotFoundError } = require('../utils/error.utils');
+const mapboxService = require('./mapbox.service');
+
+// Courses pouvant encore être planifiées (vêtements pas encore pris en charge)
+const PLANNABLE_JOB_STATUSES = ['pending', 'assigned', 'accepted'];
+
+// Durée du créneau d'une course reprogrammée sans créneau client
+const RESCHEDULED_WINDOW_MS = 60 * 60 * 1000;
+
+// Arrêts d'une tournée : la matrice Mapbox compte 25 points au plus, pressing compris.
+// Les courses au-delà restent à planifier dans une tournée suivante.
+const MAX_ROUND_STOPS = 24;
+
+// Passes d'amélioration 2-opt au plus (chaque passe essaie toutes les inversions de segment)
+const MAX_TWO_OPT_PASSES = 50;
+
+// Profil d'itinéraire Mapbox selon le véhicule du livreur
+const ROUTING_PROFILES = {
+  moto: 'driving',
+  voiture: 'driving',
+  velo: 'cycling',
+  a_pied: 'walking'
+};
+
+// Motifs d'une course non planifiée
+const UNPLANNED_REASONS = {
+  coordinates: 'Adresse sans coordonnées GPS',
+  capacity: 'Articles trop nombreux pour la capacité du véhicule',
+  window: 'Créneau du client inatteignable depuis le départ de la tournée',
+  conflict: 'Créneau ou capacité incompatibles avec les autres arrêts',
+  limit: `Tournée complète (${MAX_ROUND_STOPS} arrêts au plus) : à planifier dans une tournée suivante`
+};
+
+/**
+ * Matrice des distances (mètres) et durées (secondes) à vol d'oiseau, corrigées d'un facteur de détour
+ * @param {Array<number[]>} points - Points [longitude, latitude]
+ * @param {Object} [options]
+ * @param {number} [options.speedKmh] - Vitesse moyenne
+ * @param {number} [options.detourFactor] - Rapport entre distance routière et vol d'oiseau
+ * @returns {{distances: number[][], durations: number[][]}}
+ */
+const haversineMatrix = (points, {
+  speedKmh = config.deliveries.roundSpeedKmh,
+  detourFactor = config.deliveries.roundDetourFactor
+} = {}) => {
+  const distances = points.map(a => points.map(b => Math.round(mapboxService.calculateDistance(
+    { longitude: a[0], latitude: a[1] },
+    { longitude: b[0], latitude: b[1] }
+  ) * detourFactor)));
+  const durations = distances.map(row => row.map(meters => Math.round((meters / 1000 / speedKmh) * 3600)));
+  return { distances, durations };
+};
+
+/**
+ * Déroule une tournée dans l'ordre donné
+ * @param {number[]} sequence - Indices des arrêts dans l'ordre de passage
+ * @param {Object} problem - Voir solveRound
+ * @returns {Object|null} - Horaires et charge à chaque arrêt, ou null si un créneau ou la capacité n'est pas respecté
+ */
+const simulate = (sequence, { stops, distances, durations, startAt, capacity, serviceSeconds }) => {
+  // Le véhicule part du pressing avec les articles à livrer
+  let load = sequence.reduce((sum, index) => sum + (stops[index].demand < 0 ? -stops[index].demand : 0), 0);
+  if (load > capacity) return null;
+
+  let time = startAt;
+  let position = 0;
+  let distance = 0;
+  const visits = [];
+
+  for (const index of sequence) {
+    const stop = stops[index];
+    const node = index + 1;
+    const arrival = time + durations[position][node] * 1000;
+    const window = stop.window || {};
+    const serviceStart = window.start ? Math.max(arrival, window.start) : arrival;
+    if (window.end && serviceStart > window.end) return null;
+
+    load += stop.demand;
+    if (load > capacity) return null;
+
+    distance += distances[position][node];
+    visits.push({
+      index,
+      arrival,
+      serviceStart,
+      departure: serviceStart + serviceSeconds * 1000,
+      waitSeconds: Math.round((serviceStart - arrival) / 1000),
+      legDistanceMeters: distances[position][node],
+      legDurationSeconds: durations[position][node],
+      loadAfter: load
+    });
+    time = serviceStart + serviceSeconds * 1000;
+    position = node;
+  }
+
+  const returnAt = time + durations[position][0] * 1000;
+  distance += distances[position][0];
+  return { visits, returnAt, distance, duration: returnAt - startAt };
+};
+
+/**
+ * Indices des arrêts du créneau le plus serré au plus large, les courses sans créneau en dernier
+ * @param {Object[]} stops - Arrêts { window: { start, end } }
+ * @returns {number[]}
+ */
+const byUrgency = (stops) => stops
+  .map((stop, index) => index)
+  .sort((a, b) => ((stops[a].window && new Date(stops[a].window.end).getTime()) || Infinity) -
+    ((stops[b].window && new Date(stops[b].window.end).getTime()) || Infinity));
+
+const isBetter = (candidate, best) => !best ||
+  candidate.duration < best.duration ||
+  (candidate.duration === best.duration && candidate.distance < best.distance);
+
+/**
+ * Ordonne les arrêts d'une tournée (heuristique locale : insertion au moindre coût puis 2-opt)
+ * L'indice 0 des matrices est le pressing, l'arrêt i correspond à l'indice i + 1.
+ * @param {Object} problem
+ * @param {Object[]} problem.stops - Arrêts { demand (positif pour une collecte, négatif pour une livraison), window: { start, end } en ms }
+ * @param {number[][]} problem.distances - Distances en mètres
+ * @param {number[][]} problem.durations - Durées en secondes
+ * @param {number} problem.startAt - Départ du pressing (ms)
+ * @param {number} problem.capacity - Articles transportables
+ * @param {number} [problem.serviceSeconds] - Temps passé à chaque arrêt
+ * @param {number} [problem.maxPasses] - Passes 2-opt au plus
+ * @returns {{sequence: number[], schedule: Object, unplanned: Array<{index: number, reason: string}>}}
+ */
+const solveRound = (problem) => {
+  const ctx = { serviceSeconds: 0, maxPasses: MAX_TWO_OPT_PASSES, ...problem };
+  const { stops, capacity } = ctx;
+  if (stops.length > MAX_ROUND_STOPS) {
+    throw new BadRequestError(`Une tournée compte ${MAX_ROUND_STOPS} arrêts au plus`);
+  }
+
+  const candidates = byUrgency(stops);
+
+  let sequence = [];
+  let schedule = simulate(sequence, ctx);
+  const unplanned = [];
+
+  for (const index of candidates) {
+    let best = null;
+    for (let position = 0; position <= sequence.length; position++) {
+      const attempt = [...sequence.slice(0, position), index, ...sequence.slice(position)];
+      const result = simulate(attempt, ctx);
+      if (result && isBetter(result, best)) {
+        best = { ...result, sequence: attempt };
+      }
+    }
+
+    if (best) {
+      sequence = best.sequence;
+      schedule = best;
+    } else {
+      let reason = 'conflict';
+      if (Math.abs(stops[index].demand) > capacity) reason = 'capacity';
+      else if (!simulate([index], ctx)) reason = 'window';
+      unplanned.push({ index, reason });
+    }
+  }
+
+  // Amélioration 2-opt : inversion de segments tant qu'elle raccourcit la tournée
+  let improved = true;
+  for (let pass = 0; improved && pass < ctx.maxPasses; pass++) {
+    improved = false;
+    for (let i = 0; i < sequence.length - 1 && !improved; i++) {
+      for (let j = i + 1; j < sequence.length && !improved; j++) {
+        const attempt = [...sequence.slice(0, i), ...sequence.slice(i, j + 1).reverse(), ...sequence.slice(j + 1)];
+        const result = simulate(attempt, ctx);
+        if (result && isBetter(result, schedule)) {
+          sequence = attempt;
+          schedule = result;
+          improved = true;
+        }
+      }
+    }
+  }
+
+  return { sequence, schedule, unplanned };
+};
+
+/**
+ * Créneau de passage d'une course : créneau choisi par le client, ou passage reprogrammé au-delà de ce créneau
+ * @param {Object} job - Course (commande peuplée)
+ * @returns {{start: Date, end: Date}|null}
+ */
+const jobWindow = (job) => {
+  const slot = job.order && job.order.timeSlot;
+  const scheduled = job.scheduledFor ? new Date(job.scheduledFor) : null;
+
+  if (slot && slot.startTime && slot.endTime && (!scheduled || scheduled <= slot.endTime)) {
+    return { start: slot.startTime, end: slot.endTime };
+  }
+  if (scheduled) {
+    return { start: scheduled, end: new Date(scheduled.getTime() + RESCHEDULED_WINDOW_MS) };
+  }
+  return null;
+};
+
+/**
+ * Arrêt chez le client (départ d'une collecte, destination d'une livraison)
+ */
+const customerStop = (job) => (job.type === 'pickup' ? job.from : job.to) || {};
+
+const formatAddress = (stop = {}) => stop.formattedAddress ||
+  [stop.street, stop.district, stop.city].filter(Boolean).join(', ');
+
+/**
+ * Matrice de la tournée : Mapbox si disponible, vol d'oiseau corrigé sinon
+ */
+const buildMatrix = async (points, profile) => {
+  if (points.length <= MAX_ROUND_STOPS + 1) {
+    const result = await mapboxService.getMatrix(
+      points.map(([longitude, latitude]) => ({ longitude, latitude })),
+      { profile }
+    );
+    if (result.success) {
+      return { source: 'mapbox', ...result.data };
+    }
+    logger.warn(`Matrice Mapbox indisponible, distances à vol d'oiseau utilisées: ${result.error}`);
+  }
+  return { source: 'haversine', ...haversineMatrix(points) };
+};
+
+/**
+ * Vérifie que l'utilisateur peut consulter la tournée
+ */
+const assertRoundAccess = (round, user) => {
+  const allowed = round && (
+    user.role === 'admin' ||
+    (user.role === 'pressing' && round.pressing.toString() === user.id.toString()) ||
+    (user.role === 'rider' && round.rider && round.rider.toString() === user.id.toString())
+  );
+  if (!allowed) {
+    throw new NotFoundError('Tournée non trouvée');
+  }
+};
+
+/**
+ * Planifie la tournée des collectes et livraisons non commencées d'un pressing sur une plage horaire
+ * @param {Object} user - Pressing ou administration ({ id, role })
+ * @param {Object} params
+ * @param {Date|string} params.from - Début de la plage horaire
+ * @param {Date|string} params.to - Fin de la plage horaire
+ * @param {string} [params.riderId] - Livreur de la tournée (ses courses et les courses à attribuer)
+ * @param {number} [params.capacity] - Articles transportables (véhicule)
+ * @param {Date|string} [params.startAt] - Départ du pressing (début de la plage par défaut)
+ * @param {string} [params.pressing] - Pressing (administration)
+ * @returns {Promise<Object>} - Tournée enregistrée
+ */
+exports.planRound = async (user, { from, to, riderId, capacity, startAt, pressing } = {}) => {
+  const pressingId = user.role === 'pressing' ? user.id : pressing;
+  if (!pressingId) {
+    throw new BadRequestError('Le pressing de la tournée est requis');
+  }
+
+  const windowFrom = from ? new Date(from) : null;
+  const windowTo = to ? new Date(to) : null;
+  if (!windowFrom || !windowTo || Number.isNaN(windowFrom.getTime()) || Number.isNaN(windowTo.getTime()) || windowTo <= windowFrom) {
+    throw new BadRequestError('Plage horaire invalide : from et to requis, from avant to');
+  }
+  const departure = startAt ? new Date(startAt) : windowFrom;
+  if (Number.isNaN(departure.getTime())) {
+    throw new BadRequestError('Heure de départ invalide');
+  }
+  const vehicleCapacity = capacity !== undefined ? parseInt(capacity, 10) : config.deliveries.roundCapacity;
+  if (!Number.isInteger(vehicleCapacity) || vehicleCapacity < 1) {
+    throw new BadRequestError('La capacité doit être un nombre entier d\'articles positif');
+  }
+
+  const depot = await Pressing.findById(pressingId).select('businessName address');
+  const depotCoordinates = depot && depot.address && depot.address.coordinates && depot.address.coordinates.coordinates;
+  if (!depot) {
+    throw new NotFoundError('Pressing non trouvé');
+  }
+  if (!depotCoordinates || depotCoordinates.length !== 2) {
+    throw new BadRequestError('Le pressing n\'a pas de coordonnées GPS');
+  }
+
+  let rider = null;
+  if (riderId) {
+    rider = await Rider.findOne({ _id: riderId, pressing: pressingId });
+    if (!rider) {
+      throw new NotFoundError('Livreur non trouvé dans la flotte du pressing');
+    }
+  }
+
+  const filter = { pressing: pressingId, status: { $in: PLANNABLE_JOB_STATUSES } };
+  if (rider) filter.rider = { $in: [null, rider._id] };
+  const jobs = (await DeliveryJob.find(filter)
+    .populate('order', 'orderNumber timeSlot items.quantity')
+    .populate('customer', 'nom prenom phone'))
+    // Courses dont le créneau chevauche la plage, ou sans créneau
+    .filter(job => {
+      const window = jobWindow(job);
+      return !window || (window.start < windowTo && window.end > windowFrom);
+    });
+
+  const unplanned = [];
+  const routable = [];
+  jobs.forEach(job => {
+    const coordinates = customerStop(job).coordinates;
+    if (coordinates && coordinates.length === 2) routable.push(job);
+    else unplanned.push({ job, reason: 'coordinates' });
+  });
+
+  const candidates = routable.map(job => {
+    const items = Math.max(1, ((job.order && job.order.items) || []).reduce((sum, item) => sum + (item.quantity || 0), 0));
+    const window = jobWindow(job);
+    return {
+      job,
+      items,
+      window,
+      demand: job.type === 'pickup' ? items : -items,
+      coordinates: customerStop(job).coordinates
+    };
+  });
+
+  // Au-delà de la taille d'une tournée, les créneaux les plus serrés passent en premier
+  const urgency = byUrgency(candidates);
+  const stops = urgency.slice(0, MAX_ROUND_STOPS).sort((a, b) => a - b).map(index => candidates[index]);
+  urgency.slice(MAX_ROUND_STOPS).forEach(index => unplanned.push({ job: candidates[index].job, reason: 'limit' }));
+
+  const profile = ROUTING_PROFILES[rider && rider.vehicle && rider.vehicle.type] || 'driving';
+  const matrix = stops.length
+    ? await buildMatrix([depotCoordinates, ...stops.map(stop => stop.coordinates)], profile)
+    : { source: 'haversine', distances: [[0]], durations: [[0]] };
+
+  const { sequence, schedule, unplanned: rejected } = solveRound({
+    stops: stops.map(stop => ({
+      demand: stop.demand,
+      window: stop.window ? { start: new Date(stop.window.start).getTime(), end: new Date(stop.window.end).getTime() } : null
+    })),
+    distances: matrix.distances,
+    durations: matrix.durations,
+    startAt: departure.getTime(),
+    capacity: vehicleCapacity,
+    serviceSeconds: config.deliveries.roundServiceMinutes * 60
+  });
+  rejected.forEach(({ index, reason }) => unplanned.push({ job: stops[index].job, reason }));
+
+  const round = await DeliveryRound.create({
+    pressing: pressingId,
+    rider: rider ? rider._id : null,
+    window: { from: windowFrom, to: windowTo },
+    startAt: departure,
+    capacity: vehicleCapacity,
+    depot: {
+      label: depot.businessName,
+      address: formatAddress(depot.address),
+      coordinates: depotCoordinates
+    },
+    source: matrix.source,
+    stops: schedule.visits.map((visit, position) => {
+      const { job, items, window, coordinates } = stops[visit.index];
+      const stop = customerStop(job);
+      return {
+        sequence: position + 1,
+        job: job._id,
+        order: job.order && job.order._id,
+        orderNumber: job.order && job.order.orderNumber,
+        type: job.type,
+        customerName: job.customer ? `${job.customer.prenom || ''} ${job.customer.nom || ''}`.trim() : undefined,
+        phone: job.customer && job.customer.phone,
+        address: formatAddress(stop),
+        instructions: stop.instructions,
+        coordinates,
+        window: window || undefined,
+        items,
+        arrivalAt: new Date(visit.arrival),
+        serviceStartAt: new Date(visit.serviceStart),
+        departureAt: new Date(visit.departure),
+        waitSeconds: visit.waitSeconds,
+        legDistanceMeters: visit.legDistanceMeters,
+        legDurationSeconds: visit.legDurationSeconds,
+        loadAfter: visit.loadAfter
+      };
+    }),
+    unplanned: unplanned.map(({ job, reason }) => ({
+      job: job._id,
+      orderNumber: job.order && job.order.orderNumber,
+      type: job.type,
+      reason: UNPLANNED_REASONS[reason]
+    })),
+    totals: {
+      distanceMeters: schedule.distance,
+      durationSeconds: Math.round(schedule.duration / 1000),
+      returnAt: new Date(schedule.returnAt)
+    },
+    createdBy: { id: user.id ? user.id.toString() : undefined, role: user.role }
+  });
+
+  logger.info(`Tournée ${round._id} planifiée pour le pressing ${pressingId}: ${round.stops.length} arrêt(s), ${round.unplanned.length} non planifié(s) (${matrix.source})`);
+  return round;
+};
+
+/**
+ * Tournées du pressing, du livreur ou de la plateforme
+ * @param {Object} user - Utilisateur ({ id, role })
+ * @param {Object} [filters]
+ * @param {Date|string} [filters.date] - Tournées démarrant ce jour-là
+ * @returns {Promise<Object[]>}
+ */
+exports.listRounds = async (user, { date } = {}) => {
+  const filter = {};
+  if (user.role === 'pressing') filter.pressing = user.id;
+  if (user.role === 'rider') filter.rider = user.id;
+  if (date) {
+    const day = new Date(date);
+    if (Number.isNaN(day.getTime())) {
+      throw new BadRequestError('Date invalide');
+    }
+    day.setHours(0, 0, 0, 0);
+    filter.startAt = { $gte: day, $lt: new Date(day.getTime() + 24 * 60 * 60 * 1000) };
+  }
+
+  return DeliveryRound.find(filter)
+    .select('-stops -unplanned')
+    .populate('rider', 'nom prenom')
+    .sort({ startAt: -1 })
+    .limit(50);
+};
+
+/**
+ * Détail d'une tournée
+ * @param {string} roundId - ID de la tournée
+ * @param {Object} user - Utilisateur ({ id, role })
+ * @returns {Promise<Object>}
+ */
+exports.getRound = async (roundId, user) => {
+  const round = await DeliveryRound.findById(roundId);
+  assertRoundAccess(round, user);
+  return round.populate('rider', 'nom prenom phone vehicle');
+};
+
+/**
+ * Feuille de route au format CSV
+ * @param {Object} round - Tournée
+ * @returns {string}
+ */
+exports.generateRunSheetCsv = (round) => {
+  const escape = (value) => {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[";\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  const formatTime = (date) => (date ? new Date(date).toLocaleTimeString('fr-FR', { hour: '2-digit', minute: '2-digit', timeZone: 'Africa/Abidjan' }) : '');
+
+  const rows = [
+    ['Ordre', 'Arrivée prévue', 'Type', 'Commande', 'Client', 'Téléphone', 'Adresse', 'Créneau', 'Articles', 'Charge après arrêt', 'Instructions'],
+    ...round.stops.map(stop => [
+      stop.sequence,
+      formatTime(stop.serviceStartAt),
+      stop.type === 'pickup' ? 'Collecte' : 'Livraison',
+      stop.orderNumber,
+      stop.customerName,
+      stop.phone,
+      stop.address,
+      stop.window && stop.window.start ? `${formatTime(stop.window.start)}-${formatTime(stop.window.end)}` : '',
+      stop.items,
+      stop.loadAfter,
+      stop.instructions
+    ]),
+    ['Retour', formatTime(round.totals.returnAt), '', '', round.depot.label, '', round.depot.address, '', '', '', ''],
+    ...round.unplanned.map(entry => [
+      'Non planifiée', '', entry.type === 'pickup' ? 'Collecte' : 'Livraison', entry.orderNumber, '', '', '', '', '', '', entry.reason
+    ])
+  ];
+
+  // Séparateur ; pour une ouverture directe dans un tableur configuré en français
+  return rows.map(row => row.map(escape).join(';')).join('\n');
+};
+
+exports.MAX_ROUND_STOPS = MAX_ROUND_STOPS;
+exports.byUrgency = byUrgency;
+exports.solveRound = solveRound;
+exports.haversineMatrix = haversineMatrix;
@@ -0,0 +1,170 @@
+const PDFDocument = require('pdfkit');
+
+class RunSheetPdfService {
+  /**
+   * Génère la feuille de route imprimable d'une tournée
+   * @param {Object} round - Tournée (livreur peuplé de préférence)
+   * @returns {Promise<Buffer>} - Contenu du PDF
+   */
+  async generateRunSheetPDF(round) {
+    return new Promise((resolve, reject) => {
+      try {
+        const doc = new PDFDocument({ margin: 40, size: 'A4', layout: 'landscape' });
+        const chunks = [];
+
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+
+        this.addHeader(doc, round);
+        let currentY = this.addStopsTable(doc, round);
+        this.addUnplanned(doc, round, currentY);
+        this.addFooter(doc, round);
+
+        doc.end();
+      } catch (error) {
+        reject(error);
+      }
+    });
+  }
+
+  formatTime(date) {
+    return date
+      ? new Date(date).toLocaleTimeString('fr-FR', { hour: '2-digit', minute: '2-digit', timeZone: 'Africa/Abidjan' })
+      : '-';
+  }
+
+  formatDate(date) {
+    return date ? new Date(date).toLocaleDateString('fr-FR', { timeZone: 'Africa/Abidjan' }) : '-';
+  }
+
+  formatDistance(meters) {
+    return `${(Number(meters || 0) / 1000).toFixed(1)} km`;
+  }
+
+  addHeader(doc, round) {
+    const rider = round.rider && round.rider.nom ? `${round.rider.prenom} ${round.rider.nom}` : 'À attribuer';
+    const durationMinutes = Math.round((round.totals.durationSeconds || 0) / 60);
+
+    doc.fontSize(22)
+       .fillColor('#2563eb')
+       .text('GeoPressCI', 40, 40)
+       .fontSize(16)
+       .fillColor('#374151')
+       .text(`Feuille de route du ${this.formatDate(round.startAt)}`, 40, 68);
+
+    doc.fontSize(10)
+       .fillColor('#6b7280')
+       .text(`Départ: ${round.depot.label || 'Pressing'} - ${round.depot.address || ''}`, 40, 95)
+       .text(`Livreur: ${rider}`, 40, 109)
+       .text(`Départ ${this.formatTime(round.startAt)}, retour prévu ${this.formatTime(round.totals.returnAt)}`, 40, 123)
+       .text(`${round.stops.length} arrêt(s), ${this.formatDistance(round.totals.distanceMeters)}, ${durationMinutes} min, capacité ${round.capacity} articles`, 420, 95)
+       .text(round.source === 'mapbox' ? 'Temps de trajet: Mapbox' : 'Temps de trajet estimés à vol d\'oiseau', 420, 109);
+
+    doc.moveTo(40, 145)
+       .lineTo(800, 145)
+       .stroke('#e5e7eb');
+  }
+
+  addStopsTable(doc, round) {
+    let currentY = 155;
+
+    const writeHeader = () => {
+      doc.fontSize(9)
+         .fillColor('#6b7280')
+         .text('#', 40, currentY, { width: 20 })
+         .text('Heure', 62, currentY, { width: 40 })
+         .text('Créneau', 104, currentY, { width: 70 })
+         .text('Type', 176, currentY, { width: 55 })
+         .text('Commande', 233, currentY, { width: 85 })
+         .text('Client', 320, currentY, { width: 110 })
+         .text('Adresse', 432, currentY, { width: 210 })
+         .text('Art.', 644, currentY, { width: 30, align: 'right' })
+         .text('Charge', 676, currentY, { width: 40, align: 'right' })
+         .text('Fait', 730, currentY, { width: 40 });
+
+      currentY += 15;
+      doc.moveTo(40, currentY)
+         .lineTo(800, currentY)
+         .stroke('#e5e7eb');
+      currentY += 6;
+    };
+
+    writeHeader();
+
+    round.stops.forEach(stop => {
+      const window = stop.window && stop.window.start
+        ? `${this.formatTime(stop.window.start)}-${this.formatTime(stop.window.end)}`
+        : '-';
+      const client = [stop.customerName, stop.phone].filter(Boolean).join('\n');
+      const address = [stop.address, stop.instructions].filter(Boolean).join('\n');
+      const rowHeight = Math.max(
+        doc.heightOfString(client || '-', { width: 110 }),
+        doc.heightOfString(address || '-', { width: 210 }),
+        12
+      ) + 8;
+
+      // Nouvelle page si nécessaire
+      if (currentY + rowHeight > doc.page.height - 60) {
+        doc.addPage();
+        currentY = 40;
+        writeHeader();
+      }
+
+      doc.fontSize(9)
+         .fillColor('#374151')
+         .text(String(stop.sequence), 40, currentY, { width: 20 })
+         .text(this.formatTime(stop.serviceStartAt), 62, currentY, { width: 40 })
+         .text(window, 104, currentY, { width: 70 })
+         .text(stop.type === 'pickup' ? 'Collecte' : 'Livraison', 176, currentY, { width: 55 })
+         .text(stop.orderNumber || '-', 233, currentY, { width: 85 })
+         .text(client || '-', 320, currentY, { width: 110 })
+         .text(address || '-', 432, currentY, { width: 210 })
+         .text(String(stop.items || 0), 644, currentY, { width: 30, align: 'right' })
+         .text(String(stop.loadAfter || 0), 676, currentY, { width: 40, align: 'right' });
+
+      // Case à cocher pour le livreur
+      doc.rect(735, currentY, 10, 10).stroke('#9ca3af');
+
+      currentY += rowHeight;
+    });
+
+    return currentY;
+  }
+
+  addUnplanned(doc, round, currentY) {
+    if (!round.unplanned.length) return;
+
+    if (currentY + 40 > doc.page.height - 60) {
+      doc.addPage();
+      currentY = 40;
+    }
+
+    doc.fontSize(12)
+       .fillColor('#b91c1c')
+       .text(`Courses non planifiées (${round.unplanned.length})`, 40, currentY + 10);
+    currentY += 30;
+
+    round.unplanned.forEach(entry => {
+      if (currentY > doc.page.height - 60) {
+        doc.addPage();
+        currentY = 40;
+      }
+      doc.fontSize(9)
+         .fillColor('#374151')
+         .text(`${entry.type === 'pickup' ? 'Collecte' : 'Livraison'} ${entry.orderNumber || ''} : ${entry.reason}`, 40, currentY);
+      currentY += 14;
+    });
+  }
+
+  addFooter(doc, round) {
+    const pageHeight = doc.page.height;
+
+    doc.fontSize(8)
+       .fillColor('#9ca3af')
+       .text('GeoPressCI - Service de pressing à domicile', 40, pageHeight - 40)
+       .text(`Généré le ${new Date().toLocaleString('fr-FR')} - Tournée ${round._id}`, 40, pageHeight - 28);
+  }
+}
+
+module.exports = new RunSheetPdfService();
@@ -0,0 +1,167 @@
+const PDFDocument = require('pdfkit');
+
+class SettlementPdfService {
+  /**
+   * Génère le relevé PDF d'un reversement
+   * @param {Object} payout - Reversement (avec ses lignes de commandes)
+   * @param {Object} pressing - Pressing bénéficiaire
+   * @returns {Promise<Buffer>} - Contenu du PDF
+   */
+  async generateSettlementStatementPDF(payout, pressing) {
+    return new Promise((resolve, reject) => {
+      try {
+        const doc = new PDFDocument({ margin: 50 });
+        const chunks = [];
+
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+
+        this.addHeader(doc, payout, pressing);
+        this.addSummary(doc, payout);
+        this.addOrdersTable(doc, payout);
+        this.addFooter(doc);
+
+        doc.end();
+      } catch (error) {
+        reject(error);
+      }
+    });
+  }
+
+  formatAmount(amount) {
+    return `${Number(amount || 0).toLocaleString('fr-FR')} FCFA`;
+  }
+
+  formatDate(date) {
+    return date ? new Date(date).toLocaleDateString('fr-FR') : '-';
+  }
+
+  addHeader(doc, payout, pressing) {
+    doc.fontSize(24)
+       .fillColor('#2563eb')
+       .text('GeoPressCI', 50, 50)
+       .fontSize(18)
+       .fillColor('#374151')
+       .text('Relevé de reversement', 50, 80);
+
+    doc.fontSize(12)
+       .fillColor('#6b7280')
+       .text(`Pressing: ${pressing.businessName || pressing._id}`, 50, 110)
+       .text(`Référence: ${payout.reference}`, 50, 125)
+       .text(`Période: du ${this.formatDate(payout.periodStart)} au ${this.formatDate(payout.periodEnd)}`, 50, 140)
+       .text(`Statut: ${this.getStatusLabel(payout.status)}`, 50, 155);
+
+    doc.moveTo(50, 180)
+       .lineTo(550, 180)
+       .stroke('#e5e7eb');
+  }
+
+  addSummary(doc, payout) {
+    const { breakdown } = payout;
+    const rows = [
+      ['Commandes reversées', String(breakdown.orderCount)],
+      ['Montant brut encaissé', this.formatAmount(breakdown.grossAmount)],
+      ['Commission et frais plateforme', `- ${this.formatAmount(breakdown.commission)}`],
+      ['TVA collectée', `- ${this.formatAmount(breakdown.vat)}`],
+      ['Remboursements', `- ${this.formatAmount(breakdown.refunds)}`],
+      ['Net reversé', this.formatAmount(breakdown.netAmount)]
+    ];
+
+    let currentY = 200;
+    rows.forEach(([label, value], index) => {
+      const isTotal = index === rows.length - 1;
+      doc.fontSize(isTotal ? 13 : 11)
+         .fillColor(isTotal ? '#111827' : '#374151')
+         .text(label, 50, currentY)
+         .text(value, 350, currentY, { width: 200, align: 'right' });
+      currentY += isTotal ? 22 : 18;
+    });
+
+    const destination = payout.paymentMethod === 'bank_transfer'
+      ? `Virement bancaire ${payout.paymentDetails.bankName || ''} ${payout.paymentDetails.accountNumber || ''}`
+      : `${(payout.provider || payout.paymentMethod).toUpperCase()} ${payout.paymentDetails.phoneNumber || ''}`;
+
+    doc.fontSize(10)
+       .fillColor('#6b7280')
+       .text(`Destination: ${destination.trim()}`, 50, currentY + 5);
+
+    if (payout.completedAt) {
+      doc.text(`Effectué le ${this.formatDate(payout.completedAt)}`, 50, currentY + 20);
+    }
+  }
+
+  addOrdersTable(doc, payout) {
+    let currentY = 360;
+
+    doc.fontSize(16)
+       .fillColor('#374151')
+       .text('Détail des commandes', 50, currentY);
+
+    currentY += 30;
+
+    const writeHeader = () => {
+      doc.fontSize(10)
+         .fillColor('#6b7280')
+         .text('N° Commande', 50, currentY)
+         .text('Terminée le', 150, currentY)
+         .text('Brut', 215, currentY, { width: 65, align: 'right' })
+         .text('Commission', 285, currentY, { width: 65, align: 'right' })
+         .text('TVA', 355, currentY, { width: 55, align: 'right' })
+         .text('Rembours.', 415, currentY, { width: 60, align: 'right' })
+         .text('Net', 480, currentY, { width: 70, align: 'right' });
+
+      currentY += 20;
+      doc.moveTo(50, currentY)
+         .lineTo(550, currentY)
+         .stroke('#e5e7eb');
+      currentY += 10;
+    };
+
+    writeHeader();
+
+    payout.orders.forEach(line => {
+      doc.fontSize(9)
+         .fillColor('#374151')
+         .text(line.orderNumber || line.order.toString().slice(-6), 50, currentY, { width: 95 })
+         .text(this.formatDate(line.completedAt), 150, currentY)
+         .text(Number(line.grossAmount).toLocaleString('fr-FR'), 215, currentY, { width: 65, align: 'right' })
+         .text(Number(line.commission).toLocaleString('fr-FR'), 285, currentY, { width: 65, align: 'right' })
+         .text(Number(line.vat || 0).toLocaleString('fr-FR'), 355, currentY, { width: 55, align: 'right' })
+         .text(Number(line.refunds).toLocaleString('fr-FR'), 415, currentY, { width: 60, align: 'right' })
+         .text(Number(line.netAmount).toLocaleString('fr-FR'), 480, currentY, { width: 70, align: 'right' });
+
+      currentY += 15;
+
+      // Nouvelle page si nécessaire
+      if (currentY > 720) {
+        doc.addPage();
+        currentY = 50;
+        writeHeader();
+      }
+    });
+  }
+
+  addFooter(doc) {
+    const pageHeight = doc.page.height;
+
+    doc.fontSize(8)
+       .fillColor('#9ca3af')
+       .text('GeoPressCI - Service de pressing à domicile', 50, pageHeight - 50)
+       .text(`Généré le ${new Date().toLocaleString('fr-FR')}`, 50, pageHeight - 35)
+       .text('Montants en francs CFA. Commission, TVA et remboursements déduits selon les conditions en vigueur.', 50, pageHeight - 20);
+  }
+
+  getStatusLabel(status) {
+    const labels = {
+      pending: 'En attente',
+      processing: 'En cours',
+      completed: 'Effectué',
+      failed: 'En échec',
+      cancelled: 'Annulé'
+    };
+    return labels[status] || status;
+  }
+}
+
+module.exports = new SettlementPdfService();
@@ -0,0 +1,522 @@
+// Facturation récurrente des abonnements des pressings : une facture par échéance, prélèvement Mobile Money
+// par la couche opérateurs, relances selon config.subscriptionBilling.retryScheduleDays, puis suspension du compte
+// à la fin du délai de grâce. Chaque étape est signalée au pressing (in-app, push et e-mail).
+// Les réponses des opérateurs arrivent par webhook : payment.service appelle syncSubscriptionCharge.
+
+const SubscriptionInvoice = require('../models/subscriptionInvoice.model');
+const { INVOICE_STATUS } = require('../models/subscriptionInvoice.model');
+const { Abonnement, SUBSCRIPTION_TYPES, SUBSCRIPTION_STATUS } = require('../models/abonnement.model');
+const Pressing = require('../models/pressing.model');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const { BadRequestError, NotFoundError } = require('../utils/error.utils');
+const notificationService = require('./notification.service');
+const subscriptionPlanService = require('./subscriptionPlan.service');
+const invoiceService = require('./invoice.service');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Champs du pressing utiles à la facturation et aux relances
+const PRESSING_FIELDS = 'email phone businessPhone businessName subscription isActive';
+
+// Statut de Transaction -> statut de la tentative de prélèvement (les autres statuts restent en attente)
+const ATTEMPT_STATUS_BY_TRANSACTION_STATUS = {
+  completed: 'succeeded',
+  failed: 'failed',
+  cancelled: 'failed'
+};
+
+// Chargé à la demande : payment.service dépend lui-même de ce module
+const paymentService = () => require('./payment.service');
+
+const addDays = (date, days) => new Date(new Date(date).getTime() + days * DAY_MS);
+
+const formatDate = (date) => new Date(date).toLocaleDateString('fr-FR', { timeZone: 'Africa/Abidjan' });
+
+/**
+ * Date de la prochaine relance après un prélèvement automatique refusé
+ * @param {Object} invoice - Facture (dueDate, graceEndsAt)
+ * @param {number} failedAttempts - Prélèvements automatiques refusés jusqu'ici
+ * @param {number[]} [schedule] - Relances en jours après l'échéance
+ * @returns {Date|null} - null si le calendrier est épuisé ou si la relance tomberait après le délai de grâce
+ */
+const nextRetryAt = (invoice, failedAttempts, schedule = config.subscriptionBilling.retryScheduleDays) => {
+  if (failedAttempts < 1 || failedAttempts > schedule.length) return null;
+
+  const retryAt = addDays(invoice.dueDate, schedule[failedAttempts - 1]);
+  return retryAt < invoice.graceEndsAt ? retryAt : null;
+};
+
+/**
+ * Facture de l'échéance en cours d'un abonnement (créée au premier appel)
+ * @param {Object} abonnement - Abonnement à facturer
+ * @param {Date} [now]
+ * @returns {Promise<Object>} - Facture d'abonnement
+ */
+const openInvoice = async (abonnement, now = new Date()) => {
+  const periodStart = abonnement.nextBillingDate || abonnement.trialEndDate || now;
+  const existing = await SubscriptionInvoice.findOne({ abonnement: abonnement._id, periodStart });
+  if (existing) return existing;
+
+  // Avoir d'un changement de formule : déduit de l'échéance
+  const creditApplied = Math.min(abonnement.creditBalance || 0, abonnement.amount);
+
+  const invoice = await SubscriptionInvoice.create({
+    reference: paymentService().generateReference('ABO'),
+    abonnement: abonnement._id,
+    pressing: abonnement.pressing,
+    plan: abonnement.plan,
+    billingCycle: abonnement.billingCycle,
+    periodStart,
+    periodEnd: abonnement.calculateEndDate(periodStart),
+    subtotal: abonnement.amount,
+    creditApplied,
+    amount: abonnement.amount - creditApplied,
+    currency: abonnement.devise,
+    dueDate: now,
+    graceEndsAt: addDays(now, config.subscriptionBilling.graceDays),
+    nextAttemptAt: now
+  });
+
+  if (creditApplied > 0) {
+    abonnement.creditBalance -= creditApplied;
+    await abonnement.save();
+  }
+  return invoice;
+};
+
+/**
+ * Enregistre une étape de relance et prévient le pressing (sans bloquer la facturation)
+ * @param {Object} invoice
+ * @param {Object} pressing
+ * @param {string} event - paid, payment_failed, final_notice ou suspended
+ */
+const dun = (invoice, pressing, event) => {
+  invoice.dunning.push({ event, sentAt: new Date() });
+
+  notificationService.notifySubscriptionBilling(invoice, { event, pressing })
+    .catch(error => logger.error(`Échec de la relance ${event} de la facture ${invoice.reference}:`, error));
+};
+
+/**
+ * Émet la facture légale d'une échéance réglée (une erreur n'annule pas le règlement)
+ * @param {Object} invoice
+ * @param {Object|null} transaction
+ */
+const issueLegalInvoice = async (invoice, transaction) => {
+  try {
+    await invoiceService.issueSubscriptionInvoice(invoice, transaction);
+  } catch (error) {
+    logger.error(`Échec de l'émission de la facture légale de l'échéance ${invoice.reference}:`, error);
+  }
+};
+
+/**
+ * Facture réglée : prolonge l'abonnement et réactive le compte suspendu pour impayé
+ * Une facture de prorata applique la nouvelle formule.
+ * @param {Object} invoice
+ * @param {Object|null} transaction - Transaction réussie (null : facture entièrement couverte par un avoir)
+ */
+const markPaid = async (invoice, transaction) => {
+  const [abonnement, pressing] = await Promise.all([
+    Abonnement.findById(invoice.abonnement),
+    Pressing.findById(invoice.pressing).select(PRESSING_FIELDS)
+  ]);
+  const wasSuspended = invoice.status === INVOICE_STATUS.UNCOLLECTIBLE;
+  const reference = transaction ? transaction.reference : 'avoir';
+
+  invoice.status = INVOICE_STATUS.PAID;
+  invoice.paidAt = new Date();
+  invoice.transaction = transaction ? transaction._id : undefined;
+  invoice.nextAttemptAt = null;
+
+  if (invoice.kind === 'proration') {
+    if (abonnement) {
+      if (transaction) abonnement.transactions.push(transaction._id);
+      await subscriptionPlanService.applyProratedChange(invoice, abonnement);
+    }
+    await invoice.save();
+    await issueLegalInvoice(invoice, transaction);
+    logger.info(`Facture de prorata ${invoice.reference} réglée (${reference})`);
+    return;
+  }
+
+  if (abonnement) {
+    abonnement.status = SUBSCRIPTION_STATUS.ACTIVE;
+    abonnement.endDate = invoice.periodEnd;
+    abonnement.nextBillingDate = invoice.periodEnd;
+    if (transaction) abonnement.transactions.push(transaction._id);
+    abonnement.historique.push({
+      type: 'renouvellement',
+      nouvelleValeur: { facture: invoice.reference, jusquAu: invoice.periodEnd },
+      raison: `Paiement ${reference}`
+    });
+    await abonnement.save();
+  }
+
+  if (pressing) {
+    await Pressing.updateOne({ _id: pressing._id }, {
+      'subscription.status': 'active',
+      'subscription.endDate': invoice.periodEnd,
+      ...(wasSuspended ? { isActive: true } : {})
+    });
+    dun(invoice, pressing, 'paid');
+  }
+
+  await invoice.save();
+  await issueLegalInvoice(invoice, transaction);
+  logger.info(`Facture d'abonnement ${invoice.reference} réglée (${reference})`);
+};
+
+/**
+ * Prélèvement refusé : planifie la relance suivante et passe l'abonnement en retard
+ * @param {Object} invoice
+ * @param {Object} attempt - Tentative refusée
+ */
+const markFailed = async (invoice, attempt) => {
+  // Montée en gamme refusée : la formule actuelle est conservée, sans relance
+  if (invoice.kind === 'proration') {
+    invoice.status = INVOICE_STATUS.VOID;
+    invoice.nextAttemptAt = null;
+    await invoice.save();
+    logger.warn(`Paiement du prorata ${invoice.reference} refusé: ${attempt.failureReason}`);
+    return;
+  }
+
+  const [abonnement, pressing] = await Promise.all([
+    Abonnement.findById(invoice.abonnement),
+    Pressing.findById(invoice.pressing).select(PRESSING_FIELDS)
+  ]);
+
+  // Un paiement manuel refusé ne décale pas le calendrier des relances
+  if (attempt.trigger === 'automatic') {
+    invoice.nextAttemptAt = nextRetryAt(invoice, invoice.failedAutomaticAttempts);
+  }
+
+  if (invoice.status === INVOICE_STATUS.OPEN) {
+    if (abonnement && abonnement.status !== SUBSCRIPTION_STATUS.PAST_DUE) {
+      abonnement.status = SUBSCRIPTION_STATUS.PAST_DUE;
+      await abonnement.save();
+    }
+    if (pressing) {
+      await Pressing.updateOne({ _id: pressing._id }, { 'subscription.status': 'past_due' });
+      dun(invoice, pressing, attempt.trigger === 'automatic' && !invoice.nextAttemptAt ? 'final_notice' : 'payment_failed');
+    }
+  }
+
+  await invoice.save();
+  logger.warn(`Prélèvement de la facture ${invoice.reference} refusé: ${attempt.failureReason}`);
+};
+
+/**
+ * Applique l'issue d'une transaction à la tentative de prélèvement correspondante (idempotent)
+ * La tentative est réclamée par une mise à jour conditionnelle : le webhook, la vérification manuelle
+ * et la facturation quotidienne peuvent solder la même transaction, un seul applique les effets.
+ * @param {Object} invoice
+ * @param {Object} transaction
+ * @returns {Promise<Object>} - Facture à jour
+ */
+const settleAttempt = async (invoice, transaction) => {
+  const status = ATTEMPT_STATUS_BY_TRANSACTION_STATUS[transaction.status];
+  if (!status || !transaction.reference) return invoice;
+
+  const update = { 'attempts.$.status': status, 'attempts.$.settledAt': new Date() };
+  if (status === 'failed') {
+    update['attempts.$.failureReason'] = transaction.failureReason || `Transaction ${transaction.status}`;
+  }
+
+  const settled = await SubscriptionInvoice.findOneAndUpdate(
+    { _id: invoice._id, attempts: { $elemMatch: { reference: transaction.reference, status: 'pending' } } },
+    { $set: update },
+    { new: true }
+  );
+  // Tentative inconnue ou déjà soldée par un autre appel
+  if (!settled) return invoice;
+
+  if (status === 'succeeded') {
+    if ([INVOICE_STATUS.PAID, INVOICE_STATUS.VOID].includes(settled.status)) {
+      // Double paiement : à rembourser par l'administration
+      logger.warn(`Facture d'abonnement ${settled.reference} déjà ${settled.status}, paiement ${transaction.reference} en trop`);
+      return settled;
+    }
+    await markPaid(settled, transaction);
+  } else {
+    await markFailed(settled, settled.attempts.find(entry => entry.reference === transaction.reference));
+  }
+
+  return settled;
+};
+
+/**
+ * Lance un prélèvement pour une facture
+ * @param {Object} invoice - Facture ouverte (ou suspendue pour un paiement manuel)
+ * @param {Object} [options]
+ * @param {string} [options.trigger='automatic'] - automatic ou manual
+ * @param {string} [options.provider] - Opérateur (par défaut le moyen de paiement de l'abonnement)
+ * @param {string} [options.phoneNumber] - Numéro prélevé (par défaut celui de l'abonnement, puis du pressing)
+ * @returns {Promise<{invoice: Object, transaction?: Object, paymentUrl?: string}>}
+ */
+const chargeInvoice = async (invoice, { trigger = 'automatic', provider, phoneNumber } = {}) => {
+  const [abonnement, pressing] = await Promise.all([
+    Abonnement.findById(invoice.abonnement),
+    Pressing.findById(invoice.pressing).select(PRESSING_FIELDS)
+  ]);
+  if (!abonnement || !pressing) {
+    throw new NotFoundError('Abonnement ou pressing introuvable pour cette facture');
+  }
+
+  const attempt = { trigger, provider: provider || abonnement.paymentMethod, attemptedAt: new Date() };
+  let result = {};
+
+  try {
+    result = await paymentService().initiatePayment({
+      amount: invoice.amount,
+      currency: invoice.currency,
+      provider: attempt.provider,
+      phoneNumber: phoneNumber || abonnement.paymentPhoneNumber || pressing.businessPhone || pressing.phone,
+      user: { id: pressing._id, type: 'Pressing' },
+      type: 'subscription',
+      relatedTo: invoice._id,
+      relatedToModel: 'SubscriptionInvoice',
+      description: `Abonnement ${invoice.plan} du ${formatDate(invoice.periodStart)} au ${formatDate(invoice.periodEnd)}`,
+      metadata: { invoice: invoice.reference, abonnement: abonnement._id }
+    });
+  } catch (error) {
+    // Moyen de paiement non prélevable ou opérateur indisponible : la tentative compte comme refusée
+    invoice.attempts.push({ ...attempt, status: 'failed', failureReason: error.message, settledAt: new Date() });
+    await markFailed(invoice, invoice.attempts[invoice.attempts.length - 1]);
+    return { invoice };
+  }
+
+  const { transaction, paymentUrl } = result;
+  invoice.attempts.push({
+    ...attempt,
+    provider: transaction.paymentProvider,
+    transaction: transaction._id,
+    reference: transaction.reference,
+    status: 'pending'
+  });
+  await invoice.save();
+
+  // L'opérateur a pu répondre dès l'initiation
+  const settled = await settleAttempt(invoice, transaction);
+
+  return { invoice: settled, transaction, paymentUrl };
+};
+
+/**
+ * Répercute sur la facture l'issue d'un prélèvement d'abonnement (appelé par payment.service)
+ * @param {Object} transaction - Transaction de type subscription
+ * @returns {Promise<Object|null>} - Facture à jour
+ */
+exports.syncSubscriptionCharge = async (transaction) => {
+  if (transaction.relatedToModel !== 'SubscriptionInvoice') return null;
+
+  const invoice = await SubscriptionInvoice.findById(transaction.relatedTo);
+  if (!invoice) return null;
+
+  return settleAttempt(invoice, transaction);
+};
+
+/**
+ * Facturation quotidienne : fins d'essai, échéances, relances et prélèvements restés sans réponse
+ * @param {Date} [now]
+ * @returns {Promise<Object>} - Compteurs du traitement
+ */
+exports.runBillingCycle = async (now = new Date()) => {
+  const stats = { refreshed: 0, trialsExpired: 0, expired: 0, planChanges: 0, invoiced: 0, retried: 0, errors: 0 };
+
+  const safely = async (label, task) => {
+    try {
+      await task();
+    } catch (error) {
+      stats.errors++;
+      logger.error(`Erreur de facturation (${label}):`, error);
+    }
+  };
+
+  // 1. Prélèvements sans réponse de l'opérateur (webhook perdu ou en retard)
+  const pendingInvoices = await SubscriptionInvoice.find({
+    status: { $in: [INVOICE_STATUS.OPEN, INVOICE_STATUS.UNCOLLECTIBLE] },
+    'attempts.status': 'pending'
+  });
+  for (const invoice of pendingInvoices) {
+    for (const attempt of invoice.attempts.filter(entry => entry.status === 'pending' && entry.reference)) {
+      await safely(invoice.reference, async () => {
+        // getPaymentStatus solde déjà la tentative via syncSubscriptionCharge quand l'opérateur a répondu ;
+        // settleAttempt ne rattrape que les transactions soldées sans que la facture ait suivi
+        const transaction = await paymentService().getPaymentStatus(attempt.reference);
+        if (transaction.status === 'pending') return;
+        await settleAttempt(invoice, transaction);
+        stats.refreshed++;
+      });
+    }
+  }
+
+  // 2. Essais terminés : un essai gratuit sans formule payante expire, les autres passent à la facturation
+  const endedTrials = await Abonnement.find({ status: SUBSCRIPTION_STATUS.TRIAL, trialEndDate: { $lte: now } });
+  for (const abonnement of endedTrials) {
+    await safely(`essai ${abonnement._id}`, async () => {
+      if (abonnement.type === SUBSCRIPTION_TYPES.TRIAL || !abonnement.autoRenew || abonnement.annule) {
+        abonnement.status = SUBSCRIPTION_STATUS.EXPIRED;
+        await abonnement.save();
+        await Pressing.updateOne({ _id: abonnement.pressing }, { 'subscription.status': 'canceled' });
+        stats.trialsExpired++;
+      } else if (!abonnement.nextBillingDate) {
+        abonnement.nextBillingDate = abonnement.trialEndDate;
+        await abonnement.save();
+      }
+    });
+  }
+
+  // 3. Abonnements non reconduits arrivés à terme
+  const ended = await Abonnement.find({
+    status: SUBSCRIPTION_STATUS.ACTIVE,
+    endDate: { $lte: now },
+    $or: [{ autoRenew: false }, { annule: true }]
+  });
+  for (const abonnement of ended) {
+    await safely(`fin ${abonnement._id}`, async () => {
+      abonnement.status = SUBSCRIPTION_STATUS.EXPIRED;
+      await abonnement.save();
+      await Pressing.updateOne({ _id: abonnement.pressing }, { 'subscription.status': 'canceled' });
+      stats.expired++;
+    });
+  }
+
+  // 4. Rétrogradations programmées : la nouvelle formule s'applique à l'échéance
+  await safely('changements de formule', async () => {
+    stats.planChanges = await subscriptionPlanService.applyPendingChanges(now);
+  });
+
+  // 5. Échéances du jour : une facture par période, premier prélèvement immédiat
+  const due = await Abonnement.find({
+    status: { $in: [SUBSCRIPTION_STATUS.ACTIVE, SUBSCRIPTION_STATUS.TRIAL] },
+    autoRenew: true,
+    annule: { $ne: true },
+    type: { $ne: SUBSCRIPTION_TYPES.TRIAL },
+    nextBillingDate: { $lte: now }
+  });
+  for (const abonnement of due) {
+    await safely(`échéance ${abonnement._id}`, async () => {
+      const invoice = await openInvoice(abonnement, now);
+      if (invoice.status === INVOICE_STATUS.OPEN && !invoice.attempts.length) {
+        if (invoice.amount > 0) {
+          await chargeInvoice(invoice);
+        } else {
+          await markPaid(invoice, null);
+        }
+        stats.invoiced++;
+      }
+    });
+  }
+
+  // 6. Relances planifiées
+  const retries = await SubscriptionInvoice.find({
+    status: INVOICE_STATUS.OPEN,
+    nextAttemptAt: { $lte: now },
+    'attempts.status': { $ne: 'pending' }
+  });
+  for (const invoice of retries) {
+    await safely(invoice.reference, async () => {
+      await chargeInvoice(invoice);
+      stats.retried++;
+    });
+  }
+
+  return stats;
+};
+
+/**
+ * Suspend les comptes dont la facture est impayée à la fin du délai de grâce
+ * @param {Date} [now]
+ * @returns {Promise<number>} - Nombre de comptes suspendus
+ */
+exports.suspendOverdueAccounts = async (now = new Date()) => {
+  const overdue = await SubscriptionInvoice.find({
+    kind: 'renewal',
+    status: INVOICE_STATUS.OPEN,
+    graceEndsAt: { $lte: now },
+    // Un prélèvement en attente peut encore aboutir
+    'attempts.status': { $ne: 'pending' }
+  });
+
+  let suspended = 0;
+  for (const invoice of overdue) {
+    try {
+      const [abonnement, pressing] = await Promise.all([
+        Abonnement.findById(invoice.abonnement),
+        Pressing.findById(invoice.pressing).select(PRESSING_FIELDS)
+      ]);
+
+      invoice.status = INVOICE_STATUS.UNCOLLECTIBLE;
+      invoice.nextAttemptAt = null;
+      invoice.suspendedAt = now;
+
+      if (abonnement) {
+        abonnement.status = SUBSCRIPTION_STATUS.UNPAID;
+        await abonnement.save();
+      }
+      if (pressing) {
+        await Pressing.updateOne({ _id: pressing._id }, { 'subscription.status': 'unpaid', isActive: false });
+        dun(invoice, pressing, 'suspended');
+      }
+
+      await invoice.save();
+      suspended++;
+      logger.warn(`Compte du pressing ${invoice.pressing} suspendu: facture ${invoice.reference} impayée`);
+    } catch (error) {
+      logger.error(`Erreur lors de la suspension pour la facture ${invoice.reference}:`, error);
+    }
+  }
+
+  return suspended;
+};
+
+/**
+ * Règlement d'une facture à l'initiative du pressing (relance reçue, compte suspendu)
+ * @param {string} invoiceId
+ * @param {string} pressingId - Pressing connecté
+ * @param {Object} [options]
+ * @param {string} [options.provider] - Opérateur
+ * @param {string} [options.phoneNumber] - Numéro à débiter
+ * @returns {Promise<{invoice: Object, transaction?: Object, paymentUrl?: string}>}
+ */
+exports.payInvoice = async (invoiceId, pressingId, { provider, phoneNumber } = {}) => {
+  const invoice = await SubscriptionInvoice.findOne({ _id: invoiceId, pressing: pressingId });
+  if (!invoice) {
+    throw new NotFoundError('Facture non trouvée');
+  }
+  if (![INVOICE_STATUS.OPEN, INVOICE_STATUS.UNCOLLECTIBLE].includes(invoice.status)) {
+    throw new BadRequestError('Cette facture n\'est pas à régler');
+  }
+  if (invoice.hasPendingAttempt) {
+    throw new BadRequestError('Un paiement est déjà en cours pour cette facture');
+  }
+
+  return chargeInvoice(invoice, { trigger: 'manual', provider, phoneNumber });
+};
+
+/**
+ * Factures d'abonnement d'un pressing, les plus récentes d'abord
+ * @param {string} pressingId
+ * @param {Object} [options]
+ * @param {number} [options.page=1]
+ * @param {number} [options.limit=10]
+ * @returns {Promise<{invoices: Object[], total: number, page: number, pages: number}>}
+ */
+exports.listInvoices = async (pressingId, { page = 1, limit = 10 } = {}) => {
+  const [invoices, total] = await Promise.all([
+    SubscriptionInvoice.find({ pressing: pressingId })
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    SubscriptionInvoice.countDocuments({ pressing: pressingId })
+  ]);
+
+  return { invoices, total, page, pages: Math.ceil(total / limit) };
+};
+
+exports.nextRetryAt = nextRetryAt;
+exports.openInvoice = openInvoice;
+exports.chargeInvoice = chargeInvoice;
@@ -0,0 +1,453 @@
+// Catalogue des formules d'abonnement et changements de formule en cours de période.
+// Montée en gamme : le temps restant de la formule actuelle est crédité, celui de la nouvelle facturé
+// et la différence prélevée immédiatement ; la formule change au règlement de la facture de prorata.
+// Rétrogradation : programmée pour la fin de la période par défaut, ou immédiate avec un avoir
+// déduit des prochaines échéances.
+
+const SubscriptionPlan = require('../models/subscriptionPlan.model');
+const SubscriptionInvoice = require('../models/subscriptionInvoice.model');
+const { INVOICE_STATUS } = require('../models/subscriptionInvoice.model');
+const { Abonnement, SUBSCRIPTION_TYPES, SUBSCRIPTION_STATUS } = require('../models/abonnement.model');
+const Pressing = require('../models/pressing.model');
+const { DEFAULT_PLANS } = require('../config/subscriptionPlans');
+const logger = require('../utils/logger');
+const invoiceService = require('./invoice.service');
+const { BadRequestError, NotFoundError } = require('../utils/error.utils');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Durée moyenne d'un cycle, pour comparer des formules de cycles différents
+const CYCLE_DAYS = { monthly: 30, quarterly: 91, yearly: 365 };
+
+// Cycle de facturation -> type d'abonnement
+const TYPE_BY_CYCLE = {
+  monthly: SUBSCRIPTION_TYPES.MONTHLY,
+  quarterly: SUBSCRIPTION_TYPES.QUARTERLY,
+  yearly: SUBSCRIPTION_TYPES.YEARLY
+};
+
+// Chargé à la demande : subscriptionBilling.service dépend lui-même de ce module
+const billingService = () => require('./subscriptionBilling.service');
+
+/**
+ * Fin d'un cycle de facturation
+ * @param {Date} start
+ * @param {string} billingCycle - monthly, quarterly ou yearly
+ * @returns {Date}
+ */
+const cycleEnd = (start, billingCycle) => {
+  const end = new Date(start);
+  if (billingCycle === 'yearly') {
+    end.setFullYear(end.getFullYear() + 1);
+  } else {
+    end.setMonth(end.getMonth() + (billingCycle === 'quarterly' ? 3 : 1));
+  }
+  return end;
+};
+
+/**
+ * Début de la période en cours (une période de cycle avant son échéance)
+ * @param {Object} abonnement
+ * @param {Date} periodEnd
+ * @returns {Date}
+ */
+const previousPeriodStart = (abonnement, periodEnd) => {
+  const start = new Date(periodEnd);
+  if (abonnement.billingCycle === 'yearly') {
+    start.setFullYear(start.getFullYear() - 1);
+  } else {
+    start.setMonth(start.getMonth() - (abonnement.billingCycle === 'quarterly' ? 3 : 1));
+  }
+  return start;
+};
+
+/**
+ * Prorata d'un changement de formule
+ * Même cycle : la période en cours est conservée, seule la différence sur le temps restant est due.
+ * Cycle différent : une nouvelle période commence, le temps restant de l'ancienne formule est crédité.
+ * @param {Object} current - Formule actuelle { price, billingCycle, periodStart, periodEnd }
+ * @param {Object} next - Nouvelle formule { price, billingCycle }
+ * @param {Date} [at] - Date du changement
+ * @returns {Object} - { direction, remainingRatio, credit, charge, amount, periodStart, periodEnd }
+ */
+const prorate = (current, next, at = new Date()) => {
+  const start = new Date(current.periodStart).getTime();
+  const end = new Date(current.periodEnd).getTime();
+  const total = Math.max(end - start, 1);
+  const remaining = Math.min(Math.max(end - at.getTime(), 0), total);
+  const remainingRatio = remaining / total;
+
+  const credit = Math.round(current.price * remainingRatio);
+  const sameCycle = current.billingCycle === next.billingCycle;
+  const charge = sameCycle ? Math.round(next.price * remainingRatio) : next.price;
+
+  const currentDaily = current.price / CYCLE_DAYS[current.billingCycle];
+  const nextDaily = next.price / CYCLE_DAYS[next.billingCycle];
+
+  return {
+    direction: nextDaily > currentDaily ? 'upgrade' : 'downgrade',
+    remainingRatio: Math.round(remainingRatio * 10000) / 10000,
+    remainingDays: Math.ceil(remaining / DAY_MS),
+    credit,
+    charge,
+    amount: charge - credit,
+    periodStart: sameCycle ? new Date(start) : new Date(at),
+    periodEnd: sameCycle ? new Date(end) : cycleEnd(at, next.billingCycle)
+  };
+};
+
+/**
+ * Insère les formules par défaut absentes du catalogue (les formules existantes ne sont pas modifiées)
+ * @returns {Promise<number>} - Nombre de formules créées
+ */
+exports.ensureDefaultPlans = async () => {
+  const result = await SubscriptionPlan.bulkWrite(DEFAULT_PLANS.map(plan => ({
+    updateOne: {
+      filter: { code: plan.code },
+      update: { $setOnInsert: plan },
+      upsert: true
+    }
+  })));
+  return result.upsertedCount || 0;
+};
+
+/**
+ * Formules du catalogue
+ * @param {Object} [options]
+ * @param {boolean} [options.includeHidden=false] - Inclure les formules masquées ou désactivées (administration)
+ * @returns {Promise<Object[]>}
+ */
+exports.listPlans = async ({ includeHidden = false } = {}) => {
+  const filter = includeHidden ? {} : { isActive: true, isPublic: true };
+  return SubscriptionPlan.find(filter).sort({ sortOrder: 1, price: 1 });
+};
+
+/**
+ * Formule par son code
+ * @param {string} code
+ * @returns {Promise<Object>}
+ */
+const getPlan = async (code) => {
+  const plan = await SubscriptionPlan.findOne({ code: String(code || '').toLowerCase().trim() });
+  if (!plan) {
+    throw new NotFoundError(`Formule d'abonnement inconnue: ${code}`);
+  }
+  return plan;
+};
+
+/**
+ * Applique une formule à un abonnement (prix des prochaines échéances, droits, formule du pressing)
+ * @param {Object} abonnement
+ * @param {Object} plan - Formule du catalogue
+ * @param {Object} [options]
+ * @param {Date} [options.periodEnd] - Fin de la période en cours (nouvelle échéance)
+ * @param {string} [options.reason]
+ * @returns {Promise<Object>} - Abonnement enregistré
+ */
+const applyPlan = async (abonnement, plan, { periodEnd, reason } = {}) => {
+  const previous = abonnement.plan;
+
+  abonnement.plan = plan.code;
+  abonnement.planId = plan._id;
+  abonnement.amount = plan.price;
+  abonnement.devise = plan.currency;
+  abonnement.billingCycle = plan.billingCycle;
+  abonnement.type = TYPE_BY_CYCLE[plan.billingCycle];
+  abonnement.fonctionnalites = {
+    maxCommandesMois: plan.entitlements.maxOrdersPerMonth,
+    supportPrioritaire: plan.entitlements.prioritySupport,
+    statistiquesAvancees: plan.entitlements.advancedStats
+  };
+  if (periodEnd) {
+    abonnement.endDate = periodEnd;
+    abonnement.nextBillingDate = periodEnd;
+  }
+  abonnement.pendingChange = undefined;
+  abonnement.historique.push({
+    type: 'changement_forfait',
+    ancienneValeur: previous,
+    nouvelleValeur: plan.code,
+    raison: reason
+  });
+  await abonnement.save();
+
+  await Pressing.updateOne({ _id: abonnement.pressing }, { 'subscription.plan': plan.code });
+  logger.info(`Abonnement ${abonnement._id}: formule ${previous} -> ${plan.code}`);
+  return abonnement;
+};
+
+/**
+ * Abonnement d'un pressing, modifiable
+ * @param {string} pressingId
+ * @returns {Promise<Object>}
+ */
+const findChangeableAbonnement = async (pressingId) => {
+  const abonnement = await Abonnement.findOne({ pressing: pressingId });
+  if (!abonnement) {
+    throw new NotFoundError('Aucun abonnement pour ce pressing');
+  }
+  if ([SUBSCRIPTION_STATUS.PAST_DUE, SUBSCRIPTION_STATUS.UNPAID].includes(abonnement.status)) {
+    throw new BadRequestError('Réglez la facture en attente avant de changer de formule');
+  }
+  if ([SUBSCRIPTION_STATUS.CANCELED, SUBSCRIPTION_STATUS.EXPIRED].includes(abonnement.status) || abonnement.annule) {
+    throw new BadRequestError('Cet abonnement n\'est plus actif');
+  }
+  return abonnement;
+};
+
+/**
+ * Montant exact d'un changement de formule, sans rien modifier
+ * @param {string} pressingId
+ * @param {Object} params
+ * @param {string} params.newPlan - Code de la nouvelle formule
+ * @param {string} [params.when] - now ou period_end (par défaut : maintenant pour une montée en gamme, en fin de période sinon)
+ * @param {Date} [params.at]
+ * @returns {Promise<Object>} - Aperçu (montant dû maintenant, avoir, prochaine échéance)
+ */
+const previewChange = async (pressingId, { newPlan, when, at = new Date() }) => {
+  const abonnement = await findChangeableAbonnement(pressingId);
+  const plan = await getPlan(newPlan);
+
+  if (!plan.isActive) {
+    throw new BadRequestError('Cette formule n\'est plus proposée');
+  }
+  if (plan.code === abonnement.plan) {
+    throw new BadRequestError('Vous êtes déjà abonné à cette formule');
+  }
+  if (plan.price === 0 && plan.trialDays > 0) {
+    throw new BadRequestError('L\'essai gratuit ne peut pas être choisi comme formule');
+  }
+  if (when && !['now', 'period_end'].includes(when)) {
+    throw new BadRequestError('Le moment du changement doit être now ou period_end');
+  }
+
+  const base = {
+    abonnement,
+    plan,
+    currentPlan: abonnement.plan,
+    newPlan: plan.code,
+    currency: plan.currency,
+    nextRenewalAmount: plan.price
+  };
+
+  // Pendant l'essai rien n'a été payé : la formule change sans prorata
+  if (abonnement.status === SUBSCRIPTION_STATUS.TRIAL) {
+    return {
+      ...base,
+      direction: 'trial',
+      when: 'now',
+      effectiveAt: at,
+      credit: 0,
+      charge: 0,
+      amountDue: 0,
+      creditCarried: 0,
+      periodEnd: abonnement.trialEndDate || abonnement.endDate,
+      nextBillingDate: abonnement.trialEndDate || abonnement.nextBillingDate
+    };
+  }
+
+  const periodEnd = abonnement.nextBillingDate || abonnement.endDate;
+  const proration = prorate({
+    price: abonnement.amount,
+    billingCycle: abonnement.billingCycle,
+    periodStart: previousPeriodStart(abonnement, periodEnd),
+    periodEnd
+  }, plan, at);
+
+  const effectiveWhen = when || (proration.direction === 'upgrade' ? 'now' : 'period_end');
+
+  if (effectiveWhen === 'period_end') {
+    return {
+      ...base,
+      direction: proration.direction,
+      when: 'period_end',
+      effectiveAt: periodEnd,
+      credit: 0,
+      charge: 0,
+      amountDue: 0,
+      creditCarried: 0,
+      periodEnd,
+      nextBillingDate: periodEnd
+    };
+  }
+
+  return {
+    ...base,
+    direction: proration.direction,
+    when: 'now',
+    effectiveAt: at,
+    remainingDays: proration.remainingDays,
+    credit: proration.credit,
+    charge: proration.charge,
+    amountDue: Math.max(proration.amount, 0),
+    creditCarried: Math.max(-proration.amount, 0),
+    periodStart: proration.periodStart,
+    periodEnd: proration.periodEnd,
+    nextBillingDate: proration.periodEnd
+  };
+};
+
+/**
+ * Change la formule d'un pressing
+ * @param {string} pressingId
+ * @param {Object} params
+ * @param {string} params.newPlan - Code de la nouvelle formule
+ * @param {string} [params.when] - now ou period_end
+ * @param {string} [params.provider] - Opérateur pour le prélèvement du prorata
+ * @param {string} [params.phoneNumber]
+ * @returns {Promise<Object>} - { status: applied|scheduled|payment_pending, preview, invoice?, paymentUrl? }
+ */
+exports.changePlan = async (pressingId, { newPlan, when, provider, phoneNumber }) => {
+  const preview = await previewChange(pressingId, { newPlan, when });
+  const { abonnement, plan } = preview;
+
+  if (preview.when === 'period_end') {
+    abonnement.pendingChange = {
+      plan: plan.code,
+      planId: plan._id,
+      effectiveAt: preview.effectiveAt,
+      requestedAt: new Date()
+    };
+    await abonnement.save();
+    return { status: 'scheduled', preview };
+  }
+
+  if (preview.amountDue > 0) {
+    const inProgress = await SubscriptionInvoice.exists({
+      abonnement: abonnement._id,
+      kind: 'proration',
+      status: INVOICE_STATUS.OPEN
+    });
+    if (inProgress) {
+      throw new BadRequestError('Un changement de formule est déjà en attente de paiement');
+    }
+
+    const now = new Date();
+    const invoice = await SubscriptionInvoice.create({
+      reference: require('./payment.service').generateReference('ABO'),
+      abonnement: abonnement._id,
+      pressing: abonnement.pressing,
+      kind: 'proration',
+      plan: plan.code,
+      billingCycle: plan.billingCycle,
+      planChange: {
+        plan: plan.code,
+        planId: plan._id,
+        fromPlan: abonnement.plan,
+        credit: preview.credit,
+        charge: preview.charge
+      },
+      periodStart: preview.periodStart,
+      periodEnd: preview.periodEnd,
+      subtotal: preview.amountDue,
+      amount: preview.amountDue,
+      currency: plan.currency,
+      dueDate: now,
+      graceEndsAt: now,
+      nextAttemptAt: null
+    });
+
+    const charged = await billingService().chargeInvoice(invoice, {
+      trigger: 'manual',
+      provider,
+      phoneNumber
+    });
+    const { transaction, paymentUrl } = charged;
+
+    return {
+      status: charged.invoice.status === INVOICE_STATUS.PAID ? 'applied' : 'payment_pending',
+      preview,
+      invoice: charged.invoice,
+      transactionReference: transaction ? transaction.reference : null,
+      paymentUrl
+    };
+  }
+
+  // Rétrogradation immédiate (ou changement sans surcoût) : l'excédent payé devient un avoir
+  const fromPlan = abonnement.plan;
+  abonnement.creditBalance = (abonnement.creditBalance || 0) + preview.creditCarried;
+  await applyPlan(abonnement, plan, {
+    periodEnd: preview.direction === 'trial' ? undefined : preview.periodEnd,
+    reason: preview.creditCarried ? `Avoir de ${preview.creditCarried} ${preview.currency}` : undefined
+  });
+
+  if (preview.creditCarried > 0) {
+    try {
+      await invoiceService.issueSubscriptionCreditNote(
+        abonnement,
+        preview.creditCarried,
+        `Changement de formule ${fromPlan} -> ${plan.code}`
+      );
+    } catch (error) {
+      logger.error(`Échec de l'émission de l'avoir du changement de formule de l'abonnement ${abonnement._id}:`, error);
+    }
+  }
+
+  return { status: 'applied', preview };
+};
+
+/**
+ * Annule la rétrogradation programmée d'un pressing
+ * @param {string} pressingId
+ * @returns {Promise<Object>} - Abonnement
+ */
+exports.cancelScheduledChange = async (pressingId) => {
+  const abonnement = await Abonnement.findOne({ pressing: pressingId });
+  if (!abonnement || !abonnement.pendingChange || !abonnement.pendingChange.plan) {
+    throw new NotFoundError('Aucun changement de formule programmé');
+  }
+
+  abonnement.pendingChange = undefined;
+  await abonnement.save();
+  return abonnement;
+};
+
+/**
+ * Montée en gamme réglée : applique la formule de la facture de prorata (appelé par subscriptionBilling.service)
+ * @param {Object} invoice - Facture de prorata payée
+ * @param {Object} abonnement
+ * @returns {Promise<Object>}
+ */
+exports.applyProratedChange = async (invoice, abonnement) => {
+  const plan = await SubscriptionPlan.findById(invoice.planChange.planId);
+  if (!plan) {
+    throw new NotFoundError(`Formule ${invoice.planChange.plan} introuvable`);
+  }
+
+  return applyPlan(abonnement, plan, {
+    periodEnd: invoice.periodEnd,
+    reason: `Prorata ${invoice.reference}`
+  });
+};
+
+/**
+ * Applique les rétrogradations arrivées à échéance, avant la facturation de la nouvelle période
+ * @param {Date} [now]
+ * @returns {Promise<number>} - Nombre d'abonnements modifiés
+ */
+exports.applyPendingChanges = async (now = new Date()) => {
+  const due = await Abonnement.find({ 'pendingChange.effectiveAt': { $lte: now } });
+
+  let applied = 0;
+  for (const abonnement of due) {
+    try {
+      const plan = await SubscriptionPlan.findById(abonnement.pendingChange.planId);
+      if (!plan) {
+        abonnement.pendingChange = undefined;
+        await abonnement.save();
+        continue;
+      }
+      await applyPlan(abonnement, plan, { reason: 'Changement programmé en fin de période' });
+      applied++;
+    } catch (error) {
+      logger.error(`Erreur lors du changement de formule programmé de l'abonnement ${abonnement._id}:`, error);
+    }
+  }
+  return applied;
+};
+
+exports.cycleEnd = cycleEnd;
+exports.prorate = prorate;
+exports.getPlan = getPlan;
+exports.applyPlan = applyPlan;
+exports.previewChange = previewChange;
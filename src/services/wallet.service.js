@@ -0,0 +1,89 @@
+// Porte-monnaie client : mouvements atomiques sur le solde.
+// Les flux (recharge, paiement, remboursement) sont orchestrés par payment.service,
+// qui crée les transactions et passe les écritures au grand livre.
+
+const Wallet = require('../models/wallet.model');
+const Transaction = require('../models/transaction.model');
+const { BadRequestError } = require('../utils/error.utils');
+
+/**
+ * Retourne le porte-monnaie d'un client, en le créant au besoin
+ * @param {string} clientId - ID du client
+ * @returns {Promise<Object>}
+ */
+exports.getOrCreateWallet = (clientId) => Wallet.findOneAndUpdate(
+  { client: clientId },
+  { $setOnInsert: { client: clientId } },
+  { upsert: true, new: true, setDefaultsOnInsert: true }
+);
+
+/**
+ * Débite le porte-monnaie si le solde le permet (opération atomique)
+ * @param {string} clientId - ID du client
+ * @param {number} amount - Montant à débiter
+ * @returns {Promise<Object>} - Porte-monnaie après débit
+ */
+exports.debit = async (clientId, amount) => {
+  if (!(amount > 0)) {
+    throw new BadRequestError('Le montant à débiter doit être positif');
+  }
+
+  const wallet = await Wallet.findOneAndUpdate(
+    { client: clientId, status: 'active', balance: { $gte: amount } },
+    { $inc: { balance: -amount }, $set: { lastMovementAt: new Date() } },
+    { new: true }
+  );
+
+  if (!wallet) {
+    const existing = await Wallet.findOne({ client: clientId });
+    if (existing && existing.status !== 'active') {
+      throw new BadRequestError('Porte-monnaie bloqué');
+    }
+    throw new BadRequestError(`Solde insuffisant (disponible: ${existing ? existing.balance : 0} XOF)`);
+  }
+
+  return wallet;
+};
+
+/**
+ * Crédite le porte-monnaie
+ * @param {string} clientId - ID du client
+ * @param {number} amount - Montant à créditer
+ * @returns {Promise<Object>} - Porte-monnaie après crédit
+ */
+exports.credit = async (clientId, amount) => {
+  if (!(amount > 0)) {
+    throw new BadRequestError('Le montant à créditer doit être positif');
+  }
+
+  return Wallet.findOneAndUpdate(
+    { client: clientId },
+    { $inc: { balance: amount }, $set: { lastMovementAt: new Date() } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+/**
+ * Historique des mouvements du porte-monnaie
+ * @param {string} clientId - ID du client
+ * @param {Object} [options]
+ * @returns {Promise<{transactions: Object[], total: number}>}
+ */
+exports.listTransactions = async (clientId, { status, page = 1, limit = 20 } = {}) => {
+  const filter = {
+    'user.id': clientId,
+    $or: [{ paymentProvider: 'wallet' }, { type: 'topup' }]
+  };
+  if (status) filter.status = status;
+
+  const [transactions, total] = await Promise.all([
+    Transaction.find(filter)
+      .populate('relatedTo', 'orderNumber status')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(parseInt(limit)),
+    Transaction.countDocuments(filter)
+  ]);
+
+  return { transactions, total };
+};
@@ -46,6 +46,30 @@ class ForbiddenError extends ErrorResponse {
   }
 }
 
+/**
+ * Erreur 409 (ou 403) - Transition de statut de commande refusée
+ */
+class OrderTransitionError extends ErrorResponse {
+  constructor(message, { code = 'INVALID_ORDER_TRANSITION', from, to, actor, allowedTransitions = [] } = {}) {
+    super(message, code === 'ORDER_TRANSITION_FORBIDDEN' ? 403 : 409);
+    this.code = code;
+    this.details = { from, to, actor, allowedTransitions };
+    this.expose = true;
+  }
+}
+
+/**
+ * Erreur 403 - Fonctionnalité ou limite non incluse dans la formule d'abonnement
+ */
+class UpgradeRequiredError extends ErrorResponse {
+  constructor(message, { feature, limit = null, current = null, plan, upgradeOptions = [] } = {}) {
+    super(message, 403);
+    this.code = 'UPGRADE_REQUIRED';
+    this.details = { feature, limit, current, plan, requiredAction: 'upgrade', upgradeOptions };
+    this.expose = true;
+  }
+}
+
 /**
  * Middleware de gestion des erreurs
  */
@@ -91,5 +115,7 @@ module.exports = {
   BadRequestError,
   UnauthorizedError,
   ForbiddenError,
+  OrderTransitionError,
+  UpgradeRequiredError,
   errorHandler,
 };
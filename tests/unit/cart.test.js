@@ -0,0 +1,76 @@
+/**
+ * Tests unitaires du panier persistant
+ */
+
+const mongoose = require('mongoose');
+const Order = require('../../src/models/order.model');
+const Promotion = require('../../src/models/promotion.model');
+const { promotionIneligibility, toPromoCode } = require('../../src/services/promotion.service');
+
+const clientId = new mongoose.Types.ObjectId();
+const pressingId = new mongoose.Types.ObjectId();
+const serviceId = new mongoose.Types.ObjectId();
+
+const buildPromotion = (fields = {}) => new Promotion({
+  name: 'Bienvenue',
+  description: '20 % sur la première commande',
+  code: 'BIENVENUE20',
+  type: 'percentage',
+  value: 20,
+  status: 'active',
+  validFrom: new Date(Date.now() - 60 * 60 * 1000),
+  ...fields
+});
+
+const context = (fields = {}) => ({
+  clientId,
+  pressingId,
+  subtotal: 10000,
+  serviceIds: [serviceId],
+  hasPastOrders: false,
+  ...fields
+});
+
+describe('Panier persistant', () => {
+  test('un code promo n\'est accepté que s\'il s\'applique au panier', () => {
+    expect(promotionIneligibility(buildPromotion(), context())).toBeNull();
+
+    expect(promotionIneligibility(buildPromotion({ minimumOrderAmount: 15000 }), context()))
+      .toContain('Montant minimum');
+    expect(promotionIneligibility(buildPromotion({ target: { type: 'new_users' } }), context({ hasPastOrders: true })))
+      .toContain('première commande');
+    expect(promotionIneligibility(buildPromotion({ target: { type: 'specific_pressings', pressings: [new mongoose.Types.ObjectId()] } }), context()))
+      .toContain('pas valable chez ce pressing');
+    expect(promotionIneligibility(buildPromotion({ status: 'paused' }), context()))
+      .toContain('plus valide');
+    expect(promotionIneligibility(buildPromotion({ maxUses: 5, currentUses: 5 }), context()))
+      .toContain('plus valide');
+    expect(promotionIneligibility(buildPromotion({ type: 'free_trial', trialDays: 30 }), context()))
+      .toContain('ne s\'applique pas aux commandes');
+  });
+
+  test('la remise en pourcentage est plafonnée et les totaux recalculés', () => {
+    const cart = new Order({
+      customer: clientId,
+      pressing: pressingId,
+      status: 'draft',
+      serviceType: 'delivery',
+      cart: { active: true },
+      items: [{
+        service: serviceId,
+        pressing: pressingId,
+        serviceDetails: { name: 'Costume', price: 5000, category: 'nettoyage_sec' },
+        quantity: 4,
+        unitPrice: 5000
+      }],
+      fees: [{ type: 'delivery', name: 'Frais de livraison', amount: 1000 }],
+      promoCode: toPromoCode(buildPromotion({ maximumDiscount: 3000 })),
+      payment: { method: 'cash', amount: { subtotal: 0, total: 0 } }
+    });
+
+    expect(cart.calculateTotals()).toMatchObject({ subtotal: 20000, discount: 3000, delivery: 1000, total: 18000 });
+
+    cart.promoCode = undefined;
+    expect(cart.calculateTotals()).toMatchObject({ discount: 0, total: 21000 });
+  });
+});
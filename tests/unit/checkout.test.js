@@ -0,0 +1,41 @@
+/**
+ * Tests unitaires du découpage des paniers multi-pressings
+ */
+
+const { splitCart, sumGroupAmounts, groupStatus } = require('../../src/services/checkout.service');
+
+const order = (status, total, delivery = 1000) => ({
+  status,
+  payment: { amount: { subtotal: total - delivery, delivery, tax: 0, total, currency: 'XOF' } }
+});
+
+describe('Paniers multi-pressings', () => {
+  test('le panier est découpé par pressing avec le créneau de chacun', () => {
+    const parts = splitCart([
+      { pressingId: 'p1', serviceId: 's1', quantite: 2 },
+      { pressingId: 'p2', serviceId: 's2' },
+      { pressingId: 'p1', serviceId: 's3' }
+    ], [{ pressingId: 'p2', dateRecuperationSouhaitee: '2025-07-20T14:00:00Z' }]);
+
+    expect(parts.map(part => [part.pressingId, part.services.length])).toEqual([['p1', 2], ['p2', 1]]);
+    expect(parts[0].slot).toEqual({});
+    expect(parts[1].slot.dateRecuperationSouhaitee).toBe('2025-07-20T14:00:00Z');
+
+    expect(() => splitCart([])).toThrow('panier est vide');
+    expect(() => splitCart([{ serviceId: 's1' }])).toThrow('Pressing manquant');
+  });
+
+  test('les commandes annulées ne sont plus dues', () => {
+    const amounts = sumGroupAmounts([order('draft', 6000), order('cancelled', 4000), order('draft', 3000)]);
+
+    expect(amounts).toMatchObject({ total: 9000, delivery: 2000, subtotal: 7000 });
+  });
+
+  test('le statut du panier résume celui de ses commandes', () => {
+    expect(groupStatus([order('draft', 1), order('draft', 1)])).toBe('awaiting_payment');
+    expect(groupStatus([order('confirmed', 1), order('draft', 1)])).toBe('in_progress');
+    expect(groupStatus([order('completed', 1), order('cancelled', 1)])).toBe('partially_cancelled');
+    expect(groupStatus([order('completed', 1), order('completed', 1)])).toBe('completed');
+    expect(groupStatus([order('refunded', 1), order('cancelled', 1)])).toBe('cancelled');
+  });
+});
@@ -0,0 +1,56 @@
+/**
+ * Tests unitaires des courses de collecte et de livraison
+ */
+
+const mongoose = require('mongoose');
+const Order = require('../../src/models/order.model');
+const { checkTransition, actorFromRole } = require('../../src/config/orderStatus');
+const { pickRider, assertRiderTransition } = require('../../src/services/delivery.service');
+
+const rider = (coordinates) => ({
+  _id: new mongoose.Types.ObjectId(),
+  lastLocation: coordinates ? { type: 'Point', coordinates } : undefined
+});
+
+// Point de départ : Cocody
+const origin = [-3.9870, 5.3600];
+
+describe('Courses des livreurs', () => {
+  test('la course est proposée au livreur le moins chargé, puis au plus proche', () => {
+    const far = rider([-4.0300, 5.3000]);
+    const near = rider([-3.9880, 5.3610]);
+    const busy = rider([-3.9871, 5.3601]);
+    const loads = new Map([[busy._id.toString(), 2]]);
+
+    expect(pickRider([far, near, busy], { loads, origin, maxActiveJobs: 5 })).toBe(near);
+    expect(pickRider([far, near, busy], { loads, origin, exclude: [near._id.toString()], maxActiveJobs: 5 })).toBe(far);
+    expect(pickRider([busy], { loads, origin, maxActiveJobs: 2 })).toBeNull();
+    expect(pickRider([rider(), far], { origin, maxActiveJobs: 5 })).toBe(far);
+  });
+
+  test('le livreur déclare les étapes dans l\'ordre', () => {
+    expect(() => assertRiderTransition({ status: 'accepted' }, 'picked_up')).not.toThrow();
+    expect(() => assertRiderTransition({ status: 'picked_up' }, 'delivered')).not.toThrow();
+    expect(() => assertRiderTransition({ status: 'assigned' }, 'picked_up')).toThrow('Impossible de passer la course');
+    expect(() => assertRiderTransition({ status: 'delivered' }, 'in_transit')).toThrow('Impossible de passer la course');
+  });
+
+  test('le livreur prend en charge puis termine une commande livrée', () => {
+    const order = new Order({
+      customer: new mongoose.Types.ObjectId(),
+      pressing: new mongoose.Types.ObjectId(),
+      status: 'ready_for_pickup',
+      serviceType: 'delivery',
+      payment: { method: 'cash', amount: { subtotal: 0, total: 0 } }
+    });
+    const actor = actorFromRole('rider');
+
+    expect(checkTransition(order, 'out_for_delivery', actor).allowed).toBe(true);
+    expect(checkTransition(order, 'completed', actor).allowed).toBe(false);
+
+    order.status = 'out_for_delivery';
+    order.delivery.proof = new mongoose.Types.ObjectId();
+    expect(checkTransition(order, 'completed', actor).allowed).toBe(true);
+    expect(checkTransition(order, 'on_hold', actor).code).toBe('ORDER_TRANSITION_FORBIDDEN');
+  });
+});
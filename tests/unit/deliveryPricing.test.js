@@ -0,0 +1,90 @@
+/**
+ * Tests unitaires de la tarification dynamique de la livraison
+ */
+
+const Order = require('../../src/models/order.model');
+const DistanceCache = require('../../src/models/distanceCache.model');
+const mapboxService = require('../../src/services/mapbox.service');
+const { resolveRules, distanceBand, buildQuote, routeKey, measureDistance } = require('../../src/services/deliveryPricing.service');
+const { toOrderFees } = require('../../src/services/feeRule.service');
+
+const base = { amount: 1500, name: 'Livraison (4,2 km)', description: 'Tranche jusqu\'à 6 km' };
+
+describe('Tarification de la livraison', () => {
+  test('la tranche de distance suit les règles du pressing, à défaut celles de la plateforme', () => {
+    const platform = resolveRules({});
+    expect(distanceBand(platform.distanceBands, 2500).fee).toBe(1000);
+    expect(distanceBand(platform.distanceBands, 4200).fee).toBe(1500);
+    expect(distanceBand(platform.distanceBands, 40000).upToKm).toBeNull();
+
+    const own = resolveRules({
+      deliveryOptions: {
+        freeDeliveryThreshold: 20000,
+        pricing: { distanceBands: [{ upToKm: 5, fee: 500 }, { upToKm: 2, fee: 300 }], weekendMultiplier: 1 }
+      }
+    });
+    expect(distanceBand(own.distanceBands, 1500).fee).toBe(300);
+    expect(distanceBand(own.distanceBands, 6000)).toBeNull();
+    expect(own.weekendMultiplier).toBe(1);
+    expect(own.expressSurcharge).toBe(platform.expressSurcharge);
+  });
+
+  test('heure de pointe, week-end et express s\'ajoutent ligne à ligne', () => {
+    const rules = resolveRules({});
+
+    // Mercredi midi : frais de distance seuls
+    expect(buildQuote(rules, { base, subtotal: 8000, at: new Date('2026-10-14T12:00:00Z') }).fee).toBe(1500);
+
+    // Samedi 18h (Abidjan, UTC+0), en express
+    const { fee, lines } = buildQuote(rules, {
+      base,
+      subtotal: 8000,
+      express: true,
+      at: new Date('2026-10-17T18:00:00Z')
+    });
+    expect(lines.map(line => line.name)).toEqual([
+      'Livraison (4,2 km)', 'Majoration heure de pointe', 'Tarif week-end', 'Supplément express'
+    ]);
+    expect(fee).toBe(1500 + 375 + 300 + 1000);
+  });
+
+  test('la livraison offerte laisse le supplément express et le détail est repris dans les frais', () => {
+    const rules = resolveRules({ deliveryOptions: { freeDeliveryThreshold: 10000 } });
+    const quote = buildQuote(rules, { base, subtotal: 12000, express: true, at: new Date('2026-10-17T18:00:00Z') });
+
+    expect(quote.lines.map(line => line.name)).toEqual(['Livraison offerte', 'Supplément express']);
+    expect(quote.fee).toBe(1000);
+
+    const order = new Order({
+      fees: toOrderFees({ serviceFee: 0, deliveryFee: quote.fee, rules: [] }, quote.lines),
+      delivery: { type: 'express' }
+    });
+    order.calculateTotals();
+    expect(order.payment.amount.delivery).toBe(1000);
+    expect(order.delivery.type).toBe('express');
+  });
+
+  describe('distance routière', () => {
+    afterEach(() => jest.restoreAllMocks());
+
+    test('un trajet Mapbox est conservé pour le pressing et le point arrondi', async () => {
+      const pressing = { _id: '64b000000000000000000001', address: { coordinates: { coordinates: [-4.0083, 5.3364] } } };
+      expect(routeKey({ longitude: -4.0083, latitude: 5.3364 }, { longitude: -3.96657, latitude: 5.35995 }))
+        .toBe('route:-4.0083,5.3364>-3.9666,5.3600');
+
+      const stored = new Map();
+      jest.spyOn(DistanceCache, 'findOneAndUpdate').mockImplementation(({ key }) => ({
+        lean: async () => stored.get(key) || null
+      }));
+      jest.spyOn(DistanceCache, 'updateOne').mockImplementation(async ({ key }, { $set }) => {
+        stored.set(key, $set);
+      });
+      const directions = jest.spyOn(mapboxService, 'getDirections').mockResolvedValue({ success: true, data: { distance: 6120 } });
+
+      expect(await measureDistance(pressing, [-3.96657, 5.35995])).toEqual({ meters: 6120, source: 'mapbox' });
+      // Même point à quelques mètres près : pas de nouvel appel Mapbox
+      expect(await measureDistance(pressing, [-3.96661, 5.35998])).toEqual({ meters: 6120, source: 'cache' });
+      expect(directions).toHaveBeenCalledTimes(1);
+    });
+  });
+});
@@ -0,0 +1,90 @@
+/**
+ * Tests unitaires des zones de livraison
+ */
+
+const mongoose = require('mongoose');
+const DeliveryZone = require('../../src/models/deliveryZone.model');
+const { toPolygon, snapshot, assertMinimumOrder } = require('../../src/services/deliveryZone.service');
+const geocodingService = require('../../src/services/geocoding.service');
+const { deliveryPoint, parseDeliveryAddress, locateDeliveryAddress } = require('../../src/services/checkout.service');
+
+describe('Zones de livraison', () => {
+  test('les points { lat, lng } du pressing deviennent un polygone GeoJSON fermé', () => {
+    const { area, coordinates } = toPolygon([
+      { lat: 5.33, lng: -4.02 },
+      { lat: 5.33, lng: -3.98 },
+      { lat: 5.37, lng: -3.98 },
+      { lat: 5.37, lng: -4.02 },
+      { lat: 5.33, lng: -4.02 }
+    ]);
+
+    expect(area.type).toBe('Polygon');
+    expect(area.coordinates[0]).toHaveLength(5);
+    expect(area.coordinates[0][0]).toEqual([-4.02, 5.33]);
+    expect(area.coordinates[0][4]).toEqual(area.coordinates[0][0]);
+    expect(coordinates).toHaveLength(4);
+
+    // Un polygone GeoJSON est repris tel quel
+    expect(toPolygon(area).area).toEqual(area);
+
+    const zone = new DeliveryZone({
+      pressing: new mongoose.Types.ObjectId(),
+      name: 'Cocody',
+      deliveryFee: 1500,
+      minOrder: 5000,
+      area,
+      coordinates
+    });
+    expect(zone.validateSync()).toBeUndefined();
+  });
+
+  test('un tracé de moins de 3 points ou hors limites est refusé', () => {
+    expect(() => toPolygon([{ lat: 5.33, lng: -4.02 }, { lat: 5.37, lng: -3.98 }, { lat: 5.33, lng: -4.02 }]))
+      .toThrow('au moins 3 points');
+    expect(() => toPolygon([{ lat: 95, lng: -4.02 }, { lat: 5.37, lng: -3.98 }, { lat: 5.33, lng: -3.9 }]))
+      .toThrow('Coordonnées invalides');
+    expect(() => toPolygon('Cocody')).toThrow('polygone GeoJSON');
+  });
+
+  test('la position GPS prime sur l\'adresse et le minimum de la zone est exigé', () => {
+    const address = { type: 'Point', coordinates: [-3.9665738, 5.3599517] };
+    expect(deliveryPoint(address, { latitude: 5.35, longitude: -4.0 })).toEqual([-4.0, 5.35]);
+    expect(deliveryPoint(address, null)).toEqual(address.coordinates);
+
+    const conditions = snapshot(new DeliveryZone({
+      pressing: new mongoose.Types.ObjectId(),
+      name: 'Plateau',
+      deliveryFee: 1000,
+      minOrder: 5000,
+      estimatedDeliveryTime: 30
+    }));
+    expect(conditions).toMatchObject({ name: 'Plateau', fee: 1000, minOrder: 5000, estimatedMinutes: 30 });
+    expect(() => assertMinimumOrder(conditions, 4000)).toThrow('5000 XOF');
+    expect(() => assertMinimumOrder(conditions, 5000)).not.toThrow();
+    expect(() => assertMinimumOrder(null, 100)).not.toThrow();
+  });
+
+  describe('adresse en texte libre', () => {
+    afterEach(() => jest.restoreAllMocks());
+
+    test('géocodée à défaut de position GPS, refusée si introuvable', async () => {
+      const address = parseDeliveryAddress('Riviera 3, Cocody');
+      expect(address.coordinates).toBeUndefined();
+      expect(() => deliveryPoint(address, null)).toThrow('non géolocalisée');
+
+      const geocode = jest.spyOn(geocodingService, 'getGeocode')
+        .mockResolvedValueOnce({ lat: 5.37, lng: -3.96, district: 'Cocody', source: 'mapbox' })
+        .mockResolvedValue(null);
+
+      // La position GPS suffit, sans géocodage
+      expect((await locateDeliveryAddress(address, { lat: 5.35, lng: -4.0 })).coordinates).toEqual([-4.0, 5.35]);
+      expect(geocode).not.toHaveBeenCalled();
+
+      const located = await locateDeliveryAddress(address, null);
+      expect(located.coordinates).toEqual([-3.96, 5.37]);
+      expect(located.district).toBe('Cocody');
+
+      await expect(locateDeliveryAddress(parseDeliveryAddress('Quelque part'), null)).rejects.toThrow('introuvable');
+    });
+  });
+});
@@ -0,0 +1,31 @@
+/**
+ * Tests unitaires des règles d'ouverture et des délais des litiges
+ */
+
+const config = require('../../src/config/config');
+const { computeSla, assertDisputable } = require('../../src/services/dispute.service');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('Litiges', () => {
+  test('les délais de réponse et de résolution partent de l\'ouverture', () => {
+    const openedAt = new Date('2025-03-01T08:00:00Z');
+    const sla = computeSla(openedAt);
+
+    expect(sla.responseDueAt - openedAt).toBe(config.disputes.responseHours * 60 * 60 * 1000);
+    expect(sla.resolutionDueAt - openedAt).toBe(config.disputes.resolutionHours * 60 * 60 * 1000);
+  });
+
+  test('une réclamation n\'est possible qu\'après prise en charge et dans le délai suivant la livraison', () => {
+    const now = new Date('2025-03-20T08:00:00Z');
+    const deliveredAt = (days) => ({
+      status: 'completed',
+      delivery: { actualDeliveryTime: new Date(now.getTime() - days * DAY) }
+    });
+
+    expect(() => assertDisputable({ status: 'pending' }, now)).toThrow('statut pending');
+    expect(() => assertDisputable({ status: 'out_for_delivery' }, now)).not.toThrow();
+    expect(() => assertDisputable(deliveredAt(config.disputes.openWindowDays - 1), now)).not.toThrow();
+    expect(() => assertDisputable(deliveredAt(config.disputes.openWindowDays + 1), now)).toThrow('délai de réclamation');
+  });
+});
@@ -0,0 +1,104 @@
+/**
+ * Tests unitaires des droits liés à la formule d'abonnement
+ */
+
+const mongoose = require('mongoose');
+const SubscriptionPlan = require('../../src/models/subscriptionPlan.model');
+const { Abonnement } = require('../../src/models/abonnement.model');
+const Service = require('../../src/models/service.model');
+const Rider = require('../../src/models/rider.model');
+const riderService = require('../../src/services/rider.service');
+const { evaluateLimit, assertWithinLimit, confirmWithinLimit } = require('../../src/services/entitlement.service');
+const { UpgradeRequiredError } = require('../../src/utils/error.utils');
+const { DEFAULT_PLANS } = require('../../src/config/subscriptionPlans');
+
+const entitlementsOf = (code) => DEFAULT_PLANS.find(plan => plan.code === code).entitlements;
+
+describe('Droits des formules', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  test('une limite atteinte bloque l\'ajout, une limite nulle est illimitée', () => {
+    const essai = entitlementsOf('essai');
+
+    expect(evaluateLimit(essai, 'maxGalleryPhotos', 4)).toEqual({ allowed: true, limit: 5, current: 4, remaining: 1 });
+    expect(evaluateLimit(essai, 'maxGalleryPhotos', 5).allowed).toBe(false);
+    expect(evaluateLimit(essai, 'maxDeliveryZones', 0, 2).allowed).toBe(false);
+
+    expect(evaluateLimit(entitlementsOf('premium'), 'maxServices', 500))
+      .toEqual({ allowed: true, limit: null, current: 500, remaining: null });
+  });
+
+  test('l\'erreur de montée en gamme expose la limite et les formules possibles', () => {
+    const error = new UpgradeRequiredError('Limite atteinte', {
+      feature: 'maxServices',
+      limit: 10,
+      current: 10,
+      plan: 'essai',
+      upgradeOptions: [{ code: 'mensuel', name: 'Standard mensuel', price: 5000, billingCycle: 'monthly' }]
+    });
+
+    expect(error.statusCode).toBe(403);
+    expect(error.code).toBe('UPGRADE_REQUIRED');
+    expect(error.expose).toBe(true);
+    expect(error.details).toEqual(expect.objectContaining({
+      feature: 'maxServices',
+      limit: 10,
+      current: 10,
+      requiredAction: 'upgrade'
+    }));
+    expect(error.details.upgradeOptions[0].code).toBe('mensuel');
+  });
+
+  test('deux ajouts simultanés à la dernière place ne dépassent pas la limite', async () => {
+    const pressingId = new mongoose.Types.ObjectId();
+    const { maxServices } = entitlementsOf('essai');
+    jest.spyOn(Abonnement, 'findOne').mockReturnValue({ select: () => ({ lean: async () => ({ plan: 'essai' }) }) });
+    jest.spyOn(SubscriptionPlan, 'findOne').mockReturnValue({ lean: async () => null });
+    jest.spyOn(SubscriptionPlan, 'find').mockReturnValue({ select: () => ({ sort: () => ({ lean: async () => [] }) }) });
+
+    // Catalogue à une place de la limite : les deux vérifications préalables passent
+    const catalogue = Array.from({ length: maxServices - 1 }, () => ({ _id: new mongoose.Types.ObjectId() }));
+    jest.spyOn(Service, 'countDocuments').mockImplementation(async () => catalogue.length);
+    const discard = jest.spyOn(Service, 'deleteOne').mockImplementation(async ({ _id }) => {
+      catalogue.splice(catalogue.findIndex(service => service._id === _id), 1);
+    });
+
+    await assertWithinLimit(pressingId, 'maxServices');
+    await assertWithinLimit(pressingId, 'maxServices');
+    const first = { _id: new mongoose.Types.ObjectId() };
+    const second = { _id: new mongoose.Types.ObjectId() };
+    catalogue.push(first, second);
+
+    const results = await Promise.allSettled([
+      confirmWithinLimit(pressingId, 'maxServices', first),
+      confirmWithinLimit(pressingId, 'maxServices', second)
+    ]);
+
+    expect(catalogue.length).toBeLessThanOrEqual(maxServices);
+    expect(discard).toHaveBeenCalled();
+    const refused = results.filter(result => result.status === 'rejected');
+    expect(refused.length).toBeGreaterThan(0);
+    expect(refused[0].reason).toBeInstanceOf(UpgradeRequiredError);
+    expect(refused[0].reason.details).toEqual(expect.objectContaining({ feature: 'maxServices', limit: maxServices }));
+  });
+
+  test('un pressing ne crée pas plus de comptes livreurs que sa formule n\'en prévoit', async () => {
+    const pressingId = new mongoose.Types.ObjectId();
+    const { staffSeats } = entitlementsOf('essai');
+    jest.spyOn(Abonnement, 'findOne').mockReturnValue({ select: () => ({ lean: async () => ({ plan: 'essai' }) }) });
+    jest.spyOn(SubscriptionPlan, 'findOne').mockReturnValue({ lean: async () => null });
+    jest.spyOn(SubscriptionPlan, 'find').mockReturnValue({ select: () => ({ sort: () => ({ lean: async () => [] }) }) });
+    jest.spyOn(Rider, 'exists').mockResolvedValue(null);
+    const count = jest.spyOn(Rider, 'countDocuments').mockResolvedValue(staffSeats);
+    const create = jest.spyOn(Rider, 'create');
+
+    const error = await riderService.createRider({ id: pressingId, role: 'pressing' }, {
+      nom: 'Traoré', prenom: 'Moussa', email: 'moussa@example.com', phone: '+2250700000009', password: 'secret123'
+    }).catch(refused => refused);
+
+    expect(error).toBeInstanceOf(UpgradeRequiredError);
+    expect(error.details).toEqual(expect.objectContaining({ feature: 'staffSeats', limit: staffSeats, current: staffSeats }));
+    expect(count).toHaveBeenCalledWith({ pressing: pressingId.toString() });
+    expect(create).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,103 @@
+/**
+ * Tests unitaires du moteur de règles de frais
+ */
+
+const { buildPricing } = require('../../src/services/feeRule.service');
+const { getOrderSplit } = require('../../src/services/ledger.service');
+
+const PRESSING_ID = '64b000000000000000000001';
+const OTHER_PRESSING_ID = '64b000000000000000000002';
+const THIRD_PRESSING_ID = '64b000000000000000000003';
+
+const rule = (overrides) => ({
+  _id: `rule-${Math.random().toString(36).slice(2)}`,
+  name: 'Règle',
+  calculation: 'percentage',
+  conditions: {},
+  priority: 0,
+  ...overrides
+});
+
+describe('Règles de frais', () => {
+  test('applique les taux par défaut sans règle active', () => {
+    const pricing = buildPricing([], {
+      pressing: PRESSING_ID,
+      items: [{ category: 'lavage', amount: 10000 }],
+      deliveryFee: 1000
+    });
+
+    // 5% de frais de service, 18% de TVA sur articles + frais + livraison, pas de commission
+    expect(pricing.serviceFee).toBe(500);
+    expect(pricing.vat).toBe(Math.round((10000 + 500 + 1000) * 0.18));
+    expect(pricing.commission).toBe(0);
+    expect(pricing.total).toBe(10000 + 500 + 1000 + pricing.vat);
+    expect(pricing.pressingShare).toBe(11000);
+  });
+
+  test('la règle la plus spécifique l\'emporte par catégorie', () => {
+    const rules = [
+      rule({ type: 'commission', value: 10 }),
+      rule({ type: 'commission', value: 15, conditions: { category: 'Teinture' } }),
+      rule({ type: 'commission', value: 8, conditions: { pressing: PRESSING_ID } }),
+      rule({ type: 'commission', value: 1, conditions: { pressing: OTHER_PRESSING_ID } }),
+      rule({ type: 'commission', value: 20, conditions: { plan: 'annuel' } })
+    ];
+
+    const pricing = buildPricing(rules, {
+      pressing: PRESSING_ID,
+      plan: 'mensuel',
+      items: [
+        { category: 'lavage', amount: 10000 },
+        { category: 'teinture', amount: 2000 }
+      ]
+    });
+
+    // Règle du pressing pour toutes les lignes : 8% de 12000
+    expect(pricing.commission).toBe(960);
+
+    const generic = buildPricing(rules, {
+      pressing: THIRD_PRESSING_ID,
+      plan: 'mensuel',
+      items: [
+        { category: 'lavage', amount: 10000 },
+        { category: 'teinture', amount: 2000 }
+      ]
+    });
+
+    // 10% sur le lavage, 15% sur la teinture
+    expect(generic.commission).toBe(1000 + 300);
+    expect(generic.rules.filter(applied => applied.type === 'commission')).toHaveLength(2);
+  });
+
+  test('montant fixe, bornes et bases de TVA', () => {
+    const rules = [
+      rule({ type: 'service_fee', calculation: 'flat', value: 300 }),
+      rule({ type: 'commission', value: 10, maxAmount: 500 }),
+      rule({ type: 'vat', value: 18, appliesTo: ['service_fee'] })
+    ];
+
+    const pricing = buildPricing(rules, {
+      pressing: PRESSING_ID,
+      items: [{ category: 'lavage', amount: 8000 }],
+      deliveryFee: 1000
+    });
+
+    expect(pricing.serviceFee).toBe(300);
+    expect(pricing.commission).toBe(500);
+    expect(pricing.vat).toBe(54);
+    expect(pricing.platformRevenue).toBe(800);
+  });
+
+  test('le grand livre utilise l\'instantané de la commande', () => {
+    const pricing = buildPricing([rule({ type: 'commission', value: 10 })], {
+      pressing: PRESSING_ID,
+      items: [{ category: 'lavage', amount: 10000 }]
+    });
+    const order = { payment: { amount: { total: pricing.total } }, pricing, fees: [] };
+
+    const split = getOrderSplit(order);
+    expect(split.commission).toBe(pricing.platformRevenue);
+    expect(split.vat).toBe(pricing.vat);
+    expect(split.pressingShare).toBe(pricing.pressingShare);
+  });
+});
@@ -0,0 +1,60 @@
+/**
+ * Tests unitaires des étiquettes de vêtements (codes, code-barres) et de la vue de suivi
+ */
+
+const mongoose = require('mongoose');
+const code128 = require('../../src/utils/code128');
+const { generateTagCode, summarizeGarments } = require('../../src/services/garment.service');
+
+describe('Étiquettes de vêtements', () => {
+  test('les motifs Code 128 sont distincts et font 11 modules (13 pour l\'arrêt)', () => {
+    expect(code128.PATTERNS).toHaveLength(107);
+    expect(new Set(code128.PATTERNS).size).toBe(107);
+    code128.PATTERNS.forEach((pattern, value) => {
+      const modules = [...pattern].reduce((sum, width) => sum + Number(width), 0);
+      expect(modules).toBe(value === 106 ? 13 : 11);
+    });
+  });
+
+  test('le code-barres contient départ, données, clé de contrôle et arrêt', () => {
+    // (104 + 48×1 + 42×2 + 42×3 + 17×4 + 18×5 + 19×6 + 35×7) mod 103 = 55
+    const values = code128.encode('PJJ123C');
+    expect(values).toEqual([104, 48, 42, 42, 17, 18, 19, 35, 55, 106]);
+
+    const tag = generateTagCode();
+    const { modules } = code128.toBars(tag);
+    expect(modules).toBe((tag.length + 2) * 11 + 13);
+  });
+
+  test('les codes d\'étiquette évitent les caractères ambigus', () => {
+    for (let i = 0; i < 50; i += 1) {
+      expect(generateTagCode()).toMatch(/^GP-[2-9A-HJ-NP-Z]{8}$/);
+    }
+  });
+
+  test('le suivi regroupe les vêtements par article et compte les étapes', () => {
+    const shirt = new mongoose.Types.ObjectId();
+    const suit = new mongoose.Types.ObjectId();
+    const order = {
+      items: [
+        { _id: shirt, quantity: 2, serviceDetails: { name: 'Chemise' } },
+        { _id: suit, quantity: 1, serviceDetails: { name: 'Costume' } }
+      ]
+    };
+    const garment = (orderItem, status) => ({
+      tagCode: generateTagCode(),
+      orderItem,
+      description: 'Vêtement',
+      status,
+      scans: [{ status: 'received', scannedAt: new Date() }, { status, scannedAt: new Date() }]
+    });
+
+    const summary = summarizeGarments(order, [garment(shirt, 'washing'), garment(shirt, 'packed')]);
+
+    expect(summary.total).toBe(2);
+    expect(summary.byStatus).toMatchObject({ received: 0, washing: 1, packed: 1 });
+    expect(summary.items[0]).toMatchObject({ name: 'Chemise', quantity: 2, registered: 2 });
+    expect(summary.items[1]).toMatchObject({ name: 'Costume', registered: 0, garments: [] });
+    expect(summary.items[0].garments[1].history.map(entry => entry.status)).toEqual(['received', 'packed']);
+  });
+});
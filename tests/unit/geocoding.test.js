@@ -0,0 +1,71 @@
+/**
+ * Tests unitaires du géocodage (cache, répertoire des quartiers d'Abidjan)
+ */
+
+const mongoose = require('mongoose');
+const Admin = require('../../src/models/admin.model');
+const Client = require('../../src/models/client.model');
+const Pressing = require('../../src/models/pressing.model');
+const geocodingService = require('../../src/services/geocoding.service');
+const { registerPressingRules } = require('../../src/middleware/validators/auth.validator');
+const { registerPressing } = require('../../src/controllers/auth.controller');
+const { forwardKey, reverseKey, coalesce } = geocodingService;
+const { searchDistricts, matchAddress, nearest } = require('../../src/services/gazetteer.service');
+
+describe('Géocodage', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  test('les adresses équivalentes partagent la même clé de cache', () => {
+    expect(forwardKey('  Rue des Jardins, DEUX-PLATEAUX  ')).toBe(forwardKey('rue des jardins deux plateaux'));
+    expect(forwardKey('Port-Bouët')).toBe('forward:port bouet');
+    expect(reverseKey(5.359951, -3.966573)).toBe(reverseKey(5.35996, -3.96661));
+  });
+
+  test('les recherches simultanées ne font qu\'un appel', async () => {
+    let calls = 0;
+    const lookup = () => new Promise(resolve => setTimeout(() => resolve(++calls), 10));
+
+    const results = await Promise.all([coalesce('forward:cocody', lookup), coalesce('forward:cocody', lookup)]);
+    expect(results).toEqual([1, 1]);
+
+    // Une fois la recherche terminée, un nouvel appel est fait
+    expect(await coalesce('forward:cocody', lookup)).toBe(2);
+  });
+
+  test('le répertoire retrouve le quartier cité, le plus proche et l\'autocomplétion', () => {
+    const riviera = matchAddress('Villa 12, Riviera 3, Cocody - Abidjan');
+    expect(riviera).toMatchObject({ quartier: 'Riviera', district: 'Cocody', source: 'gazetteer' });
+
+    expect(matchAddress('Zone IV, rue du Canal')).toMatchObject({ quartier: 'Zone 4', district: 'Marcory' });
+    expect(matchAddress('Koumassi, près du marché')).toMatchObject({ quartier: null, district: 'Koumassi' });
+    expect(matchAddress('Bouaké centre')).toBeNull();
+
+    expect(nearest(5.3455, -4.0822).district).toBe('Yopougon');
+    expect(nearest(7.69, -5.03)).toBeNull();
+
+    const suggestions = searchDistricts('coc');
+    expect(suggestions[0]).toMatchObject({ type: 'commune', name: 'Cocody' });
+    expect(searchDistricts('2 plat')[0].name).toBe('Deux Plateaux');
+  });
+
+  test('un pressing à l\'adresse introuvable n\'est pas placé à une position par défaut', async () => {
+    const req = {
+      body: {
+        nom: 'Koffi', prenom: 'Ange', email: 'pressing@example.com', password: 'motdepasse1', telephone: '+2250700000001',
+        nomCommerce: 'Pressing Étoile', adresse: 'Lot 42', ville: 'Abidjan', codePostal: '00225'
+      }
+    };
+    await Promise.all(registerPressingRules.map(rule => rule.run(req)));
+    [Admin, Client, Pressing].forEach(Model => jest.spyOn(Model, 'findOne').mockResolvedValue(null));
+    jest.spyOn(geocodingService, 'getGeocode').mockResolvedValue(null);
+    const startSession = jest.spyOn(mongoose, 'startSession');
+    const next = jest.fn();
+
+    await registerPressing(req, {}, next);
+
+    const [error] = next.mock.calls[0];
+    expect(error.statusCode).toBe(400);
+    expect(error.message).toContain('Adresse du pressing introuvable');
+    expect(startSession).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,103 @@
+/**
+ * Tests unitaires de la preuve de remise
+ */
+
+const mongoose = require('mongoose');
+const config = require('../../src/config/config');
+const Order = require('../../src/models/order.model');
+const DeliveryProof = require('../../src/models/deliveryProof.model');
+const { checkTransition } = require('../../src/config/orderStatus');
+const { checkCode, hashCode, recordHandover } = require('../../src/services/handover.service');
+
+const pendingProof = (code, overrides = {}) => {
+  const _id = new mongoose.Types.ObjectId();
+  return {
+    _id,
+    code: {
+      hash: hashCode(_id, code),
+      expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+      failedAttempts: 0,
+      ...overrides
+    }
+  };
+};
+
+describe('Preuve de remise', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  test('le code de remise est vérifié, expiré ou bloqué après trop d\'erreurs', () => {
+    const proof = pendingProof('048213');
+
+    expect(checkCode(proof, '048213')).toBeNull();
+    expect(checkCode(proof, ' 048213 ')).toBeNull();
+    expect(checkCode(proof, '048214').code).toBe('HANDOVER_CODE_INVALID');
+    expect(checkCode(proof, '').code).toBe('HANDOVER_CODE_REQUIRED');
+    expect(checkCode(pendingProof('048213', { expiresAt: new Date(Date.now() - 1000) }), '048213').code).toBe('HANDOVER_CODE_EXPIRED');
+    expect(checkCode(pendingProof('048213', { failedAttempts: config.handover.maxCodeAttempts }), '048213').code).toBe('HANDOVER_CODE_LOCKED');
+    expect(checkCode({ _id: proof._id, code: {} }, '048213').code).toBe('HANDOVER_CODE_MISSING');
+  });
+
+  test('une commande en livraison n\'est terminée qu\'avec la preuve de remise', () => {
+    const order = new Order({
+      customer: new mongoose.Types.ObjectId(),
+      pressing: new mongoose.Types.ObjectId(),
+      status: 'out_for_delivery',
+      serviceType: 'delivery',
+      payment: { method: 'cash', amount: { subtotal: 0, total: 0 } }
+    });
+
+    const refused = checkTransition(order, 'completed', 'pressing');
+    expect(refused.allowed).toBe(false);
+    expect(refused.code).toBe('ORDER_TRANSITION_GUARD_FAILED');
+    // Arbitrage de l'administration
+    expect(checkTransition(order, 'completed', 'admin').allowed).toBe(true);
+
+    order.delivery.proof = new mongoose.Types.ObjectId();
+    expect(checkTransition(order, 'completed', 'pressing').allowed).toBe(true);
+  });
+
+  test('une commande en livraison prête au pressing ne passe pas à terminée sans preuve de remise', () => {
+    const build = (serviceType) => new Order({
+      customer: new mongoose.Types.ObjectId(),
+      pressing: new mongoose.Types.ObjectId(),
+      status: 'ready_for_pickup',
+      serviceType,
+      payment: { method: 'cash', amount: { subtotal: 0, total: 0 } }
+    });
+
+    const delivery = build('delivery');
+    const refused = checkTransition(delivery, 'completed', 'pressing');
+    expect(refused.allowed).toBe(false);
+    expect(refused.code).toBe('ORDER_TRANSITION_GUARD_FAILED');
+    expect(checkTransition(delivery, 'completed', 'system').allowed).toBe(false);
+    expect(checkTransition(delivery, 'completed', 'admin').allowed).toBe(true);
+
+    delivery.delivery.proof = new mongoose.Types.ObjectId();
+    expect(checkTransition(delivery, 'completed', 'pressing').allowed).toBe(true);
+
+    // Le retrait en boutique reste terminé directement par le pressing
+    expect(checkTransition(build('pickup'), 'completed', 'pressing').allowed).toBe(true);
+  });
+
+  test('des codes erronés saisis en parallèle ne dépassent pas le nombre d\'essais', async () => {
+    const proof = pendingProof('048213');
+    const order = { _id: new mongoose.Types.ObjectId() };
+    jest.spyOn(DeliveryProof, 'findOne').mockReturnValue({ select: async () => proof });
+    // Compteur en base : l'incrément n'a lieu que sous le plafond
+    let failedAttempts = 0;
+    const update = jest.spyOn(DeliveryProof, 'findOneAndUpdate').mockImplementation(async () => {
+      if (failedAttempts >= config.handover.maxCodeAttempts) return null;
+      failedAttempts += 1;
+      return { code: { failedAttempts } };
+    });
+
+    const attempts = Array.from({ length: config.handover.maxCodeAttempts + 2 }, () =>
+      recordHandover(order, 'delivery', { id: 'rider', role: 'rider' }, { code: '999999' }).catch(error => error.message));
+    const messages = await Promise.all(attempts);
+
+    expect(failedAttempts).toBe(config.handover.maxCodeAttempts);
+    expect(messages.filter(message => message.startsWith('Code de remise incorrect'))).toHaveLength(config.handover.maxCodeAttempts);
+    expect(messages.filter(message => message.startsWith('Trop de codes erronés'))).toHaveLength(2);
+    expect(update.mock.calls[0][1]).toEqual({ $inc: { 'code.failedAttempts': 1 } });
+  });
+});
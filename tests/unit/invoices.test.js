@@ -0,0 +1,130 @@
+/**
+ * Tests unitaires des factures et avoirs légaux
+ */
+
+const mongoose = require('mongoose');
+const Invoice = require('../../src/models/invoice.model');
+const InvoiceSequence = require('../../src/models/invoiceSequence.model');
+const invoiceService = require('../../src/services/invoice.service');
+const { formatNumber, splitVat, subscriptionLines, orderLines } = invoiceService;
+
+// Facture de commande de 11 800 XOF TTC dont 1 800 de TVA, émise par le pressing
+const orderInvoice = () => Invoice.hydrate({
+  _id: new mongoose.Types.ObjectId(),
+  number: 'FA-2026-000007',
+  documentType: 'invoice',
+  issuerKey: 'pressing:64b000000000000000000003',
+  source: 'order',
+  issuer: { kind: 'pressing', id: '64b000000000000000000003', name: 'Pressing du Plateau' },
+  recipient: { kind: 'client', name: 'Awa Koné' },
+  lines: [{ description: 'Commande', unitPrice: 10000, amount: 10000 }],
+  totalExclTax: 10000,
+  vatRate: 18,
+  vat: 1800,
+  total: 11800
+});
+
+describe('Factures et avoirs', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  test('numéro continu par type de document et TVA extraite d\'un prix TTC', () => {
+    expect(formatNumber('invoice', 2026, 42)).toBe('FA-2026-000042');
+    expect(formatNumber('credit_note', 2026, 3)).toBe('AV-2026-000003');
+
+    expect(splitVat(5900, 18)).toEqual({ totalExclTax: 5000, vat: 900 });
+    expect(splitVat(5000, 0)).toEqual({ totalExclTax: 5000, vat: 0 });
+  });
+
+  test('lignes d\'une montée en gamme et d\'une commande', () => {
+    const proration = subscriptionLines({
+      kind: 'proration',
+      subtotal: 3000,
+      periodStart: new Date('2026-03-10'),
+      periodEnd: new Date('2026-04-01'),
+      planChange: { fromPlan: 'mensuel', charge: 7000, credit: 4000 }
+    }, 'Premium');
+    expect(proration.map(line => line.amount)).toEqual([7000, -4000]);
+
+    const lines = orderLines({
+      items: [{
+        serviceDetails: { name: 'Chemise' },
+        quantity: 3,
+        unitPrice: 1000,
+        options: [{ name: 'Repassage', additionalCost: 500 }]
+      }],
+      fees: [{ name: 'Livraison', amount: 1500 }],
+      payment: { amount: { discount: 1000 } }
+    });
+    expect(lines.map(line => line.amount)).toEqual([3500, 1500, -1000]);
+    expect(lines[0].description).toBe('Chemise (Repassage)');
+  });
+
+  test('un document émis ne peut pas être enregistré à nouveau', async () => {
+    const invoice = Invoice.hydrate({
+      _id: '64b000000000000000000001',
+      number: 'FA-2026-000001',
+      documentType: 'invoice',
+      issuerKey: 'platform',
+      year: 2026,
+      sequence: 1,
+      source: 'subscription',
+      sourceKey: 'subscription:64b000000000000000000002',
+      issuer: { kind: 'platform', name: 'GeoPressCI' },
+      recipient: { kind: 'pressing', name: 'Pressing du Plateau' },
+      pressing: '64b000000000000000000003',
+      lines: [{ description: 'Abonnement', unitPrice: 5000, amount: 5000 }],
+      totalExclTax: 5000,
+      total: 5900
+    });
+    invoice.total = 0;
+
+    await expect(invoice.save()).rejects.toThrow('ne peuvent pas être modifiés');
+  });
+
+  test('le restant à créditer est relu dans la transaction d\'émission de l\'avoir', async () => {
+    const invoice = orderInvoice();
+    const steps = [];
+    jest.spyOn(mongoose, 'startSession').mockResolvedValue({
+      withTransaction: async (work) => work(),
+      abortTransaction: async () => steps.push('abort'),
+      endSession: () => {}
+    });
+    jest.spyOn(InvoiceSequence, 'findOneAndUpdate').mockImplementation(async () => {
+      steps.push('sequence');
+      return { value: 8 };
+    });
+    // 10 000 XOF déjà crédités au moment de la transaction
+    let credited = 10000;
+    jest.spyOn(Invoice, 'aggregate').mockImplementation(() => ({
+      session: async (session) => {
+        steps.push(session ? 'credited' : 'credited hors transaction');
+        return [{ total: credited }];
+      }
+    }));
+    const findOne = jest.spyOn(Invoice, 'findOne').mockImplementation(async ({ _id }) => (_id ? invoice : null));
+    jest.spyOn(Invoice, 'create').mockImplementation(async ([fields]) => [fields]);
+
+    // Remboursement : plafonné au restant
+    const creditNote = await invoiceService.issueCreditNote(invoice, { amount: 5000, reason: 'Remboursement', sourceKey: 'order_refund:1' });
+    expect(steps).toEqual(['sequence', 'credited']);
+    expect(creditNote).toMatchObject({ number: 'AV-2026-000008', total: 1800, vat: 275, totalExclTax: 1525 });
+
+    // Avoir manuel : refusé au-delà du restant ou sans clé d'idempotence
+    const user = { id: '64b000000000000000000003', role: 'pressing' };
+    await expect(invoiceService.issueManualCreditNote(user, invoice._id, { amount: 2000, reason: 'Geste commercial', idempotencyKey: 'ui-7f3a9c21' }))
+      .rejects.toThrow('supérieur au restant à créditer (1800 XOF)');
+    await expect(invoiceService.issueManualCreditNote(user, invoice._id, { amount: 500, reason: 'Geste commercial' }))
+      .rejects.toThrow('Idempotency-Key');
+
+    // Facture soldée entre-temps : rien n'est émis et le numéro réservé est rendu
+    credited = 11800;
+    expect(await invoiceService.issueCreditNote(invoice, { amount: 5000, reason: 'Remboursement', sourceKey: 'order_refund:2' })).toBeNull();
+    expect(steps[steps.length - 1]).toBe('abort');
+
+    // Requête rejouée avec la même clé : l'avoir déjà émis est renvoyé
+    const existing = { number: 'AV-2026-000008' };
+    findOne.mockImplementation(async ({ _id, sourceKey }) => (_id ? invoice : sourceKey === `manual:${invoice._id}:ui-7f3a9c21` ? existing : null));
+    expect(await invoiceService.issueManualCreditNote(user, invoice._id, { amount: 2000, reason: 'Geste commercial', idempotencyKey: 'ui-7f3a9c21' }))
+      .toBe(existing);
+  });
+});
@@ -0,0 +1,113 @@
+/**
+ * Tests unitaires du grand livre en partie double
+ */
+
+const mongoose = require('mongoose');
+const LedgerAccount = require('../../src/models/ledgerAccount.model');
+const LedgerEntry = require('../../src/models/ledgerEntry.model');
+const ledgerService = require('../../src/services/ledger.service');
+
+const pressingId = new mongoose.Types.ObjectId();
+
+// Comptes créés à la volée, écritures validées (équilibre) sans base de données
+const stubLedger = () => {
+  jest.spyOn(LedgerAccount, 'findOneAndUpdate').mockImplementation(async ({ code }) => {
+    const [category] = code.split(':');
+    return new LedgerAccount({ code, category, type: LedgerAccount.ACCOUNT_CATEGORIES[category], name: code });
+  });
+  jest.spyOn(LedgerEntry, 'findOne').mockResolvedValue(null);
+  return jest.spyOn(LedgerEntry, 'create').mockImplementation(async (fields) => {
+    const entry = new LedgerEntry(fields);
+    await entry.validate();
+    return entry;
+  });
+};
+
+const order = {
+  _id: new mongoose.Types.ObjectId(),
+  orderNumber: 'CMD-0001',
+  pressing: pressingId,
+  payment: { amount: { total: 12980 } },
+  pricing: { platformRevenue: 500, vat: 1980 }
+};
+const transaction = {
+  _id: new mongoose.Types.ObjectId(),
+  reference: 'TXN-1',
+  amount: 12980,
+  currency: 'XOF',
+  paymentProvider: 'orange',
+  user: { id: new mongoose.Types.ObjectId(), type: 'Client' }
+};
+
+describe('Grand livre', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  test('un encaissement est réparti entre pressing, plateforme et TVA en écriture équilibrée', async () => {
+    expect(ledgerService.getOrderSplit(order)).toEqual({ total: 12980, commission: 500, vat: 1980, pressingShare: 10500 });
+    // Commande antérieure aux règles de frais : les frais de service font la commission
+    expect(ledgerService.getOrderSplit({ payment: { amount: { total: 5000 } }, fees: [{ type: 'service', amount: 250 }, { type: 'delivery', amount: 1000 }] }))
+      .toEqual({ total: 5000, commission: 250, vat: 0, pressingShare: 4750 });
+
+    stubLedger();
+    const entry = await ledgerService.recordOrderCapture(order, transaction);
+
+    expect(entry.totals.debit).toBe(entry.totals.credit);
+    expect(entry.lines.map(line => [line.accountCode, line.direction, line.amount])).toEqual([
+      ['provider_clearing:orange', 'debit', 12980],
+      [`pressing_balance:${pressingId}`, 'credit', 10500],
+      ['platform_commission', 'credit', 500],
+      ['vat_collected', 'credit', 1980]
+    ]);
+
+    const unbalanced = new LedgerEntry({
+      reference: 'adj-1',
+      type: 'adjustment',
+      lines: [
+        { account: new mongoose.Types.ObjectId(), accountCode: 'refunds', direction: 'debit', amount: 100 },
+        { account: new mongoose.Types.ObjectId(), accountCode: 'compensations', direction: 'credit', amount: 90 }
+      ]
+    });
+    await expect(unbalanced.validate()).rejects.toThrow('déséquilibrée');
+  });
+
+  test('une écriture déjà passée sous la même référence est renvoyée sans doublon', async () => {
+    const create = stubLedger();
+    const existing = { reference: 'order_capture:TXN-1' };
+    LedgerEntry.findOne.mockResolvedValueOnce(existing);
+
+    expect(await ledgerService.recordOrderCapture(order, transaction)).toBe(existing);
+    expect(create).not.toHaveBeenCalled();
+
+    // Écriture passée en parallèle : l'index unique de la référence tranche
+    create.mockRejectedValueOnce(Object.assign(new Error('E11000'), { code: 11000 }));
+    LedgerEntry.findOne.mockResolvedValueOnce(null).mockResolvedValueOnce(existing);
+    expect(await ledgerService.recordOrderCapture(order, transaction)).toBe(existing);
+  });
+
+  test('la balance générale compare débits et crédits au centime près', async () => {
+    jest.spyOn(LedgerEntry, 'aggregate').mockResolvedValue([
+      { _id: 'provider_clearing:orange', debit: 12980, credit: 0 },
+      { _id: `pressing_balance:${pressingId}`, debit: 0, credit: 10500 },
+      { _id: 'platform_commission', debit: 0, credit: 500 },
+      { _id: 'vat_collected', debit: 0, credit: 1980 }
+    ]);
+    const accounts = [
+      new LedgerAccount({ code: 'provider_clearing:orange', category: 'provider_clearing', type: 'asset', name: 'Orange' }),
+      new LedgerAccount({ code: `pressing_balance:${pressingId}`, category: 'pressing_balance', type: 'liability', name: 'Pressing' }),
+      new LedgerAccount({ code: 'platform_commission', category: 'platform_commission', type: 'revenue', name: 'Commissions' }),
+      new LedgerAccount({ code: 'vat_collected', category: 'vat_collected', type: 'liability', name: 'TVA' })
+    ];
+    jest.spyOn(LedgerAccount, 'find').mockImplementation(async ({ code }) => accounts.filter(account => code.$in.includes(account.code)));
+
+    const balance = await ledgerService.getTrialBalance();
+    expect(balance).toMatchObject({ totalDebit: 12980, totalCredit: 12980, balanced: true });
+    // Solde dans le sens normal : débiteur pour l'opérateur, créditeur pour le pressing
+    expect(balance.accounts.map(account => account.balance)).toEqual([12980, 10500, 500, 1980]);
+
+    LedgerEntry.aggregate.mockResolvedValue([
+      { _id: 'provider_clearing:orange', debit: 100.01, credit: 0 },
+      { _id: 'platform_commission', debit: 0, credit: 100 }
+    ]);
+    expect((await ledgerService.getTrialBalance()).balanced).toBe(false);
+  });
+});
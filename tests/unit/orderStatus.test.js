@@ -0,0 +1,91 @@
+/**
+ * Tests unitaires du cycle de vie des commandes
+ */
+
+const mongoose = require('mongoose');
+const Order = require('../../src/models/order.model');
+const orderStatusService = require('../../src/services/orderStatus.service');
+const { checkTransition, getAllowedTransitions, actorFromRole } = require('../../src/config/orderStatus');
+
+const buildOrder = (status, extra = {}) => new Order({
+  customer: new mongoose.Types.ObjectId(),
+  pressing: new mongoose.Types.ObjectId(),
+  serviceType: 'pickup',
+  status,
+  items: [{
+    service: new mongoose.Types.ObjectId(),
+    pressing: new mongoose.Types.ObjectId(),
+    serviceDetails: { name: 'Chemise', price: 1000, category: 'repassage' },
+    quantity: 2,
+    unitPrice: 1000
+  }],
+  payment: { method: 'cash', amount: { subtotal: 2000, total: 2000 } },
+  ...extra
+});
+
+describe('Cycle de vie des commandes', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  test('autorise le parcours nominal jusqu\'à la remise', () => {
+    const order = buildOrder('pending');
+    order.transitionTo('confirmed', { actor: 'pressing' });
+    order.transitionTo('processing', { actor: 'pressing' });
+    order.transitionTo('ready_for_pickup', { actor: 'pressing' });
+    order.transitionTo('completed', { actor: 'pressing' });
+
+    expect(order.status).toBe('completed');
+    expect(order.statusHistory.map(h => h.status)).toEqual(['confirmed', 'processing', 'ready_for_pickup', 'completed']);
+    expect(order.items[0].status).toBe('picked_up');
+  });
+
+  test('refuse un retour en arrière avec une erreur structurée', () => {
+    const order = buildOrder('processing');
+
+    expect(() => order.transitionTo('pending', { actor: 'pressing' })).toThrow(expect.objectContaining({
+      code: 'INVALID_ORDER_TRANSITION',
+      statusCode: 409,
+      details: expect.objectContaining({ from: 'processing', to: 'pending' })
+    }));
+    expect(order.status).toBe('processing');
+  });
+
+  test('réserve chaque transition aux acteurs habilités', () => {
+    expect(checkTransition(buildOrder('processing'), 'cancelled', 'customer')).toMatchObject({
+      allowed: false,
+      code: 'ORDER_TRANSITION_FORBIDDEN'
+    });
+    expect(getAllowedTransitions('pending', 'customer')).toEqual(['cancelled']);
+  });
+
+  test('ne reprend une commande en attente qu\'à son statut précédent', () => {
+    const order = buildOrder('confirmed');
+    order.transitionTo('processing', { actor: 'pressing' });
+    order.transitionTo('on_hold', { actor: 'pressing' });
+
+    expect(checkTransition(order, 'confirmed', 'pressing').allowed).toBe(false);
+    expect(checkTransition(order, 'processing', 'pressing').allowed).toBe(true);
+  });
+
+  test('n\'autorise le remboursement que si le paiement est encaissé', () => {
+    expect(checkTransition(buildOrder('completed'), 'refunded', 'admin').code).toBe('ORDER_TRANSITION_GUARD_FAILED');
+
+    const paidOrder = buildOrder('completed');
+    paidOrder.payment.status = 'captured';
+    expect(checkTransition(paidOrder, 'refunded', 'admin').allowed).toBe(true);
+  });
+
+  test('ne donne aucun droit à un rôle inconnu', () => {
+    expect(actorFromRole('guest')).toBeNull();
+    expect(actorFromRole('client')).toBe('customer');
+  });
+
+  test('l\'annulation par la commande passe par les effets de bord de la transition', async () => {
+    const order = buildOrder('confirmed');
+    const transition = jest.spyOn(orderStatusService, 'transitionOrder').mockResolvedValue({ order, previousStatus: 'confirmed' });
+    const save = jest.spyOn(order, 'save');
+
+    expect(await order.cancel('Client absent', 'customer')).toBe(order);
+    expect(transition).toHaveBeenCalledWith(order, 'cancelled', expect.objectContaining({ actor: 'customer', notes: 'Client absent' }));
+    expect(save).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,195 @@
+/**
+ * Tests unitaires des adaptateurs de paiement Mobile Money
+ */
+
+const SandboxProvider = require('../../src/services/paymentProviders/sandbox.provider');
+const WaveProvider = require('../../src/services/paymentProviders/wave.provider');
+const WebhookEvent = require('../../src/models/webhookEvent.model');
+const config = require('../../src/config/config');
+const paymentWebhookService = require('../../src/services/paymentWebhook.service');
+const paymentService = require('../../src/services/payment.service');
+const { normalizeProviderName, computeSignature, assertWebhookSecret, PAYMENT_STATUS } = require('../../src/services/paymentProviders');
+
+describe('Adaptateurs de paiement', () => {
+  test('normalise les identifiants historiques du frontend', () => {
+    expect(normalizeProviderName('orangemoney')).toBe('orange');
+    expect(normalizeProviderName('MTNMOMO')).toBe('mtn');
+    expect(normalizeProviderName('wave')).toBe('wave');
+    expect(() => normalizeProviderName('paypal')).toThrow('Opérateur de paiement non supporté');
+  });
+
+  test('la sandbox est déterministe selon le numéro du payeur', async () => {
+    const sandbox = new SandboxProvider('orange');
+    const outcomes = {};
+
+    for (const phoneNumber of ['0700000000', '0700001111', '0700002222', '0712345678']) {
+      const { providerReference } = await sandbox.initiatePayment({ reference: phoneNumber, amount: 5000, phoneNumber });
+      const { status } = await sandbox.getPaymentStatus({ providerReference, phoneNumber });
+      outcomes[phoneNumber] = status;
+    }
+
+    expect(outcomes).toEqual({
+      '0700000000': PAYMENT_STATUS.FAILED,
+      '0700001111': PAYMENT_STATUS.PENDING,
+      '0700002222': PAYMENT_STATUS.CANCELLED,
+      '0712345678': PAYMENT_STATUS.SUCCEEDED
+    });
+  });
+
+  test('la sandbox refuse un remboursement supérieur au montant payé', async () => {
+    const sandbox = new SandboxProvider('mtn');
+    const { providerReference } = await sandbox.initiatePayment({ reference: 'TXN-1', amount: 3000, phoneNumber: '0500000001' });
+    const transaction = { providerReference };
+
+    await sandbox.refundPayment(transaction, { amount: 2000, reference: 'RFD-1' });
+    await expect(sandbox.refundPayment(transaction, { amount: 1500, reference: 'RFD-2' }))
+      .rejects.toThrow('Montant du remboursement supérieur au montant payé');
+  });
+
+  test('interprète une notification Wave', () => {
+    const wave = new WaveProvider({ apiKey: 'test' });
+    const event = wave.parseWebhook({
+      id: 'EV_1',
+      type: 'checkout.session.completed',
+      data: { id: 'cos-1', client_reference: 'TXN-1', checkout_status: 'complete', payment_status: 'succeeded', amount: '5000' }
+    });
+
+    expect(event).toMatchObject({
+      eventId: 'EV_1',
+      reference: 'TXN-1',
+      providerReference: 'cos-1',
+      status: PAYMENT_STATUS.SUCCEEDED,
+      amount: 5000
+    });
+    expect(wave.supportsPartialRefund()).toBe(false);
+  });
+
+  describe('signature des webhooks', () => {
+    const secret = 'whsec_test';
+    const rawBody = JSON.stringify({ reference: 'TXN-1', status: 'SUCCEEDED' });
+    const now = 1700000000000;
+    const timestamp = now / 1000;
+    const verify = (provider, headers, options = {}) => provider.verifyWebhookSignature({
+      rawBody, headers, secret, toleranceSeconds: 300, now, ...options
+    });
+
+    test('accepte une signature valide et rejette un corps modifié', () => {
+      const sandbox = new SandboxProvider('orange');
+      const headers = {
+        'x-webhook-timestamp': String(timestamp),
+        'x-webhook-signature': computeSignature(secret, `${timestamp}.${rawBody}`)
+      };
+
+      expect(verify(sandbox, headers)).toEqual({ valid: true, timestamp });
+      expect(verify(sandbox, headers, { rawBody: rawBody.replace('TXN-1', 'TXN-2') }))
+        .toMatchObject({ valid: false, reason: 'Signature invalide' });
+      expect(verify(sandbox, headers, { secret: undefined }))
+        .toMatchObject({ valid: false, reason: 'Secret de webhook non configuré' });
+    });
+
+    test('rejette un horodatage hors tolérance', () => {
+      const sandbox = new SandboxProvider('mtn');
+      const old = timestamp - 301;
+      const headers = {
+        'x-webhook-timestamp': String(old),
+        'x-webhook-signature': computeSignature(secret, `${old}.${rawBody}`)
+      };
+
+      expect(verify(sandbox, headers)).toMatchObject({ valid: false, reason: 'Horodatage hors de la tolérance' });
+    });
+
+    test('vérifie l\'en-tête Wave-Signature', () => {
+      const wave = new WaveProvider({ apiKey: 'test' });
+      const signature = computeSignature(secret, `${timestamp}${rawBody}`);
+
+      expect(verify(wave, { 'wave-signature': `t=${timestamp},v1=deadbeef,v1=${signature}` }).valid).toBe(true);
+      expect(verify(wave, { 'wave-signature': `t=${timestamp},v1=deadbeef` }).valid).toBe(false);
+    });
+
+    test('une notification rejetée n\'est journalisée que par ses métadonnées', async () => {
+      const create = jest.spyOn(WebhookEvent, 'create').mockResolvedValue({});
+      try {
+        await expect(paymentWebhookService.receiveWebhook('orange', {
+          rawBody,
+          payload: JSON.parse(rawBody),
+          headers: { 'x-webhook-timestamp': String(Math.floor(Date.now() / 1000)), 'x-webhook-signature': 'deadbeef', authorization: 'Bearer x' },
+          sourceIp: '203.0.113.7'
+        })).rejects.toThrow('Notification rejetée');
+
+        const [logged] = create.mock.calls[0];
+        expect(logged).toMatchObject({ provider: 'orange', status: 'rejected', signatureValid: false, sourceIp: '203.0.113.7' });
+        expect(logged).not.toHaveProperty('rawBody');
+        expect(logged).not.toHaveProperty('payload');
+        expect(logged.headers).not.toHaveProperty('authorization');
+        expect(logged.eventId).toHaveLength(64);
+      } finally {
+        create.mockRestore();
+      }
+    });
+
+    test('un événement resté en traitement après un arrêt du serveur peut être rejoué', async () => {
+      const timeoutMs = config.payments.webhooks.processingTimeoutMinutes * 60 * 1000;
+      const build = (updatedAt) => WebhookEvent.hydrate({
+        _id: '64b000000000000000000001',
+        provider: 'orange',
+        eventId: 'evt-1',
+        status: 'processing',
+        signatureValid: true,
+        attempts: 1,
+        payload: {},
+        replays: [],
+        updatedAt
+      });
+      const matches = (event, filter) => filter.$or.some(({ status, updatedAt }) =>
+        (status.$in ? status.$in.includes(event.status) : status === event.status) &&
+        (!updatedAt || event.updatedAt < updatedAt.$lt));
+
+      let stored;
+      jest.spyOn(WebhookEvent, 'findById').mockImplementation(async () => stored);
+      jest.spyOn(WebhookEvent, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+        if (!matches(stored, filter)) return null;
+        stored.set(update.$set);
+        return stored;
+      });
+      jest.spyOn(WebhookEvent.prototype, 'save').mockImplementation(async function () { return this; });
+      const handle = jest.spyOn(paymentService, 'handleWebhook').mockResolvedValue({ transaction: { _id: '64b000000000000000000002' } });
+
+      try {
+        // Traitement encore en cours : pas de second traitement concurrent
+        stored = build(new Date(Date.now() - 60 * 1000));
+        await expect(paymentWebhookService.replayWebhookEvent(stored._id)).rejects.toThrow('en cours de traitement');
+        expect(handle).not.toHaveBeenCalled();
+
+        // Traitement interrompu depuis plus que le délai configuré
+        stored = build(new Date(Date.now() - timeoutMs - 60 * 1000));
+        const replayed = await paymentWebhookService.replayWebhookEvent(stored._id, { replayedBy: 'admin-1' });
+        expect(handle).toHaveBeenCalledTimes(1);
+        expect(replayed.status).toBe('processed');
+        expect(replayed.attempts).toBe(2);
+        expect(replayed.replays[0].outcome).toBe('processed');
+      } finally {
+        jest.restoreAllMocks();
+      }
+    });
+
+    test('le serveur ne démarre pas en sandbox sans secret de webhook', () => {
+      const { mode, webhooks } = config.payments;
+      const sandboxSecret = webhooks.sandboxSecret;
+      try {
+        config.payments.mode = 'sandbox';
+        webhooks.sandboxSecret = undefined;
+        expect(() => assertWebhookSecret()).toThrow('PAYMENT_SANDBOX_WEBHOOK_SECRET');
+
+        webhooks.sandboxSecret = secret;
+        expect(() => assertWebhookSecret()).not.toThrow();
+
+        config.payments.mode = 'live';
+        webhooks.sandboxSecret = undefined;
+        expect(() => assertWebhookSecret()).not.toThrow();
+      } finally {
+        config.payments.mode = mode;
+        webhooks.sandboxSecret = sandboxSecret;
+      }
+    });
+  });
+});
@@ -0,0 +1,135 @@
+/**
+ * Tests unitaires des reversements aux pressings
+ */
+
+const mongoose = require('mongoose');
+const Payout = require('../../src/models/payout.model');
+const Order = require('../../src/models/order.model');
+const Pressing = require('../../src/models/pressing.model');
+const Transaction = require('../../src/models/transaction.model');
+const payoutService = require('../../src/services/payout.service');
+const notificationService = require('../../src/services/notification.service');
+const { getProvider } = require('../../src/services/paymentProviders');
+const config = require('../../src/config/config');
+
+const pressingId = new mongoose.Types.ObjectId();
+const pressing = {
+  _id: pressingId,
+  businessName: 'Pressing du Plateau',
+  payoutSettings: { method: 'mobile_money', provider: 'orange', phoneNumber: '+2250700000001' }
+};
+
+// Commande terminée : 10 000 XOF payés, 500 de commission, 1 000 de TVA
+const completedOrder = (fields = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  orderNumber: 'CMD-0001',
+  pressing: pressingId,
+  statusHistory: [{ status: 'completed', changedAt: new Date('2026-10-01T10:00:00Z') }],
+  payment: { amount: { total: 10000 }, refunds: [] },
+  pricing: { platformRevenue: 500, vat: 1000 },
+  ...fields
+});
+
+const payoutDoc = (fields = {}) => Payout.hydrate({
+  _id: new mongoose.Types.ObjectId(),
+  pressing: pressingId,
+  amount: 8500,
+  currency: 'XOF',
+  status: 'processing',
+  paymentMethod: 'mobile_money',
+  provider: 'orange',
+  paymentDetails: { phoneNumber: '+2250700000001' },
+  reference: 'PAY-20261005-0001',
+  attempts: 1,
+  transactions: [],
+  ...fields
+});
+
+describe('Reversements', () => {
+  beforeEach(() => {
+    jest.spyOn(Payout.prototype, 'save').mockImplementation(function save() {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(Transaction.prototype, 'save').mockImplementation(function save() {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(notificationService, 'notifyPayoutStatusUpdate').mockResolvedValue(null);
+  });
+  afterEach(() => jest.restoreAllMocks());
+
+  test('part du pressing nette des remboursements, reportée sous le minimum', async () => {
+    const line = payoutService.computeOrderSettlement(completedOrder({
+      payment: { amount: { total: 10000 }, refunds: [{ amount: 2000 }] }
+    }));
+    // Remboursement supporté au prorata : 2 000 x 8 500 / 10 000
+    expect(line).toMatchObject({ grossAmount: 10000, commission: 500, vat: 1000, refunds: 1700, netAmount: 6800 });
+
+    jest.spyOn(Pressing, 'findById').mockResolvedValue(pressing);
+    const find = jest.spyOn(Order, 'find').mockResolvedValue([completedOrder({
+      payment: { amount: { total: 1000 }, refunds: [] },
+      pricing: { platformRevenue: 50, vat: 100 }
+    })]);
+    const reserve = jest.spyOn(Order, 'updateMany').mockResolvedValue({ modifiedCount: 1 });
+
+    expect(config.payouts.minimumAmount).toBe(1000);
+    expect(await payoutService.createPayoutForPressing(pressingId)).toBeNull();
+    expect(reserve).not.toHaveBeenCalled();
+
+    // Seules les commandes terminées, payées en ligne et pas encore reversées sont retenues
+    expect(find.mock.calls[0][0]).toMatchObject({
+      status: 'completed',
+      'payment.method': { $in: ['mobile_money', 'wallet'] },
+      payout: null
+    });
+  });
+
+  test('un reversement ne peut être lancé qu\'une fois et ses commandes ne sont réservées qu\'une fois', async () => {
+    // Commandes réservées entre-temps par un autre calcul : rien à reverser, la réservation est rendue
+    jest.spyOn(Pressing, 'findById').mockResolvedValue(pressing);
+    jest.spyOn(Order, 'find')
+      .mockResolvedValueOnce([completedOrder()])
+      .mockResolvedValueOnce([]);
+    const updateMany = jest.spyOn(Order, 'updateMany').mockResolvedValue({ modifiedCount: 0 });
+    const create = jest.spyOn(Payout, 'create');
+
+    expect(await payoutService.createPayoutForPressing(pressingId)).toBeNull();
+    expect(create).not.toHaveBeenCalled();
+    expect(updateMany.mock.calls[0][0]).toMatchObject({ payout: null });
+    expect(updateMany.mock.calls[1][1]).toEqual({ $set: { payout: null } });
+
+    // Second lancement du même reversement : il n'est plus en attente
+    const claim = jest.spyOn(Payout, 'findOneAndUpdate').mockResolvedValue(null);
+    await expect(payoutService.processPayout('64b000000000000000000001'))
+      .rejects.toThrow('Seul un reversement en attente');
+    expect(claim.mock.calls[0][0]).toEqual({ _id: '64b000000000000000000001', status: 'pending' });
+  });
+
+  test('un virement refusé ou annulé par l\'opérateur met le reversement en échec', async () => {
+    const payout = payoutDoc();
+    jest.spyOn(Payout, 'findOneAndUpdate').mockResolvedValue(payout);
+    jest.spyOn(Pressing, 'findById').mockReturnValue({ select: () => Promise.resolve(pressing) });
+    jest.spyOn(Transaction, 'create').mockImplementation(async (fields) => Transaction.hydrate({
+      _id: new mongoose.Types.ObjectId(),
+      ...fields
+    }));
+    jest.spyOn(getProvider('orange'), 'initiatePayout').mockRejectedValue(new Error('Opérateur indisponible'));
+
+    const failed = await payoutService.processPayout(payout._id);
+    expect(failed.status).toBe('failed');
+    expect(failed.failureReason).toBe('Opérateur indisponible');
+
+    // Retrait annulé après coup par l'opérateur (notification)
+    const reversed = payoutDoc({ withdrawalTransaction: new mongoose.Types.ObjectId() });
+    jest.spyOn(Payout, 'findOne').mockResolvedValue(reversed);
+    const withdrawal = Transaction.hydrate({
+      _id: reversed.withdrawalTransaction,
+      status: 'cancelled',
+      providerStatus: 'REVERSED'
+    });
+
+    await payoutService.syncPayoutFromWithdrawal(withdrawal);
+    expect(reversed.status).toBe('failed');
+    expect(reversed.failureReason).toBe('Statut opérateur: REVERSED');
+    expect(notificationService.notifyPayoutStatusUpdate).toHaveBeenCalledTimes(2);
+  });
+});
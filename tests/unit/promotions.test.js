@@ -0,0 +1,86 @@
+/**
+ * Tests unitaires du moteur de promotions
+ */
+
+const mongoose = require('mongoose');
+const Promotion = require('../../src/models/promotion.model');
+const { computeDiscount, resolvePromotions, promotionIneligibility, toLines, toPricingItems } = require('../../src/services/promotion.service');
+const { buildPricing } = require('../../src/services/feeRule.service');
+
+const pressingId = new mongoose.Types.ObjectId();
+const chemise = new mongoose.Types.ObjectId();
+const costume = new mongoose.Types.ObjectId();
+
+const buildPromotion = (fields = {}) => new Promotion({
+  name: 'Promotion',
+  description: 'Promotion de test',
+  type: 'percentage',
+  value: 10,
+  status: 'active',
+  validFrom: new Date(Date.now() - 60 * 60 * 1000),
+  createdBy: pressingId,
+  ...fields
+});
+
+// 3 chemises à 1 000 XOF, 1 costume à 5 000 XOF
+const lines = [
+  { service: chemise, quantity: 3, amount: 3000 },
+  { service: costume, quantity: 1, amount: 5000 }
+];
+
+describe('Moteur de promotions', () => {
+  test('remise par ligne selon le type, restreinte aux services et plafonnée', () => {
+    expect(computeDiscount(buildPromotion({ value: 20 }), lines)).toEqual([600, 1000]);
+    expect(computeDiscount(buildPromotion({ value: 20, services: [costume] }), lines)).toEqual([0, 1000]);
+    expect(computeDiscount(buildPromotion({ value: 20, maximumDiscount: 800 }), lines)).toEqual([300, 500]);
+    expect(computeDiscount(buildPromotion({ type: 'fixed_amount', value: 1000 }), lines)).toEqual([375, 625]);
+
+    // 2 achetés, 1 offert : groupe costume + 2 chemises, la chemise la moins chère est offerte
+    expect(computeDiscount(buildPromotion({ type: 'buy_x_get_y', buyX: 2, getY: 1 }), lines)).toEqual([1000, 0]);
+  });
+
+  test('priorité et cumul : une promotion non cumulable s\'applique seule', () => {
+    const bienvenue = buildPromotion({ name: 'Bienvenue', value: 10, stackable: true });
+    const costumes = buildPromotion({ name: 'Costumes', type: 'fixed_amount', value: 2000, services: [costume], stackable: true, priority: 5 });
+    const soldes = buildPromotion({ name: 'Soldes', value: 30 });
+
+    // Cumulables : la priorité passe d'abord, la suivante porte sur le montant restant
+    const stacked = resolvePromotions([{ promotion: bienvenue, fromCode: true }, { promotion: costumes, fromCode: false }], lines);
+    expect(stacked.applied.map(entry => entry.promotion.name)).toEqual(['Costumes', 'Bienvenue']);
+    expect(stacked.lineDiscounts).toEqual([300, 2300]);
+    expect(stacked.discount).toBe(2600);
+
+    // À priorité égale, la plus forte remise l'emporte ; le code non cumulable est écarté avec un motif
+    const exclusive = resolvePromotions([{ promotion: bienvenue, fromCode: true }, { promotion: soldes, fromCode: false }], lines);
+    expect(exclusive.applied.map(entry => entry.promotion.name)).toEqual(['Soldes']);
+    expect(exclusive.excluded[0]).toEqual(expect.objectContaining({ fromCode: true }));
+    expect(exclusive.excluded[0].reason).toContain('pas cumulable');
+  });
+
+  test('une promotion ne vaut que chez son pressing et dans la limite par client', () => {
+    const context = { clientId: new mongoose.Types.ObjectId(), pressingId, subtotal: 8000, serviceIds: [chemise], hasPastOrders: true };
+
+    expect(promotionIneligibility(buildPromotion({ maxUsesPerUser: 1 }), context)).toBeNull();
+    expect(promotionIneligibility(buildPromotion({ maxUsesPerUser: 1 }), { ...context, customerUses: 1 }))
+      .toContain('nombre d\'utilisations');
+    expect(promotionIneligibility(buildPromotion(), { ...context, pressingId: new mongoose.Types.ObjectId() }))
+      .toContain('pas valable chez ce pressing');
+  });
+
+  test('frais de service et TVA portent sur le montant remisé', () => {
+    const items = [
+      { service: chemise, serviceDetails: { category: 'repassage' }, unitPrice: 1000, quantity: 3 },
+      { service: costume, serviceDetails: { category: 'nettoyage' }, unitPrice: 5000, quantity: 1 }
+    ];
+    const evaluation = resolvePromotions([{ promotion: buildPromotion({ value: 20 }), fromCode: false }], toLines(items));
+
+    expect(toPricingItems(items, evaluation).map(item => item.amount)).toEqual([2400, 4000]);
+    expect(toPricingItems(items, null).map(item => item.amount)).toEqual([3000, 5000]);
+
+    // Taux par défaut : 5% de frais de service, 18% de TVA
+    const pricing = buildPricing([], { pressing: pressingId, items: toPricingItems(items, evaluation) });
+    expect(pricing.serviceFee).toBe(320);
+    expect(pricing.vat).toBe(Math.round((6400 + 320) * 0.18));
+    expect(pricing.total).toBe(8000 - evaluation.discount + 320 + pricing.vat);
+  });
+});
@@ -0,0 +1,78 @@
+/**
+ * Tests unitaires des devis établis après inspection des articles
+ */
+
+const mongoose = require('mongoose');
+const Order = require('../../src/models/order.model');
+const { checkTransition } = require('../../src/config/orderStatus');
+const { buildQuoteLines } = require('../../src/services/quote.service');
+
+const dressService = new mongoose.Types.ObjectId();
+const carpetService = new mongoose.Types.ObjectId();
+
+const pressing = {
+  services: [
+    { _id: dressService, name: 'Robe de mariée', price: 25000, category: 'nettoyage_sec' },
+    { _id: carpetService, name: 'Tapis', price: 8000, category: 'lavage' }
+  ]
+};
+
+const buildOrder = (quote = { status: 'awaiting_quote', history: [] }) => new Order({
+  customer: new mongoose.Types.ObjectId(),
+  pressing: new mongoose.Types.ObjectId(),
+  status: 'pending',
+  pricingMode: 'quote',
+  quote,
+  items: [
+    { service: dressService, pressing: new mongoose.Types.ObjectId(), serviceDetails: { name: 'Robe de mariée', price: 25000, category: 'nettoyage_sec' }, quantity: 1, unitPrice: 25000 },
+    { service: carpetService, pressing: new mongoose.Types.ObjectId(), serviceDetails: { name: 'Tapis', price: 8000, category: 'lavage' }, quantity: 2, unitPrice: 8000 }
+  ],
+  payment: {
+    method: 'cash',
+    amount: { subtotal: 41000, total: 41000 }
+  }
+});
+
+describe('Devis', () => {
+  test('les articles ajustés, retirés et ajoutés à l\'inspection forment les lignes du devis', () => {
+    const order = buildOrder();
+    const [dress, carpet] = order.items;
+
+    const lines = buildQuoteLines(order, pressing, {
+      lines: [
+        { item: dress._id, unitPrice: 40000, reason: 'Soie, traîne brodée' },
+        { item: carpet._id, quantity: 0 }
+      ],
+      extraLines: [{ serviceId: carpetService.toString(), quantity: 1, unitPrice: 12000 }]
+    });
+
+    expect(lines).toHaveLength(3);
+    expect(lines[0]).toMatchObject({ name: 'Robe de mariée', quantity: 1, estimatedUnitPrice: 25000, unitPrice: 40000 });
+    expect(lines[1]).toMatchObject({ name: 'Tapis', quantity: 0 });
+    expect(lines[2]).toMatchObject({ name: 'Tapis', quantity: 1, unitPrice: 12000 });
+    expect(lines[2].item).toBeUndefined();
+  });
+
+  test('un devis sans article ou avec un prix invalide est refusé', () => {
+    const order = buildOrder();
+    const [dress, carpet] = order.items;
+
+    expect(() => buildQuoteLines(order, pressing, {
+      lines: [{ item: dress._id, quantity: 0 }, { item: carpet._id, quantity: 0 }]
+    })).toThrow('au moins un article');
+    expect(() => buildQuoteLines(order, pressing, {
+      lines: [{ item: dress._id, unitPrice: -1 }]
+    })).toThrow('Prix invalide');
+    expect(() => buildQuoteLines(order, pressing, {
+      extraLines: [{ serviceId: new mongoose.Types.ObjectId().toString() }]
+    })).toThrow('Service non trouvé');
+  });
+
+  test('une commande sur devis n\'est confirmée qu\'après acceptation du devis', () => {
+    expect(checkTransition(buildOrder(), 'confirmed', 'pressing')).toMatchObject({
+      allowed: false,
+      code: 'ORDER_TRANSITION_GUARD_FAILED'
+    });
+    expect(checkTransition(buildOrder({ status: 'accepted', history: [] }), 'confirmed', 'pressing').allowed).toBe(true);
+  });
+});
@@ -0,0 +1,183 @@
+/**
+ * Tests unitaires du calcul et de l'approbation des demandes de remboursement
+ */
+
+const mongoose = require('mongoose');
+const Order = require('../../src/models/order.model');
+const RefundRequest = require('../../src/models/refundRequest.model');
+const Transaction = require('../../src/models/transaction.model');
+const config = require('../../src/config/config');
+const refundService = require('../../src/services/refund.service');
+const paymentService = require('../../src/services/payment.service');
+const notificationService = require('../../src/services/notification.service');
+const walletService = require('../../src/services/wallet.service');
+const ledgerService = require('../../src/services/ledger.service');
+const { buildRefundLines, resolveApproval } = refundService;
+
+const buildOrder = () => new Order({
+  customer: new mongoose.Types.ObjectId(),
+  pressing: new mongoose.Types.ObjectId(),
+  status: 'completed',
+  items: [
+    { service: new mongoose.Types.ObjectId(), pressing: new mongoose.Types.ObjectId(), serviceDetails: { name: 'Chemise', price: 1000, category: 'lavage' }, quantity: 4, unitPrice: 1000 },
+    { service: new mongoose.Types.ObjectId(), pressing: new mongoose.Types.ObjectId(), serviceDetails: { name: 'Costume', price: 6000, category: 'pressing' }, quantity: 1, unitPrice: 6000 }
+  ],
+  payment: {
+    method: 'mobile_money',
+    status: 'captured',
+    // 10000 d'articles, 500 de frais, 1000 de livraison et 2070 de TVA
+    amount: { subtotal: 10000, delivery: 1000, tax: 2070, total: 13570 }
+  }
+});
+
+describe('Demandes de remboursement', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  test('un article est remboursé au prorata, livraison exclue', () => {
+    const order = buildOrder();
+    const [shirt] = order.items;
+
+    const lines = buildRefundLines(order, { type: 'items', items: [{ item: shirt._id, quantity: 2 }] });
+
+    // 2000 / 10000 de (13570 - 1000)
+    expect(lines.amount).toBe(2514);
+    expect(lines.items[0]).toMatchObject({ name: 'Chemise', quantity: 2 });
+  });
+
+  test('les demandes en cours réservent montant et quantités', () => {
+    const order = buildOrder();
+    const [shirt] = order.items;
+    const active = [{ amount: 5000, items: [{ item: shirt._id, quantity: 3 }] }];
+
+    expect(() => buildRefundLines(order, { type: 'items', items: [{ item: shirt._id, quantity: 2 }] }, active))
+      .toThrow('maximum 1');
+    expect(() => buildRefundLines(order, { type: 'partial', amount: 9000 }, active))
+      .toThrow('maximum 8570');
+    expect(buildRefundLines(order, { type: 'full' }, active).amount).toBe(8570);
+
+    order.payment.refunds.push({ amount: 8570, processedBy: 'system' });
+    expect(() => buildRefundLines(order, { type: 'full' }, active)).toThrow('Aucun montant restant');
+  });
+
+  test('le niveau d\'approbation dépend du montant et du demandeur', () => {
+    const threshold = config.refunds.adminApprovalThreshold;
+
+    expect(resolveApproval(threshold, 'client')).toEqual({ requiresApproval: true, approvalLevel: 'pressing' });
+    expect(resolveApproval(threshold + 1, 'client')).toEqual({ requiresApproval: true, approvalLevel: 'admin' });
+    expect(resolveApproval(threshold, 'pressing')).toEqual({ requiresApproval: false });
+    expect(resolveApproval(threshold + 1, 'pressing')).toEqual({ requiresApproval: true, approvalLevel: 'admin' });
+    expect(resolveApproval(threshold + 1, 'admin')).toEqual({ requiresApproval: false });
+  });
+
+  test('deux demandes ou deux approbations simultanées ne remboursent pas deux fois', async () => {
+    const order = buildOrder();
+    order.payment.paymentIntentId = 'TXN-1';
+    const client = { id: order.customer, role: 'client' };
+    jest.spyOn(Order, 'findById').mockResolvedValue(order);
+    jest.spyOn(notificationService, 'notifyRefundStatusUpdate').mockResolvedValue(null);
+
+    // Demandes enregistrées en base : chacune lit les réservations avant que l'autre ne soit enregistrée
+    const stored = [];
+    jest.spyOn(RefundRequest, 'find').mockImplementation(async ({ status }) =>
+      stored.filter(request => status.$in.includes(request.status)));
+    jest.spyOn(RefundRequest.prototype, 'save').mockImplementation(function save() {
+      if (!stored.includes(this)) stored.push(this);
+      return Promise.resolve(this);
+    });
+    jest.spyOn(RefundRequest, 'updateOne').mockImplementation(async ({ _id }, { $set }) => {
+      const request = stored.find(candidate => candidate._id.equals(_id));
+      if (request && $set) request.status = $set.status;
+    });
+
+    const results = await Promise.allSettled([
+      refundService.createRefundRequest({ orderId: order._id, user: client, type: 'partial', amount: 8000, reason: 'Tache' }),
+      refundService.createRefundRequest({ orderId: order._id, user: client, type: 'partial', amount: 8000, reason: 'Tache' })
+    ]);
+    const reserved = stored.filter(request => request.status === 'pending_approval');
+    expect(reserved.reduce((sum, request) => sum + request.amount, 0)).toBeLessThanOrEqual(13570);
+    expect(results.filter(result => result.status === 'rejected')[0].reason.message).toContain('réessayez');
+    expect(refundService.isOverbooked(order, [{ amount: 8000 }, { amount: 8000 }])).toBe(true);
+
+    // Double clic sur « approuver » : la demande n'est prise qu'une fois
+    const pending = RefundRequest.hydrate({
+      _id: new mongoose.Types.ObjectId(),
+      reference: 'RFQ-1',
+      order: order._id,
+      customer: order.customer,
+      pressing: order.pressing,
+      requestedBy: { role: 'client' },
+      type: 'partial',
+      amount: 2000,
+      currency: 'XOF',
+      reason: 'Tache',
+      status: 'pending_approval',
+      approvalLevel: 'pressing',
+      refundTransactions: []
+    });
+    jest.spyOn(RefundRequest, 'findById').mockResolvedValue(pending);
+    jest.spyOn(RefundRequest, 'findOneAndUpdate')
+      .mockResolvedValueOnce(RefundRequest.hydrate({ ...pending.toObject(), status: 'approved', reviewedBy: { role: 'admin' } }))
+      .mockResolvedValue(null);
+    Order.findById.mockReturnValue({ select: async () => null });
+    jest.spyOn(Transaction, 'find')
+      .mockResolvedValueOnce([])
+      .mockReturnValueOnce({ sort: async () => [{ reference: 'TXN-1', paymentProvider: 'wallet', amount: 13570, refundedAmount: 0 }] });
+    const refund = jest.spyOn(paymentService, 'refundPayment').mockResolvedValue({ _id: new mongoose.Types.ObjectId() });
+
+    const admin = { id: new mongoose.Types.ObjectId(), role: 'admin' };
+    const approvals = await Promise.allSettled([
+      refundService.approveRefundRequest(pending._id, admin),
+      refundService.approveRefundRequest(pending._id, admin)
+    ]);
+
+    expect(refund).toHaveBeenCalledTimes(1);
+    expect(approvals.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+    expect(RefundRequest.findOneAndUpdate.mock.calls[0][0]).toEqual({ _id: pending._id, status: 'pending_approval' });
+  });
+
+  test('des remboursements simultanés d\'un paiement ne dépassent pas le montant encaissé', async () => {
+    // Paiement par porte-monnaie de 13 570 XOF, état en base partagé par les appels concurrents
+    const stored = { _id: new mongoose.Types.ObjectId(), amount: 13570, refundedAmount: 0, refundReservedAmount: 0, status: 'completed' };
+    const original = () => Transaction.hydrate({
+      ...stored,
+      user: { id: new mongoose.Types.ObjectId(), type: 'Client' },
+      type: 'service',
+      currency: 'XOF',
+      paymentProvider: 'wallet',
+      reference: 'TXN-1',
+      relatedTo: new mongoose.Types.ObjectId(),
+      relatedToModel: 'Order'
+    });
+    jest.spyOn(Transaction, 'findOne').mockImplementation(async () => original());
+    jest.spyOn(Transaction, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+      if (!filter._id.equals(stored._id)) {
+        return Transaction.hydrate({ _id: filter._id, status: update.$set.status });
+      }
+      if (filter.$expr && stored.refundedAmount + stored.refundReservedAmount + update.$inc.refundReservedAmount > stored.amount) {
+        return null;
+      }
+      Object.entries(update.$inc).forEach(([field, value]) => { stored[field] += value; });
+      return original();
+    });
+    jest.spyOn(Transaction, 'updateOne').mockImplementation(async (filter, update) => {
+      if (filter.refundReservedAmount && stored.refundReservedAmount < filter.refundReservedAmount.$gte) return;
+      if (update.$inc) Object.entries(update.$inc).forEach(([field, value]) => { stored[field] += value; });
+      if (update.$set) stored.status = update.$set.status;
+    });
+    jest.spyOn(Transaction, 'create').mockImplementation(async (fields) => Transaction.hydrate({ _id: new mongoose.Types.ObjectId(), ...fields }));
+    jest.spyOn(Transaction.prototype, 'save').mockImplementation(function save() {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(Order, 'findById').mockResolvedValue(null);
+    const credit = jest.spyOn(walletService, 'credit').mockResolvedValue({});
+    jest.spyOn(ledgerService, 'recordRefund').mockResolvedValue(null);
+    jest.spyOn(refundService, 'syncRefundRequest').mockResolvedValue(null);
+
+    const results = await Promise.allSettled([5000, 5000, 5000].map(amount => paymentService.refundPayment('TXN-1', { amount })));
+
+    // Les deux premiers sont comptés sans perte d'incrément, le troisième dépasserait l'encaissement
+    expect(results.map(result => result.status)).toEqual(['fulfilled', 'fulfilled', 'rejected']);
+    expect(credit).toHaveBeenCalledTimes(2);
+    expect(stored).toMatchObject({ refundedAmount: 10000, refundReservedAmount: 0, status: 'partially_refunded' });
+  });
+});
@@ -0,0 +1,37 @@
+/**
+ * Tests unitaires du suivi en direct des livreurs
+ */
+
+const config = require('../../src/config/config');
+const { parsePosition, shouldRefreshEta } = require('../../src/services/riderTracking.service');
+
+describe('Suivi en direct des livreurs', () => {
+  test('la position transmise est validée et stockée en [longitude, latitude]', () => {
+    const point = parsePosition({ latitude: '5.3600', longitude: -3.987, accuracy: 12, heading: 'nord' });
+
+    expect(point.coordinates).toEqual([-3.987, 5.36]);
+    expect(point.accuracy).toBe(12);
+    expect(point.heading).toBeUndefined();
+    expect(point.recordedAt).toBeInstanceOf(Date);
+
+    const future = new Date(Date.now() + 60 * 60 * 1000);
+    expect(parsePosition({ latitude: 5.36, longitude: -3.98, recordedAt: future }).recordedAt.getTime()).toBeLessThan(future.getTime());
+
+    expect(() => parsePosition({ latitude: 5.36 })).toThrow('Position invalide');
+    expect(() => parsePosition({ latitude: 95, longitude: -3.98 })).toThrow('Position invalide');
+    expect(() => parsePosition()).toThrow('Position invalide');
+  });
+
+  test('l\'heure d\'arrivée est recalculée quand elle est ancienne ou que l\'arrêt visé change', () => {
+    const now = new Date();
+    const recent = new Date(now.getTime() - 1000);
+    const stale = new Date(now.getTime() - (config.deliveries.etaRefreshSeconds + 1) * 1000);
+
+    expect(shouldRefreshEta({ status: 'picked_up' }, now)).toBe(true);
+    expect(shouldRefreshEta({ status: 'picked_up', eta: { stop: 'to', computedAt: recent } }, now)).toBe(false);
+    expect(shouldRefreshEta({ status: 'in_transit', eta: { stop: 'to', computedAt: stale } }, now)).toBe(true);
+    // Vêtements récupérés : le livreur ne se dirige plus vers le point de départ
+    expect(shouldRefreshEta({ status: 'picked_up', eta: { stop: 'from', computedAt: recent } }, now)).toBe(true);
+    expect(shouldRefreshEta({ status: 'accepted', eta: { stop: 'from', computedAt: recent } }, now)).toBe(false);
+  });
+});
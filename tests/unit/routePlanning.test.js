@@ -0,0 +1,114 @@
+/**
+ * Tests unitaires de la planification des tournées
+ */
+
+const { solveRound, haversineMatrix, generateRunSheetCsv, byUrgency, MAX_ROUND_STOPS } = require('../../src/services/routePlanning.service');
+
+// Pressing à Cocody puis trois clients vers l'ouest, à environ 1, 2 et 3 km
+const points = [
+  [-3.9870, 5.3600],
+  [-3.9960, 5.3600],
+  [-4.0050, 5.3600],
+  [-4.0140, 5.3600]
+];
+const { distances, durations } = haversineMatrix(points, { speedKmh: 20, detourFactor: 1.3 });
+const startAt = new Date('2026-03-02T08:00:00Z').getTime();
+const minutes = (n) => startAt + n * 60 * 1000;
+
+describe('Planification des tournées', () => {
+  test('les arrêts suivent la route la plus courte sauf créneau imposé', () => {
+    const open = solveRound({
+      stops: [{ demand: 2 }, { demand: -1 }, { demand: 3 }].map(stop => ({ ...stop, window: null })),
+      distances, durations, startAt, capacity: 10, serviceSeconds: 300
+    });
+    // Aller-retour sur une ligne : les deux sens sont équivalents
+    expect([[0, 1, 2], [2, 1, 0]]).toContainEqual(open.sequence);
+    expect(open.unplanned).toEqual([]);
+
+    // Le client le plus éloigné n'est disponible qu'en début de tournée
+    const constrained = solveRound({
+      stops: [
+        { demand: 2, window: null },
+        { demand: -1, window: null },
+        { demand: 3, window: { start: minutes(0), end: minutes(13) } }
+      ],
+      distances, durations, startAt, capacity: 10, serviceSeconds: 300
+    });
+    expect(constrained.sequence[0]).toBe(2);
+    const first = constrained.schedule.visits[0];
+    expect(first.serviceStart).toBeLessThanOrEqual(minutes(13));
+  });
+
+  test('la capacité du véhicule et les créneaux dépassés écartent des arrêts', () => {
+    const result = solveRound({
+      stops: [
+        { demand: -6, window: null },
+        { demand: -6, window: null },
+        { demand: 4, window: null },
+        { demand: 1, window: { start: minutes(-120), end: minutes(-60) } }
+      ],
+      distances: haversineMatrix([...points, [-3.9900, 5.3650]]).distances,
+      durations: haversineMatrix([...points, [-3.9900, 5.3650]]).durations,
+      startAt,
+      capacity: 10,
+      serviceSeconds: 300
+    });
+
+    expect(result.sequence).toHaveLength(2);
+    expect(result.unplanned).toEqual(expect.arrayContaining([{ index: 3, reason: 'window' }]));
+    expect(result.unplanned).toHaveLength(2);
+    result.schedule.visits.forEach(visit => expect(visit.loadAfter).toBeLessThanOrEqual(10));
+  });
+
+  test('une tournée est limitée à la matrice Mapbox, les créneaux serrés d\'abord', () => {
+    const stops = [
+      { window: null },
+      { window: { start: minutes(0), end: minutes(120) } },
+      { window: { start: new Date(minutes(0)), end: new Date(minutes(30)) } }
+    ];
+    expect(byUrgency(stops)).toEqual([2, 1, 0]);
+
+    const many = Array.from({ length: MAX_ROUND_STOPS + 1 }, (stop, index) => [-3.9870 - index * 0.001, 5.3600]);
+    const matrix = haversineMatrix([points[0], ...many]);
+    expect(() => solveRound({
+      stops: many.map(() => ({ demand: 1, window: null })),
+      ...matrix, startAt, capacity: 100
+    })).toThrow(`${MAX_ROUND_STOPS} arrêts au plus`);
+
+    // Sans passe 2-opt, l'ordre d'insertion est conservé tel quel
+    const full = solveRound({
+      stops: many.slice(1).map(() => ({ demand: 1, window: null })),
+      distances: matrix.distances.slice(1).map(row => row.slice(1)),
+      durations: matrix.durations.slice(1).map(row => row.slice(1)),
+      startAt, capacity: 100, maxPasses: 0
+    });
+    expect(full.sequence).toHaveLength(MAX_ROUND_STOPS);
+  });
+
+  test('la feuille de route CSV liste les arrêts, le retour et les courses non planifiées', () => {
+    const csv = generateRunSheetCsv({
+      depot: { label: 'Pressing Cocody', address: 'Rue des Jardins' },
+      totals: { returnAt: new Date(minutes(90)) },
+      stops: [{
+        sequence: 1,
+        serviceStartAt: new Date(minutes(10)),
+        type: 'pickup',
+        orderNumber: 'CMD-001',
+        customerName: 'Awa Koné',
+        phone: '+2250700000000',
+        address: 'Riviera 2; villa 12',
+        window: { start: new Date(minutes(0)), end: new Date(minutes(60)) },
+        items: 3,
+        loadAfter: 3
+      }],
+      unplanned: [{ type: 'delivery', orderNumber: 'CMD-002', reason: 'Adresse sans coordonnées GPS' }]
+    });
+
+    const lines = csv.split('\n');
+    expect(lines).toHaveLength(4);
+    expect(lines[1]).toContain('Collecte;CMD-001;Awa Koné');
+    expect(lines[1]).toContain('"Riviera 2; villa 12"');
+    expect(lines[2].startsWith('Retour;')).toBe(true);
+    expect(lines[3]).toContain('Adresse sans coordonnées GPS');
+  });
+});
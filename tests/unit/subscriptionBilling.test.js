@@ -0,0 +1,104 @@
+/**
+ * Tests unitaires de la facturation récurrente des abonnements
+ */
+
+const SubscriptionInvoice = require('../../src/models/subscriptionInvoice.model');
+const { Abonnement } = require('../../src/models/abonnement.model');
+const Pressing = require('../../src/models/pressing.model');
+const billingService = require('../../src/services/subscriptionBilling.service');
+const paymentService = require('../../src/services/payment.service');
+const invoiceService = require('../../src/services/invoice.service');
+const subscriptionPlanService = require('../../src/services/subscriptionPlan.service');
+const { nextRetryAt } = billingService;
+const { normalizeProviderName } = require('../../src/services/paymentProviders');
+const config = require('../../src/config/config');
+
+const invoice = {
+  dueDate: new Date('2026-10-01T00:00:00Z'),
+  graceEndsAt: new Date('2026-10-08T00:00:00Z')
+};
+
+describe('Facturation des abonnements', () => {
+  test('les relances suivent le calendrier puis s\'arrêtent', () => {
+    const schedule = [1, 3, 5];
+
+    expect(nextRetryAt(invoice, 0, schedule)).toBeNull();
+    expect(nextRetryAt(invoice, 1, schedule)).toEqual(new Date('2026-10-02T00:00:00Z'));
+    expect(nextRetryAt(invoice, 3, schedule)).toEqual(new Date('2026-10-06T00:00:00Z'));
+    expect(nextRetryAt(invoice, 4, schedule)).toBeNull();
+
+    // Une relance après la fin du délai de grâce n'est pas planifiée
+    expect(nextRetryAt(invoice, 2, [1, 10])).toBeNull();
+
+    expect(config.subscriptionBilling.retryScheduleDays).toEqual([1, 3, 5]);
+    expect(config.subscriptionBilling.graceDays).toBe(7);
+  });
+
+  test('seuls les prélèvements automatiques refusés font avancer le calendrier', () => {
+    const doc = new SubscriptionInvoice({
+      ...invoice,
+      attempts: [
+        { trigger: 'automatic', status: 'failed' },
+        { trigger: 'manual', status: 'failed' },
+        { trigger: 'automatic', status: 'failed' }
+      ]
+    });
+    expect(doc.failedAutomaticAttempts).toBe(2);
+    expect(doc.hasPendingAttempt).toBe(false);
+    expect(doc.status).toBe('open');
+
+    doc.attempts.push({ trigger: 'manual' });
+    expect(doc.hasPendingAttempt).toBe(true);
+  });
+
+  test('les moyens de paiement de l\'abonnement désignent un opérateur', () => {
+    expect(normalizeProviderName('orange_money')).toBe('orange');
+    expect(normalizeProviderName('mtn_money')).toBe('mtn');
+    expect(normalizeProviderName('moov_money')).toBe('moov');
+    expect(normalizeProviderName('wave')).toBe('wave');
+    expect(() => normalizeProviderName('especes')).toThrow('Opérateur de paiement non supporté');
+  });
+
+  describe('prélèvement déjà soldé par l\'opérateur', () => {
+    afterEach(() => jest.restoreAllMocks());
+
+    test('la facturation quotidienne ne règle pas une seconde fois une tentative synchronisée', async () => {
+      const pending = { reference: 'PAY-1', status: 'pending' };
+      const transaction = { _id: 'tx1', reference: 'PAY-1', status: 'completed', relatedTo: 'inv1', relatedToModel: 'SubscriptionInvoice' };
+      const settled = { _id: 'inv1', reference: 'ABO-1', status: 'open', kind: 'renewal', periodEnd: new Date('2026-11-01'), save: jest.fn() };
+      const abonnement = { transactions: [], historique: [], save: jest.fn() };
+
+      jest.spyOn(SubscriptionInvoice, 'find')
+        .mockResolvedValueOnce([{ _id: 'inv1', reference: 'ABO-1', attempts: [pending] }])
+        .mockResolvedValue([]);
+      jest.spyOn(SubscriptionInvoice, 'findById').mockResolvedValue({ _id: 'inv1', attempts: [pending] });
+      // Le webhook (ici getPaymentStatus) réclame la tentative, la facturation quotidienne la trouve déjà soldée
+      const claim = jest.spyOn(SubscriptionInvoice, 'findOneAndUpdate')
+        .mockResolvedValueOnce(settled)
+        .mockResolvedValue(null);
+      jest.spyOn(paymentService, 'getPaymentStatus').mockImplementation(async () => {
+        await billingService.syncSubscriptionCharge(transaction);
+        return transaction;
+      });
+      jest.spyOn(Abonnement, 'find').mockResolvedValue([]);
+      jest.spyOn(Abonnement, 'findById').mockResolvedValue(abonnement);
+      jest.spyOn(Pressing, 'findById').mockReturnValue({ select: () => Promise.resolve(null) });
+      jest.spyOn(subscriptionPlanService, 'applyPendingChanges').mockResolvedValue(0);
+      const issue = jest.spyOn(invoiceService, 'issueSubscriptionInvoice').mockResolvedValue(null);
+
+      const stats = await billingService.runBillingCycle(new Date('2026-10-02T00:00:00Z'));
+
+      expect(stats.errors).toBe(0);
+      expect(claim).toHaveBeenCalledTimes(2);
+      expect(claim.mock.calls[1][0]).toEqual({
+        _id: 'inv1',
+        attempts: { $elemMatch: { reference: 'PAY-1', status: 'pending' } }
+      });
+      expect(abonnement.save).toHaveBeenCalledTimes(1);
+      expect(abonnement.transactions).toEqual(['tx1']);
+      expect(abonnement.historique.filter(entry => entry.type === 'renouvellement')).toHaveLength(1);
+      expect(settled.save).toHaveBeenCalledTimes(1);
+      expect(issue).toHaveBeenCalledTimes(1);
+    });
+  });
+});
@@ -0,0 +1,57 @@
+/**
+ * Tests unitaires du catalogue de formules et du prorata des changements de formule
+ */
+
+const SubscriptionPlan = require('../../src/models/subscriptionPlan.model');
+const { DEFAULT_PLANS } = require('../../src/config/subscriptionPlans');
+const { prorate, cycleEnd } = require('../../src/services/subscriptionPlan.service');
+
+const monthly = {
+  price: 5000,
+  billingCycle: 'monthly',
+  periodStart: new Date('2026-09-01T00:00:00Z'),
+  periodEnd: new Date('2026-10-01T00:00:00Z')
+};
+
+describe('Formules d\'abonnement', () => {
+  test('une montée en gamme à mi-période ne facture que la différence sur le temps restant', () => {
+    const result = prorate(monthly, { price: 12000, billingCycle: 'monthly' }, new Date('2026-09-16T00:00:00Z'));
+
+    expect(result.direction).toBe('upgrade');
+    expect(result.remainingRatio).toBe(0.5);
+    expect(result.remainingDays).toBe(15);
+    expect(result.credit).toBe(2500);
+    expect(result.charge).toBe(6000);
+    expect(result.amount).toBe(3500);
+    // La période en cours est conservée
+    expect(result.periodStart).toEqual(monthly.periodStart);
+    expect(result.periodEnd).toEqual(monthly.periodEnd);
+  });
+
+  test('un changement de cycle ouvre une nouvelle période et crédite le temps restant', () => {
+    const at = new Date('2026-09-16T00:00:00Z');
+    const yearly = prorate(monthly, { price: 50000, billingCycle: 'yearly' }, at);
+
+    // 50000/an revient moins cher par jour que 5000/mois
+    expect(yearly.direction).toBe('downgrade');
+    expect(yearly.charge).toBe(50000);
+    expect(yearly.amount).toBe(47500);
+    expect(yearly.periodStart).toEqual(at);
+    expect(yearly.periodEnd).toEqual(new Date('2027-09-16T00:00:00Z'));
+
+    expect(cycleEnd(new Date('2026-01-31T00:00:00Z'), 'quarterly')).toEqual(new Date('2026-05-01T00:00:00Z'));
+  });
+
+  test('les formules par défaut sont valides', () => {
+    const codes = DEFAULT_PLANS.map(plan => plan.code);
+    expect(new Set(codes).size).toBe(codes.length);
+
+    DEFAULT_PLANS.forEach(definition => {
+      const plan = new SubscriptionPlan(definition);
+      expect(plan.validateSync()).toBeUndefined();
+    });
+
+    expect(new SubscriptionPlan({ code: 'Pro Plus', name: 'x', price: -1 }).validateSync().errors)
+      .toEqual(expect.objectContaining({ code: expect.anything(), price: expect.anything() }));
+  });
+});
@@ -0,0 +1,77 @@
+/**
+ * Tests unitaires du porte-monnaie client
+ */
+
+const mongoose = require('mongoose');
+const Wallet = require('../../src/models/wallet.model');
+const Transaction = require('../../src/models/transaction.model');
+const walletService = require('../../src/services/wallet.service');
+const paymentService = require('../../src/services/payment.service');
+const ledgerService = require('../../src/services/ledger.service');
+
+const clientId = new mongoose.Types.ObjectId();
+
+describe('Porte-monnaie', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  test('crédit et débit par incrément atomique, le débit sous condition de solde', async () => {
+    const update = jest.spyOn(Wallet, 'findOneAndUpdate').mockResolvedValue({ balance: 1500 });
+
+    await walletService.credit(clientId, 2000);
+    await walletService.debit(clientId, 500);
+
+    expect(update.mock.calls[0][1].$inc).toEqual({ balance: 2000 });
+    expect(update.mock.calls[1][0]).toEqual({ client: clientId, status: 'active', balance: { $gte: 500 } });
+    expect(update.mock.calls[1][1].$inc).toEqual({ balance: -500 });
+
+    await expect(walletService.credit(clientId, 0)).rejects.toThrow('doit être positif');
+    await expect(walletService.debit(clientId, -100)).rejects.toThrow('doit être positif');
+  });
+
+  test('un débit au-delà du solde ou sur un porte-monnaie bloqué est refusé', async () => {
+    jest.spyOn(Wallet, 'findOneAndUpdate').mockResolvedValue(null);
+    const findOne = jest.spyOn(Wallet, 'findOne').mockResolvedValue({ status: 'active', balance: 300 });
+
+    await expect(walletService.debit(clientId, 500)).rejects.toThrow('Solde insuffisant (disponible: 300 XOF)');
+
+    findOne.mockResolvedValue({ status: 'frozen', balance: 5000 });
+    await expect(walletService.debit(clientId, 500)).rejects.toThrow('Porte-monnaie bloqué');
+  });
+
+  test('une recharge confirmée deux fois en parallèle ne crédite qu\'une fois', async () => {
+    const fields = {
+      _id: new mongoose.Types.ObjectId(),
+      user: { id: clientId, type: 'Client' },
+      type: 'topup',
+      status: 'pending',
+      amount: 5000,
+      currency: 'XOF',
+      paymentProvider: 'orange',
+      phoneNumber: '+2250700000042',
+      reference: 'TXN-20261019-TOPUP',
+      providerReference: 'OM-42'
+    };
+
+    // Webhook et vérification lisent chacun la transaction encore en attente
+    jest.spyOn(Transaction, 'findOne').mockImplementation(async () => Transaction.hydrate({ ...fields }));
+    jest.spyOn(Transaction, 'findOneAndUpdate')
+      .mockResolvedValueOnce(Transaction.hydrate({ ...fields, status: 'completed', processedAt: new Date() }))
+      .mockResolvedValue(null);
+    jest.spyOn(Transaction, 'findById').mockResolvedValue(Transaction.hydrate({ ...fields, status: 'completed' }));
+    jest.spyOn(Transaction.prototype, 'save').mockImplementation(function save() {
+      return Promise.resolve(this);
+    });
+    const credit = jest.spyOn(walletService, 'credit').mockResolvedValue({ balance: 5000 });
+    const ledger = jest.spyOn(ledgerService, 'recordWalletTopup').mockResolvedValue(null);
+
+    const [first, second] = await Promise.all([
+      paymentService.getPaymentStatus(fields.reference),
+      paymentService.getPaymentStatus(fields.reference)
+    ]);
+
+    expect(credit).toHaveBeenCalledTimes(1);
+    expect(credit).toHaveBeenCalledWith(clientId, 5000);
+    expect(ledger).toHaveBeenCalledTimes(1);
+    expect([first.status, second.status]).toEqual(['completed', 'completed']);
+  });
+});